@@ -1404,6 +1404,11 @@ function checkLayer(provider, x, y, level, layer, topLayer) {
   };
 }
 
+// Used by other providers that serve the same tile formats
+CesiumTerrainProvider._createHeightmapTerrainData = createHeightmapTerrainData;
+CesiumTerrainProvider._createQuantizedMeshTerrainData =
+  createQuantizedMeshTerrainData;
+
 // Used for testing
 CesiumTerrainProvider._getAvailabilityTile = getAvailabilityTile;
 export default CesiumTerrainProvider;
@@ -0,0 +1,472 @@
+import KDBush from "kdbush";
+import Check from "./Check.js";
+import clone from "./clone.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+
+/**
+ * A hierarchical index of point clusters for every zoom level of a Web Mercator tiling scheme.
+ * The clusters are computed once when the points are loaded, so the clusters in view at any zoom
+ * level can be queried without clustering the points again. The algorithm follows
+ * {@link https://github.com/mapbox/supercluster|supercluster}.
+ *
+ * @alias ClusterIndex
+ * @constructor
+ * @private
+ *
+ * @param {object} [options] Object with the following properties:
+ * @param {number} [options.minimumZoom=0] The minimum zoom level at which clusters are computed.
+ * @param {number} [options.maximumZoom=16] The maximum zoom level at which clusters are computed. Points are never clustered at higher zoom levels.
+ * @param {number} [options.radius=40] The cluster radius in pixels.
+ * @param {number} [options.extent=512] The width of a tile in pixels.
+ * @param {number} [options.minimumPoints=2] The minimum number of points to form a cluster.
+ * @param {ClusterIndex.ReduceCallback} [options.reduce] A function that merges the properties of a point or cluster into the properties of a cluster.
+ */
+function ClusterIndex(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const minimumZoom = defaultValue(options.minimumZoom, 0);
+  const maximumZoom = defaultValue(options.maximumZoom, 16);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThanOrEquals("minimumZoom", minimumZoom, 0);
+  Check.typeOf.number.lessThanOrEquals("maximumZoom", maximumZoom, 30);
+  Check.typeOf.number.lessThanOrEquals("minimumZoom", minimumZoom, maximumZoom);
+  //>>includeEnd('debug');
+
+  this._minimumZoom = minimumZoom;
+  this._maximumZoom = maximumZoom;
+  this._radius = defaultValue(options.radius, 40);
+  this._extent = defaultValue(options.extent, 512);
+  this._minimumPoints = defaultValue(options.minimumPoints, 2);
+  this._reduce = options.reduce;
+
+  this._levels = [];
+  this._length = 0;
+}
+
+Object.defineProperties(ClusterIndex.prototype, {
+  /**
+   * Gets the number of loaded points.
+   *
+   * @memberof ClusterIndex.prototype
+   * @type {number}
+   * @readonly
+   */
+  length: {
+    get: function () {
+      return this._length;
+    },
+  },
+
+  /**
+   * Gets the minimum zoom level at which clusters are computed.
+   *
+   * @memberof ClusterIndex.prototype
+   * @type {number}
+   * @readonly
+   */
+  minimumZoom: {
+    get: function () {
+      return this._minimumZoom;
+    },
+  },
+
+  /**
+   * Gets the maximum zoom level at which clusters are computed.
+   *
+   * @memberof ClusterIndex.prototype
+   * @type {number}
+   * @readonly
+   */
+  maximumZoom: {
+    get: function () {
+      return this._maximumZoom;
+    },
+  },
+});
+
+function longitudeToX(longitude) {
+  return longitude / CesiumMath.TWO_PI + 0.5;
+}
+
+function latitudeToY(latitude) {
+  const sine = Math.sin(latitude);
+  const y = 0.5 - (0.25 * Math.log((1.0 + sine) / (1.0 - sine))) / Math.PI;
+  return CesiumMath.clamp(y, 0.0, 1.0);
+}
+
+function xToLongitude(x) {
+  return (x - 0.5) * CesiumMath.TWO_PI;
+}
+
+function yToLatitude(y) {
+  return (
+    2.0 * Math.atan(Math.exp(Math.PI - y * CesiumMath.TWO_PI)) -
+    CesiumMath.PI_OVER_TWO
+  );
+}
+
+function createLevel(nodes) {
+  const tree = new KDBush(nodes.length, 64, Float64Array);
+  for (let i = 0; i < nodes.length; ++i) {
+    tree.add(nodes[i].x, nodes[i].y);
+  }
+  tree.finish();
+
+  return {
+    nodes: nodes,
+    tree: tree,
+  };
+}
+
+function copyNode(node) {
+  return {
+    id: node.id,
+    parentId: -1,
+    zoom: Infinity,
+    count: node.count,
+    x: node.x,
+    y: node.y,
+    longitude: node.longitude,
+    latitude: node.latitude,
+    height: node.height,
+    minX: node.minX,
+    minY: node.minY,
+    maxX: node.maxX,
+    maxY: node.maxY,
+    properties: node.properties,
+  };
+}
+
+function addToCluster(cluster, node, reduce) {
+  // The position of a cluster is the mean of its points
+  cluster.x += node.x * node.count;
+  cluster.y += node.y * node.count;
+  cluster.height += node.height * node.count;
+  cluster.count += node.count;
+
+  cluster.minX = Math.min(cluster.minX, node.minX);
+  cluster.minY = Math.min(cluster.minY, node.minY);
+  cluster.maxX = Math.max(cluster.maxX, node.maxX);
+  cluster.maxY = Math.max(cluster.maxY, node.maxY);
+
+  if (defined(reduce)) {
+    reduce(cluster.properties, node.properties);
+  }
+}
+
+function clusterLevel(index, level, zoom) {
+  const nodes = level.nodes;
+  const tree = level.tree;
+  const radius = index._radius / (index._extent * Math.pow(2.0, zoom));
+  const minimumPoints = index._minimumPoints;
+  const reduce = index._reduce;
+
+  const next = [];
+  const length = nodes.length;
+  for (let i = 0; i < length; ++i) {
+    const node = nodes[i];
+    if (node.zoom <= zoom) {
+      continue;
+    }
+    node.zoom = zoom;
+
+    const neighbors = tree.within(node.x, node.y, radius);
+    const neighborsLength = neighbors.length;
+
+    let count = node.count;
+    for (let j = 0; j < neighborsLength; ++j) {
+      const neighbor = nodes[neighbors[j]];
+      if (neighbor.zoom > zoom) {
+        count += neighbor.count;
+      }
+    }
+
+    if (count > node.count && count >= minimumPoints) {
+      // The id encodes the index of the origin node and the zoom level of its children
+      const id = i * 32 + zoom + 1 + index._length;
+      const cluster = {
+        id: id,
+        parentId: -1,
+        zoom: Infinity,
+        count: 0,
+        x: 0.0,
+        y: 0.0,
+        longitude: 0.0,
+        latitude: 0.0,
+        height: 0.0,
+        minX: node.minX,
+        minY: node.minY,
+        maxX: node.maxX,
+        maxY: node.maxY,
+        properties: defined(reduce) ? clone(node.properties) : undefined,
+      };
+      addToCluster(cluster, node);
+      node.parentId = id;
+
+      for (let j = 0; j < neighborsLength; ++j) {
+        const neighbor = nodes[neighbors[j]];
+        if (neighbor.zoom <= zoom) {
+          continue;
+        }
+        neighbor.zoom = zoom;
+        neighbor.parentId = id;
+        addToCluster(cluster, neighbor, reduce);
+      }
+
+      cluster.x /= cluster.count;
+      cluster.y /= cluster.count;
+      cluster.height /= cluster.count;
+      cluster.longitude = xToLongitude(cluster.x);
+      cluster.latitude = yToLatitude(cluster.y);
+      next.push(cluster);
+    } else {
+      next.push(copyNode(node));
+
+      if (count > 1) {
+        for (let j = 0; j < neighborsLength; ++j) {
+          const neighbor = nodes[neighbors[j]];
+          if (neighbor.zoom <= zoom) {
+            continue;
+          }
+          neighbor.zoom = zoom;
+          next.push(copyNode(neighbor));
+        }
+      }
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Builds the clusters of every zoom level, replacing any previously loaded points.
+ *
+ * @param {Cartographic[]} positions The positions of the points.
+ * @param {object[]} [properties] The properties of each point, which are merged into the properties of the clusters with the <code>reduce</code> function.
+ */
+ClusterIndex.prototype.load = function (positions, properties) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("positions", positions);
+  if (defined(properties) && properties.length !== positions.length) {
+    throw new DeveloperError(
+      "properties must have the same length as positions.",
+    );
+  }
+  //>>includeEnd('debug');
+
+  const length = positions.length;
+  this._length = length;
+
+  const leaves = new Array(length);
+  for (let i = 0; i < length; ++i) {
+    const position = positions[i];
+    const x = longitudeToX(position.longitude);
+    const y = latitudeToY(position.latitude);
+    leaves[i] = {
+      id: i,
+      parentId: -1,
+      zoom: Infinity,
+      count: 1,
+      x: x,
+      y: y,
+      longitude: position.longitude,
+      latitude: position.latitude,
+      height: position.height,
+      minX: x,
+      minY: y,
+      maxX: x,
+      maxY: y,
+      properties: defined(properties) ? properties[i] : undefined,
+    };
+  }
+
+  const levels = (this._levels = []);
+  let level = (levels[this._maximumZoom + 1] = createLevel(leaves));
+  for (let zoom = this._maximumZoom; zoom >= this._minimumZoom; --zoom) {
+    level = levels[zoom] = createLevel(clusterLevel(this, level, zoom));
+  }
+};
+
+function getLevel(index, zoom) {
+  zoom = CesiumMath.clamp(
+    Math.floor(zoom),
+    index._minimumZoom,
+    index._maximumZoom + 1,
+  );
+  return index._levels[zoom];
+}
+
+/**
+ * Gets the clusters and unclustered points inside a rectangle at a zoom level.
+ * Points have an <code>id</code> equal to their index in the loaded positions.
+ *
+ * @param {Rectangle} rectangle The rectangle, which may cross the anti-meridian.
+ * @param {number} zoom The zoom level.
+ * @returns {ClusterIndex.Node[]} The clusters and points.
+ */
+ClusterIndex.prototype.getClusters = function (rectangle, zoom) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("rectangle", rectangle);
+  Check.typeOf.number("zoom", zoom);
+  //>>includeEnd('debug');
+
+  const level = getLevel(this, zoom);
+  if (!defined(level)) {
+    return [];
+  }
+
+  const minX = longitudeToX(rectangle.west);
+  const maxX = longitudeToX(rectangle.east);
+  const minY = latitudeToY(rectangle.north);
+  const maxY = latitudeToY(rectangle.south);
+
+  let ids;
+  if (rectangle.west > rectangle.east) {
+    ids = level.tree
+      .range(minX, minY, 1.0, maxY)
+      .concat(level.tree.range(0.0, minY, maxX, maxY));
+  } else {
+    ids = level.tree.range(minX, minY, maxX, maxY);
+  }
+
+  const nodes = level.nodes;
+  return ids.map(function (id) {
+    return nodes[id];
+  });
+};
+
+function getOriginZoom(index, clusterId) {
+  return (clusterId - index._length) % 32;
+}
+
+/**
+ * Gets the clusters and points one zoom level below a cluster.
+ *
+ * @param {number} clusterId The id of the cluster.
+ * @returns {ClusterIndex.Node[]} The children of the cluster.
+ *
+ * @exception {DeveloperError} No cluster with the specified id.
+ */
+ClusterIndex.prototype.getChildren = function (clusterId) {
+  const originZoom = getOriginZoom(this, clusterId);
+  const level = this._levels[originZoom];
+  const origin = defined(level)
+    ? level.nodes[Math.floor((clusterId - this._length) / 32)]
+    : undefined;
+
+  //>>includeStart('debug', pragmas.debug);
+  if (clusterId < this._length || !defined(origin)) {
+    throw new DeveloperError("No cluster with the specified id.");
+  }
+  //>>includeEnd('debug');
+
+  const radius = this._radius / (this._extent * Math.pow(2.0, originZoom - 1));
+  const nodes = level.nodes;
+  const children = [];
+  const neighbors = level.tree.within(origin.x, origin.y, radius);
+  for (let i = 0; i < neighbors.length; ++i) {
+    const node = nodes[neighbors[i]];
+    if (node.parentId === clusterId) {
+      children.push(node);
+    }
+  }
+  return children;
+};
+
+/**
+ * Gets the indices of the loaded points in a cluster.
+ *
+ * @param {number} clusterId The id of the cluster.
+ * @param {number[]} [result] The array onto which to push the indices.
+ * @returns {number[]} The indices of the points.
+ */
+ClusterIndex.prototype.getLeaves = function (clusterId, result) {
+  if (!defined(result)) {
+    result = [];
+  }
+
+  const children = this.getChildren(clusterId);
+  for (let i = 0; i < children.length; ++i) {
+    const child = children[i];
+    if (child.id < this._length) {
+      result.push(child.id);
+    } else {
+      this.getLeaves(child.id, result);
+    }
+  }
+  return result;
+};
+
+/**
+ * Gets the zoom level at which a cluster splits into several children.
+ * A zoom level greater than {@link ClusterIndex#maximumZoom} means the points of the cluster are never separated.
+ *
+ * @param {number} clusterId The id of the cluster.
+ * @returns {number} The zoom level.
+ */
+ClusterIndex.prototype.getExpansionZoom = function (clusterId) {
+  let expansionZoom = getOriginZoom(this, clusterId) - 1;
+  while (expansionZoom <= this._maximumZoom) {
+    const children = this.getChildren(clusterId);
+    ++expansionZoom;
+    if (children.length !== 1 || children[0].id < this._length) {
+      break;
+    }
+    clusterId = children[0].id;
+  }
+  return expansionZoom;
+};
+
+/**
+ * Gets the zoom level whose tiles have the given size in meters per pixel at the equator.
+ *
+ * @param {number} metersPerPixel The size of a pixel in meters.
+ * @param {number} extent The width of a tile in pixels.
+ * @param {Ellipsoid} ellipsoid The ellipsoid.
+ * @returns {number} The zoom level, which may be fractional.
+ */
+ClusterIndex.getZoom = function (metersPerPixel, extent, ellipsoid) {
+  const circumference = CesiumMath.TWO_PI * ellipsoid.maximumRadius;
+  return CesiumMath.log2(circumference / (extent * metersPerPixel));
+};
+
+/**
+ * Computes the rectangle bounding the points of a cluster.
+ *
+ * @param {ClusterIndex.Node} node The cluster or point.
+ * @param {Rectangle} [result] The object onto which to store the result.
+ * @returns {Rectangle} The rectangle.
+ */
+ClusterIndex.getRectangle = function (node, result) {
+  return Rectangle.fromRadians(
+    xToLongitude(node.minX),
+    yToLatitude(node.maxY),
+    xToLongitude(node.maxX),
+    yToLatitude(node.minY),
+    result,
+  );
+};
+
+/**
+ * A cluster or point in a {@link ClusterIndex}.
+ * @typedef {object} ClusterIndex.Node
+ * @property {number} id The id of the cluster, or the index of the point.
+ * @property {number} count The number of points.
+ * @property {number} longitude The longitude in radians.
+ * @property {number} latitude The latitude in radians.
+ * @property {number} height The mean height of the points.
+ * @property {object} properties The properties of the point, or the merged properties of the cluster.
+ */
+
+/**
+ * A function that merges the properties of a point or cluster into the properties of a cluster.
+ * @callback ClusterIndex.ReduceCallback
+ * @param {object} accumulated The properties of the cluster, which are modified.
+ * @param {object} properties The properties of the point or cluster.
+ */
+export default ClusterIndex;
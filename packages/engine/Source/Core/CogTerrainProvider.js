@@ -0,0 +1,900 @@
+import Check from "./Check.js";
+import Credit from "./Credit.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import Ellipsoid from "./Ellipsoid.js";
+import Event from "./Event.js";
+import fetchByteRange from "./fetchByteRange.js";
+import GeographicTilingScheme from "./GeographicTilingScheme.js";
+import HeightmapTerrainData from "./HeightmapTerrainData.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+import Resource from "./Resource.js";
+import RuntimeError from "./RuntimeError.js";
+import TaskProcessor from "./TaskProcessor.js";
+import TerrainProvider from "./TerrainProvider.js";
+import TileAvailability from "./TileAvailability.js";
+import WebMercatorProjection from "./WebMercatorProjection.js";
+
+// COG writers put all of the IFDs at the start of the file
+const INITIAL_FETCH_LENGTH = 65536;
+
+// Decoded source tiles are kept around since neighboring terrain tiles usually share them
+const maximumCachedTiles = 64;
+
+const Tag = {
+  NEW_SUBFILE_TYPE: 254,
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  SAMPLES_PER_PIXEL: 277,
+  PLANAR_CONFIGURATION: 284,
+  PREDICTOR: 317,
+  TILE_WIDTH: 322,
+  TILE_LENGTH: 323,
+  TILE_OFFSETS: 324,
+  TILE_BYTE_COUNTS: 325,
+  SAMPLE_FORMAT: 339,
+  MODEL_PIXEL_SCALE: 33550,
+  MODEL_TIEPOINT: 33922,
+  MODEL_TRANSFORMATION: 34264,
+  GEO_KEY_DIRECTORY: 34735,
+  GDAL_NODATA: 42113,
+};
+
+const GeoKey = {
+  MODEL_TYPE: 1024,
+  RASTER_TYPE: 1025,
+  PROJECTED_CS_TYPE: 3072,
+};
+
+// The size in bytes of each TIFF field type
+const fieldTypeSizes = [
+  0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8, 0, 0, 0, 8, 8, 8,
+];
+
+// Codes used for Web Mercator by various GeoTIFF writers
+const webMercatorCodes = [3857, 3785, 900913, 102100, 102113];
+
+const decodeTaskProcessor = new TaskProcessor("decodeGeoTiffTile");
+
+/**
+ * @typedef {object} CogTerrainProvider.ConstructorOptions
+ *
+ * CogTerrainProvider 构造函数的初始化选项
+ *
+ * @property {number} [heightmapSize=65] 每个高度图瓦片的行数和列数。
+ * @property {number} [noDataValue] 表示无数据的高程值。默认为 GeoTIFF 的 <code>GDAL_NODATA</code> 标签。
+ * @property {number} [noDataHeight=0.0] 在没有有效高程值的位置使用的高度。
+ * @property {Ellipsoid} [ellipsoid=Ellipsoid.default] 椭球体。如果未指定，则使用默认椭球体。
+ * @property {Credit|string} [credit] 数据源的信用信息，将显示在画布上。
+ */
+
+/**
+ * <div class="notice">
+ * 要构造一个 CogTerrainProvider，请调用 {@link CogTerrainProvider.fromUrl}。请不要直接调用构造函数。
+ * </div>
+ *
+ * 一个 {@link TerrainProvider}，通过 HTTP 范围请求读取云优化 GeoTIFF (COG) 数字高程模型。
+ * 对于每个地形瓦片，选择分辨率最接近的概览，在 Web Worker 中解码所需的未压缩、LZW 或 deflate 压缩的 GeoTIFF 瓦片，
+ * 然后将其重采样为 {@link GeographicTilingScheme} 上的 {@link HeightmapTerrainData}。
+ * 支持 EPSG:4326 和 EPSG:3857 坐标系中的单波段 GeoTIFF。
+ *
+ * @alias CogTerrainProvider
+ * @constructor
+ *
+ * @param {CogTerrainProvider.ConstructorOptions} [options] 描述初始化选项的对象。
+ *
+ * @example
+ * const terrainProvider = await Cesium.CogTerrainProvider.fromUrl(
+ *   "https://example.com/dem.tif"
+ * );
+ * viewer.terrainProvider = terrainProvider;
+ *
+ * @see TerrainProvider
+ * @see {@link https://www.cogeo.org/|Cloud Optimized GeoTIFF}
+ */
+function CogTerrainProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._heightmapSize = defaultValue(options.heightmapSize, 65);
+  this._noDataValue = options.noDataValue;
+  this._noDataHeight = defaultValue(options.noDataHeight, 0.0);
+
+  this._tilingScheme = new GeographicTilingScheme({
+    ellipsoid: defaultValue(options.ellipsoid, Ellipsoid.default),
+  });
+  this._levelZeroMaximumGeometricError =
+    TerrainProvider.getEstimatedLevelZeroGeometricErrorForAHeightmap(
+      this._tilingScheme.ellipsoid,
+      this._heightmapSize,
+      this._tilingScheme.getNumberOfXTilesAtLevel(0),
+    );
+
+  let credit = options.credit;
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+
+  this._errorEvent = new Event();
+
+  this._resource = undefined;
+  this._images = undefined;
+  this._projection = undefined;
+  this._rectangle = undefined;
+  this._availability = undefined;
+  this._tileCache = new Map();
+}
+
+Object.defineProperties(CogTerrainProvider.prototype, {
+  /**
+   * 获取一个事件，当地形提供者遇到异步错误时会触发该事件。通过订阅该事件，您将被通知错误，并可以潜在地从中恢复。事件监听器会接收到 {@link TileProviderError} 的实例。
+   * @memberof CogTerrainProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * 获取当该地形提供者处于活动状态时要显示的版权信息。通常用于给出地形的来源。
+   * @memberof CogTerrainProvider.prototype
+   * @type {Credit}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+
+  /**
+   * 获取此提供者使用的瓦片方案。
+   * @memberof CogTerrainProvider.prototype
+   * @type {GeographicTilingScheme}
+   * @readonly
+   */
+  tilingScheme: {
+    get: function () {
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * 获取一个值，指示提供者是否包含水面掩码。{@link CogTerrainProvider} 不支持水面掩码，因此返回值将始终为 false。
+   * @memberof CogTerrainProvider.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  hasWaterMask: {
+    get: function () {
+      return false;
+    },
+  },
+
+  /**
+   * 获取一个值，指示请求的瓦片是否包含顶点法线。{@link CogTerrainProvider} 不支持顶点法线，因此返回值将始终为 false。
+   * @memberof CogTerrainProvider.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  hasVertexNormals: {
+    get: function () {
+      return false;
+    },
+  },
+
+  /**
+   * 获取一个对象，用于确定来自该提供者的地形的可用性。GeoTIFF 覆盖范围内的瓦片在与其全分辨率图像相匹配的级别之前均可用。
+   * @memberof CogTerrainProvider.prototype
+   * @type {TileAvailability}
+   * @readonly
+   */
+  availability: {
+    get: function () {
+      return this._availability;
+    },
+  },
+
+  /**
+   * 获取 GeoTIFF 覆盖的矩形，以弧度表示。
+   * @memberof CogTerrainProvider.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * 获取 GeoTIFF 中全分辨率图像及其概览的数量。
+   * @memberof CogTerrainProvider.prototype
+   * @type {number}
+   * @readonly
+   */
+  imageCount: {
+    get: function () {
+      return this._images.length;
+    },
+  },
+});
+
+/**
+ * 创建一个 {@link TerrainProvider}，从云优化 GeoTIFF 中读取高程数据。
+ *
+ * @param {Resource|string} url GeoTIFF 的 URL。服务器必须支持 HTTP 范围请求。
+ * @param {CogTerrainProvider.ConstructorOptions} [options] 描述初始化选项的对象。
+ * @returns {Promise<CogTerrainProvider>}
+ *
+ * @exception {RuntimeError} 文件不是 TIFF 文件。
+ * @exception {RuntimeError} GeoTIFF 未分块，或者不支持其坐标系。
+ *
+ * @example
+ * const terrainProvider = await Cesium.CogTerrainProvider.fromUrl(
+ *   "https://example.com/dem.tif", {
+ *     noDataHeight: -10.0,
+ * });
+ * viewer.terrainProvider = terrainProvider;
+ */
+CogTerrainProvider.fromUrl = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const resource = Resource.createIfNeeded(url);
+  const images = await loadImages(resource);
+
+  const provider = new CogTerrainProvider(options);
+  provider._resource = resource;
+  initialize(provider, images);
+  return provider;
+};
+
+function TiffReader(resource, bytes) {
+  this.resource = resource;
+  this.bytes = bytes;
+
+  const byteOrder = String.fromCharCode(bytes[0], bytes[1]);
+  if (byteOrder !== "II" && byteOrder !== "MM") {
+    throw new RuntimeError("The file is not a TIFF file.");
+  }
+  this.littleEndian = byteOrder === "II";
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint16(2, this.littleEndian);
+  if (version === 42) {
+    this.bigTiff = false;
+    this.firstIfdOffset = view.getUint32(4, this.littleEndian);
+  } else if (version === 43) {
+    this.bigTiff = true;
+    this.firstIfdOffset = getUint64(view, 8, this.littleEndian);
+  } else {
+    throw new RuntimeError("The file is not a TIFF file.");
+  }
+}
+
+TiffReader.prototype.getBytes = function (offset, length) {
+  if (offset + length <= this.bytes.byteLength) {
+    return Promise.resolve(this.bytes.subarray(offset, offset + length));
+  }
+  return fetchByteRange(this.resource, offset, length);
+};
+
+function getUint64(view, offset, littleEndian) {
+  const low = view.getUint32(littleEndian ? offset : offset + 4, littleEndian);
+  const high = view.getUint32(littleEndian ? offset + 4 : offset, littleEndian);
+  return high * 4294967296 + low;
+}
+
+function readValues(bytes, type, count, littleEndian) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (type === 2) {
+    // ASCII values are null-terminated
+    return String.fromCharCode
+      .apply(null, bytes.subarray(0, count))
+      .replace(/\0+$/, "");
+  }
+
+  const size = fieldTypeSizes[type];
+  const values = new Array(count);
+  for (let i = 0; i < count; ++i) {
+    const offset = i * size;
+    switch (type) {
+      case 1:
+      case 7:
+        values[i] = view.getUint8(offset);
+        break;
+      case 6:
+        values[i] = view.getInt8(offset);
+        break;
+      case 3:
+        values[i] = view.getUint16(offset, littleEndian);
+        break;
+      case 8:
+        values[i] = view.getInt16(offset, littleEndian);
+        break;
+      case 4:
+        values[i] = view.getUint32(offset, littleEndian);
+        break;
+      case 9:
+        values[i] = view.getInt32(offset, littleEndian);
+        break;
+      case 5:
+        values[i] =
+          view.getUint32(offset, littleEndian) /
+          view.getUint32(offset + 4, littleEndian);
+        break;
+      case 10:
+        values[i] =
+          view.getInt32(offset, littleEndian) /
+          view.getInt32(offset + 4, littleEndian);
+        break;
+      case 11:
+        values[i] = view.getFloat32(offset, littleEndian);
+        break;
+      case 12:
+        values[i] = view.getFloat64(offset, littleEndian);
+        break;
+      case 16:
+      case 17:
+      case 18:
+        values[i] = getUint64(view, offset, littleEndian);
+        break;
+      default:
+        throw new RuntimeError(`Unsupported TIFF field type: ${type}`);
+    }
+  }
+  return values;
+}
+
+async function readIfd(reader, offset) {
+  const littleEndian = reader.littleEndian;
+  const bigTiff = reader.bigTiff;
+  const countSize = bigTiff ? 8 : 2;
+  const entrySize = bigTiff ? 20 : 12;
+  const valueSize = bigTiff ? 8 : 4;
+
+  let bytes = await reader.getBytes(offset, countSize);
+  let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const count = bigTiff
+    ? getUint64(view, 0, littleEndian)
+    : view.getUint16(0, littleEndian);
+
+  const length = countSize + count * entrySize + valueSize;
+  bytes = await reader.getBytes(offset, length);
+  view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const tags = {};
+  const promises = [];
+  for (let i = 0; i < count; ++i) {
+    const entryOffset = countSize + i * entrySize;
+    const tag = view.getUint16(entryOffset, littleEndian);
+    const type = view.getUint16(entryOffset + 2, littleEndian);
+    const valueCount = bigTiff
+      ? getUint64(view, entryOffset + 4, littleEndian)
+      : view.getUint32(entryOffset + 4, littleEndian);
+    const valueOffset = entryOffset + (bigTiff ? 12 : 8);
+    const byteLength = fieldTypeSizes[type] * valueCount;
+
+    if (byteLength <= valueSize) {
+      tags[tag] = readValues(
+        bytes.subarray(valueOffset, valueOffset + valueSize),
+        type,
+        valueCount,
+        littleEndian,
+      );
+    } else {
+      const dataOffset = bigTiff
+        ? getUint64(view, valueOffset, littleEndian)
+        : view.getUint32(valueOffset, littleEndian);
+      promises.push(
+        reader.getBytes(dataOffset, byteLength).then(function (data) {
+          tags[tag] = readValues(data, type, valueCount, littleEndian);
+        }),
+      );
+    }
+  }
+  await Promise.all(promises);
+
+  const nextOffsetPosition = countSize + count * entrySize;
+  const nextOffset = bigTiff
+    ? getUint64(view, nextOffsetPosition, littleEndian)
+    : view.getUint32(nextOffsetPosition, littleEndian);
+
+  return {
+    tags: tags,
+    nextOffset: nextOffset,
+  };
+}
+
+function getTag(tags, tag, defaultTagValue) {
+  const value = tags[tag];
+  return defined(value) ? value[0] : defaultTagValue;
+}
+
+async function loadImages(resource) {
+  const reader = new TiffReader(
+    resource,
+    await fetchByteRange(resource, 0, INITIAL_FETCH_LENGTH),
+  );
+
+  const images = [];
+  let offset = reader.firstIfdOffset;
+  while (offset !== 0) {
+    const ifd = await readIfd(reader, offset);
+    offset = ifd.nextOffset;
+
+    const tags = ifd.tags;
+    // Skip transparency masks
+    if ((getTag(tags, Tag.NEW_SUBFILE_TYPE, 0) & 4) !== 0) {
+      continue;
+    }
+    if (!defined(tags[Tag.TILE_WIDTH]) || !defined(tags[Tag.TILE_OFFSETS])) {
+      throw new RuntimeError("The GeoTIFF must be tiled.");
+    }
+
+    images.push({
+      tags: tags,
+      width: getTag(tags, Tag.IMAGE_WIDTH),
+      height: getTag(tags, Tag.IMAGE_LENGTH),
+      tileWidth: getTag(tags, Tag.TILE_WIDTH),
+      tileHeight: getTag(tags, Tag.TILE_LENGTH),
+      tileOffsets: tags[Tag.TILE_OFFSETS],
+      tileByteCounts: tags[Tag.TILE_BYTE_COUNTS],
+      compression: getTag(tags, Tag.COMPRESSION, 1),
+      predictor: getTag(tags, Tag.PREDICTOR, 1),
+      bitsPerSample: getTag(tags, Tag.BITS_PER_SAMPLE, 1),
+      sampleFormat: getTag(tags, Tag.SAMPLE_FORMAT, 1),
+      // Planar images store the first sample of every pixel in the first tiles
+      samplesPerPixel:
+        getTag(tags, Tag.PLANAR_CONFIGURATION, 1) === 2
+          ? 1
+          : getTag(tags, Tag.SAMPLES_PER_PIXEL, 1),
+      littleEndian: reader.littleEndian,
+    });
+  }
+
+  if (images.length === 0) {
+    throw new RuntimeError("The GeoTIFF does not contain any images.");
+  }
+
+  // Finest first
+  images.sort(function (a, b) {
+    return b.width - a.width;
+  });
+  return images;
+}
+
+function getGeoKeys(tags) {
+  const keys = {};
+  const directory = tags[Tag.GEO_KEY_DIRECTORY];
+  if (!defined(directory)) {
+    return keys;
+  }
+
+  const count = directory[3];
+  for (let i = 0; i < count; ++i) {
+    const entry = 4 + i * 4;
+    // Only keys stored directly in the directory are needed
+    if (directory[entry + 1] === 0) {
+      keys[directory[entry]] = directory[entry + 3];
+    }
+  }
+  return keys;
+}
+
+function initialize(provider, images) {
+  const image = images[0];
+  const tags = image.tags;
+  const geoKeys = getGeoKeys(tags);
+
+  if (geoKeys[GeoKey.MODEL_TYPE] === 1) {
+    if (webMercatorCodes.indexOf(geoKeys[GeoKey.PROJECTED_CS_TYPE]) === -1) {
+      throw new RuntimeError(
+        `The GeoTIFF coordinate system EPSG:${
+          geoKeys[GeoKey.PROJECTED_CS_TYPE]
+        } is not supported.`,
+      );
+    }
+    provider._projection = new WebMercatorProjection(
+      provider._tilingScheme.ellipsoid,
+    );
+  } else {
+    // Geographic coordinates in degrees
+    provider._projection = undefined;
+  }
+
+  let originX;
+  let originY;
+  let pixelWidth;
+  let pixelHeight;
+  const transformation = tags[Tag.MODEL_TRANSFORMATION];
+  if (defined(transformation)) {
+    pixelWidth = transformation[0];
+    pixelHeight = -transformation[5];
+    originX = transformation[3];
+    originY = transformation[7];
+  } else {
+    const scale = tags[Tag.MODEL_PIXEL_SCALE];
+    const tiepoint = tags[Tag.MODEL_TIEPOINT];
+    if (!defined(scale) || !defined(tiepoint)) {
+      throw new RuntimeError("The GeoTIFF is not georeferenced.");
+    }
+    pixelWidth = scale[0];
+    pixelHeight = scale[1];
+    originX = tiepoint[3] - tiepoint[0] * pixelWidth;
+    originY = tiepoint[4] + tiepoint[1] * pixelHeight;
+  }
+
+  // Move the origin from the center to the corner of the first pixel
+  if (geoKeys[GeoKey.RASTER_TYPE] === 2) {
+    originX -= pixelWidth * 0.5;
+    originY += pixelHeight * 0.5;
+  }
+
+  // Overviews cover the same area with fewer pixels
+  for (let i = 0; i < images.length; ++i) {
+    images[i].pixelWidth = (pixelWidth * image.width) / images[i].width;
+    images[i].pixelHeight = (pixelHeight * image.height) / images[i].height;
+    images[i].tilesAcross = Math.ceil(images[i].width / images[i].tileWidth);
+    images[i].tilesDown = Math.ceil(images[i].height / images[i].tileHeight);
+  }
+
+  provider._images = images;
+  provider._originX = originX;
+  provider._originY = originY;
+
+  if (!defined(provider._noDataValue) && defined(tags[Tag.GDAL_NODATA])) {
+    provider._noDataValue = parseFloat(tags[Tag.GDAL_NODATA]);
+  }
+
+  const west = toLongitude(provider, originX);
+  const east = toLongitude(provider, originX + image.width * pixelWidth);
+  const north = toLatitude(provider, originY);
+  const south = toLatitude(provider, originY - image.height * pixelHeight);
+  provider._rectangle = new Rectangle(
+    CesiumMath.clamp(west, -CesiumMath.PI, CesiumMath.PI),
+    CesiumMath.clamp(south, -CesiumMath.PI_OVER_TWO, CesiumMath.PI_OVER_TWO),
+    CesiumMath.clamp(east, -CesiumMath.PI, CesiumMath.PI),
+    CesiumMath.clamp(north, -CesiumMath.PI_OVER_TWO, CesiumMath.PI_OVER_TWO),
+  );
+
+  provider._availability = createAvailability(provider);
+}
+
+function getRadiansPerUnit(provider) {
+  if (defined(provider._projection)) {
+    return provider._projection._oneOverSemimajorAxis;
+  }
+  return CesiumMath.RADIANS_PER_DEGREE;
+}
+
+function toLongitude(provider, x) {
+  return x * getRadiansPerUnit(provider);
+}
+
+function toLatitude(provider, y) {
+  if (defined(provider._projection)) {
+    return WebMercatorProjection.mercatorAngleToGeodeticLatitude(
+      y * provider._projection._oneOverSemimajorAxis,
+    );
+  }
+  return y * CesiumMath.RADIANS_PER_DEGREE;
+}
+
+function fromLongitude(provider, longitude) {
+  return longitude / getRadiansPerUnit(provider);
+}
+
+function fromLatitude(provider, latitude) {
+  if (defined(provider._projection)) {
+    return (
+      WebMercatorProjection.geodeticLatitudeToMercatorAngle(latitude) /
+      provider._projection._oneOverSemimajorAxis
+    );
+  }
+  return latitude / CesiumMath.RADIANS_PER_DEGREE;
+}
+
+function createAvailability(provider) {
+  const tilingScheme = provider._tilingScheme;
+
+  // The maximum level is the first one where the heightmap samples are as close as the pixels
+  const pixelSize =
+    provider._images[0].pixelWidth * getRadiansPerUnit(provider);
+  const levelZeroSpacing =
+    tilingScheme.rectangle.width /
+    tilingScheme.getNumberOfXTilesAtLevel(0) /
+    (provider._heightmapSize - 1);
+  const maximumLevel = Math.max(
+    0,
+    Math.ceil(Math.log2(levelZeroSpacing / pixelSize)),
+  );
+
+  const availability = new TileAvailability(tilingScheme, maximumLevel);
+
+  // The globe always needs the level zero tiles, even where there is no data
+  availability.addAvailableTileRange(
+    0,
+    0,
+    0,
+    tilingScheme.getNumberOfXTilesAtLevel(0) - 1,
+    tilingScheme.getNumberOfYTilesAtLevel(0) - 1,
+  );
+
+  const rectangle = provider._rectangle;
+  const northwest = Rectangle.northwest(rectangle);
+  const southeast = Rectangle.southeast(rectangle);
+  for (let level = 1; level <= maximumLevel; ++level) {
+    const start = tilingScheme.positionToTileXY(northwest, level);
+    const end = tilingScheme.positionToTileXY(southeast, level);
+    availability.addAvailableTileRange(level, start.x, start.y, end.x, end.y);
+  }
+
+  return availability;
+}
+
+// Chooses the coarsest image whose pixels are no larger than the spacing of the heightmap samples
+function selectImage(provider, rectangle) {
+  const images = provider._images;
+  const spacing =
+    rectangle.width /
+    (provider._heightmapSize - 1) /
+    getRadiansPerUnit(provider);
+  for (let i = images.length - 1; i > 0; --i) {
+    if (images[i].pixelWidth <= spacing) {
+      return i;
+    }
+  }
+  return 0;
+}
+
+function loadTile(provider, imageIndex, tileIndex) {
+  const key = `${imageIndex}/${tileIndex}`;
+  const tileCache = provider._tileCache;
+  let promise = tileCache.get(key);
+  if (defined(promise)) {
+    return promise;
+  }
+
+  const image = provider._images[imageIndex];
+  const byteCount = image.tileByteCounts[tileIndex];
+
+  // Sparse GeoTIFFs omit tiles without data
+  if (!defined(byteCount) || byteCount === 0) {
+    return Promise.resolve(undefined);
+  }
+
+  promise = fetchByteRange(
+    provider._resource,
+    image.tileOffsets[tileIndex],
+    byteCount,
+  ).then(function (bytes) {
+    const buffer = bytes.slice().buffer;
+    return decodeTaskProcessor.scheduleTask(
+      {
+        buffer: buffer,
+        width: image.tileWidth,
+        height: image.tileHeight,
+        compression: image.compression,
+        predictor: image.predictor,
+        bitsPerSample: image.bitsPerSample,
+        sampleFormat: image.sampleFormat,
+        samplesPerPixel: image.samplesPerPixel,
+        littleEndian: image.littleEndian,
+      },
+      [buffer],
+    );
+  });
+
+  tileCache.set(key, promise);
+  if (tileCache.size > maximumCachedTiles) {
+    tileCache.delete(tileCache.keys().next().value);
+  }
+  promise.catch(function () {
+    tileCache.delete(key);
+  });
+
+  return promise;
+}
+
+/**
+ * 请求给定瓦片的几何数据。结果包括地形数据，并指示哪些子瓦片可用。
+ *
+ * @param {number} x 要请求几何数据的瓦片的 X 坐标。
+ * @param {number} y 要请求几何数据的瓦片的 Y 坐标。
+ * @param {number} level 要请求几何数据的瓦片的级别。
+ * @param {Request} [request] 请求对象。仅供内部使用。
+ * @returns {Promise<TerrainData>|undefined} 请求的几何数据的承诺。如果此方法返回未定义而不是承诺，表示已经有太多请求在等待，将稍后重试该请求。
+ */
+CogTerrainProvider.prototype.requestTileGeometry = function (
+  x,
+  y,
+  level,
+  request,
+) {
+  const rectangle = this._tilingScheme.tileXYToRectangle(x, y, level);
+  const imageIndex = selectImage(this, rectangle);
+  const image = this._images[imageIndex];
+  const size = this._heightmapSize;
+
+  // The position of each heightmap column and row in the pixels of the image
+  const columns = new Float64Array(size);
+  const rows = new Float64Array(size);
+  for (let i = 0; i < size; ++i) {
+    const longitude = rectangle.west + (i / (size - 1)) * rectangle.width;
+    const latitude = rectangle.north - (i / (size - 1)) * rectangle.height;
+    columns[i] =
+      (fromLongitude(this, longitude) - this._originX) / image.pixelWidth - 0.5;
+    rows[i] =
+      (this._originY - fromLatitude(this, latitude)) / image.pixelHeight - 0.5;
+  }
+
+  // Load the source tiles that cover the heightmap
+  const firstColumn = CesiumMath.clamp(
+    Math.floor(columns[0]),
+    0,
+    image.width - 1,
+  );
+  const lastColumn = CesiumMath.clamp(
+    Math.floor(columns[size - 1]) + 1,
+    0,
+    image.width - 1,
+  );
+  const firstRow = CesiumMath.clamp(Math.floor(rows[0]), 0, image.height - 1);
+  const lastRow = CesiumMath.clamp(
+    Math.floor(rows[size - 1]) + 1,
+    0,
+    image.height - 1,
+  );
+
+  const tileIndices = [];
+  const promises = [];
+  const intersects = defined(
+    Rectangle.simpleIntersection(rectangle, this._rectangle),
+  );
+  if (intersects) {
+    const firstTileX = Math.floor(firstColumn / image.tileWidth);
+    const lastTileX = Math.floor(lastColumn / image.tileWidth);
+    const firstTileY = Math.floor(firstRow / image.tileHeight);
+    const lastTileY = Math.floor(lastRow / image.tileHeight);
+    for (let tileY = firstTileY; tileY <= lastTileY; ++tileY) {
+      for (let tileX = firstTileX; tileX <= lastTileX; ++tileX) {
+        const tileIndex = tileY * image.tilesAcross + tileX;
+        tileIndices.push(tileIndex);
+        promises.push(loadTile(this, imageIndex, tileIndex));
+      }
+    }
+  }
+
+  const that = this;
+  return Promise.all(promises).then(function (tiles) {
+    const tilesByIndex = {};
+    for (let i = 0; i < tileIndices.length; ++i) {
+      tilesByIndex[tileIndices[i]] = tiles[i];
+    }
+
+    return new HeightmapTerrainData({
+      buffer: resample(that, image, tilesByIndex, columns, rows),
+      width: size,
+      height: size,
+      childTileMask: that._availability.computeChildMaskForTile(level, x, y),
+      credits: defined(that._credit) ? [that._credit] : undefined,
+    });
+  });
+};
+
+function resample(provider, image, tiles, columns, rows) {
+  const size = columns.length;
+  const noDataValue = provider._noDataValue;
+  const noDataHeight = provider._noDataHeight;
+  const heights = new Float32Array(size * size);
+
+  // Returns undefined for pixels outside of the image or without data
+  function getPixel(column, row) {
+    if (column < 0 || row < 0 || column >= image.width || row >= image.height) {
+      return undefined;
+    }
+    const tileX = Math.floor(column / image.tileWidth);
+    const tileY = Math.floor(row / image.tileHeight);
+    const tile = tiles[tileY * image.tilesAcross + tileX];
+    if (!defined(tile)) {
+      return undefined;
+    }
+    const value =
+      tile[
+        (row - tileY * image.tileHeight) * image.tileWidth +
+          (column - tileX * image.tileWidth)
+      ];
+    if (value === noDataValue || isNaN(value)) {
+      return undefined;
+    }
+    return value;
+  }
+
+  for (let j = 0; j < size; ++j) {
+    const row = rows[j];
+    const row0 = Math.floor(row);
+    const rowFraction = row - row0;
+    const outsideRows = row < -0.5 || row > image.height - 0.5;
+
+    for (let i = 0; i < size; ++i) {
+      const column = columns[i];
+      if (outsideRows || column < -0.5 || column > image.width - 0.5) {
+        heights[j * size + i] = noDataHeight;
+        continue;
+      }
+
+      const column0 = Math.floor(column);
+      const columnFraction = column - column0;
+
+      // Bilinear interpolation that ignores pixels without data
+      let sum = 0.0;
+      let weightSum = 0.0;
+      for (let k = 0; k < 4; ++k) {
+        const dx = k & 1;
+        const dy = k >> 1;
+        const value = getPixel(
+          CesiumMath.clamp(column0 + dx, 0, image.width - 1),
+          CesiumMath.clamp(row0 + dy, 0, image.height - 1),
+        );
+        if (defined(value)) {
+          const weight =
+            (dx === 1 ? columnFraction : 1.0 - columnFraction) *
+            (dy === 1 ? rowFraction : 1.0 - rowFraction);
+          sum += value * weight;
+          weightSum += weight;
+        }
+      }
+
+      heights[j * size + i] = weightSum > 0.0 ? sum / weightSum : noDataHeight;
+    }
+  }
+
+  return heights;
+}
+
+/**
+ * 获取在给定级别的瓦片中允许的最大几何误差。
+ *
+ * @param {number} level 要获取最大几何误差的瓦片级别。
+ * @returns {number} 最大几何误差。
+ */
+CogTerrainProvider.prototype.getLevelMaximumGeometricError = function (level) {
+  return this._levelZeroMaximumGeometricError / (1 << level);
+};
+
+/**
+ * 确定瓦片的数据是否可加载。
+ *
+ * @param {number} x 请求几何数据的瓦片的 X 坐标。
+ * @param {number} y 请求几何数据的瓦片的 Y 坐标。
+ * @param {number} level 请求几何数据的瓦片的级别。
+ * @returns {boolean|undefined} 如果不支持则为 undefined，否则为 true 或 false。
+ */
+CogTerrainProvider.prototype.getTileDataAvailable = function (x, y, level) {
+  return this._availability.isTileAvailable(level, x, y);
+};
+
+/**
+ * 确保我们加载瓦片的可用性数据。可用性在创建时由 GeoTIFF 的范围和分辨率确定，因此此方法始终返回 undefined。
+ *
+ * @param {number} x 请求几何数据的瓦片的 X 坐标。
+ * @param {number} y 请求几何数据的瓦片的 Y 坐标。
+ * @param {number} level 请求几何数据的瓦片的级别。
+ * @returns {undefined} 没有需要加载的内容。
+ */
+CogTerrainProvider.prototype.loadTileDataAvailability = function (x, y, level) {
+  return undefined;
+};
+
+export default CogTerrainProvider;
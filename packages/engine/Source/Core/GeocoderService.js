@@ -19,6 +19,7 @@ import DeveloperError from "./DeveloperError.js";
  * @see BingMapsGeocoderService
  * @see PeliasGeocoderService
  * @see OpenCageGeocoderService
+ * @see NominatimGeocoderService
  */
 
 function GeocoderService() {
@@ -65,4 +66,16 @@ GeocoderService.getCreditsFromResult = function (geocoderResult) {
  */
 
 GeocoderService.prototype.geocode = DeveloperError.throwInstantiationError;
+
+/**
+ * 对位置进行反向地理编码，返回该位置的地址或地名。
+ * 此函数是可选的，不需要实现。如果已实现，{@link Geocoder} 小部件会在用户输入坐标时使用它来显示该位置的名称。
+ *
+ * @name GeocoderService.prototype.reverseGeocode
+ * @function
+ *
+ * @param {Cartographic} position 要进行反向地理编码的位置
+ * @returns {Promise<GeocoderService.Result[]>}
+ */
+
 export default GeocoderService;
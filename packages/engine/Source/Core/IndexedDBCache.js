@@ -0,0 +1,478 @@
+import Uri from "urijs";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import RuntimeError from "./RuntimeError.js";
+
+const DATA_STORE = "data";
+const METADATA_STORE = "metadata";
+const LAST_ACCESSED_INDEX = "lastAccessed";
+const ACCESS_TIME_WRITE_DELAY = 1000;
+
+/**
+ * 使用浏览器的 IndexedDB 存储数据的 {@link PersistentCache}。缓存的总大小受 <code>maximumSize</code> 限制，
+ * 超出时会先移除最近最少使用的条目。
+ *
+ * @alias IndexedDBCache
+ * @constructor
+ * @extends PersistentCache
+ *
+ * @param {object} [options] 具有以下属性的对象：
+ * @param {string} [options.name="cesium-cache"] IndexedDB 数据库的名称。使用不同名称的缓存彼此独立。
+ * @param {number} [options.maximumSize=268435456] 缓存数据的最大总字节数。
+ * @param {boolean} [options.offline=false] 缓存是否处于离线模式。参见 {@link PersistentCache#offline}。
+ * @param {string[]} [options.ignoredQueryParameters=["access_token"]] 计算缓存键时忽略的查询参数名称，例如在每个会话中都会变化的访问令牌。
+ *
+ * @exception {RuntimeError} 此浏览器不支持 IndexedDB。
+ *
+ * @example
+ * const cache = new Cesium.IndexedDBCache({
+ *   name: "field-tiles",
+ *   maximumSize: 1024 * 1024 * 1024,
+ * });
+ * Cesium.Resource.persistentCache = cache;
+ *
+ * // Later, when there is no connectivity
+ * cache.offline = true;
+ *
+ * @see Resource.persistentCache
+ * @see seedPersistentCache
+ */
+function IndexedDBCache(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  if (!IndexedDBCache.isSupported()) {
+    throw new RuntimeError("IndexedDB is not supported in this browser.");
+  }
+
+  /**
+   * 缓存数据的最大总字节数。当缓存超过此大小时，将移除最近最少使用的条目。
+   * @type {number}
+   * @default 268435456
+   */
+  this.maximumSize = defaultValue(options.maximumSize, 268435456);
+
+  /**
+   * 缓存是否处于离线模式。在离线模式下，{@link Resource} 只从缓存中提供数据。
+   * @type {boolean}
+   * @default false
+   */
+  this.offline = defaultValue(options.offline, false);
+
+  this._name = defaultValue(options.name, "cesium-cache");
+  this._ignoredQueryParameters = defaultValue(options.ignoredQueryParameters, [
+    "access_token",
+  ]);
+  this._databasePromise = undefined;
+  this._size = undefined;
+  this._accessTimes = {};
+  this._accessTimeout = undefined;
+}
+
+Object.defineProperties(IndexedDBCache.prototype, {
+  /**
+   * 获取 IndexedDB 数据库的名称。
+   * @memberof IndexedDBCache.prototype
+   * @type {string}
+   * @readonly
+   */
+  name: {
+    get: function () {
+      return this._name;
+    },
+  },
+});
+
+/**
+ * 确定此浏览器是否支持 IndexedDB。
+ *
+ * @returns {boolean} 如果支持 IndexedDB，则为 <code>true</code>；否则为 <code>false</code>。
+ */
+IndexedDBCache.isSupported = function () {
+  return typeof indexedDB !== "undefined";
+};
+
+function requestToPromise(request) {
+  return new Promise(function (resolve, reject) {
+    request.onsuccess = function () {
+      resolve(request.result);
+    };
+    request.onerror = function () {
+      reject(request.error);
+    };
+  });
+}
+
+function transactionToPromise(transaction) {
+  return new Promise(function (resolve, reject) {
+    transaction.oncomplete = function () {
+      resolve();
+    };
+    transaction.onerror = transaction.onabort = function () {
+      reject(transaction.error);
+    };
+  });
+}
+
+function openDatabase(cache) {
+  if (defined(cache._databasePromise)) {
+    return cache._databasePromise;
+  }
+
+  const request = indexedDB.open(cache._name, 1);
+  request.onupgradeneeded = function () {
+    const database = request.result;
+    database.createObjectStore(DATA_STORE, { keyPath: "key" });
+    const metadata = database.createObjectStore(METADATA_STORE, {
+      keyPath: "key",
+    });
+    metadata.createIndex(LAST_ACCESSED_INDEX, LAST_ACCESSED_INDEX);
+  };
+
+  cache._databasePromise = requestToPromise(request)
+    .then(function (database) {
+      // Let other tabs upgrade or delete the database
+      database.onversionchange = function () {
+        database.close();
+        cache._databasePromise = undefined;
+      };
+
+      // The total size is only tracked in memory, so sum the metadata once.
+      // The data store is never read here to keep opening the cache cheap.
+      const transaction = database.transaction(METADATA_STORE, "readonly");
+      return requestToPromise(
+        transaction.objectStore(METADATA_STORE).getAll(),
+      ).then(function (entries) {
+        let size = 0;
+        for (let i = 0; i < entries.length; ++i) {
+          size += entries[i].size;
+        }
+        cache._size = size;
+        return database;
+      });
+    })
+    .catch(function (error) {
+      cache._databasePromise = undefined;
+      return Promise.reject(error);
+    });
+
+  return cache._databasePromise;
+}
+
+/**
+ * 获取给定 URL 在数据库中的键，移除被忽略的查询参数。
+ *
+ * @param {string} url 资源的 URL。
+ * @returns {string} 缓存键。
+ * @private
+ */
+IndexedDBCache.prototype.getKey = function (url) {
+  const ignoredQueryParameters = this._ignoredQueryParameters;
+  if (ignoredQueryParameters.length === 0 || url.indexOf("?") === -1) {
+    return url;
+  }
+  return new Uri(url).removeQuery(ignoredQueryParameters).toString();
+};
+
+// Reads only record the access time in memory, so they don't need a readwrite
+// transaction. The access times are written in batches later on, or right
+// before evicting so the least recently used order is up to date.
+function writeAccessTimes(cache, database) {
+  const accessTimes = cache._accessTimes;
+  const keys = Object.keys(accessTimes);
+  if (keys.length === 0) {
+    return Promise.resolve();
+  }
+  cache._accessTimes = {};
+
+  const transaction = database.transaction(METADATA_STORE, "readwrite");
+  const metadataStore = transaction.objectStore(METADATA_STORE);
+  for (let i = 0; i < keys.length; ++i) {
+    updateAccessTime(metadataStore, keys[i], accessTimes[keys[i]]);
+  }
+  return transactionToPromise(transaction);
+}
+
+function updateAccessTime(metadataStore, key, lastAccessed) {
+  const request = metadataStore.get(key);
+  request.onsuccess = function () {
+    // The entry may have been removed since it was read
+    const metadata = request.result;
+    if (defined(metadata)) {
+      metadata.lastAccessed = lastAccessed;
+      metadataStore.put(metadata);
+    }
+  };
+}
+
+function scheduleAccessTimes(cache) {
+  if (defined(cache._accessTimeout)) {
+    return;
+  }
+  cache._accessTimeout = setTimeout(function () {
+    cache._accessTimeout = undefined;
+    openDatabase(cache)
+      .then(function (database) {
+        return writeAccessTimes(cache, database);
+      })
+      .catch(function () {
+        // Access times only order eviction, so losing some is harmless
+      });
+  }, ACCESS_TIME_WRITE_DELAY);
+}
+
+/**
+ * 获取给定 URL 的缓存条目，并将其标记为最近使用。
+ *
+ * @param {string} url 资源的 URL。
+ * @returns {Promise<PersistentCache.Entry|undefined>} 一个 Promise，解析为缓存条目；如果缓存中不存在该 URL，则解析为 <code>undefined</code>。
+ */
+IndexedDBCache.prototype.get = function (url) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("url", url);
+  //>>includeEnd('debug');
+
+  const cache = this;
+  const key = this.getKey(url);
+  return openDatabase(this).then(function (database) {
+    const transaction = database.transaction(DATA_STORE, "readonly");
+    return requestToPromise(transaction.objectStore(DATA_STORE).get(key)).then(
+      function (record) {
+        if (!defined(record)) {
+          return undefined;
+        }
+        cache._accessTimes[key] = Date.now();
+        scheduleAccessTimes(cache);
+        return {
+          data: record.data,
+          contentType: record.contentType,
+        };
+      },
+    );
+  });
+};
+
+/**
+ * 将给定 URL 的数据存入缓存，替换任何现有条目。如果缓存超过 <code>maximumSize</code>，
+ * 将移除最近最少使用的条目。大于 <code>maximumSize</code> 的数据不会被存储。
+ *
+ * @param {string} url 资源的 URL。
+ * @param {ArrayBuffer} data 资源的数据。
+ * @param {string} [contentType] 资源的 MIME 类型。
+ * @returns {Promise<void>} 一个 Promise，在数据存储完成后解析。
+ */
+IndexedDBCache.prototype.put = function (url, data, contentType) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("url", url);
+  Check.defined("data", data);
+  //>>includeEnd('debug');
+
+  const cache = this;
+  const key = this.getKey(url);
+  const size = data.byteLength;
+  if (size > this.maximumSize) {
+    return Promise.resolve();
+  }
+
+  function write(database) {
+    const transaction = database.transaction(
+      [DATA_STORE, METADATA_STORE],
+      "readwrite",
+    );
+    const metadataStore = transaction.objectStore(METADATA_STORE);
+
+    let previousSize = 0;
+    const request = metadataStore.get(key);
+    request.onsuccess = function () {
+      if (defined(request.result)) {
+        previousSize = request.result.size;
+      }
+    };
+    transaction.objectStore(DATA_STORE).put({
+      key: key,
+      data: data,
+      contentType: contentType,
+    });
+    metadataStore.put({
+      key: key,
+      size: size,
+      lastAccessed: Date.now(),
+    });
+
+    return transactionToPromise(transaction).then(function () {
+      cache._size += size - previousSize;
+    });
+  }
+
+  return openDatabase(this).then(function (database) {
+    return write(database)
+      .catch(function (error) {
+        if (!defined(error) || error.name !== "QuotaExceededError") {
+          return Promise.reject(error);
+        }
+        // The browser ran out of storage before maximumSize was reached,
+        // so free up half of what is cached and try once more.
+        return evict(cache, database, cache._size / 2).then(function () {
+          return write(database);
+        });
+      })
+      .then(function () {
+        if (cache._size > cache.maximumSize) {
+          return evict(cache, database, cache.maximumSize);
+        }
+      });
+  });
+};
+
+function evict(cache, database, targetSize) {
+  return writeAccessTimes(cache, database).then(function () {
+    return evictLeastRecentlyUsed(cache, database, targetSize);
+  });
+}
+
+function evictLeastRecentlyUsed(cache, database, targetSize) {
+  const transaction = database.transaction(
+    [DATA_STORE, METADATA_STORE],
+    "readwrite",
+  );
+  const dataStore = transaction.objectStore(DATA_STORE);
+  const metadataStore = transaction.objectStore(METADATA_STORE);
+
+  // Other puts may complete while evicting, so only subtract what was evicted
+  // from the current size instead of overwriting it.
+  let evictedSize = 0;
+  const request = metadataStore.index(LAST_ACCESSED_INDEX).openCursor();
+  request.onsuccess = function () {
+    const cursor = request.result;
+    if (!defined(cursor) || cache._size - evictedSize <= targetSize) {
+      return;
+    }
+    dataStore.delete(cursor.value.key);
+    cursor.delete();
+    evictedSize += cursor.value.size;
+    cursor.continue();
+  };
+
+  return transactionToPromise(transaction).then(function () {
+    cache._size -= evictedSize;
+  });
+}
+
+/**
+ * 从缓存中移除给定 URL 的条目。
+ *
+ * @param {string} url 资源的 URL。
+ * @returns {Promise<boolean>} 一个 Promise，如果条目被移除则解析为 <code>true</code>，否则解析为 <code>false</code>。
+ */
+IndexedDBCache.prototype.remove = function (url) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("url", url);
+  //>>includeEnd('debug');
+
+  const cache = this;
+  const key = this.getKey(url);
+  return openDatabase(this).then(function (database) {
+    const transaction = database.transaction(
+      [DATA_STORE, METADATA_STORE],
+      "readwrite",
+    );
+    const metadataStore = transaction.objectStore(METADATA_STORE);
+
+    let removedSize;
+    const request = metadataStore.get(key);
+    request.onsuccess = function () {
+      if (!defined(request.result)) {
+        return;
+      }
+      removedSize = request.result.size;
+      metadataStore.delete(key);
+      transaction.objectStore(DATA_STORE).delete(key);
+    };
+
+    return transactionToPromise(transaction).then(function () {
+      if (!defined(removedSize)) {
+        return false;
+      }
+      cache._size -= removedSize;
+      return true;
+    });
+  });
+};
+
+/**
+ * 移除缓存中的所有条目。
+ *
+ * @returns {Promise<void>} 一个 Promise，在缓存清空后解析。
+ */
+IndexedDBCache.prototype.clear = function () {
+  const cache = this;
+  return openDatabase(this).then(function (database) {
+    const transaction = database.transaction(
+      [DATA_STORE, METADATA_STORE],
+      "readwrite",
+    );
+    transaction.objectStore(DATA_STORE).clear();
+    transaction.objectStore(METADATA_STORE).clear();
+    return transactionToPromise(transaction).then(function () {
+      cache._size = 0;
+    });
+  });
+};
+
+/**
+ * 获取缓存数据的总字节数。
+ *
+ * @returns {Promise<number>} 一个 Promise，解析为缓存数据的总字节数。
+ */
+IndexedDBCache.prototype.getSize = function () {
+  const cache = this;
+  return openDatabase(this).then(function () {
+    return cache._size;
+  });
+};
+
+/**
+ * 请求浏览器将此源的存储标记为持久化，使其在存储空间不足时不会被浏览器自动清除。
+ * 对于需要长时间离线工作的应用程序，应在缓存数据之前调用此函数。
+ *
+ * @returns {Promise<boolean>} 一个 Promise，如果存储已被持久化则解析为 <code>true</code>，否则解析为 <code>false</code>。
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/StorageManager/persist|StorageManager.persist()}
+ */
+IndexedDBCache.requestPersistentStorage = function () {
+  if (
+    typeof navigator === "undefined" ||
+    !defined(navigator.storage) ||
+    !defined(navigator.storage.persist)
+  ) {
+    return Promise.resolve(false);
+  }
+  return navigator.storage.persist();
+};
+
+/**
+ * 关闭数据库连接并删除此缓存的 IndexedDB 数据库。
+ *
+ * @returns {Promise<void>} 一个 Promise，在数据库删除后解析。
+ */
+IndexedDBCache.prototype.deleteDatabase = function () {
+  const cache = this;
+  clearTimeout(this._accessTimeout);
+  this._accessTimeout = undefined;
+  this._accessTimes = {};
+  const databasePromise = defined(this._databasePromise)
+    ? this._databasePromise.catch(function () {})
+    : Promise.resolve();
+  return databasePromise.then(function (database) {
+    if (defined(database)) {
+      database.close();
+    }
+    cache._databasePromise = undefined;
+    cache._size = undefined;
+    return requestToPromise(indexedDB.deleteDatabase(cache._name)).then(
+      function () {},
+    );
+  });
+};
+
+export default IndexedDBCache;
@@ -0,0 +1,178 @@
+import Cartesian3 from "./Cartesian3.js";
+import Check from "./Check.js";
+import combine from "./combine.js";
+import Credit from "./Credit.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import GeocodeType from "./GeocodeType.js";
+import CesiumMath from "./Math.js";
+import Rectangle from "./Rectangle.js";
+import Resource from "./Resource.js";
+
+/**
+ * 通过 {@link https://nominatim.org/|Nominatim} 服务器提供地理编码和反向地理编码服务，
+ * 例如自托管的 OpenStreetMap Nominatim 实例。
+ * <p>
+ * 公共的 OpenStreetMap Nominatim 服务器有使用政策，禁止自动补全查询。使用公共服务器时，
+ * 请将 <code>autocomplete</code> 设置为 <code>false</code>。
+ * </p>
+ * @alias NominatimGeocoderService
+ * @constructor
+ *
+ * @param {object} options 包含以下属性的对象：
+ * @param {Resource|string} options.url Nominatim 服务器的端点。
+ * @param {object} [options.params] 传递给 Nominatim 的附加查询参数，例如 <code>countrycodes</code>、<code>limit</code> 或 <code>accept-language</code>。
+ * @param {boolean} [options.autocomplete=true] 如果为 <code>true</code>，则在 {@link GeocodeType.AUTOCOMPLETE} 地理编码时查询服务器；否则不返回任何结果。
+ * @param {Credit|string} [options.credit] 执行地理编码后显示的信用信息。默认为 OpenStreetMap 贡献者。
+ *
+ * @example
+ * // 配置一个使用自托管 Nominatim 服务器的 Viewer
+ * const viewer = new Cesium.Viewer('cesiumContainer', {
+ *   geocoder: new Cesium.NominatimGeocoderService({
+ *     url: 'https://nominatim.example.com/',
+ *     params: {
+ *       countrycodes: 'de,at,ch'
+ *     }
+ *   })
+ * });
+ *
+ * @see GeocoderService
+ */
+function NominatimGeocoderService(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.url", options.url);
+  if (defined(options.params)) {
+    Check.typeOf.object("options.params", options.params);
+  }
+  //>>includeEnd('debug');
+
+  this._url = Resource.createIfNeeded(options.url);
+  this._url.appendForwardSlash();
+  this._params = defaultValue(options.params, {});
+  this._autocomplete = defaultValue(options.autocomplete, true);
+
+  let credit = defaultValue(
+    options.credit,
+    `Geodata copyright <a href="https://www.openstreetmap.org/">OpenStreetMap</a> contributors`,
+  );
+  if (typeof credit === "string") {
+    credit = new Credit(credit, false);
+  }
+  this._credit = credit;
+}
+
+Object.defineProperties(NominatimGeocoderService.prototype, {
+  /**
+   * 用于访问 Nominatim 端点的资源。
+   * @type {Resource}
+   * @memberof NominatimGeocoderService.prototype
+   * @readonly
+   */
+  url: {
+    get: function () {
+      return this._url;
+    },
+  },
+
+  /**
+   * 传递给 Nominatim 的附加查询参数。
+   * @type {object}
+   * @memberof NominatimGeocoderService.prototype
+   * @readonly
+   */
+  params: {
+    get: function () {
+      return this._params;
+    },
+  },
+
+  /**
+   * 获取在执行地理编码后显示的信用信息。通常用于给予地理编码服务以信用。
+   * @memberof NominatimGeocoderService.prototype
+   * @type {Credit|undefined}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+});
+
+/**
+ * @function
+ *
+ * @param {string} query 要发送到地理编码服务的查询。
+ * @param {GeocodeType} [type=GeocodeType.SEARCH] 要执行的地理编码类型。
+ * @returns {Promise<GeocoderService.Result[]>}
+ */
+NominatimGeocoderService.prototype.geocode = async function (query, type) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.string("query", query);
+  //>>includeEnd('debug');
+
+  if (type === GeocodeType.AUTOCOMPLETE && !this._autocomplete) {
+    return [];
+  }
+
+  const resource = this._url.getDerivedResource({
+    url: "search",
+    queryParameters: combine(this._params, { q: query, format: "jsonv2" }),
+  });
+
+  const results = await resource.fetchJson();
+  return results.map(createResult);
+};
+
+/**
+ * @function
+ *
+ * @param {Cartographic} position 要进行反向地理编码的位置。
+ * @returns {Promise<GeocoderService.Result[]>}
+ */
+NominatimGeocoderService.prototype.reverseGeocode = async function (position) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("position", position);
+  //>>includeEnd('debug');
+
+  const resource = this._url.getDerivedResource({
+    url: "reverse",
+    queryParameters: combine(this._params, {
+      lat: CesiumMath.toDegrees(position.latitude),
+      lon: CesiumMath.toDegrees(position.longitude),
+      format: "jsonv2",
+    }),
+  });
+
+  const result = await resource.fetchJson();
+  // Nominatim responds with an error object if there is nothing at the position
+  if (!defined(result) || defined(result.error)) {
+    return [];
+  }
+  return [createResult(result)];
+};
+
+function createResult(resultObject) {
+  let destination;
+  // The bounding box is ordered south, north, west, east
+  const boundingBox = resultObject.boundingbox;
+  if (defined(boundingBox)) {
+    destination = Rectangle.fromDegrees(
+      +boundingBox[2],
+      +boundingBox[0],
+      +boundingBox[3],
+      +boundingBox[1],
+    );
+  } else {
+    destination = Cartesian3.fromDegrees(+resultObject.lon, +resultObject.lat);
+  }
+
+  return {
+    displayName: resultObject.display_name,
+    destination: destination,
+  };
+}
+
+export default NominatimGeocoderService;
@@ -0,0 +1,498 @@
+import pako from "pako/lib/inflate.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import fetchByteRange from "./fetchByteRange.js";
+import Rectangle from "./Rectangle.js";
+import Resource from "./Resource.js";
+import RuntimeError from "./RuntimeError.js";
+
+// The header and root directory are guaranteed to fit in the first 16 KiB of a v3 archive
+const HEADER_LENGTH = 127;
+const INITIAL_FETCH_LENGTH = 16384;
+const MAXIMUM_DIRECTORY_DEPTH = 4;
+
+const Compression = {
+  UNKNOWN: 0,
+  NONE: 1,
+  GZIP: 2,
+  BROTLI: 3,
+  ZSTD: 4,
+};
+
+const tileTypes = [undefined, "mvt", "png", "jpeg", "webp", "avif"];
+
+/**
+ * <div class="notice">
+ * 要构造一个 PMTilesArchive，请调用 {@link PMTilesArchive.fromUrl}。请不要直接调用构造函数。
+ * </div>
+ *
+ * 通过 HTTP 范围请求读取单个 {@link https://github.com/protomaps/PMTiles|PMTiles} v3 归档文件中的瓦片。
+ * 头部和根目录在创建时加载，叶目录在需要时加载并缓存。
+ *
+ * @alias PMTilesArchive
+ * @constructor
+ *
+ * @param {object} options 具有以下属性的对象：
+ * @param {Resource} options.resource 归档文件的资源。
+ * @param {object} options.header 解析后的归档头部。
+ * @param {object[]} options.rootDirectory 解析后的根目录条目。
+ * @param {object} [options.metadata] 解析后的 JSON 元数据。
+ * @param {number} [options.directoryCacheSize=64] 缓存的叶目录的最大数量。
+ *
+ * @see PMTilesImageryProvider
+ * @see PMTilesTerrainProvider
+ */
+function PMTilesArchive(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("options.resource", options.resource);
+  Check.typeOf.object("options.header", options.header);
+  Check.defined("options.rootDirectory", options.rootDirectory);
+  //>>includeEnd('debug');
+
+  const header = options.header;
+  this._resource = options.resource;
+  this._header = header;
+  this._rootDirectory = options.rootDirectory;
+  this._metadata = defaultValue(options.metadata, {});
+  this._directoryCacheSize = defaultValue(options.directoryCacheSize, 64);
+  this._directoryCache = new Map();
+  this._rectangle = Rectangle.fromDegrees(
+    header.west,
+    header.south,
+    header.east,
+    header.north,
+  );
+}
+
+Object.defineProperties(PMTilesArchive.prototype, {
+  /**
+   * 获取归档文件的资源。
+   * @memberof PMTilesArchive.prototype
+   * @type {Resource}
+   * @readonly
+   */
+  resource: {
+    get: function () {
+      return this._resource;
+    },
+  },
+
+  /**
+   * 获取解析后的归档头部，包括各部分的偏移和长度、压缩方式、缩放级别范围和边界。
+   * @memberof PMTilesArchive.prototype
+   * @type {object}
+   * @readonly
+   */
+  header: {
+    get: function () {
+      return this._header;
+    },
+  },
+
+  /**
+   * 获取归档文件的 JSON 元数据。如果归档文件不包含元数据，则为空对象。
+   * @memberof PMTilesArchive.prototype
+   * @type {object}
+   * @readonly
+   */
+  metadata: {
+    get: function () {
+      return this._metadata;
+    },
+  },
+
+  /**
+   * 获取瓦片的类型：<code>"mvt"</code>、<code>"png"</code>、<code>"jpeg"</code>、<code>"webp"</code> 或
+   * <code>"avif"</code>。如果类型未知，则为 undefined。
+   * @memberof PMTilesArchive.prototype
+   * @type {string|undefined}
+   * @readonly
+   */
+  tileType: {
+    get: function () {
+      return tileTypes[this._header.tileType];
+    },
+  },
+
+  /**
+   * 获取归档文件中的最小瓦片级别。
+   * @memberof PMTilesArchive.prototype
+   * @type {number}
+   * @readonly
+   */
+  minimumLevel: {
+    get: function () {
+      return this._header.minimumZoom;
+    },
+  },
+
+  /**
+   * 获取归档文件中的最大瓦片级别。
+   * @memberof PMTilesArchive.prototype
+   * @type {number}
+   * @readonly
+   */
+  maximumLevel: {
+    get: function () {
+      return this._header.maximumZoom;
+    },
+  },
+
+  /**
+   * 获取归档文件中瓦片覆盖的矩形，以弧度表示。
+   * @memberof PMTilesArchive.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+});
+
+/**
+ * 通过读取 PMTiles 归档文件的头部、根目录和元数据来创建 {@link PMTilesArchive}。
+ *
+ * @param {Resource|string} url 归档文件的 URL。服务器必须支持 HTTP 范围请求。
+ * @param {object} [options] 具有以下属性的对象：
+ * @param {number} [options.directoryCacheSize=64] 缓存的叶目录的最大数量。
+ * @returns {Promise<PMTilesArchive>}
+ *
+ * @exception {RuntimeError} 文件不是 PMTiles v3 归档文件。
+ * @exception {RuntimeError} 不支持归档文件的内部压缩方式。
+ *
+ * @example
+ * const archive = await Cesium.PMTilesArchive.fromUrl("https://example.com/tiles.pmtiles");
+ * const tile = await archive.getTile(0, 0, 0);
+ */
+PMTilesArchive.fromUrl = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const resource = Resource.createIfNeeded(url);
+  const bytes = await fetchByteRange(resource, 0, INITIAL_FETCH_LENGTH);
+  const header = parseHeader(bytes);
+
+  let rootBytes;
+  const rootEnd = header.rootDirectoryOffset + header.rootDirectoryLength;
+  if (rootEnd <= bytes.byteLength) {
+    rootBytes = bytes.subarray(header.rootDirectoryOffset, rootEnd);
+  } else {
+    rootBytes = await fetchByteRange(
+      resource,
+      header.rootDirectoryOffset,
+      header.rootDirectoryLength,
+    );
+  }
+  const rootDirectory = parseDirectory(
+    decompress(rootBytes, header.internalCompression),
+  );
+
+  let metadata;
+  if (header.metadataLength > 0) {
+    const metadataBytes = await fetchByteRange(
+      resource,
+      header.metadataOffset,
+      header.metadataLength,
+    );
+    metadata = JSON.parse(
+      new TextDecoder().decode(
+        decompress(metadataBytes, header.internalCompression),
+      ),
+    );
+  }
+
+  return new PMTilesArchive({
+    resource: resource,
+    header: header,
+    rootDirectory: rootDirectory,
+    metadata: metadata,
+    directoryCacheSize: options.directoryCacheSize,
+  });
+};
+
+/**
+ * 请求给定瓦片的内容。如果瓦片使用 gzip 压缩，返回的内容已解压缩。
+ *
+ * @param {number} x 瓦片的 X 坐标。
+ * @param {number} y 瓦片的 Y 坐标，从北向南递增。
+ * @param {number} level 瓦片的级别。
+ * @returns {Promise<Uint8Array|undefined>} 瓦片内容的 Promise。如果归档文件中不存在该瓦片，则解析为 undefined。
+ *
+ * @exception {RuntimeError} 不支持瓦片的压缩方式。
+ */
+PMTilesArchive.prototype.getTile = async function (x, y, level) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number("x", x);
+  Check.typeOf.number("y", y);
+  Check.typeOf.number("level", level);
+  //>>includeEnd('debug');
+
+  const entry = await this._findTileEntry(x, y, level);
+  if (!defined(entry)) {
+    return undefined;
+  }
+
+  const header = this._header;
+  const bytes = await fetchByteRange(
+    this._resource,
+    header.tileDataOffset + entry.offset,
+    entry.length,
+  );
+  return decompress(bytes, header.tileCompression);
+};
+
+/**
+ * 确定归档文件是否包含给定的瓦片。只需要读取目录，而不读取瓦片内容。
+ *
+ * @param {number} x 瓦片的 X 坐标。
+ * @param {number} y 瓦片的 Y 坐标，从北向南递增。
+ * @param {number} level 瓦片的级别。
+ * @returns {Promise<boolean>}
+ */
+PMTilesArchive.prototype.hasTile = async function (x, y, level) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number("x", x);
+  Check.typeOf.number("y", y);
+  Check.typeOf.number("level", level);
+  //>>includeEnd('debug');
+
+  const entry = await this._findTileEntry(x, y, level);
+  return defined(entry);
+};
+
+/**
+ * @private
+ */
+PMTilesArchive.prototype._findTileEntry = async function (x, y, level) {
+  const header = this._header;
+  if (level < header.minimumZoom || level > header.maximumZoom) {
+    return undefined;
+  }
+
+  const tileId = PMTilesArchive.zxyToTileId(level, x, y);
+  let directory = this._rootDirectory;
+  for (let depth = 0; depth < MAXIMUM_DIRECTORY_DEPTH; ++depth) {
+    const entry = findEntry(directory, tileId);
+    if (!defined(entry)) {
+      return undefined;
+    }
+
+    if (entry.runLength > 0) {
+      return entry;
+    }
+
+    directory = await this._getLeafDirectory(entry.offset, entry.length);
+  }
+
+  throw new RuntimeError("The archive's directories are nested too deeply.");
+};
+
+/**
+ * @private
+ */
+PMTilesArchive.prototype._getLeafDirectory = function (offset, length) {
+  const cache = this._directoryCache;
+  let promise = cache.get(offset);
+  if (defined(promise)) {
+    // Move the directory to the back of the cache as the most recently used
+    cache.delete(offset);
+    cache.set(offset, promise);
+    return promise;
+  }
+
+  const header = this._header;
+  promise = fetchByteRange(
+    this._resource,
+    header.leafDirectoryOffset + offset,
+    length,
+  )
+    .then(function (bytes) {
+      return parseDirectory(decompress(bytes, header.internalCompression));
+    })
+    .catch(function (error) {
+      cache.delete(offset);
+      throw error;
+    });
+
+  cache.set(offset, promise);
+  if (cache.size > this._directoryCacheSize) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return promise;
+};
+
+/**
+ * Computes the tile ID of a tile, which orders tiles by level and then along a Hilbert curve.
+ *
+ * @param {number} level The level of the tile.
+ * @param {number} x The X coordinate of the tile.
+ * @param {number} y The Y coordinate of the tile.
+ * @returns {number} The tile ID.
+ *
+ * @private
+ */
+PMTilesArchive.zxyToTileId = function (level, x, y) {
+  // The number of tiles in all of the levels above this one
+  let tileId = (Math.pow(4, level) - 1) / 3;
+
+  const n = Math.pow(2, level);
+  for (let s = n / 2; s >= 1; s /= 2) {
+    const rx = (x & s) > 0 ? 1 : 0;
+    const ry = (y & s) > 0 ? 1 : 0;
+    tileId += s * s * ((3 * rx) ^ ry);
+
+    // Rotate the quadrant
+    if (ry === 0) {
+      if (rx === 1) {
+        x = s - 1 - x;
+        y = s - 1 - y;
+      }
+      const temp = x;
+      x = y;
+      y = temp;
+    }
+  }
+
+  return tileId;
+};
+
+function decompress(bytes, compression) {
+  if (compression === Compression.NONE || compression === Compression.UNKNOWN) {
+    return bytes;
+  }
+  if (compression === Compression.GZIP) {
+    return pako.inflate(bytes);
+  }
+  throw new RuntimeError(`Unsupported PMTiles compression: ${compression}`);
+}
+
+function getUint64(view, offset) {
+  return (
+    view.getUint32(offset + 4, true) * 4294967296 + view.getUint32(offset, true)
+  );
+}
+
+function parseHeader(bytes) {
+  if (bytes.byteLength < HEADER_LENGTH) {
+    throw new RuntimeError("The file is not a PMTiles archive.");
+  }
+
+  const magic = String.fromCharCode.apply(null, bytes.subarray(0, 7));
+  if (magic !== "PMTiles") {
+    throw new RuntimeError("The file is not a PMTiles archive.");
+  }
+  if (bytes[7] !== 3) {
+    throw new RuntimeError(`Unsupported PMTiles version: ${bytes[7]}`);
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return {
+    specVersion: bytes[7],
+    rootDirectoryOffset: getUint64(view, 8),
+    rootDirectoryLength: getUint64(view, 16),
+    metadataOffset: getUint64(view, 24),
+    metadataLength: getUint64(view, 32),
+    leafDirectoryOffset: getUint64(view, 40),
+    leafDirectoryLength: getUint64(view, 48),
+    tileDataOffset: getUint64(view, 56),
+    tileDataLength: getUint64(view, 64),
+    numberOfAddressedTiles: getUint64(view, 72),
+    numberOfTileEntries: getUint64(view, 80),
+    numberOfTileContents: getUint64(view, 88),
+    clustered: bytes[96] === 1,
+    internalCompression: bytes[97],
+    tileCompression: bytes[98],
+    tileType: bytes[99],
+    minimumZoom: bytes[100],
+    maximumZoom: bytes[101],
+    west: view.getInt32(102, true) / 1e7,
+    south: view.getInt32(106, true) / 1e7,
+    east: view.getInt32(110, true) / 1e7,
+    north: view.getInt32(114, true) / 1e7,
+    centerZoom: bytes[118],
+    centerLongitude: view.getInt32(119, true) / 1e7,
+    centerLatitude: view.getInt32(123, true) / 1e7,
+  };
+}
+
+function parseDirectory(bytes) {
+  let position = 0;
+  function readVarint() {
+    let value = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = bytes[position++];
+      value += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  const count = readVarint();
+  const entries = new Array(count);
+
+  let tileId = 0;
+  for (let i = 0; i < count; ++i) {
+    tileId += readVarint();
+    entries[i] = {
+      tileId: tileId,
+      runLength: 0,
+      length: 0,
+      offset: 0,
+    };
+  }
+  for (let i = 0; i < count; ++i) {
+    entries[i].runLength = readVarint();
+  }
+  for (let i = 0; i < count; ++i) {
+    entries[i].length = readVarint();
+  }
+  for (let i = 0; i < count; ++i) {
+    // An offset of zero means the entry directly follows the previous one
+    const value = readVarint();
+    if (value === 0 && i > 0) {
+      entries[i].offset = entries[i - 1].offset + entries[i - 1].length;
+    } else {
+      entries[i].offset = value - 1;
+    }
+  }
+
+  return entries;
+}
+
+function findEntry(entries, tileId) {
+  let low = 0;
+  let high = entries.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const difference = tileId - entries[middle].tileId;
+    if (difference > 0) {
+      low = middle + 1;
+    } else if (difference < 0) {
+      high = middle - 1;
+    } else {
+      return entries[middle];
+    }
+  }
+
+  // The closest preceding entry is either a leaf directory or a run of identical tiles
+  if (high >= 0) {
+    const entry = entries[high];
+    if (entry.runLength === 0 || tileId - entry.tileId < entry.runLength) {
+      return entry;
+    }
+  }
+  return undefined;
+}
+
+export default PMTilesArchive;
@@ -0,0 +1,462 @@
+import CesiumTerrainProvider from "./CesiumTerrainProvider.js";
+import Check from "./Check.js";
+import combine from "./combine.js";
+import Credit from "./Credit.js";
+import defaultValue from "./defaultValue.js";
+import defined from "./defined.js";
+import DeveloperError from "./DeveloperError.js";
+import Event from "./Event.js";
+import getImagePixels from "./getImagePixels.js";
+import HeightmapTerrainData from "./HeightmapTerrainData.js";
+import loadImageFromTypedArray from "./loadImageFromTypedArray.js";
+import PMTilesArchive from "./PMTilesArchive.js";
+import Rectangle from "./Rectangle.js";
+import RuntimeError from "./RuntimeError.js";
+import TerrainProvider from "./TerrainProvider.js";
+import TileAvailability from "./TileAvailability.js";
+import WebMercatorTilingScheme from "./WebMercatorTilingScheme.js";
+
+const imageFormats = {
+  png: "image/png",
+  webp: "image/webp",
+};
+
+// Structures of the RGB encodings used by raster-dem sources
+const imageEncodings = {
+  mapbox: {
+    heightScale: 0.1,
+    heightOffset: -10000.0,
+    elementsPerHeight: 3,
+    stride: 4,
+    elementMultiplier: 256.0,
+    isBigEndian: true,
+    lowestEncodedHeight: 0,
+    highestEncodedHeight: 256 * 256 * 256 - 1,
+  },
+  terrarium: {
+    heightScale: 1.0 / 256.0,
+    heightOffset: -32768.0,
+    elementsPerHeight: 3,
+    stride: 4,
+    elementMultiplier: 256.0,
+    isBigEndian: true,
+    lowestEncodedHeight: 0,
+    highestEncodedHeight: 256 * 256 * 256 - 1,
+  },
+};
+
+const heightmapStructure = {
+  heightScale: 1.0 / 5.0,
+  heightOffset: -1000.0,
+  elementsPerHeight: 1,
+  stride: 1,
+  elementMultiplier: 256.0,
+  isBigEndian: false,
+  lowestEncodedHeight: 0,
+  highestEncodedHeight: 256 * 256 - 1,
+};
+
+// quantized-mesh-1.0 and heightmap-1.0 tiles use the same level zero error as CesiumTerrainProvider
+const heightmapWidth = 65;
+
+const scratchRectangle = new Rectangle();
+
+/**
+ * @typedef {object} PMTilesTerrainProvider.ConstructorOptions
+ *
+ * PMTilesTerrainProvider 构造函数的初始化选项
+ *
+ * @property {PMTilesArchive} archive 包含地形瓦片的 PMTiles 归档文件。
+ * @property {string} [format] 瓦片的格式，<code>"quantized-mesh-1.0"</code> 或 <code>"heightmap-1.0"</code>。
+ *           默认为归档元数据的 <code>format</code>，如果未定义则为 <code>"quantized-mesh-1.0"</code>。
+ *           如果归档文件包含 PNG 或 WebP 瓦片，则忽略此参数，瓦片被解码为 RGB 编码的高度图。
+ * @property {string} [encoding] RGB 编码高度图的编码方式，<code>"mapbox"</code> 或 <code>"terrarium"</code>。
+ *           默认为归档元数据的 <code>encoding</code>，如果未定义则为 <code>"mapbox"</code>。
+ * @property {boolean} [requestVertexNormals=false] 标志，指示是否使用瓦片中的顶点法线（如果可用）。
+ * @property {boolean} [requestWaterMask=false] 标志，指示是否使用瓦片中的水掩模（如果可用）。
+ * @property {Ellipsoid} [ellipsoid] 椭球体。如果未指定，则使用默认椭球体。
+ * @property {Credit|string} [credit] 数据源的信用信息。默认为归档元数据的 <code>attribution</code>。
+ */
+
+/**
+ * <div class="notice">
+ * 要构造一个 PMTilesTerrainProvider，请调用 {@link PMTilesTerrainProvider.fromUrl}，或使用已加载的
+ * {@link PMTilesArchive} 调用构造函数。
+ * </div>
+ *
+ * 一个 {@link TerrainProvider}，从单个 {@link https://github.com/protomaps/PMTiles|PMTiles} v3 归档文件中读取地形瓦片。
+ * 瓦片可以是 quantized-mesh 或 heightmap 格式，也可以是 Mapbox 或 Terrarium RGB 编码的 PNG 或 WebP 高度图。
+ * 瓦片使用 {@link WebMercatorTilingScheme}，可用性由归档文件的缩放级别范围和边界确定。
+ *
+ * @alias PMTilesTerrainProvider
+ * @constructor
+ *
+ * @param {PMTilesTerrainProvider.ConstructorOptions} options 描述初始化选项的对象
+ *
+ * @example
+ * const terrainProvider = await Cesium.PMTilesTerrainProvider.fromUrl(
+ *   "https://example.com/terrain.pmtiles", {
+ *     requestVertexNormals: true,
+ * });
+ * viewer.terrainProvider = terrainProvider;
+ *
+ * @see PMTilesArchive
+ * @see TerrainProvider
+ */
+function PMTilesTerrainProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const archive = options.archive;
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.archive", archive);
+  //>>includeEnd('debug');
+
+  const metadata = archive.metadata;
+  const tileType = archive.tileType;
+
+  this._archive = archive;
+  this._imageFormat = imageFormats[tileType];
+  if (defined(this._imageFormat)) {
+    const encoding = defaultValue(
+      options.encoding,
+      defaultValue(metadata.encoding, "mapbox"),
+    );
+    this._format = undefined;
+    this._heightmapStructure = imageEncodings[encoding];
+
+    //>>includeStart('debug', pragmas.debug);
+    if (!defined(this._heightmapStructure)) {
+      throw new DeveloperError(`Unsupported encoding: ${encoding}`);
+    }
+    //>>includeEnd('debug');
+  } else {
+    this._format = defaultValue(
+      options.format,
+      defaultValue(metadata.format, "quantized-mesh-1.0"),
+    );
+    this._heightmapStructure =
+      this._format === "heightmap-1.0" ? heightmapStructure : undefined;
+
+    //>>includeStart('debug', pragmas.debug);
+    if (defined(tileType)) {
+      throw new DeveloperError(
+        `The archive contains ${tileType} tiles, which are not terrain.`,
+      );
+    }
+    if (
+      this._format !== "heightmap-1.0" &&
+      this._format.indexOf("quantized-mesh-1.") !== 0
+    ) {
+      throw new DeveloperError(`Unsupported format: ${this._format}`);
+    }
+    //>>includeEnd('debug');
+  }
+
+  const extensions = defaultValue(metadata.extensions, []);
+  this._requestVertexNormals = defaultValue(
+    options.requestVertexNormals,
+    false,
+  );
+  this._requestWaterMask = defaultValue(options.requestWaterMask, false);
+  this._requestMetadata = false;
+  this._hasVertexNormals =
+    this._format !== "heightmap-1.0" &&
+    extensions.indexOf("octvertexnormals") !== -1;
+  this._hasWaterMask =
+    this._format === "heightmap-1.0" || extensions.indexOf("watermask") !== -1;
+
+  // Used by CesiumTerrainProvider when creating heightmap-1.0 tiles
+  this._heightmapWidth = heightmapWidth;
+
+  const tilingScheme = new WebMercatorTilingScheme({
+    ellipsoid: options.ellipsoid,
+  });
+  this._tilingScheme = tilingScheme;
+  this._levelZeroMaximumGeometricError =
+    TerrainProvider.getEstimatedLevelZeroGeometricErrorForAHeightmap(
+      tilingScheme.ellipsoid,
+      heightmapWidth,
+      tilingScheme.getNumberOfXTilesAtLevel(0),
+    );
+  this._availability = createAvailability(archive, tilingScheme);
+
+  let credit = defaultValue(options.credit, metadata.attribution);
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+  this._tileCredits = defined(credit) ? [credit] : undefined;
+
+  this._errorEvent = new Event();
+}
+
+function createAvailability(archive, tilingScheme) {
+  const maximumLevel = archive.maximumLevel;
+  const availability = new TileAvailability(tilingScheme, maximumLevel);
+  const rectangle = Rectangle.intersection(
+    archive.rectangle,
+    tilingScheme.rectangle,
+    scratchRectangle,
+  );
+  if (!defined(rectangle)) {
+    return availability;
+  }
+
+  const northwest = Rectangle.northwest(rectangle);
+  const southeast = Rectangle.southeast(rectangle);
+  for (let level = archive.minimumLevel; level <= maximumLevel; ++level) {
+    const start = tilingScheme.positionToTileXY(northwest, level);
+    const end = tilingScheme.positionToTileXY(southeast, level);
+    availability.addAvailableTileRange(level, start.x, start.y, end.x, end.y);
+  }
+  return availability;
+}
+
+Object.defineProperties(PMTilesTerrainProvider.prototype, {
+  /**
+   * 获取当地形提供者遇到异步错误时引发的事件。通过订阅该事件，您将收到错误通知，并可以可能从中恢复。事件监听器会收到一个 {@link TileProviderError} 的实例。
+   * @memberof PMTilesTerrainProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * 获取当该地形提供者处于活动状态时显示的信用信息。通常用于表彰地形的来源。
+   * @memberof PMTilesTerrainProvider.prototype
+   * @type {Credit}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+
+  /**
+   * 获取该提供者使用的分块方案。
+   * @memberof PMTilesTerrainProvider.prototype
+   * @type {WebMercatorTilingScheme}
+   * @readonly
+   */
+  tilingScheme: {
+    get: function () {
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * 获取一个值，指示提供者是否包含水掩模。水掩模指示地球上哪些区域是水而不是陆地，以便可以将其渲染为具有动画波纹的反射表面。
+   * @memberof PMTilesTerrainProvider.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  hasWaterMask: {
+    get: function () {
+      return this._hasWaterMask && this._requestWaterMask;
+    },
+  },
+
+  /**
+   * 获取一个值，指示请求的瓦片是否包含顶点法线。
+   * @memberof PMTilesTerrainProvider.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  hasVertexNormals: {
+    get: function () {
+      return this._hasVertexNormals && this._requestVertexNormals;
+    },
+  },
+
+  /**
+   * 获取一个对象，用于确定该提供者的地形可用性，例如在某个点或矩形内。
+   * @memberof PMTilesTerrainProvider.prototype
+   * @type {TileAvailability}
+   * @readonly
+   */
+  availability: {
+    get: function () {
+      return this._availability;
+    },
+  },
+
+  /**
+   * 获取包含地形瓦片的 PMTiles 归档文件。
+   * @memberof PMTilesTerrainProvider.prototype
+   * @type {PMTilesArchive}
+   * @readonly
+   */
+  archive: {
+    get: function () {
+      return this._archive;
+    },
+  },
+});
+
+/**
+ * 创建一个 {@link PMTilesTerrainProvider}，从 PMTiles 归档文件中读取地形瓦片。
+ *
+ * @param {Resource|string} url 归档文件的 URL。服务器必须支持 HTTP 范围请求。
+ * @param {PMTilesTerrainProvider.ConstructorOptions} [options] 描述初始化选项的对象。
+ * @returns {Promise<PMTilesTerrainProvider>}
+ *
+ * @exception {RuntimeError} 文件不是 PMTiles v3 归档文件。
+ * @exception {RuntimeError} 归档文件不包含地形瓦片。
+ *
+ * @example
+ * const terrainProvider = await Cesium.PMTilesTerrainProvider.fromUrl(
+ *   "https://example.com/terrain-rgb.pmtiles", {
+ *     encoding: "terrarium",
+ * });
+ * viewer.terrainProvider = terrainProvider;
+ */
+PMTilesTerrainProvider.fromUrl = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const archive = await PMTilesArchive.fromUrl(url, options);
+  const tileType = archive.tileType;
+  if (defined(tileType) && !defined(imageFormats[tileType])) {
+    throw new RuntimeError(
+      `The archive contains ${tileType} tiles, which are not terrain.`,
+    );
+  }
+
+  return new PMTilesTerrainProvider(
+    combine(
+      {
+        archive: archive,
+      },
+      options,
+    ),
+  );
+};
+
+function toArrayBuffer(bytes) {
+  if (bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength) {
+    return bytes.buffer;
+  }
+  return bytes.slice().buffer;
+}
+
+/**
+ * 请求给定瓦片的几何数据。结果包括地形数据，并指示哪些子瓦片可用。
+ *
+ * @param {number} x 请求几何数据的瓦片的 X 坐标。
+ * @param {number} y 请求几何数据的瓦片的 Y 坐标。
+ * @param {number} level 请求几何数据的瓦片的级别。
+ * @param {Request} [request] 请求对象。仅供内部使用。
+ *
+ * @returns {Promise<TerrainData>|undefined} 请求几何数据的 Promise。如果此方法返回 undefined 而不是 Promise，则表示已经有太多的请求在等待中，请求将稍后重试。
+ */
+PMTilesTerrainProvider.prototype.requestTileGeometry = function (
+  x,
+  y,
+  level,
+  request,
+) {
+  const that = this;
+  return this._archive.getTile(x, y, level).then(function (bytes) {
+    if (!defined(bytes)) {
+      throw new RuntimeError(
+        `Tile X: ${x} Y: ${y} Level: ${level} doesn't exist in the archive.`,
+      );
+    }
+
+    if (defined(that._imageFormat)) {
+      return createImageTerrainData(that, bytes, level, x, y);
+    }
+
+    const buffer = toArrayBuffer(bytes);
+    if (defined(that._heightmapStructure)) {
+      return CesiumTerrainProvider._createHeightmapTerrainData(
+        that,
+        buffer,
+        level,
+        x,
+        y,
+      );
+    }
+    return CesiumTerrainProvider._createQuantizedMeshTerrainData(
+      that,
+      buffer,
+      level,
+      x,
+      y,
+      {
+        littleEndianExtensionSize: true,
+      },
+    );
+  });
+};
+
+function createImageTerrainData(provider, bytes, level, x, y) {
+  return loadImageFromTypedArray({
+    uint8Array: bytes,
+    format: provider._imageFormat,
+    skipColorSpaceConversion: true,
+  }).then(function (image) {
+    return new HeightmapTerrainData({
+      buffer: getImagePixels(image),
+      width: image.width,
+      height: image.height,
+      childTileMask: provider._availability.computeChildMaskForTile(
+        level,
+        x,
+        y,
+      ),
+      structure: provider._heightmapStructure,
+      credits: provider._tileCredits,
+    });
+  });
+}
+
+/**
+ * 获取给定级别的瓦片允许的最大几何误差。
+ *
+ * @param {number} level 要获取最大几何误差的瓦片级别。
+ * @returns {number} 最大几何误差。
+ */
+PMTilesTerrainProvider.prototype.getLevelMaximumGeometricError = function (
+  level,
+) {
+  return this._levelZeroMaximumGeometricError / (1 << level);
+};
+
+/**
+ * 确定瓦片的数据是否可加载。
+ *
+ * @param {number} x 请求几何数据的瓦片的 X 坐标。
+ * @param {number} y 请求几何数据的瓦片的 Y 坐标。
+ * @param {number} level 请求几何数据的瓦片的级别。
+ * @returns {boolean|undefined} 如果不支持或可用性未知则为 undefined，否则返回 true 或 false。
+ */
+PMTilesTerrainProvider.prototype.getTileDataAvailable = function (x, y, level) {
+  return this._availability.isTileAvailable(level, x, y);
+};
+
+/**
+ * 确保我们加载瓦片的可用性数据。可用性在创建时由归档头部确定，因此此方法始终返回 undefined。
+ *
+ * @param {number} x 请求几何数据的瓦片的 X 坐标。
+ * @param {number} y 请求几何数据的瓦片的 Y 坐标。
+ * @param {number} level 请求几何数据的瓦片的级别。
+ * @returns {undefined} 没有需要加载的内容。
+ */
+PMTilesTerrainProvider.prototype.loadTileDataAvailability = function (
+  x,
+  y,
+  level,
+) {
+  return undefined;
+};
+
+export default PMTilesTerrainProvider;
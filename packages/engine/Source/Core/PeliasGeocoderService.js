@@ -2,6 +2,7 @@ import Cartesian3 from "./Cartesian3.js";
 import Check from "./Check.js";
 import defined from "./defined.js";
 import GeocodeType from "./GeocodeType.js";
+import CesiumMath from "./Math.js";
 import Rectangle from "./Rectangle.js";
 import Resource from "./Resource.js";
 
@@ -79,30 +80,55 @@ PeliasGeocoderService.prototype.geocode = async function (query, type) {
     },
   });
 
-  return resource.fetchJson().then(function (results) {
-    return results.features.map(function (resultObject) {
-      let destination;
-      const bboxDegrees = resultObject.bbox;
-
-      if (defined(bboxDegrees)) {
-        destination = Rectangle.fromDegrees(
-          bboxDegrees[0],
-          bboxDegrees[1],
-          bboxDegrees[2],
-          bboxDegrees[3],
-        );
-      } else {
-        const lon = resultObject.geometry.coordinates[0];
-        const lat = resultObject.geometry.coordinates[1];
-        destination = Cartesian3.fromDegrees(lon, lat);
-      }
-
-      return {
-        displayName: resultObject.properties.label,
-        destination: destination,
-        attributions: results.attributions,
-      };
-    });
+  return resource.fetchJson().then(createResults);
+};
+
+/**
+ * @function
+ *
+ * @param {Cartographic} position 要进行反向地理编码的位置
+ * @returns {Promise<GeocoderService.Result[]>}
+ */
+
+PeliasGeocoderService.prototype.reverseGeocode = async function (position) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("position", position);
+  //>>includeEnd('debug');
+
+  const resource = this._url.getDerivedResource({
+    url: "reverse",
+    queryParameters: {
+      "point.lat": CesiumMath.toDegrees(position.latitude),
+      "point.lon": CesiumMath.toDegrees(position.longitude),
+    },
   });
+
+  return resource.fetchJson().then(createResults);
 };
+
+function createResults(results) {
+  return results.features.map(function (resultObject) {
+    let destination;
+    const bboxDegrees = resultObject.bbox;
+
+    if (defined(bboxDegrees)) {
+      destination = Rectangle.fromDegrees(
+        bboxDegrees[0],
+        bboxDegrees[1],
+        bboxDegrees[2],
+        bboxDegrees[3],
+      );
+    } else {
+      const lon = resultObject.geometry.coordinates[0];
+      const lat = resultObject.geometry.coordinates[1];
+      destination = Cartesian3.fromDegrees(lon, lat);
+    }
+
+    return {
+      displayName: resultObject.properties.label,
+      destination: destination,
+      attributions: results.attributions,
+    };
+  });
+}
 export default PeliasGeocoderService;
@@ -0,0 +1,79 @@
+import DeveloperError from "./DeveloperError.js";
+
+/**
+ * 持久化缓存的基类，用于在本地存储 {@link Resource} 获取的数据，例如影像、地形和 3D Tiles 瓦片，
+ * 以便在重新加载页面或没有网络连接时使用。将实例分配给 {@link Resource.persistentCache} 即可启用。
+ * <p>
+ * 此类型描述一个接口，不打算直接实例化。
+ * </p>
+ *
+ * @alias PersistentCache
+ * @constructor
+ *
+ * @see IndexedDBCache
+ * @see Resource.persistentCache
+ * @see seedPersistentCache
+ */
+function PersistentCache() {
+  DeveloperError.throwInstantiationError();
+}
+
+Object.defineProperties(PersistentCache.prototype, {
+  /**
+   * 获取或设置缓存是否处于离线模式。在离线模式下，{@link Resource} 只从缓存中提供数据，
+   * 不会发出网络请求；缓存中不存在的资源将以状态码 504 的 {@link RequestErrorEvent} 失败。
+   * @memberof PersistentCache.prototype
+   * @type {boolean}
+   */
+  offline: {
+    get: DeveloperError.throwInstantiationError,
+    set: DeveloperError.throwInstantiationError,
+  },
+});
+
+/**
+ * 获取给定 URL 的缓存条目。
+ *
+ * @param {string} url 资源的 URL。
+ * @returns {Promise<PersistentCache.Entry|undefined>} 一个 Promise，解析为缓存条目；如果缓存中不存在该 URL，则解析为 <code>undefined</code>。
+ * @function
+ */
+PersistentCache.prototype.get = DeveloperError.throwInstantiationError;
+
+/**
+ * 将给定 URL 的数据存入缓存，替换任何现有条目。
+ *
+ * @param {string} url 资源的 URL。
+ * @param {ArrayBuffer} data 资源的数据。
+ * @param {string} [contentType] 资源的 MIME 类型。
+ * @returns {Promise<void>} 一个 Promise，在数据存储完成后解析。
+ * @function
+ */
+PersistentCache.prototype.put = DeveloperError.throwInstantiationError;
+
+/**
+ * 从缓存中移除给定 URL 的条目。
+ *
+ * @param {string} url 资源的 URL。
+ * @returns {Promise<boolean>} 一个 Promise，如果条目被移除则解析为 <code>true</code>，否则解析为 <code>false</code>。
+ * @function
+ */
+PersistentCache.prototype.remove = DeveloperError.throwInstantiationError;
+
+/**
+ * 移除缓存中的所有条目。
+ *
+ * @returns {Promise<void>} 一个 Promise，在缓存清空后解析。
+ * @function
+ */
+PersistentCache.prototype.clear = DeveloperError.throwInstantiationError;
+
+/**
+ * 缓存中存储的单个资源。
+ *
+ * @typedef {object} PersistentCache.Entry
+ * @property {ArrayBuffer} data 资源的数据。
+ * @property {string} [contentType] 资源的 MIME 类型。
+ */
+
+export default PersistentCache;
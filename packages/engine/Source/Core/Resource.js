@@ -930,12 +930,16 @@ Resource.prototype.fetchImage = function (options) {
   // 1. Blobs aren't supported
   // 2. It's a data URI
   // 3. It's a blob URI
-  // 4. It doesn't have request headers and we preferBlob is false
+  // 4. It doesn't have request headers, we preferBlob is false and the
+  //    persistent cache, which can only store data loaded as a blob, won't
+  //    store it
+  const loadBlobForCache =
+    !this.hasHeaders && !preferBlob && usesPersistentCache(this, "GET", "blob");
   if (
     !xhrBlobSupported ||
     this.isDataUri ||
     this.isBlobUri ||
-    (!this.hasHeaders && !preferBlob)
+    (!this.hasHeaders && !preferBlob && !loadBlobForCache)
   ) {
     return fetchImage({
       resource: this,
@@ -950,11 +954,12 @@ Resource.prototype.fetchImage = function (options) {
     return;
   }
 
+  const resource = this;
   let supportsImageBitmap;
   let useImageBitmap;
   let generatedBlobResource;
   let generatedBlob;
-  return Resource.supportsImageBitmapOptions()
+  const promise = Resource.supportsImageBitmapOptions()
     .then(function (result) {
       supportsImageBitmap = result;
       useImageBitmap = supportsImageBitmap && preferImageBitmap;
@@ -1013,6 +1018,25 @@ Resource.prototype.fetchImage = function (options) {
 
       return Promise.reject(error);
     });
+
+  if (!loadBlobForCache || !this.isCrossOriginUrl) {
+    return promise;
+  }
+
+  return promise.catch(function (error) {
+    // A network error without a status usually means the server doesn't allow
+    // cross-origin XHR. The image can't be cached, so load it normally instead.
+    if (!(error instanceof RequestErrorEvent) || defined(error.statusCode)) {
+      return Promise.reject(error);
+    }
+    checkAndResetRequest(resource.request);
+    return fetchImage({
+      resource: resource,
+      flipY: flipY,
+      skipColorSpaceConversion: skipColorSpaceConversion,
+      preferImageBitmap: preferImageBitmap,
+    });
+  });
 };
 
 /**
@@ -1391,22 +1415,38 @@ Resource.prototype._makeRequest = function (options) {
     const overrideMimeType = options.overrideMimeType;
     const method = options.method;
     const data = options.data;
-    const deferred = defer();
-    const xhr = Resource._Implementations.loadWithXhr(
+
+    function loadWithXhr() {
+      const deferred = defer();
+      const xhr = Resource._Implementations.loadWithXhr(
+        url,
+        responseType,
+        method,
+        data,
+        headers,
+        deferred,
+        overrideMimeType,
+      );
+      if (defined(xhr) && defined(xhr.abort)) {
+        request.cancelFunction = function () {
+          xhr.abort();
+        };
+      }
+      return deferred.promise;
+    }
+
+    if (!usesPersistentCache(resource, method, responseType)) {
+      return loadWithXhr();
+    }
+
+    return fetchWithPersistentCache(
+      Resource.persistentCache,
       url,
+      getPersistentCacheKey(url, headers),
       responseType,
-      method,
-      data,
-      headers,
-      deferred,
       overrideMimeType,
+      loadWithXhr,
     );
-    if (defined(xhr) && defined(xhr.abort)) {
-      request.cancelFunction = function () {
-        xhr.abort();
-      };
-    }
-    return deferred.promise;
   };
 
   const promise = RequestScheduler.request(request);
@@ -1440,6 +1480,181 @@ Resource.prototype._makeRequest = function (options) {
     });
 };
 
+function isPersistentCacheResponseType(responseType) {
+  return (
+    !defined(responseType) ||
+    responseType === "" ||
+    responseType === "text" ||
+    responseType === "json" ||
+    responseType === "arraybuffer" ||
+    responseType === "blob" ||
+    responseType === "document"
+  );
+}
+
+function usesPersistentCache(resource, method, responseType) {
+  return (
+    defined(Resource.persistentCache) &&
+    method === "GET" &&
+    !resource.isDataUri &&
+    !resource.isBlobUri &&
+    isPersistentCacheResponseType(responseType)
+  );
+}
+
+const ignoredPersistentCacheHeaders = ["accept", "authorization"];
+
+/**
+ * 获取持久缓存中请求的键。请求头（例如 <code>Range</code>）会以片段的形式附加到 URL 上，
+ * 这样同一 URL 的不同字节范围会分别缓存。<code>Authorization</code> 被忽略，原因与缓存忽略访问令牌相同；
+ * <code>Accept</code> 由获取方法决定，而缓存的条目可以转换为任何响应类型，因此也被忽略。
+ *
+ * @private
+ */
+function getPersistentCacheKey(url, headers) {
+  if (!defined(headers)) {
+    return url;
+  }
+
+  const fragments = [];
+  for (const name in headers) {
+    if (
+      headers.hasOwnProperty(name) &&
+      defined(headers[name]) &&
+      ignoredPersistentCacheHeaders.indexOf(name.toLowerCase()) === -1
+    ) {
+      fragments.push(
+        `${encodeURIComponent(name.toLowerCase())}=${encodeURIComponent(
+          headers[name],
+        )}`,
+      );
+    }
+  }
+  if (fragments.length === 0) {
+    return url;
+  }
+  fragments.sort();
+  return `${url}#${fragments.join("&")}`;
+}
+
+/**
+ * 将缓存条目转换为与给定 responseType 的 XMLHttpRequest 相同的响应。
+ *
+ * @private
+ */
+function decodePersistentCacheEntry(entry, responseType, overrideMimeType) {
+  const data = entry.data;
+  if (responseType === "arraybuffer") {
+    return data;
+  }
+  if (responseType === "blob") {
+    return new Blob([data], {
+      type: defaultValue(entry.contentType, ""),
+    });
+  }
+
+  const text = new TextDecoder().decode(data);
+  if (responseType === "json") {
+    return JSON.parse(text);
+  }
+  if (responseType === "document") {
+    return new DOMParser().parseFromString(
+      text,
+      defaultValue(
+        defaultValue(overrideMimeType, entry.contentType),
+        "application/xml",
+      ),
+    );
+  }
+  return text;
+}
+
+/**
+ * 将响应转换为可存入缓存的 ArrayBuffer。
+ *
+ * @private
+ */
+function encodePersistentCacheEntry(response, responseType) {
+  if (responseType === "arraybuffer") {
+    // The response is handed back to the caller, who may transfer it to a worker
+    return Promise.resolve({
+      data: response.slice(0),
+    });
+  }
+  if (responseType === "blob") {
+    return response.arrayBuffer().then(function (data) {
+      return {
+        data: data,
+        contentType: response.type,
+      };
+    });
+  }
+
+  let text = response;
+  let contentType;
+  if (responseType === "json") {
+    text = JSON.stringify(response);
+    contentType = "application/json";
+  } else if (responseType === "document") {
+    text = new XMLSerializer().serializeToString(response);
+    contentType = response.contentType;
+  }
+  return Promise.resolve({
+    data: new TextEncoder().encode(text).buffer,
+    contentType: contentType,
+  });
+}
+
+function fetchWithPersistentCache(
+  persistentCache,
+  url,
+  key,
+  responseType,
+  overrideMimeType,
+  loadWithXhr,
+) {
+  return persistentCache
+    .get(key)
+    .catch(function () {
+      // A broken cache should never prevent loading from the network
+      return undefined;
+    })
+    .then(function (entry) {
+      if (defined(entry)) {
+        return decodePersistentCacheEntry(
+          entry,
+          responseType,
+          overrideMimeType,
+        );
+      }
+
+      if (persistentCache.offline) {
+        // Mirror the 504 returned for an "only-if-cached" fetch that misses
+        return Promise.reject(
+          new RequestErrorEvent(
+            504,
+            `${url} is not available in the persistent cache.`,
+          ),
+        );
+      }
+
+      return loadWithXhr().then(function (response) {
+        if (defined(response)) {
+          encodePersistentCacheEntry(response, responseType)
+            .then(function (encoded) {
+              return persistentCache.put(
+                key,
+                encoded.data,
+                encoded.contentType,
+              );
+            })
+            .catch(function () {});
+        }
+        return response;
+      });
+    });
+}
+
 /**
  * 检查资源是否已经在请求中。
  *
@@ -2265,6 +2480,21 @@ Resource._DefaultImplementations.loadWithXhr =
 Resource._DefaultImplementations.loadAndExecuteScript =
   Resource._Implementations.loadAndExecuteScript;
 
+/**
+ * 所有 <code>GET</code> 请求使用的持久化缓存。设置后，资源会先从缓存中查找，从网络加载的数据会被存入缓存；
+ * 当缓存处于离线模式时，只从缓存中提供数据。数据 URI 和 blob URI 永远不会被缓存。
+ *
+ * @type {PersistentCache|undefined}
+ * @default undefined
+ *
+ * @example
+ * Cesium.Resource.persistentCache = new Cesium.IndexedDBCache();
+ *
+ * @see IndexedDBCache
+ * @see seedPersistentCache
+ */
+Resource.persistentCache = undefined;
+
 /**
  * 初始化为当前浏览器位置的资源实例
  *
@@ -0,0 +1,278 @@
+import pako from "pako/lib/inflate.js";
+import Check from "./Check.js";
+import defaultValue from "./defaultValue.js";
+import RuntimeError from "./RuntimeError.js";
+
+// TIFF compression schemes
+const NONE = 1;
+const LZW = 5;
+const DEFLATE = 8;
+const PKZIP_DEFLATE = 32946;
+
+// TIFF predictors
+const HORIZONTAL_DIFFERENCING = 2;
+const FLOATING_POINT = 3;
+
+// TIFF sample formats
+const UNSIGNED_INTEGER = 1;
+const SIGNED_INTEGER = 2;
+const IEEE_FLOATING_POINT = 3;
+
+/**
+ * Decodes a tile of a GeoTIFF into the values of its first sample.
+ *
+ * @param {object} options Object with the following properties:
+ * @param {ArrayBuffer|Uint8Array} options.buffer The compressed tile.
+ * @param {number} options.width The width of the tile in pixels.
+ * @param {number} options.height The height of the tile in pixels.
+ * @param {number} [options.compression=1] The TIFF compression scheme: 1 for none, 5 for LZW, or 8 or 32946 for deflate.
+ * @param {number} [options.predictor=1] The TIFF predictor: 1 for none, 2 for horizontal differencing or 3 for floating point.
+ * @param {number} [options.bitsPerSample=16] The number of bits in each sample: 8, 16, 32 or 64.
+ * @param {number} [options.sampleFormat=1] The TIFF sample format: 1 for unsigned integers, 2 for signed integers or 3 for floating point.
+ * @param {number} [options.samplesPerPixel=1] The number of interleaved samples in each pixel.
+ * @param {boolean} [options.littleEndian=true] Whether the samples are little-endian.
+ * @returns {Float32Array} The values of the first sample of each pixel, in row-major order from the top-left of the tile.
+ *
+ * @exception {RuntimeError} Unsupported compression, predictor or sample format.
+ *
+ * @private
+ */
+function decodeGeoTiffTile(options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.buffer", options.buffer);
+  Check.typeOf.number("options.width", options.width);
+  Check.typeOf.number("options.height", options.height);
+  //>>includeEnd('debug');
+
+  const width = options.width;
+  const height = options.height;
+  const compression = defaultValue(options.compression, NONE);
+  const predictor = defaultValue(options.predictor, 1);
+  const bitsPerSample = defaultValue(options.bitsPerSample, 16);
+  const sampleFormat = defaultValue(options.sampleFormat, UNSIGNED_INTEGER);
+  const samplesPerPixel = defaultValue(options.samplesPerPixel, 1);
+  let littleEndian = defaultValue(options.littleEndian, true);
+
+  const bytesPerSample = bitsPerSample / 8;
+  const rowLength = width * samplesPerPixel * bytesPerSample;
+  const byteLength = rowLength * height;
+
+  let bytes = new Uint8Array(options.buffer);
+  if (compression === LZW) {
+    bytes = decodeLzw(bytes, byteLength);
+  } else if (compression === DEFLATE || compression === PKZIP_DEFLATE) {
+    bytes = pako.inflate(bytes);
+  } else if (compression !== NONE) {
+    throw new RuntimeError(`Unsupported GeoTIFF compression: ${compression}`);
+  }
+
+  // Tiles at the edge of the image are padded, and some encoders truncate the padding
+  if (bytes.length < byteLength) {
+    const padded = new Uint8Array(byteLength);
+    padded.set(bytes);
+    bytes = padded;
+  }
+
+  if (predictor === FLOATING_POINT) {
+    bytes = undoFloatingPointPredictor(
+      bytes,
+      width * samplesPerPixel,
+      height,
+      bytesPerSample,
+    );
+    // The predictor reassembles the bytes in little-endian order
+    littleEndian = true;
+  }
+
+  const values = readSamples(
+    bytes,
+    width * samplesPerPixel * height,
+    bitsPerSample,
+    sampleFormat,
+    littleEndian,
+  );
+
+  if (predictor === HORIZONTAL_DIFFERENCING) {
+    for (let row = 0; row < height; ++row) {
+      const start = row * width * samplesPerPixel;
+      const end = start + width * samplesPerPixel;
+      for (let i = start + samplesPerPixel; i < end; ++i) {
+        values[i] += values[i - samplesPerPixel];
+      }
+    }
+  } else if (predictor !== 1 && predictor !== FLOATING_POINT) {
+    throw new RuntimeError(`Unsupported GeoTIFF predictor: ${predictor}`);
+  }
+
+  const result = new Float32Array(width * height);
+  for (let i = 0; i < result.length; ++i) {
+    result[i] = values[i * samplesPerPixel];
+  }
+  return result;
+}
+
+function readSamples(bytes, count, bitsPerSample, sampleFormat, littleEndian) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let values;
+  let read;
+  if (sampleFormat === IEEE_FLOATING_POINT && bitsPerSample === 32) {
+    values = new Float32Array(count);
+    read = view.getFloat32;
+  } else if (sampleFormat === IEEE_FLOATING_POINT && bitsPerSample === 64) {
+    values = new Float64Array(count);
+    read = view.getFloat64;
+  } else if (sampleFormat === SIGNED_INTEGER && bitsPerSample === 8) {
+    values = new Int8Array(count);
+    read = view.getInt8;
+  } else if (sampleFormat === SIGNED_INTEGER && bitsPerSample === 16) {
+    values = new Int16Array(count);
+    read = view.getInt16;
+  } else if (sampleFormat === SIGNED_INTEGER && bitsPerSample === 32) {
+    values = new Int32Array(count);
+    read = view.getInt32;
+  } else if (sampleFormat === UNSIGNED_INTEGER && bitsPerSample === 8) {
+    values = new Uint8Array(count);
+    read = view.getUint8;
+  } else if (sampleFormat === UNSIGNED_INTEGER && bitsPerSample === 16) {
+    values = new Uint16Array(count);
+    read = view.getUint16;
+  } else if (sampleFormat === UNSIGNED_INTEGER && bitsPerSample === 32) {
+    values = new Uint32Array(count);
+    read = view.getUint32;
+  } else {
+    throw new RuntimeError(
+      `Unsupported GeoTIFF sample format: ${sampleFormat} with ${bitsPerSample} bits per sample`,
+    );
+  }
+
+  const bytesPerSample = bitsPerSample / 8;
+  for (let i = 0; i < count; ++i) {
+    values[i] = read.call(view, i * bytesPerSample, littleEndian);
+  }
+  return values;
+}
+
+// The floating point predictor stores the bytes of each row as planes, from most significant to
+// least significant, and then applies horizontal differencing to the bytes
+function undoFloatingPointPredictor(
+  bytes,
+  samplesPerRow,
+  height,
+  bytesPerSample,
+) {
+  const rowLength = samplesPerRow * bytesPerSample;
+  const result = new Uint8Array(bytes.length);
+  const row = new Uint8Array(rowLength);
+
+  for (let y = 0; y < height; ++y) {
+    const offset = y * rowLength;
+    row.set(bytes.subarray(offset, offset + rowLength));
+    for (let i = 1; i < rowLength; ++i) {
+      row[i] += row[i - 1];
+    }
+
+    for (let i = 0; i < samplesPerRow; ++i) {
+      for (let b = 0; b < bytesPerSample; ++b) {
+        result[offset + i * bytesPerSample + b] =
+          row[(bytesPerSample - b - 1) * samplesPerRow + i];
+      }
+    }
+  }
+
+  return result;
+}
+
+const CLEAR_CODE = 256;
+const END_OF_INFORMATION = 257;
+const MAXIMUM_CODE_LENGTH = 12;
+
+function decodeLzw(input, byteLength) {
+  const output = new Uint8Array(byteLength);
+  const prefixes = new Uint16Array(4096);
+  const suffixes = new Uint8Array(4096);
+  const firsts = new Uint8Array(4096);
+  const lengths = new Uint16Array(4096);
+  for (let i = 0; i < 256; ++i) {
+    suffixes[i] = i;
+    firsts[i] = i;
+    lengths[i] = 1;
+  }
+
+  const bitLength = input.length * 8;
+  let bitPosition = 0;
+  let outputPosition = 0;
+  let codeLength = 9;
+  let nextCode = END_OF_INFORMATION + 1;
+  let previousCode = -1;
+
+  function readCode() {
+    let code = 0;
+    for (let i = 0; i < codeLength; ++i) {
+      const byte = input[bitPosition >>> 3];
+      const bit = (byte >>> (7 - (bitPosition & 7))) & 1;
+      code = (code << 1) | bit;
+      ++bitPosition;
+    }
+    return code;
+  }
+
+  function writeCode(code) {
+    const length = lengths[code];
+    let position = outputPosition + length - 1;
+    while (position >= outputPosition) {
+      if (position < byteLength) {
+        output[position] = suffixes[code];
+      }
+      code = prefixes[code];
+      --position;
+    }
+    outputPosition += length;
+  }
+
+  function addCode(prefix, suffix) {
+    if (nextCode >= 4096) {
+      return;
+    }
+    prefixes[nextCode] = prefix;
+    suffixes[nextCode] = suffix;
+    firsts[nextCode] = firsts[prefix];
+    lengths[nextCode] = lengths[prefix] + 1;
+    ++nextCode;
+
+    // TIFF increases the code length one code early
+    if (nextCode >= (1 << codeLength) - 1 && codeLength < MAXIMUM_CODE_LENGTH) {
+      ++codeLength;
+    }
+  }
+
+  while (bitPosition + codeLength <= bitLength && outputPosition < byteLength) {
+    const code = readCode();
+    if (code === END_OF_INFORMATION) {
+      break;
+    }
+
+    if (code === CLEAR_CODE) {
+      codeLength = 9;
+      nextCode = END_OF_INFORMATION + 1;
+      previousCode = -1;
+      continue;
+    }
+
+    if (previousCode === -1) {
+      writeCode(code);
+    } else if (code < nextCode) {
+      writeCode(code);
+      addCode(previousCode, firsts[code]);
+    } else if (code === nextCode) {
+      addCode(previousCode, firsts[previousCode]);
+      writeCode(code);
+    } else {
+      throw new RuntimeError("Invalid LZW code.");
+    }
+    previousCode = code;
+  }
+
+  return output;
+}
+
+export default decodeGeoTiffTile;
@@ -0,0 +1,237 @@
+import * as protobuf from "protobufjs/dist/minimal/protobuf.js";
+import Check from "./Check.js";
+import defined from "./defined.js";
+import RuntimeError from "./RuntimeError.js";
+
+// Geometry commands from the Mapbox Vector Tile specification
+const MOVE_TO = 1;
+const LINE_TO = 2;
+const CLOSE_PATH = 7;
+
+/**
+ * Decodes a Mapbox Vector Tile protocol buffer. Geometry is left in the tile's
+ * coordinate system, where (0, 0) is the top-left corner of the tile and
+ * (extent, extent) is the bottom-right.
+ *
+ * @param {ArrayBuffer|Uint8Array} data The encoded tile.
+ * @returns {object} An object mapping each layer name to an object with <code>name</code>, <code>version</code>,
+ * <code>extent</code> and <code>features</code> properties. Each feature has an optional <code>id</code>,
+ * a <code>type</code> (1 for points, 2 for lines and 3 for polygons), a <code>properties</code> object and a
+ * <code>geometry</code> array of parts, where each part is a flat array of x, y coordinates.
+ *
+ * @exception {RuntimeError} Invalid geometry command.
+ *
+ * @see {@link https://github.com/mapbox/vector-tile-spec|Mapbox Vector Tile Specification}
+ *
+ * @private
+ */
+function decodeMapboxVectorTile(data) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("data", data);
+  //>>includeEnd('debug');
+
+  if (data instanceof ArrayBuffer) {
+    data = new Uint8Array(data);
+  }
+
+  const reader = protobuf.Reader.create(data);
+  const end = reader.len;
+  const layers = {};
+  while (reader.pos < end) {
+    const tag = reader.uint32();
+    if (tag >>> 3 === 3) {
+      const layer = decodeLayer(reader, reader.uint32() + reader.pos);
+      layers[layer.name] = layer;
+    } else {
+      reader.skipType(tag & 7);
+    }
+  }
+
+  return layers;
+}
+
+function toNumber(value) {
+  // protobuf.js returns a Long when long.js is available
+  return typeof value === "number" ? value : value.toNumber();
+}
+
+function decodeLayer(reader, end) {
+  const layer = {
+    name: undefined,
+    version: 1,
+    extent: 4096,
+    features: [],
+  };
+  const keys = [];
+  const values = [];
+  const encodedFeatures = [];
+
+  while (reader.pos < end) {
+    const tag = reader.uint32();
+    switch (tag >>> 3) {
+      case 15:
+        layer.version = reader.uint32();
+        break;
+      case 1:
+        layer.name = reader.string();
+        break;
+      case 2:
+        encodedFeatures.push(
+          decodeFeature(reader, reader.uint32() + reader.pos),
+        );
+        break;
+      case 3:
+        keys.push(reader.string());
+        break;
+      case 4:
+        values.push(decodeValue(reader, reader.uint32() + reader.pos));
+        break;
+      case 5:
+        layer.extent = reader.uint32();
+        break;
+      default:
+        reader.skipType(tag & 7);
+        break;
+    }
+  }
+
+  // Keys and values may come after the features that reference them
+  for (let i = 0; i < encodedFeatures.length; ++i) {
+    const encodedFeature = encodedFeatures[i];
+    const tags = encodedFeature.tags;
+    const properties = {};
+    for (let j = 0; j < tags.length; j += 2) {
+      properties[keys[tags[j]]] = values[tags[j + 1]];
+    }
+
+    const feature = {
+      id: encodedFeature.id,
+      type: encodedFeature.type,
+      properties: properties,
+      geometry: decodeGeometry(encodedFeature.geometry),
+    };
+    if (!defined(feature.id)) {
+      delete feature.id;
+    }
+    layer.features.push(feature);
+  }
+
+  return layer;
+}
+
+function readPackedUint32(reader, tag, result) {
+  if ((tag & 7) === 2) {
+    const end = reader.uint32() + reader.pos;
+    while (reader.pos < end) {
+      result.push(reader.uint32());
+    }
+  } else {
+    result.push(reader.uint32());
+  }
+}
+
+function decodeFeature(reader, end) {
+  const feature = {
+    id: undefined,
+    type: 0,
+    tags: [],
+    geometry: [],
+  };
+
+  while (reader.pos < end) {
+    const tag = reader.uint32();
+    switch (tag >>> 3) {
+      case 1:
+        feature.id = toNumber(reader.uint64());
+        break;
+      case 2:
+        readPackedUint32(reader, tag, feature.tags);
+        break;
+      case 3:
+        feature.type = reader.uint32();
+        break;
+      case 4:
+        readPackedUint32(reader, tag, feature.geometry);
+        break;
+      default:
+        reader.skipType(tag & 7);
+        break;
+    }
+  }
+
+  return feature;
+}
+
+function decodeValue(reader, end) {
+  let value;
+  while (reader.pos < end) {
+    const tag = reader.uint32();
+    switch (tag >>> 3) {
+      case 1:
+        value = reader.string();
+        break;
+      case 2:
+        value = reader.float();
+        break;
+      case 3:
+        value = reader.double();
+        break;
+      case 4:
+        value = toNumber(reader.int64());
+        break;
+      case 5:
+        value = toNumber(reader.uint64());
+        break;
+      case 6:
+        value = toNumber(reader.sint64());
+        break;
+      case 7:
+        value = reader.bool();
+        break;
+      default:
+        reader.skipType(tag & 7);
+        break;
+    }
+  }
+  return value;
+}
+
+function zigZagDecode(value) {
+  return (value >>> 1) ^ -(value & 1);
+}
+
+function decodeGeometry(commands) {
+  const parts = [];
+  let part;
+  let x = 0;
+  let y = 0;
+
+  let i = 0;
+  while (i < commands.length) {
+    const commandInteger = commands[i++];
+    const command = commandInteger & 0x7;
+    const count = commandInteger >>> 3;
+
+    if (command === MOVE_TO || command === LINE_TO) {
+      for (let j = 0; j < count; ++j) {
+        x += zigZagDecode(commands[i++]);
+        y += zigZagDecode(commands[i++]);
+        if (command === MOVE_TO) {
+          part = [];
+          parts.push(part);
+        }
+        part.push(x, y);
+      }
+    } else if (command === CLOSE_PATH) {
+      if (defined(part) && part.length > 0) {
+        part.push(part[0], part[1]);
+      }
+    } else {
+      throw new RuntimeError(`Invalid geometry command: ${command}`);
+    }
+  }
+
+  return parts;
+}
+
+export default decodeMapboxVectorTile;
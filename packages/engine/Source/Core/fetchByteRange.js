@@ -0,0 +1,26 @@
+/**
+ * Requests a range of bytes from a resource with an HTTP Range header.
+ *
+ * @param {Resource} resource The resource to request from.
+ * @param {number} offset The offset of the first byte.
+ * @param {number} length The number of bytes.
+ * @returns {Promise<Uint8Array>} A promise that resolves to the requested bytes.
+ *
+ * @private
+ */
+async function fetchByteRange(resource, offset, length) {
+  const rangeResource = resource.getDerivedResource({
+    headers: {
+      Range: `bytes=${offset}-${offset + length - 1}`,
+    },
+  });
+  const arrayBuffer = await rangeResource.fetchArrayBuffer();
+  const bytes = new Uint8Array(arrayBuffer);
+
+  // Servers that ignore the Range header return the whole file
+  if (bytes.byteLength > length) {
+    return bytes.subarray(offset, offset + length);
+  }
+  return bytes;
+}
+export default fetchByteRange;
@@ -18,6 +18,7 @@ import defined from "./defined.js";
  * @param {number} level 查询地形高度的地形细节级别。
  * @param {Cartographic[]} positions 需要更新地形高度的位置。
  * @param {boolean} [rejectOnTileFail=false] 如果为 true，则对于任何失败的地形瓦片请求，承诺将被拒绝。如果为 false，则返回的高度将为未定义。
+ * @param {TerrainModificationCollection} [terrainModifications] 应用于采样高度的地形修改，例如 {@link Globe#terrainModifications}。
  * @returns {Promise<Cartographic[]>} 当地形查询完成时，解析为提供的位置列表的承诺。
  *
  * @see sampleTerrainMostDetailed
@@ -39,12 +40,16 @@ import defined from "./defined.js";
  * } catch (error) {
  *   // A tile request error occurred.
  * }
+ *
+ * // Query the heights of the terrain as modified for the globe
+ * await Cesium.sampleTerrain(terrainProvider, 11, positions, false, viewer.scene.globe.terrainModifications);
  */
 async function sampleTerrain(
   terrainProvider,
   level,
   positions,
   rejectOnTileFail,
+  terrainModifications,
 ) {
   if (!defined(rejectOnTileFail)) {
     rejectOnTileFail = false;
@@ -56,7 +61,19 @@ async function sampleTerrain(
   Check.defined("positions", positions);
   //>>includeEnd('debug');
 
-  return doSampling(terrainProvider, level, positions, rejectOnTileFail);
+  await doSampling(terrainProvider, level, positions, rejectOnTileFail);
+
+  if (defined(terrainModifications)) {
+    for (let i = 0; i < positions.length; ++i) {
+      const position = positions[i];
+      position.height = terrainModifications.getModifiedHeight(
+        position,
+        position.height,
+      );
+    }
+  }
+
+  return positions;
 }
 
 /**
@@ -13,6 +13,7 @@ const scratchCartesian2 = new Cartesian2();
  * @param {TerrainProvider} terrainProvider 要查询高度的地形提供者。
  * @param {Cartographic[]} positions 要更新地形高度的位置。
  * @param {boolean} [rejectOnTileFail=false] 如果为真，则在请求地形瓦片失败时，承诺将被拒绝。如果为假，则返回的高度将是未定义的。
+ * @param {TerrainModificationCollection} [terrainModifications] 应用于采样高度的地形修改，例如 {@link Globe#terrainModifications}。
  * @returns {Promise<Cartographic[]>} 当地形查询完成时，返回提供的位置列表的承诺。 如果地形提供者的 `availability` 属性未定义，则此承诺将被拒绝。
  *
  * @example
@@ -37,6 +38,7 @@ async function sampleTerrainMostDetailed(
   terrainProvider,
   positions,
   rejectOnTileFail,
+  terrainModifications,
 ) {
   if (!defined(rejectOnTileFail)) {
     rejectOnTileFail = false;
@@ -126,6 +128,16 @@ async function sampleTerrainMostDetailed(
     );
   }
 
+  if (defined(terrainModifications)) {
+    for (let i = 0; i < positions.length; ++i) {
+      const position = positions[i];
+      position.height = terrainModifications.getModifiedHeight(
+        position,
+        position.height,
+      );
+    }
+  }
+
   return positions;
 }
 export default sampleTerrainMostDetailed;
@@ -0,0 +1,95 @@
+import Check from "./Check.js";
+import defined from "./defined.js";
+import IndexDatatype from "./IndexDatatype.js";
+
+// The number of buckets used to quantize the depths of the splats
+const BUCKET_COUNT = 65536;
+
+/**
+ * Sorts Gaussian splats back to front using a counting sort of the quantized
+ * depths. The depth of a splat is its distance from the camera position if one
+ * is given, as in perspective views, otherwise its depth along the view
+ * direction, as in orthographic views.
+ *
+ * @param {object} options Object with the following properties:
+ * @param {Float32Array} options.positions The positions of the splats in model coordinates, packed as x, y, z.
+ * @param {Cartesian3} [options.position] The camera position in model coordinates.
+ * @param {Cartesian3} [options.direction] The view direction in model coordinates. Required if <code>options.position</code> is undefined.
+ * @returns {object} An object with the <code>positions</code> that were passed in and the sorted <code>indices</code> of the splats, starting with the farthest splat. The indices are a <code>Uint16Array</code> if there are fewer than 64K splats, otherwise a <code>Uint32Array</code>.
+ *
+ * @private
+ */
+function sortGaussianSplats(options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.positions", options.positions);
+  if (!defined(options.position)) {
+    Check.typeOf.object("options.direction", options.direction);
+  }
+  //>>includeEnd('debug');
+
+  const positions = options.positions;
+  const position = options.position;
+  const direction = options.direction;
+  const count = positions.length / 3;
+
+  const depths = new Float32Array(count);
+  let minimumDepth = Number.POSITIVE_INFINITY;
+  let maximumDepth = Number.NEGATIVE_INFINITY;
+  for (let i = 0; i < count; ++i) {
+    let depth;
+    if (defined(position)) {
+      const x = positions[i * 3] - position.x;
+      const y = positions[i * 3 + 1] - position.y;
+      const z = positions[i * 3 + 2] - position.z;
+      depth = Math.sqrt(x * x + y * y + z * z);
+    } else {
+      depth =
+        positions[i * 3] * direction.x +
+        positions[i * 3 + 1] * direction.y +
+        positions[i * 3 + 2] * direction.z;
+    }
+    // Use the depth as stored, so rounding can't put it outside the range
+    depths[i] = depth;
+    minimumDepth = Math.min(minimumDepth, depths[i]);
+    maximumDepth = Math.max(maximumDepth, depths[i]);
+  }
+
+  const indices = IndexDatatype.createTypedArray(count, count);
+  const range = maximumDepth - minimumDepth;
+  if (!(range > 0.0)) {
+    for (let i = 0; i < count; ++i) {
+      indices[i] = i;
+    }
+    return {
+      positions: positions,
+      indices: indices,
+    };
+  }
+
+  // The farthest splats go into the first bucket
+  const scale = (BUCKET_COUNT - 1) / range;
+  const buckets = new Uint16Array(count);
+  const offsets = new Uint32Array(BUCKET_COUNT);
+  for (let i = 0; i < count; ++i) {
+    const bucket = Math.floor((maximumDepth - depths[i]) * scale);
+    buckets[i] = bucket;
+    ++offsets[bucket];
+  }
+
+  let offset = 0;
+  for (let i = 0; i < BUCKET_COUNT; ++i) {
+    const bucketCount = offsets[i];
+    offsets[i] = offset;
+    offset += bucketCount;
+  }
+
+  for (let i = 0; i < count; ++i) {
+    indices[offsets[buckets[i]]++] = i;
+  }
+
+  return {
+    positions: positions,
+    indices: indices,
+  };
+}
+export default sortGaussianSplats;
@@ -124,6 +124,7 @@ function Entity(options) {
   this._definitionChanged = new Event();
   this._name = options.name;
   this._show = defaultValue(options.show, true);
+  this._lodShow = true;
   this._parent = undefined;
   this._propertyNames = [
     "billboard",
@@ -212,7 +213,7 @@ function updateShow(entity, children, isShowing) {
   const length = children.length;
   for (let i = 0; i < length; i++) {
     const child = children[i];
-    const childShow = child._show;
+    const childShow = child._show && child._lodShow;
     const oldValue = !isShowing && childShow;
     const newValue = isShowing && childShow;
     if (oldValue !== newValue) {
@@ -302,6 +303,33 @@ Object.defineProperties(Entity.prototype, {
     },
   },
 
+  /**
+   * 获取或设置此实体的细节层次（例如 KML 的 <code>Region</code>）是否处于活动状态。它与 {@link Entity#show}
+   * 一起决定 {@link Entity#isShowing}，但不会改变 <code>show</code>。
+   * @memberof Entity.prototype
+   * @type {boolean}
+   * @default true
+   * @private
+   */
+  lodShow: {
+    get: function() {
+      return this._lodShow;
+    },
+    set: function(value) {
+      if (value === this._lodShow) {
+        return;
+      }
+
+      const wasShowing = this.isShowing;
+      this._lodShow = value;
+      const isShowing = this.isShowing;
+
+      if (wasShowing !== isShowing) {
+        updateShow(this, this._children, isShowing);
+      }
+    },
+  },
+
   /**
    * 获取此实体是否正在显示，考虑到任意祖先实体的可见性。
    * @memberof Entity.prototype
@@ -311,6 +339,7 @@ Object.defineProperties(Entity.prototype, {
     get: function() {
       return (
         this._show &&
+        this._lodShow &&
         (!defined(this.entityCollection) || this.entityCollection.show) &&
         (!defined(this._parent) || this._parent.isShowing)
       );
@@ -31,6 +31,8 @@ import KDBush from "kdbush";
  * @constructor
  *
  * @demo {@link https://sandcastle.cesium.com/index.html?src=Clustering.html|Cesium Sandcastle Clustering Demo}
+ *
+ * @see EntityClusterDataSource
  */
 function EntityCluster(options) {
   options = defaultValue(options, defaultValue.EMPTY_OBJECT);
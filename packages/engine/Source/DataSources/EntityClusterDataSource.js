@@ -0,0 +1,729 @@
+import ArcType from "../Core/ArcType.js";
+import AssociativeArray from "../Core/AssociativeArray.js";
+import Cartesian2 from "../Core/Cartesian2.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import ClusterIndex from "../Core/ClusterIndex.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import CesiumMath from "../Core/Math.js";
+import Matrix4 from "../Core/Matrix4.js";
+import Rectangle from "../Core/Rectangle.js";
+import ScreenSpaceEventHandler from "../Core/ScreenSpaceEventHandler.js";
+import ScreenSpaceEventType from "../Core/ScreenSpaceEventType.js";
+import Transforms from "../Core/Transforms.js";
+import SceneMode from "../Scene/SceneMode.js";
+import ConstantPositionProperty from "./ConstantPositionProperty.js";
+import CustomDataSource from "./CustomDataSource.js";
+
+// The clusters are computed for tiles of this size in pixels
+const TILE_EXTENT = 256;
+
+/**
+ * 一个 {@link DataSource}，按缩放级别对另一个实体集合中的实体进行层次聚类。
+ * <p>
+ * 与只能聚类广告牌、标签和点的 {@link EntityCluster} 不同，任何具有位置的实体都可以被聚类，包括模型。
+ * 每个缩放级别的聚类在实体集合更改时预先计算一次，因此移动摄像机时只需查询视图中的聚类。
+ * 聚类中的实体会被隐藏，每个聚类由此数据源中的一个实体表示，其图形可以使用 <code>clusterStyle</code> 回调自定义，
+ * 聚类的属性可以使用 <code>map</code> 和 <code>reduce</code> 回调汇总。
+ * </p>
+ * <p>
+ * 单击聚类时，摄像机飞到聚类中实体的范围，聚类在更高的缩放级别展开为其子聚类。
+ * 如果聚类中的实体在最大缩放级别仍不能分开，例如位置重合的实体，则实体围绕聚类以圆形展开（spiderfy）。
+ * </p>
+ * <p>
+ * 实体的位置在构建聚类时采样。添加、移除或更改实体时将重新构建聚类。
+ * </p>
+ *
+ * @alias EntityClusterDataSource
+ * @constructor
+ * @extends CustomDataSource
+ *
+ * @param {object} options 具有以下属性的对象：
+ * @param {Scene} options.scene 显示实体的场景。
+ * @param {EntityCollection} options.entities 要聚类的实体集合，通常是另一个数据源的 <code>entities</code>。
+ * @param {string} [options.name] 此数据源的名称。
+ * @param {number} [options.radius=60] 聚类的半径，以像素为单位。
+ * @param {number} [options.minimumClusterSize=2] 形成聚类的最小实体数量。
+ * @param {number} [options.maximumZoom=16] 计算聚类的最大缩放级别。在更高的缩放级别，实体不会被聚类。
+ * @param {EntityClusterDataSource.MapCallback} [options.map] 返回实体的要汇总属性的函数。
+ * @param {EntityClusterDataSource.ReduceCallback} [options.reduce] 将属性合并到聚类属性中的函数。
+ * @param {EntityClusterDataSource.StyleCallback} [options.clusterStyle] 设置表示聚类的实体的图形的函数。默认显示包含实体数量的标签。
+ * @param {boolean} [options.expandOnClick=true] 单击聚类时是否展开聚类。
+ * @param {boolean} [options.spiderfy=true] 是否将在最大缩放级别仍不能分开的聚类展开为圆形。
+ * @param {number} [options.spiderfyRadius=40] 展开的实体与聚类中心的最小距离，以像素为单位。
+ *
+ * @example
+ * const viewer = new Cesium.Viewer("cesiumContainer");
+ * const dataSource = await Cesium.GeoJsonDataSource.load("../../SampleData/cities.geojson");
+ * viewer.dataSources.add(dataSource);
+ *
+ * // Cluster the cities and show the total population of each cluster
+ * const clusters = new Cesium.EntityClusterDataSource({
+ *   scene: viewer.scene,
+ *   entities: dataSource.entities,
+ *   map: function (entity, time) {
+ *     return {
+ *       population: entity.properties.population.getValue(time),
+ *     };
+ *   },
+ *   reduce: function (accumulated, properties) {
+ *     accumulated.population += properties.population;
+ *   },
+ *   clusterStyle: function (cluster, entity) {
+ *     entity.point = {
+ *       pixelSize: 20,
+ *       color: Cesium.Color.ORANGE,
+ *     };
+ *     entity.label = {
+ *       text: cluster.properties.population.toLocaleString(),
+ *       pixelOffset: new Cesium.Cartesian2(0, -24),
+ *     };
+ *   },
+ * });
+ * viewer.dataSources.add(clusters);
+ */
+function EntityClusterDataSource(options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options", options);
+  Check.typeOf.object("options.scene", options.scene);
+  Check.typeOf.object("options.entities", options.entities);
+  //>>includeEnd('debug');
+
+  CustomDataSource.call(this, options.name);
+
+  const maximumZoom = defaultValue(options.maximumZoom, 16);
+  this._scene = options.scene;
+  this._sourceEntities = options.entities;
+  this._radius = defaultValue(options.radius, 60);
+  this._minimumClusterSize = defaultValue(options.minimumClusterSize, 2);
+  this._maximumZoom = maximumZoom;
+  this._map = options.map;
+  this._clusterStyle = defaultValue(
+    options.clusterStyle,
+    EntityClusterDataSource.defaultClusterStyle,
+  );
+  this._spiderfy = defaultValue(options.spiderfy, true);
+  this._spiderfyRadius = defaultValue(options.spiderfyRadius, 40);
+
+  this._index = new ClusterIndex({
+    maximumZoom: maximumZoom,
+    radius: this._radius,
+    extent: TILE_EXTENT,
+    minimumPoints: this._minimumClusterSize,
+    reduce: options.reduce,
+  });
+  this._indexedEntities = [];
+  this._indexDirty = true;
+  this._viewDirty = true;
+  this._enabled = true;
+
+  this._clusters = {};
+  this._clustersByEntity = {};
+  this._hiddenEntities = new AssociativeArray();
+  this._spiderfied = undefined;
+  this._modifyingEntities = false;
+  this._lastCameraView = undefined;
+  this._zoom = undefined;
+
+  const that = this;
+  this._removeCollectionListener =
+    this._sourceEntities.collectionChanged.addEventListener(
+      function (collection, added, removed, changed) {
+        // Ignore the changes made when showing, hiding and spiderfying entities
+        if (
+          added.length > 0 ||
+          removed.length > 0 ||
+          (changed.length > 0 && !that._modifyingEntities)
+        ) {
+          that._indexDirty = true;
+        }
+      },
+    );
+
+  this._handler = undefined;
+  if (defaultValue(options.expandOnClick, true)) {
+    const scene = this._scene;
+    const handler = (this._handler = new ScreenSpaceEventHandler(scene.canvas));
+    handler.setInputAction(function (movement) {
+      const picked = scene.pick(movement.position);
+      const entity = defined(picked) ? picked.id : undefined;
+      const cluster = that.getCluster(entity);
+      if (defined(cluster)) {
+        that.expand(cluster);
+      } else if (!isSpiderfiedEntity(that, entity)) {
+        that.unspiderfy();
+      }
+    }, ScreenSpaceEventType.LEFT_CLICK);
+  }
+}
+
+if (defined(Object.create)) {
+  EntityClusterDataSource.prototype = Object.create(CustomDataSource.prototype);
+  EntityClusterDataSource.prototype.constructor = EntityClusterDataSource;
+}
+
+Object.defineProperties(EntityClusterDataSource.prototype, {
+  /**
+   * 获取或设置是否启用聚类。禁用聚类时，所有实体都按原样显示。
+   * @memberof EntityClusterDataSource.prototype
+   * @type {boolean}
+   * @default true
+   */
+  enabled: {
+    get: function () {
+      return this._enabled;
+    },
+    set: function (value) {
+      if (value === this._enabled) {
+        return;
+      }
+      this._enabled = value;
+      if (!value) {
+        clear(this);
+      }
+      this._viewDirty = true;
+    },
+  },
+
+  /**
+   * 获取被聚类的实体集合。
+   * @memberof EntityClusterDataSource.prototype
+   * @type {EntityCollection}
+   * @readonly
+   */
+  clusteredEntities: {
+    get: function () {
+      return this._sourceEntities;
+    },
+  },
+
+  /**
+   * 获取聚类的半径，以像素为单位。
+   * @memberof EntityClusterDataSource.prototype
+   * @type {number}
+   * @readonly
+   */
+  radius: {
+    get: function () {
+      return this._radius;
+    },
+  },
+
+  /**
+   * 获取形成聚类的最小实体数量。
+   * @memberof EntityClusterDataSource.prototype
+   * @type {number}
+   * @readonly
+   */
+  minimumClusterSize: {
+    get: function () {
+      return this._minimumClusterSize;
+    },
+  },
+
+  /**
+   * 获取计算聚类的最大缩放级别。
+   * @memberof EntityClusterDataSource.prototype
+   * @type {number}
+   * @readonly
+   */
+  maximumZoom: {
+    get: function () {
+      return this._maximumZoom;
+    },
+  },
+
+  /**
+   * 获取当前显示的聚类。
+   * @memberof EntityClusterDataSource.prototype
+   * @type {EntityClusterDataSource.Cluster[]}
+   * @readonly
+   */
+  clusters: {
+    get: function () {
+      const clusters = this._clusters;
+      return Object.keys(clusters).map(function (id) {
+        return clusters[id];
+      });
+    },
+  },
+});
+
+/**
+ * 默认的聚类样式，显示包含聚类中实体数量的标签。
+ *
+ * @param {EntityClusterDataSource.Cluster} cluster 聚类。
+ * @param {Entity} entity 表示聚类的实体。
+ */
+EntityClusterDataSource.defaultClusterStyle = function (cluster, entity) {
+  entity.label = {
+    text: cluster.count.toLocaleString(),
+  };
+};
+
+/**
+ * 如果聚类需要重新构建或摄像机的视图发生了变化，则更新显示的聚类。此函数由 {@link DataSourceDisplay} 每帧调用一次。
+ *
+ * @param {JulianDate} time 模拟时间。
+ * @returns {boolean} 始终为 true。
+ */
+EntityClusterDataSource.prototype.update = function (time) {
+  if (!this._enabled || this._scene.mode === SceneMode.MORPHING) {
+    return true;
+  }
+
+  if (this._indexDirty) {
+    this._indexDirty = false;
+    buildIndex(this, time);
+  }
+
+  if (cameraChanged(this) || this._viewDirty) {
+    this._viewDirty = false;
+    updateClusters(this);
+  }
+
+  return true;
+};
+
+/**
+ * 获取由实体表示的聚类。
+ *
+ * @param {Entity} entity 实体。
+ * @returns {EntityClusterDataSource.Cluster|undefined} 实体表示的聚类，如果实体不表示当前显示的聚类，则为 undefined。
+ */
+EntityClusterDataSource.prototype.getCluster = function (entity) {
+  if (!defined(entity)) {
+    return undefined;
+  }
+  return this._clustersByEntity[entity.id];
+};
+
+/**
+ * 展开聚类。摄像机飞到聚类中实体的范围，以便聚类分成其子聚类。
+ * 如果聚类中的实体在最大缩放级别仍不能分开，并且启用了 <code>spiderfy</code>，则将实体以圆形展开。
+ *
+ * @param {EntityClusterDataSource.Cluster} cluster 要展开的聚类。
+ */
+EntityClusterDataSource.prototype.expand = function (cluster) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cluster", cluster);
+  //>>includeEnd('debug');
+
+  if (this._index.getExpansionZoom(cluster.id) <= this._maximumZoom) {
+    this._scene.camera.flyTo({
+      destination: cluster.rectangle,
+    });
+  } else if (this._spiderfy) {
+    this.spiderfy(cluster);
+  }
+};
+
+const scratchPixelDimensions = new Cartesian2();
+const scratchTransform = new Matrix4();
+const scratchOffset = new Cartesian3();
+
+/**
+ * 将聚类中的实体围绕聚类中心以圆形展开，并用线连接到聚类中心。之前展开的聚类将被收起。
+ *
+ * @param {EntityClusterDataSource.Cluster} cluster 要展开的聚类。
+ */
+EntityClusterDataSource.prototype.spiderfy = function (cluster) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cluster", cluster);
+  //>>includeEnd('debug');
+
+  this.unspiderfy();
+
+  const scene = this._scene;
+  const camera = scene.camera;
+  const canvas = scene.canvas;
+  const center = cluster.position;
+  const entities = cluster.entities;
+  const count = entities.length;
+
+  // Space the entities around a circle whose circumference grows with their number
+  const pixelDimensions = camera.frustum.getPixelDimensions(
+    canvas.clientWidth,
+    canvas.clientHeight,
+    Cartesian3.distance(camera.positionWC, center),
+    1.0,
+    scratchPixelDimensions,
+  );
+  const spiderfyRadius = this._spiderfyRadius;
+  const radius =
+    Math.max(spiderfyRadius, (count * spiderfyRadius) / CesiumMath.TWO_PI) *
+    Math.max(pixelDimensions.x, pixelDimensions.y);
+  const transform = Transforms.eastNorthUpToFixedFrame(
+    center,
+    this._scene.ellipsoid,
+    scratchTransform,
+  );
+
+  const spiderfied = (this._spiderfied = {
+    cluster: cluster,
+    positions: new Array(count),
+    legs: new Array(count),
+  });
+
+  this._modifyingEntities = true;
+  this._entityCollection.suspendEvents();
+  for (let i = 0; i < count; ++i) {
+    const entity = entities[i];
+    const angle = (CesiumMath.TWO_PI * i) / count;
+    const offset = Cartesian3.fromElements(
+      radius * Math.cos(angle),
+      radius * Math.sin(angle),
+      0.0,
+      scratchOffset,
+    );
+    const position = Matrix4.multiplyByPoint(
+      transform,
+      offset,
+      new Cartesian3(),
+    );
+
+    spiderfied.positions[i] = entity.position;
+    entity.position = new ConstantPositionProperty(position);
+    showEntity(this, entity);
+
+    spiderfied.legs[i] = this._entityCollection.add({
+      polyline: {
+        positions: [center, position],
+        width: 1.0,
+        arcType: ArcType.NONE,
+        material: Color.WHITE,
+      },
+    });
+  }
+  cluster.entity.show = false;
+  this._entityCollection.resumeEvents();
+  this._modifyingEntities = false;
+};
+
+/**
+ * 收起展开的聚类，将实体恢复到原来的位置。
+ */
+EntityClusterDataSource.prototype.unspiderfy = function () {
+  const spiderfied = this._spiderfied;
+  if (!defined(spiderfied)) {
+    return;
+  }
+  this._spiderfied = undefined;
+
+  this._modifyingEntities = true;
+  this._entityCollection.suspendEvents();
+  const cluster = spiderfied.cluster;
+  const entities = cluster.entities;
+  for (let i = 0; i < entities.length; ++i) {
+    entities[i].position = spiderfied.positions[i];
+    this._entityCollection.remove(spiderfied.legs[i]);
+  }
+
+  if (this._clusters[cluster.id] === cluster) {
+    cluster.entity.show = true;
+    hideEntities(this, entities);
+  }
+  this._entityCollection.resumeEvents();
+  this._modifyingEntities = false;
+};
+
+/**
+ * 如果对象已被销毁，则返回 true；否则返回 false。
+ * <br /><br />
+ * 如果对象已被销毁，则不应使用；调用除 <code>isDestroyed</code> 之外的任何函数都会导致 {@link DeveloperError} 异常。
+ *
+ * @returns {boolean} 如果对象已被销毁，则为 <code>true</code>；否则为 <code>false</code>。
+ *
+ * @see EntityClusterDataSource#destroy
+ */
+EntityClusterDataSource.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * 销毁此对象持有的资源，并按原样显示被聚类的实体。
+ * <br /><br />
+ * 一旦对象被销毁，就不应使用；调用除 <code>isDestroyed</code> 之外的任何函数都会导致 {@link DeveloperError} 异常。
+ *
+ * @exception {DeveloperError} 此对象已被销毁，即调用了 destroy()。
+ *
+ * @see EntityClusterDataSource#isDestroyed
+ */
+EntityClusterDataSource.prototype.destroy = function () {
+  clear(this);
+  this._removeCollectionListener();
+  if (defined(this._handler)) {
+    this._handler.destroy();
+  }
+  return destroyObject(this);
+};
+
+function isSpiderfiedEntity(that, entity) {
+  const spiderfied = that._spiderfied;
+  return (
+    defined(spiderfied) &&
+    defined(entity) &&
+    spiderfied.cluster.entities.indexOf(entity) !== -1
+  );
+}
+
+function showEntity(that, entity) {
+  if (that._hiddenEntities.remove(entity.id)) {
+    entity.show = true;
+  }
+}
+
+function showEntities(that, entities) {
+  for (let i = 0; i < entities.length; ++i) {
+    showEntity(that, entities[i]);
+  }
+}
+
+function hideEntities(that, entities) {
+  const hiddenEntities = that._hiddenEntities;
+  for (let i = 0; i < entities.length; ++i) {
+    // Entities hidden by the application stay hidden when they are no longer clustered
+    const entity = entities[i];
+    if (!hiddenEntities.contains(entity.id) && entity.show) {
+      entity.show = false;
+      hiddenEntities.set(entity.id, entity);
+    }
+  }
+}
+
+// Shows every clustered entity and removes the clusters
+function clear(that) {
+  that.unspiderfy();
+
+  that._modifyingEntities = true;
+  const hiddenEntities = that._hiddenEntities.values;
+  for (let i = 0; i < hiddenEntities.length; ++i) {
+    hiddenEntities[i].show = true;
+  }
+  that._hiddenEntities.removeAll();
+  that._modifyingEntities = false;
+
+  that._entityCollection.removeAll();
+  that._clusters = {};
+  that._clustersByEntity = {};
+}
+
+function buildIndex(that, time) {
+  // The ids of the clusters are only valid for one index
+  clear(that);
+
+  const ellipsoid = that._scene.ellipsoid;
+  const map = that._map;
+  const entities = that._sourceEntities.values;
+  const positions = [];
+  const properties = defined(map) ? [] : undefined;
+  const indexedEntities = [];
+  for (let i = 0; i < entities.length; ++i) {
+    const entity = entities[i];
+    const position = defined(entity.position)
+      ? entity.position.getValue(time)
+      : undefined;
+    const cartographic = defined(position)
+      ? ellipsoid.cartesianToCartographic(position)
+      : undefined;
+    if (!defined(cartographic)) {
+      continue;
+    }
+
+    positions.push(cartographic);
+    indexedEntities.push(entity);
+    if (defined(map)) {
+      properties.push(map(entity, time));
+    }
+  }
+
+  that._index.load(positions, properties);
+  that._indexedEntities = indexedEntities;
+  that._viewDirty = true;
+}
+
+function cameraChanged(that) {
+  const camera = that._scene.camera;
+  const lastCameraView = that._lastCameraView;
+  if (
+    defined(lastCameraView) &&
+    camera.positionWC.equalsEpsilon(
+      lastCameraView.position,
+      CesiumMath.EPSILON7,
+    ) &&
+    camera.directionWC.equalsEpsilon(
+      lastCameraView.direction,
+      CesiumMath.EPSILON7,
+    ) &&
+    camera.upWC.equalsEpsilon(lastCameraView.up, CesiumMath.EPSILON7)
+  ) {
+    return false;
+  }
+
+  that._lastCameraView = {
+    position: Cartesian3.clone(camera.positionWC),
+    direction: Cartesian3.clone(camera.directionWC),
+    up: Cartesian3.clone(camera.upWC),
+  };
+  return true;
+}
+
+function getZoom(that) {
+  const scene = that._scene;
+  const camera = scene.camera;
+  const canvas = scene.canvas;
+  const cartographic = camera.positionCartographic;
+
+  const pixelDimensions = camera.frustum.getPixelDimensions(
+    canvas.clientWidth,
+    canvas.clientHeight,
+    Math.max(cartographic.height, 1.0),
+    1.0,
+    scratchPixelDimensions,
+  );
+  // Web Mercator tiles are smaller on the ground away from the equator
+  const metersPerPixel =
+    Math.max(pixelDimensions.x, pixelDimensions.y) /
+    Math.max(Math.cos(cartographic.latitude), CesiumMath.EPSILON3);
+  return ClusterIndex.getZoom(metersPerPixel, TILE_EXTENT, scene.ellipsoid);
+}
+
+function createCluster(that, node) {
+  const position = Cartesian3.fromRadians(
+    node.longitude,
+    node.latitude,
+    node.height,
+    that._scene.ellipsoid,
+  );
+  const entity = that._entityCollection.add({
+    position: position,
+  });
+  const indexedEntities = that._indexedEntities;
+  const cluster = {
+    id: node.id,
+    count: node.count,
+    position: position,
+    rectangle: ClusterIndex.getRectangle(node),
+    properties: node.properties,
+    entities: that._index.getLeaves(node.id).map(function (index) {
+      return indexedEntities[index];
+    }),
+    entity: entity,
+  };
+  that._clusterStyle(cluster, entity);
+  return cluster;
+}
+
+const scratchRectangle = new Rectangle();
+
+function updateClusters(that) {
+  const scene = that._scene;
+  const index = that._index;
+
+  let rectangle = scene.camera.computeViewRectangle(
+    scene.ellipsoid,
+    scratchRectangle,
+  );
+  if (!defined(rectangle)) {
+    rectangle = Rectangle.MAX_VALUE;
+  }
+
+  // The spiderfied entities no longer fit around the cluster when the zoom level changes
+  const zoom = Math.floor(getZoom(that));
+  if (zoom !== that._zoom) {
+    that._zoom = zoom;
+    that.unspiderfy();
+  }
+
+  const entityCollection = that._entityCollection;
+  entityCollection.suspendEvents();
+
+  const previousClusters = that._clusters;
+  const clusters = {};
+  const clustersByEntity = {};
+  const addedClusters = [];
+  const nodes = index.getClusters(rectangle, zoom);
+  for (let i = 0; i < nodes.length; ++i) {
+    const node = nodes[i];
+    if (node.id < index.length) {
+      continue;
+    }
+
+    let cluster = previousClusters[node.id];
+    if (defined(cluster)) {
+      delete previousClusters[node.id];
+    } else {
+      cluster = createCluster(that, node);
+      addedClusters.push(cluster);
+    }
+    clusters[cluster.id] = cluster;
+    clustersByEntity[cluster.entity.id] = cluster;
+  }
+
+  // Only the entities of the clusters that appeared or disappeared are shown or hidden
+  that._modifyingEntities = true;
+  for (const id in previousClusters) {
+    if (previousClusters.hasOwnProperty(id)) {
+      const cluster = previousClusters[id];
+      if (defined(that._spiderfied) && that._spiderfied.cluster === cluster) {
+        that.unspiderfy();
+      }
+      entityCollection.remove(cluster.entity);
+      showEntities(that, cluster.entities);
+    }
+  }
+  for (let i = 0; i < addedClusters.length; ++i) {
+    hideEntities(that, addedClusters[i].entities);
+  }
+  that._modifyingEntities = false;
+
+  that._clusters = clusters;
+  that._clustersByEntity = clustersByEntity;
+  entityCollection.resumeEvents();
+}
+
+/**
+ * 当前显示的聚类。
+ * @typedef {object} EntityClusterDataSource.Cluster
+ * @property {number} id 聚类的 ID。
+ * @property {number} count 聚类中的实体数量。
+ * @property {Cartesian3} position 聚类中实体的平均位置。
+ * @property {Rectangle} rectangle 包围聚类中实体的矩形。
+ * @property {object} properties 使用 <code>reduce</code> 回调汇总的属性，如果未定义 <code>map</code> 回调，则为 undefined。
+ * @property {Entity[]} entities 聚类中的实体。
+ * @property {Entity} entity 表示聚类的实体。
+ */
+
+/**
+ * 返回实体的要汇总属性的函数。
+ * @callback EntityClusterDataSource.MapCallback
+ *
+ * @param {Entity} entity 实体。
+ * @param {JulianDate} time 构建聚类的时间。
+ * @returns {object} 实体的属性。
+ */
+
+/**
+ * 将实体或子聚类的属性合并到聚类属性中的函数。聚类的属性最初是其第一个实体或子聚类属性的浅拷贝。
+ * @callback EntityClusterDataSource.ReduceCallback
+ *
+ * @param {object} accumulated 要修改的聚类属性。
+ * @param {object} properties 实体或子聚类的属性。
+ *
+ * @example
+ * function reduce(accumulated, properties) {
+ *   accumulated.population += properties.population;
+ * }
+ */
+
+/**
+ * 设置表示聚类的实体的图形的函数，例如广告牌、点、标签或模型。
+ * @callback EntityClusterDataSource.StyleCallback
+ *
+ * @param {EntityClusterDataSource.Cluster} cluster 聚类。
+ * @param {Entity} entity 表示聚类的实体。
+ */
+export default EntityClusterDataSource;
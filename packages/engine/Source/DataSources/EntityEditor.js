@@ -0,0 +1,1173 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import Event from "../Core/Event.js";
+import IntersectionTests from "../Core/IntersectionTests.js";
+import JulianDate from "../Core/JulianDate.js";
+import Matrix4 from "../Core/Matrix4.js";
+import PolygonHierarchy from "../Core/PolygonHierarchy.js";
+import Ray from "../Core/Ray.js";
+import Rectangle from "../Core/Rectangle.js";
+import ReferenceFrame from "../Core/ReferenceFrame.js";
+import ScreenSpaceEventHandler from "../Core/ScreenSpaceEventHandler.js";
+import ScreenSpaceEventType from "../Core/ScreenSpaceEventType.js";
+import Transforms from "../Core/Transforms.js";
+import { isHeightReferenceClamp } from "../Scene/HeightReference.js";
+import PointPrimitiveCollection from "../Scene/PointPrimitiveCollection.js";
+import CallbackPositionProperty from "./CallbackPositionProperty.js";
+import CallbackProperty from "./CallbackProperty.js";
+import ConstantPositionProperty from "./ConstantPositionProperty.js";
+import ConstantProperty from "./ConstantProperty.js";
+import Property from "./Property.js";
+
+// The kinds of geometry that can be edited, in the order they are looked for on an entity
+const EditType = {
+  POLYGON: 0,
+  POLYLINE: 1,
+  RECTANGLE: 2,
+  ELLIPSE: 3,
+  POSITION: 4,
+};
+
+const HandleType = {
+  VERTEX: 0,
+  MIDPOINT: 1,
+};
+
+const scratchRay = new Ray();
+const scratchRadii = new Cartesian3();
+const scratchEllipsoid = new Ellipsoid();
+const scratchCartographic = new Cartographic();
+const scratchCartographic2 = new Cartographic();
+const scratchEnu = new Matrix4();
+const scratchEast = new Cartesian3();
+const scratchNorth = new Cartesian3();
+const scratchOffset = new Cartesian3();
+
+/**
+ * 通过拖动场景中的控制柄交互式编辑实体的几何形状。编辑器会为以下属性显示控制柄：
+ * <ul>
+ * <li>{@link PolygonGraphics#hierarchy} 的外环顶点</li>
+ * <li>{@link PolylineGraphics#positions} 的顶点</li>
+ * <li>{@link RectangleGraphics#coordinates} 的四个角点</li>
+ * <li>{@link EllipseGraphics} 的中心以及长半轴和短半轴</li>
+ * <li>{@link Entity#position}</li>
+ * </ul>
+ * <p>
+ * 拖动顶点控制柄以移动它。对于多边形和折线，拖动两个顶点之间的中点控制柄会插入一个新顶点，右键单击顶点控制柄会删除该顶点。
+ * 拖动时使用 {@link CallbackProperty}，以便实时显示结果；拖动结束后，将值写回 {@link ConstantProperty} 或 {@link ConstantPositionProperty}，
+ * 并记录到撤销栈中。对于贴地（{@link HeightReference.CLAMP_TO_GROUND}）的几何形状，顶点会被放置到地形上；否则会保持顶点原来的高度。
+ * </p>
+ *
+ * @alias EntityEditor
+ * @constructor
+ *
+ * @param {object} options 具有以下属性的对象：
+ * @param {Scene} options.scene 显示实体的场景。
+ * @param {Clock} [options.clock] 用于计算属性值的时钟。如果未定义，则使用当前系统时间。
+ * @param {number} [options.maximumUndoDepth=100] 撤销栈中保留的最大编辑数。
+ * @param {Color} [options.handleColor=Color.WHITE] 顶点控制柄的颜色。
+ *
+ * @example
+ * const editor = new Cesium.EntityEditor({
+ *   scene: viewer.scene,
+ *   clock: viewer.clock,
+ * });
+ * editor.entity = viewer.entities.add({
+ *   polygon: {
+ *     hierarchy: Cesium.Cartesian3.fromDegreesArray([-108, 44, -104, 44, -106, 40]),
+ *     heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+ *   },
+ * });
+ * editor.changed.addEventListener(function (entity) {
+ *   console.log(`${entity.id} was edited`);
+ * });
+ */
+function EntityEditor(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const scene = options.scene;
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.scene", scene);
+  //>>includeEnd('debug');
+
+  this._scene = scene;
+  this._ellipsoid = scene.ellipsoid;
+  this._clock = options.clock;
+  this._handleColor = Color.clone(
+    defaultValue(options.handleColor, Color.WHITE),
+  );
+  this._midpointColor = this._handleColor.withAlpha(0.5);
+
+  /**
+   * 撤销栈中保留的最大编辑数。
+   * @type {number}
+   * @default 100
+   */
+  this.maximumUndoDepth = defaultValue(options.maximumUndoDepth, 100);
+
+  this._handles = scene.primitives.add(new PointPrimitiveCollection());
+  this._entity = undefined;
+  this._type = undefined;
+  this._value = undefined;
+  this._removeDefinitionChangedListener = undefined;
+  this._drag = undefined;
+  this._undoStack = [];
+  this._redoStack = [];
+  this._changed = new Event();
+
+  const that = this;
+  const eventHandler = new ScreenSpaceEventHandler(scene.canvas);
+  eventHandler.setInputAction(function (e) {
+    startDrag(that, e.position);
+  }, ScreenSpaceEventType.LEFT_DOWN);
+  eventHandler.setInputAction(function (e) {
+    if (defined(that._drag)) {
+      drag(that, e.endPosition);
+    }
+  }, ScreenSpaceEventType.MOUSE_MOVE);
+  eventHandler.setInputAction(function () {
+    endDrag(that);
+  }, ScreenSpaceEventType.LEFT_UP);
+  eventHandler.setInputAction(function (e) {
+    const handle = pickHandle(that, e.position);
+    if (defined(handle) && handle.type === HandleType.VERTEX) {
+      if (canRemoveVertex(that)) {
+        that.removeVertex(handle.index);
+      }
+    }
+  }, ScreenSpaceEventType.RIGHT_CLICK);
+  this._eventHandler = eventHandler;
+}
+
+Object.defineProperties(EntityEditor.prototype, {
+  /**
+   * 获取场景。
+   * @memberof EntityEditor.prototype
+   * @type {Scene}
+   * @readonly
+   */
+  scene: {
+    get: function () {
+      return this._scene;
+    },
+  },
+
+  /**
+   * 获取或设置正在编辑的实体。设置为 undefined 以停止编辑。如果实体没有可编辑的几何形状，将不显示控制柄。
+   * @memberof EntityEditor.prototype
+   * @type {Entity|undefined}
+   */
+  entity: {
+    get: function () {
+      return this._entity;
+    },
+    set: function (value) {
+      if (this._entity === value) {
+        return;
+      }
+
+      endDrag(this);
+      if (defined(this._removeDefinitionChangedListener)) {
+        this._removeDefinitionChangedListener();
+        this._removeDefinitionChangedListener = undefined;
+      }
+
+      this._entity = value;
+      this._type = defined(value) ? getEditType(value) : undefined;
+
+      if (defined(value)) {
+        const that = this;
+        this._removeDefinitionChangedListener =
+          value.definitionChanged.addEventListener(function () {
+            // Edits made while dragging already update the handles
+            if (!defined(that._drag)) {
+              that._type = getEditType(value);
+              refresh(that);
+            }
+          });
+      }
+
+      refresh(this);
+    },
+  },
+
+  /**
+   * 获取正在编辑的顶点的位置。对于矩形，这些是西北、东北、东南和西南角点；对于椭圆，这些是中心、长半轴端点和短半轴端点。
+   * @memberof EntityEditor.prototype
+   * @type {Cartesian3[]}
+   * @readonly
+   */
+  vertices: {
+    get: function () {
+      if (!defined(this._value)) {
+        return [];
+      }
+      return getVertices(this, this._value);
+    },
+  },
+
+  /**
+   * 获取一个值，指示当前是否正在拖动控制柄。
+   * @memberof EntityEditor.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  isDragging: {
+    get: function () {
+      return defined(this._drag);
+    },
+  },
+
+  /**
+   * 获取一个值，指示是否有可以撤销的编辑。
+   * @memberof EntityEditor.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  canUndo: {
+    get: function () {
+      return this._undoStack.length > 0;
+    },
+  },
+
+  /**
+   * 获取一个值，指示是否有可以重做的编辑。
+   * @memberof EntityEditor.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  canRedo: {
+    get: function () {
+      return this._redoStack.length > 0;
+    },
+  },
+
+  /**
+   * 获取在编辑、撤销或重做修改实体后触发的事件。事件监听器会接收到被修改的 {@link Entity}。
+   * @memberof EntityEditor.prototype
+   * @type {Event}
+   * @readonly
+   */
+  changed: {
+    get: function () {
+      return this._changed;
+    },
+  },
+});
+
+/**
+ * 将顶点移动到新位置。
+ *
+ * @param {number} index 顶点的索引。参见 {@link EntityEditor#vertices}。
+ * @param {Cartesian3} position 新位置。
+ *
+ * @exception {DeveloperError} 没有正在编辑的几何形状。
+ */
+EntityEditor.prototype.moveVertex = function (index, position) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number("index", index);
+  Check.typeOf.object("position", position);
+  if (!defined(this._value)) {
+    throw new DeveloperError("An entity with editable geometry is required.");
+  }
+  //>>includeEnd('debug');
+
+  endDrag(this);
+  commit(this, moveVertex(this, this._value, index, position));
+};
+
+/**
+ * 在多边形或折线中插入一个顶点。
+ *
+ * @param {number} index 新顶点的索引。
+ * @param {Cartesian3} position 新顶点的位置。
+ *
+ * @exception {DeveloperError} 只能在多边形和折线中插入顶点。
+ */
+EntityEditor.prototype.insertVertex = function (index, position) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number("index", index);
+  Check.typeOf.object("position", position);
+  if (this._type !== EditType.POLYGON && this._type !== EditType.POLYLINE) {
+    throw new DeveloperError(
+      "Vertices can only be inserted into polygons and polylines.",
+    );
+  }
+  //>>includeEnd('debug');
+
+  endDrag(this);
+  commit(this, insertVertex(this._value, index, position));
+};
+
+/**
+ * 从多边形或折线中删除一个顶点。多边形至少保留三个顶点，折线至少保留两个顶点。
+ *
+ * @param {number} index 要删除的顶点的索引。
+ * @returns {boolean} 如果删除了顶点，则为 <code>true</code>；如果剩余的顶点太少，则为 <code>false</code>。
+ *
+ * @exception {DeveloperError} 只能从多边形和折线中删除顶点。
+ */
+EntityEditor.prototype.removeVertex = function (index) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number("index", index);
+  if (this._type !== EditType.POLYGON && this._type !== EditType.POLYLINE) {
+    throw new DeveloperError(
+      "Vertices can only be removed from polygons and polylines.",
+    );
+  }
+  //>>includeEnd('debug');
+
+  if (!canRemoveVertex(this)) {
+    return false;
+  }
+
+  endDrag(this);
+  const value = this._value;
+  const positions = value.positions.slice();
+  positions.splice(index, 1);
+  commit(this, {
+    positions: positions,
+    holes: value.holes,
+  });
+  return true;
+};
+
+/**
+ * 撤销最近的编辑。
+ *
+ * @returns {boolean} 如果撤销了编辑，则为 <code>true</code>；如果没有可撤销的编辑，则为 <code>false</code>。
+ */
+EntityEditor.prototype.undo = function () {
+  endDrag(this);
+  const record = this._undoStack.pop();
+  if (!defined(record)) {
+    return false;
+  }
+
+  writeValue(record.entity, record.type, record.oldValue);
+  this._redoStack.push(record);
+  afterHistoryChange(this, record.entity);
+  return true;
+};
+
+/**
+ * 重做最近撤销的编辑。
+ *
+ * @returns {boolean} 如果重做了编辑，则为 <code>true</code>；如果没有可重做的编辑，则为 <code>false</code>。
+ */
+EntityEditor.prototype.redo = function () {
+  endDrag(this);
+  const record = this._redoStack.pop();
+  if (!defined(record)) {
+    return false;
+  }
+
+  writeValue(record.entity, record.type, record.newValue);
+  this._undoStack.push(record);
+  afterHistoryChange(this, record.entity);
+  return true;
+};
+
+/**
+ * 清除撤销栈和重做栈。
+ */
+EntityEditor.prototype.clearHistory = function () {
+  this._undoStack.length = 0;
+  this._redoStack.length = 0;
+};
+
+/**
+ * 如果该对象已被销毁，则返回 true；否则返回 false。
+ * <br /><br />
+ * 如果该对象已被销毁，则不应使用它；调用除 <code>isDestroyed</code> 之外的任何函数将导致 {@link DeveloperError} 异常。
+ *
+ * @returns {boolean} 如果该对象已被销毁，则返回 true；否则返回 false。
+ *
+ * @see EntityEditor#destroy
+ */
+EntityEditor.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * 停止编辑，从场景中移除控制柄，并销毁该对象持有的事件处理程序。
+ * <br /><br />
+ * 一旦对象被销毁，就不应再使用它；调用除 <code>isDestroyed</code> 之外的任何函数将导致 {@link DeveloperError} 异常。因此，
+ * 请将返回值 (<code>undefined</code>) 赋给该对象，如示例中所示。
+ *
+ * @exception {DeveloperError} 该对象已被销毁，即调用了 destroy()。
+ *
+ * @example
+ * editor = editor && editor.destroy();
+ *
+ * @see EntityEditor#isDestroyed
+ */
+EntityEditor.prototype.destroy = function () {
+  this.entity = undefined;
+  this._eventHandler.destroy();
+
+  const primitives = this._scene.primitives;
+  if (!primitives.isDestroyed()) {
+    primitives.remove(this._handles);
+  }
+
+  return destroyObject(this);
+};
+
+function getTime(editor) {
+  return defined(editor._clock) ? editor._clock.currentTime : JulianDate.now();
+}
+
+function getEditType(entity) {
+  if (defined(entity.polygon) && defined(entity.polygon.hierarchy)) {
+    return EditType.POLYGON;
+  }
+  if (defined(entity.polyline) && defined(entity.polyline.positions)) {
+    return EditType.POLYLINE;
+  }
+  if (defined(entity.rectangle) && defined(entity.rectangle.coordinates)) {
+    return EditType.RECTANGLE;
+  }
+  if (defined(entity.ellipse) && defined(entity.position)) {
+    return EditType.ELLIPSE;
+  }
+  if (defined(entity.position)) {
+    return EditType.POSITION;
+  }
+  return undefined;
+}
+
+function isClampedToGround(editor) {
+  const entity = editor._entity;
+  const time = getTime(editor);
+  switch (editor._type) {
+    case EditType.POLYLINE:
+      return Property.getValueOrDefault(
+        entity.polyline.clampToGround,
+        time,
+        false,
+      );
+    case EditType.POLYGON:
+    case EditType.RECTANGLE:
+    case EditType.ELLIPSE: {
+      const graphics =
+        editor._type === EditType.POLYGON
+          ? entity.polygon
+          : editor._type === EditType.RECTANGLE
+            ? entity.rectangle
+            : entity.ellipse;
+      return isHeightReferenceClamp(
+        Property.getValueOrUndefined(graphics.heightReference, time),
+      );
+    }
+    case EditType.POSITION: {
+      const graphics = [
+        entity.point,
+        entity.billboard,
+        entity.label,
+        entity.model,
+      ];
+      for (let i = 0; i < graphics.length; ++i) {
+        if (
+          defined(graphics[i]) &&
+          isHeightReferenceClamp(
+            Property.getValueOrUndefined(graphics[i].heightReference, time),
+          )
+        ) {
+          return true;
+        }
+      }
+      return false;
+    }
+  }
+  return false;
+}
+
+// Reads the current value of the edited properties as a new object that is not shared with the entity
+function readValue(editor) {
+  const entity = editor._entity;
+  const time = getTime(editor);
+  switch (editor._type) {
+    case EditType.POLYGON: {
+      let hierarchy = entity.polygon.hierarchy.getValue(time);
+      if (!defined(hierarchy)) {
+        return undefined;
+      }
+      if (Array.isArray(hierarchy)) {
+        hierarchy = new PolygonHierarchy(hierarchy);
+      }
+      return {
+        positions: clonePositions(hierarchy.positions),
+        holes: hierarchy.holes,
+      };
+    }
+    case EditType.POLYLINE: {
+      const positions = entity.polyline.positions.getValue(time);
+      return defined(positions)
+        ? {
+            positions: clonePositions(positions),
+          }
+        : undefined;
+    }
+    case EditType.RECTANGLE: {
+      const coordinates = entity.rectangle.coordinates.getValue(time);
+      return defined(coordinates)
+        ? {
+            coordinates: Rectangle.clone(coordinates),
+            height: Property.getValueOrDefault(
+              entity.rectangle.height,
+              time,
+              0.0,
+            ),
+          }
+        : undefined;
+    }
+    case EditType.ELLIPSE: {
+      const ellipse = entity.ellipse;
+      const center = entity.position.getValue(time);
+      const semiMajorAxis = Property.getValueOrUndefined(
+        ellipse.semiMajorAxis,
+        time,
+      );
+      const semiMinorAxis = Property.getValueOrUndefined(
+        ellipse.semiMinorAxis,
+        time,
+      );
+      if (
+        !defined(center) ||
+        !defined(semiMajorAxis) ||
+        !defined(semiMinorAxis)
+      ) {
+        return undefined;
+      }
+      return {
+        center: center,
+        semiMajorAxis: semiMajorAxis,
+        semiMinorAxis: semiMinorAxis,
+        rotation: Property.getValueOrDefault(ellipse.rotation, time, 0.0),
+      };
+    }
+    case EditType.POSITION: {
+      const position = entity.position.getValue(time);
+      return defined(position)
+        ? {
+            position: position,
+          }
+        : undefined;
+    }
+  }
+  return undefined;
+}
+
+function clonePositions(positions) {
+  return positions.map(function (position) {
+    return Cartesian3.clone(position);
+  });
+}
+
+function getRectangleCorners(editor, value) {
+  const coordinates = value.coordinates;
+  const ellipsoid = editor._ellipsoid;
+  const height = value.height;
+  return [
+    Cartesian3.fromRadians(
+      coordinates.west,
+      coordinates.north,
+      height,
+      ellipsoid,
+    ),
+    Cartesian3.fromRadians(
+      coordinates.east,
+      coordinates.north,
+      height,
+      ellipsoid,
+    ),
+    Cartesian3.fromRadians(
+      coordinates.east,
+      coordinates.south,
+      height,
+      ellipsoid,
+    ),
+    Cartesian3.fromRadians(
+      coordinates.west,
+      coordinates.south,
+      height,
+      ellipsoid,
+    ),
+  ];
+}
+
+// The semi-major axis of an ellipse with no rotation points north, and rotation is counter-clockwise
+function getEllipseAxisPoint(editor, value, major) {
+  const center = value.center;
+  const enu = Transforms.eastNorthUpToFixedFrame(
+    center,
+    editor._ellipsoid,
+    scratchEnu,
+  );
+  const east = Cartesian3.fromCartesian4(
+    Matrix4.getColumn(enu, 0, scratchOffset),
+    scratchEast,
+  );
+  const north = Cartesian3.fromCartesian4(
+    Matrix4.getColumn(enu, 1, scratchOffset),
+    scratchNorth,
+  );
+
+  const rotation = value.rotation;
+  const direction = major
+    ? Cartesian3.subtract(
+        Cartesian3.multiplyByScalar(north, Math.cos(rotation), north),
+        Cartesian3.multiplyByScalar(east, Math.sin(rotation), east),
+        scratchOffset,
+      )
+    : Cartesian3.add(
+        Cartesian3.multiplyByScalar(east, Math.cos(rotation), east),
+        Cartesian3.multiplyByScalar(north, Math.sin(rotation), north),
+        scratchOffset,
+      );
+  const radius = major ? value.semiMajorAxis : value.semiMinorAxis;
+
+  const point = Cartesian3.add(
+    center,
+    Cartesian3.multiplyByScalar(direction, radius, direction),
+    new Cartesian3(),
+  );
+
+  // Keep the handle at the height of the center
+  const centerCartographic = editor._ellipsoid.cartesianToCartographic(
+    center,
+    scratchCartographic,
+  );
+  const cartographic = editor._ellipsoid.cartesianToCartographic(
+    point,
+    scratchCartographic2,
+  );
+  return Cartesian3.fromRadians(
+    cartographic.longitude,
+    cartographic.latitude,
+    centerCartographic.height,
+    editor._ellipsoid,
+    point,
+  );
+}
+
+function getVertices(editor, value) {
+  switch (editor._type) {
+    case EditType.POLYGON:
+    case EditType.POLYLINE:
+      return value.positions;
+    case EditType.RECTANGLE:
+      return getRectangleCorners(editor, value);
+    case EditType.ELLIPSE:
+      return [
+        value.center,
+        getEllipseAxisPoint(editor, value, true),
+        getEllipseAxisPoint(editor, value, false),
+      ];
+    case EditType.POSITION:
+      return [value.position];
+  }
+  return [];
+}
+
+function getMidpoints(editor, value) {
+  const type = editor._type;
+  if (type !== EditType.POLYGON && type !== EditType.POLYLINE) {
+    return [];
+  }
+
+  const ellipsoid = editor._ellipsoid;
+  const positions = value.positions;
+  const length =
+    type === EditType.POLYGON ? positions.length : positions.length - 1;
+  const midpoints = [];
+  for (let i = 0; i < length; ++i) {
+    const start = ellipsoid.cartesianToCartographic(
+      positions[i],
+      scratchCartographic,
+    );
+    const end = ellipsoid.cartesianToCartographic(
+      positions[(i + 1) % positions.length],
+      scratchCartographic2,
+    );
+    const midpoint = Cartesian3.midpoint(
+      positions[i],
+      positions[(i + 1) % positions.length],
+      new Cartesian3(),
+    );
+    const cartographic = ellipsoid.cartesianToCartographic(midpoint);
+    if (!defined(start) || !defined(end) || !defined(cartographic)) {
+      midpoints.push(midpoint);
+      continue;
+    }
+    midpoints.push(
+      Cartesian3.fromRadians(
+        cartographic.longitude,
+        cartographic.latitude,
+        (start.height + end.height) * 0.5,
+        ellipsoid,
+        midpoint,
+      ),
+    );
+  }
+  return midpoints;
+}
+
+function moveVertex(editor, value, index, position) {
+  switch (editor._type) {
+    case EditType.POLYGON:
+    case EditType.POLYLINE: {
+      const positions = value.positions.slice();
+      positions[index] = Cartesian3.clone(position);
+      return {
+        positions: positions,
+        holes: value.holes,
+      };
+    }
+    case EditType.RECTANGLE: {
+      const cartographic = editor._ellipsoid.cartesianToCartographic(
+        position,
+        scratchCartographic,
+      );
+      if (!defined(cartographic)) {
+        return value;
+      }
+
+      // Move the corner and keep the opposite corner in place
+      const coordinates = Rectangle.clone(value.coordinates);
+      const oppositeLongitude =
+        index === 0 || index === 3 ? coordinates.east : coordinates.west;
+      const oppositeLatitude =
+        index === 0 || index === 1 ? coordinates.south : coordinates.north;
+      coordinates.west = Math.min(cartographic.longitude, oppositeLongitude);
+      coordinates.east = Math.max(cartographic.longitude, oppositeLongitude);
+      coordinates.south = Math.min(cartographic.latitude, oppositeLatitude);
+      coordinates.north = Math.max(cartographic.latitude, oppositeLatitude);
+      return {
+        coordinates: coordinates,
+        height: value.height,
+      };
+    }
+    case EditType.ELLIPSE: {
+      if (index === 0) {
+        return {
+          center: Cartesian3.clone(position),
+          semiMajorAxis: value.semiMajorAxis,
+          semiMinorAxis: value.semiMinorAxis,
+          rotation: value.rotation,
+        };
+      }
+
+      // The semi-major axis can not be shorter than the semi-minor axis
+      const radius = Cartesian3.distance(value.center, position);
+      return {
+        center: value.center,
+        semiMajorAxis:
+          index === 1
+            ? Math.max(radius, value.semiMinorAxis)
+            : value.semiMajorAxis,
+        semiMinorAxis:
+          index === 2
+            ? Math.min(radius, value.semiMajorAxis)
+            : value.semiMinorAxis,
+        rotation: value.rotation,
+      };
+    }
+    case EditType.POSITION:
+      return {
+        position: Cartesian3.clone(position),
+      };
+  }
+  return value;
+}
+
+function insertVertex(value, index, position) {
+  const positions = value.positions.slice();
+  positions.splice(index, 0, Cartesian3.clone(position));
+  return {
+    positions: positions,
+    holes: value.holes,
+  };
+}
+
+function canRemoveVertex(editor) {
+  const type = editor._type;
+  const value = editor._value;
+  if (
+    !defined(value) ||
+    (type !== EditType.POLYGON && type !== EditType.POLYLINE)
+  ) {
+    return false;
+  }
+  return value.positions.length > (type === EditType.POLYGON ? 3 : 2);
+}
+
+function setConstantProperty(owner, name, value) {
+  const property = owner[name];
+  if (property instanceof ConstantProperty) {
+    property.setValue(value);
+  } else {
+    owner[name] = new ConstantProperty(value);
+  }
+}
+
+function setConstantPositionProperty(entity, value) {
+  const property = entity.position;
+  if (property instanceof ConstantPositionProperty) {
+    property.setValue(value, ReferenceFrame.FIXED);
+  } else {
+    entity.position = new ConstantPositionProperty(value);
+  }
+}
+
+function writeValue(entity, type, value) {
+  switch (type) {
+    case EditType.POLYGON:
+      setConstantProperty(
+        entity.polygon,
+        "hierarchy",
+        new PolygonHierarchy(value.positions, value.holes),
+      );
+      break;
+    case EditType.POLYLINE:
+      setConstantProperty(entity.polyline, "positions", value.positions);
+      break;
+    case EditType.RECTANGLE:
+      setConstantProperty(entity.rectangle, "coordinates", value.coordinates);
+      break;
+    case EditType.ELLIPSE:
+      setConstantPositionProperty(entity, value.center);
+      setConstantProperty(entity.ellipse, "semiMajorAxis", value.semiMajorAxis);
+      setConstantProperty(entity.ellipse, "semiMinorAxis", value.semiMinorAxis);
+      break;
+    case EditType.POSITION:
+      setConstantPositionProperty(entity, value.position);
+      break;
+  }
+}
+
+// While dragging, callback properties show the edit without rebuilding static geometry
+function writeCallbackValue(editor) {
+  const entity = editor._entity;
+  const drag = editor._drag;
+  if (drag.usesCallbacks) {
+    return;
+  }
+  drag.usesCallbacks = true;
+
+  function getValue() {
+    return editor._value;
+  }
+
+  switch (editor._type) {
+    case EditType.POLYGON:
+      entity.polygon.hierarchy = new CallbackProperty(function () {
+        const value = getValue();
+        return new PolygonHierarchy(value.positions, value.holes);
+      }, false);
+      break;
+    case EditType.POLYLINE:
+      entity.polyline.positions = new CallbackProperty(function () {
+        return getValue().positions;
+      }, false);
+      break;
+    case EditType.RECTANGLE:
+      entity.rectangle.coordinates = new CallbackProperty(function () {
+        return getValue().coordinates;
+      }, false);
+      break;
+    case EditType.ELLIPSE:
+      entity.position = new CallbackPositionProperty(function () {
+        return getValue().center;
+      }, false);
+      entity.ellipse.semiMajorAxis = new CallbackProperty(function () {
+        return getValue().semiMajorAxis;
+      }, false);
+      entity.ellipse.semiMinorAxis = new CallbackProperty(function () {
+        return getValue().semiMinorAxis;
+      }, false);
+      break;
+    case EditType.POSITION:
+      entity.position = new CallbackPositionProperty(function () {
+        return getValue().position;
+      }, false);
+      break;
+  }
+}
+
+// Puts the properties that were replaced while dragging back on the entity
+function restoreProperties(editor) {
+  const entity = editor._entity;
+  const properties = editor._drag.properties;
+  switch (editor._type) {
+    case EditType.POLYGON:
+      entity.polygon.hierarchy = properties[0];
+      break;
+    case EditType.POLYLINE:
+      entity.polyline.positions = properties[0];
+      break;
+    case EditType.RECTANGLE:
+      entity.rectangle.coordinates = properties[0];
+      break;
+    case EditType.ELLIPSE:
+      entity.position = properties[0];
+      entity.ellipse.semiMajorAxis = properties[1];
+      entity.ellipse.semiMinorAxis = properties[2];
+      break;
+    case EditType.POSITION:
+      entity.position = properties[0];
+      break;
+  }
+}
+
+function getProperties(editor) {
+  const entity = editor._entity;
+  switch (editor._type) {
+    case EditType.POLYGON:
+      return [entity.polygon.hierarchy];
+    case EditType.POLYLINE:
+      return [entity.polyline.positions];
+    case EditType.RECTANGLE:
+      return [entity.rectangle.coordinates];
+    case EditType.ELLIPSE:
+      return [
+        entity.position,
+        entity.ellipse.semiMajorAxis,
+        entity.ellipse.semiMinorAxis,
+      ];
+    case EditType.POSITION:
+      return [entity.position];
+  }
+  return [];
+}
+
+function commit(editor, newValue) {
+  const entity = editor._entity;
+  const type = editor._type;
+  const oldValue = defined(editor._drag)
+    ? editor._drag.oldValue
+    : editor._value;
+
+  editor._value = newValue;
+  writeValue(entity, type, newValue);
+
+  const undoStack = editor._undoStack;
+  undoStack.push({
+    entity: entity,
+    type: type,
+    oldValue: oldValue,
+    newValue: newValue,
+  });
+  while (undoStack.length > Math.max(editor.maximumUndoDepth, 0)) {
+    undoStack.shift();
+  }
+  editor._redoStack.length = 0;
+
+  updateHandles(editor);
+  editor._changed.raiseEvent(entity);
+}
+
+function afterHistoryChange(editor, entity) {
+  if (entity === editor._entity) {
+    editor._type = getEditType(entity);
+    refresh(editor);
+  }
+  editor._changed.raiseEvent(entity);
+}
+
+function refresh(editor) {
+  editor._value = defined(editor._type) ? readValue(editor) : undefined;
+  updateHandles(editor);
+}
+
+function updateHandles(editor) {
+  const handles = editor._handles;
+  const value = editor._value;
+  const vertices = defined(value) ? getVertices(editor, value) : [];
+  const midpoints = defined(value) ? getMidpoints(editor, value) : [];
+
+  // Move the existing handles when the number of vertices is unchanged
+  if (handles.length === vertices.length + midpoints.length) {
+    for (let i = 0; i < vertices.length; ++i) {
+      handles.get(i).position = vertices[i];
+    }
+    for (let i = 0; i < midpoints.length; ++i) {
+      handles.get(vertices.length + i).position = midpoints[i];
+    }
+  } else {
+    handles.removeAll();
+    for (let i = 0; i < vertices.length; ++i) {
+      addHandle(editor, vertices[i], HandleType.VERTEX, i);
+    }
+    for (let i = 0; i < midpoints.length; ++i) {
+      addHandle(editor, midpoints[i], HandleType.MIDPOINT, i);
+    }
+  }
+
+  editor._scene.requestRender();
+}
+
+function addHandle(editor, position, type, index) {
+  const vertex = type === HandleType.VERTEX;
+  editor._handles.add({
+    position: position,
+    pixelSize: vertex ? 10.0 : 7.0,
+    color: vertex ? editor._handleColor : editor._midpointColor,
+    outlineColor: Color.BLACK,
+    outlineWidth: 1.0,
+    disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    id: {
+      type: type,
+      index: index,
+    },
+  });
+}
+
+function pickHandle(editor, windowPosition) {
+  if (!defined(editor._value)) {
+    return undefined;
+  }
+  const picked = editor._scene.pick(windowPosition);
+  if (defined(picked) && picked.collection === editor._handles) {
+    return picked.id;
+  }
+  return undefined;
+}
+
+// Finds the position under the cursor at the height of the dragged vertex, or on the terrain if
+// the geometry is clamped to ground
+function pickDragPosition(editor, windowPosition, height, clampToGround) {
+  const scene = editor._scene;
+  const ray = scene.camera.getPickRay(windowPosition, scratchRay);
+  if (!defined(ray)) {
+    return undefined;
+  }
+
+  if (clampToGround && defined(scene.globe)) {
+    const position = scene.globe.pick(ray, scene);
+    if (defined(position)) {
+      return position;
+    }
+  }
+
+  const ellipsoid = editor._ellipsoid;
+  const surfaceHeight = clampToGround ? 0.0 : height;
+  const radii = Cartesian3.add(
+    ellipsoid.radii,
+    Cartesian3.fromElements(
+      surfaceHeight,
+      surfaceHeight,
+      surfaceHeight,
+      scratchRadii,
+    ),
+    scratchRadii,
+  );
+  const interval = IntersectionTests.rayEllipsoid(
+    ray,
+    Ellipsoid.fromCartesian3(radii, scratchEllipsoid),
+  );
+  if (!defined(interval)) {
+    return undefined;
+  }
+
+  const cartographic = ellipsoid.cartesianToCartographic(
+    Ray.getPoint(ray, interval.start),
+    scratchCartographic,
+  );
+  if (!defined(cartographic)) {
+    return undefined;
+  }
+  return Cartesian3.fromRadians(
+    cartographic.longitude,
+    cartographic.latitude,
+    surfaceHeight,
+    ellipsoid,
+  );
+}
+
+function startDrag(editor, windowPosition) {
+  const handle = pickHandle(editor, windowPosition);
+  if (!defined(handle)) {
+    return;
+  }
+
+  const oldValue = editor._value;
+  let index = handle.index;
+  let vertices = getVertices(editor, oldValue);
+  if (handle.type === HandleType.MIDPOINT) {
+    // Dragging a midpoint inserts a vertex after the start of the edge
+    index = handle.index + 1;
+    editor._value = insertVertex(
+      oldValue,
+      index,
+      getMidpoints(editor, oldValue)[handle.index],
+    );
+    vertices = getVertices(editor, editor._value);
+  }
+
+  const cartographic = editor._ellipsoid.cartesianToCartographic(
+    vertices[index],
+    scratchCartographic,
+  );
+
+  const controller = editor._scene.screenSpaceCameraController;
+  editor._drag = {
+    index: index,
+    oldValue: oldValue,
+    height: defined(cartographic) ? cartographic.height : 0.0,
+    clampToGround: isClampedToGround(editor),
+    properties: getProperties(editor),
+    usesCallbacks: false,
+    enableInputs: controller.enableInputs,
+  };
+  controller.enableInputs = false;
+
+  writeCallbackValue(editor);
+  updateHandles(editor);
+}
+
+function drag(editor, windowPosition) {
+  const dragState = editor._drag;
+  const position = pickDragPosition(
+    editor,
+    windowPosition,
+    dragState.height,
+    dragState.clampToGround,
+  );
+  if (!defined(position)) {
+    return;
+  }
+
+  editor._value = moveVertex(editor, editor._value, dragState.index, position);
+  updateHandles(editor);
+}
+
+function endDrag(editor) {
+  const dragState = editor._drag;
+  if (!defined(dragState)) {
+    return;
+  }
+
+  editor._scene.screenSpaceCameraController.enableInputs =
+    dragState.enableInputs;
+  restoreProperties(editor);
+
+  const value = editor._value;
+  if (value === dragState.oldValue) {
+    editor._drag = undefined;
+    return;
+  }
+
+  commit(editor, value);
+  editor._drag = undefined;
+}
+
+export default EntityEditor;
@@ -0,0 +1,1114 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import clone from "../Core/clone.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import fetchByteRange from "../Core/fetchByteRange.js";
+import getStringFromTypedArray from "../Core/getStringFromTypedArray.js";
+import CesiumMath from "../Core/Math.js";
+import Rectangle from "../Core/Rectangle.js";
+import Resource from "../Core/Resource.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import WebMercatorProjection from "../Core/WebMercatorProjection.js";
+import DataSource from "./DataSource.js";
+import GeoJsonDataSource from "./GeoJsonDataSource.js";
+
+const MAGIC_BYTES = [0x66, 0x67, 0x62, 0x03, 0x66, 0x67, 0x62];
+const NODE_ITEM_LENGTH = 40;
+
+// Ranges of the file separated by fewer bytes than this are fetched with one request
+const MAXIMUM_RANGE_GAP = 16384;
+
+const GeometryType = {
+  UNKNOWN: 0,
+  POINT: 1,
+  LINE_STRING: 2,
+  POLYGON: 3,
+  MULTI_POINT: 4,
+  MULTI_LINE_STRING: 5,
+  MULTI_POLYGON: 6,
+  GEOMETRY_COLLECTION: 7,
+};
+
+const geometryTypeNames = [
+  undefined,
+  "Point",
+  "LineString",
+  "Polygon",
+  "MultiPoint",
+  "MultiLineString",
+  "MultiPolygon",
+  "GeometryCollection",
+];
+
+const ColumnType = {
+  BYTE: 0,
+  UBYTE: 1,
+  BOOL: 2,
+  SHORT: 3,
+  USHORT: 4,
+  INT: 5,
+  UINT: 6,
+  LONG: 7,
+  ULONG: 8,
+  FLOAT: 9,
+  DOUBLE: 10,
+  STRING: 11,
+  JSON: 12,
+  DATE_TIME: 13,
+  BINARY: 14,
+};
+
+/**
+ * @typedef {object} FlatGeobufDataSource.LoadOptions
+ *
+ * <code>load</code> 方法的初始化选项。除 <code>camera</code> 和 <code>maximumFeatures</code> 之外，其余选项与
+ * {@link GeoJsonDataSource.LoadOptions} 相同。
+ *
+ * @property {Camera} [camera] 用于确定要加载哪些要素的摄像机。如果未定义，则加载整个文件中的要素，直至 <code>maximumFeatures</code>。
+ * @property {number} [maximumFeatures=50000] 同时加载的最大要素数。当视图中的要素多于此数量时，只加载其中的一部分。
+ * @property {string} [sourceUri] 用于解析相对链接的 URL 的覆盖。
+ * @property {GeoJsonDataSource.describe} [describe=GeoJsonDataSource.defaultDescribeProperty] 返回一个属性对象（或仅是字符串）的函数。
+ * @property {number} [markerSize=GeoJsonDataSource.markerSize] 每个点创建的地图图钉的默认大小（以像素为单位）。
+ * @property {string} [markerSymbol=GeoJsonDataSource.markerSymbol] 每个点创建的地图图钉的默认符号。
+ * @property {Color} [markerColor=GeoJsonDataSource.markerColor] 每个点创建的地图图钉的默认颜色。
+ * @property {Color} [stroke=GeoJsonDataSource.stroke] 折线和多边形轮廓的默认颜色。
+ * @property {number} [strokeWidth=GeoJsonDataSource.strokeWidth] 折线和多边形轮廓的默认宽度。
+ * @property {Color} [fill=GeoJsonDataSource.fill] 多边形内部的默认颜色。
+ * @property {boolean} [clampToGround=GeoJsonDataSource.clampToGround] 如果希望几何特征（多边形或线串）被固定在地面上则为 true。
+ * @property {Credit|string} [credit] 数据源的信用，在画布上显示。
+ */
+
+/**
+ * 一个 {@link DataSource}，以流的方式加载 {@link https://flatgeobuf.org/|FlatGeobuf} 文件中的要素。
+ * <p>
+ * 数据源使用文件中的打包 Hilbert R 树空间索引，通过 HTTP 范围请求只获取与摄像机的
+ * {@link Camera#computeViewRectangle} 相交的要素。当视图改变时，加载新进入视图的要素，并移除离开视图的要素，
+ * 因此可以显示包含数百万个要素的文件。没有空间索引的文件会被整体加载一次，然后按视图筛选。
+ * </p>
+ * <p>
+ * 支持 WGS84（EPSG:4326）和 Web Mercator（EPSG:3857）坐标。每个要素的实体 ID 是要素在文件中的索引；
+ * 多部件几何图形的其他部分的 ID 为 <code>索引_2</code>、<code>索引_3</code> 等。实体的样式与 {@link GeoJsonDataSource} 相同。
+ * </p>
+ *
+ * @alias FlatGeobufDataSource
+ * @constructor
+ * @extends GeoJsonDataSource
+ *
+ * @param {string} [name] 此数据源的名称。如果未定义，将从文件名派生名称。
+ *
+ * @example
+ * const viewer = new Cesium.Viewer("cesiumContainer");
+ * viewer.dataSources.add(
+ *   Cesium.FlatGeobufDataSource.load("https://example.com/buildings.fgb", {
+ *     camera: viewer.scene.camera,
+ *     fill: Cesium.Color.ORANGE.withAlpha(0.5),
+ *     clampToGround: true,
+ *   }),
+ * );
+ */
+function FlatGeobufDataSource(name) {
+  GeoJsonDataSource.call(this, name);
+
+  /**
+   * 用于确定要加载哪些要素的摄像机。
+   * @type {Camera|undefined}
+   */
+  this.camera = undefined;
+
+  /**
+   * 同时加载的最大要素数。
+   * @type {number}
+   * @default 50000
+   */
+  this.maximumFeatures = 50000;
+
+  this._resource = undefined;
+  this._header = undefined;
+  this._loadOptions = undefined;
+  this._loadedFeatures = new Set();
+  this._features = undefined;
+  this._rectangle = undefined;
+  this._lastCameraView = undefined;
+  this._pending = undefined;
+  this._loadCount = 0;
+}
+
+if (defined(Object.create)) {
+  FlatGeobufDataSource.prototype = Object.create(GeoJsonDataSource.prototype);
+  FlatGeobufDataSource.prototype.constructor = FlatGeobufDataSource;
+}
+
+Object.defineProperties(FlatGeobufDataSource.prototype, {
+  /**
+   * 获取文件中的要素总数。在加载文件之前为 <code>undefined</code>。
+   * @memberof FlatGeobufDataSource.prototype
+   * @type {number|undefined}
+   * @readonly
+   */
+  featuresCount: {
+    get: function () {
+      return defined(this._header) ? this._header.featuresCount : undefined;
+    },
+  },
+
+  /**
+   * 获取当前已加载的要素数。
+   * @memberof FlatGeobufDataSource.prototype
+   * @type {number}
+   * @readonly
+   */
+  loadedFeaturesCount: {
+    get: function () {
+      return this._loadedFeatures.size;
+    },
+  },
+});
+
+/**
+ * 创建一个 Promise，用于加载提供的 FlatGeobuf 文件的新实例。
+ *
+ * @param {Resource|string} url FlatGeobuf 文件的 URL。
+ * @param {FlatGeobufDataSource.LoadOptions} [options] 一个对象，用于指定配置选项。
+ *
+ * @returns {Promise<FlatGeobufDataSource>} 一个 Promise，当文件头和当前视图中的要素加载完成时将被解析。
+ */
+FlatGeobufDataSource.load = function (url, options) {
+  return new FlatGeobufDataSource().load(url, options);
+};
+
+/**
+ * 异步加载提供的 FlatGeobuf 文件，替换任何现有数据。之后，每次调用 {@link FlatGeobufDataSource#update} 时，
+ * 如果摄像机的视图发生了变化，就会加载新视图中的要素。
+ *
+ * @param {Resource|string} url FlatGeobuf 文件的 URL。
+ * @param {FlatGeobufDataSource.LoadOptions} [options] 一个对象，用于指定配置选项。
+ *
+ * @returns {Promise<FlatGeobufDataSource>} 一个 Promise，当文件头和当前视图中的要素加载完成时将被解析。
+ */
+FlatGeobufDataSource.prototype.load = function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(url)) {
+    throw new DeveloperError("url is required.");
+  }
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const resource = Resource.createIfNeeded(url);
+
+  this.camera = options.camera;
+  this.maximumFeatures = defaultValue(
+    options.maximumFeatures,
+    this.maximumFeatures,
+  );
+
+  const loadOptions = clone(options);
+  loadOptions.sourceUri = defaultValue(
+    options.sourceUri,
+    resource.getUrlComponent(),
+  );
+  delete loadOptions.camera;
+  delete loadOptions.maximumFeatures;
+
+  this._resource = resource;
+  this._header = undefined;
+  this._loadOptions = loadOptions;
+  this._loadedFeatures.clear();
+  this._features = undefined;
+  this._rectangle = undefined;
+  this._lastCameraView = undefined;
+  this._entityCollection.removeAll();
+
+  const loadCount = ++this._loadCount;
+  const that = this;
+  DataSource.setLoading(this, true);
+  const promise = loadHeader(resource)
+    .catch(raiseError(this, loadCount))
+    .then(function (header) {
+      if (loadCount !== that._loadCount) {
+        return;
+      }
+      that._header = header;
+      const rectangle = getViewRectangle(that, true);
+      return loadRectangle(that, defaultValue(rectangle, Rectangle.MAX_VALUE));
+    })
+    .then(function () {
+      return that;
+    });
+  return trackLoad(this, promise, loadCount);
+};
+
+/**
+ * 如果摄像机的视图发生了变化，则加载新视图中的要素并移除视图之外的要素。此函数由 {@link DataSourceDisplay} 每帧调用一次。
+ *
+ * @param {JulianDate} time 模拟时间。
+ * @returns {boolean} 始终为 true。
+ */
+FlatGeobufDataSource.prototype.update = function (time) {
+  if (!defined(this._header) || defined(this._pending)) {
+    return true;
+  }
+
+  const rectangle = getViewRectangle(this, false);
+  if (
+    defined(rectangle) &&
+    !Rectangle.equalsEpsilon(rectangle, this._rectangle, CesiumMath.EPSILON7)
+  ) {
+    const loadCount = this._loadCount;
+    DataSource.setLoading(this, true);
+    trackLoad(this, loadRectangle(this, rectangle), loadCount).catch(
+      function () {
+        // The error event has been raised
+      },
+    );
+  }
+  return true;
+};
+
+function trackLoad(that, promise, loadCount) {
+  that._pending = promise;
+  return promise.finally(function () {
+    if (loadCount === that._loadCount) {
+      that._pending = undefined;
+      DataSource.setLoading(that, false);
+    }
+  });
+}
+
+function raiseError(that, loadCount) {
+  return function (error) {
+    if (loadCount === that._loadCount) {
+      that._error.raiseEvent(that, error);
+    }
+    throw error;
+  };
+}
+
+const scratchCartographic = new Cartographic();
+const scratchCartesian = new Cartesian3();
+const webMercatorProjection = new WebMercatorProjection();
+
+// Returns the rectangle seen by the camera when the camera has moved since the last call
+function getViewRectangle(that, force) {
+  const camera = that.camera;
+  if (!defined(camera)) {
+    return undefined;
+  }
+
+  const lastCameraView = that._lastCameraView;
+  if (
+    !force &&
+    defined(lastCameraView) &&
+    camera.positionWC.equalsEpsilon(
+      lastCameraView.position,
+      CesiumMath.EPSILON7,
+    ) &&
+    camera.directionWC.equalsEpsilon(
+      lastCameraView.direction,
+      CesiumMath.EPSILON7,
+    ) &&
+    camera.upWC.equalsEpsilon(lastCameraView.up, CesiumMath.EPSILON7)
+  ) {
+    return undefined;
+  }
+
+  that._lastCameraView = {
+    position: Cartesian3.clone(camera.positionWC),
+    direction: Cartesian3.clone(camera.directionWC),
+    up: Cartesian3.clone(camera.upWC),
+  };
+  return camera.computeViewRectangle();
+}
+
+function loadRectangle(that, rectangle) {
+  that._rectangle = Rectangle.clone(rectangle, that._rectangle);
+  const loadCount = that._loadCount;
+  const boxes = getBoundingBoxes(that._header, rectangle);
+
+  let promise;
+  if (that._header.indexNodeSize > 0 && that._header.featuresCount > 0) {
+    promise = Promise.all(
+      boxes.map(function (box) {
+        return searchIndex(that._resource, that._header, box);
+      }),
+    ).then(function (results) {
+      const items = mergeSearchResults(results, that.maximumFeatures);
+      return fetchFeatures(that, items);
+    });
+  } else {
+    promise = loadAllFeatures(that).then(function (features) {
+      return features
+        .filter(function (feature) {
+          return boxes.some(function (box) {
+            return intersects(feature.bbox, box);
+          });
+        })
+        .slice(0, that.maximumFeatures);
+    });
+  }
+
+  // GeoJsonDataSource raises the error event for errors creating the entities
+  return promise.catch(raiseError(that, loadCount)).then(function (features) {
+    if (loadCount !== that._loadCount) {
+      return;
+    }
+    return updateEntities(that, features);
+  });
+}
+
+function updateEntities(that, features) {
+  const loadedFeatures = that._loadedFeatures;
+  const entities = that._entityCollection;
+  const visible = new Set();
+  const newFeatures = [];
+  for (let i = 0; i < features.length; i++) {
+    const feature = features[i];
+    visible.add(feature.index);
+    if (!loadedFeatures.has(feature.index)) {
+      loadedFeatures.add(feature.index);
+      newFeatures.push(feature.geoJson);
+    }
+  }
+
+  entities.suspendEvents();
+  loadedFeatures.forEach(function (index) {
+    if (!visible.has(index)) {
+      loadedFeatures.delete(index);
+      removeFeatureEntities(entities, index);
+    }
+  });
+  entities.resumeEvents();
+
+  if (newFeatures.length === 0) {
+    return;
+  }
+
+  return GeoJsonDataSource.prototype.process.call(
+    that,
+    {
+      type: "FeatureCollection",
+      features: newFeatures,
+    },
+    that._loadOptions,
+  );
+}
+
+// GeoJsonDataSource creates the entities of a feature with the feature ID, followed by
+// ID_2, ID_3 and so on for the other parts of multi-part geometries.
+function removeFeatureEntities(entities, index) {
+  const id = index.toString();
+  let entityId = id;
+  let part = 2;
+  while (entities.removeById(entityId)) {
+    entityId = `${id}_${part}`;
+    part++;
+  }
+}
+
+function getBoundingBoxes(header, rectangle) {
+  const west = CesiumMath.toDegrees(rectangle.west);
+  const south = CesiumMath.toDegrees(rectangle.south);
+  const east = CesiumMath.toDegrees(rectangle.east);
+  const north = CesiumMath.toDegrees(rectangle.north);
+
+  // Split rectangles that cross the antimeridian
+  const boxes =
+    west <= east
+      ? [[west, south, east, north]]
+      : [
+          [west, south, 180.0, north],
+          [-180.0, south, east, north],
+        ];
+
+  if (header.webMercator) {
+    for (let i = 0; i < boxes.length; i++) {
+      const box = boxes[i];
+      const min = projectWebMercator(box[0], box[1]);
+      const max = projectWebMercator(box[2], box[3]);
+      boxes[i] = [min[0], min[1], max[0], max[1]];
+    }
+  }
+  return boxes;
+}
+
+function projectWebMercator(longitude, latitude) {
+  const cartographic = Cartographic.fromDegrees(
+    longitude,
+    CesiumMath.clamp(
+      latitude,
+      -WebMercatorProjection.MaximumLatitude,
+      WebMercatorProjection.MaximumLatitude,
+    ),
+    0.0,
+    scratchCartographic,
+  );
+  const projected = webMercatorProjection.project(
+    cartographic,
+    scratchCartesian,
+  );
+  return [projected.x, projected.y];
+}
+
+function unprojectWebMercator(x, y) {
+  scratchCartesian.x = x;
+  scratchCartesian.y = y;
+  const cartographic = webMercatorProjection.unproject(
+    scratchCartesian,
+    scratchCartographic,
+  );
+  return [
+    CesiumMath.toDegrees(cartographic.longitude),
+    CesiumMath.toDegrees(cartographic.latitude),
+  ];
+}
+
+function intersects(a, b) {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+function getUint64(view, offset) {
+  return (
+    view.getUint32(offset + 4, true) * 4294967296 + view.getUint32(offset, true)
+  );
+}
+
+function getInt64(view, offset) {
+  return (
+    view.getInt32(offset + 4, true) * 4294967296 + view.getUint32(offset, true)
+  );
+}
+
+// Minimal FlatBuffers table access. A table starts with the signed offset to its vtable,
+// which holds the offsets of the fields within the table, or 0 for absent fields.
+function readTable(view, position) {
+  const vtable = position - view.getInt32(position, true);
+  return {
+    view: view,
+    position: position,
+    vtable: vtable,
+    vtableLength: view.getUint16(vtable, true),
+  };
+}
+
+function getFieldPosition(table, field) {
+  const vtableOffset = 4 + field * 2;
+  if (vtableOffset >= table.vtableLength) {
+    return undefined;
+  }
+  const offset = table.view.getUint16(table.vtable + vtableOffset, true);
+  return offset === 0 ? undefined : table.position + offset;
+}
+
+function getIndirect(table, field) {
+  const position = getFieldPosition(table, field);
+  if (!defined(position)) {
+    return undefined;
+  }
+  return position + table.view.getUint32(position, true);
+}
+
+function getUint8Field(table, field, defaultValue) {
+  const position = getFieldPosition(table, field);
+  return defined(position) ? table.view.getUint8(position) : defaultValue;
+}
+
+function getStringField(table, field) {
+  const position = getIndirect(table, field);
+  if (!defined(position)) {
+    return undefined;
+  }
+  const view = table.view;
+  const length = view.getUint32(position, true);
+  return getStringFromTypedArray(
+    new Uint8Array(view.buffer, view.byteOffset + position + 4, length),
+  );
+}
+
+function getTableField(table, field) {
+  const position = getIndirect(table, field);
+  return defined(position) ? readTable(table.view, position) : undefined;
+}
+
+function getVector(table, field) {
+  const position = getIndirect(table, field);
+  if (!defined(position)) {
+    return undefined;
+  }
+  return {
+    position: position + 4,
+    length: table.view.getUint32(position, true),
+  };
+}
+
+function getDoubleVector(table, field) {
+  const vector = getVector(table, field);
+  if (!defined(vector)) {
+    return undefined;
+  }
+  const result = new Array(vector.length);
+  for (let i = 0; i < vector.length; i++) {
+    result[i] = table.view.getFloat64(vector.position + i * 8, true);
+  }
+  return result;
+}
+
+function getTableVector(table, field) {
+  const vector = getVector(table, field);
+  if (!defined(vector)) {
+    return [];
+  }
+  const view = table.view;
+  const result = new Array(vector.length);
+  for (let i = 0; i < vector.length; i++) {
+    const position = vector.position + i * 4;
+    result[i] = readTable(view, position + view.getUint32(position, true));
+  }
+  return result;
+}
+
+function getRootTable(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return readTable(view, view.getUint32(0, true));
+}
+
+async function loadHeader(resource) {
+  const prefix = await fetchByteRange(resource, 0, 12);
+  for (let i = 0; i < MAGIC_BYTES.length; i++) {
+    if (prefix[i] !== MAGIC_BYTES[i]) {
+      throw new RuntimeError("The file is not a FlatGeobuf file.");
+    }
+  }
+
+  const view = new DataView(
+    prefix.buffer,
+    prefix.byteOffset,
+    prefix.byteLength,
+  );
+  const headerLength = view.getUint32(8, true);
+  const header = parseHeader(await fetchByteRange(resource, 12, headerLength));
+
+  header.indexOffset = 12 + headerLength;
+  header.featuresOffset =
+    header.indexOffset +
+    (header.indexNodeSize > 0 && header.featuresCount > 0
+      ? getLevelBounds(header.featuresCount, header.indexNodeSize)[0][1] *
+        NODE_ITEM_LENGTH
+      : 0);
+  return header;
+}
+
+function parseHeader(bytes) {
+  const table = getRootTable(bytes);
+
+  const columns = getTableVector(table, 7).map(function (column) {
+    return {
+      name: getStringField(column, 0),
+      type: getUint8Field(column, 1, ColumnType.BYTE),
+    };
+  });
+
+  let webMercator = false;
+  const crs = getTableField(table, 10);
+  if (defined(crs)) {
+    const codePosition = getFieldPosition(crs, 1);
+    const code = defined(codePosition)
+      ? crs.view.getInt32(codePosition, true)
+      : 0;
+    if (code === 3857 || code === 900913) {
+      webMercator = true;
+    } else if (code !== 0 && code !== 4326) {
+      throw new RuntimeError(`Unsupported FlatGeobuf CRS: EPSG:${code}`);
+    }
+  }
+
+  const featuresCountPosition = getFieldPosition(table, 8);
+  const indexNodeSizePosition = getFieldPosition(table, 9);
+  return {
+    name: getStringField(table, 0),
+    geometryType: getUint8Field(table, 2, GeometryType.UNKNOWN),
+    hasZ: getUint8Field(table, 3, 0) !== 0,
+    columns: columns,
+    featuresCount: defined(featuresCountPosition)
+      ? getUint64(table.view, featuresCountPosition)
+      : 0,
+    indexNodeSize: defined(indexNodeSizePosition)
+      ? table.view.getUint16(indexNodeSizePosition, true)
+      : 16,
+    webMercator: webMercator,
+  };
+}
+
+// The nodes of the packed R-tree are stored level by level from the root to the leaves.
+// Returns the [start, end) node indices of each level, starting with the leaves.
+function getLevelBounds(itemCount, nodeSize) {
+  const levelNodeCounts = [itemCount];
+  let count = itemCount;
+  let nodeCount = itemCount;
+  do {
+    count = Math.ceil(count / nodeSize);
+    levelNodeCounts.push(count);
+    nodeCount += count;
+  } while (count !== 1);
+
+  const levelBounds = [];
+  let end = nodeCount;
+  for (let i = 0; i < levelNodeCounts.length; i++) {
+    levelBounds.push([end - levelNodeCounts[i], end]);
+    end -= levelNodeCounts[i];
+  }
+  return levelBounds;
+}
+
+function mergeRanges(ranges) {
+  ranges.sort(function (a, b) {
+    return a.start - b.start;
+  });
+
+  const merged = [];
+  for (let i = 0; i < ranges.length; i++) {
+    const range = ranges[i];
+    const last = merged[merged.length - 1];
+    if (defined(last) && range.start - last.end <= MAXIMUM_RANGE_GAP) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({
+        start: range.start,
+        end: range.end,
+      });
+    }
+  }
+  return merged;
+}
+
+async function searchIndex(resource, header, box) {
+  const nodeSize = header.indexNodeSize;
+  const levelBounds = getLevelBounds(header.featuresCount, nodeSize);
+  const leafStart = levelBounds[0][0];
+  const leafEnd = levelBounds[0][1];
+  const results = [];
+
+  // Visit the tree one level at a time so that the nodes of a level can be fetched together
+  let nodeIndices = [0];
+  for (let level = levelBounds.length - 1; level >= 0; level--) {
+    const isLeaf = level === 0;
+    const levelEnd = levelBounds[level][1];
+    const ranges = nodeIndices.map(function (nodeIndex) {
+      // Read one more leaf, if there is one, for the offset where the last feature ends
+      const end = Math.min(nodeIndex + nodeSize + (isLeaf ? 1 : 0), levelEnd);
+      return {
+        start: nodeIndex,
+        end: end,
+        searchEnd: Math.min(nodeIndex + nodeSize, levelEnd),
+      };
+    });
+
+    const merged = mergeRanges(
+      ranges.map(function (range) {
+        return {
+          start: range.start * NODE_ITEM_LENGTH,
+          end: range.end * NODE_ITEM_LENGTH,
+        };
+      }),
+    );
+    const blocks = await Promise.all(
+      merged.map(function (range) {
+        return fetchByteRange(
+          resource,
+          header.indexOffset + range.start,
+          range.end - range.start,
+        );
+      }),
+    );
+
+    const children = [];
+    for (let i = 0; i < ranges.length; i++) {
+      const range = ranges[i];
+      const block = findBlock(merged, blocks, range.start * NODE_ITEM_LENGTH);
+      const view = block.view;
+      for (let pos = range.start; pos < range.searchEnd; pos++) {
+        const offset = pos * NODE_ITEM_LENGTH - block.start;
+        if (
+          view.getFloat64(offset, true) > box[2] ||
+          view.getFloat64(offset + 8, true) > box[3] ||
+          view.getFloat64(offset + 16, true) < box[0] ||
+          view.getFloat64(offset + 24, true) < box[1]
+        ) {
+          continue;
+        }
+
+        const nodeOffset = getUint64(view, offset + 32);
+        if (isLeaf) {
+          results.push({
+            index: pos - leafStart,
+            offset: nodeOffset,
+            end:
+              pos + 1 < leafEnd
+                ? getUint64(view, offset + NODE_ITEM_LENGTH + 32)
+                : undefined,
+          });
+        } else {
+          children.push(nodeOffset);
+        }
+      }
+    }
+    nodeIndices = children;
+    if (nodeIndices.length === 0) {
+      break;
+    }
+  }
+  return results;
+}
+
+function findBlock(ranges, blocks, start) {
+  for (let i = 0; i < ranges.length; i++) {
+    if (start >= ranges[i].start && start < ranges[i].end) {
+      const bytes = blocks[i];
+      return {
+        start: ranges[i].start,
+        view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+      };
+    }
+  }
+  return undefined;
+}
+
+function mergeSearchResults(results, maximumFeatures) {
+  const items = [];
+  const indices = new Set();
+  for (let i = 0; i < results.length; i++) {
+    const result = results[i];
+    for (let j = 0; j < result.length && items.length < maximumFeatures; j++) {
+      if (!indices.has(result[j].index)) {
+        indices.add(result[j].index);
+        items.push(result[j]);
+      }
+    }
+  }
+  return items;
+}
+
+async function fetchFeatures(that, items) {
+  const header = that._header;
+  const resource = that._resource;
+  const loadedFeatures = that._loadedFeatures;
+  const features = [];
+
+  // Only fetch the features that are not loaded yet
+  const ranges = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (loadedFeatures.has(item.index)) {
+      features.push({
+        index: item.index,
+      });
+      continue;
+    }
+
+    let end = item.end;
+    if (!defined(end)) {
+      // The last feature of the file, whose length is stored before it
+      const prefix = await fetchByteRange(
+        resource,
+        header.featuresOffset + item.offset,
+        4,
+      );
+      end =
+        item.offset +
+        4 +
+        new DataView(prefix.buffer, prefix.byteOffset, 4).getUint32(0, true);
+    }
+    ranges.push({
+      start: item.offset,
+      end: end,
+      index: item.index,
+    });
+  }
+
+  const merged = mergeRanges(ranges.slice());
+  const blocks = await Promise.all(
+    merged.map(function (range) {
+      return fetchByteRange(
+        resource,
+        header.featuresOffset + range.start,
+        range.end - range.start,
+      );
+    }),
+  );
+
+  for (let i = 0; i < ranges.length; i++) {
+    const range = ranges[i];
+    const block = findBlock(merged, blocks, range.start);
+    const bytes = new Uint8Array(
+      block.view.buffer,
+      block.view.byteOffset + range.start - block.start + 4,
+      range.end - range.start - 4,
+    );
+    features.push({
+      index: range.index,
+      geoJson: parseFeature(bytes, header, range.index),
+    });
+  }
+  return features;
+}
+
+function loadAllFeatures(that) {
+  if (defined(that._features)) {
+    return Promise.resolve(that._features);
+  }
+
+  const header = that._header;
+  return that._resource.fetchArrayBuffer().then(function (arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const view = new DataView(arrayBuffer);
+    const features = [];
+    let offset = header.featuresOffset;
+    while (offset + 4 <= bytes.byteLength) {
+      const length = view.getUint32(offset, true);
+      const geoJson = parseFeature(
+        bytes.subarray(offset + 4, offset + 4 + length),
+        header,
+        features.length,
+      );
+      features.push({
+        index: features.length,
+        geoJson: geoJson,
+        bbox: computeBoundingBox(geoJson.geometry, header),
+      });
+      offset += 4 + length;
+    }
+    that._features = features;
+    return features;
+  });
+}
+
+// Computes the bounding box of a geometry in the coordinates of the file
+function computeBoundingBox(geometry, header) {
+  const box = [
+    Number.POSITIVE_INFINITY,
+    Number.POSITIVE_INFINITY,
+    Number.NEGATIVE_INFINITY,
+    Number.NEGATIVE_INFINITY,
+  ];
+
+  function addCoordinates(coordinates) {
+    if (typeof coordinates[0] === "number") {
+      box[0] = Math.min(box[0], coordinates[0]);
+      box[1] = Math.min(box[1], coordinates[1]);
+      box[2] = Math.max(box[2], coordinates[0]);
+      box[3] = Math.max(box[3], coordinates[1]);
+      return;
+    }
+    for (let i = 0; i < coordinates.length; i++) {
+      addCoordinates(coordinates[i]);
+    }
+  }
+
+  function addGeometry(geometry) {
+    if (geometry.type === "GeometryCollection") {
+      geometry.geometries.forEach(addGeometry);
+    } else {
+      addCoordinates(geometry.coordinates);
+    }
+  }
+
+  if (geometry !== null) {
+    addGeometry(geometry);
+  }
+
+  if (header.webMercator) {
+    const min = projectWebMercator(box[0], box[1]);
+    const max = projectWebMercator(box[2], box[3]);
+    return [min[0], min[1], max[0], max[1]];
+  }
+  return box;
+}
+
+function parseFeature(bytes, header, index) {
+  const table = getRootTable(bytes);
+  const geometry = getTableField(table, 0);
+
+  let columns = header.columns;
+  const featureColumns = getTableVector(table, 2);
+  if (featureColumns.length > 0) {
+    columns = featureColumns.map(function (column) {
+      return {
+        name: getStringField(column, 0),
+        type: getUint8Field(column, 1, ColumnType.BYTE),
+      };
+    });
+  }
+
+  return {
+    type: "Feature",
+    id: index,
+    geometry: defined(geometry)
+      ? parseGeometry(geometry, header.geometryType, header)
+      : null,
+    properties: parseProperties(table, columns),
+  };
+}
+
+function parseGeometry(table, geometryType, header) {
+  geometryType = getUint8Field(table, 6, geometryType);
+  const type = geometryTypeNames[geometryType];
+  if (!defined(type)) {
+    throw new RuntimeError(
+      `Unsupported FlatGeobuf geometry type: ${geometryType}`,
+    );
+  }
+
+  if (geometryType === GeometryType.MULTI_POLYGON) {
+    return {
+      type: type,
+      coordinates: getTableVector(table, 7).map(function (part) {
+        return parseGeometry(part, GeometryType.POLYGON, header).coordinates;
+      }),
+    };
+  }
+
+  if (geometryType === GeometryType.GEOMETRY_COLLECTION) {
+    return {
+      type: type,
+      geometries: getTableVector(table, 7).map(function (part) {
+        return parseGeometry(part, GeometryType.UNKNOWN, header);
+      }),
+    };
+  }
+
+  const xy = defaultValue(getDoubleVector(table, 1), []);
+  const z = getDoubleVector(table, 2);
+  const points = new Array(xy.length / 2);
+  for (let i = 0; i < points.length; i++) {
+    const point = header.webMercator
+      ? unprojectWebMercator(xy[i * 2], xy[i * 2 + 1])
+      : [xy[i * 2], xy[i * 2 + 1]];
+    if (defined(z)) {
+      point.push(z[i]);
+    }
+    points[i] = point;
+  }
+
+  if (geometryType === GeometryType.POINT) {
+    return {
+      type: type,
+      coordinates: points[0],
+    };
+  }
+  if (
+    geometryType === GeometryType.LINE_STRING ||
+    geometryType === GeometryType.MULTI_POINT
+  ) {
+    return {
+      type: type,
+      coordinates: points,
+    };
+  }
+
+  // The ends are the indices of the points where each line or ring ends
+  const parts = [];
+  const ends = getVector(table, 0);
+  if (defined(ends) && ends.length > 0) {
+    let start = 0;
+    for (let i = 0; i < ends.length; i++) {
+      const end = table.view.getUint32(ends.position + i * 4, true);
+      parts.push(points.slice(start, end));
+      start = end;
+    }
+  } else {
+    parts.push(points);
+  }
+
+  return {
+    type: type,
+    coordinates: parts,
+  };
+}
+
+function parseProperties(table, columns) {
+  const properties = {};
+  const vector = getVector(table, 1);
+  if (!defined(vector)) {
+    return properties;
+  }
+
+  const view = table.view;
+  const end = vector.position + vector.length;
+  let offset = vector.position;
+  while (offset < end) {
+    const column = columns[view.getUint16(offset, true)];
+    offset += 2;
+    if (!defined(column)) {
+      throw new RuntimeError("Invalid FlatGeobuf feature properties.");
+    }
+
+    let value;
+    switch (column.type) {
+      case ColumnType.BYTE:
+        value = view.getInt8(offset);
+        offset += 1;
+        break;
+      case ColumnType.UBYTE:
+        value = view.getUint8(offset);
+        offset += 1;
+        break;
+      case ColumnType.BOOL:
+        value = view.getUint8(offset) !== 0;
+        offset += 1;
+        break;
+      case ColumnType.SHORT:
+        value = view.getInt16(offset, true);
+        offset += 2;
+        break;
+      case ColumnType.USHORT:
+        value = view.getUint16(offset, true);
+        offset += 2;
+        break;
+      case ColumnType.INT:
+        value = view.getInt32(offset, true);
+        offset += 4;
+        break;
+      case ColumnType.UINT:
+        value = view.getUint32(offset, true);
+        offset += 4;
+        break;
+      case ColumnType.LONG:
+        value = getInt64(view, offset);
+        offset += 8;
+        break;
+      case ColumnType.ULONG:
+        value = getUint64(view, offset);
+        offset += 8;
+        break;
+      case ColumnType.FLOAT:
+        value = view.getFloat32(offset, true);
+        offset += 4;
+        break;
+      case ColumnType.DOUBLE:
+        value = view.getFloat64(offset, true);
+        offset += 8;
+        break;
+      default: {
+        const length = view.getUint32(offset, true);
+        const bytes = new Uint8Array(
+          view.buffer,
+          view.byteOffset + offset + 4,
+          length,
+        );
+        offset += 4 + length;
+        if (column.type === ColumnType.BINARY) {
+          value = bytes.slice();
+        } else {
+          value = getStringFromTypedArray(bytes);
+          if (column.type === ColumnType.JSON) {
+            value = JSON.parse(value);
+          }
+        }
+      }
+    }
+    properties[column.name] = value;
+  }
+  return properties;
+}
+
+export default FlatGeobufDataSource;
@@ -0,0 +1,631 @@
+import AssociativeArray from "../Core/AssociativeArray.js";
+import Check from "../Core/Check.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Event from "../Core/Event.js";
+import ImageryLayerCollection from "../Scene/ImageryLayerCollection.js";
+import EntityCollection from "./EntityCollection.js";
+
+const ChangeType = {
+  PROPERTY: 0,
+  ENTITY_ADDED: 1,
+  ENTITY_REMOVED: 2,
+  LAYER_ADDED: 3,
+  LAYER_REMOVED: 4,
+  LAYER_MOVED: 5,
+};
+
+/**
+ * 记录实体和图像图层的修改，以便撤销和重做。使用 {@link History#track} 跟踪 {@link EntityCollection} 或
+ * {@link ImageryLayerCollection} 后，历史记录会监听以下更改：
+ * <ul>
+ * <li>通过 {@link EntityCollection#collectionChanged} 添加和移除的实体</li>
+ * <li>通过 {@link Entity#definitionChanged} 为实体的属性赋新值，例如 <code>entity.position = ...</code></li>
+ * <li>为实体的图形对象或 {@link PropertyBag} 的属性赋新值，例如 <code>entity.polygon.material = ...</code></li>
+ * <li>图像图层的添加、移除和移动</li>
+ * </ul>
+ * <p>
+ * 每次更改只记录被修改的属性的旧值和新值。在 {@link EntityCollection#suspendEvents} 期间进行的更改以及
+ * {@link History#transaction} 中进行的更改会合并为一个撤销步骤。直接修改属性内部的值（例如调用
+ * {@link ConstantProperty#setValue}）不会被记录；请改为给属性赋新值。
+ * </p>
+ * <p>
+ * 要能够撤销图像图层的移除，请在移除时将 <code>destroy</code> 设置为 <code>false</code>。已销毁的图层无法恢复，
+ * 撤销或重做时会丢弃对它们的更改。
+ * </p>
+ *
+ * @alias History
+ * @constructor
+ *
+ * @param {object} [options] 具有以下属性的对象：
+ * @param {number} [options.maximumDepth=100] 撤销栈中保留的最大步骤数。
+ *
+ * @example
+ * const history = new Cesium.History();
+ * history.track(viewer.entities);
+ *
+ * const entity = viewer.entities.add({
+ *   position: Cesium.Cartesian3.fromDegrees(-75.0, 40.0),
+ *   point: {
+ *     pixelSize: 10,
+ *   },
+ * });
+ * history.transaction(function () {
+ *   entity.point.pixelSize = 20;
+ *   entity.point.color = Cesium.Color.RED;
+ * });
+ *
+ * document.addEventListener("keydown", function (e) {
+ *   if (e.ctrlKey && e.key === "z") {
+ *     history.undo();
+ *   } else if (e.ctrlKey && e.key === "y") {
+ *     history.redo();
+ *   }
+ * });
+ */
+function History(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  /**
+   * 撤销栈中保留的最大步骤数。
+   * @type {number}
+   * @default 100
+   */
+  this.maximumDepth = defaultValue(options.maximumDepth, 100);
+
+  this._trackers = [];
+  this._undoStack = [];
+  this._redoStack = [];
+  this._transaction = undefined;
+  this._transactionDepth = 0;
+  this._applying = false;
+  this._changed = new Event();
+}
+
+Object.defineProperties(History.prototype, {
+  /**
+   * 获取一个值，指示是否有可以撤销的步骤。
+   * @memberof History.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  canUndo: {
+    get: function () {
+      return this._undoStack.length > 0;
+    },
+  },
+
+  /**
+   * 获取一个值，指示是否有可以重做的步骤。
+   * @memberof History.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  canRedo: {
+    get: function () {
+      return this._redoStack.length > 0;
+    },
+  },
+
+  /**
+   * 获取一个值，指示是否正在撤销或重做。在此期间进行的更改不会被记录。
+   * @memberof History.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  isApplying: {
+    get: function () {
+      return this._applying;
+    },
+  },
+
+  /**
+   * 获取在撤销栈或重做栈发生变化时触发的事件。
+   * @memberof History.prototype
+   * @type {Event}
+   * @readonly
+   */
+  changed: {
+    get: function () {
+      return this._changed;
+    },
+  },
+});
+
+/**
+ * 开始记录集合的更改。
+ *
+ * @param {EntityCollection|ImageryLayerCollection} collection 要跟踪的集合。
+ *
+ * @exception {DeveloperError} collection 必须是 EntityCollection 或 ImageryLayerCollection。
+ */
+History.prototype.track = function (collection) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("collection", collection);
+  if (
+    !(collection instanceof EntityCollection) &&
+    !(collection instanceof ImageryLayerCollection)
+  ) {
+    throw new DeveloperError(
+      "collection must be an EntityCollection or an ImageryLayerCollection.",
+    );
+  }
+  //>>includeEnd('debug');
+
+  if (this.isTracking(collection)) {
+    return;
+  }
+
+  const tracker =
+    collection instanceof EntityCollection
+      ? trackEntityCollection(this, collection)
+      : trackImageryLayerCollection(this, collection);
+  this._trackers.push(tracker);
+};
+
+/**
+ * 停止记录集合的更改。已记录的更改会保留在撤销栈和重做栈中。
+ *
+ * @param {EntityCollection|ImageryLayerCollection} collection 要停止跟踪的集合。
+ * @returns {boolean} 如果集合之前被跟踪，则为 <code>true</code>；否则为 <code>false</code>。
+ */
+History.prototype.untrack = function (collection) {
+  const trackers = this._trackers;
+  for (let i = 0; i < trackers.length; ++i) {
+    if (trackers[i].collection === collection) {
+      trackers[i].destroy();
+      trackers.splice(i, 1);
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * 确定是否正在跟踪集合。
+ *
+ * @param {EntityCollection|ImageryLayerCollection} collection 要检查的集合。
+ * @returns {boolean} 如果正在跟踪该集合，则为 <code>true</code>；否则为 <code>false</code>。
+ */
+History.prototype.isTracking = function (collection) {
+  const trackers = this._trackers;
+  for (let i = 0; i < trackers.length; ++i) {
+    if (trackers[i].collection === collection) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * 调用函数，并将其中进行的所有更改合并为一个撤销步骤。事务可以嵌套；嵌套事务中的更改属于最外层的事务。
+ *
+ * @param {Function} callback 进行更改的函数。
+ * @returns {*} <code>callback</code> 的返回值。
+ *
+ * @example
+ * history.transaction(function () {
+ *   viewer.entities.remove(first);
+ *   viewer.entities.remove(second);
+ * });
+ * history.undo(); // restores both entities
+ */
+History.prototype.transaction = function (callback) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.func("callback", callback);
+  //>>includeEnd('debug');
+
+  if (this._transactionDepth === 0) {
+    this._transaction = [];
+  }
+  ++this._transactionDepth;
+
+  try {
+    return callback();
+  } finally {
+    --this._transactionDepth;
+    if (this._transactionDepth === 0) {
+      const changes = this._transaction;
+      this._transaction = undefined;
+      pushStep(this, changes);
+    }
+  }
+};
+
+/**
+ * 撤销最近的步骤。如果步骤中只包含对已销毁的图像图层的更改，则丢弃该步骤。
+ *
+ * @returns {boolean} 如果撤销了步骤，则为 <code>true</code>；如果没有可撤销的步骤或丢弃了步骤，则为 <code>false</code>。
+ *
+ * @exception {DeveloperError} 不能在事务中撤销。
+ */
+History.prototype.undo = function () {
+  //>>includeStart('debug', pragmas.debug);
+  if (this._transactionDepth > 0) {
+    throw new DeveloperError("Cannot undo during a transaction.");
+  }
+  //>>includeEnd('debug');
+
+  const changes = popApplicableChanges(this, this._undoStack);
+  if (!defined(changes)) {
+    return false;
+  }
+
+  applyChanges(this, changes, true);
+  this._redoStack.push(changes);
+  this._changed.raiseEvent();
+  return true;
+};
+
+/**
+ * 重做最近撤销的步骤。如果步骤中只包含对已销毁的图像图层的更改，则丢弃该步骤。
+ *
+ * @returns {boolean} 如果重做了步骤，则为 <code>true</code>；如果没有可重做的步骤或丢弃了步骤，则为 <code>false</code>。
+ *
+ * @exception {DeveloperError} 不能在事务中重做。
+ */
+History.prototype.redo = function () {
+  //>>includeStart('debug', pragmas.debug);
+  if (this._transactionDepth > 0) {
+    throw new DeveloperError("Cannot redo during a transaction.");
+  }
+  //>>includeEnd('debug');
+
+  const changes = popApplicableChanges(this, this._redoStack);
+  if (!defined(changes)) {
+    return false;
+  }
+
+  applyChanges(this, changes, false);
+  this._undoStack.push(changes);
+  this._changed.raiseEvent();
+  return true;
+};
+
+/**
+ * 清除撤销栈和重做栈。
+ */
+History.prototype.clear = function () {
+  this._undoStack.length = 0;
+  this._redoStack.length = 0;
+  this._changed.raiseEvent();
+};
+
+/**
+ * 如果该对象已被销毁，则返回 true；否则返回 false。
+ * <br /><br />
+ * 如果该对象已被销毁，则不应使用它；调用除 <code>isDestroyed</code> 之外的任何函数将导致 {@link DeveloperError} 异常。
+ *
+ * @returns {boolean} 如果该对象已被销毁，则返回 true；否则返回 false。
+ *
+ * @see History#destroy
+ */
+History.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * 停止跟踪所有集合并销毁该对象。
+ * <br /><br />
+ * 一旦对象被销毁，就不应再使用它；调用除 <code>isDestroyed</code> 之外的任何函数将导致 {@link DeveloperError} 异常。因此，
+ * 请将返回值 (<code>undefined</code>) 赋给该对象，如示例中所示。
+ *
+ * @exception {DeveloperError} 该对象已被销毁，即调用了 destroy()。
+ *
+ * @example
+ * history = history && history.destroy();
+ *
+ * @see History#isDestroyed
+ */
+History.prototype.destroy = function () {
+  const trackers = this._trackers;
+  for (let i = 0; i < trackers.length; ++i) {
+    trackers[i].destroy();
+  }
+  this._trackers = [];
+  return destroyObject(this);
+};
+
+function record(history, change) {
+  if (history._applying) {
+    return;
+  }
+
+  if (defined(history._transaction)) {
+    history._transaction.push(change);
+  } else {
+    pushStep(history, [change]);
+  }
+}
+
+function pushStep(history, changes) {
+  if (changes.length === 0) {
+    return;
+  }
+
+  const undoStack = history._undoStack;
+  undoStack.push(changes);
+  while (undoStack.length > Math.max(history.maximumDepth, 0)) {
+    undoStack.shift();
+  }
+  history._redoStack.length = 0;
+  history._changed.raiseEvent();
+}
+
+function isApplicable(change) {
+  // Layers removed with destroy set to true can't be restored
+  return !defined(change.layer) || !change.layer.isDestroyed();
+}
+
+function popApplicableChanges(history, stack) {
+  const changes = stack.pop();
+  if (!defined(changes)) {
+    return undefined;
+  }
+
+  const applicableChanges = changes.filter(isApplicable);
+  if (applicableChanges.length === 0) {
+    history._changed.raiseEvent();
+    return undefined;
+  }
+  return applicableChanges;
+}
+
+function applyChanges(history, changes, undo) {
+  history._applying = true;
+  try {
+    const length = changes.length;
+    for (let i = 0; i < length; ++i) {
+      applyChange(changes[undo ? length - 1 - i : i], undo);
+    }
+  } finally {
+    history._applying = false;
+  }
+}
+
+function applyChange(change, undo) {
+  const collection = change.collection;
+  switch (change.type) {
+    case ChangeType.PROPERTY:
+      change.target[change.name] = undo ? change.oldValue : change.newValue;
+      break;
+    case ChangeType.ENTITY_ADDED:
+    case ChangeType.ENTITY_REMOVED:
+      if (undo === (change.type === ChangeType.ENTITY_ADDED)) {
+        collection.remove(change.entity);
+      } else if (!collection.contains(change.entity)) {
+        collection.add(change.entity);
+      }
+      break;
+    case ChangeType.LAYER_ADDED:
+    case ChangeType.LAYER_REMOVED:
+      if (undo === (change.type === ChangeType.LAYER_ADDED)) {
+        collection.remove(change.layer, false);
+      } else if (!collection.contains(change.layer)) {
+        collection.add(change.layer, Math.min(change.index, collection.length));
+      }
+      break;
+    case ChangeType.LAYER_MOVED:
+      moveLayer(
+        collection,
+        change.layer,
+        undo ? change.oldIndex : change.newIndex,
+      );
+      break;
+  }
+}
+
+function moveLayer(collection, layer, index) {
+  if (!collection.contains(layer)) {
+    return;
+  }
+
+  index = Math.min(index, collection.length - 1);
+  while (collection.indexOf(layer) < index) {
+    collection.raise(layer);
+  }
+  while (collection.indexOf(layer) > index) {
+    collection.lower(layer);
+  }
+}
+
+function trackEntityCollection(history, collection) {
+  const entityTrackers = new AssociativeArray();
+
+  function addEntity(entity) {
+    entityTrackers.set(entity.id, trackEntity(history, entity));
+  }
+
+  function removeEntity(entity) {
+    const entityTracker = entityTrackers.get(entity.id);
+    if (defined(entityTracker)) {
+      entityTracker.destroy();
+      entityTrackers.remove(entity.id);
+    }
+  }
+
+  const entities = collection.values;
+  for (let i = 0; i < entities.length; ++i) {
+    addEntity(entities[i]);
+  }
+
+  const removeListener = collection.collectionChanged.addEventListener(
+    function (collection, added, removed) {
+      const changes = [];
+      let i;
+      for (i = 0; i < removed.length; ++i) {
+        removeEntity(removed[i]);
+        changes.push({
+          type: ChangeType.ENTITY_REMOVED,
+          collection: collection,
+          entity: removed[i],
+        });
+      }
+      for (i = 0; i < added.length; ++i) {
+        addEntity(added[i]);
+        changes.push({
+          type: ChangeType.ENTITY_ADDED,
+          collection: collection,
+          entity: added[i],
+        });
+      }
+
+      // All changes from one event, e.g. while events were suspended, are one step
+      if (changes.length === 1) {
+        record(history, changes[0]);
+      } else if (changes.length > 1) {
+        history.transaction(function () {
+          for (let j = 0; j < changes.length; ++j) {
+            record(history, changes[j]);
+          }
+        });
+      }
+    },
+  );
+
+  return {
+    collection: collection,
+    destroy: function () {
+      removeListener();
+      const values = entityTrackers.values;
+      for (let i = 0; i < values.length; ++i) {
+        values[i].destroy();
+      }
+      entityTrackers.removeAll();
+    },
+  };
+}
+
+function trackEntity(history, entity) {
+  // Listeners for the graphics and property bags assigned to the entity, by property name
+  const removeValueListeners = {};
+
+  function trackValue(name, value) {
+    const removeValueListener = removeValueListeners[name];
+    if (defined(removeValueListener)) {
+      removeValueListener();
+      removeValueListeners[name] = undefined;
+    }
+    if (defined(value) && defined(value.definitionChanged)) {
+      removeValueListeners[name] =
+        value.definitionChanged.addEventListener(recordPropertyChange);
+    }
+  }
+
+  function recordPropertyChange(target, name, newValue, oldValue) {
+    // Events without a property name or with the same value report changes
+    // nested inside a value, which are recorded by the value's own listener.
+    if (typeof name !== "string" || newValue === oldValue) {
+      return;
+    }
+    record(history, {
+      type: ChangeType.PROPERTY,
+      target: target,
+      name: name,
+      oldValue: oldValue,
+      newValue: newValue,
+    });
+  }
+
+  const propertyNames = entity.propertyNames;
+  for (let i = 0; i < propertyNames.length; ++i) {
+    trackValue(propertyNames[i], entity[propertyNames[i]]);
+  }
+
+  const removeListener = entity.definitionChanged.addEventListener(
+    function (entity, name, newValue, oldValue) {
+      // isShowing is derived from show, parent and the collection
+      if (name === "isShowing" || newValue === oldValue) {
+        return;
+      }
+      trackValue(name, newValue);
+      recordPropertyChange(entity, name, newValue, oldValue);
+    },
+  );
+
+  return {
+    destroy: function () {
+      removeListener();
+      for (const name in removeValueListeners) {
+        if (
+          removeValueListeners.hasOwnProperty(name) &&
+          defined(removeValueListeners[name])
+        ) {
+          removeValueListeners[name]();
+        }
+      }
+    },
+  };
+}
+
+function trackImageryLayerCollection(history, collection) {
+  const removeAddedListener = collection.layerAdded.addEventListener(
+    function (layer, index) {
+      record(history, {
+        type: ChangeType.LAYER_ADDED,
+        collection: collection,
+        layer: layer,
+        index: index,
+      });
+    },
+  );
+
+  let removeAllChanges;
+  const removeRemovedListener = collection.layerRemoved.addEventListener(
+    function (layer, index) {
+      // removeAll raises the event for every layer before emptying the collection,
+      // which is the same as removing the first layer repeatedly.
+      const removingAll = collection.contains(layer);
+      const change = {
+        type: ChangeType.LAYER_REMOVED,
+        collection: collection,
+        layer: layer,
+        index: removingAll ? 0 : index,
+      };
+      if (!removingAll) {
+        record(history, change);
+        return;
+      }
+
+      // All layers removed by removeAll are one step, recorded with the last layer
+      if (index === 0) {
+        removeAllChanges = [];
+      }
+      removeAllChanges.push(change);
+      if (index === collection.length - 1) {
+        const changes = removeAllChanges;
+        removeAllChanges = undefined;
+        history.transaction(function () {
+          for (let i = 0; i < changes.length; ++i) {
+            record(history, changes[i]);
+          }
+        });
+      }
+    },
+  );
+
+  const removeMovedListener = collection.layerMoved.addEventListener(
+    function (layer, newIndex, oldIndex) {
+      record(history, {
+        type: ChangeType.LAYER_MOVED,
+        collection: collection,
+        layer: layer,
+        newIndex: newIndex,
+        oldIndex: oldIndex,
+      });
+    },
+  );
+
+  return {
+    collection: collection,
+    destroy: function () {
+      removeAddedListener();
+      removeRemovedListener();
+      removeMovedListener();
+    },
+  };
+}
+
+export default History;
@@ -1,6 +1,7 @@
 import ArcType from "../Core/ArcType.js";
 import AssociativeArray from "../Core/AssociativeArray.js";
 import BoundingRectangle from "../Core/BoundingRectangle.js";
+import BoundingSphere from "../Core/BoundingSphere.js";
 import buildModuleUrl from "../Core/buildModuleUrl.js";
 import Cartesian2 from "../Core/Cartesian2.js";
 import Cartesian3 from "../Core/Cartesian3.js";
@@ -22,6 +23,7 @@ import getFilenameFromUri from "../Core/getFilenameFromUri.js";
 import getTimestamp from "../Core/getTimestamp.js";
 import HeadingPitchRange from "../Core/HeadingPitchRange.js";
 import HeadingPitchRoll from "../Core/HeadingPitchRoll.js";
+import Intersect from "../Core/Intersect.js";
 import Iso8601 from "../Core/Iso8601.js";
 import JulianDate from "../Core/JulianDate.js";
 import CesiumMath from "../Core/Math.js";
@@ -2064,16 +2066,103 @@ function processUnsupportedGeometry(
   return false;
 }
 
-function processExtendedData(node, entity) {
+function processSchemas(kml) {
+  const schemas = {};
+  const schemaNodes = queryNodes(kml.documentElement, "Schema", namespaces.kml);
+  for (let i = 0; i < schemaNodes.length; i++) {
+    const schemaNode = schemaNodes[i];
+    const id = queryStringAttribute(schemaNode, "id");
+    if (!defined(id)) {
+      continue;
+    }
+
+    const fields = {};
+    const fieldNodes = queryChildNodes(
+      schemaNode,
+      "SimpleField",
+      namespaces.kml,
+    );
+    for (let j = 0; j < fieldNodes.length; j++) {
+      const fieldNode = fieldNodes[j];
+      const name = queryStringAttribute(fieldNode, "name");
+      if (defined(name)) {
+        fields[name] = {
+          type: defaultValue(queryStringAttribute(fieldNode, "type"), "string"),
+          displayName: queryStringValue(
+            fieldNode,
+            "displayName",
+            namespaces.kml,
+          ),
+        };
+      }
+    }
+    schemas[id] = fields;
+  }
+  return schemas;
+}
+
+function parseSimpleData(value, type) {
+  let result;
+  switch (type) {
+    case "int":
+    case "uint":
+    case "short":
+    case "ushort":
+      result = parseInt(value, 10);
+      return !isNaN(result) ? result : undefined;
+    case "float":
+    case "double":
+      result = parseFloat(value);
+      return !isNaN(result) ? result : undefined;
+    case "bool":
+      return value === "1" || /^true$/i.test(value);
+    default:
+      return value;
+  }
+}
+
+function processSchemaData(schemaDataNode, schemas, result) {
+  // Only schemas in the same file are supported, so ignore any file name before the #
+  let fields;
+  const schemaUrl = queryStringAttribute(schemaDataNode, "schemaUrl");
+  if (defined(schemaUrl)) {
+    fields = schemas[schemaUrl.substring(schemaUrl.indexOf("#") + 1)];
+  }
+  if (!defined(fields)) {
+    oneTimeWarning(
+      "kml-schemaData",
+      "KML - SchemaData without a Schema in the same file is read as strings",
+    );
+    fields = {};
+  }
+
+  const simpleDataNodes = queryChildNodes(
+    schemaDataNode,
+    "SimpleData",
+    namespaces.kml,
+  );
+  for (let i = 0; i < simpleDataNodes.length; i++) {
+    const simpleDataNode = simpleDataNodes[i];
+    const name = queryStringAttribute(simpleDataNode, "name");
+    if (!defined(name)) {
+      continue;
+    }
+
+    const field = defaultValue(fields[name], defaultValue.EMPTY_OBJECT);
+    result[name] = {
+      displayName: field.displayName,
+      value: parseSimpleData(simpleDataNode.textContent.trim(), field.type),
+    };
+  }
+}
+
+function processExtendedData(node, entity, schemas) {
   const extendedDataNode = queryFirstNode(node, "ExtendedData", namespaces.kml);
 
   if (!defined(extendedDataNode)) {
     return undefined;
   }
 
-  if (defined(queryFirstNode(extendedDataNode, "SchemaData", namespaces.kml))) {
-    oneTimeWarning("kml-schemaData", "KML - SchemaData is unsupported");
-  }
   if (defined(queryStringAttribute(extendedDataNode, "xmlns:prefix"))) {
     oneTimeWarning(
       "kml-extendedData",
@@ -2100,7 +2189,30 @@ function processExtendedData(node, entity) {
       }
     }
   }
+
+  const schemaDataNodes = queryChildNodes(
+    extendedDataNode,
+    "SchemaData",
+    namespaces.kml,
+  );
+  for (let i = 0; i < schemaDataNodes.length; i++) {
+    processSchemaData(schemaDataNodes[i], schemas, result);
+  }
+
   entity.kml.extendedData = result;
+
+  // Also expose the values as entity properties, so they can be used with property based styling
+  const properties = {};
+  let hasProperties = false;
+  for (const name in result) {
+    if (result.hasOwnProperty(name) && defined(result[name].value)) {
+      properties[name] = result[name].value;
+      hasProperties = true;
+    }
+  }
+  if (hasProperties) {
+    entity.properties = properties;
+  }
 }
 
 let scratchDiv;
@@ -2161,6 +2273,10 @@ function processDescription(
           propertyName = propertyName.replace(/\/displayName$/, "");
 
           value = extendedData[propertyName];
+          if (!defined(value)) {
+            // SchemaData fields may be referenced as $[schemaName/fieldName]
+            value = extendedData[propertyName.replace(/^.*\//, "")];
+          }
           if (defined(value)) {
             value = isDisplayName ? value.displayName : value.value;
           }
@@ -2320,7 +2436,7 @@ function processFeature(dataSource, featureNode, processingData) {
   );
   kmlData.snippet = queryStringValue(featureNode, "Snippet", namespaces.kml);
 
-  processExtendedData(featureNode, entity);
+  processExtendedData(featureNode, entity, processingData.schemas);
   processDescription(
     featureNode,
     entity,
@@ -2333,9 +2449,7 @@ function processFeature(dataSource, featureNode, processingData) {
   processLookAt(featureNode, entity, ellipsoid);
   processCamera(featureNode, entity, ellipsoid);
 
-  if (defined(queryFirstNode(featureNode, "Region", namespaces.kml))) {
-    oneTimeWarning("kml-region", "KML - Placemark Regions are unsupported");
-  }
+  processRegion(dataSource, featureNode, entity);
 
   return {
     entity: entity,
@@ -2523,6 +2637,184 @@ function processLookAt(featureNode, entity, ellipsoid) {
   }
 }
 
+const scratchRegionCenter = new Cartographic();
+
+function processRegion(dataSource, featureNode, entity) {
+  const regionNode = queryFirstNode(featureNode, "Region", namespaces.kml);
+  if (!defined(regionNode)) {
+    return;
+  }
+
+  const boxNode = queryFirstNode(regionNode, "LatLonAltBox", namespaces.kml);
+  if (!defined(boxNode)) {
+    oneTimeWarning(
+      "kml-region-latLonAltBox",
+      "KML - A Region without a LatLonAltBox is ignored",
+    );
+    return;
+  }
+
+  const rectangle = Rectangle.fromDegrees(
+    defaultValue(queryNumericValue(boxNode, "west", namespaces.kml), -180.0),
+    defaultValue(queryNumericValue(boxNode, "south", namespaces.kml), -90.0),
+    defaultValue(queryNumericValue(boxNode, "east", namespaces.kml), 180.0),
+    defaultValue(queryNumericValue(boxNode, "north", namespaces.kml), 90.0),
+  );
+
+  // Altitudes are ignored for clampToGround, the default altitudeMode
+  let minAltitude = 0.0;
+  let maxAltitude = 0.0;
+  const altitudeMode = queryStringValue(
+    boxNode,
+    "altitudeMode",
+    namespaces.kml,
+  );
+  if (defined(altitudeMode) && altitudeMode !== "clampToGround") {
+    minAltitude = defaultValue(
+      queryNumericValue(boxNode, "minAltitude", namespaces.kml),
+      0.0,
+    );
+    maxAltitude = defaultValue(
+      queryNumericValue(boxNode, "maxAltitude", namespaces.kml),
+      minAltitude,
+    );
+  }
+
+  const lodNode = queryFirstNode(regionNode, "Lod", namespaces.kml);
+  const minLodPixels = defaultValue(
+    queryNumericValue(lodNode, "minLodPixels", namespaces.kml),
+    0.0,
+  );
+  const maxLodPixels = defaultValue(
+    queryNumericValue(lodNode, "maxLodPixels", namespaces.kml),
+    -1.0,
+  );
+
+  const ellipsoid = dataSource._ellipsoid;
+  const boundingSphere = BoundingSphere.union(
+    BoundingSphere.fromRectangle3D(rectangle, ellipsoid, minAltitude),
+    BoundingSphere.fromRectangle3D(rectangle, ellipsoid, maxAltitude),
+  );
+
+  // The projected size of a Region is the square root of its projected area
+  const center = Rectangle.center(rectangle, scratchRegionCenter);
+  const radius = ellipsoid.maximumRadius + maxAltitude;
+  const size = Math.sqrt(
+    rectangle.width *
+      radius *
+      Math.cos(center.latitude) *
+      rectangle.height *
+      radius,
+  );
+
+  const region = {
+    entity: entity,
+    active: true,
+    boundingSphere: boundingSphere,
+    size: size,
+    minLodPixels: minLodPixels,
+    maxLodPixels: maxLodPixels,
+  };
+  dataSource._regions.set(entity.id, region);
+
+  const camera = dataSource.camera;
+  if (defined(camera)) {
+    updateRegion(dataSource, region, getCullingVolume(camera));
+  }
+}
+
+function getCullingVolume(camera) {
+  return camera.frustum.computeCullingVolume(
+    camera.positionWC,
+    camera.directionWC,
+    camera.upWC,
+  );
+}
+
+const scratchPixelDimensions = new Cartesian2();
+
+function isRegionActive(region, camera, canvas, cullingVolume) {
+  const boundingSphere = region.boundingSphere;
+  if (cullingVolume.computeVisibility(boundingSphere) === Intersect.OUTSIDE) {
+    return false;
+  }
+
+  // Approximate the number of pixels covered by the Region at its closest distance to the camera
+  const frustum = camera.frustum;
+  const distance = Math.max(
+    Cartesian3.distance(camera.positionWC, boundingSphere.center) -
+      boundingSphere.radius,
+    defaultValue(frustum.near, 1.0),
+  );
+  const pixelDimensions = frustum.getPixelDimensions(
+    canvas.clientWidth,
+    canvas.clientHeight,
+    distance,
+    1.0,
+    scratchPixelDimensions,
+  );
+  const pixels = region.size / Math.max(pixelDimensions.x, pixelDimensions.y);
+
+  return (
+    pixels >= region.minLodPixels &&
+    (region.maxLodPixels < 0.0 || pixels <= region.maxLodPixels)
+  );
+}
+
+function updateRegion(dataSource, region, cullingVolume) {
+  const canvas = dataSource.canvas;
+  if (!defined(canvas)) {
+    oneTimeWarning(
+      "kml-region-noCanvas",
+      "KML - Regions require the `canvas` property to be defined. Features with a Region are always shown.",
+    );
+    return;
+  }
+
+  region.active = isRegionActive(
+    region,
+    dataSource.camera,
+    canvas,
+    cullingVolume,
+  );
+  // Children of the feature are hidden with it, since they are only shown when their parent is.
+  // The user-facing show is left alone.
+  region.entity.lodShow = region.active;
+}
+
+function updateRegions(dataSource) {
+  const regions = dataSource._regions;
+  const camera = dataSource.camera;
+  if (
+    regions.length === 0 ||
+    !defined(camera) ||
+    camera._mode === SceneMode.MORPHING
+  ) {
+    return;
+  }
+
+  const entityCollection = dataSource._entityCollection;
+  const cullingVolume = getCullingVolume(camera);
+  const values = regions.values.slice();
+  for (let i = 0; i < values.length; i++) {
+    const region = values[i];
+    const entity = region.entity;
+
+    // Remove the Regions of features that were removed, like the old features of a refreshed NetworkLink
+    if (
+      entity.entityCollection === entityCollection &&
+      entityCollection.getById(entity.id) !== entity
+    ) {
+      if (regions.get(entity.id) === region) {
+        regions.remove(entity.id);
+      }
+      continue;
+    }
+
+    updateRegion(dataSource, region, cullingVolume);
+  }
+}
+
 function processScreenOverlay(
   dataSource,
   screenOverlayNode,
@@ -2853,6 +3145,7 @@ const RefreshMode = {
   INTERVAL: 0,
   EXPIRE: 1,
   STOP: 2,
+  REGION: 3,
 };
 
 function cleanupString(s) {
@@ -3089,13 +3382,6 @@ function processNetworkLink(dataSource, node, processingData, deferredLoading) {
           "viewRefreshMode",
           namespaces.kml,
         );
-        if (viewRefreshMode === "onRegion") {
-          oneTimeWarning(
-            "kml-refrehMode-onRegion",
-            "KML - Unsupported viewRefreshMode: onRegion",
-          );
-          return;
-        }
         viewBoundScale = defaultValue(
           queryStringValue(link, "viewBoundScale", namespaces.kml),
           1.0,
@@ -3116,6 +3402,34 @@ function processNetworkLink(dataSource, node, processingData, deferredLoading) {
           href.setQueryParameters(queryToObject(cleanupString(httpQuery)));
         }
 
+        if (viewRefreshMode === "onRegion") {
+          if (dataSource._regions.contains(networkEntity.id)) {
+            // The link is loaded by update whenever its Region becomes active
+            const now = JulianDate.now();
+            const networkLinkInfo = {
+              id: createGuid(),
+              href: href,
+              cookie: {},
+              lastUpdated: now,
+              updating: false,
+              entity: networkEntity,
+              viewBoundScale: viewBoundScale,
+              needsUpdate: false,
+              cameraUpdateTime: now,
+              refreshMode: RefreshMode.REGION,
+              time: 0,
+              minRefreshPeriod: 0,
+              active: false,
+            };
+            dataSource._networkLinks.set(networkLinkInfo.id, networkLinkInfo);
+            return;
+          }
+          oneTimeWarning(
+            "kml-refrehMode-onRegion",
+            "KML - A NetworkLink with viewRefreshMode=onRegion requires a Region, so it is loaded once",
+          );
+        }
+
         const ellipsoid = dataSource._ellipsoid;
         processNetworkLinkQueryString(
           href,
@@ -3150,6 +3464,8 @@ function processNetworkLink(dataSource, node, processingData, deferredLoading) {
           }
           entities.resumeEvents();
 
+          processNetworkLinkControl(rootElement, networkEntity);
+
           // Add network links to a list if we need they will need to be updated
           const refreshMode = queryStringValue(
             link,
@@ -3206,6 +3522,7 @@ function processNetworkLink(dataSource, node, processingData, deferredLoading) {
                 0,
               );
             }
+            networkLinkInfo.minRefreshPeriod = minRefreshPeriod;
 
             if (refreshMode === "onInterval") {
               if (hasNetworkLinkControl) {
@@ -3272,6 +3589,169 @@ function processNetworkLink(dataSource, node, processingData, deferredLoading) {
   }
 }
 
+function processNetworkLinkControl(rootElement, networkEntity) {
+  const networkLinkControl = queryFirstNode(
+    rootElement,
+    "NetworkLinkControl",
+    namespaces.kml,
+  );
+  if (!defined(networkLinkControl)) {
+    return;
+  }
+
+  const linkName = queryStringValue(
+    networkLinkControl,
+    "linkName",
+    namespaces.kml,
+  );
+  if (defined(linkName)) {
+    networkEntity.name = linkName;
+  }
+
+  const linkSnippet = queryStringValue(
+    networkLinkControl,
+    "linkSnippet",
+    namespaces.kml,
+  );
+  if (defined(linkSnippet)) {
+    networkEntity.kml.snippet = linkSnippet;
+  }
+}
+
+function removeEntityAndChildren(entityCollection, entity) {
+  entityCollection.remove(entity);
+  const children = entity._children.slice();
+  for (let i = 0; i < children.length; ++i) {
+    removeEntityAndChildren(entityCollection, children[i]);
+  }
+}
+
+function getElementChildren(node) {
+  const result = [];
+  const childNodes = node.childNodes;
+  for (let i = 0; i < childNodes.length; i++) {
+    const child = childNodes[i];
+    if (child.nodeType === 1) {
+      result.push(child);
+    }
+  }
+  return result;
+}
+
+function processChange(dataSource, entity, node) {
+  const kmlData = entity.kml;
+  const children = getElementChildren(node);
+  for (let i = 0; i < children.length; i++) {
+    const child = children[i];
+    const value = child.textContent.trim();
+    switch (child.localName) {
+      case "name":
+        entity.name = value;
+        break;
+      case "visibility":
+        entity.show = value === "1" || /^true$/i.test(value);
+        break;
+      case "Snippet":
+        kmlData.snippet = value;
+        break;
+      case "address":
+        kmlData.address = value;
+        break;
+      case "phoneNumber":
+        kmlData.phoneNumber = value;
+        break;
+      default:
+        oneTimeWarning(
+          `kml-update-change-${child.localName}`,
+          `KML - Changing ${child.localName} with an Update is unsupported`,
+        );
+    }
+  }
+}
+
+function processUpdate(dataSource, networkLinkControl, processingData) {
+  const updateNode = queryFirstNode(
+    networkLinkControl,
+    "Update",
+    namespaces.kml,
+  );
+  if (!defined(updateNode)) {
+    return undefined;
+  }
+
+  // The ids of the entities of a file loaded by a NetworkLink are prefixed with the NetworkLink entity id
+  let context = processingData.context;
+  const targetHref = queryStringValue(updateNode, "targetHref", namespaces.kml);
+  if (defined(targetHref)) {
+    const key = processingData.sourceResource
+      .getDerivedResource({
+        url: targetHref,
+      })
+      .getUrlComponent();
+    const documentContexts = dataSource._documentContexts;
+    if (documentContexts.hasOwnProperty(key)) {
+      context = documentContexts[key];
+    }
+  }
+
+  const entityCollection = dataSource._entityCollection;
+  function getTarget(node) {
+    const targetId = queryStringAttribute(node, "targetId");
+    const entity = defined(targetId)
+      ? entityCollection.getById(
+          defined(context) ? context + targetId : targetId,
+        )
+      : undefined;
+    if (!defined(entity)) {
+      oneTimeWarning(
+        "kml-update-targetId",
+        "KML - Update targetId does not match a loaded feature",
+      );
+    }
+    return entity;
+  }
+
+  const deferredLoading = new KmlDataSource._DeferredLoading(dataSource);
+  entityCollection.suspendEvents();
+
+  const operations = getElementChildren(updateNode);
+  for (let i = 0; i < operations.length; i++) {
+    const operation = operations[i];
+    const operationName = operation.localName;
+    if (
+      operationName !== "Create" &&
+      operationName !== "Delete" &&
+      operationName !== "Change"
+    ) {
+      continue;
+    }
+
+    const nodes = getElementChildren(operation);
+    for (let j = 0; j < nodes.length; j++) {
+      const node = nodes[j];
+      const target = getTarget(node);
+      if (!defined(target)) {
+        continue;
+      }
+
+      if (operationName === "Create") {
+        // Add the features to the target Document or Folder
+        const newProcessingData = clone(processingData);
+        newProcessingData.parentEntity = target;
+        processDocument(dataSource, node, newProcessingData, deferredLoading);
+      } else if (operationName === "Delete") {
+        target.parent = undefined;
+        removeEntityAndChildren(entityCollection, target);
+      } else {
+        processChange(dataSource, target, node);
+      }
+    }
+  }
+
+  entityCollection.resumeEvents();
+  return deferredLoading.wait();
+}
+
 function processFeatureNode(dataSource, node, processingData, deferredLoading) {
   const featureProcessor = featureTypes[node.localName];
   if (defined(featureProcessor)) {
@@ -3312,6 +3792,9 @@ function loadKml(
     dataSource._name = name;
   }
 
+  // Remember the context of the file for the Updates of NetworkLinkControls
+  dataSource._documentContexts[sourceResource.getUrlComponent()] = context;
+
   const deferredLoading = new KmlDataSource._DeferredLoading(dataSource);
   const styleCollection = new EntityCollection(dataSource);
   return Promise.all(
@@ -3340,19 +3823,38 @@ function loadKml(
       parentEntity: undefined,
       entityCollection: entityCollection,
       styleCollection: styleCollection,
+      schemas: processSchemas(kml),
       sourceResource: sourceResource,
       uriResolver: uriResolver,
       context: context,
       screenOverlayContainer: screenOverlayContainer,
     };
 
-    entityCollection.suspendEvents();
-    processFeatureNode(dataSource, element, processingData, deferredLoading);
-    entityCollection.resumeEvents();
+    // Files that only update features loaded from other files have no features
+    const networkLinkControl = queryFirstNode(
+      kml.documentElement,
+      "NetworkLinkControl",
+      namespaces.kml,
+    );
+    if (
+      !defined(networkLinkControl) ||
+      defined(featureTypes[element.localName])
+    ) {
+      entityCollection.suspendEvents();
+      processFeatureNode(dataSource, element, processingData, deferredLoading);
+      entityCollection.resumeEvents();
+    }
 
-    return deferredLoading.wait().then(function () {
-      return kml.documentElement;
-    });
+    return deferredLoading
+      .wait()
+      .then(function () {
+        if (defined(networkLinkControl)) {
+          return processUpdate(dataSource, networkLinkControl, processingData);
+        }
+      })
+      .then(function () {
+        return kml.documentElement;
+      });
   });
 }
 
@@ -3609,6 +4111,8 @@ function KmlDataSource(options) {
   this._entityCollection = new EntityCollection(this);
   this._name = undefined;
   this._isLoading = false;
+  this._regions = new AssociativeArray();
+  this._documentContexts = {};
   this._pinBuilder = new PinBuilder();
   this._networkLinks = new AssociativeArray();
   this._entityCluster = new EntityCluster();
@@ -3623,6 +4127,8 @@ function KmlDataSource(options) {
   /**
    * 此 {@link Camera} 的位置和方向将用于填充进行网络请求时的各种摄像机参数。
    * 摄像机的移动将决定何时触发 NetworkLink 刷新，如果 <code>viewRefreshMode</code> 为 <code>onStop</code>。
+   * 与 {@link KmlDataSource#canvas} 一起，它还用于根据 <code>Region</code> 在屏幕上的像素大小显示和隐藏要素，
+   * 以及加载 <code>viewRefreshMode</code> 为 <code>onRegion</code> 的 NetworkLink。
    *
    * @type {Camera | undefined}
    */
@@ -3966,17 +4472,6 @@ function getNetworkLinkUpdateCallback(
 
     let minRefreshPeriod = 0;
     if (hasNetworkLinkControl) {
-      if (
-        defined(queryFirstNode(networkLinkControl, "Update", namespaces.kml))
-      ) {
-        oneTimeWarning(
-          "kml-networkLinkControl-update",
-          "KML - NetworkLinkControl updates aren't supported.",
-        );
-        networkLink.updating = false;
-        networkLinks.remove(networkLink.id);
-        return;
-      }
       networkLink.cookie = queryToObject(
         defaultValue(
           queryStringValue(networkLinkControl, "cookie", namespaces.kml),
@@ -3992,6 +4487,7 @@ function getNetworkLinkUpdateCallback(
         0,
       );
     }
+    networkLink.minRefreshPeriod = minRefreshPeriod;
 
     const now = JulianDate.now();
     const refreshMode = networkLink.refreshMode;
@@ -4070,6 +4566,8 @@ function getNetworkLinkUpdateCallback(
     }
     entityCollection.resumeEvents();
 
+    processNetworkLinkControl(rootElement, networkLinkEntity);
+
     // No refresh information remove it, otherwise update lastUpdate time
     if (remove) {
       networkLinks.remove(networkLink.id);
@@ -4113,7 +4611,7 @@ const entitiesToIgnore = new AssociativeArray();
 
 KmlDataSource.prototype.update = function (time) {
   const networkLinks = this._networkLinks;
-  if (networkLinks.length === 0) {
+  if (networkLinks.length === 0 && this._regions.length === 0) {
     return true;
   }
 
@@ -4157,6 +4655,10 @@ KmlDataSource.prototype.update = function (time) {
     cameraViewUpdate = true;
   }
 
+  if (cameraViewUpdate) {
+    updateRegions(this);
+  }
+
   const newNetworkLinks = new AssociativeArray();
   let changed = false;
   networkLinks.values.forEach(function (networkLink) {
@@ -4191,6 +4693,22 @@ KmlDataSource.prototype.update = function (time) {
         ) {
           doUpdate = true;
         }
+      } else if (networkLink.refreshMode === RefreshMode.REGION) {
+        // Load the link each time its Region becomes active
+        const region = that._regions.get(entity.id);
+        const active = defined(region) && region.active;
+        doUpdate = active && !networkLink.active;
+        networkLink.active = active;
+      }
+
+      // The server may limit how often the link is refreshed
+      if (
+        doUpdate &&
+        JulianDate.secondsDifference(now, networkLink.lastUpdated) <
+          defaultValue(networkLink.minRefreshPeriod, 0)
+      ) {
+        doUpdate = false;
+        networkLink.active = false;
       }
 
       if (doUpdate) {
@@ -4310,9 +4828,10 @@ function KmlFeatureData() {
 
   /**
    * 获取扩展数据，解析成 JSON 对象。
-   * 当前只支持 <code>Data</code> 属性。
-   * <code>SchemaData</code> 和自定义数据将被忽略。
-   * @type {string}
+   * 支持 <code>Data</code> 和 <code>SchemaData</code> 元素，<code>SimpleData</code> 的值会根据同一文件中
+   * <code>Schema</code> 的 <code>SimpleField</code> 类型转换为数字或布尔值。这些值也会添加到实体的
+   * <code>properties</code> 中。自定义数据将被忽略。
+   * @type {object}
    */
   this.extendedData = undefined;
 }
@@ -46,6 +46,7 @@ function createArticulationStagePropertyBag(value) {
  * @property {PropertyBag | Object<string, number>} [articulations] 一个对象，其中键由一个关节名称、一个空格和一个阶段名称组成，值是数值属性。
  * @property {Property | ClippingPlaneCollection} [clippingPlanes] 一个属性，指定用于选择性禁用模型渲染的 {@link ClippingPlaneCollection}。
  * @property {Property | CustomShader} [customShader] 一个属性，指定应用于该模型的 {@link CustomShader}。
+ * @property {Property | boolean} [instanced=false] 一个布尔属性，指定是否将该模型与使用相同 URI 的其他实例化模型合并为一次实例化绘制。
  */
 
 
@@ -114,6 +115,8 @@ function ModelGraphics(options) {
   this._clippingPlanesSubscription = undefined;
   this._customShader = undefined;
   this._customShaderSubscription = undefined;
+  this._instanced = undefined;
+  this._instancedSubscription = undefined;
 
   this.merge(defaultValue(options, defaultValue.EMPTY_OBJECT));
 }
@@ -328,6 +331,22 @@ Object.defineProperties(ModelGraphics.prototype, {
    * @type {Property|undefined}
    */
   customShader: createPropertyDescriptor("customShader"),
+
+  /**
+   * 获取或设置布尔属性，指定是否将此模型与所有使用相同 URI 的实例化模型合并为一个使用
+   * GPU 实例化绘制的 {@link Model}。这适用于成千上万个使用相同模型的实体，例如车队。
+   * <p>
+   * 每个实例的位置、方向、缩放、颜色和可见性每帧都会更新。实例化模型不支持
+   * <code>heightReference</code>、<code>minimumPixelSize</code>、<code>maximumScale</code>、
+   * 轮廓、<code>nodeTransformations</code>、<code>articulations</code>、<code>clippingPlanes</code>
+   * 和 <code>customShader</code>；<code>color</code> 总是与模型颜色相乘，并且其他模型属性使用
+   * 默认值。
+   * </p>
+   * @memberof ModelGraphics.prototype
+   * @type {Property|undefined}
+   * @default false
+   */
+  instanced: createPropertyDescriptor("instanced"),
 });
 
 
@@ -364,6 +383,7 @@ ModelGraphics.prototype.clone = function (result) {
   result.articulations = this.articulations;
   result.clippingPlanes = this.clippingPlanes;
   result.customShader = this.customShader;
+  result.instanced = this.instanced;
   return result;
 };
 
@@ -438,6 +458,7 @@ ModelGraphics.prototype.merge = function (source) {
     source.clippingPlanes,
   );
   this.customShader = defaultValue(this.customShader, source.customShader);
+  this.instanced = defaultValue(this.instanced, source.instanced);
 
   const sourceNodeTransformations = source.nodeTransformations;
   if (defined(sourceNodeTransformations)) {
@@ -16,6 +16,7 @@ import HeightReference, {
   isHeightReferenceClamp,
 } from "../Scene/HeightReference.js";
 import Model from "../Scene/Model/Model.js";
+import ModelInstances from "../Scene/Model/ModelInstances.js";
 import ModelAnimationLoop from "../Scene/ModelAnimationLoop.js";
 import ShadowMode from "../Scene/ShadowMode.js";
 import BoundingSphereState from "./BoundingSphereState.js";
@@ -35,6 +36,7 @@ const defaultColor = Color.WHITE;
 const defaultColorBlendMode = ColorBlendMode.HIGHLIGHT;
 const defaultColorBlendAmount = 0.5;
 const defaultImageBasedLightingFactor = new Cartesian2(1.0, 1.0);
+const defaultInstanced = false;
 
 const modelMatrixScratch = new Matrix4();
 const nodeMatrixScratch = new Matrix4();
@@ -69,6 +71,10 @@ function ModelVisualizer(scene, entityCollection) {
   this._modelHash = {};
   this._entitiesToVisualize = new AssociativeArray();
 
+  // Entities with instanced models are batched by the URL of their model
+  this._instancedBatches = {};
+  this._instanceHash = {};
+
   this._onCollectionChanged(entityCollection, entityCollection.values, [], []);
 }
 
@@ -118,6 +124,149 @@ async function createModelPrimitive(
   }
 }
 
+async function createInstancedModelPrimitive(visualizer, batch) {
+  batch.loading = true;
+
+  try {
+    const model = await Model.fromGltfAsync({
+      url: batch.resource,
+      incrementallyLoadTextures: batch.incrementallyLoadTextures,
+      scene: visualizer._scene,
+      instances: batch.instances,
+    });
+
+    if (
+      visualizer.isDestroyed() ||
+      visualizer._instancedBatches[batch.url] !== batch
+    ) {
+      model.destroy();
+      return;
+    }
+
+    visualizer._primitives.add(model);
+    batch.model = model;
+    model.errorEvent.addEventListener((error) => {
+      console.log(error);
+
+      if (error.name !== "TextureError" && model.incrementallyLoadTextures) {
+        batch.loadFailed = true;
+      }
+    });
+  } catch (error) {
+    console.log(error);
+    batch.loadFailed = true;
+  }
+
+  batch.loading = false;
+}
+
+function updateInstance(visualizer, entity, modelGraphics, time) {
+  const modelHash = visualizer._modelHash;
+  if (defined(modelHash[entity.id])) {
+    // The entity was drawn with its own model before it was instanced
+    visualizer._primitives.removeAndDestroy(
+      modelHash[entity.id].modelPrimitive,
+    );
+    delete modelHash[entity.id];
+  }
+
+  const instanceHash = visualizer._instanceHash;
+  const resource = Resource.createIfNeeded(
+    Property.getValueOrUndefined(modelGraphics._uri, time),
+  );
+  if (!defined(resource)) {
+    delete instanceHash[entity.id];
+    return;
+  }
+
+  const batches = visualizer._instancedBatches;
+  let batch = batches[resource.url];
+  if (!defined(batch)) {
+    batch = {
+      url: resource.url,
+      resource: resource,
+      incrementallyLoadTextures: Property.getValueOrDefault(
+        modelGraphics._incrementallyLoadTextures,
+        time,
+        defaultIncrementallyLoadTextures,
+      ),
+      instances: new ModelInstances(),
+      count: 0,
+      model: undefined,
+      loading: false,
+      loadFailed: false,
+    };
+    batches[resource.url] = batch;
+  }
+
+  const instances = batch.instances;
+  const index = batch.count++;
+  if (index >= instances.length) {
+    // Grow geometrically; the length is trimmed after all entities are updated
+    instances.length = Math.max(index + 1, 2 * instances.length);
+  }
+
+  let modelMatrix;
+  const show =
+    entity.isShowing &&
+    entity.isAvailable(time) &&
+    Property.getValueOrDefault(modelGraphics._show, time, true);
+  if (show) {
+    modelMatrix = entity.computeModelMatrix(time, modelMatrixScratch);
+  }
+  if (defined(modelMatrix)) {
+    const scale = Property.getValueOrDefault(
+      modelGraphics._scale,
+      time,
+      defaultScale,
+    );
+    Matrix4.multiplyByUniformScale(modelMatrix, scale, modelMatrix);
+  }
+
+  const color = Property.getValueOrDefault(
+    modelGraphics._color,
+    time,
+    defaultColor,
+    scratchColor,
+  );
+  instances.setInstance(index, entity, modelMatrix, color);
+
+  let instanceData = instanceHash[entity.id];
+  if (!defined(instanceData)) {
+    instanceData = instanceHash[entity.id] = {
+      batch: undefined,
+      index: 0,
+    };
+  }
+  instanceData.batch = batch;
+  instanceData.index = index;
+}
+
+function updateInstancedBatches(visualizer) {
+  const batches = visualizer._instancedBatches;
+  for (const url in batches) {
+    if (!batches.hasOwnProperty(url)) {
+      continue;
+    }
+
+    const batch = batches[url];
+    if (batch.count === 0) {
+      if (defined(batch.model)) {
+        visualizer._primitives.removeAndDestroy(batch.model);
+      }
+      delete batches[url];
+      continue;
+    }
+
+    batch.instances.length = batch.count;
+    batch.count = 0;
+
+    if (!defined(batch.model) && !batch.loading && !batch.loadFailed) {
+      createInstancedModelPrimitive(visualizer, batch);
+    }
+  }
+}
+
 /**
  * 更新此可视化器创建的模型，以匹配其在给定时间的实体对应物。
  *
@@ -140,6 +289,18 @@ ModelVisualizer.prototype.update = function (time) {
     const entity = entities[i];
     const modelGraphics = entity._model;
 
+    if (
+      Property.getValueOrDefault(
+        modelGraphics._instanced,
+        time,
+        defaultInstanced,
+      )
+    ) {
+      updateInstance(this, entity, modelGraphics, time);
+      continue;
+    }
+    delete this._instanceHash[entity.id];
+
     let resource;
     let modelData = modelHash[entity.id];
     let show =
@@ -380,6 +541,8 @@ ModelVisualizer.prototype.update = function (time) {
     }
   }
 
+  updateInstancedBatches(this);
+
   return true;
 };
 
@@ -407,6 +570,15 @@ ModelVisualizer.prototype.destroy = function () {
   for (let i = entities.length - 1; i > -1; i--) {
     removeModel(this, entities[i], modelHash, primitives);
   }
+
+  const batches = this._instancedBatches;
+  for (const url in batches) {
+    if (batches.hasOwnProperty(url) && defined(batches[url].model)) {
+      primitives.removeAndDestroy(batches[url].model);
+    }
+  }
+  this._instancedBatches = {};
+
   return destroyObject(this);
 };
 
@@ -434,6 +606,11 @@ ModelVisualizer.prototype.getBoundingSphere = function (entity, result) {
   }
   //>>includeEnd('debug');
 
+  const instanceData = this._instanceHash[entity.id];
+  if (defined(instanceData)) {
+    return getInstanceBoundingSphere(instanceData, result);
+  }
+
   const modelData = this._modelHash[entity.id];
   if (!defined(modelData)) {
     return BoundingSphereState.FAILED;
@@ -484,6 +661,26 @@ ModelVisualizer.prototype.getBoundingSphere = function (entity, result) {
   return BoundingSphereState.DONE;
 };
 
+function getInstanceBoundingSphere(instanceData, result) {
+  const batch = instanceData.batch;
+  if (batch.loadFailed) {
+    return BoundingSphereState.FAILED;
+  }
+
+  const model = batch.model;
+  if (!defined(model) || !model.ready) {
+    return BoundingSphereState.PENDING;
+  }
+
+  const boundingSphere = batch.instances.computeBoundingSphere(
+    instanceData.index,
+    result,
+  );
+  return defined(boundingSphere)
+    ? BoundingSphereState.DONE
+    : BoundingSphereState.PENDING;
+}
+
 /**
  * @private
  */
@@ -530,6 +727,7 @@ function removeModel(visualizer, entity, modelHash, primitives) {
     primitives.removeAndDestroy(modelData.modelPrimitive);
     delete modelHash[entity.id];
   }
+  delete visualizer._instanceHash[entity.id];
 }
 
 function clearNodeTransformationsArticulationsScratch(entity, modelHash) {
@@ -0,0 +1,713 @@
+import buildModuleUrl from "../Core/buildModuleUrl.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import clone from "../Core/clone.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import getExtensionFromUri from "../Core/getExtensionFromUri.js";
+import getFilenameFromUri from "../Core/getFilenameFromUri.js";
+import getStringFromTypedArray from "../Core/getStringFromTypedArray.js";
+import CesiumMath from "../Core/Math.js";
+import oneTimeWarning from "../Core/oneTimeWarning.js";
+import Resource from "../Core/Resource.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import WebMercatorProjection from "../Core/WebMercatorProjection.js";
+import * as zip from "@zip.js/zip.js/lib/zip-no-worker.js";
+import DataSource from "./DataSource.js";
+import GeoJsonDataSource from "./GeoJsonDataSource.js";
+
+// Shape types from the ESRI Shapefile Technical Description. The Z and M variants
+// are the base type plus 10 and 20 respectively.
+const ShapeType = {
+  NULL: 0,
+  POINT: 1,
+  POLYLINE: 3,
+  POLYGON: 5,
+  MULTIPOINT: 8,
+};
+
+// dBASE language driver IDs and the encodings they stand for, used when there is no .cpg file
+const languageDriverEncodings = {
+  0x03: "windows-1252",
+  0x13: "shift_jis",
+  0x26: "ibm866",
+  0x4d: "gbk",
+  0x4e: "euc-kr",
+  0x4f: "big5",
+  0x57: "windows-1252",
+  0x58: "windows-1252",
+  0x59: "windows-1252",
+  0x64: "ibm866",
+  0x7a: "gbk",
+  0xc8: "windows-1250",
+  0xc9: "windows-1251",
+  0xca: "windows-1254",
+  0xcb: "windows-1253",
+};
+
+const codePageEncodings = {
+  932: "shift_jis",
+  936: "gbk",
+  949: "euc-kr",
+  950: "big5",
+  65001: "utf-8",
+};
+
+/**
+ * @typedef {object} ShapefileDataSource.LoadOptions
+ *
+ * <code>load</code> 方法的初始化选项。除 <code>encoding</code> 之外，其余选项与 {@link GeoJsonDataSource.LoadOptions} 相同。
+ *
+ * @property {string} [sourceUri] 用于解析相对链接的 URL 的覆盖。
+ * @property {string} [encoding] DBF 文件中文本的编码，例如 <code>"utf-8"</code> 或 <code>"gbk"</code>。如果未定义，则使用 .cpg 文件或 DBF 头中的代码页；如果两者都没有，则使用 UTF-8。
+ * @property {GeoJsonDataSource.describe} [describe=GeoJsonDataSource.defaultDescribeProperty] 返回一个属性对象（或仅是字符串）的函数。
+ * @property {number} [markerSize=GeoJsonDataSource.markerSize] 每个点创建的地图图钉的默认大小（以像素为单位）。
+ * @property {string} [markerSymbol=GeoJsonDataSource.markerSymbol] 每个点创建的地图图钉的默认符号。
+ * @property {Color} [markerColor=GeoJsonDataSource.markerColor] 每个点创建的地图图钉的默认颜色。
+ * @property {Color} [stroke=GeoJsonDataSource.stroke] 折线和多边形轮廓的默认颜色。
+ * @property {number} [strokeWidth=GeoJsonDataSource.strokeWidth] 折线和多边形轮廓的默认宽度。
+ * @property {Color} [fill=GeoJsonDataSource.fill] 多边形内部的默认颜色。
+ * @property {boolean} [clampToGround=GeoJsonDataSource.clampToGround] 如果希望几何特征（多边形或线串）被固定在地面上则为 true。
+ * @property {Credit|string} [credit] 数据源的信用，在画布上显示。
+ */
+
+/**
+ * @typedef {object} ShapefileDataSource.Files
+ *
+ * 组成 Shapefile 的各个文件。每个文件可以是 URL、{@link Resource} 或文件内容。
+ *
+ * @property {Resource|string|ArrayBuffer} shp 包含几何形状的 .shp 文件。
+ * @property {Resource|string|ArrayBuffer} [shx] 包含记录偏移量的 .shx 索引文件。
+ * @property {Resource|string|ArrayBuffer} [dbf] 包含属性的 .dbf 文件。
+ * @property {Resource|string|ArrayBuffer} [prj] 包含坐标系 WKT 的 .prj 文件。
+ * @property {Resource|string|ArrayBuffer} [cpg] 包含 .dbf 编码的 .cpg 文件。
+ */
+
+/**
+ * 一个 {@link DataSource}，处理 ESRI Shapefile 数据。
+ * <p>
+ * 支持点、多点、折线和多边形，以及它们的 Z 和 M 变体；Z 值用作高度，M 值被忽略。多部件折线和带有多个外环的多边形分别
+ * 创建多个实体。.dbf 文件中的属性成为实体的 <code>properties</code>。如果有 .prj 文件，则将坐标从其坐标系转换为 WGS84；
+ * 支持地理坐标系和 Web Mercator（EPSG:3857）。
+ * </p>
+ * <p>
+ * Shapefile 可以从 .shp 文件的 URL 加载，此时从同一位置请求同名的 .shx、.dbf、.prj 和 .cpg 文件；也可以从包含一个或多个
+ * Shapefile 的 zip 文件加载，或者从分别指定每个文件的 {@link ShapefileDataSource.Files} 对象加载。
+ * 实体的样式与 {@link GeoJsonDataSource} 相同。
+ * </p>
+ *
+ * @alias ShapefileDataSource
+ * @constructor
+ * @extends GeoJsonDataSource
+ *
+ * @param {string} [name] 此数据源的名称。如果未定义，将从 Shapefile 的文件名派生名称。
+ *
+ * @example
+ * const viewer = new Cesium.Viewer("cesiumContainer");
+ * viewer.dataSources.add(
+ *   Cesium.ShapefileDataSource.load("../../SampleData/roads.zip", {
+ *     stroke: Cesium.Color.ORANGE,
+ *     strokeWidth: 2,
+ *     clampToGround: true,
+ *   }),
+ * );
+ */
+function ShapefileDataSource(name) {
+  GeoJsonDataSource.call(this, name);
+}
+
+if (defined(Object.create)) {
+  ShapefileDataSource.prototype = Object.create(GeoJsonDataSource.prototype);
+  ShapefileDataSource.prototype.constructor = ShapefileDataSource;
+}
+
+/**
+ * 创建一个 Promise，用于加载提供的 Shapefile 数据的新实例。
+ *
+ * @param {Resource|string|Blob|ShapefileDataSource.Files} data .shp 或 .zip 文件的 URL、zip 文件的 Blob，或者组成 Shapefile 的文件。
+ * @param {ShapefileDataSource.LoadOptions} [options] 一个对象，用于指定配置选项。
+ *
+ * @returns {Promise<ShapefileDataSource>} 一个 Promise，当数据加载完成时将被解析。
+ */
+ShapefileDataSource.load = function (data, options) {
+  return new ShapefileDataSource().load(data, options);
+};
+
+/**
+ * 异步加载提供的 Shapefile 数据，替换任何现有数据。
+ *
+ * @param {Resource|string|Blob|ShapefileDataSource.Files} data .shp 或 .zip 文件的 URL、zip 文件的 Blob，或者组成 Shapefile 的文件。
+ * @param {ShapefileDataSource.LoadOptions} [options] 一个对象，用于指定配置选项。
+ *
+ * @returns {Promise<ShapefileDataSource>} 一个 Promise，当 Shapefile 加载完成时将被解析。
+ */
+ShapefileDataSource.prototype.load = function (data, options) {
+  return preload(this, data, options, true);
+};
+
+/**
+ * 异步加载提供的 Shapefile 数据，而不替换任何现有数据。
+ *
+ * @param {Resource|string|Blob|ShapefileDataSource.Files} data .shp 或 .zip 文件的 URL、zip 文件的 Blob，或者组成 Shapefile 的文件。
+ * @param {ShapefileDataSource.LoadOptions} [options] 一个对象，用于指定配置选项。
+ *
+ * @returns {Promise<ShapefileDataSource>} 一个 Promise，当 Shapefile 加载完成时将被解析。
+ */
+ShapefileDataSource.prototype.process = function (data, options) {
+  return preload(this, data, options, false);
+};
+
+function preload(that, data, options, clear) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(data)) {
+    throw new DeveloperError("data is required.");
+  }
+  if (
+    typeof data === "object" &&
+    !(data instanceof Resource) &&
+    !(typeof Blob !== "undefined" && data instanceof Blob) &&
+    !defined(data.shp)
+  ) {
+    throw new DeveloperError("data.shp is required.");
+  }
+  //>>includeEnd('debug');
+
+  DataSource.setLoading(that, true);
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  let sourceUri = options.sourceUri;
+  let promise;
+  if (typeof data === "string" || data instanceof Resource) {
+    const resource = Resource.createIfNeeded(data);
+    sourceUri = defaultValue(sourceUri, resource.getUrlComponent());
+    addResourceCredits(that, resource);
+
+    if (getExtensionFromUri(resource.url).toLowerCase() === "zip") {
+      promise = resource.fetchBlob().then(loadZip);
+    } else {
+      promise = loadFiles(getSiblingFiles(resource));
+    }
+  } else if (typeof Blob !== "undefined" && data instanceof Blob) {
+    promise = loadZip(data);
+  } else {
+    if (typeof data.shp === "string" || data.shp instanceof Resource) {
+      const resource = Resource.createIfNeeded(data.shp);
+      sourceUri = defaultValue(sourceUri, resource.getUrlComponent());
+      addResourceCredits(that, resource);
+    }
+    promise = loadFiles(data);
+  }
+
+  const geoJsonOptions = clone(options);
+  geoJsonOptions.sourceUri = sourceUri;
+
+  return Promise.resolve(promise)
+    .then(function (layers) {
+      return createGeoJson(layers, options.encoding);
+    })
+    .catch(function (error) {
+      DataSource.setLoading(that, false);
+      that._error.raiseEvent(that, error);
+      throw error;
+    })
+    .then(function (geoJson) {
+      const load = clear
+        ? GeoJsonDataSource.prototype.load
+        : GeoJsonDataSource.prototype.process;
+      return load.call(that, geoJson, geoJsonOptions);
+    });
+}
+
+function addResourceCredits(that, resource) {
+  const credits = resource.credits;
+  if (defined(credits)) {
+    const resourceCredits = that._resourceCredits;
+    for (let i = 0; i < credits.length; i++) {
+      resourceCredits.push(credits[i]);
+    }
+  }
+}
+
+function getSiblingFiles(resource) {
+  const filename = getFilenameFromUri(resource.url);
+  const basename = filename.replace(/\.shp$/i, "");
+  return {
+    shp: resource,
+    shx: resource.getDerivedResource({ url: `${basename}.shx` }),
+    dbf: resource.getDerivedResource({ url: `${basename}.dbf` }),
+    prj: resource.getDerivedResource({ url: `${basename}.prj` }),
+    cpg: resource.getDerivedResource({ url: `${basename}.cpg` }),
+  };
+}
+
+function loadFile(file, required) {
+  if (!defined(file)) {
+    return Promise.resolve(undefined);
+  }
+  if (file instanceof ArrayBuffer) {
+    return Promise.resolve(new Uint8Array(file));
+  }
+
+  const promise = Resource.createIfNeeded(file)
+    .fetchArrayBuffer()
+    .then(function (arrayBuffer) {
+      return new Uint8Array(arrayBuffer);
+    });
+  if (required) {
+    return promise;
+  }
+
+  // Only the .shp file is required, so the others may not exist on the server
+  return promise.catch(function () {
+    return undefined;
+  });
+}
+
+function loadFiles(files) {
+  return Promise.all([
+    loadFile(files.shp, true),
+    loadFile(files.shx, false),
+    loadFile(files.dbf, false),
+    loadFile(files.prj, false),
+    loadFile(files.cpg, false),
+  ]).then(function (contents) {
+    return {
+      shp: contents[0],
+      shx: contents[1],
+      dbf: contents[2],
+      prj: contents[3],
+      cpg: contents[4],
+    };
+  });
+}
+
+function loadZip(blob) {
+  const zWorkerUrl = buildModuleUrl("ThirdParty/Workers/z-worker-pako.js");
+  zip.configure({
+    workerScripts: {
+      deflate: [zWorkerUrl, "./pako_deflate.min.js"],
+      inflate: [zWorkerUrl, "./pako_inflate.min.js"],
+    },
+  });
+
+  const reader = new zip.ZipReader(new zip.BlobReader(blob));
+  return Promise.resolve(reader.getEntries()).then(function (entries) {
+    // Group the files by their path without the extension so that an archive
+    // may contain several shapefiles
+    const layers = {};
+    const promises = [];
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const match = /^(.*)\.(shp|shx|dbf|prj|cpg)$/i.exec(entry.filename);
+      if (entry.directory || !defined(match)) {
+        continue;
+      }
+
+      const name = match[1].toLowerCase();
+      const layer = defaultValue(layers[name], {});
+      layers[name] = layer;
+      promises.push(readZipEntry(entry, layer, match[2].toLowerCase()));
+    }
+
+    return Promise.all(promises).then(function () {
+      return Promise.resolve(reader.close()).then(function () {
+        const result = [];
+        for (const name in layers) {
+          if (layers.hasOwnProperty(name) && defined(layers[name].shp)) {
+            result.push(layers[name]);
+          }
+        }
+        if (result.length === 0) {
+          throw new RuntimeError("The zip file does not contain a .shp file.");
+        }
+        return result;
+      });
+    });
+  });
+}
+
+function readZipEntry(entry, layer, extension) {
+  return Promise.resolve(entry.getData(new zip.Uint8ArrayWriter())).then(
+    function (contents) {
+      layer[extension] = contents;
+    },
+  );
+}
+
+function createGeoJson(layers, encoding) {
+  if (!Array.isArray(layers)) {
+    layers = [layers];
+  }
+
+  const features = [];
+  for (let i = 0; i < layers.length; i++) {
+    const layer = layers[i];
+    const unproject = createUnprojectFunction(
+      defined(layer.prj) ? getStringFromTypedArray(layer.prj) : undefined,
+    );
+    const geometries = parseShp(layer.shp, layer.shx, unproject);
+
+    let records;
+    if (defined(layer.dbf)) {
+      const cpg = defined(layer.cpg)
+        ? getStringFromTypedArray(layer.cpg)
+        : undefined;
+      records = parseDbf(layer.dbf, encoding, cpg);
+    }
+
+    for (let j = 0; j < geometries.length; j++) {
+      // Deleted records stay in the .dbf file to keep it in step with the .shp file
+      if (defined(records) && records[j] === null) {
+        continue;
+      }
+      features.push({
+        type: "Feature",
+        geometry: geometries[j],
+        properties: defined(records) ? defaultValue(records[j], {}) : {},
+      });
+    }
+  }
+
+  return {
+    type: "FeatureCollection",
+    features: features,
+  };
+}
+
+const scratchCartesian = new Cartesian3();
+const scratchCartographic = new Cartographic();
+const webMercatorProjection = new WebMercatorProjection();
+
+function unprojectWebMercator(x, y) {
+  scratchCartesian.x = x;
+  scratchCartesian.y = y;
+  const cartographic = webMercatorProjection.unproject(
+    scratchCartesian,
+    scratchCartographic,
+  );
+  return [
+    CesiumMath.toDegrees(cartographic.longitude),
+    CesiumMath.toDegrees(cartographic.latitude),
+  ];
+}
+
+function unprojectGeographic(x, y) {
+  return [x, y];
+}
+
+function createUnprojectFunction(wkt) {
+  if (!defined(wkt) || !/^\s*PROJCS/i.test(wkt)) {
+    // No .prj or a geographic coordinate system, which is taken to be WGS84
+    return unprojectGeographic;
+  }
+
+  if (
+    /Mercator_Auxiliary_Sphere|Pseudo[_ -]Mercator|Popular_Visualisation|Web_Mercator|"EPSG",\s*"?(3857|3785|900913|102100|102113)"?\]/i.test(
+      wkt,
+    )
+  ) {
+    return unprojectWebMercator;
+  }
+
+  throw new RuntimeError(`Unsupported shapefile projection: ${wkt}`);
+}
+
+function parseShp(shp, shx, unproject) {
+  const view = new DataView(shp.buffer, shp.byteOffset, shp.byteLength);
+  if (shp.byteLength < 100 || view.getInt32(0) !== 9994) {
+    throw new RuntimeError("Invalid .shp file.");
+  }
+
+  // Read the records through the index if there is one, otherwise walk the file
+  const offsets = [];
+  if (defined(shx) && shx.byteLength >= 100) {
+    const shxView = new DataView(shx.buffer, shx.byteOffset, shx.byteLength);
+    const count = Math.floor((shx.byteLength - 100) / 8);
+    for (let i = 0; i < count; i++) {
+      offsets.push(shxView.getInt32(100 + i * 8) * 2);
+    }
+  } else {
+    const fileLength = Math.min(view.getInt32(24) * 2, shp.byteLength);
+    let offset = 100;
+    while (offset + 8 <= fileLength) {
+      offsets.push(offset);
+      offset += 8 + view.getInt32(offset + 4) * 2;
+    }
+  }
+
+  const geometries = new Array(offsets.length);
+  for (let i = 0; i < offsets.length; i++) {
+    geometries[i] = parseShape(view, offsets[i] + 8, unproject);
+  }
+  return geometries;
+}
+
+function readPoints(view, offset, count, zOffset, unproject) {
+  const points = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const point = unproject(
+      view.getFloat64(offset + i * 16, true),
+      view.getFloat64(offset + i * 16 + 8, true),
+    );
+    if (defined(zOffset)) {
+      point.push(view.getFloat64(zOffset + i * 8, true));
+    }
+    points[i] = point;
+  }
+  return points;
+}
+
+function parseShape(view, offset, unproject) {
+  const shapeType = view.getInt32(offset, true);
+  if (shapeType === ShapeType.NULL) {
+    return null;
+  }
+
+  // PointZ, PolyLineZ, PolygonZ and MultiPointZ are 11, 13, 15 and 18. The M variants,
+  // 21 to 28, only add measures, which are ignored.
+  const baseType = shapeType % 10;
+  const hasZ = shapeType > 10 && shapeType < 20;
+
+  if (baseType === ShapeType.POINT) {
+    return {
+      type: "Point",
+      coordinates: readPoints(
+        view,
+        offset + 4,
+        1,
+        hasZ ? offset + 20 : undefined,
+        unproject,
+      )[0],
+    };
+  }
+
+  if (baseType === ShapeType.MULTIPOINT) {
+    const count = view.getInt32(offset + 36, true);
+    const pointsOffset = offset + 40;
+    return {
+      type: "MultiPoint",
+      coordinates: readPoints(
+        view,
+        pointsOffset,
+        count,
+        hasZ ? pointsOffset + count * 16 + 16 : undefined,
+        unproject,
+      ),
+    };
+  }
+
+  if (baseType !== ShapeType.POLYLINE && baseType !== ShapeType.POLYGON) {
+    oneTimeWarning(
+      "shapefile-shape-type",
+      `Unsupported shapefile shape type: ${shapeType}`,
+    );
+    return null;
+  }
+
+  const partCount = view.getInt32(offset + 36, true);
+  const pointCount = view.getInt32(offset + 40, true);
+  const partsOffset = offset + 44;
+  const pointsOffset = partsOffset + partCount * 4;
+  const zOffset = hasZ ? pointsOffset + pointCount * 16 + 16 : undefined;
+
+  const parts = new Array(partCount);
+  for (let i = 0; i < partCount; i++) {
+    const start = view.getInt32(partsOffset + i * 4, true);
+    const end =
+      i < partCount - 1
+        ? view.getInt32(partsOffset + (i + 1) * 4, true)
+        : pointCount;
+    parts[i] = readPoints(
+      view,
+      pointsOffset + start * 16,
+      end - start,
+      defined(zOffset) ? zOffset + start * 8 : undefined,
+      unproject,
+    );
+  }
+
+  if (baseType === ShapeType.POLYLINE) {
+    return parts.length === 1
+      ? { type: "LineString", coordinates: parts[0] }
+      : { type: "MultiLineString", coordinates: parts };
+  }
+
+  const polygons = createPolygons(parts);
+  return polygons.length === 1
+    ? { type: "Polygon", coordinates: polygons[0] }
+    : { type: "MultiPolygon", coordinates: polygons };
+}
+
+function isClockwise(ring) {
+  let sum = 0.0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[i][0] - ring[j][0]) * (ring[i][1] + ring[j][1]);
+  }
+  return sum > 0.0;
+}
+
+function ringContains(ring, point) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if (
+      a[1] > point[1] !== b[1] > point[1] &&
+      point[0] < ((b[0] - a[0]) * (point[1] - a[1])) / (b[1] - a[1]) + a[0]
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Outer rings are clockwise and holes are counterclockwise. Each hole belongs to the
+// outer ring that contains it.
+function createPolygons(rings) {
+  const polygons = [];
+  const holes = [];
+  for (let i = 0; i < rings.length; i++) {
+    if (isClockwise(rings[i])) {
+      polygons.push([rings[i]]);
+    } else {
+      holes.push(rings[i]);
+    }
+  }
+
+  for (let i = 0; i < holes.length; i++) {
+    const hole = holes[i];
+    let polygon;
+    for (let j = 0; j < polygons.length; j++) {
+      if (ringContains(polygons[j][0], hole[0])) {
+        polygon = polygons[j];
+        break;
+      }
+    }
+
+    if (defined(polygon)) {
+      polygon.push(hole);
+    } else {
+      // A counterclockwise ring outside every outer ring is an outer ring with the wrong winding
+      polygons.push([hole]);
+    }
+  }
+  return polygons;
+}
+
+function getEncodingFromCodePage(cpg) {
+  const label = cpg.trim().toLowerCase();
+  const match = /^(?:ansi\s*|cp|windows-?)?(\d+)$/.exec(label);
+  if (!defined(match)) {
+    return label;
+  }
+
+  const codePage = match[1];
+  if (defined(codePageEncodings[codePage])) {
+    return codePageEncodings[codePage];
+  }
+  if (/^8859\d+$/.test(codePage)) {
+    return `iso-8859-${codePage.substring(4)}`;
+  }
+  if (codePage === "874" || /^125\d$/.test(codePage)) {
+    return `windows-${codePage}`;
+  }
+  return `ibm${codePage}`;
+}
+
+function createTextDecoder(encoding) {
+  try {
+    return new TextDecoder(encoding);
+  } catch (e) {
+    oneTimeWarning(
+      `shapefile-encoding-${encoding}`,
+      `Unsupported .dbf encoding ${encoding}, using UTF-8 instead.`,
+    );
+    return new TextDecoder("utf-8");
+  }
+}
+
+function parseDbf(dbf, encoding, cpg) {
+  const view = new DataView(dbf.buffer, dbf.byteOffset, dbf.byteLength);
+  const recordCount = view.getUint32(4, true);
+  const headerLength = view.getUint16(8, true);
+  const recordLength = view.getUint16(10, true);
+
+  if (!defined(encoding)) {
+    encoding = defined(cpg)
+      ? getEncodingFromCodePage(cpg)
+      : defaultValue(languageDriverEncodings[dbf[29]], "utf-8");
+  }
+  const decoder = createTextDecoder(encoding);
+
+  const fields = [];
+  let fieldOffset = 1;
+  for (let offset = 32; offset + 32 <= headerLength; offset += 32) {
+    if (dbf[offset] === 0x0d) {
+      break;
+    }
+    let nameLength = 0;
+    while (nameLength < 11 && dbf[offset + nameLength] !== 0) {
+      nameLength++;
+    }
+    const length = dbf[offset + 16];
+    fields.push({
+      name: decoder.decode(dbf.subarray(offset, offset + nameLength)),
+      type: String.fromCharCode(dbf[offset + 11]),
+      offset: fieldOffset,
+      length: length,
+    });
+    fieldOffset += length;
+  }
+
+  const records = new Array(recordCount);
+  for (let i = 0; i < recordCount; i++) {
+    const recordOffset = headerLength + i * recordLength;
+    if (recordOffset + recordLength > dbf.byteLength) {
+      break;
+    }
+
+    // Deleted records are marked with an asterisk
+    if (dbf[recordOffset] === 0x2a) {
+      records[i] = null;
+      continue;
+    }
+
+    const properties = {};
+    for (let j = 0; j < fields.length; j++) {
+      const field = fields[j];
+      const start = recordOffset + field.offset;
+      const text = decoder
+        .decode(dbf.subarray(start, start + field.length))
+        .trim();
+      properties[field.name] = parseDbfValue(field.type, text);
+    }
+    records[i] = properties;
+  }
+  return records;
+}
+
+function parseDbfValue(type, text) {
+  switch (type) {
+    case "N":
+    case "F":
+      if (text.length === 0 || /^\*+$/.test(text)) {
+        return null;
+      }
+      return parseFloat(text);
+    case "L":
+      if (/^[YT]$/i.test(text)) {
+        return true;
+      }
+      return /^[NF]$/i.test(text) ? false : null;
+    case "D":
+      if (!/^\d{8}$/.test(text)) {
+        return null;
+      }
+      return `${text.substring(0, 4)}-${text.substring(4, 6)}-${text.substring(6, 8)}`;
+    default:
+      return text;
+  }
+}
+
+export default ShapefileDataSource;
@@ -0,0 +1,1201 @@
+import ArcType from "../Core/ArcType.js";
+import BoundingRectangle from "../Core/BoundingRectangle.js";
+import Cartesian2 from "../Core/Cartesian2.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import ClockRange from "../Core/ClockRange.js";
+import ClockStep from "../Core/ClockStep.js";
+import Color from "../Core/Color.js";
+import CornerType from "../Core/CornerType.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import DistanceDisplayCondition from "../Core/DistanceDisplayCondition.js";
+import ExtrapolationType from "../Core/ExtrapolationType.js";
+import HermitePolynomialApproximation from "../Core/HermitePolynomialApproximation.js";
+import Iso8601 from "../Core/Iso8601.js";
+import JulianDate from "../Core/JulianDate.js";
+import LagrangePolynomialApproximation from "../Core/LagrangePolynomialApproximation.js";
+import LinearApproximation from "../Core/LinearApproximation.js";
+import NearFarScalar from "../Core/NearFarScalar.js";
+import Quaternion from "../Core/Quaternion.js";
+import Rectangle from "../Core/Rectangle.js";
+import ReferenceFrame from "../Core/ReferenceFrame.js";
+import Resource from "../Core/Resource.js";
+import TimeInterval from "../Core/TimeInterval.js";
+import ClassificationType from "../Scene/ClassificationType.js";
+import ColorBlendMode from "../Scene/ColorBlendMode.js";
+import HeightReference from "../Scene/HeightReference.js";
+import HorizontalOrigin from "../Scene/HorizontalOrigin.js";
+import LabelStyle from "../Scene/LabelStyle.js";
+import ShadowMode from "../Scene/ShadowMode.js";
+import VerticalOrigin from "../Scene/VerticalOrigin.js";
+import CheckerboardMaterialProperty from "./CheckerboardMaterialProperty.js";
+import ColorMaterialProperty from "./ColorMaterialProperty.js";
+import CompositeMaterialProperty from "./CompositeMaterialProperty.js";
+import CompositePositionProperty from "./CompositePositionProperty.js";
+import CompositeProperty from "./CompositeProperty.js";
+import ConstantPositionProperty from "./ConstantPositionProperty.js";
+import GridMaterialProperty from "./GridMaterialProperty.js";
+import ImageMaterialProperty from "./ImageMaterialProperty.js";
+import NodeTransformationProperty from "./NodeTransformationProperty.js";
+import PolylineArrowMaterialProperty from "./PolylineArrowMaterialProperty.js";
+import PolylineDashMaterialProperty from "./PolylineDashMaterialProperty.js";
+import PolylineGlowMaterialProperty from "./PolylineGlowMaterialProperty.js";
+import PolylineOutlineMaterialProperty from "./PolylineOutlineMaterialProperty.js";
+import PositionPropertyArray from "./PositionPropertyArray.js";
+import PropertyArray from "./PropertyArray.js";
+import ReferenceProperty from "./ReferenceProperty.js";
+import SampledPositionProperty from "./SampledPositionProperty.js";
+import SampledProperty from "./SampledProperty.js";
+import StripeMaterialProperty from "./StripeMaterialProperty.js";
+import StripeOrientation from "./StripeOrientation.js";
+import TimeIntervalCollectionPositionProperty from "./TimeIntervalCollectionPositionProperty.js";
+import TimeIntervalCollectionProperty from "./TimeIntervalCollectionProperty.js";
+import VelocityOrientationProperty from "./VelocityOrientationProperty.js";
+import VelocityVectorProperty from "./VelocityVectorProperty.js";
+
+//
+// Describes how values of a given type are written to CZML. The key is the
+// name used when the value has to be wrapped in an object (time intervals and
+// samples), and simple types can be written as bare values when constant.
+//
+function createType(key, pack, simple) {
+  return {
+    key: key,
+    pack: pack,
+    simple: defaultValue(simple, false),
+  };
+}
+
+function identity(value) {
+  return value;
+}
+
+function createPackFunction(type) {
+  return function (value) {
+    return type.pack(value, []);
+  };
+}
+
+function getEnumName(enumeration, value) {
+  for (const name in enumeration) {
+    if (enumeration.hasOwnProperty(name) && enumeration[name] === value) {
+      return name;
+    }
+  }
+  return undefined;
+}
+
+function createEnumType(key, enumeration) {
+  return createType(
+    key,
+    function (value) {
+      return getEnumName(enumeration, value);
+    },
+    true,
+  );
+}
+
+function getUri(value) {
+  if (value instanceof Resource) {
+    return value.url;
+  }
+  if (
+    typeof HTMLCanvasElement !== "undefined" &&
+    value instanceof HTMLCanvasElement
+  ) {
+    return value.toDataURL();
+  }
+  if (typeof HTMLImageElement !== "undefined" && value instanceof Image) {
+    return value.src;
+  }
+  return value;
+}
+
+function packCartesianArray(positions) {
+  return Cartesian3.packArray(positions, []);
+}
+
+function packHierarchyPositions(hierarchy) {
+  const positions = Array.isArray(hierarchy) ? hierarchy : hierarchy.positions;
+  return packCartesianArray(defaultValue(positions, []));
+}
+
+// CZML only supports a single level of holes
+function packHierarchyHoles(hierarchy) {
+  const holes = Array.isArray(hierarchy)
+    ? []
+    : defaultValue(hierarchy.holes, []);
+  return holes.map(function (hole) {
+    return packCartesianArray(Array.isArray(hole) ? hole : hole.positions);
+  });
+}
+
+const Types = {
+  Boolean: createType("boolean", identity, true),
+  Number: createType("number", identity, true),
+  String: createType("string", identity, true),
+  Rotation: createType("number", identity, true),
+  Array: createType("array", identity),
+  Object: createType("object", identity),
+  BoundingRectangle: createType(
+    "boundingRectangle",
+    createPackFunction(BoundingRectangle),
+  ),
+  Cartesian2: createType("cartesian2", createPackFunction(Cartesian2)),
+  Cartesian3: createType("cartesian", createPackFunction(Cartesian3)),
+  UnitCartesian3: createType("unitCartesian", createPackFunction(Cartesian3)),
+  Color: createType("rgbaf", createPackFunction(Color)),
+  DistanceDisplayCondition: createType(
+    "distanceDisplayCondition",
+    createPackFunction(DistanceDisplayCondition),
+  ),
+  JulianDate: createType("date", function (value) {
+    return JulianDate.toIso8601(value);
+  }),
+  NearFarScalar: createType("nearFarScalar", createPackFunction(NearFarScalar)),
+  Quaternion: createType("unitQuaternion", createPackFunction(Quaternion)),
+  Rectangle: createType("wsen", createPackFunction(Rectangle)),
+  Uri: createType("uri", getUri, true),
+  PositionArray: createType("cartesian", packCartesianArray),
+  PositionArrayOfArrays: createType("cartesian", function (value) {
+    return value.map(packCartesianArray);
+  }),
+  HierarchyPositions: createType("cartesian", packHierarchyPositions),
+  HierarchyHoles: createType("cartesian", packHierarchyHoles),
+  Shape: createType("cartesian2", function (value) {
+    return Cartesian2.packArray(value, []);
+  }),
+  ArcType: createEnumType("arcType", ArcType),
+  ClassificationType: createEnumType("classificationType", ClassificationType),
+  ColorBlendMode: createEnumType("colorBlendMode", ColorBlendMode),
+  CornerType: createEnumType("cornerType", CornerType),
+  HeightReference: createEnumType("heightReference", HeightReference),
+  HorizontalOrigin: createEnumType("horizontalOrigin", HorizontalOrigin),
+  LabelStyle: createEnumType("labelStyle", LabelStyle),
+  ShadowMode: createEnumType("shadowMode", ShadowMode),
+  StripeOrientation: createEnumType("stripeOrientation", StripeOrientation),
+  VerticalOrigin: createEnumType("verticalOrigin", VerticalOrigin),
+};
+
+// Marker for properties that hold a MaterialProperty
+const MATERIAL = {};
+
+const graphicsProperties = {
+  billboard: [
+    ["show", Types.Boolean],
+    ["image", Types.Uri],
+    ["scale", Types.Number],
+    ["pixelOffset", Types.Cartesian2],
+    ["eyeOffset", Types.Cartesian3],
+    ["horizontalOrigin", Types.HorizontalOrigin],
+    ["verticalOrigin", Types.VerticalOrigin],
+    ["heightReference", Types.HeightReference],
+    ["color", Types.Color],
+    ["rotation", Types.Rotation],
+    ["alignedAxis", Types.UnitCartesian3],
+    ["sizeInMeters", Types.Boolean],
+    ["width", Types.Number],
+    ["height", Types.Number],
+    ["scaleByDistance", Types.NearFarScalar],
+    ["translucencyByDistance", Types.NearFarScalar],
+    ["pixelOffsetScaleByDistance", Types.NearFarScalar],
+    ["imageSubRegion", Types.BoundingRectangle],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+    ["disableDepthTestDistance", Types.Number],
+  ],
+  box: [
+    ["show", Types.Boolean],
+    ["dimensions", Types.Cartesian3],
+    ["heightReference", Types.HeightReference],
+    ["fill", Types.Boolean],
+    ["material", MATERIAL],
+    ["outline", Types.Boolean],
+    ["outlineColor", Types.Color],
+    ["outlineWidth", Types.Number],
+    ["shadows", Types.ShadowMode],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+  ],
+  corridor: [
+    ["show", Types.Boolean],
+    ["positions", Types.PositionArray],
+    ["width", Types.Number],
+    ["height", Types.Number],
+    ["heightReference", Types.HeightReference],
+    ["extrudedHeight", Types.Number],
+    ["extrudedHeightReference", Types.HeightReference],
+    ["cornerType", Types.CornerType],
+    ["granularity", Types.Number],
+    ["fill", Types.Boolean],
+    ["material", MATERIAL],
+    ["outline", Types.Boolean],
+    ["outlineColor", Types.Color],
+    ["outlineWidth", Types.Number],
+    ["shadows", Types.ShadowMode],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+    ["classificationType", Types.ClassificationType],
+    ["zIndex", Types.Number],
+  ],
+  cylinder: [
+    ["show", Types.Boolean],
+    ["length", Types.Number],
+    ["topRadius", Types.Number],
+    ["bottomRadius", Types.Number],
+    ["heightReference", Types.HeightReference],
+    ["fill", Types.Boolean],
+    ["material", MATERIAL],
+    ["outline", Types.Boolean],
+    ["outlineColor", Types.Color],
+    ["outlineWidth", Types.Number],
+    ["numberOfVerticalLines", Types.Number],
+    ["slices", Types.Number],
+    ["shadows", Types.ShadowMode],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+  ],
+  ellipse: [
+    ["show", Types.Boolean],
+    ["semiMajorAxis", Types.Number],
+    ["semiMinorAxis", Types.Number],
+    ["height", Types.Number],
+    ["heightReference", Types.HeightReference],
+    ["extrudedHeight", Types.Number],
+    ["extrudedHeightReference", Types.HeightReference],
+    ["rotation", Types.Rotation],
+    ["stRotation", Types.Rotation],
+    ["granularity", Types.Number],
+    ["fill", Types.Boolean],
+    ["material", MATERIAL],
+    ["outline", Types.Boolean],
+    ["outlineColor", Types.Color],
+    ["outlineWidth", Types.Number],
+    ["numberOfVerticalLines", Types.Number],
+    ["shadows", Types.ShadowMode],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+    ["classificationType", Types.ClassificationType],
+    ["zIndex", Types.Number],
+  ],
+  ellipsoid: [
+    ["show", Types.Boolean],
+    ["radii", Types.Cartesian3],
+    ["innerRadii", Types.Cartesian3],
+    ["minimumClock", Types.Number],
+    ["maximumClock", Types.Number],
+    ["minimumCone", Types.Number],
+    ["maximumCone", Types.Number],
+    ["heightReference", Types.HeightReference],
+    ["fill", Types.Boolean],
+    ["material", MATERIAL],
+    ["outline", Types.Boolean],
+    ["outlineColor", Types.Color],
+    ["outlineWidth", Types.Number],
+    ["stackPartitions", Types.Number],
+    ["slicePartitions", Types.Number],
+    ["subdivisions", Types.Number],
+    ["shadows", Types.ShadowMode],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+  ],
+  label: [
+    ["show", Types.Boolean],
+    ["text", Types.String],
+    ["font", Types.String],
+    ["style", Types.LabelStyle],
+    ["scale", Types.Number],
+    ["showBackground", Types.Boolean],
+    ["backgroundColor", Types.Color],
+    ["backgroundPadding", Types.Cartesian2],
+    ["pixelOffset", Types.Cartesian2],
+    ["eyeOffset", Types.Cartesian3],
+    ["horizontalOrigin", Types.HorizontalOrigin],
+    ["verticalOrigin", Types.VerticalOrigin],
+    ["heightReference", Types.HeightReference],
+    ["fillColor", Types.Color],
+    ["outlineColor", Types.Color],
+    ["outlineWidth", Types.Number],
+    ["translucencyByDistance", Types.NearFarScalar],
+    ["pixelOffsetScaleByDistance", Types.NearFarScalar],
+    ["scaleByDistance", Types.NearFarScalar],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+    ["disableDepthTestDistance", Types.Number],
+  ],
+  model: [
+    ["show", Types.Boolean],
+    ["uri", Types.Uri],
+    ["scale", Types.Number],
+    ["minimumPixelSize", Types.Number],
+    ["maximumScale", Types.Number],
+    ["incrementallyLoadTextures", Types.Boolean],
+    ["runAnimations", Types.Boolean],
+    ["clampAnimations", Types.Boolean],
+    ["shadows", Types.ShadowMode],
+    ["heightReference", Types.HeightReference],
+    ["silhouetteColor", Types.Color],
+    ["silhouetteSize", Types.Number],
+    ["color", Types.Color],
+    ["colorBlendMode", Types.ColorBlendMode],
+    ["colorBlendAmount", Types.Number],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+  ],
+  path: [
+    ["show", Types.Boolean],
+    ["leadTime", Types.Number],
+    ["trailTime", Types.Number],
+    ["width", Types.Number],
+    ["resolution", Types.Number],
+    ["material", MATERIAL],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+  ],
+  point: [
+    ["show", Types.Boolean],
+    ["pixelSize", Types.Number],
+    ["heightReference", Types.HeightReference],
+    ["color", Types.Color],
+    ["outlineColor", Types.Color],
+    ["outlineWidth", Types.Number],
+    ["scaleByDistance", Types.NearFarScalar],
+    ["translucencyByDistance", Types.NearFarScalar],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+    ["disableDepthTestDistance", Types.Number],
+  ],
+  polygon: [
+    ["show", Types.Boolean],
+    ["height", Types.Number],
+    ["heightReference", Types.HeightReference],
+    ["extrudedHeight", Types.Number],
+    ["extrudedHeightReference", Types.HeightReference],
+    ["stRotation", Types.Rotation],
+    ["granularity", Types.Number],
+    ["fill", Types.Boolean],
+    ["material", MATERIAL],
+    ["outline", Types.Boolean],
+    ["outlineColor", Types.Color],
+    ["outlineWidth", Types.Number],
+    ["perPositionHeight", Types.Boolean],
+    ["closeTop", Types.Boolean],
+    ["closeBottom", Types.Boolean],
+    ["arcType", Types.ArcType],
+    ["shadows", Types.ShadowMode],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+    ["classificationType", Types.ClassificationType],
+    ["zIndex", Types.Number],
+  ],
+  polyline: [
+    ["show", Types.Boolean],
+    ["positions", Types.PositionArray],
+    ["width", Types.Number],
+    ["granularity", Types.Number],
+    ["material", MATERIAL],
+    ["depthFailMaterial", MATERIAL],
+    ["arcType", Types.ArcType],
+    ["clampToGround", Types.Boolean],
+    ["shadows", Types.ShadowMode],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+    ["classificationType", Types.ClassificationType],
+    ["zIndex", Types.Number],
+  ],
+  polylineVolume: [
+    ["show", Types.Boolean],
+    ["positions", Types.PositionArray],
+    ["shape", Types.Shape],
+    ["cornerType", Types.CornerType],
+    ["fill", Types.Boolean],
+    ["material", MATERIAL],
+    ["outline", Types.Boolean],
+    ["outlineColor", Types.Color],
+    ["outlineWidth", Types.Number],
+    ["granularity", Types.Number],
+    ["shadows", Types.ShadowMode],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+  ],
+  rectangle: [
+    ["show", Types.Boolean],
+    ["coordinates", Types.Rectangle],
+    ["height", Types.Number],
+    ["heightReference", Types.HeightReference],
+    ["extrudedHeight", Types.Number],
+    ["extrudedHeightReference", Types.HeightReference],
+    ["rotation", Types.Rotation],
+    ["stRotation", Types.Rotation],
+    ["granularity", Types.Number],
+    ["fill", Types.Boolean],
+    ["material", MATERIAL],
+    ["outline", Types.Boolean],
+    ["outlineColor", Types.Color],
+    ["outlineWidth", Types.Number],
+    ["shadows", Types.ShadowMode],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+    ["classificationType", Types.ClassificationType],
+    ["zIndex", Types.Number],
+  ],
+  tileset: [
+    ["show", Types.Boolean],
+    ["uri", Types.Uri],
+    ["maximumScreenSpaceError", Types.Number],
+  ],
+  wall: [
+    ["show", Types.Boolean],
+    ["positions", Types.PositionArray],
+    ["minimumHeights", Types.Array],
+    ["maximumHeights", Types.Array],
+    ["granularity", Types.Number],
+    ["fill", Types.Boolean],
+    ["material", MATERIAL],
+    ["outline", Types.Boolean],
+    ["outlineColor", Types.Color],
+    ["outlineWidth", Types.Number],
+    ["shadows", Types.ShadowMode],
+    ["distanceDisplayCondition", Types.DistanceDisplayCondition],
+  ],
+};
+
+const interpolationAlgorithmNames = [
+  [HermitePolynomialApproximation, "HERMITE"],
+  [LagrangePolynomialApproximation, "LAGRANGE"],
+  [LinearApproximation, "LINEAR"],
+];
+
+/**
+ * 将 EntityCollection 序列化为 CZML 文档，即一个 CZML 数据包数组，第一个数据包是文档数据包。
+ * 使用 {@link CzmlDataSource.load} 加载结果将重新创建相同的实体。
+ * {@link SampledProperty} 和 {@link SampledPositionProperty} 将连同其插值和外推设置一起写为样本，
+ * {@link TimeIntervalCollectionProperty} 和 {@link CompositeProperty} 写为时间间隔，
+ * {@link ReferenceProperty} 写为引用。CZML 无法表示的属性（例如 {@link CallbackProperty}）
+ * 将在 options.time 处求值并写为常量值。
+ *
+ * @function exportCzml
+ *
+ * @param {object} options 具有以下属性的对象：
+ * @param {EntityCollection} options.entities 要导出为 CZML 的 EntityCollection。
+ * @param {string} [options.name] 写入文档数据包的名称。
+ * @param {DataSourceClock} [options.clock] 写入文档数据包的时钟设置。
+ * @param {JulianDate} [options.time=entities.computeAvailability().start] 用于获取 CZML 中无法表示的动态属性值的时间。
+ *
+ * @returns {object[]} CZML 数据包数组，可以使用 <code>JSON.stringify</code> 进行序列化。
+ *
+ * @example
+ * const czml = Cesium.exportCzml({
+ *   entities: dataSource.entities,
+ *   name: dataSource.name,
+ *   clock: dataSource.clock,
+ * });
+ *
+ * // Reloading the document recreates the same scene
+ * const copy = await Cesium.CzmlDataSource.load(czml);
+ */
+function exportCzml(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const entities = options.entities;
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(entities)) {
+    throw new DeveloperError("entities is required.");
+  }
+  //>>includeEnd('debug');
+
+  const state = {
+    time: defined(options.time)
+      ? options.time
+      : entities.computeAvailability().start,
+  };
+
+  const packets = [createDocumentPacket(options.name, options.clock)];
+
+  const values = entities.values;
+  for (let i = 0; i < values.length; ++i) {
+    packets.push(createEntityPacket(state, values[i]));
+  }
+
+  return packets;
+}
+
+function createDocumentPacket(name, clock) {
+  const packet = {
+    id: "document",
+    version: "1.0",
+  };
+
+  if (defined(name)) {
+    packet.name = name;
+  }
+
+  if (defined(clock)) {
+    packet.clock = {
+      interval: `${JulianDate.toIso8601(clock.startTime)}/${JulianDate.toIso8601(
+        clock.stopTime,
+      )}`,
+      currentTime: JulianDate.toIso8601(clock.currentTime),
+      multiplier: clock.multiplier,
+      range: getEnumName(ClockRange, clock.clockRange),
+      step: getEnumName(ClockStep, clock.clockStep),
+    };
+  }
+
+  return packet;
+}
+
+function createEntityPacket(state, entity) {
+  const packet = {
+    id: entity.id,
+  };
+  state.entity = entity;
+
+  if (defined(entity.name)) {
+    packet.name = entity.name;
+  }
+
+  if (defined(entity.parent)) {
+    packet.parent = entity.parent.id;
+  }
+
+  const availability = entity.availability;
+  if (defined(availability) && availability.length > 0) {
+    const intervals = [];
+    for (let i = 0; i < availability.length; ++i) {
+      intervals.push(TimeInterval.toIso8601(availability.get(i)));
+    }
+    packet.availability = intervals.length === 1 ? intervals[0] : intervals;
+  }
+
+  setValue(
+    packet,
+    "description",
+    writeProperty(state, entity.description, Types.String),
+  );
+  setValue(packet, "position", writePositionProperty(state, entity.position));
+  setValue(
+    packet,
+    "orientation",
+    writeProperty(state, entity.orientation, Types.Quaternion),
+  );
+  setValue(
+    packet,
+    "viewFrom",
+    writeProperty(state, entity.viewFrom, Types.Cartesian3),
+  );
+  setValue(packet, "properties", writePropertyBag(state, entity.properties));
+
+  for (const graphicsName in graphicsProperties) {
+    if (graphicsProperties.hasOwnProperty(graphicsName)) {
+      const graphics = entity[graphicsName];
+      if (defined(graphics)) {
+        packet[graphicsName] = writeGraphics(state, graphicsName, graphics);
+      }
+    }
+  }
+
+  return packet;
+}
+
+function setValue(object, name, value) {
+  if (defined(value)) {
+    object[name] = value;
+  }
+}
+
+function writeGraphics(state, graphicsName, graphics) {
+  const result = {};
+  const properties = graphicsProperties[graphicsName];
+  for (let i = 0; i < properties.length; ++i) {
+    const name = properties[i][0];
+    const type = properties[i][1];
+    const property = graphics[name];
+    setValue(
+      result,
+      name,
+      type === MATERIAL
+        ? writeMaterial(state, property)
+        : writeProperty(state, property, type),
+    );
+  }
+
+  if (graphicsName === "polygon") {
+    writeHierarchy(state, graphics, result);
+  } else if (graphicsName === "model") {
+    setValue(
+      result,
+      "nodeTransformations",
+      writeNodeTransformations(state, graphics.nodeTransformations),
+    );
+    setValue(
+      result,
+      "articulations",
+      writePropertyBag(state, graphics.articulations, Types.Number),
+    );
+  }
+
+  return result;
+}
+
+function writeHierarchy(state, polygon, result) {
+  // Polygons loaded from CZML keep their positions and holes separately
+  if (defined(polygon._positions) || defined(polygon._holes)) {
+    setValue(
+      result,
+      "positions",
+      writeProperty(state, polygon._positions, Types.PositionArray),
+    );
+    setValue(
+      result,
+      "holes",
+      writeProperty(state, polygon._holes, Types.PositionArrayOfArrays),
+    );
+    return;
+  }
+
+  const hierarchy = polygon.hierarchy;
+  setValue(
+    result,
+    "positions",
+    writeProperty(state, hierarchy, Types.HierarchyPositions),
+  );
+
+  const holes = writeProperty(state, hierarchy, Types.HierarchyHoles);
+  if (
+    defined(holes) &&
+    (!defined(holes.cartesian) || holes.cartesian.length > 0)
+  ) {
+    result.holes = holes;
+  }
+}
+
+function writeNodeTransformations(state, nodeTransformations) {
+  if (!defined(nodeTransformations)) {
+    return undefined;
+  }
+
+  const result = {};
+  const names = nodeTransformations.propertyNames;
+  for (let i = 0; i < names.length; ++i) {
+    const name = names[i];
+    const nodeTransformation = nodeTransformations[name];
+    if (!defined(nodeTransformation)) {
+      continue;
+    }
+
+    const packet = {};
+    if (nodeTransformation instanceof NodeTransformationProperty) {
+      setValue(
+        packet,
+        "translation",
+        writeProperty(state, nodeTransformation.translation, Types.Cartesian3),
+      );
+      setValue(
+        packet,
+        "rotation",
+        writeProperty(state, nodeTransformation.rotation, Types.Quaternion),
+      );
+      setValue(
+        packet,
+        "scale",
+        writeProperty(state, nodeTransformation.scale, Types.Cartesian3),
+      );
+    } else {
+      const value = nodeTransformation.getValue(state.time);
+      if (!defined(value)) {
+        continue;
+      }
+      setValue(
+        packet,
+        "translation",
+        writeConstant(Types.Cartesian3, value.translation),
+      );
+      setValue(
+        packet,
+        "rotation",
+        writeConstant(Types.Quaternion, value.rotation),
+      );
+      setValue(packet, "scale", writeConstant(Types.Cartesian3, value.scale));
+    }
+    result[name] = packet;
+  }
+
+  return result;
+}
+
+function inferType(value) {
+  if (typeof value === "boolean") {
+    return Types.Boolean;
+  } else if (typeof value === "number") {
+    return Types.Number;
+  } else if (typeof value === "string") {
+    return Types.String;
+  } else if (value instanceof Color) {
+    return Types.Color;
+  } else if (value instanceof Cartesian3) {
+    return Types.Cartesian3;
+  } else if (value instanceof Cartesian2) {
+    return Types.Cartesian2;
+  } else if (value instanceof Quaternion) {
+    return Types.Quaternion;
+  } else if (value instanceof JulianDate) {
+    return Types.JulianDate;
+  } else if (value instanceof Rectangle) {
+    return Types.Rectangle;
+  } else if (value instanceof NearFarScalar) {
+    return Types.NearFarScalar;
+  } else if (value instanceof DistanceDisplayCondition) {
+    return Types.DistanceDisplayCondition;
+  } else if (value instanceof BoundingRectangle) {
+    return Types.BoundingRectangle;
+  }
+  return Types.Object;
+}
+
+function inferPropertyType(state, property) {
+  if (property instanceof SampledProperty) {
+    switch (property.type) {
+      case Number:
+        return Types.Number;
+      case Cartesian2:
+        return Types.Cartesian2;
+      case Cartesian3:
+        return Types.Cartesian3;
+      case Color:
+        return Types.Color;
+      case Quaternion:
+        return Types.Quaternion;
+      case Rectangle:
+        return Types.Rectangle;
+      case NearFarScalar:
+        return Types.NearFarScalar;
+      case DistanceDisplayCondition:
+        return Types.DistanceDisplayCondition;
+      case BoundingRectangle:
+        return Types.BoundingRectangle;
+    }
+  }
+
+  let value;
+  if (property instanceof TimeIntervalCollectionProperty) {
+    const intervals = property.intervals;
+    value = intervals.length > 0 ? intervals.get(0).data : undefined;
+  } else if (defined(property) && defined(property.getValue)) {
+    value = property.getValue(state.time);
+  }
+  return inferType(value);
+}
+
+function writePropertyBag(state, propertyBag, type) {
+  if (!defined(propertyBag)) {
+    return undefined;
+  }
+
+  const result = {};
+  const names = propertyBag.propertyNames;
+  for (let i = 0; i < names.length; ++i) {
+    const name = names[i];
+    const property = propertyBag[name];
+    setValue(
+      result,
+      name,
+      writeProperty(
+        state,
+        property,
+        defaultValue(type, inferPropertyType(state, property)),
+      ),
+    );
+  }
+
+  return names.length > 0 ? result : undefined;
+}
+
+function escapeReferenceToken(token) {
+  return token.replace(/[\\#.]/g, "\\$&");
+}
+
+function getReferenceString(referenceProperty) {
+  return `${escapeReferenceToken(referenceProperty.targetId)}#${referenceProperty.targetPropertyNames
+    .map(escapeReferenceToken)
+    .join(".")}`;
+}
+
+function getVelocityReference(state, position) {
+  if (position instanceof ReferenceProperty) {
+    return getReferenceString(position);
+  }
+  if (defined(position) && position === state.entity.position) {
+    return `${escapeReferenceToken(state.entity.id)}#position`;
+  }
+  return undefined;
+}
+
+function writeConstant(type, value) {
+  if (!defined(value)) {
+    return undefined;
+  }
+
+  const packed = type.pack(value);
+  if (!defined(packed)) {
+    return undefined;
+  }
+  if (type.simple) {
+    return packed;
+  }
+
+  const result = {};
+  result[type.key] = packed;
+  return result;
+}
+
+function wrapValue(type, value) {
+  const packed = type.pack(value);
+  if (!defined(packed)) {
+    return undefined;
+  }
+
+  const result = {};
+  result[type.key] = packed;
+  return result;
+}
+
+function addIntervals(result, written, interval) {
+  if (!defined(written)) {
+    return;
+  }
+
+  const writtenArray = Array.isArray(written) ? written : [written];
+  for (let i = 0; i < writtenArray.length; ++i) {
+    let packet = writtenArray[i];
+    if (typeof packet !== "object" || Array.isArray(packet)) {
+      continue;
+    }
+    packet = Object.assign({}, packet);
+
+    let combinedInterval = interval;
+    if (defined(packet.interval)) {
+      combinedInterval = TimeInterval.intersect(
+        interval,
+        TimeInterval.fromIso8601({
+          iso8601: packet.interval,
+        }),
+      );
+      if (combinedInterval.isEmpty) {
+        continue;
+      }
+    }
+
+    if (!combinedInterval.equals(Iso8601.MAXIMUM_INTERVAL)) {
+      packet.interval = TimeInterval.toIso8601(combinedInterval);
+    }
+    result.push(packet);
+  }
+}
+
+function writeSamples(state, sampledProperty, key) {
+  const times = sampledProperty._times;
+  const values = sampledProperty._values;
+  const packedLength = sampledProperty._packedLength;
+  if (times.length === 0) {
+    return undefined;
+  }
+
+  const epoch = times[0];
+  const samples = [];
+  for (let i = 0; i < times.length; ++i) {
+    samples.push(JulianDate.secondsDifference(times[i], epoch));
+    for (let j = 0; j < packedLength; ++j) {
+      samples.push(values[i * packedLength + j]);
+    }
+  }
+
+  const result = {
+    epoch: JulianDate.toIso8601(epoch),
+  };
+  result[key] = samples;
+
+  const interpolationAlgorithm = sampledProperty.interpolationAlgorithm;
+  if (interpolationAlgorithm !== LinearApproximation) {
+    for (let i = 0; i < interpolationAlgorithmNames.length; ++i) {
+      if (interpolationAlgorithmNames[i][0] === interpolationAlgorithm) {
+        result.interpolationAlgorithm = interpolationAlgorithmNames[i][1];
+      }
+    }
+  }
+  if (sampledProperty.interpolationDegree !== 1) {
+    result.interpolationDegree = sampledProperty.interpolationDegree;
+  }
+
+  if (sampledProperty.forwardExtrapolationType !== ExtrapolationType.NONE) {
+    result.forwardExtrapolationType = getEnumName(
+      ExtrapolationType,
+      sampledProperty.forwardExtrapolationType,
+    );
+  }
+  if (sampledProperty.forwardExtrapolationDuration !== 0) {
+    result.forwardExtrapolationDuration =
+      sampledProperty.forwardExtrapolationDuration;
+  }
+  if (sampledProperty.backwardExtrapolationType !== ExtrapolationType.NONE) {
+    result.backwardExtrapolationType = getEnumName(
+      ExtrapolationType,
+      sampledProperty.backwardExtrapolationType,
+    );
+  }
+  if (sampledProperty.backwardExtrapolationDuration !== 0) {
+    result.backwardExtrapolationDuration =
+      sampledProperty.backwardExtrapolationDuration;
+  }
+
+  return result;
+}
+
+function writePropertyArrayReferences(property) {
+  const properties = property._value;
+  if (!defined(properties) || properties.length === 0) {
+    return undefined;
+  }
+
+  const references = [];
+  for (let i = 0; i < properties.length; ++i) {
+    if (!(properties[i] instanceof ReferenceProperty)) {
+      return undefined;
+    }
+    references.push(getReferenceString(properties[i]));
+  }
+
+  return {
+    references: references,
+  };
+}
+
+function writeProperty(state, property, type) {
+  if (!defined(property)) {
+    return undefined;
+  }
+
+  let result;
+  if (property instanceof ReferenceProperty) {
+    return {
+      reference: getReferenceString(property),
+    };
+  } else if (
+    property instanceof VelocityOrientationProperty ||
+    property instanceof VelocityVectorProperty
+  ) {
+    const velocityReference = getVelocityReference(state, property.position);
+    if (defined(velocityReference)) {
+      return {
+        velocityReference: velocityReference,
+      };
+    }
+  } else if (
+    property instanceof PropertyArray ||
+    property instanceof PositionPropertyArray
+  ) {
+    result = writePropertyArrayReferences(property);
+    if (defined(result)) {
+      return result;
+    }
+  } else if (property instanceof SampledProperty) {
+    return writeSamples(state, property, type.key);
+  } else if (property instanceof TimeIntervalCollectionProperty) {
+    result = [];
+    const intervals = property.intervals;
+    for (let i = 0; i < intervals.length; ++i) {
+      const interval = intervals.get(i);
+      addIntervals(result, wrapValue(type, interval.data), interval);
+    }
+    return result;
+  } else if (property instanceof CompositeProperty) {
+    result = [];
+    const intervals = property.intervals;
+    for (let i = 0; i < intervals.length; ++i) {
+      const interval = intervals.get(i);
+      addIntervals(
+        result,
+        writeIntervalData(state, interval.data, type),
+        interval,
+      );
+    }
+    return result;
+  }
+
+  // Raw values that were assigned without being wrapped in a Property
+  const value = defined(property.getValue)
+    ? property.getValue(state.time)
+    : property;
+  return writeConstant(type, value);
+}
+
+// Values inside of intervals always need to be wrapped so the interval can be attached
+function writeIntervalData(state, property, type) {
+  const result = writeProperty(state, property, type);
+  if (defined(result) && type.simple && typeof result !== "object") {
+    return wrapValue(type, result);
+  }
+  return result;
+}
+
+function writePositionProperty(state, property) {
+  if (!defined(property)) {
+    return undefined;
+  }
+
+  let result;
+  if (property instanceof ReferenceProperty) {
+    return {
+      reference: getReferenceString(property),
+    };
+  } else if (property instanceof SampledPositionProperty) {
+    result = writeSamples(
+      state,
+      property._property,
+      property.numberOfDerivatives > 0 ? "cartesianVelocity" : "cartesian",
+    );
+  } else if (property instanceof ConstantPositionProperty) {
+    result = writeConstant(
+      Types.Cartesian3,
+      property.getValueInReferenceFrame(state.time, property.referenceFrame),
+    );
+  } else if (property instanceof TimeIntervalCollectionPositionProperty) {
+    result = [];
+    const intervals = property.intervals;
+    for (let i = 0; i < intervals.length; ++i) {
+      const interval = intervals.get(i);
+      addIntervals(
+        result,
+        writeReferenceFrame(
+          wrapValue(Types.Cartesian3, interval.data),
+          property.referenceFrame,
+        ),
+        interval,
+      );
+    }
+    return result;
+  } else if (property instanceof CompositePositionProperty) {
+    result = [];
+    const intervals = property.intervals;
+    for (let i = 0; i < intervals.length; ++i) {
+      const interval = intervals.get(i);
+      addIntervals(
+        result,
+        writePositionProperty(state, interval.data),
+        interval,
+      );
+    }
+    return result;
+  } else {
+    return writeConstant(
+      Types.Cartesian3,
+      property.getValueInReferenceFrame(state.time, ReferenceFrame.FIXED),
+    );
+  }
+
+  return writeReferenceFrame(result, property.referenceFrame);
+}
+
+function writeReferenceFrame(result, referenceFrame) {
+  if (defined(result) && referenceFrame !== ReferenceFrame.FIXED) {
+    result.referenceFrame = getEnumName(ReferenceFrame, referenceFrame);
+  }
+  return result;
+}
+
+function writeMaterialProperties(state, material, properties) {
+  const result = {};
+  for (let i = 0; i < properties.length; ++i) {
+    const name = properties[i][0];
+    setValue(
+      result,
+      name,
+      writeProperty(state, material[name], properties[i][1]),
+    );
+  }
+  return result;
+}
+
+function writeMaterial(state, material) {
+  if (!defined(material)) {
+    return undefined;
+  }
+
+  if (material instanceof CompositeMaterialProperty) {
+    const result = [];
+    const intervals = material.intervals;
+    for (let i = 0; i < intervals.length; ++i) {
+      const interval = intervals.get(i);
+      addIntervals(result, writeMaterial(state, interval.data), interval);
+    }
+    return result;
+  }
+
+  if (material instanceof ColorMaterialProperty) {
+    return {
+      solidColor: writeMaterialProperties(state, material, [
+        ["color", Types.Color],
+      ]),
+    };
+  } else if (material instanceof ImageMaterialProperty) {
+    return {
+      image: writeMaterialProperties(state, material, [
+        ["image", Types.Uri],
+        ["repeat", Types.Cartesian2],
+        ["color", Types.Color],
+        ["transparent", Types.Boolean],
+      ]),
+    };
+  } else if (material instanceof GridMaterialProperty) {
+    return {
+      grid: writeMaterialProperties(state, material, [
+        ["color", Types.Color],
+        ["cellAlpha", Types.Number],
+        ["lineCount", Types.Cartesian2],
+        ["lineThickness", Types.Cartesian2],
+        ["lineOffset", Types.Cartesian2],
+      ]),
+    };
+  } else if (material instanceof StripeMaterialProperty) {
+    return {
+      stripe: writeMaterialProperties(state, material, [
+        ["orientation", Types.StripeOrientation],
+        ["evenColor", Types.Color],
+        ["oddColor", Types.Color],
+        ["offset", Types.Number],
+        ["repeat", Types.Number],
+      ]),
+    };
+  } else if (material instanceof CheckerboardMaterialProperty) {
+    return {
+      checkerboard: writeMaterialProperties(state, material, [
+        ["evenColor", Types.Color],
+        ["oddColor", Types.Color],
+        ["repeat", Types.Cartesian2],
+      ]),
+    };
+  } else if (material instanceof PolylineOutlineMaterialProperty) {
+    return {
+      polylineOutline: writeMaterialProperties(state, material, [
+        ["color", Types.Color],
+        ["outlineColor", Types.Color],
+        ["outlineWidth", Types.Number],
+      ]),
+    };
+  } else if (material instanceof PolylineGlowMaterialProperty) {
+    return {
+      polylineGlow: writeMaterialProperties(state, material, [
+        ["color", Types.Color],
+        ["glowPower", Types.Number],
+        ["taperPower", Types.Number],
+      ]),
+    };
+  } else if (material instanceof PolylineArrowMaterialProperty) {
+    return {
+      polylineArrow: writeMaterialProperties(state, material, [
+        ["color", Types.Color],
+      ]),
+    };
+  } else if (material instanceof PolylineDashMaterialProperty) {
+    return {
+      polylineDash: writeMaterialProperties(state, material, [
+        ["color", Types.Color],
+        ["gapColor", Types.Color],
+        ["dashLength", Types.Number],
+        ["dashPattern", Types.Number],
+      ]),
+    };
+  }
+
+  // Custom materials can't be represented in CZML
+  return undefined;
+}
+
+export default exportCzml;
@@ -0,0 +1,421 @@
+import Cartographic from "../Core/Cartographic.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import CesiumMath from "../Core/Math.js";
+import PolygonHierarchy from "../Core/PolygonHierarchy.js";
+import HeightReference from "../Scene/HeightReference.js";
+import ColorMaterialProperty from "./ColorMaterialProperty.js";
+import PolylineOutlineMaterialProperty from "./PolylineOutlineMaterialProperty.js";
+
+const scratchCartographic = new Cartographic();
+const scratchColor = new Color();
+
+/**
+ * 将 EntityCollection 导出为 GeoJSON FeatureCollection。仅导出点、广告牌、标签、折线、多边形和矩形几何体。
+ * 每个实体导出为一个 Feature；如果实体具有多种几何体，则导出为 GeometryCollection。
+ * 随时间变化的属性在 options.time 处采样，{@link Entity#properties} 中的值将写入 Feature 的 properties。
+ * 如果实体的名称、描述和颜色尚未由其 properties 定义，则使用
+ * {@link https://github.com/mapbox/simplestyle-spec|simplestyle-spec} 属性写出，以便 {@link GeoJsonDataSource} 可以重新加载它们。
+ * 贴地的点和折线以及没有 perPositionHeight 的多边形将导出为二维坐标。
+ *
+ * @function exportGeoJson
+ *
+ * @param {object} options 具有以下属性的对象：
+ * @param {EntityCollection} options.entities 要导出为 GeoJSON 的 EntityCollection。
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.default] 用于将位置转换为经纬度的椭球体。
+ * @param {JulianDate} [options.time=entities.computeAvailability().start] 用于获取属性值的时间。在此时间不可用的实体将不会被导出。
+ *
+ * @returns {object} GeoJSON FeatureCollection 对象，可以使用 <code>JSON.stringify</code> 进行序列化。
+ *
+ * @example
+ * const geoJson = Cesium.exportGeoJson({
+ *   entities: viewer.entities,
+ *   time: viewer.clock.currentTime,
+ * });
+ * const blob = new Blob([JSON.stringify(geoJson)], {
+ *   type: "application/geo+json",
+ * });
+ */
+function exportGeoJson(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const entities = options.entities;
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(entities)) {
+    throw new DeveloperError("entities is required.");
+  }
+  //>>includeEnd('debug');
+
+  const time = defined(options.time)
+    ? options.time
+    : entities.computeAvailability().start;
+
+  const state = {
+    ellipsoid: defaultValue(options.ellipsoid, Ellipsoid.default),
+    time: time,
+  };
+
+  const features = [];
+  const values = entities.values;
+  for (let i = 0; i < values.length; ++i) {
+    const entity = values[i];
+    if (!entity.isAvailable(time)) {
+      continue;
+    }
+
+    const feature = createFeature(state, entity);
+    if (defined(feature)) {
+      features.push(feature);
+    }
+  }
+
+  return {
+    type: "FeatureCollection",
+    features: features,
+  };
+}
+
+function getValue(state, property, result) {
+  if (!defined(property)) {
+    return undefined;
+  }
+  return defined(property.getValue)
+    ? property.getValue(state.time, result)
+    : property;
+}
+
+function createFeature(state, entity) {
+  const properties = {};
+  const geometries = [];
+
+  createPoint(state, entity, geometries, properties);
+  createLineString(state, entity.polyline, geometries, properties);
+  createPolygon(state, entity.polygon, geometries, properties);
+  createRectangle(state, entity.rectangle, geometries, properties);
+
+  if (geometries.length === 0) {
+    return undefined;
+  }
+
+  // Like exportKml, the label text is used as the name when there is one
+  let title = entity.name;
+  if (defined(entity.label)) {
+    const text = getValue(state, entity.label.text);
+    if (defined(text) && text.length > 0) {
+      title = text;
+    }
+  }
+  if (defined(title)) {
+    properties.title = title;
+  }
+
+  const description = getValue(state, entity.description);
+  if (defined(description)) {
+    properties.description = description;
+  }
+
+  // Explicit entity properties take precedence over anything derived from the graphics
+  const bag = getValue(state, entity.properties);
+  if (defined(bag)) {
+    for (const key in bag) {
+      if (bag.hasOwnProperty(key)) {
+        properties[key] = bag[key];
+      }
+    }
+  }
+
+  return {
+    type: "Feature",
+    id: entity.id,
+    geometry:
+      geometries.length === 1
+        ? geometries[0]
+        : {
+            type: "GeometryCollection",
+            geometries: geometries,
+          },
+    properties: properties,
+  };
+}
+
+function getCoordinates(state, cartesian, clampToGround) {
+  const cartographic = state.ellipsoid.cartesianToCartographic(
+    cartesian,
+    scratchCartographic,
+  );
+  if (!defined(cartographic)) {
+    return undefined;
+  }
+
+  const coordinates = [
+    CesiumMath.toDegrees(cartographic.longitude),
+    CesiumMath.toDegrees(cartographic.latitude),
+  ];
+  if (!clampToGround) {
+    coordinates.push(cartographic.height);
+  }
+  return coordinates;
+}
+
+function getCoordinatesArray(state, cartesians, clampToGround) {
+  const result = [];
+  for (let i = 0; i < cartesians.length; ++i) {
+    const coordinates = getCoordinates(state, cartesians[i], clampToGround);
+    if (defined(coordinates)) {
+      result.push(coordinates);
+    }
+  }
+  return result;
+}
+
+function setColor(properties, colorName, opacityName, color) {
+  if (!defined(color)) {
+    return;
+  }
+
+  const opaque = Color.clone(color, scratchColor);
+  opaque.alpha = 1.0;
+  properties[colorName] = opaque.toCssHexString();
+  if (defined(opacityName)) {
+    properties[opacityName] = color.alpha;
+  }
+}
+
+function getMaterialColor(state, material) {
+  if (
+    material instanceof ColorMaterialProperty ||
+    material instanceof PolylineOutlineMaterialProperty
+  ) {
+    return getValue(state, material.color);
+  }
+  return undefined;
+}
+
+function isClampedToGround(state, heightReference) {
+  const value = getValue(state, heightReference);
+  return (
+    value === HeightReference.CLAMP_TO_GROUND ||
+    value === HeightReference.CLAMP_TO_TERRAIN
+  );
+}
+
+function createPoint(state, entity, geometries, properties) {
+  const pointGraphics = defaultValue(
+    entity.billboard,
+    defaultValue(entity.point, entity.label),
+  );
+  if (!defined(pointGraphics) || !defined(entity.position)) {
+    return;
+  }
+
+  const position = getValue(state, entity.position);
+  if (!defined(position)) {
+    return;
+  }
+
+  const coordinates = getCoordinates(
+    state,
+    position,
+    isClampedToGround(state, pointGraphics.heightReference),
+  );
+  if (!defined(coordinates)) {
+    return;
+  }
+
+  geometries.push({
+    type: "Point",
+    coordinates: coordinates,
+  });
+
+  // Labels on their own don't have a marker color
+  if (pointGraphics !== entity.label) {
+    setColor(
+      properties,
+      "marker-color",
+      undefined,
+      getValue(state, pointGraphics.color),
+    );
+  }
+}
+
+function createLineString(state, polylineGraphics, geometries, properties) {
+  if (!defined(polylineGraphics)) {
+    return;
+  }
+
+  const positions = getValue(state, polylineGraphics.positions);
+  if (!defined(positions) || positions.length < 2) {
+    return;
+  }
+
+  const clampToGround = getValue(state, polylineGraphics.clampToGround);
+  geometries.push({
+    type: "LineString",
+    coordinates: getCoordinatesArray(state, positions, clampToGround),
+  });
+
+  const width = getValue(state, polylineGraphics.width);
+  if (defined(width)) {
+    properties["stroke-width"] = width;
+  }
+  setColor(
+    properties,
+    "stroke",
+    "stroke-opacity",
+    getMaterialColor(state, polylineGraphics.material),
+  );
+}
+
+function createPolygon(state, polygonGraphics, geometries, properties) {
+  if (!defined(polygonGraphics)) {
+    return;
+  }
+
+  let hierarchy = getValue(state, polygonGraphics.hierarchy);
+  if (!defined(hierarchy)) {
+    return;
+  }
+  if (Array.isArray(hierarchy)) {
+    hierarchy = new PolygonHierarchy(hierarchy);
+  }
+
+  const perPositionHeight = getValue(state, polygonGraphics.perPositionHeight);
+  const polygons = [];
+  addPolygons(state, hierarchy, !perPositionHeight, polygons);
+  if (polygons.length === 0) {
+    return;
+  }
+
+  geometries.push(
+    polygons.length === 1
+      ? {
+          type: "Polygon",
+          coordinates: polygons[0],
+        }
+      : {
+          type: "MultiPolygon",
+          coordinates: polygons,
+        },
+  );
+
+  setPolygonStyle(state, polygonGraphics, properties);
+}
+
+function createRectangle(state, rectangleGraphics, geometries, properties) {
+  if (!defined(rectangleGraphics)) {
+    return;
+  }
+
+  const rectangle = getValue(state, rectangleGraphics.coordinates);
+  if (!defined(rectangle)) {
+    return;
+  }
+
+  const west = CesiumMath.toDegrees(rectangle.west);
+  const south = CesiumMath.toDegrees(rectangle.south);
+  const east = CesiumMath.toDegrees(rectangle.east);
+  const north = CesiumMath.toDegrees(rectangle.north);
+
+  geometries.push({
+    type: "Polygon",
+    coordinates: [
+      [
+        [west, south],
+        [east, south],
+        [east, north],
+        [west, north],
+        [west, south],
+      ],
+    ],
+  });
+
+  setPolygonStyle(state, rectangleGraphics, properties);
+}
+
+function setPolygonStyle(state, graphics, properties) {
+  setColor(
+    properties,
+    "fill",
+    "fill-opacity",
+    getMaterialColor(state, graphics.material),
+  );
+
+  if (getValue(state, graphics.outline)) {
+    setColor(
+      properties,
+      "stroke",
+      "stroke-opacity",
+      getValue(state, graphics.outlineColor),
+    );
+    const outlineWidth = getValue(state, graphics.outlineWidth);
+    if (defined(outlineWidth)) {
+      properties["stroke-width"] = outlineWidth;
+    }
+  }
+}
+
+// GeoJSON polygons only have one level of holes, so any polygons nested
+// inside of a hole are written out as additional polygons of a MultiPolygon.
+function addPolygons(state, hierarchy, clampToGround, polygons) {
+  const outer = createLinearRing(
+    state,
+    hierarchy.positions,
+    clampToGround,
+    false,
+  );
+  if (!defined(outer)) {
+    return;
+  }
+
+  const rings = [outer];
+  polygons.push(rings);
+
+  const holes = defaultValue(hierarchy.holes, []);
+  for (let i = 0; i < holes.length; ++i) {
+    const hole = holes[i];
+    const ring = createLinearRing(state, hole.positions, clampToGround, true);
+    if (defined(ring)) {
+      rings.push(ring);
+    }
+
+    const islands = defaultValue(hole.holes, []);
+    for (let j = 0; j < islands.length; ++j) {
+      addPolygons(state, islands[j], clampToGround, polygons);
+    }
+  }
+}
+
+// Creates a closed ring that follows the right-hand rule from RFC 7946,
+// counter-clockwise for exterior rings and clockwise for holes.
+function createLinearRing(state, positions, clampToGround, isHole) {
+  if (!defined(positions)) {
+    return undefined;
+  }
+
+  const ring = getCoordinatesArray(state, positions, clampToGround);
+  if (ring.length < 3) {
+    return undefined;
+  }
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    ring.push(first.slice());
+  }
+
+  let area = 0.0;
+  for (let i = 0; i < ring.length - 1; ++i) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  const isCounterClockwise = area > 0.0;
+  if (isCounterClockwise === isHole) {
+    ring.reverse();
+  }
+
+  return ring;
+}
+
+export default exportGeoJson;
@@ -353,6 +353,9 @@ function Context(canvas, options) {
   this._currentFramebuffer = undefined;
   this._maxFrameTextureUnitIndex = 0;
 
+  // The XRWebGLLayer whose framebuffer replaces the default framebuffer while a WebXR session is rendering
+  this._webXRLayer = undefined;
+
   // Vertex attribute divisor state cache. Workaround for ANGLE (also look at VertexArray.setVertexAttribDivisor)
   this._vertexAttribDivisors = [];
   this._previousDrawInstanced = false;
@@ -1148,6 +1151,9 @@ colorBufferHalfFloat: {
    */
 drawingBufferHeight: {
     get: function() {
+      if (defined(this._webXRLayer)) {
+        return this._webXRLayer.framebufferHeight;
+      }
       return this._gl.drawingBufferHeight;
     },
   },
@@ -1161,6 +1167,9 @@ drawingBufferHeight: {
 
   drawingBufferWidth: {
     get: function() {
+      if (defined(this._webXRLayer)) {
+        return this._webXRLayer.framebufferWidth;
+      }
       return this._gl.drawingBufferWidth;
     },
   },
@@ -1240,6 +1249,10 @@ if (typeof WebGLRenderingContext !== "undefined") {
   scratchBackBufferArray = [WebGLConstants.BACK];
 }
 
+function getDefaultFramebuffer(context) {
+  return defined(context._webXRLayer) ? context._webXRLayer.framebuffer : null;
+}
+
 function bindFramebuffer(context, framebuffer) {
   if (framebuffer !== context._currentFramebuffer) {
     context._currentFramebuffer = framebuffer;
@@ -1253,7 +1266,7 @@ function bindFramebuffer(context, framebuffer) {
       buffers = framebuffer._getActiveColorAttachments();
     } else {
       const gl = context._gl;
-      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, getDefaultFramebuffer(context));
     }
 
     if (context.drawBuffers) {
@@ -1454,7 +1467,7 @@ Context.prototype.endFrame = function() {
   gl.useProgram(null);
 
   this._currentFramebuffer = undefined;
-  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, getDefaultFramebuffer(this));
 
   const buffers = scratchBackBufferArray;
   if (this.drawBuffers) {
@@ -0,0 +1,841 @@
+import BoundingSphere from "../Core/BoundingSphere.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartesian4 from "../Core/Cartesian4.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import combine from "../Core/combine.js";
+import ComponentDatatype from "../Core/ComponentDatatype.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import getImagePixels from "../Core/getImagePixels.js";
+import CesiumMath from "../Core/Math.js";
+import PixelFormat from "../Core/PixelFormat.js";
+import PrimitiveType from "../Core/PrimitiveType.js";
+import Rectangle from "../Core/Rectangle.js";
+import Resource from "../Core/Resource.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import WebMercatorProjection from "../Core/WebMercatorProjection.js";
+import Buffer from "../Renderer/Buffer.js";
+import BufferUsage from "../Renderer/BufferUsage.js";
+import ComputeCommand from "../Renderer/ComputeCommand.js";
+import ContextLimits from "../Renderer/ContextLimits.js";
+import DrawCommand from "../Renderer/DrawCommand.js";
+import Pass from "../Renderer/Pass.js";
+import PixelDatatype from "../Renderer/PixelDatatype.js";
+import RenderState from "../Renderer/RenderState.js";
+import Sampler from "../Renderer/Sampler.js";
+import ShaderProgram from "../Renderer/ShaderProgram.js";
+import ShaderSource from "../Renderer/ShaderSource.js";
+import Texture from "../Renderer/Texture.js";
+import TextureMagnificationFilter from "../Renderer/TextureMagnificationFilter.js";
+import TextureMinificationFilter from "../Renderer/TextureMinificationFilter.js";
+import TextureWrap from "../Renderer/TextureWrap.js";
+import VertexArray from "../Renderer/VertexArray.js";
+import FlowFieldFS from "../Shaders/FlowFieldFS.js";
+import FlowFieldUpdateFS from "../Shaders/FlowFieldUpdateFS.js";
+import FlowFieldVS from "../Shaders/FlowFieldVS.js";
+import ViewportQuadVS from "../Shaders/ViewportQuadVS.js";
+import BlendingState from "./BlendingState.js";
+import SceneMode from "./SceneMode.js";
+
+const attributeLocations = {
+  particle: 0,
+};
+
+const viewportQuadAttributeLocations = {
+  position: 0,
+  textureCoordinates: 1,
+};
+
+/**
+ * 一个在椭球体表面上用带有拖尾的粒子可视化风场或洋流等二维矢量场的图元。粒子的移动在 GPU 上计算，
+ * 因此可以同时显示数万个粒子。适用于三维、二维和哥伦布视图。
+ * <p>
+ * 矢量场是覆盖一个 {@link Rectangle} 的规则网格，每个网格单元包含向东的速度分量 U 和向北的速度分量 V（以米/秒为单位）。
+ * 值为 <code>NaN</code> 的单元表示没有数据，粒子不会进入这些单元。
+ * </p>
+ * <p>
+ * 需要支持 WebGL 2 和浮点颜色缓冲区。使用 {@link FlowFieldPrimitive.isSupported} 检查是否支持。
+ * </p>
+ *
+ * @alias FlowFieldPrimitive
+ * @constructor
+ *
+ * @param {object} options 具有以下属性的对象：
+ * @param {Float32Array|number[]} options.u 每个网格单元向东的速度分量（以米/秒为单位），从西北角开始逐行排列。
+ * @param {Float32Array|number[]} options.v 每个网格单元向北的速度分量（以米/秒为单位），与 <code>u</code> 的排列相同。
+ * @param {number} options.width 网格的列数。
+ * @param {number} options.height 网格的行数。
+ * @param {Rectangle} [options.rectangle=Rectangle.MAX_VALUE] 网格覆盖的矩形区域（以弧度表示）。如果矩形覆盖所有经度，粒子会跨越反子午线。
+ * @param {boolean} [options.show=true] 确定是否显示图元。
+ * @param {number} [options.particleCount=16384] 粒子的数量。向上取整为平方数。
+ * @param {number} [options.trailLength=8] 每个粒子的拖尾中的位置数量，至少为 2。
+ * @param {number} [options.speedFactor=1000.0] 每帧粒子沿矢量场移动的时间（以秒为单位）。
+ * @param {number} [options.dropRate=0.003] 每帧粒子在随机位置重生的概率，使粒子均匀分布。
+ * @param {number} [options.dropRateBump=0.01] 对于最快的粒子，添加到 <code>dropRate</code> 的概率，使快速的流动不会聚集粒子。
+ * @param {number} [options.altitude=1000.0] 粒子在椭球体上方的高度（以米为单位）。
+ * @param {Color} [options.color=Color.WHITE] 粒子的颜色。
+ * @param {Color[]} [options.colorRamp] 从最慢到最快的粒子均匀分布的颜色。如果定义，则替代 <code>color</code>。
+ * @param {number} [options.maximumSpeed] 映射到 <code>colorRamp</code> 末端的速度（以米/秒为单位）。默认为矢量场中的最大速度。
+ *
+ * @example
+ * // A uniform eastward flow of 10 meters per second over the United States
+ * const u = new Float32Array(64 * 32).fill(10.0);
+ * const v = new Float32Array(64 * 32);
+ * scene.primitives.add(new Cesium.FlowFieldPrimitive({
+ *   u: u,
+ *   v: v,
+ *   width: 64,
+ *   height: 32,
+ *   rectangle: Cesium.Rectangle.fromDegrees(-125.0, 25.0, -65.0, 50.0),
+ * }));
+ *
+ * @example
+ * // Color the particles by speed
+ * const primitive = await Cesium.FlowFieldPrimitive.fromUrl("wind.png", {
+ *   minimumU: -21.32,
+ *   maximumU: 26.8,
+ *   minimumV: -21.57,
+ *   maximumV: 21.42,
+ *   colorRamp: [Cesium.Color.BLUE, Cesium.Color.LIME, Cesium.Color.YELLOW, Cesium.Color.RED],
+ * });
+ * scene.primitives.add(primitive);
+ *
+ * @see ParticleSystem
+ */
+function FlowFieldPrimitive(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const particleCount = defaultValue(options.particleCount, 16384);
+  const trailLength = defaultValue(options.trailLength, 8);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThan("options.particleCount", particleCount, 0);
+  Check.typeOf.number.greaterThanOrEquals(
+    "options.trailLength",
+    trailLength,
+    2,
+  );
+  //>>includeEnd('debug');
+
+  /**
+   * 确定是否显示图元。
+   *
+   * @type {boolean}
+   * @default true
+   */
+  this.show = defaultValue(options.show, true);
+
+  /**
+   * 每帧粒子沿矢量场移动的时间（以秒为单位）。
+   *
+   * @type {number}
+   * @default 1000.0
+   */
+  this.speedFactor = defaultValue(options.speedFactor, 1000.0);
+
+  /**
+   * 每帧粒子在随机位置重生的概率。
+   *
+   * @type {number}
+   * @default 0.003
+   */
+  this.dropRate = defaultValue(options.dropRate, 0.003);
+
+  /**
+   * 对于最快的粒子，添加到 {@link FlowFieldPrimitive#dropRate} 的概率。
+   *
+   * @type {number}
+   * @default 0.01
+   */
+  this.dropRateBump = defaultValue(options.dropRateBump, 0.01);
+
+  /**
+   * 粒子在椭球体上方的高度（以米为单位）。
+   *
+   * @type {number}
+   * @default 1000.0
+   */
+  this.altitude = defaultValue(options.altitude, 1000.0);
+
+  /**
+   * 未定义 <code>colorRamp</code> 时粒子的颜色。
+   *
+   * @type {Color}
+   * @default Color.WHITE
+   */
+  this.color = Color.clone(defaultValue(options.color, Color.WHITE));
+
+  this._particleTextureSize = Math.ceil(Math.sqrt(particleCount));
+  this._trailLength = Math.floor(trailLength);
+  this._colorRamp = options.colorRamp;
+  this._rectangle = Rectangle.clone(
+    defaultValue(options.rectangle, Rectangle.MAX_VALUE),
+  );
+
+  this._field = undefined;
+  this._fieldDirty = true;
+  this._maximumSpeed = undefined;
+  this._customMaximumSpeed = options.maximumSpeed;
+  this.setField(options.u, options.v, options.width, options.height);
+
+  this._fieldTexture = undefined;
+  this._particleTextures = undefined;
+  this._currentParticleTexture = 0;
+  this._colorRampTexture = undefined;
+
+  this._updateShaderProgram = undefined;
+  this._updateCommands = undefined;
+  this._drawCommand = undefined;
+
+  this._boundingSphere = new BoundingSphere();
+  this._boundingSphere2D = new BoundingSphere();
+  this._boundingSphereAltitude = undefined;
+  this._boundingSphereProjection = undefined;
+
+  this._rectangleUniform = new Cartesian4(
+    this._rectangle.west,
+    this._rectangle.south,
+    this._rectangle.width,
+    this._rectangle.height,
+  );
+  this._wrapLongitude =
+    this._rectangle.width >= CesiumMath.TWO_PI - CesiumMath.EPSILON10;
+}
+
+Object.defineProperties(FlowFieldPrimitive.prototype, {
+  /**
+   * 获取粒子的数量。
+   *
+   * @memberof FlowFieldPrimitive.prototype
+   * @type {number}
+   * @readonly
+   */
+  particleCount: {
+    get: function () {
+      return this._particleTextureSize * this._particleTextureSize;
+    },
+  },
+
+  /**
+   * 获取每个粒子的拖尾中的位置数量。
+   *
+   * @memberof FlowFieldPrimitive.prototype
+   * @type {number}
+   * @readonly
+   */
+  trailLength: {
+    get: function () {
+      return this._trailLength;
+    },
+  },
+
+  /**
+   * 获取矢量场覆盖的矩形区域（以弧度表示）。
+   *
+   * @memberof FlowFieldPrimitive.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * 获取映射到 <code>colorRamp</code> 末端的速度（以米/秒为单位）。
+   *
+   * @memberof FlowFieldPrimitive.prototype
+   * @type {number}
+   * @readonly
+   */
+  maximumSpeed: {
+    get: function () {
+      return this._maximumSpeed;
+    },
+  },
+
+  /**
+   * 获取从最慢到最快的粒子均匀分布的颜色。
+   *
+   * @memberof FlowFieldPrimitive.prototype
+   * @type {Color[]|undefined}
+   * @readonly
+   */
+  colorRamp: {
+    get: function () {
+      return this._colorRamp;
+    },
+  },
+});
+
+/**
+ * 替换矢量场，例如显示下一个时间步的风场。粒子保持在当前位置并沿新的矢量场继续移动。
+ *
+ * @param {Float32Array|number[]} u 每个网格单元向东的速度分量（以米/秒为单位），从西北角开始逐行排列。
+ * @param {Float32Array|number[]} v 每个网格单元向北的速度分量（以米/秒为单位），与 <code>u</code> 的排列相同。
+ * @param {number} width 网格的列数。
+ * @param {number} height 网格的行数。
+ *
+ * @exception {DeveloperError} u 和 v 的长度必须为 width * height。
+ */
+FlowFieldPrimitive.prototype.setField = function (u, v, width, height) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("u", u);
+  Check.defined("v", v);
+  Check.typeOf.number.greaterThan("width", width, 0);
+  Check.typeOf.number.greaterThan("height", height, 0);
+  if (u.length !== width * height || v.length !== width * height) {
+    throw new DeveloperError("u and v must have width * height values.");
+  }
+  //>>includeEnd('debug');
+
+  // Interleave the components, with the south row first to match the texture coordinates
+  const values = new Float32Array(width * height * 4);
+  let maximumSpeed = 0.0;
+  for (let row = 0; row < height; ++row) {
+    const targetRow = height - row - 1;
+    for (let column = 0; column < width; ++column) {
+      const index = row * width + column;
+      const offset = (targetRow * width + column) * 4;
+      const uValue = u[index];
+      const vValue = v[index];
+      if (isNaN(uValue) || isNaN(vValue)) {
+        continue;
+      }
+
+      values[offset] = uValue;
+      values[offset + 1] = vValue;
+      values[offset + 2] = 1.0;
+      maximumSpeed = Math.max(
+        maximumSpeed,
+        Math.sqrt(uValue * uValue + vValue * vValue),
+      );
+    }
+  }
+
+  this._field = {
+    width: width,
+    height: height,
+    values: values,
+  };
+  this._maximumSpeed = defaultValue(this._customMaximumSpeed, maximumSpeed);
+  this._fieldDirty = true;
+};
+
+/**
+ * 当 {@link Viewer} 或 {@link CesiumWidget} 渲染场景时调用，以获取渲染此图元所需的绘制命令。
+ * <p>
+ * 请勿直接调用此函数。此文档仅用于列出渲染场景时可能传播的异常：
+ * </p>
+ *
+ * @exception {RuntimeError} FlowFieldPrimitive 需要 WebGL 2 和浮点颜色缓冲区。
+ */
+FlowFieldPrimitive.prototype.update = function (frameState) {
+  if (!this.show || !frameState.passes.render) {
+    return;
+  }
+
+  const context = frameState.context;
+  if (!FlowFieldPrimitive.isSupported(frameState)) {
+    throw new RuntimeError(
+      "FlowFieldPrimitive requires WebGL 2 and floating point color buffers.",
+    );
+  }
+
+  if (this._fieldDirty) {
+    this._fieldDirty = false;
+    createFieldTexture(this, context);
+  }
+
+  if (!defined(this._particleTextures)) {
+    createParticleTextures(this, context);
+    createUpdateCommands(this, context);
+    createDrawCommand(this, context);
+  }
+
+  updateBoundingVolume(this, frameState);
+
+  const commandList = frameState.commandList;
+  commandList.push(this._updateCommands[this._currentParticleTexture]);
+  commandList.push(this._drawCommand);
+};
+
+function createFieldTexture(primitive, context) {
+  const field = primitive._field;
+  primitive._fieldTexture =
+    primitive._fieldTexture && primitive._fieldTexture.destroy();
+  primitive._fieldTexture = new Texture({
+    context: context,
+    width: field.width,
+    height: field.height,
+    pixelFormat: PixelFormat.RGBA,
+    pixelDatatype: PixelDatatype.FLOAT,
+    sampler: Sampler.NEAREST,
+    flipY: false,
+    source: {
+      width: field.width,
+      height: field.height,
+      arrayBufferView: field.values,
+    },
+  });
+
+  // The values are copied to the GPU, so keep only the size of the field
+  field.values = undefined;
+}
+
+function createParticleTextures(primitive, context) {
+  const size = primitive._particleTextureSize;
+  const trailLength = primitive._trailLength;
+  const width = size * trailLength;
+
+  //>>includeStart('debug', pragmas.debug);
+  if (width > ContextLimits.maximumTextureSize) {
+    throw new DeveloperError(
+      `The particle state needs a texture ${width} pixels wide, which is larger than the maximum texture size ${ContextLimits.maximumTextureSize}. Reduce particleCount or trailLength.`,
+    );
+  }
+  //>>includeEnd('debug');
+
+  // Spawn the particles at random positions. The whole trail starts at the same position, so
+  // the trails grow from there.
+  const values = new Float32Array(width * size * 4);
+  for (let row = 0; row < size; ++row) {
+    for (let column = 0; column < size; ++column) {
+      const x = CesiumMath.nextRandomNumber();
+      const y = CesiumMath.nextRandomNumber();
+      for (let i = 0; i < trailLength; ++i) {
+        const offset = (row * width + i * size + column) * 4;
+        values[offset] = x;
+        values[offset + 1] = y;
+      }
+    }
+  }
+
+  const textures = new Array(2);
+  for (let i = 0; i < 2; ++i) {
+    textures[i] = new Texture({
+      context: context,
+      width: width,
+      height: size,
+      pixelFormat: PixelFormat.RGBA,
+      pixelDatatype: PixelDatatype.FLOAT,
+      sampler: Sampler.NEAREST,
+      flipY: false,
+      source: {
+        width: width,
+        height: size,
+        arrayBufferView: values,
+      },
+    });
+  }
+  primitive._particleTextures = textures;
+  primitive._currentParticleTexture = 0;
+
+  const colorRamp = primitive._colorRamp;
+  if (defined(colorRamp)) {
+    primitive._colorRampTexture = new Texture({
+      context: context,
+      width: 256,
+      height: 1,
+      pixelFormat: PixelFormat.RGBA,
+      pixelDatatype: PixelDatatype.UNSIGNED_BYTE,
+      sampler: new Sampler({
+        wrapS: TextureWrap.CLAMP_TO_EDGE,
+        wrapT: TextureWrap.CLAMP_TO_EDGE,
+        minificationFilter: TextureMinificationFilter.LINEAR,
+        magnificationFilter: TextureMagnificationFilter.LINEAR,
+      }),
+      flipY: false,
+      source: {
+        width: 256,
+        height: 1,
+        arrayBufferView: createColorRamp(colorRamp),
+      },
+    });
+  }
+}
+
+const scratchColor = new Color();
+
+/**
+ * Samples evenly spaced colors into a row of 256 RGBA colors.
+ *
+ * @private
+ */
+function createColorRamp(colors) {
+  const values = new Uint8Array(256 * 4);
+  const lastIndex = colors.length - 1;
+  for (let i = 0; i < 256; ++i) {
+    const position = (i / 255.0) * lastIndex;
+    const index = Math.min(Math.floor(position), Math.max(lastIndex - 1, 0));
+    const color = Color.lerp(
+      colors[index],
+      colors[Math.min(index + 1, lastIndex)],
+      position - index,
+      scratchColor,
+    );
+    color.toBytes(values.subarray(i * 4, i * 4 + 4));
+  }
+  return values;
+}
+
+function createUpdateCommands(primitive, context) {
+  const shaderProgram = ShaderProgram.fromCache({
+    context: context,
+    vertexShaderSource: ViewportQuadVS,
+    fragmentShaderSource: FlowFieldUpdateFS,
+    attributeLocations: viewportQuadAttributeLocations,
+  });
+  primitive._updateShaderProgram = shaderProgram;
+
+  const textures = primitive._particleTextures;
+  const commands = new Array(2);
+  for (let i = 0; i < 2; ++i) {
+    const input = textures[i];
+    const next = 1 - i;
+    commands[i] = new ComputeCommand({
+      shaderProgram: shaderProgram,
+      outputTexture: textures[next],
+      uniformMap: {
+        u_particles: function () {
+          return input;
+        },
+        u_field: function () {
+          return primitive._fieldTexture;
+        },
+        u_rectangle: function () {
+          return primitive._rectangleUniform;
+        },
+        u_radius: function () {
+          return primitive._radius;
+        },
+        u_maximumSpeed: function () {
+          return Math.max(primitive._maximumSpeed, CesiumMath.EPSILON7);
+        },
+        u_speedFactor: function () {
+          return primitive.speedFactor;
+        },
+        u_dropRate: function () {
+          return primitive.dropRate;
+        },
+        u_dropRateBump: function () {
+          return primitive.dropRateBump;
+        },
+        u_seed: function () {
+          return CesiumMath.nextRandomNumber();
+        },
+        u_wrapLongitude: function () {
+          return primitive._wrapLongitude;
+        },
+      },
+      persists: true,
+      owner: primitive,
+      postExecute: function () {
+        primitive._currentParticleTexture = next;
+      },
+    });
+  }
+  primitive._updateCommands = commands;
+}
+
+function createDrawCommand(primitive, context) {
+  const size = primitive._particleTextureSize;
+  const segmentCount = primitive._trailLength - 1;
+
+  // Two vertices for each segment of the trail of each particle
+  const vertexCount = size * size * segmentCount * 2;
+  const particles = new Uint16Array(vertexCount * 4);
+  let offset = 0;
+  for (let row = 0; row < size; ++row) {
+    for (let column = 0; column < size; ++column) {
+      for (let segment = 0; segment < segmentCount; ++segment) {
+        for (let end = 0; end < 2; ++end) {
+          particles[offset++] = column;
+          particles[offset++] = row;
+          particles[offset++] = segment;
+          particles[offset++] = end;
+        }
+      }
+    }
+  }
+
+  const vertexBuffer = Buffer.createVertexBuffer({
+    context: context,
+    typedArray: particles,
+    usage: BufferUsage.STATIC_DRAW,
+  });
+  const vertexArray = new VertexArray({
+    context: context,
+    attributes: [
+      {
+        index: attributeLocations.particle,
+        vertexBuffer: vertexBuffer,
+        componentsPerAttribute: 4,
+        componentDatatype: ComponentDatatype.UNSIGNED_SHORT,
+      },
+    ],
+  });
+
+  const fs = new ShaderSource({
+    defines: [],
+    sources: [FlowFieldFS],
+  });
+  if (defined(primitive._colorRampTexture)) {
+    fs.defines.push("COLOR_RAMP");
+  }
+
+  const shaderProgram = ShaderProgram.fromCache({
+    context: context,
+    vertexShaderSource: FlowFieldVS,
+    fragmentShaderSource: fs,
+    attributeLocations: attributeLocations,
+  });
+
+  const renderState = RenderState.fromCache({
+    depthTest: {
+      enabled: true,
+    },
+    depthMask: false,
+    blending: BlendingState.ALPHA_BLEND,
+  });
+
+  primitive._drawCommand = new DrawCommand({
+    primitiveType: PrimitiveType.LINES,
+    vertexArray: vertexArray,
+    count: vertexCount,
+    shaderProgram: shaderProgram,
+    renderState: renderState,
+    uniformMap: {
+      u_particles: function () {
+        return primitive._particleTextures[primitive._currentParticleTexture];
+      },
+      u_rectangle: function () {
+        return primitive._rectangleUniform;
+      },
+      u_altitude: function () {
+        return primitive.altitude;
+      },
+      u_trailLength: function () {
+        return primitive._trailLength;
+      },
+      u_webMercator: function () {
+        return primitive._webMercator;
+      },
+      u_color: function () {
+        return primitive.color;
+      },
+      u_colorRamp: function () {
+        return primitive._colorRampTexture;
+      },
+    },
+    boundingVolume: new BoundingSphere(),
+    pass: Pass.TRANSLUCENT,
+    owner: primitive,
+  });
+}
+
+function updateBoundingVolume(primitive, frameState) {
+  const projection = frameState.mapProjection;
+  const ellipsoid = projection.ellipsoid;
+  primitive._radius = ellipsoid.maximumRadius;
+  primitive._webMercator = projection instanceof WebMercatorProjection;
+
+  const altitude = primitive.altitude;
+  if (
+    altitude !== primitive._boundingSphereAltitude ||
+    projection !== primitive._boundingSphereProjection
+  ) {
+    primitive._boundingSphereAltitude = altitude;
+    primitive._boundingSphereProjection = projection;
+
+    const rectangle = primitive._rectangle;
+    BoundingSphere.fromRectangle3D(
+      rectangle,
+      ellipsoid,
+      altitude,
+      primitive._boundingSphere,
+    );
+
+    const boundingSphere2D = BoundingSphere.fromRectangleWithHeights2D(
+      rectangle,
+      projection,
+      altitude,
+      altitude,
+      primitive._boundingSphere2D,
+    );
+    Cartesian3.fromElements(
+      boundingSphere2D.center.z,
+      boundingSphere2D.center.x,
+      boundingSphere2D.center.y,
+      boundingSphere2D.center,
+    );
+  }
+
+  const command = primitive._drawCommand;
+  const mode = frameState.mode;
+  if (mode === SceneMode.SCENE3D) {
+    BoundingSphere.clone(primitive._boundingSphere, command.boundingVolume);
+  } else if (mode === SceneMode.MORPHING) {
+    BoundingSphere.union(
+      primitive._boundingSphere,
+      primitive._boundingSphere2D,
+      command.boundingVolume,
+    );
+  } else {
+    BoundingSphere.clone(primitive._boundingSphere2D, command.boundingVolume);
+  }
+}
+
+/**
+ * 检查场景是否支持 {@link FlowFieldPrimitive}，这需要 WebGL 2 和浮点颜色缓冲区。
+ *
+ * @param {Scene} scene 场景。
+ * @returns {boolean} 如果场景支持 <code>FlowFieldPrimitive</code>，则返回 <code>true</code>。
+ */
+FlowFieldPrimitive.isSupported = function (scene) {
+  const context = scene.context;
+  return context.webgl2 && context.colorBufferFloat;
+};
+
+/**
+ * 从编码在图像中的矢量场创建 {@link FlowFieldPrimitive}。图像的红色和绿色通道分别将 U 和 V 分量线性编码在
+ * 给定的最小值和最大值之间，完全透明的像素表示没有数据。图像的第一行是矢量场的北边缘。
+ *
+ * @param {Resource|string} url 图像的 URL。
+ * @param {object} options 具有以下属性的对象，以及 {@link FlowFieldPrimitive} 构造函数除 <code>u</code>、<code>v</code>、<code>width</code> 和 <code>height</code> 以外的任何选项：
+ * @param {number} options.minimumU 红色通道为 0 时的 U 分量（以米/秒为单位）。
+ * @param {number} options.maximumU 红色通道为 255 时的 U 分量（以米/秒为单位）。
+ * @param {number} options.minimumV 绿色通道为 0 时的 V 分量（以米/秒为单位）。
+ * @param {number} options.maximumV 绿色通道为 255 时的 V 分量（以米/秒为单位）。
+ * @returns {Promise<FlowFieldPrimitive>} 图像加载后解析为新图元的 Promise。
+ *
+ * @example
+ * const primitive = await Cesium.FlowFieldPrimitive.fromUrl("wind.png", {
+ *   minimumU: -21.32,
+ *   maximumU: 26.8,
+ *   minimumV: -21.57,
+ *   maximumV: 21.42,
+ * });
+ * scene.primitives.add(primitive);
+ */
+FlowFieldPrimitive.fromUrl = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  Check.typeOf.object("options", options);
+  Check.typeOf.number("options.minimumU", options.minimumU);
+  Check.typeOf.number("options.maximumU", options.maximumU);
+  Check.typeOf.number("options.minimumV", options.minimumV);
+  Check.typeOf.number("options.maximumV", options.maximumV);
+  //>>includeEnd('debug');
+
+  const image = await Resource.createIfNeeded(url).fetchImage({
+    preferImageBitmap: false,
+    flipY: false,
+  });
+  const field = FlowFieldPrimitive._decodeImage(
+    getImagePixels(image),
+    image.width,
+    image.height,
+    options,
+  );
+
+  return new FlowFieldPrimitive(
+    combine(
+      {
+        u: field.u,
+        v: field.v,
+        width: image.width,
+        height: image.height,
+      },
+      options,
+    ),
+  );
+};
+
+/**
+ * Decodes the U and V components of a vector field from the red and green channels of RGBA pixels.
+ *
+ * @param {Uint8ClampedArray|Uint8Array} pixels The pixels, row by row from the top left corner.
+ * @param {number} width The width of the image.
+ * @param {number} height The height of the image.
+ * @param {object} options The range of each component.
+ * @returns {object} An object with the <code>u</code> and <code>v</code> components.
+ *
+ * @private
+ */
+FlowFieldPrimitive._decodeImage = function (pixels, width, height, options) {
+  const length = width * height;
+  const u = new Float32Array(length);
+  const v = new Float32Array(length);
+  const uScale = (options.maximumU - options.minimumU) / 255.0;
+  const vScale = (options.maximumV - options.minimumV) / 255.0;
+  for (let i = 0; i < length; ++i) {
+    const offset = i * 4;
+    if (pixels[offset + 3] === 0) {
+      u[i] = NaN;
+      v[i] = NaN;
+      continue;
+    }
+    u[i] = options.minimumU + pixels[offset] * uScale;
+    v[i] = options.minimumV + pixels[offset + 1] * vScale;
+  }
+  return {
+    u: u,
+    v: v,
+  };
+};
+
+/**
+ * 如果此对象已被销毁，则返回 true；否则返回 false。
+ * <br /><br />
+ * 如果此对象已被销毁，则不应再使用它；调用 <code>isDestroyed</code> 以外的任何函数都将导致 {@link DeveloperError} 异常。
+ *
+ * @returns {boolean} 如果此对象已被销毁，则返回 <code>true</code>；否则返回 <code>false</code>。
+ *
+ * @see FlowFieldPrimitive#destroy
+ */
+FlowFieldPrimitive.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * 销毁此对象持有的 WebGL 资源。销毁对象允许确定性地释放 WebGL 资源，而不是依赖垃圾收集器来销毁此对象。
+ * <br /><br />
+ * 一旦对象被销毁，它就不应再被使用；调用 <code>isDestroyed</code> 以外的任何函数都将导致 {@link DeveloperError} 异常。因此，将返回值（<code>undefined</code>）赋给对象，如示例所示。
+ *
+ * @exception {DeveloperError} 此对象已被销毁，即 destroy() 已被调用。
+ *
+ * @example
+ * primitive = primitive && primitive.destroy();
+ *
+ * @see FlowFieldPrimitive#isDestroyed
+ */
+FlowFieldPrimitive.prototype.destroy = function () {
+  this._fieldTexture = this._fieldTexture && this._fieldTexture.destroy();
+  this._colorRampTexture =
+    this._colorRampTexture && this._colorRampTexture.destroy();
+
+  const textures = this._particleTextures;
+  if (defined(textures)) {
+    textures[0].destroy();
+    textures[1].destroy();
+  }
+
+  this._updateShaderProgram =
+    this._updateShaderProgram && this._updateShaderProgram.destroy();
+
+  const command = this._drawCommand;
+  if (defined(command)) {
+    command.vertexArray = command.vertexArray && command.vertexArray.destroy();
+    command.shaderProgram =
+      command.shaderProgram && command.shaderProgram.destroy();
+  }
+
+  return destroyObject(this);
+};
+
+export default FlowFieldPrimitive;
@@ -453,6 +453,21 @@ Object.defineProperties(Globe.prototype, {
       this._surface.tileProvider.clippingPolygons = value;
     },
   },
+  /**
+   * 指定一个 {@link TerrainModificationCollection} 的属性，用于在一组多边形内压平、挖掘或偏移地形。
+   * 修改后的高度由 {@link Globe#getHeight} 返回。
+   *
+   * @memberof Globe.prototype
+   * @type {TerrainModificationCollection}
+   */
+  terrainModifications: {
+    get: function () {
+      return this._surface.tileProvider.terrainModifications;
+    },
+    set: function (value) {
+      this._surface.tileProvider.terrainModifications = value;
+    },
+  },
   /**
    * 指定一个 {@link Rectangle} 的属性，用于限制地球的渲染到一个大地区域。
    * 默认为大地坐标的最大范围。
@@ -818,7 +833,7 @@ function tileIfContainsCartographic(tile, cartographic) {
 }
 
 /**
- * 获取给定大地坐标处表面的高度。
+ * 获取给定大地坐标处表面的高度。高度包含 {@link Globe#terrainModifications} 的修改。
  *
  * @param {Cartographic} cartographic 要查找高度的大地坐标。
  * @returns {number|undefined} 大地坐标的高度，如果未找到则返回 undefined。
@@ -941,10 +956,16 @@ Globe.prototype.getHeight = function (cartographic) {
     return undefined;
   }
 
-  return ellipsoid.cartesianToCartographic(
+  const height = ellipsoid.cartesianToCartographic(
     intersection,
     scratchGetHeightCartographic,
   ).height;
+
+  const terrainModifications = this.terrainModifications;
+  if (defined(terrainModifications)) {
+    return terrainModifications.getModifiedHeight(cartographic, height);
+  }
+  return height;
 };
 
 /**
@@ -2,6 +2,7 @@ import defined from "../Core/defined.js";
 import destroyObject from "../Core/destroyObject.js";
 import TerrainQuantization from "../Core/TerrainQuantization.js";
 import ShaderProgram from "../Renderer/ShaderProgram.js";
+import TerrainModificationCommon from "../Shaders/TerrainModificationCommon.js";
 import getClippingFunction from "./getClippingFunction.js";
 import SceneMode from "./SceneMode.js";
 
@@ -12,6 +13,7 @@ function GlobeSurfaceShader(
   shaderProgram,
   clippingShaderState,
   clippingPolygonShaderState,
+  terrainModificationShaderState,
 ) {
   this.numberOfDayTextures = numberOfDayTextures;
   this.flags = flags;
@@ -19,6 +21,7 @@ function GlobeSurfaceShader(
   this.shaderProgram = shaderProgram;
   this.clippingShaderState = clippingShaderState;
   this.clippingPolygonShaderState = clippingPolygonShaderState;
+  this.terrainModificationShaderState = terrainModificationShaderState;
 }
 
 /**
@@ -125,6 +128,8 @@ GlobeSurfaceShaderSet.prototype.getShaderProgram = function (options) {
   const clippingPlanes = options.clippingPlanes;
   const enableClippingPolygons = options.enableClippingPolygons;
   const clippingPolygons = options.clippingPolygons;
+  const enableTerrainModifications = options.enableTerrainModifications;
+  const terrainModifications = options.terrainModifications;
   const clippedByBoundaries = options.clippedByBoundaries;
   const hasImageryLayerCutout = options.hasImageryLayerCutout;
   const colorCorrect = options.colorCorrect;
@@ -209,6 +214,12 @@ GlobeSurfaceShaderSet.prototype.getShaderProgram = function (options) {
       : 0;
   }
 
+  let currentTerrainModificationsShaderState = 0;
+  if (enableTerrainModifications) {
+    currentTerrainModificationsShaderState =
+      terrainModifications.terrainModificationsState;
+  }
+
   let surfaceShader = surfaceTile.surfaceShader;
   if (
     defined(surfaceShader) &&
@@ -217,7 +228,9 @@ GlobeSurfaceShaderSet.prototype.getShaderProgram = function (options) {
     surfaceShader.material === this.material &&
     surfaceShader.clippingShaderState === currentClippingShaderState &&
     surfaceShader.clippingPolygonShaderState ===
-      currentClippingPolygonsShaderState
+      currentClippingPolygonsShaderState &&
+    surfaceShader.terrainModificationShaderState ===
+      currentTerrainModificationsShaderState
   ) {
     return surfaceShader.shaderProgram;
   }
@@ -234,7 +247,9 @@ GlobeSurfaceShaderSet.prototype.getShaderProgram = function (options) {
     surfaceShader.material !== this.material ||
     surfaceShader.clippingShaderState !== currentClippingShaderState ||
     surfaceShader.clippingPolygonShaderState !==
-      currentClippingPolygonsShaderState
+      currentClippingPolygonsShaderState ||
+    surfaceShader.terrainModificationShaderState !==
+      currentTerrainModificationsShaderState
   ) {
     // Cache miss - we've never seen this combination of numberOfDayTextures and flags before.
     const vs = this.baseVertexShaderSource.clone();
@@ -253,6 +268,20 @@ GlobeSurfaceShaderSet.prototype.getShaderProgram = function (options) {
       vs.sources.unshift(getUnpackClippingFunction(frameState.context));
     }
 
+    // Need to go before GlobeVS and GlobeFS
+    if (currentTerrainModificationsShaderState !== 0) {
+      vs.sources.unshift(TerrainModificationCommon);
+      fs.sources.unshift(TerrainModificationCommon);
+      vs.defines.push(
+        "ENABLE_TERRAIN_MODIFICATIONS",
+        `TERRAIN_MODIFICATIONS_LENGTH ${currentTerrainModificationsShaderState}`,
+      );
+      fs.defines.push(
+        "ENABLE_TERRAIN_MODIFICATIONS",
+        `TERRAIN_MODIFICATIONS_LENGTH ${currentTerrainModificationsShaderState}`,
+      );
+    }
+
     vs.defines.push(quantizationDefine);
     fs.defines.push(
       `TEXTURE_UNITS ${numberOfDayTextures}`,
@@ -451,6 +480,7 @@ GlobeSurfaceShaderSet.prototype.getShaderProgram = function (options) {
       shader,
       currentClippingShaderState,
       currentClippingPolygonsShaderState,
+      currentTerrainModificationsShaderState,
     );
   }
 
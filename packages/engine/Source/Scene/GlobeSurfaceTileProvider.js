@@ -49,6 +49,7 @@ import QuadtreeTileLoadState from "./QuadtreeTileLoadState.js";
 import SceneMode from "./SceneMode.js";
 import ShadowMode from "./ShadowMode.js";
 import TerrainFillMesh from "./TerrainFillMesh.js";
+import TerrainModificationCollection from "./TerrainModificationCollection.js";
 import TerrainState from "./TerrainState.js";
 import TileBoundingRegion from "./TileBoundingRegion.js";
 import TileSelectionResult from "./TileSelectionResult.js";
@@ -183,6 +184,13 @@ function GlobeSurfaceTileProvider(options) {
    */
   this._clippingPolygons = undefined;
 
+  /**
+   * A property specifying a {@link TerrainModificationCollection} used to locally flatten, excavate or offset the terrain.
+   * @type {TerrainModificationCollection}
+   * @private
+   */
+  this._terrainModifications = undefined;
+
   /**
    * A property specifying a {@link Rectangle} used to selectively limit terrain and imagery rendering.
    * @type {Rectangle}
@@ -333,6 +341,26 @@ Object.defineProperties(GlobeSurfaceTileProvider.prototype, {
       ClippingPolygonCollection.setOwner(value, this, "_clippingPolygons");
     },
   },
+
+  /**
+   * The {@link TerrainModificationCollection} used to locally flatten, excavate or offset the terrain.
+   *
+   * @type {TerrainModificationCollection}
+   *
+   * @private
+   */
+  terrainModifications: {
+    get: function () {
+      return this._terrainModifications;
+    },
+    set: function (value) {
+      TerrainModificationCollection.setOwner(
+        value,
+        this,
+        "_terrainModifications",
+      );
+    },
+  },
 });
 
 function sortTileImageryByLayerIndex(a, b) {
@@ -428,6 +456,12 @@ GlobeSurfaceTileProvider.prototype.beginUpdate = function (frameState) {
     clippingPolygons.queueCommands(frameState);
   }
 
+  // update terrain modifications
+  const terrainModifications = this._terrainModifications;
+  if (defined(terrainModifications) && terrainModifications.enabled) {
+    terrainModifications.update(frameState);
+  }
+
   this._usedDrawCommands = 0;
 
   this._hasLoadedTilesThisFrame = false;
@@ -1418,6 +1452,8 @@ GlobeSurfaceTileProvider.prototype.destroy = function () {
   this._clippingPlanes = this._clippingPlanes && this._clippingPlanes.destroy();
   this._clippingPolygons =
     this._clippingPolygons && this._clippingPolygons.destroy();
+  this._terrainModifications =
+    this._terrainModifications && this._terrainModifications.destroy();
   this._removeLayerAddedListener =
     this._removeLayerAddedListener && this._removeLayerAddedListener();
   this._removeLayerRemovedListener =
@@ -1824,6 +1860,19 @@ function createTileUniformMap(frameState, globeSurfaceTileProvider) {
       }
       return frameState.context.defaultTexture;
     },
+    u_terrainModifications: function () {
+      const texture = globeSurfaceTileProvider._terrainModifications.texture;
+      if (defined(texture)) {
+        return texture;
+      }
+      return frameState.context.defaultTexture;
+    },
+    u_terrainModificationTileOrigin: function () {
+      return this.properties.terrainModificationTileOrigin;
+    },
+    u_terrainModificationTileSize: function () {
+      return this.properties.terrainModificationTileSize;
+    },
     u_minimumBrightness: function () {
       return frameState.fog.minimumBrightness;
     },
@@ -1876,6 +1925,8 @@ function createTileUniformMap(frameState, globeSurfaceTileProvider) {
       rtc: new Cartesian3(),
       modifiedModelView: new Matrix4(),
       tileRectangle: new Cartesian4(),
+      terrainModificationTileOrigin: new Cartesian4(),
+      terrainModificationTileSize: new Cartesian2(),
 
       verticalExaggerationAndRelativeHeight: new Cartesian2(1.0, 0.0),
 
@@ -2108,6 +2159,8 @@ const surfaceShaderSetOptionsScratch = {
   clippingPlanes: undefined,
   enableClippingPolygons: undefined,
   clippingPolygons: undefined,
+  enableTerrainModifications: undefined,
+  terrainModifications: undefined,
   clippedByBoundaries: undefined,
   hasImageryLayerCutout: undefined,
   colorCorrect: undefined,
@@ -2242,6 +2295,12 @@ function addDrawCommandsForTile(tileProvider, tile, frameState) {
     --maxTextures;
     --maxTextures;
   }
+  if (
+    defined(tileProvider.terrainModifications) &&
+    tileProvider.terrainModifications.enabled
+  ) {
+    --maxTextures;
+  }
 
   maxTextures -= globeTranslucencyState.numberOfTextureUniforms;
 
@@ -2360,6 +2419,16 @@ function addDrawCommandsForTile(tileProvider, tile, frameState) {
   surfaceShaderSetOptions.hasGeodeticSurfaceNormals = hasGeodeticSurfaceNormals;
   surfaceShaderSetOptions.hasExaggeration = hasExaggeration;
 
+  const terrainModifications = tileProvider._terrainModifications;
+  const terrainModificationsEnabled =
+    defined(terrainModifications) &&
+    terrainModifications.enabled &&
+    terrainModifications.length > 0 &&
+    terrainModifications.intersectsRectangle(tile.rectangle);
+  surfaceShaderSetOptions.enableTerrainModifications =
+    terrainModificationsEnabled;
+  surfaceShaderSetOptions.terrainModifications = terrainModifications;
+
   const tileImageryCollection = surfaceTile.imagery;
   let imageryIndex = 0;
   const imageryLen = tileImageryCollection.length;
@@ -2522,6 +2591,19 @@ function addDrawCommandsForTile(tileProvider, tile, frameState) {
     uniformMapProperties.southMercatorYAndOneOverHeight.y =
       oneOverMercatorHeight;
 
+    if (terrainModificationsEnabled) {
+      // Split the origin of the tile into high and low parts so that the terrain modifications
+      // can be made relative to the tile precisely in the shaders.
+      const rectangle = tile.rectangle;
+      const tileOrigin = uniformMapProperties.terrainModificationTileOrigin;
+      tileOrigin.x = Math.fround(rectangle.west);
+      tileOrigin.y = rectangle.west - tileOrigin.x;
+      tileOrigin.z = Math.fround(rectangle.south);
+      tileOrigin.w = rectangle.south - tileOrigin.z;
+      uniformMapProperties.terrainModificationTileSize.x = rectangle.width;
+      uniformMapProperties.terrainModificationTileSize.y = rectangle.height;
+    }
+
     // Convert tile limiter rectangle from cartographic to texture space using the tileRectangle.
     const localizedCartographicLimitRectangle =
       localizedCartographicLimitRectangleScratch;
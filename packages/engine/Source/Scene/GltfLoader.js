@@ -1253,6 +1253,7 @@ function loadVertexAttribute(
   draco,
   hasInstances,
   needsPostProcessing,
+  isGaussianSplat,
   frameState,
 ) {
   const modelSemantic = semanticInfo.modelSemantic;
@@ -1273,6 +1274,9 @@ function loadVertexAttribute(
   const loadTypedArrayForClassification =
     loader._loadForClassification && isFeatureIdAttribute;
 
+  // Gaussian splats are depth sorted on the CPU, which requires the positions.
+  const loadTypedArrayForSorting = isPositionAttribute && isGaussianSplat;
+
   // Whether the final output should be a buffer or typed array
   // after loading and post-processing.
   const outputTypedArrayOnly = loader._loadAttributesAsTypedArray;
@@ -1281,7 +1285,8 @@ function loadVertexAttribute(
     outputTypedArrayOnly ||
     loadTypedArrayFor2D ||
     loadTypedArrayForPicking ||
-    loadTypedArrayForClassification;
+    loadTypedArrayForClassification ||
+    loadTypedArrayForSorting;
 
   // Determine what to load right now:
   //
@@ -1889,6 +1894,7 @@ function loadMorphTarget(
   // Don't pass in draco object since morph targets can't be draco compressed
   const draco = undefined;
   const hasInstances = false;
+  const isGaussianSplat = false;
 
   for (const semantic in target) {
     if (!target.hasOwnProperty(semantic)) {
@@ -1909,6 +1915,7 @@ function loadMorphTarget(
       draco,
       hasInstances,
       needsPostProcessing,
+      isGaussianSplat,
       frameState,
     );
     morphTarget.attributes.push(attributePlan.attribute);
@@ -1965,6 +1972,13 @@ function loadPrimitive(loader, gltfPrimitive, hasInstances, frameState) {
   const loadForClassification = loader._loadForClassification;
   const draco = extensions.KHR_draco_mesh_compression;
 
+  const isGaussianSplat =
+    defined(extensions.KHR_gaussian_splatting) && !loadForClassification;
+  if (isGaussianSplat) {
+    checkGaussianSplatPrimitive(gltfPrimitive);
+  }
+  primitive.isGaussianSplat = isGaussianSplat;
+
   let hasFeatureIds = false;
   const attributes = gltfPrimitive.attributes;
   if (defined(attributes)) {
@@ -1995,6 +2009,7 @@ function loadPrimitive(loader, gltfPrimitive, hasInstances, frameState) {
         draco,
         hasInstances,
         needsPostProcessing,
+        isGaussianSplat,
         frameState,
       );
 
@@ -2075,6 +2090,30 @@ function loadPrimitive(loader, gltfPrimitive, hasInstances, frameState) {
   return primitive;
 }
 
+function checkGaussianSplatPrimitive(gltfPrimitive) {
+  if (
+    defaultValue(gltfPrimitive.mode, PrimitiveType.TRIANGLES) !==
+    PrimitiveType.POINTS
+  ) {
+    throw new RuntimeError(
+      "Gaussian splat primitives must use the POINTS primitive mode.",
+    );
+  }
+
+  const attributes = defaultValue(
+    gltfPrimitive.attributes,
+    defaultValue.EMPTY_OBJECT,
+  );
+  const requiredAttributes = ["POSITION", "_SCALE", "_ROTATION"];
+  for (let i = 0; i < requiredAttributes.length; ++i) {
+    if (!defined(attributes[requiredAttributes[i]])) {
+      throw new RuntimeError(
+        `Gaussian splat primitives must have a ${requiredAttributes[i]} attribute.`,
+      );
+    }
+  }
+}
+
 function loadPrimitiveOutline(loader, outlineExtension) {
   const accessorId = outlineExtension.indices;
   const accessor = loader.gltfJson.accessors[accessorId];
@@ -0,0 +1,956 @@
+import KDBush from "kdbush";
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import Credit from "../Core/Credit.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Event from "../Core/Event.js";
+import GeographicTilingScheme from "../Core/GeographicTilingScheme.js";
+import JulianDate from "../Core/JulianDate.js";
+import CesiumMath from "../Core/Math.js";
+import Rectangle from "../Core/Rectangle.js";
+import TimeInterval from "../Core/TimeInterval.js";
+import TimeDynamicImagery from "./TimeDynamicImagery.js";
+
+/**
+ * The gradient used when none is specified, fading in from transparent blue to red.
+ *
+ * @private
+ */
+const defaultGradient = {
+  0.0: new Color(0.0, 0.0, 1.0, 0.0),
+  0.25: new Color(0.0, 0.0, 1.0, 0.6),
+  0.55: new Color(0.0, 1.0, 0.0, 0.75),
+  0.85: new Color(1.0, 1.0, 0.0, 0.9),
+  1.0: new Color(1.0, 0.0, 0.0, 1.0),
+};
+
+// The number of data snapshots kept, one for each recently rendered time interval
+const maximumSnapshotCount = 4;
+
+const scratchRectangle = new Rectangle();
+const scratchNativeRectangle = new Rectangle();
+const scratchSouthwest = new Cartographic();
+const scratchNortheast = new Cartographic();
+
+/**
+ * @typedef {object} HeatmapImageryProvider.Point
+ *
+ * 热力图中的一个加权点。
+ *
+ * @property {Cartographic} position 点的位置。
+ * @property {number} [weight=1.0] 点的权重。
+ * @property {JulianDate} [time] 点的时间。当指定了 <code>times</code> 时，只有时间位于当前时间区间内的点会被绘制；没有时间的点始终被绘制。
+ */
+
+/**
+ * @typedef {object} HeatmapImageryProvider.ConstructorOptions
+ *
+ * HeatmapImageryProvider 构造函数的初始化选项
+ *
+ * @property {HeatmapImageryProvider.Point[]} [points] 要绘制的加权点。必须指定 <code>points</code> 或 <code>entities</code> 之一。
+ * @property {EntityCollection} [entities] 要绘制的实体集合。实体的位置在构建热力图时采样，权重取自名为 <code>weightPropertyName</code> 的实体属性。
+ * @property {string} [weightPropertyName="weight"] 当使用 <code>entities</code> 时，包含实体权重的属性名称。没有该属性的实体权重为 1.0。
+ * @property {number} [radius=20.0] 每个点的核半径（以像素为单位）。
+ * @property {object} [gradient] 将 0.0 到 1.0 之间的密度比例映射到 {@link Color} 的对象，例如 <code>{ 0.4: Cesium.Color.BLUE, 1.0: Cesium.Color.RED }</code>。默认从透明的蓝色渐变为红色。
+ * @property {number} [minimum=0.0] 映射到渐变起点的密度值。小于或等于此值的像素是透明的。
+ * @property {number} [maximum] 映射到渐变终点的密度值。如果未定义，则根据每个细节级别中数据的最大密度自适应计算，使同一级别的瓦片之间颜色一致。
+ * @property {Clock} [clock] 用于确定时间维度值的 Clock 实例。当指定 <code>times</code> 时必需。
+ * @property {TimeIntervalCollection} [times] 用于对数据进行时间切片的时间区间集合。热力图随时钟在各时间区间之间变化。
+ * @property {TilingScheme} [tilingScheme=new GeographicTilingScheme()] 绘制瓦片的平铺方案。
+ * @property {Ellipsoid} [ellipsoid] 椭球体。如果指定了 tilingScheme，则此参数将被忽略，使用平铺方案的椭球体。如果两个参数都未指定，则使用默认椭球体。
+ * @property {number} [tileWidth=256] 每个瓦片的宽度（以像素为单位）。
+ * @property {number} [tileHeight=256] 每个瓦片的高度（以像素为单位）。
+ * @property {number} [minimumLevel=0] 影像提供者支持的最小细节级别。
+ * @property {number} [maximumLevel] 影像提供者支持的最大细节级别，如果没有限制则为 undefined。
+ * @property {Credit|string} [credit] 数据源的信用信息。
+ */
+
+/**
+ * 一个 {@link ImageryProvider}，将加权点或实体的核密度估计渲染为热力图，并贴合在地形上。
+ * 每个瓦片单独计算密度，并包含瓦片边缘附近的点，因此瓦片之间没有接缝。
+ *
+ * @alias HeatmapImageryProvider
+ * @constructor
+ *
+ * @param {HeatmapImageryProvider.ConstructorOptions} options 描述初始化选项的对象
+ *
+ * @example
+ * const provider = new Cesium.HeatmapImageryProvider({
+ *   points: [
+ *     { position: Cesium.Cartographic.fromDegrees(-75.6, 40.0), weight: 2.0 },
+ *     { position: Cesium.Cartographic.fromDegrees(-75.5, 40.1) },
+ *   ],
+ *   radius: 30.0,
+ * });
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @example
+ * // Animate the heatmap of an entity collection with the clock, one hour at a time
+ * const provider = new Cesium.HeatmapImageryProvider({
+ *   entities: dataSource.entities,
+ *   clock: viewer.clock,
+ *   times: Cesium.TimeIntervalCollection.fromIso8601({
+ *     iso8601: "2024-01-01T00:00:00Z/2024-01-02T00:00:00Z/PT1H",
+ *   }),
+ * });
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @see GridImageryProvider
+ */
+function HeatmapImageryProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (defined(options.points) === defined(options.entities)) {
+    throw new DeveloperError(
+      "Exactly one of options.points or options.entities is required.",
+    );
+  }
+  //>>includeEnd('debug');
+
+  this._defaultAlpha = undefined;
+  this._defaultNightAlpha = undefined;
+  this._defaultDayAlpha = undefined;
+  this._defaultBrightness = undefined;
+  this._defaultContrast = undefined;
+  this._defaultHue = undefined;
+  this._defaultSaturation = undefined;
+  this._defaultGamma = undefined;
+  this._defaultMinificationFilter = undefined;
+  this._defaultMagnificationFilter = undefined;
+
+  this._tilingScheme = defined(options.tilingScheme)
+    ? options.tilingScheme
+    : new GeographicTilingScheme({ ellipsoid: options.ellipsoid });
+  this._tileWidth = defaultValue(options.tileWidth, 256);
+  this._tileHeight = defaultValue(options.tileHeight, 256);
+  this._minimumLevel = defaultValue(options.minimumLevel, 0);
+  this._maximumLevel = options.maximumLevel;
+  this._errorEvent = new Event();
+
+  let credit = options.credit;
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+
+  this._points = options.points;
+  this._entities = options.entities;
+  this._weightPropertyName = defaultValue(options.weightPropertyName, "weight");
+  this._radius = defaultValue(options.radius, 20.0);
+  this._minimum = defaultValue(options.minimum, 0.0);
+  this._maximum = options.maximum;
+  this._gradient = defaultValue(options.gradient, defaultGradient);
+  this._palette = createPalette(this._gradient);
+
+  // Projected points, indexed for each rendered time interval
+  this._snapshots = {};
+  this._snapshotKeys = [];
+
+  const that = this;
+  this._reload = undefined;
+  if (defined(options.times)) {
+    this._timeDynamicImagery = new TimeDynamicImagery({
+      clock: options.clock,
+      times: options.times,
+      requestImageFunction: function (x, y, level, request, interval) {
+        return requestImage(that, x, y, level, interval);
+      },
+      reloadFunction: function () {
+        if (defined(that._reload)) {
+          that._reload();
+        }
+      },
+    });
+  }
+  this._clock = options.clock;
+
+  if (defined(this._entities)) {
+    this._entities.collectionChanged.addEventListener(function () {
+      invalidate(that);
+    });
+  }
+}
+
+Object.defineProperties(HeatmapImageryProvider.prototype, {
+  /**
+   * 获取该提供者使用的代理。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Proxy}
+   * @readonly
+   */
+  proxy: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * 获取每个瓦片的宽度（以像素为单位）。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   */
+  tileWidth: {
+    get: function () {
+      return this._tileWidth;
+    },
+  },
+
+  /**
+   * 获取每个瓦片的高度（以像素为单位）。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   */
+  tileHeight: {
+    get: function () {
+      return this._tileHeight;
+    },
+  },
+
+  /**
+   * 获取可请求的最大细节级别。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {number|undefined}
+   * @readonly
+   */
+  maximumLevel: {
+    get: function () {
+      return this._maximumLevel;
+    },
+  },
+
+  /**
+   * 获取可请求的最小细节级别。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   */
+  minimumLevel: {
+    get: function () {
+      return this._minimumLevel;
+    },
+  },
+
+  /**
+   * 获取该提供者使用的平铺方案。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {TilingScheme}
+   * @readonly
+   */
+  tilingScheme: {
+    get: function () {
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * 获取此实例提供的影像矩形（以弧度表示）。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._tilingScheme.rectangle;
+    },
+  },
+
+  /**
+   * 获取瓦片丢弃策略。如果不是 undefined，则丢弃策略负责通过其 shouldDiscardImage 函数过滤掉“缺失”的瓦片。如果此函数返回 undefined，则不进行瓦片过滤。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {TileDiscardPolicy}
+   * @readonly
+   */
+  tileDiscardPolicy: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * 获取在影像提供者遇到异步错误时触发的事件。通过订阅该事件，您将被通知错误，并且可以潜在地从中恢复。事件监听器会接收到 {@link TileProviderError} 的实例。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * 获取在此影像提供者处于活动状态时要显示的信用。通常用于归功于影像的来源。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Credit}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+
+  /**
+   * 获取一个值，指示此影像提供者提供的图像是否包含 alpha 通道。热力图中没有数据的区域是透明的，因此始终为 true。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  hasAlphaChannel: {
+    get: function () {
+      return true;
+    },
+  },
+
+  /**
+   * 获取或设置要绘制的加权点。设置后将重新加载所有瓦片。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {HeatmapImageryProvider.Point[]|undefined}
+   */
+  points: {
+    get: function () {
+      return this._points;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      Check.defined("value", value);
+      if (defined(this._entities)) {
+        throw new DeveloperError(
+          "points cannot be set when the heatmap is created from entities.",
+        );
+      }
+      //>>includeEnd('debug');
+
+      this._points = value;
+      invalidate(this);
+    },
+  },
+
+  /**
+   * 获取要绘制的实体集合。集合中添加或移除实体时，所有瓦片将重新加载。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {EntityCollection|undefined}
+   * @readonly
+   */
+  entities: {
+    get: function () {
+      return this._entities;
+    },
+  },
+
+  /**
+   * 获取或设置每个点的核半径（以像素为单位）。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {number}
+   */
+  radius: {
+    get: function () {
+      return this._radius;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      Check.typeOf.number.greaterThan("value", value, 0.0);
+      //>>includeEnd('debug');
+
+      if (this._radius !== value) {
+        this._radius = value;
+        invalidate(this);
+      }
+    },
+  },
+
+  /**
+   * 获取或设置将密度比例映射到 {@link Color} 的渐变。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {object}
+   */
+  gradient: {
+    get: function () {
+      return this._gradient;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      Check.typeOf.object("value", value);
+      //>>includeEnd('debug');
+
+      this._gradient = value;
+      this._palette = createPalette(value);
+      reload(this);
+    },
+  },
+
+  /**
+   * 获取或设置映射到渐变起点的密度值。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {number}
+   */
+  minimum: {
+    get: function () {
+      return this._minimum;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      Check.typeOf.number("value", value);
+      //>>includeEnd('debug');
+
+      if (this._minimum !== value) {
+        this._minimum = value;
+        reload(this);
+      }
+    },
+  },
+
+  /**
+   * 获取或设置映射到渐变终点的密度值。如果为 undefined，则根据每个细节级别中数据的最大密度自适应计算。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {number|undefined}
+   */
+  maximum: {
+    get: function () {
+      return this._maximum;
+    },
+    set: function (value) {
+      if (this._maximum !== value) {
+        this._maximum = value;
+        reload(this);
+      }
+    },
+  },
+
+  /**
+   * 获取或设置用于确定时间维度值的时钟。仅在指定了 <code>times</code> 时可用。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {Clock}
+   */
+  clock: {
+    get: function () {
+      return defined(this._timeDynamicImagery)
+        ? this._timeDynamicImagery.clock
+        : this._clock;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      if (!defined(this._timeDynamicImagery)) {
+        throw new DeveloperError(
+          "clock can only be set when the heatmap is time-dynamic.",
+        );
+      }
+      //>>includeEnd('debug');
+
+      this._timeDynamicImagery.clock = value;
+    },
+  },
+
+  /**
+   * 获取或设置用于对数据进行时间切片的时间区间集合。仅在指定了 <code>times</code> 时可用。
+   * @memberof HeatmapImageryProvider.prototype
+   * @type {TimeIntervalCollection}
+   */
+  times: {
+    get: function () {
+      return defined(this._timeDynamicImagery)
+        ? this._timeDynamicImagery.times
+        : undefined;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      if (!defined(this._timeDynamicImagery)) {
+        throw new DeveloperError(
+          "times can only be set when the heatmap is time-dynamic.",
+        );
+      }
+      //>>includeEnd('debug');
+
+      this._snapshots = {};
+      this._snapshotKeys = [];
+      this._timeDynamicImagery.times = value;
+    },
+  },
+});
+
+/**
+ * 获取在显示给定瓦片时要显示的信用信息。
+ *
+ * @param {number} x 瓦片的 X 坐标。
+ * @param {number} y 瓦片的 Y 坐标。
+ * @param {number} level 瓦片级别；
+ * @returns {Credit[]} 在瓦片显示时要显示的信用信息。
+ */
+HeatmapImageryProvider.prototype.getTileCredits = function (x, y, level) {
+  return undefined;
+};
+
+/**
+ * 请求给定瓦片的图像。
+ *
+ * @param {number} x 瓦片的 X 坐标。
+ * @param {number} y 瓦片的 Y 坐标。
+ * @param {number} level 瓦片级别。
+ * @param {Request} [request] 请求对象。仅供内部使用。
+ * @returns {Promise<HTMLCanvasElement>} 解析后的图像，作为 Canvas DOM 对象。
+ */
+HeatmapImageryProvider.prototype.requestImage = function (
+  x,
+  y,
+  level,
+  request,
+) {
+  let result;
+  const timeDynamicImagery = this._timeDynamicImagery;
+  let currentInterval;
+
+  // Try and load from cache
+  if (defined(timeDynamicImagery)) {
+    currentInterval = timeDynamicImagery.currentInterval;
+    result = timeDynamicImagery.getFromCache(x, y, level, request);
+  }
+
+  if (!defined(result)) {
+    result = requestImage(this, x, y, level, currentInterval);
+  }
+
+  // If we are approaching an interval, render this tile for the next interval
+  if (defined(request) && defined(timeDynamicImagery)) {
+    timeDynamicImagery.checkApproachingInterval(x, y, level, request);
+  }
+
+  return result;
+};
+
+/**
+ * 此影像提供者当前不支持特征挑选，因此此函数仅返回
+ * undefined。
+ *
+ * @param {number} x 瓦片的 X 坐标。
+ * @param {number} y 瓦片的 Y 坐标。
+ * @param {number} level 瓦片级别。
+ * @param {number} longitude 要挑选特征时的经度。
+ * @param {number} latitude  要挑选特征时的纬度。
+ * @return {undefined} 由于不支持挑选，因此返回 undefined。
+ */
+HeatmapImageryProvider.prototype.pickFeatures = function (
+  x,
+  y,
+  level,
+  longitude,
+  latitude,
+) {
+  return undefined;
+};
+
+/**
+ * Computes the kernel density of the points near a tile. Each pixel holds the sum of the
+ * weights of the points within <code>radius</code> pixels, scaled by a quartic kernel.
+ *
+ * @param {number} x The X coordinate of the tile.
+ * @param {number} y The Y coordinate of the tile.
+ * @param {number} level The tile level.
+ * @param {TimeInterval} [interval] The time interval of the points, if the heatmap is time-dynamic.
+ * @returns {Float32Array} The density of each pixel, row by row from the north-west corner.
+ *
+ * @private
+ */
+HeatmapImageryProvider.prototype.computeDensity = function (
+  x,
+  y,
+  level,
+  interval,
+) {
+  const width = this._tileWidth;
+  const height = this._tileHeight;
+  const density = new Float32Array(width * height);
+
+  const snapshot = getSnapshot(this, interval);
+  if (snapshot.length === 0) {
+    return density;
+  }
+
+  const nativeRectangle = projectRectangle(
+    this._tilingScheme,
+    this._tilingScheme.tileXYToRectangle(x, y, level, scratchRectangle),
+    scratchNativeRectangle,
+  );
+  const pixelWidth = (nativeRectangle.east - nativeRectangle.west) / width;
+  const pixelHeight = (nativeRectangle.north - nativeRectangle.south) / height;
+  const radius = this._radius;
+  const radiusX = radius * pixelWidth;
+  const radiusY = radius * pixelHeight;
+  const radiusSquared = radius * radius;
+
+  const xs = snapshot.xs;
+  const ys = snapshot.ys;
+  const weights = snapshot.weights;
+  const worldWidth = snapshot.worldWidth;
+
+  // Include the copies of the points on the other side of the anti-meridian
+  for (let offset = -1; offset <= 1; ++offset) {
+    const shift = offset * worldWidth;
+    const ids = snapshot.tree.range(
+      nativeRectangle.west - shift - radiusX,
+      nativeRectangle.south - radiusY,
+      nativeRectangle.east - shift + radiusX,
+      nativeRectangle.north + radiusY,
+    );
+
+    for (let i = 0; i < ids.length; ++i) {
+      const id = ids[i];
+      const px = (xs[id] + shift - nativeRectangle.west) / pixelWidth;
+      const py = (nativeRectangle.north - ys[id]) / pixelHeight;
+      const weight = weights[id];
+
+      const minColumn = Math.max(Math.ceil(px - radius - 0.5), 0);
+      const maxColumn = Math.min(Math.floor(px + radius - 0.5), width - 1);
+      const minRow = Math.max(Math.ceil(py - radius - 0.5), 0);
+      const maxRow = Math.min(Math.floor(py + radius - 0.5), height - 1);
+
+      for (let row = minRow; row <= maxRow; ++row) {
+        const dy = row + 0.5 - py;
+        for (let column = minColumn; column <= maxColumn; ++column) {
+          const dx = column + 0.5 - px;
+          const t = 1.0 - (dx * dx + dy * dy) / radiusSquared;
+          if (t > 0.0) {
+            density[row * width + column] += weight * t * t;
+          }
+        }
+      }
+    }
+  }
+
+  return density;
+};
+
+/**
+ * Gets the density mapped to the end of the gradient for a level, either the fixed maximum
+ * or the largest density at the location of any point at that level.
+ *
+ * @param {number} level The tile level.
+ * @param {TimeInterval} [interval] The time interval of the points, if the heatmap is time-dynamic.
+ * @returns {number} The maximum density.
+ *
+ * @private
+ */
+HeatmapImageryProvider.prototype.getMaximum = function (level, interval) {
+  if (defined(this._maximum)) {
+    return this._maximum;
+  }
+
+  const snapshot = getSnapshot(this, interval);
+  let maximum = snapshot.maximums[level];
+  if (defined(maximum)) {
+    return maximum;
+  }
+
+  const tilingScheme = this._tilingScheme;
+  const nativeRectangle = projectRectangle(
+    tilingScheme,
+    tilingScheme.tileXYToRectangle(0, 0, level, scratchRectangle),
+    scratchNativeRectangle,
+  );
+  const pixelWidth =
+    (nativeRectangle.east - nativeRectangle.west) / this._tileWidth;
+  const pixelHeight =
+    (nativeRectangle.north - nativeRectangle.south) / this._tileHeight;
+  const radius = this._radius;
+  const radiusSquared = radius * radius;
+
+  const xs = snapshot.xs;
+  const ys = snapshot.ys;
+  const weights = snapshot.weights;
+  const tree = snapshot.tree;
+
+  maximum = 0.0;
+  for (let i = 0; i < snapshot.length; ++i) {
+    const ids = tree.range(
+      xs[i] - radius * pixelWidth,
+      ys[i] - radius * pixelHeight,
+      xs[i] + radius * pixelWidth,
+      ys[i] + radius * pixelHeight,
+    );
+
+    let sum = 0.0;
+    for (let j = 0; j < ids.length; ++j) {
+      const id = ids[j];
+      const dx = (xs[id] - xs[i]) / pixelWidth;
+      const dy = (ys[id] - ys[i]) / pixelHeight;
+      const t = 1.0 - (dx * dx + dy * dy) / radiusSquared;
+      if (t > 0.0) {
+        sum += weights[id] * t * t;
+      }
+    }
+    maximum = Math.max(maximum, sum);
+  }
+
+  snapshot.maximums[level] = maximum;
+  return maximum;
+};
+
+function requestImage(provider, x, y, level, interval) {
+  const width = provider._tileWidth;
+  const height = provider._tileHeight;
+  const density = provider.computeDensity(x, y, level, interval);
+  const minimum = provider._minimum;
+  const range = provider.getMaximum(level, interval) - minimum;
+  const palette = provider._palette;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext("2d");
+  const imageData = context.createImageData(width, height);
+  const pixels = imageData.data;
+
+  for (let i = 0; i < density.length; ++i) {
+    const value = density[i] - minimum;
+    if (value <= 0.0) {
+      continue;
+    }
+
+    const ratio = range > 0.0 ? Math.min(value / range, 1.0) : 1.0;
+    const index = Math.round(ratio * 255.0) * 4;
+    const offset = i * 4;
+    pixels[offset] = palette[index];
+    pixels[offset + 1] = palette[index + 1];
+    pixels[offset + 2] = palette[index + 2];
+    pixels[offset + 3] = palette[index + 3];
+  }
+
+  context.putImageData(imageData, 0, 0);
+  return Promise.resolve(canvas);
+}
+
+const scratchColor = new Color();
+
+/**
+ * Samples a gradient into a table of 256 RGBA colors.
+ *
+ * @private
+ */
+function createPalette(gradient) {
+  const stops = Object.keys(gradient)
+    .map(function (key) {
+      return {
+        ratio: CesiumMath.clamp(Number(key), 0.0, 1.0),
+        color: gradient[key],
+      };
+    })
+    .sort(function (a, b) {
+      return a.ratio - b.ratio;
+    });
+
+  //>>includeStart('debug', pragmas.debug);
+  if (stops.length === 0) {
+    throw new DeveloperError("gradient must have at least one color.");
+  }
+  //>>includeEnd('debug');
+
+  const palette = new Uint8ClampedArray(256 * 4);
+  let stop = 0;
+  for (let i = 0; i < 256; ++i) {
+    const ratio = i / 255.0;
+    while (stop < stops.length - 1 && stops[stop + 1].ratio < ratio) {
+      ++stop;
+    }
+
+    const start = stops[stop];
+    const end = stops[Math.min(stop + 1, stops.length - 1)];
+    const length = end.ratio - start.ratio;
+    const t =
+      length > 0.0 ? CesiumMath.clamp((ratio - start.ratio) / length, 0, 1) : 0;
+    const color = Color.lerp(start.color, end.color, t, scratchColor);
+
+    const offset = i * 4;
+    palette[offset] = Color.floatToByte(color.red);
+    palette[offset + 1] = Color.floatToByte(color.green);
+    palette[offset + 2] = Color.floatToByte(color.blue);
+    palette[offset + 3] = Color.floatToByte(color.alpha);
+  }
+
+  return palette;
+}
+
+const scratchCartographic = new Cartographic();
+
+/**
+ * Collects the positions and weights of the points drawn in an interval.
+ *
+ * @private
+ */
+function getPoints(provider, interval) {
+  const result = [];
+  const timeDynamic = defined(provider._timeDynamicImagery);
+  const points = provider._points;
+  if (defined(points)) {
+    for (let i = 0; i < points.length; ++i) {
+      const point = points[i];
+      if (
+        timeDynamic &&
+        defined(point.time) &&
+        (!defined(interval) || !TimeInterval.contains(interval, point.time))
+      ) {
+        continue;
+      }
+      result.push({
+        position: point.position,
+        weight: defaultValue(point.weight, 1.0),
+      });
+    }
+    return result;
+  }
+
+  let time;
+  if (defined(interval)) {
+    time = interval.start;
+  } else if (defined(provider._clock)) {
+    time = provider._clock.currentTime;
+  } else {
+    time = JulianDate.now();
+  }
+
+  const ellipsoid = provider._tilingScheme.ellipsoid;
+  const weightPropertyName = provider._weightPropertyName;
+  const entities = provider._entities.values;
+  for (let i = 0; i < entities.length; ++i) {
+    const entity = entities[i];
+    if (!defined(entity.position) || !entity.isAvailable(time)) {
+      continue;
+    }
+
+    const position = entity.position.getValue(time);
+    if (!defined(position)) {
+      continue;
+    }
+    const cartographic = ellipsoid.cartesianToCartographic(
+      position,
+      scratchCartographic,
+    );
+    if (!defined(cartographic)) {
+      continue;
+    }
+
+    let weight = 1.0;
+    const properties = entity.properties;
+    if (defined(properties) && properties.hasProperty(weightPropertyName)) {
+      weight = defaultValue(properties[weightPropertyName].getValue(time), 1.0);
+    }
+
+    result.push({
+      position: Cartographic.clone(cartographic),
+      weight: weight,
+    });
+  }
+  return result;
+}
+
+/**
+ * Gets the points of an interval projected into the tiling scheme and indexed, creating them
+ * the first time the interval is rendered.
+ *
+ * @private
+ */
+function getSnapshot(provider, interval) {
+  const key = defined(interval)
+    ? JulianDate.toIso8601(interval.start)
+    : "static";
+  let snapshot = provider._snapshots[key];
+  if (defined(snapshot)) {
+    return snapshot;
+  }
+
+  const points = getPoints(provider, interval);
+  const length = points.length;
+  const projection = provider._tilingScheme.projection;
+  const rectangle = provider._tilingScheme.rectangle;
+
+  const xs = new Float64Array(length);
+  const ys = new Float64Array(length);
+  const weights = new Float64Array(length);
+  const tree = new KDBush(Math.max(length, 1), 64, Float64Array);
+  for (let i = 0; i < length; ++i) {
+    const point = points[i];
+    const cartographic = Cartographic.clone(
+      point.position,
+      scratchCartographic,
+    );
+    cartographic.latitude = CesiumMath.clamp(
+      cartographic.latitude,
+      rectangle.south,
+      rectangle.north,
+    );
+    const projected = projection.project(cartographic);
+    xs[i] = projected.x;
+    ys[i] = projected.y;
+    weights[i] = point.weight;
+    tree.add(projected.x, projected.y);
+  }
+  if (length === 0) {
+    tree.add(0.0, 0.0);
+  }
+  tree.finish();
+
+  const nativeRectangle = projectRectangle(
+    provider._tilingScheme,
+    rectangle,
+    scratchNativeRectangle,
+  );
+
+  snapshot = {
+    length: length,
+    xs: xs,
+    ys: ys,
+    weights: weights,
+    tree: tree,
+    worldWidth: nativeRectangle.east - nativeRectangle.west,
+    maximums: {},
+  };
+
+  const keys = provider._snapshotKeys;
+  keys.push(key);
+  if (keys.length > maximumSnapshotCount) {
+    delete provider._snapshots[keys.shift()];
+  }
+  provider._snapshots[key] = snapshot;
+
+  return snapshot;
+}
+
+/**
+ * Projects a rectangle with the projection of a tiling scheme. Unlike the native rectangles of
+ * the tiling schemes, which are in degrees for a {@link GeographicTilingScheme}, the result is in
+ * the same units as the projected points.
+ *
+ * @private
+ */
+function projectRectangle(tilingScheme, rectangle, result) {
+  const projection = tilingScheme.projection;
+  const southwest = projection.project(
+    Rectangle.southwest(rectangle, scratchSouthwest),
+  );
+  const northeast = projection.project(
+    Rectangle.northeast(rectangle, scratchNortheast),
+  );
+  result.west = southwest.x;
+  result.south = southwest.y;
+  result.east = northeast.x;
+  result.north = northeast.y;
+  return result;
+}
+
+function invalidate(provider) {
+  provider._snapshots = {};
+  provider._snapshotKeys = [];
+  reload(provider);
+}
+
+function reload(provider) {
+  if (defined(provider._reload)) {
+    provider._reload();
+  }
+}
+
+export default HeatmapImageryProvider;
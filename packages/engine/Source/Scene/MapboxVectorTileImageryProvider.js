@@ -0,0 +1,630 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import Credit from "../Core/Credit.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Event from "../Core/Event.js";
+import Rectangle from "../Core/Rectangle.js";
+import Resource from "../Core/Resource.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import TaskProcessor from "../Core/TaskProcessor.js";
+import WebMercatorTilingScheme from "../Core/WebMercatorTilingScheme.js";
+import ImageryLayerFeatureInfo from "./ImageryLayerFeatureInfo.js";
+import MapboxVectorTileStyle from "./MapboxVectorTileStyle.js";
+
+// Decoded tiles are kept around so picking doesn't have to request them again
+const maximumCachedTiles = 32;
+
+// Mapbox GL styles are designed for 512x512 tiles
+const styleTileSize = 512;
+
+const scratchCartographic = new Cartographic();
+const scratchProjected = new Cartesian3();
+const scratchRectangle = new Rectangle();
+
+const decodeTaskProcessor = new TaskProcessor("decodeMapboxVectorTile");
+
+/**
+ * @typedef {object} MapboxVectorTileImageryProvider.ConstructorOptions
+ *
+ * MapboxVectorTileImageryProvider 构造函数的初始化选项
+ *
+ * @property {object} style 用于渲染瓦片的 Mapbox GL 样式 JSON 对象。支持 background、fill、line 和仅包含文本的 symbol 图层，
+ *                    以及旧版过滤器、随缩放级别变化的 stops 函数和常用表达式。
+ * @property {string} [source] 要渲染的样式矢量源的名称。默认为样式中第一个类型为 <code>"vector"</code> 的源。
+ * @property {Resource|string} [url] 矢量瓦片的 URL 模板，包含 <code>{z}</code>、<code>{x}</code> 和 <code>{y}</code> 关键字。
+ *                    如果未指定，则使用样式源的第一个 <code>tiles</code> URL。
+ * @property {number} [tileWidth=512] 每个渲染瓦片的宽度（以像素为单位）。
+ * @property {number} [tileHeight=512] 每个渲染瓦片的高度（以像素为单位）。
+ * @property {number} [minimumLevel] 影像提供者支持的最小细节级别。默认为样式源的 <code>minzoom</code>，如果未定义则为 0。
+ * @property {number} [maximumLevel] 影像提供者支持的最大细节级别，如果没有限制则为 undefined。
+ * @property {number} [maximumNativeLevel] 服务器提供矢量瓦片的最大级别。更高级别的瓦片将通过放大该级别的矢量瓦片在客户端渲染。
+ *                    默认为样式源的 <code>maxzoom</code>。
+ * @property {Rectangle} [rectangle=Rectangle.MAX_VALUE] 影像覆盖的矩形区域（以弧度表示）。
+ * @property {TilingScheme} [tilingScheme=WebMercatorTilingScheme] 矢量瓦片的瓦片方案。
+ * @property {Ellipsoid} [ellipsoid] 椭球体。如果指定了 tilingScheme，则忽略此参数。
+ * @property {Credit|string} [credit] 数据源的信用信息。默认为样式源的 <code>attribution</code>。
+ * @property {boolean} [enablePickFeatures=true] 如果为 true，{@link MapboxVectorTileImageryProvider#pickFeatures} 将返回瓦片中位于拾取位置的要素。
+ */
+
+/**
+ * 提供在客户端从 Mapbox Vector Tile (<code>.pbf</code>) 瓦片渲染的影像。瓦片在 Web Worker 中解码，
+ * 然后使用 Mapbox GL 样式规范的子集绘制到画布上。
+ *
+ * @alias MapboxVectorTileImageryProvider
+ * @constructor
+ *
+ * @param {MapboxVectorTileImageryProvider.ConstructorOptions} options 描述初始化选项的对象
+ *
+ * @exception {DeveloperError} options.url is required when the style source has no tiles.
+ *
+ * @example
+ * const provider = new Cesium.MapboxVectorTileImageryProvider({
+ *   url: "https://tiles.example.com/basemap/{z}/{x}/{y}.pbf",
+ *   maximumNativeLevel: 14,
+ *   style: {
+ *     version: 8,
+ *     sources: {
+ *       basemap: { type: "vector" },
+ *     },
+ *     layers: [
+ *       {
+ *         id: "water",
+ *         type: "fill",
+ *         source: "basemap",
+ *         "source-layer": "water",
+ *         paint: { "fill-color": "#a0c8f0" },
+ *       },
+ *       {
+ *         id: "roads",
+ *         type: "line",
+ *         source: "basemap",
+ *         "source-layer": "transportation",
+ *         paint: {
+ *           "line-color": "#ffffff",
+ *           "line-width": { base: 1.4, stops: [[6, 0.5], [20, 30]] },
+ *         },
+ *       },
+ *     ],
+ *   },
+ * });
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @see MapboxVectorTileImageryProvider.fromUrl
+ * @see {@link https://github.com/mapbox/vector-tile-spec|Mapbox Vector Tile Specification}
+ * @see {@link https://docs.mapbox.com/style-spec/reference/|Mapbox Style Specification}
+ */
+function MapboxVectorTileImageryProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const style = options.style;
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.style", style);
+  //>>includeEnd('debug');
+
+  const sourceName = defaultValue(options.source, findVectorSource(style));
+  const source = defined(style.sources)
+    ? defaultValue(style.sources[sourceName], defaultValue.EMPTY_OBJECT)
+    : defaultValue.EMPTY_OBJECT;
+
+  let url = options.url;
+  if (!defined(url) && defined(source.tiles)) {
+    url = source.tiles[0];
+  }
+
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(url)) {
+    throw new DeveloperError(
+      "options.url is required when the style source has no tiles.",
+    );
+  }
+  //>>includeEnd('debug');
+
+  this._resource = Resource.createIfNeeded(url);
+  this._style = new MapboxVectorTileStyle(style, sourceName);
+  this._source = sourceName;
+
+  this._tileWidth = defaultValue(options.tileWidth, styleTileSize);
+  this._tileHeight = defaultValue(options.tileHeight, styleTileSize);
+  this._minimumLevel = defaultValue(
+    options.minimumLevel,
+    defaultValue(source.minzoom, 0),
+  );
+  this._maximumLevel = options.maximumLevel;
+  this._maximumNativeLevel = defaultValue(
+    options.maximumNativeLevel,
+    source.maxzoom,
+  );
+
+  this._tilingScheme = defaultValue(
+    options.tilingScheme,
+    new WebMercatorTilingScheme({ ellipsoid: options.ellipsoid }),
+  );
+  this._rectangle = Rectangle.intersection(
+    defaultValue(options.rectangle, this._tilingScheme.rectangle),
+    this._tilingScheme.rectangle,
+  );
+
+  let credit = defaultValue(options.credit, source.attribution);
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+
+  this._errorEvent = new Event();
+  this._tileCache = new Map();
+
+  this._defaultAlpha = undefined;
+  this._defaultNightAlpha = undefined;
+  this._defaultDayAlpha = undefined;
+  this._defaultBrightness = undefined;
+  this._defaultContrast = undefined;
+  this._defaultHue = undefined;
+  this._defaultSaturation = undefined;
+  this._defaultGamma = undefined;
+  this._defaultMinificationFilter = undefined;
+  this._defaultMagnificationFilter = undefined;
+
+  /**
+   * 获取或设置一个值，指示是否启用要素拾取。如果为 true，{@link MapboxVectorTileImageryProvider#pickFeatures}
+   * 将返回瓦片中位于拾取位置的要素及其属性。如果为 false，{@link MapboxVectorTileImageryProvider#pickFeatures} 将立即返回 undefined。
+   * @type {boolean}
+   * @default true
+   */
+  this.enablePickFeatures = defaultValue(options.enablePickFeatures, true);
+}
+
+function findVectorSource(style) {
+  const sources = defaultValue(style.sources, defaultValue.EMPTY_OBJECT);
+  for (const name in sources) {
+    if (sources.hasOwnProperty(name) && sources[name].type === "vector") {
+      return name;
+    }
+  }
+  return undefined;
+}
+
+Object.defineProperties(MapboxVectorTileImageryProvider.prototype, {
+  /**
+   * 获取矢量瓦片的 URL 模板。
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {string}
+   * @readonly
+   */
+  url: {
+    get: function () {
+      return this._resource.url;
+    },
+  },
+
+  /**
+   * 获取渲染的样式矢量源的名称。
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {string|undefined}
+   * @readonly
+   */
+  source: {
+    get: function () {
+      return this._source;
+    },
+  },
+
+  /**
+   * 获取此提供者使用的代理。
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Proxy}
+   * @readonly
+   */
+  proxy: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * 获取每个瓦片的宽度（以像素为单位）。
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   */
+  tileWidth: {
+    get: function () {
+      return this._tileWidth;
+    },
+  },
+
+  /**
+   * 获取每个瓦片的高度（以像素为单位）。
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   */
+  tileHeight: {
+    get: function () {
+      return this._tileHeight;
+    },
+  },
+
+  /**
+   * 获取可以请求的最大细节级别。
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {number|undefined}
+   * @readonly
+   */
+  maximumLevel: {
+    get: function () {
+      return this._maximumLevel;
+    },
+  },
+
+  /**
+   * 获取可以请求的最小细节级别。
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   */
+  minimumLevel: {
+    get: function () {
+      return this._minimumLevel;
+    },
+  },
+
+  /**
+   * 获取服务器提供矢量瓦片的最大级别。更高级别的瓦片通过放大该级别的矢量瓦片进行渲染。
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {number|undefined}
+   * @readonly
+   */
+  maximumNativeLevel: {
+    get: function () {
+      return this._maximumNativeLevel;
+    },
+  },
+
+  /**
+   * 获取此提供者使用的瓦片方案。
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {TilingScheme}
+   * @readonly
+   */
+  tilingScheme: {
+    get: function () {
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * 获取此实例提供的影像的矩形，单位为弧度。
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * 获取瓦片丢弃策略。矢量瓦片在客户端渲染，因此始终为 undefined。
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {TileDiscardPolicy}
+   * @readonly
+   */
+  tileDiscardPolicy: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * 获取当影像提供者遇到异步错误时触发的事件。通过订阅
+   * 此事件，您将被通知错误并可能能够从中恢复。事件监听器
+   * 会接收一个 {@link TileProviderError} 的实例。
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * 获取在此影像提供者激活时显示的信用信息。
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {Credit}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+
+  /**
+   * 获取一个值，指示此影像提供者提供的图像是否包含 alpha 通道。
+   * 渲染的瓦片在没有要素的地方是透明的，因此始终为 true。
+   * @memberof MapboxVectorTileImageryProvider.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  hasAlphaChannel: {
+    get: function () {
+      return true;
+    },
+  },
+});
+
+/**
+ * 根据 Mapbox GL 样式的 URL 创建 {@link MapboxVectorTileImageryProvider}。如果样式的矢量源引用了 TileJSON，
+ * 则也会请求该 TileJSON 以获取瓦片 URL、级别范围和信用信息。相对 URL 相对于样式的 URL 进行解析。
+ *
+ * @param {Resource|string} url 样式 JSON 的 URL。
+ * @param {MapboxVectorTileImageryProvider.ConstructorOptions} [options] 描述初始化选项的对象。<code>style</code> 属性将被忽略。
+ * @returns {Promise<MapboxVectorTileImageryProvider>} 一个承诺，解析为创建的 MapboxVectorTileImageryProvider。
+ *
+ * @exception {RuntimeError} The style does not have a vector source.
+ *
+ * @example
+ * const provider = await Cesium.MapboxVectorTileImageryProvider.fromUrl(
+ *   "https://tiles.example.com/styles/basemap/style.json"
+ * );
+ * viewer.imageryLayers.addImageryProvider(provider);
+ */
+MapboxVectorTileImageryProvider.fromUrl = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const resource = Resource.createIfNeeded(url);
+  const style = await resource.fetchJson();
+
+  const sourceName = defaultValue(options.source, findVectorSource(style));
+  const source = defined(style.sources) ? style.sources[sourceName] : undefined;
+  if (!defined(source)) {
+    throw new RuntimeError("The style does not have a vector source.");
+  }
+
+  let tileJson = source;
+  if (!defined(source.tiles) && defined(source.url)) {
+    const tileJsonResource = resource.getDerivedResource({
+      url: source.url,
+    });
+    tileJson = await tileJsonResource.fetchJson();
+    tileJson.tiles = tileJson.tiles.map(function (tileUrl) {
+      return tileJsonResource.getDerivedResource({ url: tileUrl }).url;
+    });
+  } else if (defined(source.tiles)) {
+    tileJson = Object.assign({}, source, {
+      tiles: source.tiles.map(function (tileUrl) {
+        return resource.getDerivedResource({ url: tileUrl }).url;
+      }),
+    });
+  }
+
+  const sources = Object.assign({}, style.sources);
+  sources[sourceName] = Object.assign({}, source, tileJson);
+
+  return new MapboxVectorTileImageryProvider(
+    Object.assign({}, options, {
+      style: Object.assign({}, style, { sources: sources }),
+      source: sourceName,
+    }),
+  );
+};
+
+function getNativeTile(provider, x, y, level) {
+  const maximumNativeLevel = provider._maximumNativeLevel;
+  const nativeLevel = defined(maximumNativeLevel)
+    ? Math.min(level, maximumNativeLevel)
+    : level;
+  const scale = Math.pow(2, level - nativeLevel);
+  return {
+    x: Math.floor(x / scale),
+    y: Math.floor(y / scale),
+    level: nativeLevel,
+    scale: scale,
+  };
+}
+
+// Mapbox GL zoom levels correspond to 512 pixel tiles
+function getZoom(provider, level) {
+  return level + Math.log2(provider._tileWidth / styleTileSize);
+}
+
+function loadTile(provider, nativeTile, request) {
+  const key = `${nativeTile.level}/${nativeTile.x}/${nativeTile.y}`;
+  const tileCache = provider._tileCache;
+  let promise = tileCache.get(key);
+  if (defined(promise)) {
+    return promise;
+  }
+
+  const resource = provider._resource.getDerivedResource({
+    templateValues: {
+      x: nativeTile.x,
+      y: nativeTile.y,
+      z: nativeTile.level,
+    },
+    request: request,
+  });
+
+  const bufferPromise = resource.fetchArrayBuffer();
+  if (!defined(bufferPromise)) {
+    return undefined;
+  }
+
+  promise = bufferPromise.then(function (buffer) {
+    // Servers may respond with no content for empty tiles
+    if (!defined(buffer) || buffer.byteLength === 0) {
+      return {};
+    }
+    return decodeTaskProcessor.scheduleTask(
+      {
+        buffer: buffer,
+      },
+      [buffer],
+    );
+  });
+
+  tileCache.set(key, promise);
+  if (tileCache.size > maximumCachedTiles) {
+    tileCache.delete(tileCache.keys().next().value);
+  }
+  promise.catch(function () {
+    tileCache.delete(key);
+  });
+
+  return promise;
+}
+
+/**
+ * 获取在显示给定瓦片时要显示的信用信息。
+ *
+ * @param {number} x 瓦片的X坐标。
+ * @param {number} y 瓦片的Y坐标。
+ * @param {number} level 瓦片的级别；
+ * @returns {Credit[]} 显示瓦片时要展示的信用信息。
+ */
+MapboxVectorTileImageryProvider.prototype.getTileCredits = function (
+  x,
+  y,
+  level,
+) {
+  return undefined;
+};
+
+/**
+ * 请求给定瓦片的图像。矢量瓦片在 Web Worker 中解码，然后使用样式绘制到画布上。
+ *
+ * @param {number} x 瓦片的X坐标。
+ * @param {number} y 瓦片的Y坐标。
+ * @param {number} level 瓦片的级别。
+ * @param {Request} [request] 请求对象。仅用于内部使用。
+ * @returns {Promise<HTMLCanvasElement>|undefined} 一个渲染瓦片的承诺，当图像可用时将解析，或者
+ *          如果对服务器的活动请求过多，则返回undefined，该请求应在稍后重试。
+ */
+MapboxVectorTileImageryProvider.prototype.requestImage = function (
+  x,
+  y,
+  level,
+  request,
+) {
+  const nativeTile = getNativeTile(this, x, y, level);
+  const promise = loadTile(this, nativeTile, request);
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  const that = this;
+  return promise.then(function (tile) {
+    const tileWidth = that._tileWidth;
+    const tileHeight = that._tileHeight;
+    const scale = nativeTile.scale;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = tileWidth;
+    canvas.height = tileHeight;
+    that._style.render(canvas.getContext("2d"), tile, {
+      zoom: getZoom(that, level),
+      size: tileWidth * scale,
+      offsetX: (x - nativeTile.x * scale) * tileWidth,
+      offsetY: (y - nativeTile.y * scale) * tileHeight,
+    });
+    return canvas;
+  });
+};
+
+/**
+ * 异步确定给定经度和纬度处瓦片中绘制的要素。返回的 {@link ImageryLayerFeatureInfo} 的
+ * <code>properties</code> 是矢量瓦片要素的属性，<code>data</code> 是一个包含 <code>layer</code>（样式图层 ID）、
+ * <code>sourceLayer</code> 和解码后的 <code>feature</code> 的对象。
+ *
+ * @param {number} x 瓦片的X坐标。
+ * @param {number} y 瓦片的Y坐标。
+ * @param {number} level 瓦片的级别。
+ * @param {number} longitude 要拾取要素的经度。
+ * @param {number} latitude 要拾取要素的纬度。
+ * @return {Promise<ImageryLayerFeatureInfo[]>|undefined} 一个关于被拾取要素的承诺，当异步拾取完成时将解析。要素按从上到下的顺序排列。
+ *                   如果在给定位置没有找到要素，数组可能为空。如果禁用了拾取，则返回 undefined。
+ */
+MapboxVectorTileImageryProvider.prototype.pickFeatures = function (
+  x,
+  y,
+  level,
+  longitude,
+  latitude,
+) {
+  if (!this.enablePickFeatures) {
+    return undefined;
+  }
+
+  const nativeTile = getNativeTile(this, x, y, level);
+  const promise = loadTile(this, nativeTile);
+  if (!defined(promise)) {
+    return undefined;
+  }
+
+  const tilingScheme = this._tilingScheme;
+  const projection = tilingScheme.projection;
+  const rectangle = tilingScheme.tileXYToNativeRectangle(
+    nativeTile.x,
+    nativeTile.y,
+    nativeTile.level,
+    scratchRectangle,
+  );
+  const projected = projection.project(
+    Cartographic.fromRadians(longitude, latitude, 0.0, scratchCartographic),
+    scratchProjected,
+  );
+
+  const size = this._tileWidth * nativeTile.scale;
+  const west = rectangle.west;
+  const north = rectangle.north;
+  const width = rectangle.east - west;
+  const height = north - rectangle.south;
+  const pixelX = ((projected.x - west) / width) * size;
+  const pixelY = ((north - projected.y) / height) * size;
+  const zoom = getZoom(this, level);
+
+  const that = this;
+  return promise.then(function (tile) {
+    const picked = that._style.pickFeatures(tile, {
+      zoom: zoom,
+      size: size,
+      x: pixelX,
+      y: pixelY,
+    });
+
+    return picked.map(function (result) {
+      const feature = result.feature;
+      const featureInfo = new ImageryLayerFeatureInfo();
+      featureInfo.data = result;
+      featureInfo.properties = feature.properties;
+      featureInfo.configureNameFromProperties(feature.properties);
+      featureInfo.configureDescriptionFromProperties(feature.properties);
+
+      // If this is a single point, use its position rather than the picked one
+      const parts = feature.geometry;
+      if (feature.type === 1 && parts.length === 1) {
+        const extent = tile[result.sourceLayer].extent;
+        featureInfo.position = projection.unproject(
+          new Cartesian3(
+            west + (parts[0][0] / extent) * width,
+            north - (parts[0][1] / extent) * height,
+          ),
+        );
+      }
+
+      return featureInfo;
+    });
+  });
+};
+
+export default MapboxVectorTileImageryProvider;
@@ -0,0 +1,971 @@
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import CesiumMath from "../Core/Math.js";
+
+const geometryTypes = ["Unknown", "Point", "LineString", "Polygon"];
+
+const supportedLayerTypes = ["background", "fill", "line", "symbol"];
+
+const fontWeights = {
+  thin: "100",
+  light: "300",
+  regular: "400",
+  medium: "500",
+  semibold: "600",
+  bold: "700",
+  black: "900",
+};
+
+const textAlignments = {
+  center: ["center", "middle"],
+  left: ["left", "middle"],
+  right: ["right", "middle"],
+  top: ["center", "top"],
+  bottom: ["center", "bottom"],
+  "top-left": ["left", "top"],
+  "top-right": ["right", "top"],
+  "bottom-left": ["left", "bottom"],
+  "bottom-right": ["right", "bottom"],
+};
+
+const scratchColor0 = new Color();
+const scratchColor1 = new Color();
+
+/**
+ * A subset of the Mapbox GL style specification used to rasterize vector tiles
+ * with a 2D canvas. Background, fill, line and text-only symbol layers are
+ * supported, along with legacy filters, zoom and property functions, and the
+ * most common expressions.
+ *
+ * @alias MapboxVectorTileStyle
+ * @constructor
+ *
+ * @param {object} style A Mapbox GL style JSON object.
+ * @param {string} [source] The name of the vector source whose layers are rendered. If undefined, layers from all sources are rendered.
+ *
+ * @see {@link https://docs.mapbox.com/style-spec/reference/|Mapbox Style Specification}
+ *
+ * @private
+ */
+function MapboxVectorTileStyle(style, source) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("style", style);
+  //>>includeEnd('debug');
+
+  const layers = defaultValue(style.layers, []).filter(function (layer) {
+    return (
+      supportedLayerTypes.indexOf(layer.type) !== -1 &&
+      (layer.type === "background" ||
+        !defined(source) ||
+        layer.source === source) &&
+      defaultValue(layer.layout, defaultValue.EMPTY_OBJECT).visibility !==
+        "none"
+    );
+  });
+
+  this._layers = layers.map(function (layer) {
+    return {
+      id: layer.id,
+      type: layer.type,
+      sourceLayer: layer["source-layer"],
+      minzoom: defaultValue(layer.minzoom, 0),
+      maxzoom: defaultValue(layer.maxzoom, 24),
+      filter: layer.filter,
+      paint: defaultValue(layer.paint, defaultValue.EMPTY_OBJECT),
+      layout: defaultValue(layer.layout, defaultValue.EMPTY_OBJECT),
+    };
+  });
+}
+
+Object.defineProperties(MapboxVectorTileStyle.prototype, {
+  /**
+   * Gets the style layers that will be rendered, in drawing order.
+   * @memberof MapboxVectorTileStyle.prototype
+   * @type {object[]}
+   * @readonly
+   */
+  layers: {
+    get: function () {
+      return this._layers;
+    },
+  },
+});
+
+function isVisible(layer, zoom) {
+  return zoom >= layer.minzoom && zoom < layer.maxzoom;
+}
+
+/**
+ * Renders a decoded vector tile to a 2D canvas context.
+ *
+ * @param {CanvasRenderingContext2D} context The context to draw to.
+ * @param {object} tile The decoded tile, as returned by {@link decodeMapboxVectorTile}.
+ * @param {object} options An object with the following properties:
+ * @param {number} options.zoom The zoom level used to evaluate the style.
+ * @param {number} options.size The size, in pixels, of the whole tile once rendered.
+ * @param {number} [options.offsetX=0] The horizontal offset, in pixels, of the context into the rendered tile.
+ * @param {number} [options.offsetY=0] The vertical offset, in pixels, of the context into the rendered tile.
+ */
+MapboxVectorTileStyle.prototype.render = function (context, tile, options) {
+  const zoom = options.zoom;
+  const transform = {
+    size: options.size,
+    offsetX: defaultValue(options.offsetX, 0),
+    offsetY: defaultValue(options.offsetY, 0),
+    scale: 1.0,
+  };
+
+  // Like Mapbox GL, labels are always drawn on top of other layers
+  const symbolLayers = [];
+  const layers = this._layers;
+  for (let i = 0; i < layers.length; ++i) {
+    const layer = layers[i];
+    if (!isVisible(layer, zoom)) {
+      continue;
+    }
+
+    if (layer.type === "background") {
+      renderBackground(context, layer, zoom);
+    } else if (layer.type === "symbol") {
+      symbolLayers.push(layer);
+    } else {
+      forEachFeature(layer, tile, zoom, transform, function (feature) {
+        if (layer.type === "fill") {
+          renderFill(context, layer, zoom, feature, transform);
+        } else {
+          renderLine(context, layer, zoom, feature, transform);
+        }
+      });
+    }
+  }
+
+  const placedLabels = [];
+  for (let i = 0; i < symbolLayers.length; ++i) {
+    const layer = symbolLayers[i];
+    forEachFeature(layer, tile, zoom, transform, function (feature) {
+      renderText(context, layer, zoom, feature, transform, placedLabels);
+    });
+  }
+
+  context.globalAlpha = 1.0;
+};
+
+/**
+ * Finds the features of a decoded tile that are drawn at a given pixel.
+ *
+ * @param {object} tile The decoded tile, as returned by {@link decodeMapboxVectorTile}.
+ * @param {object} options An object with the following properties:
+ * @param {number} options.zoom The zoom level used to evaluate the style.
+ * @param {number} options.size The size, in pixels, of the whole tile once rendered.
+ * @param {number} options.x The x coordinate of the pixel within the rendered tile.
+ * @param {number} options.y The y coordinate of the pixel within the rendered tile.
+ * @param {number} [options.tolerance=3.0] The distance, in pixels, within which lines and labels are considered picked.
+ * @returns {object[]} The picked features, topmost first. Each has <code>layer</code>, <code>sourceLayer</code> and <code>feature</code> properties.
+ */
+MapboxVectorTileStyle.prototype.pickFeatures = function (tile, options) {
+  const zoom = options.zoom;
+  const tolerance = defaultValue(options.tolerance, 3.0);
+  const transform = {
+    size: options.size,
+    offsetX: 0,
+    offsetY: 0,
+    scale: 1.0,
+  };
+
+  const result = [];
+  const picked = [];
+  const layers = this._layers;
+  for (let i = layers.length - 1; i >= 0; --i) {
+    const layer = layers[i];
+    if (layer.type === "background" || !isVisible(layer, zoom)) {
+      continue;
+    }
+
+    forEachFeature(layer, tile, zoom, transform, function (feature) {
+      if (picked.indexOf(feature) !== -1) {
+        return;
+      }
+
+      let hit;
+      if (layer.type === "fill") {
+        hit =
+          feature.type === 3 &&
+          pointInPolygon(feature, options.x, options.y, transform);
+      } else if (layer.type === "line") {
+        const width = evaluate(layer.paint["line-width"], 1.0, zoom, feature);
+        hit =
+          distanceToFeature(feature, options.x, options.y, transform) <=
+          width * 0.5 + tolerance;
+      } else {
+        const size = evaluate(layer.layout["text-size"], 16.0, zoom, feature);
+        const anchor = getLabelAnchor(feature, transform);
+        hit =
+          defined(anchor) &&
+          Math.abs(anchor[0] - options.x) <= size * 0.5 + tolerance &&
+          Math.abs(anchor[1] - options.y) <= size * 0.5 + tolerance;
+      }
+
+      if (hit) {
+        picked.push(feature);
+        result.push({
+          layer: layer.id,
+          sourceLayer: layer.sourceLayer,
+          feature: feature,
+        });
+      }
+    });
+  }
+
+  return result;
+};
+
+function forEachFeature(layer, tile, zoom, transform, callback) {
+  const sourceLayer = tile[layer.sourceLayer];
+  if (!defined(sourceLayer)) {
+    return;
+  }
+
+  transform.scale = transform.size / sourceLayer.extent;
+  const features = sourceLayer.features;
+  for (let i = 0; i < features.length; ++i) {
+    const feature = features[i];
+    if (evaluateFilter(layer.filter, zoom, feature)) {
+      callback(feature);
+    }
+  }
+}
+
+function addPath(context, feature, transform, close) {
+  const scale = transform.scale;
+  const offsetX = transform.offsetX;
+  const offsetY = transform.offsetY;
+  const parts = feature.geometry;
+  for (let i = 0; i < parts.length; ++i) {
+    const part = parts[i];
+    context.moveTo(part[0] * scale - offsetX, part[1] * scale - offsetY);
+    for (let j = 2; j < part.length; j += 2) {
+      context.lineTo(part[j] * scale - offsetX, part[j + 1] * scale - offsetY);
+    }
+    if (close) {
+      context.closePath();
+    }
+  }
+}
+
+function renderBackground(context, layer, zoom) {
+  const paint = layer.paint;
+  context.globalAlpha = evaluate(paint["background-opacity"], 1.0, zoom);
+  context.fillStyle = evaluate(paint["background-color"], "#000000", zoom);
+  context.fillRect(0, 0, context.canvas.width, context.canvas.height);
+}
+
+function renderFill(context, layer, zoom, feature, transform) {
+  if (feature.type !== 3) {
+    return;
+  }
+
+  const paint = layer.paint;
+  context.globalAlpha = evaluate(paint["fill-opacity"], 1.0, zoom, feature);
+  context.fillStyle = evaluate(paint["fill-color"], "#000000", zoom, feature);
+
+  context.beginPath();
+  addPath(context, feature, transform, true);
+  context.fill();
+
+  const outlineColor = evaluate(
+    paint["fill-outline-color"],
+    undefined,
+    zoom,
+    feature,
+  );
+  if (defined(outlineColor)) {
+    context.strokeStyle = outlineColor;
+    context.lineWidth = 1.0;
+    context.setLineDash([]);
+    context.stroke();
+  }
+}
+
+function renderLine(context, layer, zoom, feature, transform) {
+  if (feature.type !== 2 && feature.type !== 3) {
+    return;
+  }
+
+  const paint = layer.paint;
+  const layout = layer.layout;
+  const width = evaluate(paint["line-width"], 1.0, zoom, feature);
+  if (width <= 0.0) {
+    return;
+  }
+
+  context.globalAlpha = evaluate(paint["line-opacity"], 1.0, zoom, feature);
+  context.strokeStyle = evaluate(paint["line-color"], "#000000", zoom, feature);
+  context.lineWidth = width;
+  context.lineCap = evaluate(layout["line-cap"], "butt", zoom, feature);
+  context.lineJoin = evaluate(layout["line-join"], "miter", zoom, feature);
+
+  // Dash lengths are specified in line widths
+  const dashArray = evaluate(paint["line-dasharray"], undefined, zoom, feature);
+  context.setLineDash(
+    defined(dashArray)
+      ? dashArray.map(function (length) {
+          return length * width;
+        })
+      : [],
+  );
+
+  context.beginPath();
+  addPath(context, feature, transform, feature.type === 3);
+  context.stroke();
+}
+
+function getFont(fontNames, size) {
+  const name = defaultValue(fontNames[0], "");
+  let weight = "400";
+  let style = "normal";
+  const words = name.split(" ").filter(function (word) {
+    const lowerCase = word.toLowerCase();
+    if (defined(fontWeights[lowerCase])) {
+      weight = fontWeights[lowerCase];
+      return false;
+    }
+    if (lowerCase === "italic" || lowerCase === "oblique") {
+      style = "italic";
+      return false;
+    }
+    return true;
+  });
+
+  const family = words.length > 0 ? `"${words.join(" ")}", ` : "";
+  return `${style} ${weight} ${size}px ${family}sans-serif`;
+}
+
+function getText(layout, zoom, feature) {
+  let text = evaluate(layout["text-field"], undefined, zoom, feature);
+  if (!defined(text)) {
+    return undefined;
+  }
+
+  // Legacy token syntax, e.g. "{name}"
+  text = String(text).replace(/{([^}]+)}/g, function (match, key) {
+    return defaultValue(feature.properties[key], "");
+  });
+
+  const transform = evaluate(layout["text-transform"], "none", zoom, feature);
+  if (transform === "uppercase") {
+    text = text.toUpperCase();
+  } else if (transform === "lowercase") {
+    text = text.toLowerCase();
+  }
+  return text;
+}
+
+function getLabelAnchor(feature, transform) {
+  const parts = feature.geometry;
+  if (parts.length === 0 || parts[0].length < 2) {
+    return undefined;
+  }
+
+  let x;
+  let y;
+  if (feature.type === 2) {
+    // Place line labels halfway along the longest part
+    let longest;
+    let longestLength = -1.0;
+    for (let i = 0; i < parts.length; ++i) {
+      const length = getLength(parts[i]);
+      if (length > longestLength) {
+        longest = parts[i];
+        longestLength = length;
+      }
+    }
+
+    let distance = longestLength * 0.5;
+    x = longest[0];
+    y = longest[1];
+    for (let i = 2; i < longest.length; i += 2) {
+      const dx = longest[i] - longest[i - 2];
+      const dy = longest[i + 1] - longest[i - 1];
+      const segmentLength = Math.sqrt(dx * dx + dy * dy);
+      if (segmentLength >= distance) {
+        const t = segmentLength > 0.0 ? distance / segmentLength : 0.0;
+        x = longest[i - 2] + dx * t;
+        y = longest[i - 1] + dy * t;
+        break;
+      }
+      distance -= segmentLength;
+    }
+  } else if (feature.type === 3) {
+    // The center of the bounding box of the exterior ring
+    const ring = parts[0];
+    let minX = Number.POSITIVE_INFINITY;
+    let minY = Number.POSITIVE_INFINITY;
+    let maxX = Number.NEGATIVE_INFINITY;
+    let maxY = Number.NEGATIVE_INFINITY;
+    for (let i = 0; i < ring.length; i += 2) {
+      minX = Math.min(minX, ring[i]);
+      maxX = Math.max(maxX, ring[i]);
+      minY = Math.min(minY, ring[i + 1]);
+      maxY = Math.max(maxY, ring[i + 1]);
+    }
+    x = (minX + maxX) * 0.5;
+    y = (minY + maxY) * 0.5;
+  } else {
+    x = parts[0][0];
+    y = parts[0][1];
+  }
+
+  return [
+    x * transform.scale - transform.offsetX,
+    y * transform.scale - transform.offsetY,
+  ];
+}
+
+function getLength(part) {
+  let length = 0.0;
+  for (let i = 2; i < part.length; i += 2) {
+    const dx = part[i] - part[i - 2];
+    const dy = part[i + 1] - part[i - 1];
+    length += Math.sqrt(dx * dx + dy * dy);
+  }
+  return length;
+}
+
+function renderText(context, layer, zoom, feature, transform, placedLabels) {
+  const layout = layer.layout;
+  const paint = layer.paint;
+
+  const text = getText(layout, zoom, feature);
+  if (!defined(text) || text.length === 0) {
+    return;
+  }
+
+  const anchor = getLabelAnchor(feature, transform);
+  if (!defined(anchor)) {
+    return;
+  }
+
+  const size = evaluate(layout["text-size"], 16.0, zoom, feature);
+  const offset = evaluate(layout["text-offset"], [0.0, 0.0], zoom, feature);
+  const alignment = defaultValue(
+    textAlignments[evaluate(layout["text-anchor"], "center", zoom, feature)],
+    textAlignments.center,
+  );
+
+  context.font = getFont(
+    evaluate(layout["text-font"], ["Open Sans Regular"], zoom, feature),
+    size,
+  );
+  context.textAlign = alignment[0];
+  context.textBaseline = alignment[1];
+
+  const x = anchor[0] + offset[0] * size;
+  const y = anchor[1] + offset[1] * size;
+  const width = context.measureText(text).width;
+  const padding = evaluate(layout["text-padding"], 2.0, zoom, feature);
+
+  let left = x;
+  if (alignment[0] === "center") {
+    left -= width * 0.5;
+  } else if (alignment[0] === "right") {
+    left -= width;
+  }
+  let top = y;
+  if (alignment[1] === "middle") {
+    top -= size * 0.5;
+  } else if (alignment[1] === "bottom") {
+    top -= size;
+  }
+  const box = [
+    left - padding,
+    top - padding,
+    left + width + padding,
+    top + size + padding,
+  ];
+
+  // Labels that would be cut off at the edge of the tile are left to neighboring tiles
+  const canvas = context.canvas;
+  if (
+    box[0] < 0 ||
+    box[1] < 0 ||
+    box[2] > canvas.width ||
+    box[3] > canvas.height
+  ) {
+    return;
+  }
+
+  if (!evaluate(layout["text-allow-overlap"], false, zoom, feature)) {
+    for (let i = 0; i < placedLabels.length; ++i) {
+      const other = placedLabels[i];
+      if (
+        box[0] < other[2] &&
+        box[2] > other[0] &&
+        box[1] < other[3] &&
+        box[3] > other[1]
+      ) {
+        return;
+      }
+    }
+  }
+  placedLabels.push(box);
+
+  context.globalAlpha = evaluate(paint["text-opacity"], 1.0, zoom, feature);
+
+  const haloWidth = evaluate(paint["text-halo-width"], 0.0, zoom, feature);
+  if (haloWidth > 0.0) {
+    context.strokeStyle = evaluate(
+      paint["text-halo-color"],
+      "rgba(0, 0, 0, 0)",
+      zoom,
+      feature,
+    );
+    context.lineWidth = haloWidth * 2.0;
+    context.lineJoin = "round";
+    context.setLineDash([]);
+    context.strokeText(text, x, y);
+  }
+
+  context.fillStyle = evaluate(paint["text-color"], "#000000", zoom, feature);
+  context.fillText(text, x, y);
+}
+
+function pointInPolygon(feature, x, y, transform) {
+  // Even-odd rule over all rings, so holes are handled without knowing the winding order
+  const scale = transform.scale;
+  x /= scale;
+  y /= scale;
+
+  let inside = false;
+  const parts = feature.geometry;
+  for (let i = 0; i < parts.length; ++i) {
+    const ring = parts[i];
+    const length = ring.length;
+    for (let j = 0, k = length - 2; j < length; k = j, j += 2) {
+      const xj = ring[j];
+      const yj = ring[j + 1];
+      const xk = ring[k];
+      const yk = ring[k + 1];
+      if (yj > y !== yk > y && x < ((xk - xj) * (y - yj)) / (yk - yj) + xj) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+}
+
+function distanceToFeature(feature, x, y, transform) {
+  const scale = transform.scale;
+  let minimum = Number.POSITIVE_INFINITY;
+  const parts = feature.geometry;
+  for (let i = 0; i < parts.length; ++i) {
+    const part = parts[i];
+    for (let j = 2; j < part.length; j += 2) {
+      minimum = Math.min(
+        minimum,
+        distanceToSegment(
+          x,
+          y,
+          part[j - 2] * scale,
+          part[j - 1] * scale,
+          part[j] * scale,
+          part[j + 1] * scale,
+        ),
+      );
+    }
+  }
+  return minimum;
+}
+
+function distanceToSegment(x, y, x0, y0, x1, y1) {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const lengthSquared = dx * dx + dy * dy;
+  let t = 0.0;
+  if (lengthSquared > 0.0) {
+    t = CesiumMath.clamp(((x - x0) * dx + (y - y0) * dy) / lengthSquared, 0, 1);
+  }
+  const px = x0 + t * dx - x;
+  const py = y0 + t * dy - y;
+  return Math.sqrt(px * px + py * py);
+}
+
+function getFeatureValue(key, feature) {
+  if (key === "$type") {
+    return geometryTypes[feature.type];
+  } else if (key === "$id") {
+    return feature.id;
+  }
+  return feature.properties[key];
+}
+
+const legacyFilterOperators = [
+  "==",
+  "!=",
+  "<",
+  "<=",
+  ">",
+  ">=",
+  "in",
+  "!in",
+  "has",
+  "!has",
+];
+
+function evaluateLegacyFilter(filter, feature) {
+  const operator = filter[0];
+  const value = getFeatureValue(filter[1], feature);
+  switch (operator) {
+    case "==":
+      return value === filter[2];
+    case "!=":
+      return value !== filter[2];
+    case "<":
+      return typeof value === typeof filter[2] && value < filter[2];
+    case "<=":
+      return typeof value === typeof filter[2] && value <= filter[2];
+    case ">":
+      return typeof value === typeof filter[2] && value > filter[2];
+    case ">=":
+      return typeof value === typeof filter[2] && value >= filter[2];
+    case "in":
+      return filter.indexOf(value, 2) !== -1;
+    case "!in":
+      return filter.indexOf(value, 2) === -1;
+    case "has":
+      return defined(value);
+    case "!has":
+      return !defined(value);
+  }
+  return false;
+}
+
+/**
+ * Evaluates a legacy or expression filter for a feature.
+ *
+ * @param {Array} [filter] The filter. If undefined, all features pass.
+ * @param {number} zoom The zoom level.
+ * @param {object} feature The decoded feature.
+ * @returns {boolean} Whether the feature passes the filter.
+ */
+function evaluateFilter(filter, zoom, feature) {
+  if (!defined(filter)) {
+    return true;
+  }
+
+  const operator = filter[0];
+  const filters = filter.slice(1);
+  if (operator === "all") {
+    return filters.every(function (child) {
+      return evaluateFilter(child, zoom, feature);
+    });
+  } else if (operator === "any") {
+    return filters.some(function (child) {
+      return evaluateFilter(child, zoom, feature);
+    });
+  } else if (operator === "none") {
+    return !filters.some(function (child) {
+      return evaluateFilter(child, zoom, feature);
+    });
+  } else if (
+    legacyFilterOperators.indexOf(operator) !== -1 &&
+    typeof filter[1] === "string"
+  ) {
+    return evaluateLegacyFilter(filter, feature);
+  }
+
+  return Boolean(evaluateExpression(filter, zoom, feature));
+}
+
+function interpolateValues(start, end, t) {
+  if (typeof start === "number" && typeof end === "number") {
+    return CesiumMath.lerp(start, end, t);
+  }
+
+  if (typeof start === "string" && typeof end === "string") {
+    const color0 = Color.fromCssColorString(start, scratchColor0);
+    const color1 = Color.fromCssColorString(end, scratchColor1);
+    if (defined(color0) && defined(color1)) {
+      return Color.lerp(color0, color1, t, color0).toCssColorString();
+    }
+  }
+
+  if (
+    Array.isArray(start) &&
+    Array.isArray(end) &&
+    start.length === end.length
+  ) {
+    return start.map(function (value, index) {
+      return interpolateValues(value, end[index], t);
+    });
+  }
+
+  return t < 1.0 ? start : end;
+}
+
+function getInterpolationFactor(base, input, lower, upper) {
+  const difference = upper - lower;
+  if (difference === 0.0) {
+    return 0.0;
+  }
+  const progress = input - lower;
+  if (base === 1.0) {
+    return progress / difference;
+  }
+  return (Math.pow(base, progress) - 1.0) / (Math.pow(base, difference) - 1.0);
+}
+
+function isInterpolatable(value) {
+  return (
+    typeof value === "number" ||
+    (typeof value === "string" && defined(Color.fromCssColorString(value))) ||
+    Array.isArray(value)
+  );
+}
+
+function evaluateStops(stops, base, input, interpolate) {
+  if (input <= stops[0][0]) {
+    return stops[0][1];
+  }
+
+  const last = stops[stops.length - 1];
+  if (input >= last[0]) {
+    return last[1];
+  }
+
+  let i = 0;
+  while (input >= stops[i + 1][0]) {
+    ++i;
+  }
+
+  if (!interpolate) {
+    return stops[i][1];
+  }
+
+  const t = getInterpolationFactor(base, input, stops[i][0], stops[i + 1][0]);
+  return interpolateValues(stops[i][1], stops[i + 1][1], t);
+}
+
+function evaluateFunction(fn, zoom, feature) {
+  const stops = fn.stops;
+  let input = zoom;
+  if (defined(fn.property)) {
+    input = defined(feature) ? feature.properties[fn.property] : undefined;
+    if (fn.type === "identity") {
+      return defaultValue(input, fn.default);
+    }
+    if (!defined(input)) {
+      return fn.default;
+    }
+  }
+
+  if (fn.type === "categorical") {
+    for (let i = 0; i < stops.length; ++i) {
+      if (stops[i][0] === input) {
+        return stops[i][1];
+      }
+    }
+    return fn.default;
+  }
+
+  const type = defaultValue(
+    fn.type,
+    isInterpolatable(stops[0][1]) ? "exponential" : "interval",
+  );
+  return evaluateStops(
+    stops,
+    defaultValue(fn.base, 1.0),
+    input,
+    type === "exponential",
+  );
+}
+
+const expressions = {
+  literal: function (args) {
+    return args[0];
+  },
+  get: function (args, zoom, feature) {
+    const key = evaluateExpression(args[0], zoom, feature);
+    return defined(feature) ? feature.properties[key] : undefined;
+  },
+  has: function (args, zoom, feature) {
+    const key = evaluateExpression(args[0], zoom, feature);
+    return defined(feature) && defined(feature.properties[key]);
+  },
+  id: function (args, zoom, feature) {
+    return defined(feature) ? feature.id : undefined;
+  },
+  "geometry-type": function (args, zoom, feature) {
+    return defined(feature) ? geometryTypes[feature.type] : undefined;
+  },
+  zoom: function (args, zoom) {
+    return zoom;
+  },
+  "!": function (args, zoom, feature) {
+    return !evaluateExpression(args[0], zoom, feature);
+  },
+  "==": function (args, zoom, feature) {
+    return (
+      evaluateExpression(args[0], zoom, feature) ===
+      evaluateExpression(args[1], zoom, feature)
+    );
+  },
+  "!=": function (args, zoom, feature) {
+    return (
+      evaluateExpression(args[0], zoom, feature) !==
+      evaluateExpression(args[1], zoom, feature)
+    );
+  },
+  "<": function (args, zoom, feature) {
+    return (
+      evaluateExpression(args[0], zoom, feature) <
+      evaluateExpression(args[1], zoom, feature)
+    );
+  },
+  "<=": function (args, zoom, feature) {
+    return (
+      evaluateExpression(args[0], zoom, feature) <=
+      evaluateExpression(args[1], zoom, feature)
+    );
+  },
+  ">": function (args, zoom, feature) {
+    return (
+      evaluateExpression(args[0], zoom, feature) >
+      evaluateExpression(args[1], zoom, feature)
+    );
+  },
+  ">=": function (args, zoom, feature) {
+    return (
+      evaluateExpression(args[0], zoom, feature) >=
+      evaluateExpression(args[1], zoom, feature)
+    );
+  },
+  all: function (args, zoom, feature) {
+    return args.every(function (arg) {
+      return evaluateExpression(arg, zoom, feature);
+    });
+  },
+  any: function (args, zoom, feature) {
+    return args.some(function (arg) {
+      return evaluateExpression(arg, zoom, feature);
+    });
+  },
+  in: function (args, zoom, feature) {
+    const needle = evaluateExpression(args[0], zoom, feature);
+    const haystack = evaluateExpression(args[1], zoom, feature);
+    return defined(haystack) && haystack.indexOf(needle) !== -1;
+  },
+  case: function (args, zoom, feature) {
+    for (let i = 0; i < args.length - 1; i += 2) {
+      if (evaluateExpression(args[i], zoom, feature)) {
+        return evaluateExpression(args[i + 1], zoom, feature);
+      }
+    }
+    return evaluateExpression(args[args.length - 1], zoom, feature);
+  },
+  match: function (args, zoom, feature) {
+    const input = evaluateExpression(args[0], zoom, feature);
+    for (let i = 1; i < args.length - 1; i += 2) {
+      const labels = Array.isArray(args[i]) ? args[i] : [args[i]];
+      if (labels.indexOf(input) !== -1) {
+        return evaluateExpression(args[i + 1], zoom, feature);
+      }
+    }
+    return evaluateExpression(args[args.length - 1], zoom, feature);
+  },
+  coalesce: function (args, zoom, feature) {
+    for (let i = 0; i < args.length; ++i) {
+      const value = evaluateExpression(args[i], zoom, feature);
+      if (defined(value)) {
+        return value;
+      }
+    }
+    return undefined;
+  },
+  concat: function (args, zoom, feature) {
+    return args
+      .map(function (arg) {
+        return defaultValue(evaluateExpression(arg, zoom, feature), "");
+      })
+      .join("");
+  },
+  "to-string": function (args, zoom, feature) {
+    const value = evaluateExpression(args[0], zoom, feature);
+    return defined(value) ? String(value) : "";
+  },
+  "to-number": function (args, zoom, feature) {
+    return Number(evaluateExpression(args[0], zoom, feature));
+  },
+  upcase: function (args, zoom, feature) {
+    return String(evaluateExpression(args[0], zoom, feature)).toUpperCase();
+  },
+  downcase: function (args, zoom, feature) {
+    return String(evaluateExpression(args[0], zoom, feature)).toLowerCase();
+  },
+  step: function (args, zoom, feature) {
+    const input = evaluateExpression(args[0], zoom, feature);
+    let result = args[1];
+    for (let i = 2; i < args.length; i += 2) {
+      if (input < args[i]) {
+        break;
+      }
+      result = args[i + 1];
+    }
+    return evaluateExpression(result, zoom, feature);
+  },
+  interpolate: function (args, zoom, feature) {
+    const interpolation = args[0];
+    const base = interpolation[0] === "exponential" ? interpolation[1] : 1.0;
+    const input = evaluateExpression(args[1], zoom, feature);
+    const stops = [];
+    for (let i = 2; i < args.length; i += 2) {
+      stops.push([args[i], evaluateExpression(args[i + 1], zoom, feature)]);
+    }
+    return evaluateStops(stops, base, input, true);
+  },
+};
+
+function isExpression(value) {
+  return (
+    Array.isArray(value) &&
+    typeof value[0] === "string" &&
+    expressions.hasOwnProperty(value[0])
+  );
+}
+
+function evaluateExpression(value, zoom, feature) {
+  if (isExpression(value)) {
+    return expressions[value[0]](value.slice(1), zoom, feature);
+  }
+  return value;
+}
+
+/**
+ * Evaluates a style property value, which may be a constant, a legacy zoom or property function, or an expression.
+ *
+ * @param {*} value The property value from the style.
+ * @param {*} defaultResult The value to use when the property is undefined or evaluates to undefined.
+ * @param {number} zoom The zoom level.
+ * @param {object} [feature] The decoded feature.
+ * @returns {*} The evaluated value.
+ */
+function evaluate(value, defaultResult, zoom, feature) {
+  let result;
+  if (
+    defined(value) &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    (defined(value.stops) || defined(value.property))
+  ) {
+    result = evaluateFunction(value, zoom, feature);
+  } else {
+    result = evaluateExpression(value, zoom, feature);
+  }
+  return defaultValue(result, defaultResult);
+}
+
+MapboxVectorTileStyle.evaluate = evaluate;
+MapboxVectorTileStyle.evaluateFilter = evaluateFilter;
+
+export default MapboxVectorTileStyle;
@@ -0,0 +1,305 @@
+import Buffer from "../../Renderer/Buffer.js";
+import BufferUsage from "../../Renderer/BufferUsage.js";
+import Cartesian3 from "../../Core/Cartesian3.js";
+import ContextLimits from "../../Renderer/ContextLimits.js";
+import defined from "../../Core/defined.js";
+import IndexDatatype from "../../Core/IndexDatatype.js";
+import Matrix4 from "../../Core/Matrix4.js";
+import oneTimeWarning from "../../Core/oneTimeWarning.js";
+import OrthographicFrustum from "../../Core/OrthographicFrustum.js";
+import OrthographicOffCenterFrustum from "../../Core/OrthographicOffCenterFrustum.js";
+import TaskProcessor from "../../Core/TaskProcessor.js";
+import BlendingState from "../BlendingState.js";
+import GaussianSplatStageFS from "../../Shaders/Model/GaussianSplatStageFS.js";
+import GaussianSplatStageVS from "../../Shaders/Model/GaussianSplatStageVS.js";
+import LightingModel from "./LightingModel.js";
+import ModelUtility from "./ModelUtility.js";
+import Pass from "../../Renderer/Pass.js";
+import ShaderDestination from "../../Renderer/ShaderDestination.js";
+import VertexAttributeSemantic from "../VertexAttributeSemantic.js";
+
+const sortTaskProcessor = new TaskProcessor("sortGaussianSplats");
+
+// In orthographic views, splats are re-sorted when the view direction changes
+// by more than this
+const SORT_DIRECTION_EPSILON = 1.0e-4;
+
+// In perspective views, splats are re-sorted when the camera moves farther
+// than this in model coordinates
+const SORT_DISTANCE_EPSILON = 1.0e-2;
+
+const scratchModelView = new Matrix4();
+const scratchInverseModelView = new Matrix4();
+const scratchDirection = new Cartesian3();
+const scratchPosition = new Cartesian3();
+
+/**
+ * The Gaussian splat pipeline stage renders each point of a primitive using
+ * the KHR_gaussian_splatting extension as a screen-space ellipse. The splats
+ * are depth sorted in a web worker whenever the camera moves, or the view
+ * direction changes in orthographic views, and drawn back to front in
+ * {@link Pass#GAUSSIAN_SPLATS}.
+ *
+ * @namespace GaussianSplatPipelineStage
+ *
+ * @private
+ */
+const GaussianSplatPipelineStage = {
+  name: "GaussianSplatPipelineStage", // Helps with debugging
+};
+
+/**
+ * Process a primitive. This modifies the following parts of the render resources:
+ * <ul>
+ *  <li>adds the Gaussian splat stage to the vertex and fragment shaders</li>
+ *  <li>renders the primitive unlit and alpha blended in the Gaussian splats pass</li>
+ *  <li>adds a dynamic index buffer for drawing the splats in sorted order</li>
+ *  <li>sets up the state for sorting the splats in the runtime primitive</li>
+ * </ul>
+ *
+ * @param {PrimitiveRenderResources} renderResources The render resources for this primitive.
+ * @param {ModelComponents.Primitive} primitive The primitive.
+ * @param {FrameState} frameState The frame state.
+ *
+ * @private
+ */
+GaussianSplatPipelineStage.process = function (
+  renderResources,
+  primitive,
+  frameState,
+) {
+  const shaderBuilder = renderResources.shaderBuilder;
+  shaderBuilder.addDefine(
+    "HAS_GAUSSIAN_SPLATS",
+    undefined,
+    ShaderDestination.BOTH,
+  );
+  shaderBuilder.addDefine(
+    "GAUSSIAN_SPLAT_MAXIMUM_POINT_SIZE",
+    Math.max(ContextLimits.maximumAliasedPointSize, 1.0).toFixed(1),
+    ShaderDestination.VERTEX,
+  );
+
+  const hasColors = defined(
+    ModelUtility.getAttributeBySemantic(
+      primitive,
+      VertexAttributeSemantic.COLOR,
+      0,
+    ),
+  );
+  if (hasColors && hasSphericalHarmonics(primitive)) {
+    shaderBuilder.addDefine(
+      "HAS_GAUSSIAN_SPLAT_SPHERICAL_HARMONICS",
+      undefined,
+      ShaderDestination.VERTEX,
+    );
+  }
+
+  shaderBuilder.addVarying("vec3", "v_gaussianSplatConic");
+  shaderBuilder.addVarying("float", "v_gaussianSplatPointSize");
+  shaderBuilder.addVertexLines(GaussianSplatStageVS);
+  shaderBuilder.addFragmentLines(GaussianSplatStageFS);
+
+  renderResources.lightingOptions.lightingModel = LightingModel.UNLIT;
+  renderResources.alphaOptions.pass = Pass.GAUSSIAN_SPLATS;
+
+  const renderStateOptions = renderResources.renderStateOptions;
+  renderStateOptions.cull.enabled = false;
+  renderStateOptions.depthMask = false;
+  renderStateOptions.blending = BlendingState.ALPHA_BLEND;
+
+  const positionAttribute = ModelUtility.getAttributeBySemantic(
+    primitive,
+    VertexAttributeSemantic.POSITION,
+  );
+  const count = positionAttribute.count;
+  const context = frameState.context;
+  if (
+    !defined(positionAttribute.typedArray) ||
+    (count >= 65536 && !context.elementIndexUint)
+  ) {
+    // The splats are drawn in the order they are stored
+    return;
+  }
+
+  const indices = IndexDatatype.createTypedArray(count, count);
+  for (let i = 0; i < count; ++i) {
+    indices[i] = i;
+  }
+  const indexBuffer = Buffer.createIndexBuffer({
+    context: context,
+    typedArray: indices,
+    usage: BufferUsage.DYNAMIC_DRAW,
+    indexDatatype: IndexDatatype.fromTypedArray(indices),
+  });
+
+  const model = renderResources.model;
+  model._pipelineResources.push(indexBuffer);
+  const hasCpuCopy = false;
+  model.statistics.addBuffer(indexBuffer, hasCpuCopy);
+
+  renderResources.gaussianSplatIndexBuffer = indexBuffer;
+  renderResources.count = count;
+
+  renderResources.runtimePrimitive.gaussianSplatSortState = {
+    positions: getPositions(positionAttribute),
+    indexBuffer: indexBuffer,
+    direction: undefined,
+    position: undefined,
+    sortedIndices: undefined,
+    sorting: false,
+  };
+};
+
+/**
+ * Sorts the splats of a runtime primitive when the camera moves, or the view
+ * direction changes in orthographic views, and uploads the result of the
+ * previous sort to the index buffer.
+ *
+ * @param {ModelRuntimePrimitive} runtimePrimitive The runtime primitive.
+ * @param {ModelSceneGraph} sceneGraph The scene graph.
+ * @param {FrameState} frameState The frame state.
+ *
+ * @private
+ */
+GaussianSplatPipelineStage.update = function (
+  runtimePrimitive,
+  sceneGraph,
+  frameState,
+) {
+  const state = runtimePrimitive.gaussianSplatSortState;
+  const drawCommand = runtimePrimitive.drawCommand;
+  if (!defined(state) || !defined(drawCommand)) {
+    return;
+  }
+
+  if (state.indexBuffer.isDestroyed()) {
+    runtimePrimitive.gaussianSplatSortState = undefined;
+    return;
+  }
+
+  if (defined(state.sortedIndices)) {
+    state.indexBuffer.copyFromArrayView(state.sortedIndices);
+    state.sortedIndices = undefined;
+    frameState.afterRender.push(function () {
+      return true;
+    });
+  }
+
+  if (state.sorting || !defined(state.positions)) {
+    return;
+  }
+
+  const camera = frameState.camera;
+  const modelView = Matrix4.multiplyTransformation(
+    camera.viewMatrix,
+    drawCommand.modelMatrix,
+    scratchModelView,
+  );
+
+  let direction;
+  let position;
+  if (
+    camera.frustum instanceof OrthographicFrustum ||
+    camera.frustum instanceof OrthographicOffCenterFrustum
+  ) {
+    // The depth of a position in eye coordinates is the dot product of the
+    // position in model coordinates and the third row of the model-view matrix.
+    direction = Cartesian3.fromElements(
+      -modelView[2],
+      -modelView[6],
+      -modelView[10],
+      scratchDirection,
+    );
+    direction = Cartesian3.normalize(direction, direction);
+
+    if (
+      defined(state.direction) &&
+      Cartesian3.dot(direction, state.direction) > 1.0 - SORT_DIRECTION_EPSILON
+    ) {
+      return;
+    }
+  } else {
+    // In perspective views the splats are sorted by their distance from the
+    // camera, which changes when the camera moves, but not when it turns.
+    const inverseModelView = Matrix4.inverse(
+      modelView,
+      scratchInverseModelView,
+    );
+    position = Matrix4.getTranslation(inverseModelView, scratchPosition);
+
+    if (
+      defined(state.position) &&
+      Cartesian3.distance(position, state.position) <= SORT_DISTANCE_EPSILON
+    ) {
+      return;
+    }
+  }
+
+  const positions = state.positions;
+  const promise = sortTaskProcessor.scheduleTask(
+    {
+      positions: positions,
+      direction: direction,
+      position: position,
+    },
+    [positions.buffer],
+  );
+  if (!defined(promise)) {
+    // Too many active tasks. Try again next frame.
+    return;
+  }
+
+  state.sorting = true;
+  state.direction = Cartesian3.clone(direction, state.direction);
+  state.position = Cartesian3.clone(position, state.position);
+  promise
+    .then(function (result) {
+      state.sorting = false;
+      state.positions = result.positions;
+      state.sortedIndices = result.indices;
+    })
+    .catch(function (error) {
+      // The positions may have been transferred to the worker, so stop
+      // sorting and keep drawing the splats in their last order.
+      state.sorting = false;
+      state.positions = undefined;
+      oneTimeWarning(
+        "gaussian-splat-sort",
+        `Failed to sort Gaussian splats: ${error}`,
+      );
+    });
+};
+
+function hasSphericalHarmonics(primitive) {
+  for (let i = 0; i < 3; ++i) {
+    const name = `_SH_DEGREE_1_COEF_${i}`;
+    if (!defined(ModelUtility.getAttributeByName(primitive, name))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Returns a copy of the positions that can be transferred to the worker
+function getPositions(positionAttribute) {
+  const typedArray = positionAttribute.typedArray;
+  const quantization = positionAttribute.quantization;
+  const count = positionAttribute.count;
+  const positions = new Float32Array(count * 3);
+  if (!defined(quantization)) {
+    positions.set(typedArray.subarray(0, count * 3));
+    return positions;
+  }
+
+  const offset = quantization.quantizedVolumeOffset;
+  const stepSize = quantization.quantizedVolumeStepSize;
+  for (let i = 0; i < count; ++i) {
+    positions[i * 3] = offset.x + typedArray[i * 3] * stepSize.x;
+    positions[i * 3 + 1] = offset.y + typedArray[i * 3 + 1] * stepSize.y;
+    positions[i * 3 + 2] = offset.z + typedArray[i * 3 + 2] * stepSize.z;
+  }
+  return positions;
+}
+
+export default GaussianSplatPipelineStage;
@@ -9,8 +9,10 @@ import Quaternion from "../../Core/Quaternion.js";
 import Transforms from "../../Core/Transforms.js";
 import Buffer from "../../Renderer/Buffer.js";
 import BufferUsage from "../../Renderer/BufferUsage.js";
+import Pass from "../../Renderer/Pass.js";
 import ShaderDestination from "../../Renderer/ShaderDestination.js";
 import InstancingStageCommon from "../../Shaders/Model/InstancingStageCommon.js";
+import InstancingStageFS from "../../Shaders/Model/InstancingStageFS.js";
 import InstancingStageVS from "../../Shaders/Model/InstancingStageVS.js";
 import LegacyInstancingStageVS from "../../Shaders/Model/LegacyInstancingStageVS.js";
 import AttributeType from "../AttributeType.js";
@@ -44,6 +46,7 @@ const InstancingPipelineStage = {
  *  <li> creates buffers for the typed arrays of each attribute, if they do not yet exist
  *  <li> adds attribute declarations for the instancing vertex attributes in the vertex shader</li>
  *  <li> sets the instancing translation min and max to compute an accurate bounding volume</li>
+ *  <li> adds the instance color attribute and the instance color stage in the fragment shader if the runtime node has a buffer of instance colors</li>
  * </ul>
  *
  * If the scene is in either 2D or CV mode, this stage also:
@@ -93,6 +96,8 @@ InstancingPipelineStage.process = function (renderResources, node, frameState) {
     instancingVertexAttributes,
   );
 
+  processColorAttribute(renderResources, instancingVertexAttributes);
+
   const uniformMap = {};
 
   if (instances.transformInWorldSpace) {
@@ -1058,4 +1063,33 @@ function processFeatureIdAttributes(
   }
 }
 
+function processColorAttribute(renderResources, instancingVertexAttributes) {
+  const runtimeNode = renderResources.runtimeNode;
+  const buffer = runtimeNode.instancingColorsBuffer;
+  if (!defined(buffer)) {
+    return;
+  }
+
+  instancingVertexAttributes.push({
+    index: renderResources.attributeIndex++,
+    vertexBuffer: buffer,
+    componentsPerAttribute: 4,
+    componentDatatype: ComponentDatatype.UNSIGNED_BYTE,
+    normalize: true,
+    offsetInBytes: 0,
+    strideInBytes: undefined,
+    instanceDivisor: 1,
+  });
+
+  const shaderBuilder = renderResources.shaderBuilder;
+  shaderBuilder.addDefine("HAS_INSTANCE_COLORS");
+  shaderBuilder.addAttribute("vec4", "a_instanceColor");
+  shaderBuilder.addVarying("vec4", "v_instanceColor");
+  shaderBuilder.addFragmentLines(InstancingStageFS);
+
+  if (runtimeNode.instancingColorsTranslucent) {
+    renderResources.alphaOptions.pass = Pass.TRANSLUCENT;
+  }
+}
+
 export default InstancingPipelineStage;
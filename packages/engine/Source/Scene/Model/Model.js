@@ -83,6 +83,9 @@ import pickModel from "./pickModel.js";
  *  {@link https://github.com/KhronosGroup/glTF/blob/master/extensions/2.0/Khronos/KHR_draco_mesh_compression/README.md|KHR_draco_mesh_compression}
  *  </li>
  *  <li>
+ *  KHR_gaussian_splatting（实验性，见下文）
+ *  </li>
+ *  <li>
  *  {@link https://github.com/KhronosGroup/glTF/blob/main/extensions/2.0/Archived/KHR_techniques_webgl/README.md|KHR_techniques_webgl}
  *  </li>
  *  <li>
@@ -112,6 +115,13 @@ import pickModel from "./pickModel.js";
  * </ul>
  * </p>
  * <p>
+ * 使用 KHR_gaussian_splatting 扩展的图元必须使用 <code>POINTS</code> 图元模式，每个点被渲染为一个高斯泼溅。
+ * 除 <code>POSITION</code> 外，还需要 <code>_SCALE</code>（<code>VEC3</code>，线性缩放）和 <code>_ROTATION</code>（<code>VEC4</code>，
+ * 以 (x, y, z, w) 顺序存储的四元数）属性。<code>COLOR_0</code> 的 RGB 分量为基础颜色，alpha 分量为不透明度。
+ * 可选的 <code>_SH_DEGREE_1_COEF_0</code>、<code>_SH_DEGREE_1_COEF_1</code> 和 <code>_SH_DEGREE_1_COEF_2</code>（<code>VEC3</code>）
+ * 属性为 1 阶球谐系数，用于计算与视角相关的颜色。泼溅每帧在 Web Worker 中按深度排序，并在半透明对象之后进行混合。
+ * </p>
+ * <p>
  * <p>
 * 注意：对于使用 KHR_texture_basisu 扩展的压缩纹理模型，我们建议在两个维度上都使用 2 的幂次纹理
 * 以实现最大兼容性。这是因为某些采样器需要 2 的幂次纹理 ({@link https://developer.mozilla.org/en-US/docs/Web/API/WebGL_API/Tutorial/Using_textures_in_WebGL|Using textures in WebGL})
@@ -168,6 +178,7 @@ import pickModel from "./pickModel.js";
 * @privateParam {string|number} [options.instanceFeatureIdLabel="instanceFeatureId_0"] 用于拾取和样式化的实例特征 ID 集的标签。如果 instanceFeatureIdLabel 设置为整数 N，它将自动转换为字符串 "instanceFeatureId_N"。如果同时存在每图元和每实例特征 ID，实例特征 ID 优先。
 * @privateParam {object} [options.pointCloudShading] 用于构造 {@link PointCloudShading} 对象的选项，以控制基于几何误差和光照的点衰减。
 * @privateParam {ClassificationType} [options.classificationType] 确定地形、3D Tiles 或两者是否将由此模型分类。此属性在模型加载后不能设置。
+* @privateParam {ModelInstances} [options.instances] 每帧更新变换、颜色和显示状态的模型实例。如果定义，模型将在一次绘制调用中为每个实例绘制，并且其模型矩阵由实例决定。此属性在模型加载后不能设置。
 
  *
  * @see Model.fromGltfAsync
@@ -515,6 +526,8 @@ function Model(options) {
    */
 
   this.pickObject = options.pickObject;
+
+  this._instances = options.instances;
 }
 
 function handleError(model, error) {
@@ -1950,6 +1963,7 @@ Model.prototype.update = function (frameState) {
   updateSceneMode(this, frameState);
   updateFog(this, frameState);
   updateVerticalExaggeration(this, frameState);
+  updateInstances(this, frameState);
 
   this._defaultTexture = frameState.context.defaultTexture;
 
@@ -2200,6 +2214,12 @@ function updateVerticalExaggeration(model, frameState) {
   }
 }
 
+function updateInstances(model, frameState) {
+  if (defined(model._instances)) {
+    model._instances.update(model, frameState);
+  }
+}
+
 function buildDrawCommands(model, frameState) {
   if (!model._drawCommandsBuilt) {
     model.destroyPipelineResources();
@@ -3303,6 +3323,7 @@ function makeModelOptions(loader, modelType, options) {
     pointCloudShading: options.pointCloudShading,
     classificationType: options.classificationType,
     pickObject: options.pickObject,
+    instances: options.instances,
   };
 }
 
@@ -53,7 +53,9 @@ function ModelDrawCommand(options) {
   // If the command is translucent, or if the primitive's material is
   // double-sided, then back-face culling is automatically disabled for
   // the command. The user value for back-face culling will be ignored.
-  const isTranslucent = command.pass === Pass.TRANSLUCENT;
+  // Gaussian splats are always blended, so they are treated as translucent.
+  const isTranslucent =
+    command.pass === Pass.TRANSLUCENT || command.pass === Pass.GAUSSIAN_SPLATS;
   const isDoubleSided = runtimePrimitive.primitive.material.doubleSided;
   const usesBackFaceCulling = !isDoubleSided && !isTranslucent;
   const hasSilhouette = renderResources.hasSilhouette;
@@ -201,6 +201,12 @@ function getIndexBuffer(primitiveRenderResources) {
     return wireframeIndexBuffer;
   }
 
+  const gaussianSplatIndexBuffer =
+    primitiveRenderResources.gaussianSplatIndexBuffer;
+  if (defined(gaussianSplatIndexBuffer)) {
+    return gaussianSplatIndexBuffer;
+  }
+
   const indices = primitiveRenderResources.indices;
   if (!defined(indices)) {
     return undefined;
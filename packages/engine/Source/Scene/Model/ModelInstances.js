@@ -0,0 +1,528 @@
+import BoundingSphere from "../../Core/BoundingSphere.js";
+import Cartesian3 from "../../Core/Cartesian3.js";
+import Check from "../../Core/Check.js";
+import Color from "../../Core/Color.js";
+import ComponentDatatype from "../../Core/ComponentDatatype.js";
+import defined from "../../Core/defined.js";
+import Matrix4 from "../../Core/Matrix4.js";
+import Buffer from "../../Renderer/Buffer.js";
+import BufferUsage from "../../Renderer/BufferUsage.js";
+import AttributeType from "../AttributeType.js";
+import InstanceAttributeSemantic from "../InstanceAttributeSemantic.js";
+import ModelComponents from "../ModelComponents.js";
+import ModelUtility from "./ModelUtility.js";
+
+// Each transform is stored as the first three rows of the matrix, like the
+// transforms computed by InstancingPipelineStage.
+const transformElements = 12;
+const colorElements = 4;
+
+/**
+ * Draws a {@link Model} many times in one draw call per primitive, with a
+ * transform, a color and a show flag for each instance that can change every
+ * frame. This is used to batch entities that share the same model; see
+ * {@link ModelGraphics#instanced}.
+ * <p>
+ * The instances are added to every node of the model that has primitives, so
+ * the instance transforms are applied in world space, before the node
+ * transforms. The model matrix of the model is replaced with a translation to
+ * the center of the instances, and the instance translations are stored
+ * relative to that center to avoid jittering.
+ * </p>
+ *
+ * @alias ModelInstances
+ * @constructor
+ *
+ * @private
+ */
+function ModelInstances() {
+  this._length = 0;
+  this._ids = [];
+  this._transforms = new Float32Array(0);
+  this._colors = new Uint8Array(0);
+
+  this._center = undefined;
+
+  // The maximum distance of a vertex of any instance from the center
+  // assumed by the bounding volumes of the draw commands.
+  this._radius = 0.0;
+
+  // The bounding sphere of the model without the instance transforms, with
+  // the node transforms and the axis correction applied.
+  this._modelBoundingSphere = undefined;
+
+  this._translucent = false;
+
+  this._resize = true;
+  this._commandsDirty = true;
+  this._transformsDirty = true;
+  this._colorsDirty = true;
+
+  this._model = undefined;
+  this._transformsBuffer = undefined;
+  this._colorsBuffer = undefined;
+}
+
+Object.defineProperties(ModelInstances.prototype, {
+  /**
+   * Gets or sets the number of instances. New instances are hidden until
+   * {@link ModelInstances#setInstance} is called for them.
+   *
+   * @memberof ModelInstances.prototype
+   * @type {number}
+   */
+  length: {
+    get: function () {
+      return this._length;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      Check.typeOf.number.greaterThanOrEquals("value", value, 0);
+      //>>includeEnd('debug');
+
+      if (value === this._length) {
+        return;
+      }
+
+      const transforms = new Float32Array(value * transformElements);
+      const colors = new Uint8Array(value * colorElements);
+      const length = Math.min(value, this._length);
+      transforms.set(this._transforms.subarray(0, length * transformElements));
+      colors.set(this._colors.subarray(0, length * colorElements));
+
+      this._transforms = transforms;
+      this._colors = colors;
+      this._ids.length = value;
+      this._length = value;
+      this._resize = true;
+    },
+  },
+
+  /**
+   * Gets the center of the instances in world coordinates, or
+   * <code>undefined</code> if no instance has been shown yet.
+   *
+   * @memberof ModelInstances.prototype
+   * @type {Cartesian3}
+   * @readonly
+   */
+  center: {
+    get: function () {
+      return this._center;
+    },
+  },
+});
+
+const scratchTranslation = new Cartesian3();
+
+/**
+ * Sets the id, transform and color of an instance.
+ *
+ * @param {number} index The index of the instance.
+ * @param {*} id The object returned when the instance is picked.
+ * @param {Matrix4} [modelMatrix] The transform of the instance from model coordinates to world coordinates. If undefined, the instance is hidden.
+ * @param {Color} [color=Color.WHITE] The color multiplied with the material of the instance.
+ */
+ModelInstances.prototype.setInstance = function (
+  index,
+  id,
+  modelMatrix,
+  color,
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.lessThan("index", index, this._length);
+  //>>includeEnd('debug');
+
+  if (this._ids[index] !== id) {
+    // The pick ids are created with the draw commands
+    this._ids[index] = id;
+    this._commandsDirty = true;
+  }
+
+  if (defined(modelMatrix) && !defined(this._center)) {
+    this._center = Matrix4.getTranslation(modelMatrix, new Cartesian3());
+  }
+
+  const transforms = this._transforms;
+  const offset = index * transformElements;
+  let dirty = false;
+  if (defined(modelMatrix)) {
+    const translation = Cartesian3.subtract(
+      Matrix4.getTranslation(modelMatrix, scratchTranslation),
+      this._center,
+      scratchTranslation,
+    );
+    for (let row = 0; row < 3; ++row) {
+      for (let column = 0; column < 3; ++column) {
+        dirty =
+          setFloat(
+            transforms,
+            offset + row * 4 + column,
+            modelMatrix[column * 4 + row],
+          ) || dirty;
+      }
+    }
+    dirty = setFloat(transforms, offset + 3, translation.x) || dirty;
+    dirty = setFloat(transforms, offset + 7, translation.y) || dirty;
+    dirty = setFloat(transforms, offset + 11, translation.z) || dirty;
+  } else {
+    // A transform that scales the instance to nothing
+    for (let i = 0; i < transformElements; ++i) {
+      dirty = setFloat(transforms, offset + i, 0.0) || dirty;
+    }
+  }
+  this._transformsDirty = this._transformsDirty || dirty;
+
+  const colors = this._colors;
+  const colorOffset = index * colorElements;
+  const red = defined(color) ? Color.floatToByte(color.red) : 255;
+  const green = defined(color) ? Color.floatToByte(color.green) : 255;
+  const blue = defined(color) ? Color.floatToByte(color.blue) : 255;
+  const alpha = defined(color) ? Color.floatToByte(color.alpha) : 255;
+  if (
+    colors[colorOffset] !== red ||
+    colors[colorOffset + 1] !== green ||
+    colors[colorOffset + 2] !== blue ||
+    colors[colorOffset + 3] !== alpha
+  ) {
+    colors[colorOffset] = red;
+    colors[colorOffset + 1] = green;
+    colors[colorOffset + 2] = blue;
+    colors[colorOffset + 3] = alpha;
+    this._colorsDirty = true;
+  }
+};
+
+function setFloat(typedArray, index, value) {
+  value = Math.fround(value);
+  if (typedArray[index] === value) {
+    return false;
+  }
+  typedArray[index] = value;
+  return true;
+}
+
+/**
+ * Gets the id of an instance.
+ *
+ * @param {number} index The index of the instance.
+ * @returns {*} The id of the instance.
+ */
+ModelInstances.prototype.getId = function (index) {
+  return this._ids[index];
+};
+
+const scratchInstanceMatrix = new Matrix4();
+
+function getInstanceMatrix(instances, index, result) {
+  const transforms = instances._transforms;
+  const offset = index * transformElements;
+  return Matrix4.fromRowMajorArray(
+    [
+      transforms[offset],
+      transforms[offset + 1],
+      transforms[offset + 2],
+      transforms[offset + 3],
+      transforms[offset + 4],
+      transforms[offset + 5],
+      transforms[offset + 6],
+      transforms[offset + 7],
+      transforms[offset + 8],
+      transforms[offset + 9],
+      transforms[offset + 10],
+      transforms[offset + 11],
+      0.0,
+      0.0,
+      0.0,
+      1.0,
+    ],
+    result,
+  );
+}
+
+/**
+ * Computes the bounding sphere of an instance in world coordinates.
+ *
+ * @param {number} index The index of the instance.
+ * @param {BoundingSphere} [result] The object onto which to store the result.
+ * @returns {BoundingSphere|undefined} The bounding sphere, or <code>undefined</code> if the model is not loaded yet or the instance is hidden.
+ */
+ModelInstances.prototype.computeBoundingSphere = function (index, result) {
+  const modelBoundingSphere = this._modelBoundingSphere;
+  if (!defined(modelBoundingSphere) || !defined(this._center)) {
+    return undefined;
+  }
+
+  const matrix = getInstanceMatrix(this, index, scratchInstanceMatrix);
+  if (Matrix4.getMaximumScale(matrix) === 0.0) {
+    return undefined;
+  }
+
+  result = BoundingSphere.transform(modelBoundingSphere, matrix, result);
+  Cartesian3.add(result.center, this._center, result.center);
+  return result;
+};
+
+const scratchNodeTransform = new Matrix4();
+const scratchCorner = new Cartesian3();
+
+function forEachInstancedNode(model, callback) {
+  const runtimeNodes = model.sceneGraph._runtimeNodes;
+  for (let i = 0; i < runtimeNodes.length; ++i) {
+    const runtimeNode = runtimeNodes[i];
+    if (defined(runtimeNode) && runtimeNode.runtimePrimitives.length > 0) {
+      callback(runtimeNode);
+    }
+  }
+}
+
+function getNodeTransform(sceneGraph, runtimeNode) {
+  // Replicate u_instance_nodeTransform in InstancingPipelineStage
+  return Matrix4.multiplyTransformation(
+    sceneGraph.axisCorrectionMatrix,
+    runtimeNode.computedTransform,
+    scratchNodeTransform,
+  );
+}
+
+function computeModelBoundingSphere(model) {
+  const sceneGraph = model.sceneGraph;
+  const min = new Cartesian3(
+    Number.MAX_VALUE,
+    Number.MAX_VALUE,
+    Number.MAX_VALUE,
+  );
+  const max = new Cartesian3(
+    -Number.MAX_VALUE,
+    -Number.MAX_VALUE,
+    -Number.MAX_VALUE,
+  );
+
+  forEachInstancedNode(model, function (runtimeNode) {
+    const nodeTransform = getNodeTransform(sceneGraph, runtimeNode);
+    const runtimePrimitives = runtimeNode.runtimePrimitives;
+    for (let i = 0; i < runtimePrimitives.length; ++i) {
+      const positionMinMax = ModelUtility.getPositionMinMax(
+        runtimePrimitives[i].primitive,
+      );
+      const positionMin = positionMinMax.min;
+      const positionMax = positionMinMax.max;
+      for (let j = 0; j < 8; ++j) {
+        const corner = Cartesian3.fromElements(
+          j & 1 ? positionMax.x : positionMin.x,
+          j & 2 ? positionMax.y : positionMin.y,
+          j & 4 ? positionMax.z : positionMin.z,
+          scratchCorner,
+        );
+        Matrix4.multiplyByPoint(nodeTransform, corner, corner);
+        Cartesian3.minimumByComponent(min, corner, min);
+        Cartesian3.maximumByComponent(max, corner, max);
+      }
+    }
+  });
+
+  return BoundingSphere.fromCornerPoints(min, max, new BoundingSphere());
+}
+
+// The maximum distance of a vertex of any instance from the center
+function computeRadius(instances) {
+  const sphere = instances._modelBoundingSphere;
+  const modelRadius = Cartesian3.magnitude(sphere.center) + sphere.radius;
+  const transforms = instances._transforms;
+
+  let radius = 0.0;
+  for (let i = 0; i < instances._length; ++i) {
+    const offset = i * transformElements;
+    let scale = 0.0;
+    for (let column = 0; column < 3; ++column) {
+      const x = transforms[offset + column];
+      const y = transforms[offset + 4 + column];
+      const z = transforms[offset + 8 + column];
+      scale = Math.max(scale, Math.sqrt(x * x + y * y + z * z));
+    }
+    const x = transforms[offset + 3];
+    const y = transforms[offset + 7];
+    const z = transforms[offset + 11];
+    radius = Math.max(
+      radius,
+      Math.sqrt(x * x + y * y + z * z) + scale * modelRadius,
+    );
+  }
+  return radius;
+}
+
+function isTranslucent(instances) {
+  const colors = instances._colors;
+  for (let i = 0; i < instances._length; ++i) {
+    if (colors[i * colorElements + 3] < 255) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function createVertexBuffer(typedArray, frameState) {
+  const buffer = Buffer.createVertexBuffer({
+    context: frameState.context,
+    typedArray: typedArray,
+    usage: BufferUsage.DYNAMIC_DRAW,
+  });
+
+  // Destruction of resources allocated by the Model
+  // is handled by Model.destroy().
+  buffer.vertexArrayDestroyable = false;
+
+  return buffer;
+}
+
+function destroyBuffer(model, buffer) {
+  if (!defined(buffer) || buffer.isDestroyed()) {
+    return;
+  }
+  const resources = model._modelResources;
+  const index = resources.indexOf(buffer);
+  if (index !== -1) {
+    resources.splice(index, 1);
+  }
+  buffer.destroy();
+}
+
+function createBuffers(instances, model, frameState) {
+  destroyBuffer(model, instances._transformsBuffer);
+  destroyBuffer(model, instances._colorsBuffer);
+
+  instances._transformsBuffer = createVertexBuffer(
+    instances._transforms,
+    frameState,
+  );
+  instances._colorsBuffer = createVertexBuffer(instances._colors, frameState);
+  model._modelResources.push(
+    instances._transformsBuffer,
+    instances._colorsBuffer,
+  );
+
+  instances._transformsDirty = false;
+  instances._colorsDirty = false;
+}
+
+const scratchScale = new Cartesian3();
+const scratchInverseTransform = new Matrix4();
+
+function updateNodes(instances, model) {
+  const sceneGraph = model.sceneGraph;
+  const length = instances._length;
+
+  forEachInstancedNode(model, function (runtimeNode) {
+    // Only the ROTATION attribute is needed so that InstancingPipelineStage
+    // uses the transforms buffer. Its data is never read.
+    const rotation = new ModelComponents.Attribute();
+    rotation.name = "ROTATION";
+    rotation.semantic = InstanceAttributeSemantic.ROTATION;
+    rotation.componentDatatype = ComponentDatatype.FLOAT;
+    rotation.type = AttributeType.VEC4;
+    rotation.count = length;
+
+    const nodeInstances = new ModelComponents.Instances();
+    nodeInstances.attributes.push(rotation);
+    nodeInstances.transformInWorldSpace = true;
+    runtimeNode.node.instances = nodeInstances;
+
+    runtimeNode.instancingTransformsBuffer = instances._transformsBuffer;
+    runtimeNode.instancingColorsBuffer = instances._colorsBuffer;
+    runtimeNode.instancingColorsTranslucent = instances._translucent;
+    runtimeNode.transformsTypedArray = model._enablePick
+      ? instances._transforms
+      : undefined;
+
+    // The instancing translation bounds are added to the positions of the
+    // node. Any vertex of an instance is within the radius of the center, so
+    // in the coordinates of the node it is within the radius divided by the
+    // scale of the node. Twice that also covers positions far from the
+    // origin of the node.
+    const nodeTransform = getNodeTransform(sceneGraph, runtimeNode);
+    const scale = Matrix4.getScale(nodeTransform, scratchScale);
+    const nodeScale = Math.min(scale.x, scale.y, scale.z);
+    const translation =
+      nodeScale > 0.0 ? (2.0 * instances._radius) / nodeScale : 0.0;
+    runtimeNode.instancingTranslationMin = new Cartesian3(
+      -translation,
+      -translation,
+      -translation,
+    );
+    runtimeNode.instancingTranslationMax = new Cartesian3(
+      translation,
+      translation,
+      translation,
+    );
+  });
+}
+
+/**
+ * Updates the model for the instances. Called by {@link Model} each frame
+ * after its scene graph is created and before its draw commands are built.
+ *
+ * @param {Model} model The model that is instanced.
+ * @param {FrameState} frameState The frame state.
+ */
+ModelInstances.prototype.update = function (model, frameState) {
+  if (this._model !== model) {
+    this._model = model;
+    this._modelBoundingSphere = computeModelBoundingSphere(model);
+    this._resize = true;
+  }
+
+  if (defined(this._center)) {
+    // Apply the instances relative to the center, undoing the transform of
+    // the model components (e.g. CESIUM_RTC).
+    const inverseTransform = Matrix4.inverseTransformation(
+      model.sceneGraph.components.transform,
+      scratchInverseTransform,
+    );
+    Matrix4.multiplyTransformation(
+      Matrix4.fromTranslation(this._center, scratchInstanceMatrix),
+      inverseTransform,
+      model.modelMatrix,
+    );
+  }
+
+  if (this._colorsDirty || this._resize) {
+    const translucent = isTranslucent(this);
+    if (translucent !== this._translucent) {
+      this._translucent = translucent;
+      this._commandsDirty = true;
+    }
+  }
+
+  if (this._transformsDirty || this._resize) {
+    const radius = computeRadius(this);
+    if (radius > this._radius) {
+      // Leave room for the instances to move without rebuilding the draw
+      // commands every frame.
+      this._radius = 2.0 * radius;
+      this._commandsDirty = true;
+    }
+  }
+
+  if (this._resize) {
+    createBuffers(this, model, frameState);
+    this._resize = false;
+    this._commandsDirty = true;
+  } else {
+    if (this._transformsDirty) {
+      this._transformsBuffer.copyFromArrayView(this._transforms);
+      this._transformsDirty = false;
+    }
+    if (this._colorsDirty) {
+      this._colorsBuffer.copyFromArrayView(this._colors);
+      this._colorsDirty = false;
+    }
+  }
+
+  if (this._commandsDirty) {
+    updateNodes(this, model);
+    model.resetDrawCommands();
+    this._commandsDirty = false;
+  }
+};
+
+export default ModelInstances;
@@ -171,6 +171,27 @@ function ModelRuntimeNode(options) {
    */
   this.instancingTranslationBuffer2D = undefined;
 
+  /**
+   * A buffer containing a color for each instance. The colors are multiplied
+   * with the color of the material. The memory is managed by Model; this is
+   * just a reference.
+   *
+   * @type {Buffer}
+   *
+   * @private
+   */
+  this.instancingColorsBuffer = undefined;
+
+  /**
+   * Whether any of the colors in {@link ModelRuntimeNode#instancingColorsBuffer}
+   * is translucent, in which case the node is drawn in the translucent pass.
+   *
+   * @type {boolean}
+   *
+   * @private
+   */
+  this.instancingColorsTranslucent = false;
+
   /**
    * If the model is instanced and projected to 2D, the reference point is the
    * average of the instancing translation max and min. The 2D translations are
@@ -11,6 +11,7 @@ import CustomShaderMode from "./CustomShaderMode.js";
 import CustomShaderPipelineStage from "./CustomShaderPipelineStage.js";
 import DequantizationPipelineStage from "./DequantizationPipelineStage.js";
 import FeatureIdPipelineStage from "./FeatureIdPipelineStage.js";
+import GaussianSplatPipelineStage from "./GaussianSplatPipelineStage.js";
 import GeometryPipelineStage from "./GeometryPipelineStage.js";
 import LightingPipelineStage from "./LightingPipelineStage.js";
 import MaterialPipelineStage from "./MaterialPipelineStage.js";
@@ -174,6 +175,16 @@ function ModelRuntimePrimitive(options) {
    * @private
    */
   this.updateStages = [];
+
+  /**
+   * The state for depth sorting Gaussian splats. This is generated by
+   * GaussianSplatPipelineStage and used when updating the primitive.
+   *
+   * @type {object}
+   *
+   * @private
+   */
+  this.gaussianSplatSortState = undefined;
 }
 
 /**
@@ -189,6 +200,9 @@ ModelRuntimePrimitive.prototype.configurePipeline = function (frameState) {
   const pipelineStages = this.pipelineStages;
   pipelineStages.length = 0;
 
+  const updateStages = this.updateStages;
+  updateStages.length = 0;
+
   const primitive = this.primitive;
   const node = this.node;
   const model = this.model;
@@ -223,6 +237,10 @@ ModelRuntimePrimitive.prototype.configurePipeline = function (frameState) {
     // enableDebugWireframe set to true.
     (model._enableDebugWireframe || useWebgl2);
 
+  const isGaussianSplat =
+    primitive.isGaussianSplat &&
+    primitive.primitiveType === PrimitiveType.POINTS;
+
   const pointCloudShading = model.pointCloudShading;
   const hasAttenuation =
     defined(pointCloudShading) && pointCloudShading.attenuation;
@@ -230,6 +248,7 @@ ModelRuntimePrimitive.prototype.configurePipeline = function (frameState) {
     defined(pointCloudShading) && pointCloudShading.backFaceCulling;
   const hasPointCloudStyle =
     primitive.primitiveType === PrimitiveType.POINTS &&
+    !isGaussianSplat &&
     (defined(style) || hasAttenuation || hasPointCloudBackFaceCulling);
 
   const hasOutlines =
@@ -294,6 +313,11 @@ ModelRuntimePrimitive.prototype.configurePipeline = function (frameState) {
     pipelineStages.push(CustomShaderPipelineStage);
   }
 
+  if (isGaussianSplat) {
+    pipelineStages.push(GaussianSplatPipelineStage);
+    updateStages.push(GaussianSplatPipelineStage);
+  }
+
   pipelineStages.push(LightingPipelineStage);
 
   if (model.allowPicking) {
@@ -679,7 +679,7 @@ ModelSceneGraph.prototype.update = function (frameState, updateForAnimations) {
       const runtimePrimitive = runtimeNode.runtimePrimitives[j];
       for (k = 0; k < runtimePrimitive.updateStages.length; k++) {
         const stage = runtimePrimitive.updateStages[k];
-        stage.update(runtimePrimitive, this);
+        stage.update(runtimePrimitive, this, frameState);
       }
     }
   }
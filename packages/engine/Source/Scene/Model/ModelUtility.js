@@ -354,6 +354,7 @@ ModelUtility.supportedExtensions = {
   EXT_texture_webp: true,
   KHR_blend: true,
   KHR_draco_mesh_compression: true,
+  KHR_gaussian_splatting: true,
   KHR_techniques_webgl: true,
   KHR_materials_common: true,
   KHR_materials_pbrSpecularGlossiness: true,
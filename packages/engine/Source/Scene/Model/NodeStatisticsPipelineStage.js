@@ -70,6 +70,12 @@ function countGeneratedBuffers(statistics, runtimeNode) {
     const hasCpuCopy = false;
     statistics.addBuffer(runtimeNode.instancingTranslationBuffer2D, hasCpuCopy);
   }
+
+  if (defined(runtimeNode.instancingColorsBuffer)) {
+    // The colors are kept by ModelInstances so they can be updated.
+    const hasCpuCopy = true;
+    statistics.addBuffer(runtimeNode.instancingColorsBuffer, hasCpuCopy);
+  }
 }
 
 export default NodeStatisticsPipelineStage;
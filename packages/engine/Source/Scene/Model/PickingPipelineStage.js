@@ -110,6 +110,11 @@ function buildPickObject(renderResources, instanceId) {
   if (defined(instanceId)) {
     // For instanced models, an instanceId property is added to the pick object.
     pickObject.instanceId = instanceId;
+
+    // Models that batch several objects have an id for each instance.
+    if (defined(model._instances)) {
+      pickObject.id = model._instances.getId(instanceId);
+    }
   }
 
   return pickObject;
@@ -222,6 +222,17 @@ function PrimitiveRenderResources(nodeRenderResources, runtimePrimitive) {
    */
   this.wireframeIndexBuffer = undefined;
 
+  /**
+   * Additional index buffer for drawing Gaussian splats in depth-sorted order.
+   * This value is set by GaussianSplatPipelineStage.
+   *
+   * @type {Buffer}
+   * @readonly
+   *
+   * @private
+   */
+  this.gaussianSplatIndexBuffer = undefined;
+
   /**
    * The primitive type such as TRIANGLES or POINTS.
    *
@@ -620,6 +620,16 @@ function Primitive() {
    * @private
    */
   this.outlineCoordinates = undefined;
+
+  /**
+   * Whether the primitive uses the KHR_gaussian_splatting glTF extension.
+   * If true, each point is rendered as a Gaussian splat using the scale,
+   * rotation and color attributes of the primitive.
+   *
+   * @type {boolean}
+   * @private
+   */
+  this.isGaussianSplat = false;
 }
 
 /**
@@ -0,0 +1,258 @@
+import defined from "../Core/defined.js";
+import JulianDate from "../Core/JulianDate.js";
+import TimeIntervalCollection from "../Core/TimeIntervalCollection.js";
+
+/**
+ * Utilities for parsing the capabilities documents of OGC web services such
+ * as WMS and WMTS.
+ *
+ * @namespace OgcCapabilitiesUtil
+ *
+ * @private
+ */
+const OgcCapabilitiesUtil = {};
+
+/**
+ * Get the child elements of an element with the given local name, ignoring
+ * namespaces so the same code handles both namespaced and plain documents.
+ *
+ * @param {Element} element The parent element.
+ * @param {string} localName The local name of the child elements.
+ * @returns {Element[]} The child elements.
+ * @private
+ */
+OgcCapabilitiesUtil.getChildElements = function (element, localName) {
+  const result = [];
+  if (!defined(element)) {
+    return result;
+  }
+  const childNodes = element.childNodes;
+  for (let i = 0; i < childNodes.length; ++i) {
+    const child = childNodes[i];
+    if (child.nodeType === 1 && child.localName === localName) {
+      result.push(child);
+    }
+  }
+  return result;
+};
+
+/**
+ * Get the first child element of an element with the given local name.
+ *
+ * @param {Element} element The parent element.
+ * @param {string} localName The local name of the child element.
+ * @returns {Element|undefined} The child element, or <code>undefined</code> if there is none.
+ * @private
+ */
+OgcCapabilitiesUtil.getChildElement = function (element, localName) {
+  return OgcCapabilitiesUtil.getChildElements(element, localName)[0];
+};
+
+/**
+ * Get the trimmed text of the first child element of an element with the
+ * given local name.
+ *
+ * @param {Element} element The parent element.
+ * @param {string} localName The local name of the child element.
+ * @returns {string|undefined} The text, or <code>undefined</code> if there is no such child.
+ * @private
+ */
+OgcCapabilitiesUtil.getChildText = function (element, localName) {
+  const child = OgcCapabilitiesUtil.getChildElement(element, localName);
+  return defined(child) ? child.textContent.trim() : undefined;
+};
+
+/**
+ * Get the trimmed text of every child element of an element with the given
+ * local name.
+ *
+ * @param {Element} element The parent element.
+ * @param {string} localName The local name of the child elements.
+ * @returns {string[]} The text of each child element.
+ * @private
+ */
+OgcCapabilitiesUtil.getChildTexts = function (element, localName) {
+  return OgcCapabilitiesUtil.getChildElements(element, localName).map(
+    function (child) {
+      return child.textContent.trim();
+    },
+  );
+};
+
+/**
+ * Get an attribute of an element.
+ *
+ * @param {Element} element The element.
+ * @param {string} name The name of the attribute.
+ * @returns {string|undefined} The value, or <code>undefined</code> if the element does not have the attribute.
+ * @private
+ */
+OgcCapabilitiesUtil.getAttribute = function (element, name) {
+  const value = element.getAttribute(name);
+  return value !== null ? value : undefined;
+};
+
+/**
+ * Get the <code>xlink:href</code> attribute of an element.
+ *
+ * @param {Element} element The element.
+ * @returns {string|undefined} The link, or <code>undefined</code> if the element has none.
+ * @private
+ */
+OgcCapabilitiesUtil.getHref = function (element) {
+  if (!defined(element)) {
+    return undefined;
+  }
+  const href =
+    element.getAttributeNS("http://www.w3.org/1999/xlink", "href") ||
+    element.getAttribute("xlink:href") ||
+    element.getAttribute("href");
+  return href !== null && href !== "" ? href : undefined;
+};
+
+/**
+ * Get the URL of the HTTP GET binding of an operation, found at
+ * <code>DCP(Type)/HTTP/Get</code> in both WMS and OWS documents.
+ *
+ * @param {Element} operation The operation element.
+ * @param {string} dcpName The local name of the DCP element, <code>DCPType</code> for WMS and <code>DCP</code> for OWS.
+ * @returns {string|undefined} The URL, or <code>undefined</code> if the operation has no GET binding.
+ * @private
+ */
+OgcCapabilitiesUtil.getOperationUrl = function (operation, dcpName) {
+  const getChildElement = OgcCapabilitiesUtil.getChildElement;
+  const dcps = OgcCapabilitiesUtil.getChildElements(operation, dcpName);
+  for (let i = 0; i < dcps.length; ++i) {
+    const get = getChildElement(getChildElement(dcps[i], "HTTP"), "Get");
+    if (!defined(get)) {
+      continue;
+    }
+    // WMS nests the link in an OnlineResource element, OWS puts it on Get itself
+    const onlineResource = getChildElement(get, "OnlineResource");
+    const href = OgcCapabilitiesUtil.getHref(
+      defined(onlineResource) ? onlineResource : get,
+    );
+    if (defined(href)) {
+      return href;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Get the EPSG code or <code>"CRS84"</code> of a coordinate reference system
+ * identifier in any of its common forms, such as <code>EPSG:3857</code>,
+ * <code>urn:ogc:def:crs:EPSG::3857</code>, <code>http://www.opengis.net/def/crs/EPSG/0/3857</code>,
+ * <code>CRS:84</code> or <code>urn:ogc:def:crs:OGC:1.3:CRS84</code>.
+ *
+ * @param {string} crs The coordinate reference system identifier.
+ * @returns {string|undefined} The normalized identifier, or <code>undefined</code> if it is not recognized.
+ * @private
+ */
+OgcCapabilitiesUtil.normalizeCrs = function (crs) {
+  const upperCaseCrs = crs.toUpperCase();
+  if (upperCaseCrs === "CRS:84" || upperCaseCrs.indexOf("CRS84") !== -1) {
+    return "CRS84";
+  }
+  if (upperCaseCrs.indexOf("EPSG") === -1) {
+    return undefined;
+  }
+  const match = /(\d+)\s*$/.exec(upperCaseCrs);
+  return defined(match) ? match[1] : undefined;
+};
+
+const webMercatorCodes = ["3857", "900913", "3785", "102100", "102113"];
+
+/**
+ * Determine if a coordinate reference system is Web Mercator.
+ *
+ * @param {string} crs The coordinate reference system identifier.
+ * @returns {boolean} <code>true</code> if the coordinate reference system is Web Mercator.
+ * @private
+ */
+OgcCapabilitiesUtil.isWebMercator = function (crs) {
+  return webMercatorCodes.indexOf(OgcCapabilitiesUtil.normalizeCrs(crs)) !== -1;
+};
+
+/**
+ * Determine if a coordinate reference system is geographic WGS84 longitude
+ * and latitude in degrees.
+ *
+ * @param {string} crs The coordinate reference system identifier.
+ * @returns {boolean} <code>true</code> if the coordinate reference system is geographic.
+ * @private
+ */
+OgcCapabilitiesUtil.isGeographic = function (crs) {
+  const normalized = OgcCapabilitiesUtil.normalizeCrs(crs);
+  return normalized === "CRS84" || normalized === "4326";
+};
+
+/**
+ * Create the intervals of a time dimension from its values, which are a comma
+ * separated list of ISO 8601 dates and <code>start/stop/period</code> intervals.
+ * The data of each interval is an object with the dimension name as its only
+ * key, so it can be used as query parameters or template values.
+ *
+ * @param {string[]} values The values of the dimension.
+ * @param {string} name The name of the dimension.
+ * @returns {TimeIntervalCollection|undefined} The intervals, or <code>undefined</code> if there are no values.
+ * @private
+ */
+OgcCapabilitiesUtil.createTimeIntervals = function (values, name) {
+  function createData(value) {
+    const data = {};
+    data[name] = value;
+    return data;
+  }
+
+  const dates = [];
+  const intervals = [];
+  for (let i = 0; i < values.length; ++i) {
+    const value = values[i].trim();
+    if (value === "") {
+      continue;
+    }
+    if (value.indexOf("/") === -1) {
+      dates.push(value);
+      continue;
+    }
+    const parts = value.split("/");
+    if (parts.length === 3) {
+      const collection = TimeIntervalCollection.fromIso8601({
+        iso8601: value,
+        dataCallback: function (interval) {
+          return createData(JulianDate.toIso8601(interval.start));
+        },
+      });
+      for (let j = 0; j < collection.length; ++j) {
+        intervals.push(collection.get(j));
+      }
+    } else {
+      // A start/stop interval without a period is a single continuous interval
+      dates.push(parts[0]);
+    }
+  }
+
+  if (dates.length === 0 && intervals.length === 0) {
+    return undefined;
+  }
+
+  const result = new TimeIntervalCollection(intervals);
+  if (dates.length > 0) {
+    const collection = TimeIntervalCollection.fromIso8601DateArray({
+      iso8601Dates: dates,
+      // Each date is valid until the next one
+      isStopIncluded: false,
+      trailingInterval: true,
+      dataCallback: function (interval, index) {
+        return createData(dates[Math.min(index, dates.length - 1)]);
+      },
+    });
+    for (let i = 0; i < collection.length; ++i) {
+      result.addInterval(collection.get(i));
+    }
+  }
+  return result;
+};
+
+export default OgcCapabilitiesUtil;
@@ -0,0 +1,386 @@
+import Check from "../Core/Check.js";
+import combine from "../Core/combine.js";
+import Credit from "../Core/Credit.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Event from "../Core/Event.js";
+import loadImageFromTypedArray from "../Core/loadImageFromTypedArray.js";
+import PMTilesArchive from "../Core/PMTilesArchive.js";
+import Rectangle from "../Core/Rectangle.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import WebMercatorTilingScheme from "../Core/WebMercatorTilingScheme.js";
+
+const imageFormats = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+  avif: "image/avif",
+};
+
+/**
+ * Tiles that are missing from the archive resolve to a placeholder image, which this policy
+ * discards so that the parent tile is shown instead of reporting an error.
+ *
+ * @private
+ */
+function PMTilesDiscardPolicy() {
+  this._image = new Image();
+}
+
+PMTilesDiscardPolicy.prototype.isReady = function () {
+  return true;
+};
+
+PMTilesDiscardPolicy.prototype.isDiscarded = function (image) {
+  return image === this._image;
+};
+
+/**
+ * @typedef {object} PMTilesImageryProvider.ConstructorOptions
+ *
+ * PMTilesImageryProvider 构造函数的初始化选项
+ *
+ * @property {PMTilesArchive} archive 包含栅格瓦片的 PMTiles 归档文件。
+ * @property {number} [tileWidth=256] 每个瓦片的宽度（以像素为单位）。
+ * @property {number} [tileHeight=256] 每个瓦片的高度（以像素为单位）。
+ * @property {number} [minimumLevel] 影像提供者支持的最小细节级别。默认为归档文件的最小缩放级别。
+ * @property {number} [maximumLevel] 影像提供者支持的最大细节级别。默认为归档文件的最大缩放级别。
+ * @property {Rectangle} [rectangle] 影像覆盖的矩形区域（以弧度表示）。默认为归档文件的边界。
+ * @property {Ellipsoid} [ellipsoid] 椭球体。如果未指定，则使用默认椭球体。
+ * @property {Credit|string} [credit] 数据源的信用信息。默认为归档元数据的 <code>attribution</code>。
+ */
+
+/**
+ * <div class="notice">
+ * 要构造一个 PMTilesImageryProvider，请调用 {@link PMTilesImageryProvider.fromUrl}，或使用已加载的
+ * {@link PMTilesArchive} 调用构造函数。
+ * </div>
+ *
+ * 提供从单个 {@link https://github.com/protomaps/PMTiles|PMTiles} v3 归档文件中读取的 PNG、JPEG、WebP 或 AVIF 瓦片影像。
+ * 瓦片使用 {@link WebMercatorTilingScheme}。归档文件中缺少的瓦片将被丢弃，并显示其父瓦片。
+ *
+ * @alias PMTilesImageryProvider
+ * @constructor
+ *
+ * @param {PMTilesImageryProvider.ConstructorOptions} options 描述初始化选项的对象
+ *
+ * @example
+ * const provider = await Cesium.PMTilesImageryProvider.fromUrl(
+ *   "https://example.com/imagery.pmtiles"
+ * );
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @see PMTilesArchive
+ */
+function PMTilesImageryProvider(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const archive = options.archive;
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.archive", archive);
+  if (!defined(imageFormats[archive.tileType])) {
+    throw new DeveloperError("The archive must contain raster tiles.");
+  }
+  //>>includeEnd('debug');
+
+  this._archive = archive;
+  this._format = imageFormats[archive.tileType];
+
+  this._tileWidth = defaultValue(options.tileWidth, 256);
+  this._tileHeight = defaultValue(options.tileHeight, 256);
+  this._minimumLevel = defaultValue(options.minimumLevel, archive.minimumLevel);
+  this._maximumLevel = defaultValue(options.maximumLevel, archive.maximumLevel);
+
+  this._tilingScheme = new WebMercatorTilingScheme({
+    ellipsoid: options.ellipsoid,
+  });
+  this._rectangle = Rectangle.intersection(
+    defaultValue(options.rectangle, archive.rectangle),
+    this._tilingScheme.rectangle,
+  );
+
+  let credit = defaultValue(options.credit, archive.metadata.attribution);
+  if (typeof credit === "string") {
+    credit = new Credit(credit);
+  }
+  this._credit = credit;
+
+  this._tileDiscardPolicy = new PMTilesDiscardPolicy();
+  this._errorEvent = new Event();
+
+  this._defaultAlpha = undefined;
+  this._defaultNightAlpha = undefined;
+  this._defaultDayAlpha = undefined;
+  this._defaultBrightness = undefined;
+  this._defaultContrast = undefined;
+  this._defaultHue = undefined;
+  this._defaultSaturation = undefined;
+  this._defaultGamma = undefined;
+  this._defaultMinificationFilter = undefined;
+  this._defaultMagnificationFilter = undefined;
+}
+
+Object.defineProperties(PMTilesImageryProvider.prototype, {
+  /**
+   * 获取归档文件的 URL。
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {string}
+   * @readonly
+   */
+  url: {
+    get: function () {
+      return this._archive.resource.url;
+    },
+  },
+
+  /**
+   * 获取包含影像瓦片的 PMTiles 归档文件。
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {PMTilesArchive}
+   * @readonly
+   */
+  archive: {
+    get: function () {
+      return this._archive;
+    },
+  },
+
+  /**
+   * 获取此提供者使用的代理。
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {Proxy}
+   * @readonly
+   */
+  proxy: {
+    get: function () {
+      return undefined;
+    },
+  },
+
+  /**
+   * 获取每个瓦片的宽度（以像素为单位）。
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   */
+  tileWidth: {
+    get: function () {
+      return this._tileWidth;
+    },
+  },
+
+  /**
+   * 获取每个瓦片的高度（以像素为单位）。
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   */
+  tileHeight: {
+    get: function () {
+      return this._tileHeight;
+    },
+  },
+
+  /**
+   * 获取可以请求的最大细节级别。
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {number|undefined}
+   * @readonly
+   */
+  maximumLevel: {
+    get: function () {
+      return this._maximumLevel;
+    },
+  },
+
+  /**
+   * 获取可以请求的最小细节级别。
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {number}
+   * @readonly
+   */
+  minimumLevel: {
+    get: function () {
+      return this._minimumLevel;
+    },
+  },
+
+  /**
+   * 获取此提供者使用的瓦片方案。
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {TilingScheme}
+   * @readonly
+   */
+  tilingScheme: {
+    get: function () {
+      return this._tilingScheme;
+    },
+  },
+
+  /**
+   * 获取此实例提供的影像的矩形范围（以弧度表示）。
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {Rectangle}
+   * @readonly
+   */
+  rectangle: {
+    get: function () {
+      return this._rectangle;
+    },
+  },
+
+  /**
+   * 获取瓦片丢弃策略。该策略丢弃归档文件中缺少的瓦片，以便显示其父瓦片。
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {TileDiscardPolicy}
+   * @readonly
+   */
+  tileDiscardPolicy: {
+    get: function () {
+      return this._tileDiscardPolicy;
+    },
+  },
+
+  /**
+   * 获取当影像提供者遇到异步错误时引发的事件。通过订阅该事件，您将收到错误通知，并可以可能从中恢复。
+   * 事件监听器会收到一个 {@link TileProviderError} 的实例。
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {Event}
+   * @readonly
+   */
+  errorEvent: {
+    get: function () {
+      return this._errorEvent;
+    },
+  },
+
+  /**
+   * 获取当该影像提供者处于活动状态时显示的信用信息。
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {Credit}
+   * @readonly
+   */
+  credit: {
+    get: function () {
+      return this._credit;
+    },
+  },
+
+  /**
+   * 获取一个值，指示此影像提供者提供的图像是否包含 alpha 通道。JPEG 瓦片没有 alpha 通道。
+   * @memberof PMTilesImageryProvider.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  hasAlphaChannel: {
+    get: function () {
+      return this._format !== imageFormats.jpeg;
+    },
+  },
+});
+
+/**
+ * 创建一个 {@link PMTilesImageryProvider}，从 PMTiles 归档文件中读取影像瓦片。
+ *
+ * @param {Resource|string} url 归档文件的 URL。服务器必须支持 HTTP 范围请求。
+ * @param {PMTilesImageryProvider.ConstructorOptions} [options] 描述初始化选项的对象。
+ * @returns {Promise<PMTilesImageryProvider>}
+ *
+ * @exception {RuntimeError} 文件不是 PMTiles v3 归档文件。
+ * @exception {RuntimeError} 归档文件不包含栅格瓦片。
+ *
+ * @example
+ * const provider = await Cesium.PMTilesImageryProvider.fromUrl(
+ *   "https://example.com/imagery.pmtiles", {
+ *     maximumLevel: 16,
+ * });
+ * viewer.imageryLayers.addImageryProvider(provider);
+ */
+PMTilesImageryProvider.fromUrl = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const archive = await PMTilesArchive.fromUrl(url, options);
+  if (!defined(imageFormats[archive.tileType])) {
+    throw new RuntimeError(
+      `The archive contains ${defaultValue(archive.tileType, "unknown")} tiles, which are not raster imagery.`,
+    );
+  }
+
+  return new PMTilesImageryProvider(
+    combine(
+      {
+        archive: archive,
+      },
+      options,
+    ),
+  );
+};
+
+/**
+ * 获取在显示给定瓦片时要显示的信用信息。
+ *
+ * @param {number} x 瓦片的X坐标。
+ * @param {number} y 瓦片的Y坐标。
+ * @param {number} level 瓦片的级别；
+ * @returns {Credit[]} 显示瓦片时要展示的信用信息。
+ */
+PMTilesImageryProvider.prototype.getTileCredits = function (x, y, level) {
+  return undefined;
+};
+
+/**
+ * 请求给定瓦片的图像。
+ *
+ * @param {number} x 瓦片的X坐标。
+ * @param {number} y 瓦片的Y坐标。
+ * @param {number} level 瓦片的级别。
+ * @param {Request} [request] 请求对象。仅用于内部使用。
+ * @returns {Promise<ImageryTypes>|undefined} 一个图像的承诺，当图像可用时将解析，或者
+ *          如果对服务器的活动请求过多，则返回undefined，该请求应在稍后重试。
+ */
+PMTilesImageryProvider.prototype.requestImage = function (
+  x,
+  y,
+  level,
+  request,
+) {
+  const that = this;
+  return this._archive.getTile(x, y, level).then(function (bytes) {
+    if (!defined(bytes)) {
+      return that._tileDiscardPolicy._image;
+    }
+
+    return loadImageFromTypedArray({
+      uint8Array: bytes,
+      format: that._format,
+      request: request,
+    });
+  });
+};
+
+/**
+ * 此影像提供者当前不支持拾取要素，因此此函数仅返回 undefined。
+ *
+ * @param {number} x 瓦片的X坐标。
+ * @param {number} y 瓦片的Y坐标。
+ * @param {number} level 瓦片的级别。
+ * @param {number} longitude 要拾取要素的经度。
+ * @param {number} latitude 要拾取要素的纬度。
+ * @return {undefined} 不支持拾取，因此返回 undefined。
+ */
+PMTilesImageryProvider.prototype.pickFeatures = function (
+  x,
+  y,
+  level,
+  longitude,
+  latitude,
+) {
+  return undefined;
+};
+
+export default PMTilesImageryProvider;
@@ -128,6 +128,75 @@ PickFramebuffer.prototype.end = function (screenSpaceRectangle) {
   return undefined;
 };
 
+/**
+ * Return all of the picked objects rendered within a given rectangle, in the
+ * order they are first found starting at the bottom row.
+ *
+ * @param {BoundingRectangle} screenSpaceRectangle
+ * @param {Array<number[]>} [spans] For each row of the rectangle, starting at the bottom, pairs of the first (inclusive) and last (exclusive) columns to read. If undefined, all pixels of the rectangle are read.
+ * @returns {object[]} The unique objects rendered in the rectangle.
+ */
+PickFramebuffer.prototype.readObjects = function (screenSpaceRectangle, spans) {
+  const width = defaultValue(screenSpaceRectangle.width, 1.0);
+  const height = defaultValue(screenSpaceRectangle.height, 1.0);
+
+  const context = this._context;
+  const pixels = context.readPixels({
+    x: screenSpaceRectangle.x,
+    y: screenSpaceRectangle.y,
+    width: width,
+    height: height,
+    framebuffer: this._fb.framebuffer,
+  });
+
+  const objects = [];
+  const visitedColors = {};
+  const allColumns = [0, width];
+  for (let row = 0; row < height; ++row) {
+    const rowSpans = defined(spans) ? spans[row] : allColumns;
+    if (!defined(rowSpans)) {
+      continue;
+    }
+
+    for (let i = 0; i < rowSpans.length; i += 2) {
+      const end = rowSpans[i + 1];
+      for (let column = rowSpans[i]; column < end; ++column) {
+        const index = 4 * (row * width + column);
+        // Each pick color is only looked up once
+        const rgba =
+          (pixels[index + 3] << 24) |
+          (pixels[index + 2] << 16) |
+          (pixels[index + 1] << 8) |
+          pixels[index];
+        if (rgba === 0 || visitedColors[rgba]) {
+          continue;
+        }
+        visitedColors[rgba] = true;
+
+        colorScratchForPickFramebuffer.red = Color.byteToFloat(pixels[index]);
+        colorScratchForPickFramebuffer.green = Color.byteToFloat(
+          pixels[index + 1],
+        );
+        colorScratchForPickFramebuffer.blue = Color.byteToFloat(
+          pixels[index + 2],
+        );
+        colorScratchForPickFramebuffer.alpha = Color.byteToFloat(
+          pixels[index + 3],
+        );
+
+        const object = context.getObjectByPickColor(
+          colorScratchForPickFramebuffer,
+        );
+        if (defined(object)) {
+          objects.push(object);
+        }
+      }
+    }
+  }
+
+  return objects;
+};
+
 /**
  * Return a typed array containing the RGBA (byte) components of the
  * pixel that is at the center of the given rectangle.
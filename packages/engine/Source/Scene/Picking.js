@@ -133,9 +133,9 @@ function getPickOrthographicCullingVolume(
   );
 
   const ortho = scratchOrthoPickingFrustum;
-  ortho.right = pixelSize.x * 0.5;
+  ortho.right = pixelSize.x * width * 0.5;
   ortho.left = -ortho.right;
-  ortho.top = pixelSize.y * 0.5;
+  ortho.top = pixelSize.y * height * 0.5;
   ortho.bottom = -ortho.top;
   ortho.near = frustum.near;
   ortho.far = frustum.far;
@@ -333,6 +333,160 @@ Picking.prototype.pick = function (scene, windowPosition, width, height) {
   return object;
 };
 
+const scratchRegionRectangle = new BoundingRectangle();
+const scratchRegionCenter = new Cartesian2();
+
+/**
+ * 返回在窗口坐标中的多边形内渲染的所有对象，例如矩形选框或手绘套索。
+ *
+ * @param {Scene} scene
+ * @param {Cartesian2[]} windowPositions 多边形的顶点，以窗口坐标表示。
+ * @returns {object[]} 在多边形内渲染的对象的数组。
+ */
+Picking.prototype.pickRegion = function (scene, windowPositions) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("windowPositions", windowPositions);
+  Check.typeOf.number.greaterThanOrEquals(
+    "windowPositions.length",
+    windowPositions.length,
+    3,
+  );
+  //>>includeEnd('debug');
+
+  const { context, frameState, defaultView } = scene;
+  const { viewport, pickFramebuffer } = defaultView;
+
+  scene.view = defaultView;
+
+  viewport.x = 0;
+  viewport.y = 0;
+  viewport.width = context.drawingBufferWidth;
+  viewport.height = context.drawingBufferHeight;
+
+  let passState = defaultView.passState;
+  passState.viewport = BoundingRectangle.clone(viewport, passState.viewport);
+
+  // Transform the polygon to drawing buffer coordinates with the origin at
+  // the bottom left, which is how the pixels are read back.
+  const drawingBufferHeight = context.drawingBufferHeight;
+  const polygon = new Array(windowPositions.length);
+  let minimumX = Number.POSITIVE_INFINITY;
+  let minimumY = Number.POSITIVE_INFINITY;
+  let maximumX = Number.NEGATIVE_INFINITY;
+  let maximumY = Number.NEGATIVE_INFINITY;
+  for (let i = 0; i < windowPositions.length; ++i) {
+    const position = SceneTransforms.transformWindowToDrawingBuffer(
+      scene,
+      windowPositions[i],
+      new Cartesian2(),
+    );
+    position.y = drawingBufferHeight - position.y;
+    polygon[i] = position;
+
+    minimumX = Math.min(minimumX, position.x);
+    minimumY = Math.min(minimumY, position.y);
+    maximumX = Math.max(maximumX, position.x);
+    maximumY = Math.max(maximumY, position.y);
+  }
+
+  const rectangle = scratchRegionRectangle;
+  rectangle.x = Math.max(Math.floor(minimumX), 0);
+  rectangle.y = Math.max(Math.floor(minimumY), 0);
+  rectangle.width =
+    Math.min(Math.ceil(maximumX), context.drawingBufferWidth) - rectangle.x;
+  rectangle.height =
+    Math.min(Math.ceil(maximumY), drawingBufferHeight) - rectangle.y;
+  if (rectangle.width <= 0 || rectangle.height <= 0) {
+    return [];
+  }
+
+  // The culling volume expects the origin at the top left
+  const center = Cartesian2.fromElements(
+    rectangle.x + rectangle.width * 0.5,
+    drawingBufferHeight - (rectangle.y + rectangle.height * 0.5),
+    scratchRegionCenter,
+  );
+
+  scene.jobScheduler.disableThisFrame();
+
+  scene.updateFrameState();
+  frameState.cullingVolume = getPickCullingVolume(
+    scene,
+    center,
+    rectangle.width,
+    rectangle.height,
+    viewport,
+  );
+  frameState.invertClassification = false;
+  frameState.passes.pick = true;
+  frameState.tilesetPassState = pickTilesetPassState;
+
+  context.uniformState.update(frameState);
+
+  scene.updateEnvironment();
+
+  passState = pickFramebuffer.begin(rectangle, viewport);
+
+  scene.updateAndExecuteCommands(passState, scratchColorZero);
+  scene.resolveFramebuffers(passState);
+
+  const objects = pickFramebuffer.readObjects(
+    rectangle,
+    computePolygonSpans(polygon, rectangle),
+  );
+  context.endFrame();
+  return objects;
+};
+
+/**
+ * Computes which pixels of a rectangle have their centers inside a polygon
+ * using the even-odd rule, one row at a time.
+ *
+ * @param {Cartesian2[]} polygon The vertices of the polygon.
+ * @param {BoundingRectangle} rectangle The rectangle containing the polygon.
+ * @returns {Array<number[]>} For each row, pairs of the first (inclusive) and last (exclusive) columns inside the polygon.
+ *
+ * @private
+ */
+function computePolygonSpans(polygon, rectangle) {
+  const { x, y, width, height } = rectangle;
+  const length = polygon.length;
+  const spans = new Array(height);
+  const intersections = [];
+
+  for (let row = 0; row < height; ++row) {
+    const sampleY = y + row + 0.5;
+
+    intersections.length = 0;
+    for (let i = 0; i < length; ++i) {
+      const start = polygon[i];
+      const end = polygon[(i + 1) % length];
+      if (start.y <= sampleY !== end.y <= sampleY) {
+        intersections.push(
+          start.x +
+            ((sampleY - start.y) * (end.x - start.x)) / (end.y - start.y),
+        );
+      }
+    }
+    intersections.sort(function (a, b) {
+      return a - b;
+    });
+
+    const rowSpans = [];
+    for (let i = 0; i + 1 < intersections.length; i += 2) {
+      // Columns whose centers are between the intersections
+      const first = Math.max(Math.ceil(intersections[i] - x - 0.5), 0);
+      const last = Math.min(Math.ceil(intersections[i + 1] - x - 0.5), width);
+      if (first < last) {
+        rowSpans.push(first, last);
+      }
+    }
+    spans[row] = rowSpans;
+  }
+
+  return spans;
+}
+
 /**
  * 返回一个对象，其中包含在特定窗口坐标处渲染的体素样本的信息。如果该位置没有体素，则返回 <code>undefined</code>。
  *
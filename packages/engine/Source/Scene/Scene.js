@@ -640,12 +640,19 @@ function Scene(options) {
     usePostProcess: false,
     usePostProcessSelected: false,
     useWebVR: false,
+    useWebXR: false,
   };
 
   this._useWebVR = false;
   this._cameraVR = undefined;
   this._aspectRatioVR = undefined;
 
+  // Set by WebXRSessionManager while a session is presenting, and to the views of the frame being rendered
+  this._webXRSessionManager = undefined;
+  this._webXRViews = undefined;
+  this._webXRFrustumOffset = undefined;
+  this._cameraWebXR = undefined;
+
 /**
    * 当 <code>true</code> 时，仅在根据场景内的变化需要时才会渲染帧。
    * 启用此选项将提高应用程序的性能，但需要在此模式下使用 {@link Scene#requestRender}
@@ -2375,6 +2382,30 @@ function performVoxelsPass(scene, passState, frustumCommands) {
   }
 }
 
+/**
+ * 执行命令以在场景中渲染高斯泼溅。
+ *
+ * @param {Scene} scene 场景。
+ * @param {PassState} passState 当前渲染传递的状态。
+ * @param {FrustumCommands} frustumCommands 当前视锥体的绘制命令。
+ *
+ * @private
+ */
+function performGaussianSplatsPass(scene, passState, frustumCommands) {
+  scene.context.uniformState.updatePass(Pass.GAUSSIAN_SPLATS);
+
+  const commands = frustumCommands.commands[Pass.GAUSSIAN_SPLATS];
+  commands.length = frustumCommands.indices[Pass.GAUSSIAN_SPLATS];
+
+  // Splats within each command are sorted by the model. The commands
+  // themselves are blended back to front.
+  mergeSort(commands, backToFront, scene.camera.positionWC);
+
+  for (let i = 0; i < commands.length; ++i) {
+    executeCommand(commands[i], scene, passState);
+  }
+}
+
 const scratchPerspectiveFrustum = new PerspectiveFrustum();
 const scratchPerspectiveOffCenterFrustum = new PerspectiveOffCenterFrustum();
 const scratchOrthographicFrustum = new OrthographicFrustum();
@@ -2617,6 +2648,13 @@ function executeCommands(scene, passState) {
           ? frustumCommands.near * scene.opaqueFrustumNearOffset
           : frustumCommands.near;
       frustum.far = frustumCommands.far;
+
+      const webXRFrustumOffset = scene._webXRFrustumOffset;
+      if (defined(webXRFrustumOffset)) {
+        // The projections of WebXR views are asymmetric, so the offsets scale with the near plane of each frustum
+        frustum.xOffset = webXRFrustumOffset.x * frustum.near;
+        frustum.yOffset = webXRFrustumOffset.y * frustum.near;
+      }
       uniformState.updateFrustum(frustum);
     }
 
@@ -2784,6 +2822,8 @@ function executeCommands(scene, passState) {
 
     performTranslucentPass(scene, passState, frustumCommands);
 
+    performGaussianSplatsPass(scene, passState, frustumCommands);
+
     performTranslucent3DTilesClassification(scene, passState, frustumCommands);
 
     if (
@@ -2867,7 +2907,11 @@ function renderEnvironment(scene, passState) {
 
   if (environmentState.isSunVisible) {
     environmentState.sunDrawCommand.execute(context, passState);
-    if (scene.sunBloom && !environmentState.useWebVR) {
+    if (
+      scene.sunBloom &&
+      !environmentState.useWebVR &&
+      !environmentState.useWebXR
+    ) {
       let framebuffer;
       if (environmentState.useGlobeDepthFramebuffer) {
         framebuffer = view.globeDepth.framebuffer;
@@ -3054,7 +3098,9 @@ Scene.prototype.updateAndExecuteCommands = function (
 ) {
   updateAndClearFramebuffers(this, passState, backgroundColor);
 
-  if (this._environmentState.useWebVR) {
+  if (this._environmentState.useWebXR) {
+    executeWebXRCommands(this, passState);
+  } else if (this._environmentState.useWebVR) {
     executeWebVRCommands(this, passState, backgroundColor);
   } else if (
     this._frameState.mode !== SceneMode.SCENE2D ||
@@ -3130,6 +3176,67 @@ function executeWebVRCommands(scene, passState) {
   Camera.clone(savedCamera, camera);
 }
 
+const scratchWebXRViewport = new BoundingRectangle();
+
+/**
+ * 执行绘制命令以将场景渲染到 WebXR 会话的每个视图的视口中。
+ *
+ * @param {Scene} scene 场景
+ * @param {PassState} passState 渲染状态
+ *
+ * @private
+ */
+function executeWebXRCommands(scene, passState) {
+  const view = scene._view;
+  const camera = view.camera;
+  const environmentState = scene._environmentState;
+  const renderTranslucentDepthForPick =
+    environmentState.renderTranslucentDepthForPick;
+
+  // The camera is at the viewer pose with a frustum enclosing every view, so the
+  // commands are culled once for all of the views
+  updateAndRenderPrimitives(scene);
+
+  view.createPotentiallyVisibleSet(scene);
+
+  executeComputeCommands(scene);
+
+  if (!renderTranslucentDepthForPick) {
+    executeShadowMapCastCommands(scene);
+  }
+
+  if (!defined(scene._cameraWebXR)) {
+    scene._cameraWebXR = new Camera(scene);
+  }
+  const savedCamera = Camera.clone(camera, scene._cameraWebXR);
+  const viewport = passState.viewport;
+  const savedViewport = BoundingRectangle.clone(viewport, scratchWebXRViewport);
+
+  const frustum = camera.frustum;
+  const views = scene._webXRViews;
+  for (let i = 0; i < views.length; ++i) {
+    const xrView = views[i];
+    BoundingRectangle.clone(xrView.viewport, viewport);
+
+    Cartesian3.clone(xrView.position, camera.position);
+    Cartesian3.clone(xrView.direction, camera.direction);
+    Cartesian3.clone(xrView.up, camera.up);
+    Cartesian3.clone(xrView.right, camera.right);
+
+    frustum.fov = xrView.fov;
+    frustum.aspectRatio = xrView.aspectRatio;
+    frustum.xOffset = xrView.offset.x * frustum.near;
+    frustum.yOffset = xrView.offset.y * frustum.near;
+    scene._webXRFrustumOffset = xrView.offset;
+
+    executeCommands(scene, passState);
+  }
+
+  scene._webXRFrustumOffset = undefined;
+  BoundingRectangle.clone(savedViewport, viewport);
+  Camera.clone(savedCamera, camera);
+}
+
 const scratch2DViewportCartographic = new Cartographic(
   Math.PI,
   CesiumMath.PI_OVER_TWO,
@@ -3438,6 +3545,10 @@ Scene.prototype.updateEnvironment = function () {
   environmentState.renderTranslucentDepthForPick = false;
   environmentState.useWebVR =
     this._useWebVR && this.mode !== SceneMode.SCENE2D && !offscreenPass;
+  environmentState.useWebXR =
+    defined(this._webXRViews) &&
+    this.mode === SceneMode.SCENE3D &&
+    !offscreenPass;
 
   const occluder =
     frameState.mode === SceneMode.SCENE3D &&
@@ -3583,13 +3694,14 @@ function updateAndClearFramebuffers(scene, passState, clearColor) {
     view.globeDepth.picking = picking;
   }
   const useWebVR = environmentState.useWebVR;
+  const useWebXR = environmentState.useWebXR;
 
   // Preserve the reference to the original framebuffer.
   environmentState.originalFramebuffer = passState.framebuffer;
 
   // Manage sun bloom post-processing effect.
   if (defined(scene.sun) && scene.sunBloom !== scene._sunBloom) {
-    if (scene.sunBloom && !useWebVR) {
+    if (scene.sunBloom && !useWebVR && !useWebXR) {
       scene._sunPostProcess = new SunPostProcess();
     } else if (defined(scene._sunPostProcess)) {
       scene._sunPostProcess = scene._sunPostProcess.destroy();
@@ -3664,7 +3776,12 @@ function updateAndClearFramebuffers(scene, passState, clearColor) {
       usePostProcess && postProcess.hasSelected;
   }
 
-  if (environmentState.isSunVisible && scene.sunBloom && !useWebVR) {
+  if (
+    environmentState.isSunVisible &&
+    scene.sunBloom &&
+    !useWebVR &&
+    !useWebXR
+  ) {
     passState.framebuffer = scene._sunPostProcess.update(passState);
     scene._sunPostProcess.clear(context, passState, clearColor);
   } else if (useGlobeDepthFramebuffer) {
@@ -4558,6 +4675,39 @@ Scene.prototype.drillPick = function (windowPosition, limit, width, height) {
   return this._picking.drillPick(this, windowPosition, limit, width, height);
 };
 
+/**
+ * 返回在窗口坐标中的多边形（例如橡皮筋矩形选框或手绘套索）内有像素被渲染的所有对象。
+ * 每个对象都包含一个 `primitive` 属性，其他属性可能会根据原始对象的类型被设置，与 {@link Scene#pick} 返回的对象相同。
+ * 例如，实体的拾取对象的 <code>id</code> 属性为该 {@link Entity}，3D Tiles 瓦片集的特征作为 {@link Cesium3DTileFeature} 返回。
+ * <p>
+ * 与在像素网格上调用 {@link Scene#drillPick} 不同，区域只渲染一次拾取通道，因此只返回可见的对象；
+ * 完全被其他对象遮挡的对象不会被返回。
+ * </p>
+ *
+ * @param {Cartesian2[]} windowPositions 多边形的顶点，以窗口坐标表示。对于矩形，传入其四个角点。
+ * @returns {object[]} 在多边形内渲染的对象的数组，每个对象只出现一次。
+ *
+ * @exception {DeveloperError} windowPositions 必须至少包含 3 个位置。
+ *
+ * @example
+ * // 选择矩形内的所有 3D Tiles 特征
+ * const objects = scene.pickRegion([
+ *   new Cesium.Cartesian2(100.0, 100.0),
+ *   new Cesium.Cartesian2(400.0, 100.0),
+ *   new Cesium.Cartesian2(400.0, 300.0),
+ *   new Cesium.Cartesian2(100.0, 300.0),
+ * ]);
+ * const features = objects.filter(function (object) {
+ *   return object instanceof Cesium.Cesium3DTileFeature;
+ * });
+ *
+ * @see Scene#pick
+ * @see Scene#drillPick
+ */
+Scene.prototype.pickRegion = function (windowPositions) {
+  return this._picking.pickRegion(this, windowPositions);
+};
+
 function updatePreloadPass(scene) {
   const frameState = scene._frameState;
   preloadTilesetPassState.camera = frameState.camera;
@@ -0,0 +1,318 @@
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import Rectangle from "../Core/Rectangle.js";
+import TerrainModificationType from "./TerrainModificationType.js";
+
+/**
+ * 一个测地多边形，与 {@link TerrainModificationCollection} 一起使用，以在局部修改地球地形的高度。
+ * 多边形内的地形可以被压平到目标高度、向下挖掘指定深度并渲染基坑的墙壁和底部，或者升高或降低指定的偏移量。
+ * 多边形的边在经纬度空间中为直线，且多边形不能跨越国际日期变更线。
+ *
+ * @alias TerrainModification
+ * @constructor
+ *
+ * @param {object} options 包含以下属性的对象：
+ * @param {Cartesian3[]} options.positions 定义多边形外环的三个或更多笛卡尔坐标的列表。
+ * @param {TerrainModificationType} [options.type=TerrainModificationType.FLATTEN] 修改地形的方式。
+ * @param {number} [options.height] 压平后地形相对于椭球体的高度，以米为单位。类型为 {@link TerrainModificationType.FLATTEN} 时必需。
+ * @param {number} [options.depth] 挖掘的深度，以米为单位。类型为 {@link TerrainModificationType.EXCAVATE} 时必需。
+ * @param {number} [options.offset] 地形高度的偏移量，以米为单位。类型为 {@link TerrainModificationType.OFFSET} 时必需。
+ * @param {Color} [options.color=Color.GRAY] 挖掘基坑的墙壁和底部的颜色。
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.default] 用于将多边形投影到地表的椭球体。
+ *
+ * @example
+ * // A building pad at 120 meters above the ellipsoid
+ * const pad = new Cesium.TerrainModification({
+ *   positions: Cesium.Cartesian3.fromDegreesArray([
+ *     -105.0, 40.0, -104.999, 40.0, -104.999, 40.001, -105.0, 40.001,
+ *   ]),
+ *   type: Cesium.TerrainModificationType.FLATTEN,
+ *   height: 120.0,
+ * });
+ *
+ * // A 30 meter deep pit
+ * const pit = new Cesium.TerrainModification({
+ *   positions: Cesium.Cartesian3.fromDegreesArray([
+ *     -105.01, 40.0, -105.005, 40.0, -105.005, 40.004, -105.01, 40.004,
+ *   ]),
+ *   type: Cesium.TerrainModificationType.EXCAVATE,
+ *   depth: 30.0,
+ * });
+ *
+ * @see TerrainModificationCollection
+ */
+function TerrainModification(options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options", options);
+  Check.typeOf.object("options.positions", options.positions);
+  Check.typeOf.number.greaterThanOrEquals(
+    "options.positions.length",
+    options.positions.length,
+    3,
+  );
+  //>>includeEnd('debug');
+
+  const type = defaultValue(options.type, TerrainModificationType.FLATTEN);
+
+  //>>includeStart('debug', pragmas.debug);
+  if (type === TerrainModificationType.FLATTEN) {
+    Check.typeOf.number("options.height", options.height);
+  } else if (type === TerrainModificationType.EXCAVATE) {
+    Check.typeOf.number.greaterThan("options.depth", options.depth, 0.0);
+  } else if (type === TerrainModificationType.OFFSET) {
+    Check.typeOf.number("options.offset", options.offset);
+  } else {
+    throw new DeveloperError("options.type is not a TerrainModificationType.");
+  }
+  //>>includeEnd('debug');
+
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.default);
+  const positions = options.positions.slice();
+  const length = positions.length;
+
+  const cartographics = new Array(length);
+  const longitudes = new Float64Array(length);
+  const latitudes = new Float64Array(length);
+  for (let i = 0; i < length; ++i) {
+    const cartographic = ellipsoid.cartesianToCartographic(positions[i]);
+    cartographics[i] = cartographic;
+    longitudes[i] = cartographic.longitude;
+    latitudes[i] = cartographic.latitude;
+  }
+
+  this._positions = positions;
+  this._type = type;
+  this._height = options.height;
+  this._depth = options.depth;
+  this._offset = options.offset;
+  this._color = Color.clone(defaultValue(options.color, Color.GRAY));
+  this._ellipsoid = ellipsoid;
+
+  this._longitudes = longitudes;
+  this._latitudes = latitudes;
+  this._rectangle = Rectangle.fromCartographicArray(cartographics);
+
+  // Set when a property changes, so that the owning collection can update its resources
+  this._dirty = true;
+}
+
+Object.defineProperties(TerrainModification.prototype, {
+  /**
+   * 返回多边形外环的位置。
+   *
+   * @memberof TerrainModification.prototype
+   * @type {Cartesian3[]}
+   * @readonly
+   */
+  positions: {
+    get: function () {
+      return this._positions;
+    },
+  },
+
+  /**
+   * 返回修改地形的方式。
+   *
+   * @memberof TerrainModification.prototype
+   * @type {TerrainModificationType}
+   * @readonly
+   */
+  type: {
+    get: function () {
+      return this._type;
+    },
+  },
+
+  /**
+   * 获取或设置压平后地形相对于椭球体的高度，以米为单位。仅在类型为 {@link TerrainModificationType.FLATTEN} 时使用。
+   *
+   * @memberof TerrainModification.prototype
+   * @type {number|undefined}
+   */
+  height: {
+    get: function () {
+      return this._height;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      if (this._type === TerrainModificationType.FLATTEN) {
+        Check.typeOf.number("value", value);
+      }
+      //>>includeEnd('debug');
+      this._height = value;
+      this._dirty = true;
+    },
+  },
+
+  /**
+   * 获取或设置挖掘的深度，以米为单位。仅在类型为 {@link TerrainModificationType.EXCAVATE} 时使用。
+   *
+   * @memberof TerrainModification.prototype
+   * @type {number|undefined}
+   */
+  depth: {
+    get: function () {
+      return this._depth;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      if (this._type === TerrainModificationType.EXCAVATE) {
+        Check.typeOf.number.greaterThan("value", value, 0.0);
+      }
+      //>>includeEnd('debug');
+      this._depth = value;
+      this._dirty = true;
+    },
+  },
+
+  /**
+   * 获取或设置地形高度的偏移量，以米为单位。仅在类型为 {@link TerrainModificationType.OFFSET} 时使用。
+   *
+   * @memberof TerrainModification.prototype
+   * @type {number|undefined}
+   */
+  offset: {
+    get: function () {
+      return this._offset;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      if (this._type === TerrainModificationType.OFFSET) {
+        Check.typeOf.number("value", value);
+      }
+      //>>includeEnd('debug');
+      this._offset = value;
+      this._dirty = true;
+    },
+  },
+
+  /**
+   * 获取或设置挖掘基坑的墙壁和底部的颜色。仅在类型为 {@link TerrainModificationType.EXCAVATE} 时使用。
+   *
+   * @memberof TerrainModification.prototype
+   * @type {Color}
+   * @default Color.GRAY
+   */
+  color: {
+    get: function () {
+      return this._color;
+    },
+    set: function (value) {
+      //>>includeStart('debug', pragmas.debug);
+      Check.typeOf.object("value", value);
+      //>>includeEnd('debug');
+      this._color = Color.clone(value, this._color);
+      this._dirty = true;
+    },
+  },
+
+  /**
+   * 返回用于将多边形投影到地表的椭球体。
+   *
+   * @memberof TerrainModification.prototype
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+});
+
+/**
+ * 计算包围多边形的测地矩形。
+ *
+ * @param {Rectangle} [result] 用于存储结果的对象。
+ * @returns {Rectangle} 结果矩形。
+ */
+TerrainModification.prototype.computeRectangle = function (result) {
+  return Rectangle.clone(this._rectangle, result);
+};
+
+/**
+ * 确定给定的位置是否在多边形内。
+ *
+ * @param {Cartographic} cartographic 要测试的位置。
+ * @returns {boolean} 如果位置在多边形内，则返回 <code>true</code>；否则返回 <code>false</code>。
+ */
+TerrainModification.prototype.contains = function (cartographic) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  if (!Rectangle.contains(this._rectangle, cartographic)) {
+    return false;
+  }
+
+  // Crossing number test, matching the one used in the terrain shaders
+  const x = cartographic.longitude;
+  const y = cartographic.latitude;
+  const longitudes = this._longitudes;
+  const latitudes = this._latitudes;
+  const length = longitudes.length;
+
+  let inside = false;
+  for (let i = 0, j = length - 1; i < length; j = i++) {
+    const xi = longitudes[i];
+    const yi = latitudes[i];
+    const xj = longitudes[j];
+    const yj = latitudes[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * 返回在多边形内应用此修改后的地形高度。
+ *
+ * @param {number} height 未修改的地形高度。
+ * @returns {number} 修改后的地形高度。
+ *
+ * @private
+ */
+TerrainModification.prototype.modifyHeight = function (height) {
+  switch (this._type) {
+    case TerrainModificationType.FLATTEN:
+      return this._height;
+    case TerrainModificationType.EXCAVATE:
+      return height - this._depth;
+    default:
+      return height + this._offset;
+  }
+};
+
+/**
+ * 返回多边形外环的经纬度，以弧度为单位。
+ *
+ * @param {Cartographic[]} [result] 用于存储结果的数组。
+ * @returns {Cartographic[]} 多边形外环的经纬度，高度为 0。
+ *
+ * @private
+ */
+TerrainModification.prototype.getCartographics = function (result) {
+  const longitudes = this._longitudes;
+  const length = longitudes.length;
+  if (!defined(result)) {
+    result = new Array(length);
+  }
+  result.length = length;
+  for (let i = 0; i < length; ++i) {
+    result[i] = Cartographic.fromRadians(
+      longitudes[i],
+      this._latitudes[i],
+      0.0,
+      result[i],
+    );
+  }
+  return result;
+};
+
+export default TerrainModification;
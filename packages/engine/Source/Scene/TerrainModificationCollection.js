@@ -0,0 +1,776 @@
+import ArcType from "../Core/ArcType.js";
+import BoundingSphere from "../Core/BoundingSphere.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import ColorGeometryInstanceAttribute from "../Core/ColorGeometryInstanceAttribute.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Event from "../Core/Event.js";
+import GeometryInstance from "../Core/GeometryInstance.js";
+import GeometryPipeline from "../Core/GeometryPipeline.js";
+import CesiumMath from "../Core/Math.js";
+import PixelFormat from "../Core/PixelFormat.js";
+import PolygonGeometry from "../Core/PolygonGeometry.js";
+import PolygonHierarchy from "../Core/PolygonHierarchy.js";
+import Rectangle from "../Core/Rectangle.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import sampleTerrain from "../Core/sampleTerrain.js";
+import sampleTerrainMostDetailed from "../Core/sampleTerrainMostDetailed.js";
+import VertexFormat from "../Core/VertexFormat.js";
+import WallGeometry from "../Core/WallGeometry.js";
+import ContextLimits from "../Renderer/ContextLimits.js";
+import PixelDatatype from "../Renderer/PixelDatatype.js";
+import Sampler from "../Renderer/Sampler.js";
+import Texture from "../Renderer/Texture.js";
+import PerInstanceColorAppearance from "./PerInstanceColorAppearance.js";
+import Primitive from "./Primitive.js";
+import TerrainModificationType from "./TerrainModificationType.js";
+
+/**
+ * 指定一组 {@link TerrainModification}，用于在局部修改 {@link Globe} 地形的高度，例如在真实地形上放置设计的建筑平台和基坑。
+ * 修改在地形瓦片的顶点着色器中应用，{@link Globe#getHeight}、{@link sampleTerrain} 和 {@link sampleTerrainMostDetailed} 返回修改后的高度。
+ * 当多个多边形重叠时，修改按照它们在集合中的顺序依次应用。
+ * <p>
+ * 挖掘会移除多边形内的地表，并使用从地形提供者采样的高度渲染基坑的墙壁和底部。
+ * 由于修改在顶点上应用，压平和偏移区域的边缘精度取决于地形网格的分辨率。
+ * </p>
+ * 地形修改仅在 WebGL 2 上下文中受支持。
+ *
+ * @alias TerrainModificationCollection
+ * @constructor
+ *
+ * @param {object} [options] 包含以下属性的对象：
+ * @param {TerrainModification[]} [options.modifications=[]] 要应用于地形的 {@link TerrainModification} 对象数组。
+ * @param {boolean} [options.enabled=true] 确定地形修改是否处于活动状态。
+ *
+ * @example
+ * viewer.scene.globe.terrainModifications = new Cesium.TerrainModificationCollection({
+ *   modifications: [
+ *     new Cesium.TerrainModification({
+ *       positions: Cesium.Cartesian3.fromDegreesArray([
+ *         -105.0, 40.0, -104.999, 40.0, -104.999, 40.001, -105.0, 40.001,
+ *       ]),
+ *       type: Cesium.TerrainModificationType.FLATTEN,
+ *       height: 1650.0,
+ *     }),
+ *   ],
+ * });
+ *
+ * @see TerrainModification
+ */
+function TerrainModificationCollection(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._modifications = [];
+
+  /**
+   * 如果为 true，地形修改将被启用。
+   *
+   * @type {boolean}
+   * @default true
+   */
+  this.enabled = defaultValue(options.enabled, true);
+
+  /**
+   * 当新的地形修改被添加到集合中时触发的事件。事件处理程序会传递新修改及其被添加的索引。
+   * @type {Event}
+   * @default Event()
+   */
+  this.modificationAdded = new Event();
+
+  /**
+   * 当地形修改从集合中移除时触发的事件。事件处理程序会传递被移除的修改及其被移除的索引。
+   * @type {Event}
+   * @default Event()
+   */
+  this.modificationRemoved = new Event();
+
+  // If this TerrainModificationCollection has an owner, only its owner should update or destroy it.
+  this._owner = undefined;
+
+  this._dirty = true;
+  this._float32View = undefined;
+  this._texture = undefined;
+
+  // The pits rendered for each excavation, by modification
+  this._excavations = new Map();
+  this._error = undefined;
+
+  const modifications = options.modifications;
+  if (defined(modifications)) {
+    const length = modifications.length;
+    for (let i = 0; i < length; ++i) {
+      this._modifications.push(modifications[i]);
+    }
+  }
+}
+
+Object.defineProperties(TerrainModificationCollection.prototype, {
+  /**
+   * 返回此集合中修改的数量。通常与 {@link TerrainModificationCollection#get} 一起使用，以遍历集合中的所有修改。
+   *
+   * @memberof TerrainModificationCollection.prototype
+   * @type {number}
+   * @readonly
+   */
+  length: {
+    get: function () {
+      return this._modifications.length;
+    },
+  },
+
+  /**
+   * 返回包含打包的修改和多边形位置的纹理。
+   *
+   * @memberof TerrainModificationCollection.prototype
+   * @type {Texture}
+   * @readonly
+   * @private
+   */
+  texture: {
+    get: function () {
+      return this._texture;
+    },
+  },
+
+  /**
+   * 对 TerrainModificationCollection 所有者的引用（如果有）。
+   *
+   * @memberof TerrainModificationCollection.prototype
+   * @readonly
+   * @private
+   */
+  owner: {
+    get: function () {
+      return this._owner;
+    },
+  },
+
+  /**
+   * 返回一个封装此 TerrainModificationCollection 状态的数字。如果此值发生变化，则需要重新生成着色器。
+   *
+   * @memberof TerrainModificationCollection.prototype
+   * @type {number}
+   * @readonly
+   * @private
+   */
+  terrainModificationsState: {
+    get: function () {
+      return this.enabled ? this.length : 0;
+    },
+  },
+});
+
+/**
+ * 将指定的 {@link TerrainModification} 添加到集合中。
+ *
+ * @param {TerrainModification} modification 要添加到集合中的修改。
+ * @returns {TerrainModification} 被添加的修改。
+ *
+ * @see TerrainModificationCollection#remove
+ * @see TerrainModificationCollection#removeAll
+ */
+TerrainModificationCollection.prototype.add = function (modification) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("modification", modification);
+  //>>includeEnd('debug');
+
+  const index = this._modifications.length;
+  this._modifications.push(modification);
+  this._dirty = true;
+  this.modificationAdded.raiseEvent(modification, index);
+  return modification;
+};
+
+/**
+ * 返回集合中指定索引处的修改。索引从零开始，随着修改的添加而增加。移除修改会将该修改之后的所有修改向左移动，改变它们的索引。
+ *
+ * @param {number} index 修改的零基索引。
+ * @returns {TerrainModification} 指定索引处的修改。
+ *
+ * @see TerrainModificationCollection#length
+ */
+TerrainModificationCollection.prototype.get = function (index) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number("index", index);
+  //>>includeEnd('debug');
+
+  return this._modifications[index];
+};
+
+/**
+ * 检查此集合是否包含给定的修改。
+ *
+ * @param {TerrainModification} modification 要检查的修改。
+ * @returns {boolean} 如果此集合包含该修改，则返回 <code>true</code>，否则返回 <code>false</code>。
+ */
+TerrainModificationCollection.prototype.contains = function (modification) {
+  return this._modifications.indexOf(modification) !== -1;
+};
+
+/**
+ * 从集合中移除给定的修改。
+ *
+ * @param {TerrainModification} modification 要移除的修改。
+ * @returns {boolean} 如果修改被移除，则返回 <code>true</code>；如果修改未在集合中找到，则返回 <code>false</code>。
+ *
+ * @see TerrainModificationCollection#add
+ * @see TerrainModificationCollection#removeAll
+ */
+TerrainModificationCollection.prototype.remove = function (modification) {
+  const modifications = this._modifications;
+  const index = modifications.indexOf(modification);
+  if (index === -1) {
+    return false;
+  }
+
+  modifications.splice(index, 1);
+  this._dirty = true;
+  this.modificationRemoved.raiseEvent(modification, index);
+  return true;
+};
+
+/**
+ * 从集合中移除所有修改。
+ *
+ * @see TerrainModificationCollection#add
+ * @see TerrainModificationCollection#remove
+ */
+TerrainModificationCollection.prototype.removeAll = function () {
+  const modifications = this._modifications;
+  const length = modifications.length;
+  for (let i = 0; i < length; ++i) {
+    this.modificationRemoved.raiseEvent(modifications[i], i);
+  }
+  this._modifications = [];
+  this._dirty = true;
+};
+
+/**
+ * 返回在给定位置应用集合中所有修改后的地形高度。
+ *
+ * @param {Cartographic} cartographic 地形高度所在的位置。
+ * @param {number|undefined} height 未修改的地形高度。
+ * @returns {number|undefined} 修改后的地形高度；如果 <code>height</code> 未定义，则返回 <code>undefined</code>。
+ */
+TerrainModificationCollection.prototype.getModifiedHeight = function (
+  cartographic,
+  height,
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("cartographic", cartographic);
+  //>>includeEnd('debug');
+
+  if (!this.enabled || !defined(height)) {
+    return height;
+  }
+
+  const modifications = this._modifications;
+  const length = modifications.length;
+  for (let i = 0; i < length; ++i) {
+    const modification = modifications[i];
+    if (modification.contains(cartographic)) {
+      height = modification.modifyHeight(height);
+    }
+  }
+  return height;
+};
+
+const scratchIntersection = new Rectangle();
+
+/**
+ * 确定是否有修改与给定的矩形相交。
+ *
+ * @param {Rectangle} rectangle 要测试的矩形。
+ * @returns {boolean} 如果有修改与矩形相交，则返回 <code>true</code>。
+ * @private
+ */
+TerrainModificationCollection.prototype.intersectsRectangle = function (
+  rectangle,
+) {
+  const modifications = this._modifications;
+  const length = modifications.length;
+  for (let i = 0; i < length; ++i) {
+    if (
+      defined(
+        Rectangle.simpleIntersection(
+          modifications[i]._rectangle,
+          rectangle,
+          scratchIntersection,
+        ),
+      )
+    ) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Splits a double into two floats whose sum is the double, so that differences
+// between nearby positions can be computed precisely in the shaders.
+function packDouble(value, array, index) {
+  const high = Math.fround(value);
+  array[index] = high;
+  array[index + 1] = value - high;
+}
+
+function packModifications(collection, context) {
+  const modifications = collection._modifications;
+  const length = modifications.length;
+
+  // Each modification is a header pixel with its type, value and the location of its positions,
+  // and a pixel with its rectangle, followed by a pixel for each of its positions.
+  let pixelsNeeded = length * 2;
+  for (let i = 0; i < length; ++i) {
+    pixelsNeeded += modifications[i]._longitudes.length;
+  }
+  pixelsNeeded = Math.max(pixelsNeeded, 1);
+
+  let texture = collection._texture;
+  if (defined(texture)) {
+    const currentPixelCount = texture.width * texture.height;
+    // Recreate the texture if it isn't big enough or is 4 times larger than it needs to be.
+    if (
+      currentPixelCount < pixelsNeeded ||
+      pixelsNeeded < 0.25 * currentPixelCount
+    ) {
+      texture.destroy();
+      texture = collection._texture = undefined;
+    }
+  }
+
+  if (!defined(texture)) {
+    const width = Math.min(pixelsNeeded * 2, ContextLimits.maximumTextureSize);
+    const height = Math.ceil((pixelsNeeded * 2) / width);
+    texture = collection._texture = new Texture({
+      context: context,
+      width: width,
+      height: height,
+      pixelFormat: PixelFormat.RGBA,
+      pixelDatatype: PixelDatatype.FLOAT,
+      sampler: Sampler.NEAREST,
+      flipY: false,
+    });
+    collection._float32View = new Float32Array(width * height * 4);
+  }
+
+  const floats = collection._float32View;
+  let positionPixel = length * 2;
+  for (let i = 0; i < length; ++i) {
+    const modification = modifications[i];
+    const longitudes = modification._longitudes;
+    const latitudes = modification._latitudes;
+    const positionsLength = longitudes.length;
+
+    let value;
+    switch (modification.type) {
+      case TerrainModificationType.FLATTEN:
+        value = modification.height;
+        break;
+      case TerrainModificationType.EXCAVATE:
+        value = modification.depth;
+        break;
+      default:
+        value = modification.offset;
+    }
+
+    let index = i * 8;
+    floats[index++] = modification.type;
+    floats[index++] = value;
+    floats[index++] = positionPixel;
+    floats[index++] = positionsLength;
+
+    const rectangle = modification._rectangle;
+    floats[index++] = rectangle.west;
+    floats[index++] = rectangle.south;
+    floats[index++] = rectangle.east;
+    floats[index++] = rectangle.north;
+
+    for (let j = 0; j < positionsLength; ++j) {
+      index = positionPixel * 4;
+      packDouble(longitudes[j], floats, index);
+      packDouble(latitudes[j], floats, index + 2);
+      ++positionPixel;
+    }
+  }
+
+  texture.copyFrom({
+    source: {
+      width: texture.width,
+      height: texture.height,
+      arrayBufferView: floats,
+    },
+  });
+}
+
+// The number of segments along the longest side of the rectangle of an excavation,
+// used to sample the terrain for its walls and floor
+const excavationSubdivisions = 64;
+
+function densifyPolygon(modification, spacing) {
+  const cartographics = modification.getCartographics();
+  const length = cartographics.length;
+  const result = [];
+  for (let i = 0; i < length; ++i) {
+    const start = cartographics[i];
+    const end = cartographics[(i + 1) % length];
+    const distance = Math.hypot(
+      end.longitude - start.longitude,
+      end.latitude - start.latitude,
+    );
+    const count = Math.max(Math.ceil(distance / spacing), 1);
+    for (let j = 0; j < count; ++j) {
+      const t = j / count;
+      const cartographic = start.clone();
+      cartographic.longitude = CesiumMath.lerp(
+        start.longitude,
+        end.longitude,
+        t,
+      );
+      cartographic.latitude = CesiumMath.lerp(start.latitude, end.latitude, t);
+      result.push(cartographic);
+    }
+  }
+  return result;
+}
+
+function sampleHeights(terrainProvider, cartographics) {
+  if (defined(terrainProvider.availability)) {
+    return sampleTerrainMostDetailed(terrainProvider, cartographics);
+  }
+  return sampleTerrain(terrainProvider, 0, cartographics);
+}
+
+const scratchCartesian = new Cartesian3();
+
+/**
+ * Samples the terrain below an excavation and creates the geometry of the walls and floor of the pit.
+ *
+ * @param {TerrainModification} modification The excavation.
+ * @param {TerrainProvider} terrainProvider The terrain provider to sample.
+ * @returns {Promise<Geometry[]>} The geometry of the floor and walls.
+ *
+ * @private
+ */
+TerrainModificationCollection._createExcavationGeometry = async function (
+  modification,
+  terrainProvider,
+) {
+  const ellipsoid = modification.ellipsoid;
+  const rectangle = modification._rectangle;
+  const spacing = Math.max(
+    Math.max(rectangle.width, rectangle.height) / excavationSubdivisions,
+    CesiumMath.EPSILON10,
+  );
+
+  const boundary = densifyPolygon(modification, spacing);
+  const boundaryLength = boundary.length;
+
+  const floor = PolygonGeometry.createGeometry(
+    new PolygonGeometry({
+      polygonHierarchy: new PolygonHierarchy(
+        ellipsoid.cartographicArrayToCartesianArray(boundary),
+      ),
+      vertexFormat: VertexFormat.POSITION_ONLY,
+      granularity: spacing,
+      arcType: ArcType.RHUMB,
+      ellipsoid: ellipsoid,
+    }),
+  );
+  if (!defined(floor)) {
+    return [];
+  }
+
+  const floorPositions = floor.attributes.position.values;
+  const floorLength = floorPositions.length / 3;
+  const cartographics = boundary.slice();
+  for (let i = 0; i < floorLength; ++i) {
+    cartographics.push(
+      ellipsoid.cartesianToCartographic(
+        Cartesian3.unpack(floorPositions, i * 3, scratchCartesian),
+      ),
+    );
+  }
+
+  await sampleHeights(terrainProvider, cartographics);
+
+  const depth = modification.depth;
+  for (let i = 0; i < floorLength; ++i) {
+    const cartographic = cartographics[boundaryLength + i];
+    const height = defaultValue(cartographic.height, 0.0) - depth;
+    const position = Cartesian3.fromRadians(
+      cartographic.longitude,
+      cartographic.latitude,
+      height,
+      ellipsoid,
+      scratchCartesian,
+    );
+    Cartesian3.pack(position, floorPositions, i * 3);
+  }
+  floor.boundingSphere = BoundingSphere.fromVertices(floorPositions);
+  GeometryPipeline.computeNormal(floor);
+
+  // Close the wall by repeating the first position
+  const wallPositions = new Array(boundaryLength + 1);
+  const maximumHeights = new Array(boundaryLength + 1);
+  const minimumHeights = new Array(boundaryLength + 1);
+  for (let i = 0; i <= boundaryLength; ++i) {
+    const cartographic = boundary[i % boundaryLength];
+    const height = defaultValue(cartographic.height, 0.0);
+    wallPositions[i] = Cartesian3.fromRadians(
+      cartographic.longitude,
+      cartographic.latitude,
+      0.0,
+      ellipsoid,
+    );
+    maximumHeights[i] = height;
+    minimumHeights[i] = height - depth;
+  }
+
+  const wall = WallGeometry.createGeometry(
+    new WallGeometry({
+      positions: wallPositions,
+      maximumHeights: maximumHeights,
+      minimumHeights: minimumHeights,
+      vertexFormat: PerInstanceColorAppearance.VERTEX_FORMAT,
+      // Use the sampled positions without subdividing
+      granularity: CesiumMath.PI,
+      ellipsoid: ellipsoid,
+    }),
+  );
+
+  return defined(wall) ? [floor, wall] : [floor];
+};
+
+function createExcavationPrimitive(geometries, color) {
+  if (geometries.length === 0) {
+    return undefined;
+  }
+
+  const attributes = {
+    color: ColorGeometryInstanceAttribute.fromColor(color),
+  };
+  return new Primitive({
+    geometryInstances: geometries.map(function (geometry) {
+      return new GeometryInstance({
+        geometry: geometry,
+        attributes: attributes,
+      });
+    }),
+    appearance: new PerInstanceColorAppearance({
+      translucent: color.alpha < 1.0,
+      closed: false,
+    }),
+    asynchronous: false,
+  });
+}
+
+function updateExcavations(collection, frameState) {
+  const excavations = collection._excavations;
+  const owner = collection._owner;
+  const terrainProvider = defined(owner) ? owner.terrainProvider : undefined;
+
+  // Remove the pits of excavations no longer in the collection
+  for (const [modification, excavation] of excavations) {
+    if (
+      !collection.contains(modification) ||
+      modification.type !== TerrainModificationType.EXCAVATE
+    ) {
+      excavation.primitive =
+        excavation.primitive && excavation.primitive.destroy();
+      excavations.delete(modification);
+    }
+  }
+
+  let pending = false;
+  const modifications = collection._modifications;
+  const length = modifications.length;
+  for (let i = 0; i < length; ++i) {
+    const modification = modifications[i];
+    if (modification.type !== TerrainModificationType.EXCAVATE) {
+      continue;
+    }
+
+    let excavation = excavations.get(modification);
+    if (!defined(excavation)) {
+      excavation = {
+        primitive: undefined,
+        promise: undefined,
+        terrainProvider: undefined,
+      };
+      excavations.set(modification, excavation);
+    }
+
+    if (
+      defined(terrainProvider) &&
+      (modification._dirty || excavation.terrainProvider !== terrainProvider)
+    ) {
+      excavation.terrainProvider = terrainProvider;
+      const promise = TerrainModificationCollection._createExcavationGeometry(
+        modification,
+        terrainProvider,
+      );
+      excavation.promise = promise;
+      promise
+        .then(function (geometries) {
+          // Ignore the result if the excavation changed or was removed in the meantime
+          if (
+            collection.isDestroyed() ||
+            excavation.promise !== promise ||
+            excavations.get(modification) !== excavation
+          ) {
+            return;
+          }
+          excavation.primitive =
+            excavation.primitive && excavation.primitive.destroy();
+          excavation.primitive = createExcavationPrimitive(
+            geometries,
+            modification.color,
+          );
+          excavation.promise = undefined;
+        })
+        .catch(function (error) {
+          if (!collection.isDestroyed()) {
+            collection._error = error;
+          }
+        });
+    }
+
+    if (defined(excavation.promise)) {
+      pending = true;
+    }
+
+    if (defined(excavation.primitive)) {
+      excavation.primitive.update(frameState);
+    }
+  }
+
+  if (pending) {
+    // Keep rendering until the pits are ready
+    frameState.afterRender.push(function () {
+      return true;
+    });
+  }
+}
+
+/**
+ * 当 {@link Viewer} 或 {@link CesiumWidget} 渲染场景时调用，以构建地形修改的资源并渲染挖掘的基坑。
+ * <p>
+ * 不要直接调用此函数。
+ * </p>
+ * @private
+ * @param {FrameState} frameState
+ * @throws {RuntimeError} TerrainModificationCollections 仅支持 WebGL 2
+ */
+TerrainModificationCollection.prototype.update = function (frameState) {
+  if (!TerrainModificationCollection.isSupported(frameState)) {
+    throw new RuntimeError(
+      "TerrainModificationCollections are only supported for WebGL 2.",
+    );
+  }
+
+  const error = this._error;
+  if (defined(error)) {
+    this._error = undefined;
+    throw error;
+  }
+
+  const modifications = this._modifications;
+  const length = modifications.length;
+  let dirty = this._dirty;
+  for (let i = 0; i < length && !dirty; ++i) {
+    dirty = modifications[i]._dirty;
+  }
+
+  if (dirty) {
+    packModifications(this, frameState.context);
+  }
+
+  updateExcavations(this, frameState);
+
+  for (let i = 0; i < length; ++i) {
+    modifications[i]._dirty = false;
+  }
+  this._dirty = false;
+};
+
+/**
+ * 如果输入的 TerrainModificationCollection 没有其他所有者，则为其设置所有者。如果设置成功，则销毁所有者之前的 TerrainModificationCollection。
+ *
+ * @param {TerrainModificationCollection} [terrainModifications] 要附加到对象的 TerrainModificationCollection（或 undefined）
+ * @param {object} owner 应接收新 TerrainModificationCollection 的对象
+ * @param {string} key 对象引用 TerrainModificationCollection 的键
+ * @private
+ */
+TerrainModificationCollection.setOwner = function (
+  terrainModifications,
+  owner,
+  key,
+) {
+  // Don't destroy the TerrainModificationCollection if it is already owned by newOwner
+  if (terrainModifications === owner[key]) {
+    return;
+  }
+  // Destroy the existing TerrainModificationCollection, if any
+  owner[key] = owner[key] && owner[key].destroy();
+  if (defined(terrainModifications)) {
+    //>>includeStart('debug', pragmas.debug);
+    if (defined(terrainModifications._owner)) {
+      throw new DeveloperError(
+        "TerrainModificationCollection should only be assigned to one object",
+      );
+    }
+    //>>includeEnd('debug');
+    terrainModifications._owner = owner;
+    owner[key] = terrainModifications;
+  }
+};
+
+/**
+ * 用于检查上下文是否允许使用地形修改，这需要 WebGL 2。
+ *
+ * @param {Scene|object} scene 将包含地形修改的场景。
+ * @returns {boolean} 如果上下文支持地形修改，则返回 <code>true</code>。
+ */
+TerrainModificationCollection.isSupported = function (scene) {
+  return scene?.context.webgl2;
+};
+
+/**
+ * 如果此对象已被销毁，则返回 true；否则返回 false。
+ * <br /><br />
+ * 如果此对象已被销毁，则不应再使用它；调用 <code>isDestroyed</code> 以外的任何函数都将导致 {@link DeveloperError} 异常。
+ *
+ * @returns {boolean} 如果此对象已被销毁，则返回 <code>true</code>；否则返回 <code>false</code>。
+ *
+ * @see TerrainModificationCollection#destroy
+ */
+TerrainModificationCollection.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * 销毁此对象持有的 WebGL 资源。销毁对象允许确定性地释放 WebGL 资源，而不是依赖垃圾收集器来销毁此对象。
+ * <br /><br />
+ * 一旦对象被销毁，它就不应再被使用；调用 <code>isDestroyed</code> 以外的任何函数都将导致 {@link DeveloperError} 异常。因此，将返回值（<code>undefined</code>）赋给对象，如示例所示。
+ *
+ * @exception {DeveloperError} 此对象已被销毁，即 destroy() 已被调用。
+ *
+ * @example
+ * terrainModifications = terrainModifications && terrainModifications.destroy();
+ *
+ * @see TerrainModificationCollection#isDestroyed
+ */
+TerrainModificationCollection.prototype.destroy = function () {
+  for (const excavation of this._excavations.values()) {
+    excavation.primitive =
+      excavation.primitive && excavation.primitive.destroy();
+  }
+  this._excavations.clear();
+  this._texture = this._texture && this._texture.destroy();
+  return destroyObject(this);
+};
+
+export default TerrainModificationCollection;
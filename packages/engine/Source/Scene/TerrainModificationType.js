@@ -0,0 +1,34 @@
+/**
+ * {@link TerrainModification} 修改多边形内地形高度的方式。
+ *
+ * @enum {number}
+ *
+ * @see TerrainModification
+ */
+const TerrainModificationType = {
+  /**
+   * 将多边形内的地形压平到目标高度。
+   *
+   * @type {number}
+   * @constant
+   */
+  FLATTEN: 0,
+
+  /**
+   * 将多边形内的地形向下挖掘指定深度，并渲染基坑的墙壁和底部。
+   *
+   * @type {number}
+   * @constant
+   */
+  EXCAVATE: 1,
+
+  /**
+   * 将多边形内的地形升高或降低指定的偏移量。
+   *
+   * @type {number}
+   * @constant
+   */
+  OFFSET: 2,
+};
+
+export default Object.freeze(TerrainModificationType);
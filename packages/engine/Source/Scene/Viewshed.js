@@ -0,0 +1,396 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Check from "../Core/Check.js";
+import Color from "../Core/Color.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import HeadingPitchRoll from "../Core/HeadingPitchRoll.js";
+import CesiumMath from "../Core/Math.js";
+import PerspectiveFrustum from "../Core/PerspectiveFrustum.js";
+import ViewshedFS from "../Shaders/PostProcessStages/Viewshed.js";
+import Camera from "./Camera.js";
+import DebugCameraPrimitive from "./DebugCameraPrimitive.js";
+import PostProcessStage from "./PostProcessStage.js";
+import SceneMode from "./SceneMode.js";
+import ShadowMap from "./ShadowMap.js";
+
+/**
+ * 可视域分析图元，用于显示从观察点可以看到场景的哪些部分。可视域从观察者的位置渲染一张深度图，
+ * 然后将地球、3D Tiles 和模型上的可见区域和被遮挡区域分别着色。
+ * <p>
+ * 默认情况下，可视域是一个由朝向、俯仰和视场角定义的视锥体。将 <code>omnidirectional</code> 设置为 <code>true</code>
+ * 以使用深度立方体贴图来计算观察者周围所有方向的可视域。
+ * </p>
+ * <p>
+ * 只有投射阴影的几何体才会遮挡视线。地球默认只接收阴影，因此为了使地形遮挡视线，请将
+ * {@link Globe#shadows} 设置为 {@link ShadowMode.ENABLED} 或 {@link ShadowMode.CAST_ONLY}。
+ * 可视域仅在 3D 模式下可用。
+ * </p>
+ *
+ * @alias Viewshed
+ * @constructor
+ *
+ * @param {object} options 具有以下属性的对象：
+ * @param {Scene} options.scene 场景。
+ * @param {Cartesian3} [options.position] 观察者在世界坐标中的位置。
+ * @param {number} [options.heading=0.0] 观察方向的朝向，以弧度为单位，从北方顺时针测量。
+ * @param {number} [options.pitch=0.0] 观察方向的俯仰，以弧度为单位。
+ * @param {number} [options.horizontalFov=CesiumMath.PI_OVER_TWO] 水平视场角，以弧度为单位。
+ * @param {number} [options.verticalFov=CesiumMath.PI_OVER_THREE] 垂直视场角，以弧度为单位。
+ * @param {number} [options.distance=1000.0] 可视距离，以米为单位。
+ * @param {boolean} [options.omnidirectional=false] 是否计算观察者周围所有方向的可视域。
+ * @param {Color} [options.visibleColor=Color.LIME.withAlpha(0.5)] 可见区域的颜色。
+ * @param {Color} [options.occludedColor=Color.RED.withAlpha(0.5)] 被遮挡区域的颜色。
+ * @param {number} [options.size=2048] 深度图的宽度和高度，以像素为单位。
+ * @param {boolean} [options.show=true] 确定是否显示可视域。
+ *
+ * @example
+ * viewer.scene.globe.shadows = Cesium.ShadowMode.ENABLED;
+ * const viewshed = viewer.scene.primitives.add(new Cesium.Viewshed({
+ *   scene: viewer.scene,
+ *   position: Cesium.Cartesian3.fromDegrees(-123.0744619, 44.0503706, 300.0),
+ *   heading: Cesium.Math.toRadians(45.0),
+ *   pitch: Cesium.Math.toRadians(-10.0),
+ *   distance: 2000.0,
+ * }));
+ *
+ * @see lineOfSight
+ */
+function Viewshed(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.scene", options.scene);
+  //>>includeEnd('debug');
+
+  const scene = options.scene;
+  this._scene = scene;
+
+  /**
+   * 观察者在世界坐标中的位置。
+   *
+   * @type {Cartesian3|undefined}
+   */
+  this.position = Cartesian3.clone(options.position);
+
+  /**
+   * 观察方向的朝向，以弧度为单位，从北方顺时针测量。全向可视域忽略此值。
+   *
+   * @type {number}
+   * @default 0.0
+   */
+  this.heading = defaultValue(options.heading, 0.0);
+
+  /**
+   * 观察方向的俯仰，以弧度为单位。全向可视域忽略此值。
+   *
+   * @type {number}
+   * @default 0.0
+   */
+  this.pitch = defaultValue(options.pitch, 0.0);
+
+  /**
+   * 水平视场角，以弧度为单位。全向可视域忽略此值。
+   *
+   * @type {number}
+   * @default {@link CesiumMath.PI_OVER_TWO}
+   */
+  this.horizontalFov = defaultValue(
+    options.horizontalFov,
+    CesiumMath.PI_OVER_TWO,
+  );
+
+  /**
+   * 垂直视场角，以弧度为单位。全向可视域忽略此值。
+   *
+   * @type {number}
+   * @default {@link CesiumMath.PI_OVER_THREE}
+   */
+  this.verticalFov = defaultValue(
+    options.verticalFov,
+    CesiumMath.PI_OVER_THREE,
+  );
+
+  /**
+   * 可视距离，以米为单位。超出此距离的区域不会被着色。
+   *
+   * @type {number}
+   * @default 1000.0
+   */
+  this.distance = defaultValue(options.distance, 1000.0);
+
+  /**
+   * 可见区域的颜色。颜色的 alpha 值决定与场景混合的程度。
+   *
+   * @type {Color}
+   * @default Color.LIME.withAlpha(0.5)
+   */
+  this.visibleColor = Color.clone(
+    defaultValue(options.visibleColor, Color.LIME.withAlpha(0.5)),
+  );
+
+  /**
+   * 被遮挡区域的颜色。颜色的 alpha 值决定与场景混合的程度。
+   *
+   * @type {Color}
+   * @default Color.RED.withAlpha(0.5)
+   */
+  this.occludedColor = Color.clone(
+    defaultValue(options.occludedColor, Color.RED.withAlpha(0.5)),
+  );
+
+  /**
+   * 确定是否显示可视域。
+   *
+   * @type {boolean}
+   * @default true
+   */
+  this.show = defaultValue(options.show, true);
+
+  /**
+   * 此属性仅用于调试。确定是否绘制观察者视锥体的轮廓。全向可视域忽略此值。
+   *
+   * @type {boolean}
+   * @default false
+   */
+  this.debugShowFrustum = false;
+
+  this._omnidirectional = defaultValue(options.omnidirectional, false);
+  this._size = defaultValue(options.size, 2048);
+
+  this._lightCamera = new Camera(scene);
+  this._lightCamera.frustum = new PerspectiveFrustum();
+  this._shadowMap = undefined;
+  this._debugFrustum = undefined;
+
+  this._stage = undefined;
+
+  // The stage is only enabled on frames where the shadow map is rendered
+  const that = this;
+  this._removePreRenderListener = scene.preRender.addEventListener(function () {
+    if (defined(that._stage)) {
+      that._stage.enabled = false;
+    }
+  });
+}
+
+Object.defineProperties(Viewshed.prototype, {
+  /**
+   * 获取一个值，指示是否计算观察者周围所有方向的可视域。
+   * @memberof Viewshed.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  omnidirectional: {
+    get: function () {
+      return this._omnidirectional;
+    },
+  },
+
+  /**
+   * 获取深度图的宽度和高度，以像素为单位。
+   * @memberof Viewshed.prototype
+   * @type {number}
+   * @readonly
+   */
+  size: {
+    get: function () {
+      return this._size;
+    },
+  },
+
+  /**
+   * 获取表示观察者的相机。
+   * @memberof Viewshed.prototype
+   * @type {Camera}
+   * @readonly
+   */
+  camera: {
+    get: function () {
+      return this._lightCamera;
+    },
+  },
+});
+
+const scratchHeadingPitchRoll = new HeadingPitchRoll();
+
+// Returns true if the frustum changed
+function updateLightCamera(viewshed) {
+  const camera = viewshed._lightCamera;
+  const hpr = scratchHeadingPitchRoll;
+  hpr.heading = viewshed.heading;
+  hpr.pitch = viewshed.pitch;
+  hpr.roll = 0.0;
+  camera.setView({
+    destination: viewshed.position,
+    orientation: hpr,
+  });
+
+  const horizontalFov = CesiumMath.clamp(
+    viewshed.horizontalFov,
+    CesiumMath.EPSILON3,
+    Math.PI - CesiumMath.EPSILON3,
+  );
+  const verticalFov = CesiumMath.clamp(
+    viewshed.verticalFov,
+    CesiumMath.EPSILON3,
+    Math.PI - CesiumMath.EPSILON3,
+  );
+
+  // The frustum's field of view is the larger of the two angles
+  const frustum = camera.frustum;
+  const fov = Math.max(horizontalFov, verticalFov);
+  const aspectRatio =
+    Math.tan(horizontalFov * 0.5) / Math.tan(verticalFov * 0.5);
+  const changed = frustum.fov !== fov || frustum.aspectRatio !== aspectRatio;
+  frustum.fov = fov;
+  frustum.aspectRatio = aspectRatio;
+  frustum.near = Math.min(1.0, viewshed.distance * 0.5);
+  frustum.far = viewshed.distance;
+  return changed;
+}
+
+function createResources(viewshed, context) {
+  // The shadow map is not a light source, so it does not darken the scene
+  const shadowMap = new ShadowMap({
+    context: context,
+    lightCamera: viewshed._lightCamera,
+    isPointLight: viewshed._omnidirectional,
+    pointLightRadius: viewshed.distance,
+    cascadesEnabled: false,
+    size: viewshed._size,
+    fromLightSource: false,
+  });
+  viewshed._shadowMap = shadowMap;
+
+  let fragmentShader = ViewshedFS;
+  if (viewshed._omnidirectional) {
+    fragmentShader = `#define OMNIDIRECTIONAL\n${fragmentShader}`;
+  } else if (shadowMap._usesDepthTexture) {
+    fragmentShader = `#define USE_DEPTH_TEXTURE\n${fragmentShader}`;
+  }
+
+  viewshed._stage = viewshed._scene.postProcessStages.add(
+    new PostProcessStage({
+      fragmentShader: fragmentShader,
+      uniforms: {
+        visibleColor: function () {
+          return viewshed.visibleColor;
+        },
+        occludedColor: function () {
+          return viewshed.occludedColor;
+        },
+        depthBias: function () {
+          return shadowMap._isPointLight
+            ? shadowMap._pointBias.depthBias
+            : shadowMap._terrainBias.depthBias;
+        },
+        shadowMap_lightPositionEC: function () {
+          return shadowMap._lightPositionEC;
+        },
+        shadowMap_matrix: function () {
+          return shadowMap._shadowMapMatrix;
+        },
+        shadowMap_texture: function () {
+          return shadowMap._shadowMapTexture;
+        },
+        shadowMap_textureCube: function () {
+          return shadowMap._shadowMapTexture;
+        },
+      },
+    }),
+  );
+}
+
+/**
+ * 当 {@link Viewer} 或 {@link CesiumWidget} 渲染场景时调用，以获取渲染此图元所需的绘制命令。
+ * <p>
+ * 请勿直接调用此函数。此文档仅用于列出在渲染场景时可能传播的异常：
+ * </p>
+ *
+ * @exception {DeveloperError} distance 必须大于零。
+ */
+Viewshed.prototype.update = function (frameState) {
+  if (
+    !this.show ||
+    !defined(this.position) ||
+    frameState.mode !== SceneMode.SCENE3D ||
+    !frameState.passes.render
+  ) {
+    return;
+  }
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number.greaterThan("distance", this.distance, 0.0);
+  //>>includeEnd('debug');
+
+  // The light camera's frustum is needed to create the shadow map
+  const frustumChanged = updateLightCamera(this);
+  if (!defined(this._shadowMap)) {
+    createResources(this, frameState.context);
+  }
+
+  const shadowMap = this._shadowMap;
+  shadowMap._pointLightRadius = this.distance;
+  if (frustumChanged) {
+    // The shadow map only updates its pass cameras when its bounding volume
+    // changes, which is not the case when only the field of view changes
+    shadowMap._boundingSphere.radius = -1.0;
+  }
+  frameState.shadowMaps.push(shadowMap);
+  this._stage.enabled = true;
+
+  if (this.debugShowFrustum && !this._omnidirectional) {
+    if (!defined(this._debugFrustum)) {
+      this._debugFrustum = new DebugCameraPrimitive({
+        camera: this._lightCamera,
+        color: Color.YELLOW,
+        updateOnChange: true,
+      });
+    }
+    this._debugFrustum.update(frameState);
+  } else if (defined(this._debugFrustum)) {
+    this._debugFrustum = this._debugFrustum.destroy();
+  }
+};
+
+/**
+ * 如果该对象已被销毁，则返回 true；否则返回 false。
+ * <br /><br />
+ * 如果该对象已被销毁，则不应使用；调用除 <code>isDestroyed</code> 之外的任何函数将导致 {@link DeveloperError} 异常。
+ *
+ * @returns {boolean} 如果该对象已被销毁，则返回 <code>true</code>；否则返回 <code>false</code>。
+ *
+ * @see Viewshed#destroy
+ */
+Viewshed.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * 销毁此对象所持有的 WebGL 资源，并从场景中移除后处理阶段。
+ * <br /><br />
+ * 一旦对象被销毁，则不应使用；调用除 <code>isDestroyed</code> 之外的任何函数将导致 {@link DeveloperError} 异常。因此，
+ * 将返回值（<code>undefined</code>）赋值给对象，如示例所示。
+ *
+ * @exception {DeveloperError} 此对象已被销毁，即调用了 destroy()。
+ *
+ * @example
+ * viewshed = viewshed && viewshed.destroy();
+ *
+ * @see Viewshed#isDestroyed
+ */
+Viewshed.prototype.destroy = function () {
+  this._removePreRenderListener();
+
+  const postProcessStages = this._scene.postProcessStages;
+  if (defined(this._stage) && !postProcessStages.isDestroyed()) {
+    postProcessStages.remove(this._stage);
+  }
+
+  this._shadowMap = this._shadowMap && this._shadowMap.destroy();
+  this._debugFrustum = this._debugFrustum && this._debugFrustum.destroy();
+  return destroyObject(this);
+};
+
+export default Viewshed;
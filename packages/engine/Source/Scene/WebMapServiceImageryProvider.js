@@ -1,10 +1,16 @@
+import Check from "../Core/Check.js";
+import combine from "../Core/combine.js";
 import defaultValue from "../Core/defaultValue.js";
 import defined from "../Core/defined.js";
 import DeveloperError from "../Core/DeveloperError.js";
 import GeographicTilingScheme from "../Core/GeographicTilingScheme.js";
+import Rectangle from "../Core/Rectangle.js";
 import Resource from "../Core/Resource.js";
+import RuntimeError from "../Core/RuntimeError.js";
 import WebMercatorProjection from "../Core/WebMercatorProjection.js";
+import WebMercatorTilingScheme from "../Core/WebMercatorTilingScheme.js";
 import GetFeatureInfoFormat from "./GetFeatureInfoFormat.js";
+import OgcCapabilitiesUtil from "./OgcCapabilitiesUtil.js";
 import TimeDynamicImagery from "./TimeDynamicImagery.js";
 import UrlTemplateImageryProvider from "./UrlTemplateImageryProvider.js";
 
@@ -604,6 +610,465 @@ WebMapServiceImageryProvider.prototype.pickFeatures = function (
   return pickFeatures(this, x, y, level, longitude, latitude, currentInterval);
 };
 
+/**
+ * 请求 WMS 服务器的 GetCapabilities 文档，并解析其中的服务信息和可用图层，例如用于显示图层目录。
+ * 图层会继承其父图层的坐标参考系统、范围、样式和维度。只返回具有名称、因此可以被请求的图层。
+ *
+ * @param {Resource|string} url WMS 服务的 URL。
+ * @returns {Promise<WebMapServiceImageryProvider.Capabilities>} 一个 Promise，解析为 WMS 服务的能力。
+ *
+ * @exception {RuntimeError} 文档不是 WMS 能力文档。
+ *
+ * @example
+ * const capabilities = await Cesium.WebMapServiceImageryProvider.fetchCapabilities(
+ *   "https://example.com/wms",
+ * );
+ * for (const layer of capabilities.layers) {
+ *   console.log(`${layer.name}: ${layer.title}`);
+ * }
+ *
+ * @see WebMapServiceImageryProvider.fromCapabilities
+ */
+WebMapServiceImageryProvider.fetchCapabilities = async function (url) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  const resource = Resource.createIfNeeded(url);
+  const queryParameters = {
+    service: "WMS",
+    request: "GetCapabilities",
+  };
+  if (!defined(resource.queryParameters.version)) {
+    queryParameters.version = "1.3.0";
+  }
+
+  const xml = await resource
+    .getDerivedResource({
+      queryParameters: queryParameters,
+    })
+    .fetchXML();
+  return parseCapabilities(xml);
+};
+
+/**
+ * 根据 WMS 服务器的 GetCapabilities 文档创建一个配置好的提供者。瓦片方案、坐标参考系统、WMS 版本、图像格式、
+ * 图层的矩形范围、GetFeatureInfo 格式和时间维度都从能力文档中确定。
+ * <p>
+ * 如果所有图层都支持地理坐标参考系统（<code>CRS:84</code> 或 <code>EPSG:4326</code>），则使用 {@link GeographicTilingScheme}；
+ * 否则，如果它们都支持 Web 墨卡托（<code>EPSG:3857</code>），则使用 {@link WebMercatorTilingScheme}。
+ * 如果提供了 <code>clock</code> 且图层具有 <code>time</code> 维度，则根据其值创建 <code>times</code>。
+ * <code>options</code> 中的任何其他构造函数选项都会覆盖从能力文档中确定的值。
+ * </p>
+ *
+ * @param {Resource|string} url WMS 服务的 URL。
+ * @param {WebMapServiceImageryProvider.FromCapabilitiesOptions} [options] 描述初始化选项的对象。
+ * @returns {Promise<WebMapServiceImageryProvider>} 一个 Promise，解析为创建的 WebMapServiceImageryProvider。
+ *
+ * @exception {RuntimeError} 文档不是 WMS 能力文档。
+ * @exception {RuntimeError} WMS 服务器没有给定名称的图层。
+ * @exception {RuntimeError} 图层不支持地理或 Web 墨卡托坐标参考系统。
+ *
+ * @example
+ * // Add the first layer of a WMS server
+ * const provider = await Cesium.WebMapServiceImageryProvider.fromCapabilities(
+ *   "https://example.com/wms",
+ * );
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @example
+ * // Add two layers with a style, reusing capabilities that were already requested
+ * const provider = await Cesium.WebMapServiceImageryProvider.fromCapabilities(
+ *   "https://example.com/wms",
+ *   {
+ *     capabilities: capabilities,
+ *     layers: "roads,rivers",
+ *     parameters: {
+ *       styles: "night,default",
+ *     },
+ *   },
+ * );
+ *
+ * @see WebMapServiceImageryProvider.fetchCapabilities
+ */
+WebMapServiceImageryProvider.fromCapabilities = async function (url, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const capabilities = defined(options.capabilities)
+    ? options.capabilities
+    : await WebMapServiceImageryProvider.fetchCapabilities(url);
+
+  let layerNames;
+  if (defined(options.layers)) {
+    layerNames = options.layers.split(",");
+  } else if (capabilities.layers.length > 0) {
+    layerNames = [capabilities.layers[0].name];
+  } else {
+    throw new RuntimeError("The WMS server does not have any named layers.");
+  }
+  const layers = layerNames.map(function (name) {
+    const layer = capabilities.layers.find(function (candidate) {
+      return candidate.name === name;
+    });
+    if (!defined(layer)) {
+      throw new RuntimeError(
+        `The WMS server does not have a layer named ${name}.`,
+      );
+    }
+    return layer;
+  });
+
+  let tilingScheme = options.tilingScheme;
+  let crs;
+  if (!defined(tilingScheme)) {
+    crs = findSupportedCrs(layers, OgcCapabilitiesUtil.isGeographic, "CRS:84");
+    if (defined(crs)) {
+      tilingScheme = new GeographicTilingScheme({
+        ellipsoid: options.ellipsoid,
+      });
+    } else {
+      crs = findSupportedCrs(layers, OgcCapabilitiesUtil.isWebMercator);
+      if (!defined(crs)) {
+        throw new RuntimeError(
+          `The layers ${layerNames.join(",")} do not support a geographic or Web Mercator coordinate reference system.`,
+        );
+      }
+      tilingScheme = new WebMercatorTilingScheme({
+        ellipsoid: options.ellipsoid,
+      });
+    }
+  }
+
+  const version = defaultValue(capabilities.version, "1.1.1");
+  const formats = capabilities.formats;
+  let format = "image/jpeg";
+  if (formats.indexOf("image/png") !== -1) {
+    format = "image/png";
+  } else if (formats.length > 0 && formats.indexOf(format) === -1) {
+    format = formats[0];
+  }
+
+  let rectangle = options.rectangle;
+  if (!defined(rectangle)) {
+    for (let i = 0; i < layers.length; ++i) {
+      const layerRectangle = layers[i].rectangle;
+      if (defined(layerRectangle)) {
+        rectangle = defined(rectangle)
+          ? Rectangle.union(rectangle, layerRectangle)
+          : Rectangle.clone(layerRectangle);
+      }
+    }
+  }
+
+  const getFeatureInfoFormats = defaultValue(
+    options.getFeatureInfoFormats,
+    WebMapServiceImageryProvider.DefaultGetFeatureInfoFormats.filter(
+      function (getFeatureInfoFormat) {
+        return (
+          capabilities.getFeatureInfoFormats.indexOf(
+            getFeatureInfoFormat.format,
+          ) !== -1
+        );
+      },
+    ),
+  );
+  const enablePickFeatures = defaultValue(
+    options.enablePickFeatures,
+    getFeatureInfoFormats.length > 0 &&
+      layers.some(function (layer) {
+        return layer.queryable;
+      }),
+  );
+
+  let times = options.times;
+  if (!defined(times) && defined(options.clock)) {
+    for (let i = 0; i < layers.length && !defined(times); ++i) {
+      const dimension = layers[i].dimensions.find(function (dimension) {
+        return dimension.name.toLowerCase() === "time";
+      });
+      if (defined(dimension)) {
+        times = OgcCapabilitiesUtil.createTimeIntervals(
+          dimension.values,
+          "time",
+        );
+      }
+    }
+  }
+
+  return new WebMapServiceImageryProvider({
+    url: url,
+    layers: layerNames.join(","),
+    parameters: combine(options.parameters, {
+      version: version,
+      format: format,
+      transparent: format === "image/png",
+    }),
+    getFeatureInfoParameters: combine(options.getFeatureInfoParameters, {
+      version: version,
+    }),
+    enablePickFeatures: enablePickFeatures,
+    getFeatureInfoFormats: getFeatureInfoFormats,
+    rectangle: rectangle,
+    tilingScheme: tilingScheme,
+    ellipsoid: options.ellipsoid,
+    tileWidth: options.tileWidth,
+    tileHeight: options.tileHeight,
+    minimumLevel: options.minimumLevel,
+    maximumLevel: options.maximumLevel,
+    crs: defaultValue(options.crs, crs),
+    srs: defaultValue(options.srs, crs),
+    credit: options.credit,
+    subdomains: options.subdomains,
+    clock: options.clock,
+    times: times,
+    getFeatureInfoUrl: options.getFeatureInfoUrl,
+    tileDiscardPolicy: options.tileDiscardPolicy,
+  });
+};
+
+function findSupportedCrs(layers, predicate, preferredCrs) {
+  // Layers that do not list any CRS are assumed to support all of them
+  const candidates = [];
+  let i;
+  for (i = 0; i < layers.length; ++i) {
+    if (layers[i].crs.length > 0) {
+      layers[i].crs.forEach(function (crs) {
+        if (predicate(crs) && candidates.indexOf(crs) === -1) {
+          candidates.push(crs);
+        }
+      });
+      break;
+    }
+  }
+  if (i === layers.length) {
+    // No layer lists a CRS, so fall back to the default of the constructor
+    return predicate(defaultValue(preferredCrs, "")) ? preferredCrs : undefined;
+  }
+
+  const supported = candidates.filter(function (crs) {
+    return layers.every(function (layer) {
+      return layer.crs.length === 0 || layer.crs.indexOf(crs) !== -1;
+    });
+  });
+  if (defined(preferredCrs) && supported.indexOf(preferredCrs) !== -1) {
+    return preferredCrs;
+  }
+  return supported[0];
+}
+
+function parseCapabilities(xml) {
+  const root = xml.documentElement;
+  if (
+    !defined(root) ||
+    (root.localName !== "WMS_Capabilities" &&
+      root.localName !== "WMT_MS_Capabilities")
+  ) {
+    throw new RuntimeError("The document is not a WMS capabilities document.");
+  }
+
+  const getChildElement = OgcCapabilitiesUtil.getChildElement;
+  const service = getChildElement(root, "Service");
+  const capability = getChildElement(root, "Capability");
+  const request = getChildElement(capability, "Request");
+  const getMap = getChildElement(request, "GetMap");
+  const getFeatureInfo = getChildElement(request, "GetFeatureInfo");
+
+  const layers = [];
+  OgcCapabilitiesUtil.getChildElements(capability, "Layer").forEach(
+    function (element) {
+      parseLayer(element, undefined, layers);
+    },
+  );
+
+  return {
+    version: OgcCapabilitiesUtil.getAttribute(root, "version"),
+    title: OgcCapabilitiesUtil.getChildText(service, "Title"),
+    abstract: OgcCapabilitiesUtil.getChildText(service, "Abstract"),
+    formats: OgcCapabilitiesUtil.getChildTexts(getMap, "Format"),
+    getMapUrl: OgcCapabilitiesUtil.getOperationUrl(getMap, "DCPType"),
+    getFeatureInfoFormats: OgcCapabilitiesUtil.getChildTexts(
+      getFeatureInfo,
+      "Format",
+    ),
+    getFeatureInfoUrl: OgcCapabilitiesUtil.getOperationUrl(
+      getFeatureInfo,
+      "DCPType",
+    ),
+    layers: layers,
+  };
+}
+
+function parseLayer(element, parent, result) {
+  const getChildElement = OgcCapabilitiesUtil.getChildElement;
+  const getChildElements = OgcCapabilitiesUtil.getChildElements;
+  const getChildText = OgcCapabilitiesUtil.getChildText;
+
+  // WMS 1.1.1 uses SRS, which may list several systems separated by spaces
+  const crs = defined(parent) ? parent.crs.slice() : [];
+  getChildElements(element, "CRS")
+    .concat(getChildElements(element, "SRS"))
+    .forEach(function (child) {
+      child.textContent
+        .trim()
+        .split(/\s+/)
+        .forEach(function (value) {
+          if (value !== "" && crs.indexOf(value) === -1) {
+            crs.push(value);
+          }
+        });
+    });
+
+  let rectangle = defined(parent) ? parent.rectangle : undefined;
+  const geographicBoundingBox = getChildElement(
+    element,
+    "EX_GeographicBoundingBox",
+  );
+  const latLonBoundingBox = getChildElement(element, "LatLonBoundingBox");
+  if (defined(geographicBoundingBox)) {
+    rectangle = Rectangle.fromDegrees(
+      parseFloat(getChildText(geographicBoundingBox, "westBoundLongitude")),
+      parseFloat(getChildText(geographicBoundingBox, "southBoundLatitude")),
+      parseFloat(getChildText(geographicBoundingBox, "eastBoundLongitude")),
+      parseFloat(getChildText(geographicBoundingBox, "northBoundLatitude")),
+    );
+  } else if (defined(latLonBoundingBox)) {
+    rectangle = Rectangle.fromDegrees(
+      parseFloat(latLonBoundingBox.getAttribute("minx")),
+      parseFloat(latLonBoundingBox.getAttribute("miny")),
+      parseFloat(latLonBoundingBox.getAttribute("maxx")),
+      parseFloat(latLonBoundingBox.getAttribute("maxy")),
+    );
+  }
+
+  const styles = defined(parent) ? parent.styles.slice() : [];
+  getChildElements(element, "Style").forEach(function (child) {
+    styles.push({
+      name: getChildText(child, "Name"),
+      title: getChildText(child, "Title"),
+      legendUrl: OgcCapabilitiesUtil.getHref(
+        getChildElement(getChildElement(child, "LegendURL"), "OnlineResource"),
+      ),
+    });
+  });
+
+  // WMS 1.1.1 declares dimensions in Dimension and lists their values in Extent
+  const dimensions = defined(parent) ? parent.dimensions.slice() : [];
+  const extents = getChildElements(element, "Extent");
+  getChildElements(element, "Dimension").forEach(function (child) {
+    const name = child.getAttribute("name");
+    const extent = extents.find(function (candidate) {
+      return candidate.getAttribute("name") === name;
+    });
+    const valueElement = defined(extent) ? extent : child;
+    const index = dimensions.findIndex(function (dimension) {
+      return dimension.name === name;
+    });
+    const dimension = {
+      name: name,
+      units: OgcCapabilitiesUtil.getAttribute(child, "units"),
+      default: OgcCapabilitiesUtil.getAttribute(valueElement, "default"),
+      values: valueElement.textContent
+        .trim()
+        .split(",")
+        .map(function (value) {
+          return value.trim();
+        })
+        .filter(function (value) {
+          return value !== "";
+        }),
+    };
+    if (index === -1) {
+      dimensions.push(dimension);
+    } else {
+      dimensions[index] = dimension;
+    }
+  });
+
+  const queryableAttribute = OgcCapabilitiesUtil.getAttribute(
+    element,
+    "queryable",
+  );
+  const layer = {
+    name: getChildText(element, "Name"),
+    title: getChildText(element, "Title"),
+    abstract: getChildText(element, "Abstract"),
+    rectangle: rectangle,
+    crs: crs,
+    styles: styles,
+    dimensions: dimensions,
+    queryable: defined(queryableAttribute)
+      ? queryableAttribute === "1" || queryableAttribute === "true"
+      : defined(parent) && parent.queryable,
+  };
+  if (defined(layer.name) && layer.name !== "") {
+    result.push(layer);
+  }
+
+  getChildElements(element, "Layer").forEach(function (child) {
+    parseLayer(child, layer, result);
+  });
+}
+
+/**
+ * WMS 服务器的能力，由 {@link WebMapServiceImageryProvider.fetchCapabilities} 返回。
+ *
+ * @typedef {object} WebMapServiceImageryProvider.Capabilities
+ * @property {string} [version] 服务器返回的 WMS 版本。
+ * @property {string} [title] 服务的标题。
+ * @property {string} [abstract] 服务的描述。
+ * @property {WebMapServiceImageryProvider.LayerCapabilities[]} layers 服务器上具有名称的图层。
+ * @property {string[]} formats GetMap 操作支持的图像格式。
+ * @property {string} [getMapUrl] GetMap 操作的 URL。
+ * @property {string[]} getFeatureInfoFormats GetFeatureInfo 操作支持的格式。
+ * @property {string} [getFeatureInfoUrl] GetFeatureInfo 操作的 URL。
+ */
+
+/**
+ * WMS 服务器上的一个图层。
+ *
+ * @typedef {object} WebMapServiceImageryProvider.LayerCapabilities
+ * @property {string} name 在请求中使用的图层名称。
+ * @property {string} [title] 图层的标题。
+ * @property {string} [abstract] 图层的描述。
+ * @property {Rectangle} [rectangle] 图层的地理范围，以弧度为单位。
+ * @property {string[]} crs 图层支持的坐标参考系统。
+ * @property {WebMapServiceImageryProvider.StyleCapabilities[]} styles 图层的样式。
+ * @property {WebMapServiceImageryProvider.DimensionCapabilities[]} dimensions 图层的维度，例如 <code>time</code> 或 <code>elevation</code>。
+ * @property {boolean} queryable 图层是否支持 GetFeatureInfo 操作。
+ */
+
+/**
+ * WMS 图层的一个样式。
+ *
+ * @typedef {object} WebMapServiceImageryProvider.StyleCapabilities
+ * @property {string} name 在请求中使用的样式名称。
+ * @property {string} [title] 样式的标题。
+ * @property {string} [legendUrl] 样式图例图像的 URL。
+ */
+
+/**
+ * WMS 图层的一个维度。
+ *
+ * @typedef {object} WebMapServiceImageryProvider.DimensionCapabilities
+ * @property {string} name 维度的名称，例如 <code>time</code>。
+ * @property {string} [units] 维度的单位，例如 <code>ISO8601</code>。
+ * @property {string} [default] 维度的默认值。
+ * @property {string[]} values 维度的值。时间维度的值可以是 ISO 8601 日期或 <code>start/stop/period</code> 形式的区间。
+ */
+
+/**
+ * {@link WebMapServiceImageryProvider.fromCapabilities} 的初始化选项。除了 <code>url</code> 和 <code>layers</code> 之外，
+ * 可以指定 {@link WebMapServiceImageryProvider.ConstructorOptions} 的任何属性以覆盖从能力文档中确定的值。
+ *
+ * @typedef {object} WebMapServiceImageryProvider.FromCapabilitiesOptions
+ * @property {string} [layers] 要包括的图层，以逗号分隔。如果未定义，则使用第一个具有名称的图层。
+ * @property {WebMapServiceImageryProvider.Capabilities} [capabilities] 已经请求的能力。如果未定义，则请求能力文档。
+ * @property {Clock} [clock] 在确定时间维度的值时使用的 Clock 实例。如果已定义且图层具有时间维度，则根据其值创建 <code>times</code>。
+ */
+
 /**
  * 获取图像时应包含在 WMS URL 中的默认参数。值如下：
  *    service=WMS
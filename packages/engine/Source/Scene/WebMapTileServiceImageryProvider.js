@@ -1,13 +1,19 @@
+import Cartesian2 from "../Core/Cartesian2.js";
+import Check from "../Core/Check.js";
 import combine from "../Core/combine.js";
 import Credit from "../Core/Credit.js";
 import defaultValue from "../Core/defaultValue.js";
 import defined from "../Core/defined.js";
 import DeveloperError from "../Core/DeveloperError.js";
 import Event from "../Core/Event.js";
+import GeographicTilingScheme from "../Core/GeographicTilingScheme.js";
+import CesiumMath from "../Core/Math.js";
 import Rectangle from "../Core/Rectangle.js";
 import Resource from "../Core/Resource.js";
+import RuntimeError from "../Core/RuntimeError.js";
 import WebMercatorTilingScheme from "../Core/WebMercatorTilingScheme.js";
 import ImageryProvider from "./ImageryProvider.js";
+import OgcCapabilitiesUtil from "./OgcCapabilitiesUtil.js";
 import TimeDynamicImagery from "./TimeDynamicImagery.js";
 
 const defaultParameters = Object.freeze({
@@ -596,4 +602,588 @@ WebMapTileServiceImageryProvider.prototype.pickFeatures = function (
 ) {
   return undefined;
 };
+
+/**
+ * 请求 WMTS 服务器的 GetCapabilities 文档，并解析其中的服务信息、可用图层和瓦片矩阵集，例如用于显示图层目录。
+ * 如果 URL 指向 RESTful 服务的能力文档（例如 <code>WMTSCapabilities.xml</code>），则直接请求该文档；
+ * 否则使用 KVP 编码的 GetCapabilities 请求。
+ *
+ * @param {Resource|string} url WMTS 服务的 URL 或能力文档的 URL。
+ * @returns {Promise<WebMapTileServiceImageryProvider.Capabilities>} 一个 Promise，解析为 WMTS 服务的能力。
+ *
+ * @exception {RuntimeError} 文档不是 WMTS 能力文档。
+ *
+ * @example
+ * const capabilities = await Cesium.WebMapTileServiceImageryProvider.fetchCapabilities(
+ *   "https://example.com/wmts",
+ * );
+ * for (const layer of capabilities.layers) {
+ *   console.log(`${layer.identifier}: ${layer.title}`);
+ * }
+ *
+ * @see WebMapTileServiceImageryProvider.fromCapabilities
+ */
+WebMapTileServiceImageryProvider.fetchCapabilities = async function (url) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  let resource = Resource.createIfNeeded(url);
+  if (resource.getUrlComponent().toLowerCase().slice(-4) !== ".xml") {
+    resource = resource.getDerivedResource({
+      queryParameters: {
+        service: "WMTS",
+        version: "1.0.0",
+        request: "GetCapabilities",
+      },
+    });
+  }
+
+  const xml = await resource.fetchXML();
+  return parseCapabilities(xml);
+};
+
+/**
+ * 根据 WMTS 服务器的 GetCapabilities 文档创建一个配置好的提供者。图层、样式、图像格式、瓦片矩阵集及其标签、
+ * 瓦片方案、级别范围、图层的矩形范围、瓦片 URL 模板和维度都从能力文档中确定。
+ * <p>
+ * 只支持使用地理坐标（<code>EPSG:4326</code> 或 <code>CRS84</code>）或 Web 墨卡托（<code>EPSG:3857</code>）的瓦片矩阵集。
+ * 与 {@link GeographicTilingScheme} 或 {@link WebMercatorTilingScheme} 的标准级别对齐的瓦片矩阵集
+ * （例如 <code>GoogleMapsCompatible</code> 和 <code>GoogleCRS84Quad</code>）使用标准瓦片方案，其他瓦片矩阵集
+ * 使用根据第一个瓦片矩阵创建的瓦片方案。如果提供了 <code>clock</code> 且图层具有时间维度，则根据其值创建 <code>times</code>；
+ * 其他维度使用其默认值。<code>options</code> 中的任何其他构造函数选项都会覆盖从能力文档中确定的值。
+ * </p>
+ *
+ * @param {Resource|string} url WMTS 服务的 URL 或能力文档的 URL。
+ * @param {WebMapTileServiceImageryProvider.FromCapabilitiesOptions} [options] 描述初始化选项的对象。
+ * @returns {Promise<WebMapTileServiceImageryProvider>} 一个 Promise，解析为创建的 WebMapTileServiceImageryProvider。
+ *
+ * @exception {RuntimeError} 文档不是 WMTS 能力文档。
+ * @exception {RuntimeError} WMTS 服务器没有给定标识符的图层。
+ * @exception {RuntimeError} 图层没有使用地理或 Web 墨卡托坐标的瓦片矩阵集。
+ *
+ * @example
+ * // Add the first layer of a WMTS server
+ * const provider = await Cesium.WebMapTileServiceImageryProvider.fromCapabilities(
+ *   "https://example.com/wmts",
+ * );
+ * viewer.imageryLayers.addImageryProvider(provider);
+ *
+ * @example
+ * // Add a time dynamic layer
+ * const provider = await Cesium.WebMapTileServiceImageryProvider.fromCapabilities(
+ *   "https://example.com/wmts/1.0.0/WMTSCapabilities.xml",
+ *   {
+ *     layer: "weather",
+ *     tileMatrixSetID: "GoogleMapsCompatible",
+ *     clock: viewer.clock,
+ *   },
+ * );
+ *
+ * @see WebMapTileServiceImageryProvider.fetchCapabilities
+ */
+WebMapTileServiceImageryProvider.fromCapabilities = async function (
+  url,
+  options,
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("url", url);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const capabilities = defined(options.capabilities)
+    ? options.capabilities
+    : await WebMapTileServiceImageryProvider.fetchCapabilities(url);
+
+  let layer;
+  if (defined(options.layer)) {
+    layer = capabilities.layers.find(function (candidate) {
+      return candidate.identifier === options.layer;
+    });
+    if (!defined(layer)) {
+      throw new RuntimeError(
+        `The WMTS server does not have a layer named ${options.layer}.`,
+      );
+    }
+  } else {
+    layer = capabilities.layers[0];
+    if (!defined(layer)) {
+      throw new RuntimeError("The WMTS server does not have any layers.");
+    }
+  }
+
+  let style = options.style;
+  if (!defined(style)) {
+    const defaultStyle = layer.styles.find(function (candidate) {
+      return candidate.isDefault;
+    });
+    style = defined(defaultStyle)
+      ? defaultStyle.identifier
+      : layer.styles.length > 0
+        ? layer.styles[0].identifier
+        : "default";
+  }
+
+  const tileMatrixSetIDs = defined(options.tileMatrixSetID)
+    ? [options.tileMatrixSetID]
+    : layer.tileMatrixSetIDs;
+  let tileMatrixSet;
+  let tileMatrixSetLevels;
+  for (let i = 0; i < tileMatrixSetIDs.length; ++i) {
+    tileMatrixSet = capabilities.tileMatrixSets.find(function (candidate) {
+      return candidate.identifier === tileMatrixSetIDs[i];
+    });
+    if (defined(tileMatrixSet)) {
+      tileMatrixSetLevels = createTileMatrixSetLevels(
+        tileMatrixSet,
+        options.ellipsoid,
+      );
+    }
+    if (defined(tileMatrixSetLevels)) {
+      break;
+    }
+  }
+  if (!defined(tileMatrixSetLevels)) {
+    throw new RuntimeError(
+      `The layer ${layer.identifier} does not have a tile matrix set in geographic or Web Mercator coordinates.`,
+    );
+  }
+  const tilingScheme = tileMatrixSetLevels.tilingScheme;
+
+  let format = options.format;
+  if (!defined(format)) {
+    const formats = layer.formats;
+    format = "image/jpeg";
+    if (formats.indexOf("image/png") !== -1) {
+      format = "image/png";
+    } else if (formats.length > 0 && formats.indexOf(format) === -1) {
+      format = formats[0];
+    }
+  }
+
+  // Prefer RESTful tile templates, which are the only encoding some servers support
+  const resource = Resource.createIfNeeded(url);
+  const resourceUrl = layer.resourceUrls.find(function (candidate) {
+    return candidate.resourceType === "tile" && candidate.format === format;
+  });
+  let tileResource = resource;
+  if (defined(resourceUrl)) {
+    tileResource = resource.getDerivedResource({
+      url: resourceUrl.template,
+      preserveQueryParameters: true,
+    });
+  } else if (defined(capabilities.getTileUrl)) {
+    tileResource = resource.getDerivedResource({
+      url: capabilities.getTileUrl,
+      preserveQueryParameters: true,
+    });
+  }
+
+  let times = options.times;
+  let dimensions;
+  for (let i = 0; i < layer.dimensions.length; ++i) {
+    const dimension = layer.dimensions[i];
+    if (
+      dimension.identifier.toLowerCase() === "time" &&
+      !defined(times) &&
+      defined(options.clock)
+    ) {
+      times = OgcCapabilitiesUtil.createTimeIntervals(
+        dimension.values,
+        dimension.identifier,
+      );
+      if (defined(times)) {
+        continue;
+      }
+    }
+    const value = defaultValue(dimension.default, dimension.values[0]);
+    if (defined(value)) {
+      dimensions = defaultValue(dimensions, {});
+      dimensions[dimension.identifier] = value;
+    }
+  }
+  dimensions = combine(options.dimensions, dimensions);
+
+  let rectangle = options.rectangle;
+  if (!defined(rectangle) && defined(layer.rectangle)) {
+    rectangle = Rectangle.intersection(layer.rectangle, tilingScheme.rectangle);
+  }
+
+  return new WebMapTileServiceImageryProvider({
+    url: tileResource,
+    format: format,
+    layer: layer.identifier,
+    style: style,
+    tileMatrixSetID: tileMatrixSet.identifier,
+    tileMatrixLabels: tileMatrixSetLevels.tileMatrixLabels,
+    clock: options.clock,
+    times: times,
+    dimensions: dimensions,
+    tileWidth: defaultValue(options.tileWidth, tileMatrixSetLevels.tileWidth),
+    tileHeight: defaultValue(
+      options.tileHeight,
+      tileMatrixSetLevels.tileHeight,
+    ),
+    tilingScheme: tilingScheme,
+    rectangle: rectangle,
+    minimumLevel: defaultValue(
+      options.minimumLevel,
+      tileMatrixSetLevels.minimumLevel,
+    ),
+    maximumLevel: defaultValue(
+      options.maximumLevel,
+      tileMatrixSetLevels.maximumLevel,
+    ),
+    ellipsoid: options.ellipsoid,
+    credit: options.credit,
+    subdomains: options.subdomains,
+    tileDiscardPolicy: options.tileDiscardPolicy,
+  });
+};
+
+// The size of a pixel at a scale denominator of 1, as defined by WMTS
+const standardizedRenderingPixelSize = 0.00028;
+const webMercatorHalfExtent = Math.PI * 6378137.0;
+const metersPerDegree = webMercatorHalfExtent / 180.0;
+
+/**
+ * Maps the tile matrices of a tile matrix set to the levels of a
+ * {@link GeographicTilingScheme} or {@link WebMercatorTilingScheme}. Tile
+ * matrices that line up with the levels of the standard tiling schemes use
+ * them, other sets get a tiling scheme whose level zero is the first tile
+ * matrix. Levels stop at the first tile matrix that does not halve the
+ * resolution of the previous one.
+ *
+ * @private
+ */
+function createTileMatrixSetLevels(tileMatrixSet, ellipsoid) {
+  const crs = tileMatrixSet.crs;
+  const isWebMercator = OgcCapabilitiesUtil.isWebMercator(crs);
+  if (!isWebMercator && !OgcCapabilitiesUtil.isGeographic(crs)) {
+    return undefined;
+  }
+  const tileMatrices = tileMatrixSet.tileMatrices;
+  if (tileMatrices.length === 0) {
+    return undefined;
+  }
+
+  const first = tileMatrices[0];
+  let west = first.topLeftCorner.x;
+  let north = first.topLeftCorner.y;
+  if (
+    OgcCapabilitiesUtil.normalizeCrs(crs) === "4326" &&
+    Math.abs(west) <= 90.0
+  ) {
+    // EPSG:4326 has latitude first, though some servers still put longitude first
+    west = first.topLeftCorner.y;
+    north = first.topLeftCorner.x;
+  }
+
+  const metersPerUnit = isWebMercator ? 1.0 : metersPerDegree;
+  function getTileSpan(tileMatrix, tileSize) {
+    return (
+      (tileMatrix.scaleDenominator *
+        standardizedRenderingPixelSize *
+        tileSize) /
+      metersPerUnit
+    );
+  }
+  const tileSpanX = getTileSpan(first, first.tileWidth);
+  const tileSpanY = getTileSpan(first, first.tileHeight);
+
+  const standardWest = isWebMercator ? -webMercatorHalfExtent : -180.0;
+  const standardNorth = isWebMercator ? webMercatorHalfExtent : 90.0;
+  const standardTileSpan = isWebMercator ? 2.0 * webMercatorHalfExtent : 180.0;
+  const cornerTolerance = isWebMercator ? 1.0 : CesiumMath.EPSILON5;
+  const standardLevel = Math.log2(standardTileSpan / tileSpanX);
+
+  let tilingScheme;
+  let levelOffset = 0;
+  if (
+    Math.abs(standardLevel - Math.round(standardLevel)) < 0.01 &&
+    Math.abs(west - standardWest) < cornerTolerance &&
+    Math.abs(north - standardNorth) < cornerTolerance
+  ) {
+    levelOffset = Math.round(standardLevel);
+    tilingScheme = isWebMercator
+      ? new WebMercatorTilingScheme({
+          ellipsoid: ellipsoid,
+        })
+      : new GeographicTilingScheme({
+          ellipsoid: ellipsoid,
+        });
+  } else {
+    const east = west + first.matrixWidth * tileSpanX;
+    const south = north - first.matrixHeight * tileSpanY;
+    tilingScheme = isWebMercator
+      ? new WebMercatorTilingScheme({
+          ellipsoid: ellipsoid,
+          numberOfLevelZeroTilesX: first.matrixWidth,
+          numberOfLevelZeroTilesY: first.matrixHeight,
+          rectangleSouthwestInMeters: new Cartesian2(west, south),
+          rectangleNortheastInMeters: new Cartesian2(east, north),
+        })
+      : new GeographicTilingScheme({
+          ellipsoid: ellipsoid,
+          numberOfLevelZeroTilesX: first.matrixWidth,
+          numberOfLevelZeroTilesY: first.matrixHeight,
+          rectangle: Rectangle.fromDegrees(west, south, east, north),
+        });
+  }
+
+  const tileMatrixLabels = [];
+  let maximumLevel = levelOffset - 1;
+  for (let i = 0; i < tileMatrices.length; ++i) {
+    const tileMatrix = tileMatrices[i];
+    const relativeLevel = Math.log2(
+      first.scaleDenominator / tileMatrix.scaleDenominator,
+    );
+    if (
+      Math.abs(relativeLevel - i) > 0.01 ||
+      !Cartesian2.equalsEpsilon(
+        tileMatrix.topLeftCorner,
+        first.topLeftCorner,
+        0.0,
+        cornerTolerance,
+      )
+    ) {
+      break;
+    }
+    const level = levelOffset + i;
+    if (level >= 0) {
+      tileMatrixLabels[level] = tileMatrix.identifier;
+      maximumLevel = level;
+    }
+  }
+
+  const minimumLevel = Math.max(levelOffset, 0);
+  if (maximumLevel < minimumLevel) {
+    return undefined;
+  }
+
+  return {
+    tilingScheme: tilingScheme,
+    tileMatrixLabels: tileMatrixLabels,
+    minimumLevel: minimumLevel,
+    maximumLevel: maximumLevel,
+    tileWidth: first.tileWidth,
+    tileHeight: first.tileHeight,
+  };
+}
+
+function parseCapabilities(xml) {
+  const root = xml.documentElement;
+  if (!defined(root) || root.localName !== "Capabilities") {
+    throw new RuntimeError("The document is not a WMTS capabilities document.");
+  }
+
+  const getChildElement = OgcCapabilitiesUtil.getChildElement;
+  const getChildElements = OgcCapabilitiesUtil.getChildElements;
+  const serviceIdentification = getChildElement(root, "ServiceIdentification");
+  const getTile = getChildElements(
+    getChildElement(root, "OperationsMetadata"),
+    "Operation",
+  ).find(function (operation) {
+    return operation.getAttribute("name") === "GetTile";
+  });
+  const contents = getChildElement(root, "Contents");
+
+  return {
+    title: OgcCapabilitiesUtil.getChildText(serviceIdentification, "Title"),
+    abstract: OgcCapabilitiesUtil.getChildText(
+      serviceIdentification,
+      "Abstract",
+    ),
+    getTileUrl: OgcCapabilitiesUtil.getOperationUrl(getTile, "DCP"),
+    layers: getChildElements(contents, "Layer").map(parseLayer),
+    tileMatrixSets: getChildElements(contents, "TileMatrixSet").map(
+      parseTileMatrixSet,
+    ),
+  };
+}
+
+function parseNumbers(text) {
+  return text.trim().split(/\s+/).map(parseFloat);
+}
+
+function parseLayer(element) {
+  const getChildElement = OgcCapabilitiesUtil.getChildElement;
+  const getChildElements = OgcCapabilitiesUtil.getChildElements;
+  const getChildText = OgcCapabilitiesUtil.getChildText;
+
+  let rectangle;
+  const boundingBox = getChildElement(element, "WGS84BoundingBox");
+  if (defined(boundingBox)) {
+    const lowerCorner = parseNumbers(getChildText(boundingBox, "LowerCorner"));
+    const upperCorner = parseNumbers(getChildText(boundingBox, "UpperCorner"));
+    rectangle = Rectangle.fromDegrees(
+      lowerCorner[0],
+      lowerCorner[1],
+      upperCorner[0],
+      upperCorner[1],
+    );
+  }
+
+  return {
+    identifier: getChildText(element, "Identifier"),
+    title: getChildText(element, "Title"),
+    abstract: getChildText(element, "Abstract"),
+    rectangle: rectangle,
+    styles: getChildElements(element, "Style").map(function (style) {
+      return {
+        identifier: getChildText(style, "Identifier"),
+        title: getChildText(style, "Title"),
+        isDefault: style.getAttribute("isDefault") === "true",
+        legendUrl: OgcCapabilitiesUtil.getHref(
+          getChildElement(style, "LegendURL"),
+        ),
+      };
+    }),
+    formats: OgcCapabilitiesUtil.getChildTexts(element, "Format"),
+    tileMatrixSetIDs: getChildElements(element, "TileMatrixSetLink").map(
+      function (link) {
+        return getChildText(link, "TileMatrixSet");
+      },
+    ),
+    resourceUrls: getChildElements(element, "ResourceURL").map(
+      function (resourceUrl) {
+        return {
+          format: OgcCapabilitiesUtil.getAttribute(resourceUrl, "format"),
+          resourceType: OgcCapabilitiesUtil.getAttribute(
+            resourceUrl,
+            "resourceType",
+          ),
+          template: OgcCapabilitiesUtil.getAttribute(resourceUrl, "template"),
+        };
+      },
+    ),
+    dimensions: getChildElements(element, "Dimension").map(
+      function (dimension) {
+        return {
+          identifier: getChildText(dimension, "Identifier"),
+          units: getChildText(dimension, "UOM"),
+          default: getChildText(dimension, "Default"),
+          values: OgcCapabilitiesUtil.getChildTexts(dimension, "Value"),
+        };
+      },
+    ),
+  };
+}
+
+function parseTileMatrixSet(element) {
+  const getChildText = OgcCapabilitiesUtil.getChildText;
+  return {
+    identifier: getChildText(element, "Identifier"),
+    crs: getChildText(element, "SupportedCRS"),
+    tileMatrices: OgcCapabilitiesUtil.getChildElements(
+      element,
+      "TileMatrix",
+    ).map(function (tileMatrix) {
+      const topLeftCorner = parseNumbers(
+        getChildText(tileMatrix, "TopLeftCorner"),
+      );
+      return {
+        identifier: getChildText(tileMatrix, "Identifier"),
+        scaleDenominator: parseFloat(
+          getChildText(tileMatrix, "ScaleDenominator"),
+        ),
+        topLeftCorner: new Cartesian2(topLeftCorner[0], topLeftCorner[1]),
+        tileWidth: parseInt(getChildText(tileMatrix, "TileWidth"), 10),
+        tileHeight: parseInt(getChildText(tileMatrix, "TileHeight"), 10),
+        matrixWidth: parseInt(getChildText(tileMatrix, "MatrixWidth"), 10),
+        matrixHeight: parseInt(getChildText(tileMatrix, "MatrixHeight"), 10),
+      };
+    }),
+  };
+}
+
+/**
+ * WMTS 服务器的能力，由 {@link WebMapTileServiceImageryProvider.fetchCapabilities} 返回。
+ *
+ * @typedef {object} WebMapTileServiceImageryProvider.Capabilities
+ * @property {string} [title] 服务的标题。
+ * @property {string} [abstract] 服务的描述。
+ * @property {string} [getTileUrl] KVP 编码的 GetTile 操作的 URL。
+ * @property {WebMapTileServiceImageryProvider.LayerCapabilities[]} layers 服务器上的图层。
+ * @property {WebMapTileServiceImageryProvider.TileMatrixSetCapabilities[]} tileMatrixSets 服务器上的瓦片矩阵集。
+ */
+
+/**
+ * WMTS 服务器上的一个图层。
+ *
+ * @typedef {object} WebMapTileServiceImageryProvider.LayerCapabilities
+ * @property {string} identifier 在请求中使用的图层标识符。
+ * @property {string} [title] 图层的标题。
+ * @property {string} [abstract] 图层的描述。
+ * @property {Rectangle} [rectangle] 图层的地理范围，以弧度为单位。
+ * @property {WebMapTileServiceImageryProvider.StyleCapabilities[]} styles 图层的样式。
+ * @property {string[]} formats 图层支持的图像格式。
+ * @property {string[]} tileMatrixSetIDs 图层可用的瓦片矩阵集的标识符。
+ * @property {WebMapTileServiceImageryProvider.ResourceUrlCapabilities[]} resourceUrls 图层的 RESTful URL 模板。
+ * @property {WebMapTileServiceImageryProvider.DimensionCapabilities[]} dimensions 图层的维度，例如 <code>Time</code>。
+ */
+
+/**
+ * WMTS 图层的一个样式。
+ *
+ * @typedef {object} WebMapTileServiceImageryProvider.StyleCapabilities
+ * @property {string} identifier 在请求中使用的样式标识符。
+ * @property {string} [title] 样式的标题。
+ * @property {boolean} isDefault 是否为图层的默认样式。
+ * @property {string} [legendUrl] 样式图例图像的 URL。
+ */
+
+/**
+ * WMTS 图层的一个 RESTful URL 模板。
+ *
+ * @typedef {object} WebMapTileServiceImageryProvider.ResourceUrlCapabilities
+ * @property {string} format 资源的格式。
+ * @property {string} resourceType 资源的类型，瓦片为 <code>tile</code>。
+ * @property {string} template URL 模板。
+ */
+
+/**
+ * WMTS 图层的一个维度。
+ *
+ * @typedef {object} WebMapTileServiceImageryProvider.DimensionCapabilities
+ * @property {string} identifier 维度的标识符，例如 <code>Time</code>。
+ * @property {string} [units] 维度的单位。
+ * @property {string} [default] 维度的默认值。
+ * @property {string[]} values 维度的值。时间维度的值可以是 ISO 8601 日期或 <code>start/stop/period</code> 形式的区间。
+ */
+
+/**
+ * WMTS 服务器上的一个瓦片矩阵集。
+ *
+ * @typedef {object} WebMapTileServiceImageryProvider.TileMatrixSetCapabilities
+ * @property {string} identifier 瓦片矩阵集的标识符。
+ * @property {string} crs 瓦片矩阵集的坐标参考系统。
+ * @property {WebMapTileServiceImageryProvider.TileMatrixCapabilities[]} tileMatrices 瓦片矩阵集的瓦片矩阵，从最低分辨率开始。
+ */
+
+/**
+ * 瓦片矩阵集中的一个瓦片矩阵。
+ *
+ * @typedef {object} WebMapTileServiceImageryProvider.TileMatrixCapabilities
+ * @property {string} identifier 瓦片矩阵的标识符。
+ * @property {number} scaleDenominator 瓦片矩阵的比例尺分母。
+ * @property {Cartesian2} topLeftCorner 瓦片矩阵左上角的坐标，按照坐标参考系统的轴顺序。
+ * @property {number} tileWidth 瓦片的宽度（以像素为单位）。
+ * @property {number} tileHeight 瓦片的高度（以像素为单位）。
+ * @property {number} matrixWidth 瓦片矩阵在 X 方向上的瓦片数。
+ * @property {number} matrixHeight 瓦片矩阵在 Y 方向上的瓦片数。
+ */
+
+/**
+ * {@link WebMapTileServiceImageryProvider.fromCapabilities} 的初始化选项。除了 <code>url</code> 之外，
+ * 可以指定 {@link WebMapTileServiceImageryProvider.ConstructorOptions} 的任何属性以覆盖从能力文档中确定的值。
+ *
+ * @typedef {object} WebMapTileServiceImageryProvider.FromCapabilitiesOptions
+ * @property {string} [layer] 图层的标识符。如果未定义，则使用第一个图层。
+ * @property {string} [style] 样式的标识符。如果未定义，则使用图层的默认样式。
+ * @property {string} [tileMatrixSetID] 瓦片矩阵集的标识符。如果未定义，则使用图层第一个使用地理或 Web 墨卡托坐标的瓦片矩阵集。
+ * @property {string} [format] 图像的 MIME 类型。如果未定义，则优先使用 <code>image/png</code>。
+ * @property {WebMapTileServiceImageryProvider.Capabilities} [capabilities] 已经请求的能力。如果未定义，则请求能力文档。
+ * @property {Clock} [clock] 在确定时间维度的值时使用的 Clock 实例。如果已定义且图层具有时间维度，则根据其值创建 <code>times</code>。
+ */
 export default WebMapTileServiceImageryProvider;
@@ -0,0 +1,817 @@
+import BoundingRectangle from "../Core/BoundingRectangle.js";
+import Cartesian2 from "../Core/Cartesian2.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartesian4 from "../Core/Cartesian4.js";
+import Check from "../Core/Check.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import destroyObject from "../Core/destroyObject.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Event from "../Core/Event.js";
+import CesiumMath from "../Core/Math.js";
+import Matrix3 from "../Core/Matrix3.js";
+import Matrix4 from "../Core/Matrix4.js";
+import PerspectiveFrustum from "../Core/PerspectiveFrustum.js";
+import Quaternion from "../Core/Quaternion.js";
+import Ray from "../Core/Ray.js";
+import RuntimeError from "../Core/RuntimeError.js";
+import SceneMode from "./SceneMode.js";
+
+/**
+ * 使用 WebXR 设备 API 在沉浸式 VR 会话中渲染场景。
+ * <p>
+ * 会话期间，每一帧的相机都会被设置为头戴设备的姿态，场景会使用每个 <code>XRView</code> 自己的投影渲染到其视口中。
+ * 控制器的摇杆沿控制器指向的方向飞行并左右转向，扳机（<code>select</code>）会拾取控制器指向的对象并触发 {@link WebXRSessionManager#selected} 事件。
+ * </p>
+ * <p>
+ * 会话期间，帧由 <code>XRSession</code> 而非窗口的 <code>requestAnimationFrame</code> 驱动。
+ * {@link CesiumWidget} 的默认渲染循环会在会话期间暂停，因此与 CesiumWidget 一起使用时，应通过 <code>options.render</code> 调用 {@link CesiumWidget#render}，以便时钟继续前进。
+ * </p>
+ *
+ * @alias WebXRSessionManager
+ * @constructor
+ *
+ * @param {Scene} scene 要渲染的场景。
+ * @param {object} [options] 包含以下属性的对象：
+ * @param {Function} [options.render] 在每个 XR 帧中渲染场景的函数。默认调用 {@link Scene#render}。
+ * @param {string} [options.referenceSpaceType="local"] 请求的 <code>XRReferenceSpace</code> 类型。
+ * @param {number} [options.framebufferScaleFactor=1.0] <code>XRWebGLLayer</code> 的帧缓冲区相对于设备推荐分辨率的缩放比例。
+ * @param {boolean} [options.enableNavigation=true] 是否使用控制器的摇杆导航。
+ * @param {number} [options.navigationSpeed=0.5] 摇杆推到底时每秒飞行的距离，为相机距椭球体高度的比例。
+ * @param {number} [options.snapTurnAngle=CesiumMath.toRadians(30.0)] 左右推动摇杆时转向的角度，以弧度为单位。
+ * @param {boolean} [options.enablePicking=true] 是否在控制器的 <code>select</code> 事件时拾取对象。
+ *
+ * @example
+ * const viewer = new Cesium.Viewer("cesiumContainer");
+ * const webXR = new Cesium.WebXRSessionManager(viewer.scene, {
+ *   render: function () {
+ *     viewer.render();
+ *   },
+ * });
+ * webXR.selected.addEventListener(function (pickedObject, position) {
+ *   if (Cesium.defined(pickedObject)) {
+ *     viewer.selectedEntity = pickedObject.id;
+ *   }
+ * });
+ *
+ * const supported = await Cesium.WebXRSessionManager.isSupported();
+ * if (supported) {
+ *   enterVRButton.onclick = function () {
+ *     webXR.requestSession();
+ *   };
+ * }
+ *
+ * @see VRButton
+ */
+function WebXRSessionManager(scene, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("scene", scene);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  this._scene = scene;
+  this._render = defaultValue(options.render, function () {
+    scene.render();
+  });
+
+  /**
+   * 请求的 <code>XRReferenceSpace</code> 类型。在会话开始前修改才会生效。
+   *
+   * @type {string}
+   * @default "local"
+   */
+  this.referenceSpaceType = defaultValue(options.referenceSpaceType, "local");
+
+  /**
+   * <code>XRWebGLLayer</code> 的帧缓冲区相对于设备推荐分辨率的缩放比例。在会话开始前修改才会生效。
+   *
+   * @type {number}
+   * @default 1.0
+   */
+  this.framebufferScaleFactor = defaultValue(
+    options.framebufferScaleFactor,
+    1.0,
+  );
+
+  /**
+   * 是否使用控制器的摇杆导航。
+   *
+   * @type {boolean}
+   * @default true
+   */
+  this.enableNavigation = defaultValue(options.enableNavigation, true);
+
+  /**
+   * 摇杆推到底时每秒飞行的距离，为相机距椭球体高度的比例。
+   *
+   * @type {number}
+   * @default 0.5
+   */
+  this.navigationSpeed = defaultValue(options.navigationSpeed, 0.5);
+
+  /**
+   * 左右推动摇杆时转向的角度，以弧度为单位。
+   *
+   * @type {number}
+   * @default CesiumMath.toRadians(30.0)
+   */
+  this.snapTurnAngle = defaultValue(
+    options.snapTurnAngle,
+    CesiumMath.toRadians(30.0),
+  );
+
+  /**
+   * 是否在控制器的 <code>select</code> 事件时拾取对象。
+   *
+   * @type {boolean}
+   * @default true
+   */
+  this.enablePicking = defaultValue(options.enablePicking, true);
+
+  /**
+   * 会话开始时触发的事件。事件监听器会接收 <code>XRSession</code>。
+   *
+   * @type {Event}
+   */
+  this.sessionStarted = new Event();
+
+  /**
+   * 会话结束时触发的事件。事件监听器会接收已结束的 <code>XRSession</code>。
+   *
+   * @type {Event}
+   */
+  this.sessionEnded = new Event();
+
+  /**
+   * 控制器触发 <code>select</code> 时触发的事件。事件监听器会接收控制器指向的对象、其位置（如果没有拾取到任何内容则为 <code>undefined</code>）和 <code>XRInputSource</code>。
+   *
+   * @type {Event}
+   */
+  this.selected = new Event();
+
+  this._session = undefined;
+  this._layer = undefined;
+  this._referenceSpace = undefined;
+  this._lastFrameTime = undefined;
+
+  // Transforms the reference space, which is y-up in meters, to the fixed frame
+  this._origin = new Matrix4();
+  this._views = [];
+  this._savedFrustum = undefined;
+  this._savedEnableInputs = undefined;
+  this._turningInputSources = new Set();
+
+  const that = this;
+  this._onFrame = function (time, frame) {
+    onFrame(that, time, frame);
+  };
+  this._onSelect = function (event) {
+    onSelect(that, event);
+  };
+  this._onEnd = function () {
+    endSession(that);
+  };
+}
+
+Object.defineProperties(WebXRSessionManager.prototype, {
+  /**
+   * 获取场景。
+   *
+   * @memberof WebXRSessionManager.prototype
+   * @type {Scene}
+   * @readonly
+   */
+  scene: {
+    get: function () {
+      return this._scene;
+    },
+  },
+
+  /**
+   * 获取当前的 <code>XRSession</code>，如果没有会话则为 <code>undefined</code>。
+   *
+   * @memberof WebXRSessionManager.prototype
+   * @type {XRSession|undefined}
+   * @readonly
+   */
+  session: {
+    get: function () {
+      return this._session;
+    },
+  },
+
+  /**
+   * 获取是否正在沉浸式会话中渲染场景。
+   *
+   * @memberof WebXRSessionManager.prototype
+   * @type {boolean}
+   * @readonly
+   */
+  isPresenting: {
+    get: function () {
+      return defined(this._session);
+    },
+  },
+});
+
+function getXRSystem() {
+  return typeof navigator !== "undefined" ? navigator.xr : undefined;
+}
+
+/**
+ * 确定浏览器和设备是否支持沉浸式 WebXR VR 会话。
+ *
+ * @returns {Promise<boolean>} 一个承诺，如果支持沉浸式 VR 会话则解析为 <code>true</code>，否则解析为 <code>false</code>。
+ */
+WebXRSessionManager.isSupported = async function () {
+  const xr = getXRSystem();
+  if (!defined(xr) || !defined(xr.isSessionSupported)) {
+    return false;
+  }
+
+  try {
+    return await xr.isSessionSupported("immersive-vr");
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * 请求沉浸式 VR 会话并开始在其中渲染场景。必须在用户操作（如点击）的处理函数中调用。
+ * 会话从相机的当前位置和航向开始。
+ *
+ * @returns {Promise<XRSession>} 一个承诺，在会话开始渲染时解析为 <code>XRSession</code>。
+ *
+ * @exception {RuntimeError} 此浏览器不支持 WebXR。
+ * @exception {DeveloperError} WebXR 需要透视视锥体。
+ */
+WebXRSessionManager.prototype.requestSession = async function () {
+  if (defined(this._session)) {
+    return this._session;
+  }
+
+  const scene = this._scene;
+  //>>includeStart('debug', pragmas.debug);
+  if (!(scene.camera.frustum instanceof PerspectiveFrustum)) {
+    throw new DeveloperError("WebXR requires a PerspectiveFrustum.");
+  }
+  //>>includeEnd('debug');
+
+  const xr = getXRSystem();
+  if (!defined(xr)) {
+    throw new RuntimeError("WebXR is not supported by this browser.");
+  }
+
+  const session = await xr.requestSession("immersive-vr", {
+    optionalFeatures: [this.referenceSpaceType],
+  });
+
+  let layer;
+  let referenceSpace;
+  try {
+    const gl = scene.context._gl;
+    if (defined(gl.makeXRCompatible)) {
+      await gl.makeXRCompatible();
+    }
+    layer = new XRWebGLLayer(session, gl, {
+      framebufferScaleFactor: this.framebufferScaleFactor,
+    });
+    await session.updateRenderState({
+      baseLayer: layer,
+    });
+    referenceSpace = await session.requestReferenceSpace(
+      this.referenceSpaceType,
+    );
+  } catch (error) {
+    session.end().catch(function () {});
+    throw error;
+  }
+
+  if (this.isDestroyed()) {
+    session.end().catch(function () {});
+    return session;
+  }
+
+  startSession(this, session, layer, referenceSpace);
+  return session;
+};
+
+/**
+ * 结束当前会话，并恢复在画布中渲染场景。
+ *
+ * @returns {Promise<void>} 一个承诺，在会话结束时解析。
+ */
+WebXRSessionManager.prototype.endSession = async function () {
+  const session = this._session;
+  if (!defined(session)) {
+    return;
+  }
+
+  await session.end();
+  // The end event normally does this, but may not be dispatched if the device is gone
+  if (this._session === session) {
+    endSession(this);
+  }
+};
+
+function startSession(manager, session, layer, referenceSpace) {
+  const scene = manager._scene;
+  const camera = scene.camera;
+
+  manager._session = session;
+  manager._layer = layer;
+  manager._referenceSpace = referenceSpace;
+  manager._lastFrameTime = undefined;
+  manager._turningInputSources.clear();
+
+  if (scene.useWebVR) {
+    scene.useWebVR = false;
+  }
+
+  // The viewer pose drives the camera in the fixed frame
+  camera.lookAtTransform(Matrix4.IDENTITY);
+  manager._savedFrustum = camera.frustum.clone(manager._savedFrustum);
+  manager._savedEnableInputs = scene.screenSpaceCameraController.enableInputs;
+  scene.screenSpaceCameraController.enableInputs = false;
+
+  computeOrigin(
+    scene.ellipsoid,
+    camera.positionWC,
+    camera.directionWC,
+    camera.upWC,
+    manager._origin,
+  );
+
+  session.addEventListener("end", manager._onEnd);
+  session.addEventListener("select", manager._onSelect);
+  scene._webXRSessionManager = manager;
+
+  session.requestAnimationFrame(manager._onFrame);
+  manager.sessionStarted.raiseEvent(session);
+}
+
+function endSession(manager) {
+  const session = manager._session;
+  if (!defined(session)) {
+    return;
+  }
+
+  session.removeEventListener("end", manager._onEnd);
+  session.removeEventListener("select", manager._onSelect);
+
+  manager._session = undefined;
+  manager._layer = undefined;
+  manager._referenceSpace = undefined;
+  manager._turningInputSources.clear();
+
+  const scene = manager._scene;
+  scene._webXRSessionManager = undefined;
+  scene._webXRViews = undefined;
+  scene.context._webXRLayer = undefined;
+
+  const frustum = scene.camera.frustum;
+  const savedFrustum = manager._savedFrustum;
+  frustum.fov = savedFrustum.fov;
+  frustum.aspectRatio = savedFrustum.aspectRatio;
+  frustum.xOffset = savedFrustum.xOffset;
+  frustum.yOffset = savedFrustum.yOffset;
+  scene.screenSpaceCameraController.enableInputs = manager._savedEnableInputs;
+
+  scene.requestRender();
+  manager.sessionEnded.raiseEvent(session);
+}
+
+const scratchUp = new Cartesian3();
+const scratchForward = new Cartesian3();
+const scratchRight = new Cartesian3();
+const scratchBackward = new Cartesian3();
+
+/**
+ * Computes the transform from a y-up reference space with its origin at the position, and its
+ * -z axis along the horizontal component of the direction, to the fixed frame.
+ *
+ * @private
+ */
+function computeOrigin(ellipsoid, position, direction, up, result) {
+  const surfaceNormal = ellipsoid.geodeticSurfaceNormal(position, scratchUp);
+
+  let forward = Cartesian3.subtract(
+    direction,
+    Cartesian3.multiplyByScalar(
+      surfaceNormal,
+      Cartesian3.dot(direction, surfaceNormal),
+      scratchForward,
+    ),
+    scratchForward,
+  );
+  if (Cartesian3.magnitudeSquared(forward) < CesiumMath.EPSILON10) {
+    // Looking straight down or up, so the up vector of the camera is the heading
+    forward = Cartesian3.subtract(
+      up,
+      Cartesian3.multiplyByScalar(
+        surfaceNormal,
+        Cartesian3.dot(up, surfaceNormal),
+        scratchForward,
+      ),
+      scratchForward,
+    );
+  }
+  Cartesian3.normalize(forward, forward);
+
+  const right = Cartesian3.cross(forward, surfaceNormal, scratchRight);
+  Cartesian3.normalize(right, right);
+  const backward = Cartesian3.negate(forward, scratchBackward);
+
+  result[0] = right.x;
+  result[1] = right.y;
+  result[2] = right.z;
+  result[3] = 0.0;
+  result[4] = surfaceNormal.x;
+  result[5] = surfaceNormal.y;
+  result[6] = surfaceNormal.z;
+  result[7] = 0.0;
+  result[8] = backward.x;
+  result[9] = backward.y;
+  result[10] = backward.z;
+  result[11] = 0.0;
+  result[12] = position.x;
+  result[13] = position.y;
+  result[14] = position.z;
+  result[15] = 1.0;
+  return result;
+}
+
+const scratchPoseMatrix = new Matrix4();
+const scratchTransform = new Matrix4();
+const scratchColumn = new Cartesian4();
+
+function setCameraFromTransform(origin, poseMatrix, camera) {
+  const transform = Matrix4.multiply(
+    origin,
+    Matrix4.unpack(poseMatrix, 0, scratchPoseMatrix),
+    scratchTransform,
+  );
+
+  Matrix4.getTranslation(transform, camera.position);
+  const column = scratchColumn;
+  Matrix4.getColumn(transform, 0, column);
+  Cartesian3.normalize(
+    Cartesian3.fromCartesian4(column, camera.right),
+    camera.right,
+  );
+  Matrix4.getColumn(transform, 1, column);
+  Cartesian3.normalize(Cartesian3.fromCartesian4(column, camera.up), camera.up);
+  Matrix4.getColumn(transform, 2, column);
+  Cartesian3.negate(
+    Cartesian3.normalize(
+      Cartesian3.fromCartesian4(column, camera.direction),
+      camera.direction,
+    ),
+    camera.direction,
+  );
+}
+
+/**
+ * Computes the field of view, aspect ratio and offsets of a PerspectiveFrustum from the tangents of
+ * the angles of the left, right, bottom and top planes. The offsets are for a near plane at 1.0.
+ *
+ * @private
+ */
+function setFrustumFromTangents(left, right, bottom, top, result) {
+  const tanHalfWidth = (right - left) * 0.5;
+  const tanHalfHeight = (top - bottom) * 0.5;
+  const aspectRatio = tanHalfWidth / tanHalfHeight;
+  result.aspectRatio = aspectRatio;
+  result.fov =
+    aspectRatio <= 1.0
+      ? 2.0 * Math.atan(tanHalfHeight)
+      : 2.0 * Math.atan(tanHalfWidth);
+  result.offset = Cartesian2.fromElements(
+    (right + left) * 0.5,
+    (top + bottom) * 0.5,
+    result.offset,
+  );
+  return result;
+}
+
+const scratchViewerFrustum = {
+  fov: undefined,
+  aspectRatio: undefined,
+  offset: new Cartesian2(),
+};
+
+function updateViews(manager, pose) {
+  const scene = manager._scene;
+  const camera = scene.camera;
+  const origin = manager._origin;
+  const layer = manager._layer;
+  const xrViews = pose.views;
+  const views = manager._views;
+  views.length = xrViews.length;
+
+  let left = Number.POSITIVE_INFINITY;
+  let right = Number.NEGATIVE_INFINITY;
+  let bottom = Number.POSITIVE_INFINITY;
+  let top = Number.NEGATIVE_INFINITY;
+
+  for (let i = 0; i < xrViews.length; ++i) {
+    const xrView = xrViews[i];
+    let view = views[i];
+    if (!defined(view)) {
+      view = views[i] = {
+        viewport: new BoundingRectangle(),
+        position: new Cartesian3(),
+        direction: new Cartesian3(),
+        up: new Cartesian3(),
+        right: new Cartesian3(),
+        fov: undefined,
+        aspectRatio: undefined,
+        offset: new Cartesian2(),
+      };
+    }
+
+    const xrViewport = layer.getViewport(xrView);
+    view.viewport.x = xrViewport.x;
+    view.viewport.y = xrViewport.y;
+    view.viewport.width = xrViewport.width;
+    view.viewport.height = xrViewport.height;
+
+    setCameraFromTransform(origin, xrView.transform.matrix, view);
+
+    // The tangents of the planes of the projection, which may be asymmetric
+    const projection = xrView.projectionMatrix;
+    const viewLeft = (projection[8] - 1.0) / projection[0];
+    const viewRight = (projection[8] + 1.0) / projection[0];
+    const viewBottom = (projection[9] - 1.0) / projection[5];
+    const viewTop = (projection[9] + 1.0) / projection[5];
+    setFrustumFromTangents(viewLeft, viewRight, viewBottom, viewTop, view);
+
+    left = Math.min(left, viewLeft);
+    right = Math.max(right, viewRight);
+    bottom = Math.min(bottom, viewBottom);
+    top = Math.max(top, viewTop);
+  }
+
+  // The camera is at the viewer pose with a frustum enclosing every view, which is
+  // used for culling and level of detail selection
+  setCameraFromTransform(origin, pose.transform.matrix, camera);
+  const viewerFrustum = setFrustumFromTangents(
+    left,
+    right,
+    bottom,
+    top,
+    scratchViewerFrustum,
+  );
+  const frustum = camera.frustum;
+  frustum.fov = viewerFrustum.fov;
+  frustum.aspectRatio = viewerFrustum.aspectRatio;
+  frustum.xOffset = viewerFrustum.offset.x * frustum.near;
+  frustum.yOffset = viewerFrustum.offset.y * frustum.near;
+}
+
+const scratchRayPose = new Matrix4();
+const scratchRayDirection = new Cartesian3();
+
+function getTargetRay(manager, frame, inputSource, result) {
+  const pose = frame.getPose(
+    inputSource.targetRaySpace,
+    manager._referenceSpace,
+  );
+  if (!defined(pose)) {
+    return undefined;
+  }
+
+  const transform = Matrix4.multiply(
+    manager._origin,
+    Matrix4.unpack(pose.transform.matrix, 0, scratchRayPose),
+    scratchRayPose,
+  );
+  Matrix4.getTranslation(transform, result.origin);
+  const column = Matrix4.getColumn(transform, 2, scratchColumn);
+  const direction = Cartesian3.fromCartesian4(column, scratchRayDirection);
+  Cartesian3.normalize(direction, direction);
+  Cartesian3.negate(direction, result.direction);
+  return result;
+}
+
+// Thumbstick deflections below which input is ignored, and above which a snap turn is made
+const deadZone = 0.1;
+const snapTurnThreshold = 0.7;
+const snapTurnResetThreshold = 0.3;
+
+const scratchNavigationRay = new Ray();
+const scratchHeadPosition = new Cartesian3();
+const scratchTranslation = new Cartesian3();
+const scratchQuaternion = new Quaternion();
+const scratchRotation = new Matrix3();
+const scratchTurn = new Matrix4();
+const scratchOriginDirection = new Cartesian3();
+const scratchOriginUp = new Cartesian3();
+const scratchOriginPosition = new Cartesian3();
+
+/**
+ * Moves the origin of the reference space with the thumbsticks of the controllers, using the
+ * xr-standard gamepad mapping.
+ *
+ * @private
+ */
+function navigate(manager, frame, deltaTime) {
+  const scene = manager._scene;
+  const ellipsoid = scene.ellipsoid;
+  const origin = manager._origin;
+  const turning = manager._turningInputSources;
+  const headPosition = Cartesian3.clone(
+    scene.camera.position,
+    scratchHeadPosition,
+  );
+
+  let moved = false;
+  const inputSources = frame.session.inputSources;
+  for (let i = 0; i < inputSources.length; ++i) {
+    const inputSource = inputSources[i];
+    const gamepad = inputSource.gamepad;
+    if (!defined(gamepad) || gamepad.axes.length < 4) {
+      continue;
+    }
+
+    // Fly along the target ray of the controller
+    const forward = -gamepad.axes[3];
+    if (Math.abs(forward) > deadZone && deltaTime > 0.0) {
+      const ray = getTargetRay(
+        manager,
+        frame,
+        inputSource,
+        scratchNavigationRay,
+      );
+      if (defined(ray)) {
+        const cartographic = ellipsoid.cartesianToCartographic(headPosition);
+        const height = defined(cartographic) ? cartographic.height : 0.0;
+        const distance =
+          forward * manager.navigationSpeed * Math.max(height, 1.0) * deltaTime;
+        const translation = Cartesian3.multiplyByScalar(
+          ray.direction,
+          distance,
+          scratchTranslation,
+        );
+        origin[12] += translation.x;
+        origin[13] += translation.y;
+        origin[14] += translation.z;
+        Cartesian3.add(headPosition, translation, headPosition);
+        moved = true;
+      }
+    }
+
+    // Snap turn about the head of the viewer
+    const turn = gamepad.axes[2];
+    if (Math.abs(turn) > snapTurnThreshold) {
+      if (!turning.has(inputSource)) {
+        turning.add(inputSource);
+        const up = ellipsoid.geodeticSurfaceNormal(
+          headPosition,
+          scratchOriginUp,
+        );
+        const rotation = Matrix3.fromQuaternion(
+          Quaternion.fromAxisAngle(
+            up,
+            -Math.sign(turn) * manager.snapTurnAngle,
+            scratchQuaternion,
+          ),
+          scratchRotation,
+        );
+        const offset = Cartesian3.subtract(
+          Matrix4.getTranslation(origin, scratchTranslation),
+          headPosition,
+          scratchTranslation,
+        );
+        Matrix3.multiplyByVector(rotation, offset, offset);
+        Cartesian3.add(offset, headPosition, offset);
+        const turnTransform = Matrix4.fromRotationTranslation(
+          rotation,
+          Cartesian3.ZERO,
+          scratchTurn,
+        );
+        Matrix4.multiply(turnTransform, origin, origin);
+        Matrix4.setTranslation(origin, offset, origin);
+        moved = true;
+      }
+    } else if (Math.abs(turn) < snapTurnResetThreshold) {
+      turning.delete(inputSource);
+    }
+  }
+
+  if (moved) {
+    // Keep the reference space level with the surface below it
+    const position = Matrix4.getTranslation(origin, scratchOriginPosition);
+    const backward = Cartesian3.fromCartesian4(
+      Matrix4.getColumn(origin, 2, scratchColumn),
+      scratchOriginDirection,
+    );
+    const direction = Cartesian3.negate(backward, backward);
+    const up = Cartesian3.fromCartesian4(
+      Matrix4.getColumn(origin, 1, scratchColumn),
+      scratchOriginUp,
+    );
+    computeOrigin(ellipsoid, position, direction, up, origin);
+  }
+}
+
+function onFrame(manager, time, frame) {
+  const session = manager._session;
+  if (!defined(session) || frame.session !== session) {
+    return;
+  }
+  session.requestAnimationFrame(manager._onFrame);
+
+  const pose = frame.getViewerPose(manager._referenceSpace);
+  if (!defined(pose)) {
+    // Tracking was lost
+    return;
+  }
+
+  const lastFrameTime = manager._lastFrameTime;
+  const deltaTime = defined(lastFrameTime)
+    ? (time - lastFrameTime) / 1000.0
+    : 0.0;
+  manager._lastFrameTime = time;
+
+  if (manager.enableNavigation) {
+    navigate(manager, frame, deltaTime);
+  }
+  updateViews(manager, pose);
+
+  const scene = manager._scene;
+  const context = scene.context;
+  context._webXRLayer = manager._layer;
+  scene._webXRViews = manager._views;
+  try {
+    scene.requestRender();
+    manager._render();
+  } finally {
+    context._webXRLayer = undefined;
+    scene._webXRViews = undefined;
+  }
+}
+
+const scratchPickRay = new Ray();
+
+function onSelect(manager, event) {
+  const scene = manager._scene;
+  if (!manager.enablePicking || scene.mode !== SceneMode.SCENE3D) {
+    return;
+  }
+
+  const inputSource = event.inputSource;
+  const ray = getTargetRay(manager, event.frame, inputSource, scratchPickRay);
+  if (!defined(ray)) {
+    return;
+  }
+
+  const result = scene.pickFromRay(ray);
+  if (defined(result)) {
+    manager.selected.raiseEvent(
+      result.object,
+      Cartesian3.clone(result.position),
+      inputSource,
+    );
+  } else {
+    manager.selected.raiseEvent(undefined, undefined, inputSource);
+  }
+}
+
+/**
+ * 如果该对象已被销毁，则返回 true；否则返回 false。
+ * <br /><br />
+ * 如果该对象已被销毁，则不应使用它；调用除 <code>isDestroyed</code> 之外的任何函数都会导致 {@link DeveloperError} 异常。
+ *
+ * @returns {boolean} <code>true</code> 如果该对象已被销毁；否则返回 <code>false</code>。
+ *
+ * @see WebXRSessionManager#destroy
+ */
+WebXRSessionManager.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * 结束当前会话并销毁该对象。
+ * <br /><br />
+ * 一旦对象被销毁，就不应再使用；调用除 <code>isDestroyed</code> 之外的任何函数都会导致 {@link DeveloperError} 异常。因此，
+ * 如示例中所示，将返回值 (<code>undefined</code>) 分配给对象。
+ *
+ * @exception {DeveloperError} 该对象已被销毁，即调用了 destroy()。
+ *
+ * @example
+ * webXR = webXR && webXR.destroy();
+ *
+ * @see WebXRSessionManager#isDestroyed
+ */
+WebXRSessionManager.prototype.destroy = function () {
+  const session = this._session;
+  if (defined(session)) {
+    endSession(this);
+    session.end().catch(function () {});
+  }
+  return destroyObject(this);
+};
+
+export default WebXRSessionManager;
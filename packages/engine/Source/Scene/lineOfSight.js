@@ -0,0 +1,213 @@
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import Ray from "../Core/Ray.js";
+import sampleTerrainMostDetailed from "../Core/sampleTerrainMostDetailed.js";
+import SceneMode from "./SceneMode.js";
+
+/**
+ * 视线查询的结果。
+ *
+ * @typedef {object} LineOfSightResult
+ *
+ * @property {boolean} visible 如果两个位置之间没有障碍物，则为 <code>true</code>。
+ * @property {Cartesian3|undefined} position 第一个障碍物在视线上的位置。如果视线没有被遮挡，则为 undefined。
+ * @property {number|undefined} distance 从起点到第一个障碍物的距离，以米为单位。如果视线没有被遮挡，则为 undefined。
+ * @property {object|undefined} object 遮挡视线的拾取对象，如 {@link Scene#pick} 返回的对象。如果视线被地形遮挡或没有被遮挡，则为 undefined。
+ */
+
+const scratchDirection = new Cartesian3();
+const scratchPosition = new Cartesian3();
+
+/**
+ * 确定两个位置之间的视线是否被地形、3D Tiles 或场景中的其他图元遮挡，并返回第一个障碍物。
+ * <p>
+ * 查询结合了两种方法：
+ * <ul>
+ * <li>在 GPU 上沿视线进行射线拾取，可以找到当前视图中渲染的地球瓦片、3D Tiles 和其他图元。</li>
+ * <li>沿视线采样位置，并将视线的高度与以最大细节级别采样的地形高度（在 CPU 上）和 3D Tiles 高度（在 GPU 上）进行比较。</li>
+ * </ul>
+ * 如果地形提供者没有可用性信息，则使用椭球体表面代替地形。GPU 查询仅在 3D 模式下可用。
+ * </p>
+ *
+ * @function lineOfSight
+ *
+ * @param {Scene} scene 场景。
+ * @param {Cartesian3} from 视线的起点，以世界坐标表示。
+ * @param {Cartesian3} to 视线的终点，以世界坐标表示。
+ * @param {object} [options] 具有以下属性的对象：
+ * @param {Object[]} [options.objectsToExclude] 不遮挡视线的图元、实体或 3D Tiles 要素的列表。
+ * @param {number} [options.width=0.1] 射线拾取的交叉体积的宽度，以米为单位。
+ * @param {number} [options.sampleCount=100] 沿视线采样高度的位置数。
+ * @param {number} [options.tolerance=1.0] 容差，以米为单位。距离起点和终点在此距离内的障碍物，以及高出视线不超过此距离的地表将被忽略。这样可以避免将位于地面上的端点误判为被遮挡。
+ * @returns {Promise<LineOfSightResult>} 当查询完成时解析为结果的承诺。
+ *
+ * @example
+ * const result = await Cesium.lineOfSight(
+ *   viewer.scene,
+ *   Cesium.Cartesian3.fromDegrees(86.9, 27.9, 8000.0),
+ *   Cesium.Cartesian3.fromDegrees(87.0, 28.0, 6000.0)
+ * );
+ * if (!result.visible) {
+ *   viewer.entities.add({
+ *     position: result.position,
+ *     point: { pixelSize: 10, color: Cesium.Color.RED },
+ *   });
+ * }
+ *
+ * @see Viewshed
+ */
+async function lineOfSight(scene, from, to, options) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("scene", scene);
+  Check.typeOf.object("from", from);
+  Check.typeOf.object("to", to);
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const objectsToExclude = options.objectsToExclude;
+  const width = defaultValue(options.width, 0.1);
+  const sampleCount = Math.max(defaultValue(options.sampleCount, 100), 1);
+  const tolerance = defaultValue(options.tolerance, 1.0);
+
+  const length = Cartesian3.distance(from, to);
+  const result = {
+    visible: true,
+    position: undefined,
+    distance: undefined,
+    object: undefined,
+  };
+  if (length <= 2.0 * tolerance) {
+    return result;
+  }
+
+  const ellipsoid = scene.ellipsoid;
+  const is3D = scene.mode === SceneMode.SCENE3D;
+
+  // Sample the line between the end points
+  const distances = new Array(sampleCount - 1);
+  const positions = new Array(sampleCount - 1);
+  const lineHeights = new Array(sampleCount - 1);
+  for (let i = 1; i < sampleCount; ++i) {
+    const distance = (length * i) / sampleCount;
+    const cartographic = ellipsoid.cartesianToCartographic(
+      Cartesian3.lerp(from, to, i / sampleCount, scratchPosition),
+    );
+    distances[i - 1] = distance;
+    positions[i - 1] = cartographic;
+    lineHeights[i - 1] = defined(cartographic) ? cartographic.height : 0.0;
+  }
+
+  // Returns true if the obstruction is the closest one found so far
+  function updateResult(distance, position, object) {
+    if (
+      distance < tolerance ||
+      distance > length - tolerance ||
+      (!result.visible && distance >= result.distance)
+    ) {
+      return false;
+    }
+    result.visible = false;
+    result.distance = distance;
+    result.position = Cartesian3.clone(position);
+    result.object = object;
+    return true;
+  }
+
+  // Intersect the line with what is currently rendered
+  if (is3D) {
+    const direction = Cartesian3.normalize(
+      Cartesian3.subtract(to, from, scratchDirection),
+      scratchDirection,
+    );
+    const picked = scene.pickFromRay(
+      new Ray(from, direction),
+      objectsToExclude,
+      width,
+    );
+    if (defined(picked) && defined(picked.position)) {
+      updateResult(
+        Cartesian3.distance(from, picked.position),
+        picked.position,
+        picked.object,
+      );
+    }
+  }
+
+  // Compare the height of the line with the surface heights below it
+  const samples = positions.filter(defined);
+  const surfaceHeights = await sampleSurfaceHeights(
+    scene,
+    samples,
+    objectsToExclude,
+    width,
+  );
+
+  let sampleIndex = 0;
+  for (let i = 0; i < positions.length; ++i) {
+    if (!defined(positions[i])) {
+      continue;
+    }
+    const surfaceHeight = surfaceHeights[sampleIndex++];
+    if (
+      defined(surfaceHeight) &&
+      surfaceHeight > lineHeights[i] + tolerance &&
+      updateResult(
+        distances[i],
+        Cartesian3.lerp(from, to, distances[i] / length, scratchPosition),
+        undefined,
+      )
+    ) {
+      break;
+    }
+  }
+
+  return result;
+}
+
+function cloneCartographics(positions) {
+  return positions.map(function (position) {
+    return Cartographic.clone(position);
+  });
+}
+
+// Returns the highest of the terrain and 3D Tiles heights at each position
+async function sampleSurfaceHeights(scene, positions, objectsToExclude, width) {
+  const heights = new Array(positions.length);
+
+  const globe = scene.globe;
+  if (defined(globe) && globe.show) {
+    const terrainProvider = scene.terrainProvider;
+    if (defined(terrainProvider) && defined(terrainProvider.availability)) {
+      const terrainPositions = await sampleTerrainMostDetailed(
+        terrainProvider,
+        cloneCartographics(positions),
+      );
+      for (let i = 0; i < positions.length; ++i) {
+        heights[i] = terrainPositions[i].height;
+      }
+    } else {
+      heights.fill(0.0);
+    }
+  }
+
+  if (scene.mode === SceneMode.SCENE3D && scene.sampleHeightSupported) {
+    const tilePositions = await scene.sampleHeightMostDetailed(
+      cloneCartographics(positions),
+      objectsToExclude,
+      width,
+    );
+    for (let i = 0; i < positions.length; ++i) {
+      const height = tilePositions[i].height;
+      if (defined(height) && (!defined(heights[i]) || height > heights[i])) {
+        heights[i] = height;
+      }
+    }
+  }
+
+  return heights;
+}
+
+export default lineOfSight;
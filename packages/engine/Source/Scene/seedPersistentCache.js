@@ -0,0 +1,602 @@
+import BoundingSphere from "../Core/BoundingSphere.js";
+import Cartesian3 from "../Core/Cartesian3.js";
+import Cartographic from "../Core/Cartographic.js";
+import Check from "../Core/Check.js";
+import defaultValue from "../Core/defaultValue.js";
+import defined from "../Core/defined.js";
+import DeveloperError from "../Core/DeveloperError.js";
+import Ellipsoid from "../Core/Ellipsoid.js";
+import getJsonFromTypedArray from "../Core/getJsonFromTypedArray.js";
+import CesiumMath from "../Core/Math.js";
+import Matrix3 from "../Core/Matrix3.js";
+import Matrix4 from "../Core/Matrix4.js";
+import OrientedBoundingBox from "../Core/OrientedBoundingBox.js";
+import Rectangle from "../Core/Rectangle.js";
+import Resource from "../Core/Resource.js";
+
+/**
+ * 将矩形区域内的影像、地形和 3D Tiles 瓦片下载到 {@link Resource.persistentCache} 中，
+ * 以便在没有网络连接时使用。已经缓存的瓦片直接从缓存中读取，不会再次下载。
+ * <p>
+ * 影像和地形瓦片通过提供者的 <code>requestImage</code> 和 <code>requestTileGeometry</code> 请求，
+ * 因此适用于任何影像或地形提供者。3D Tiles 瓦片集从根瓦片开始遍历，
+ * 缓存包围体与矩形相交且深度不超过 <code>maximumDepth</code> 的瓦片内容，包括外部瓦片集。
+ * 隐式瓦片集的子树以及瓦片内容引用的外部资源（例如 glTF 的外部纹理）不会被缓存。
+ * </p>
+ *
+ * @function
+ *
+ * @param {object} options 具有以下属性的对象：
+ * @param {Rectangle} options.rectangle 要缓存的区域，以弧度为单位。
+ * @param {seedPersistentCache.ImageryOptions[]} [options.imagery=[]] 要缓存的影像提供者及其级别。
+ * @param {seedPersistentCache.TerrainOptions} [options.terrain] 要缓存的地形提供者及其级别。
+ * @param {seedPersistentCache.TilesetOptions[]} [options.tilesets=[]] 要缓存的 3D Tiles 瓦片集及其深度。
+ * @param {number} [options.concurrency=6] 同时进行的最大请求数。
+ * @param {Ellipsoid} [options.ellipsoid=Ellipsoid.default] 用于将 3D Tiles 包围体转换为矩形的椭球体。
+ * @param {seedPersistentCache.ProgressCallback} [options.progressCallback] 每个瓦片完成或失败时调用的函数。
+ * @returns {Promise<seedPersistentCache.Result>} 一个 Promise，在所有瓦片都已请求后解析。
+ *
+ * @exception {DeveloperError} 未设置 Resource.persistentCache。
+ * @exception {DeveloperError} 无法在离线模式下预缓存。
+ *
+ * @example
+ * Cesium.Resource.persistentCache = new Cesium.IndexedDBCache();
+ * const result = await Cesium.seedPersistentCache({
+ *   rectangle: Cesium.Rectangle.fromDegrees(7.4, 46.8, 7.6, 47.0),
+ *   imagery: [
+ *     {
+ *       provider: viewer.imageryLayers.get(0).imageryProvider,
+ *       maximumLevel: 16,
+ *     },
+ *   ],
+ *   terrain: {
+ *     provider: viewer.terrainProvider,
+ *     maximumLevel: 14,
+ *   },
+ *   tilesets: [
+ *     {
+ *       url: await Cesium.IonResource.fromAssetId(96188),
+ *       maximumDepth: 12,
+ *     },
+ *   ],
+ *   progressCallback: function (completed, total) {
+ *     console.log(`${completed} / ${total}`);
+ *   },
+ * });
+ * console.log(`${result.failedCount} of ${result.tileCount} tiles failed.`);
+ *
+ * @see Resource.persistentCache
+ * @see IndexedDBCache
+ */
+function seedPersistentCache(options) {
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+  const rectangle = options.rectangle;
+
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.object("options.rectangle", rectangle);
+  if (!defined(Resource.persistentCache)) {
+    throw new DeveloperError("Resource.persistentCache must be set.");
+  }
+  if (Resource.persistentCache.offline) {
+    throw new DeveloperError("Cannot seed the cache while it is offline.");
+  }
+  //>>includeEnd('debug');
+
+  const imagery = defaultValue(options.imagery, []);
+  const tilesets = defaultValue(options.tilesets, []);
+  const ellipsoid = defaultValue(options.ellipsoid, Ellipsoid.default);
+
+  const seeder = new Seeder(
+    defaultValue(options.concurrency, 6),
+    options.progressCallback,
+  );
+
+  let i;
+  for (i = 0; i < imagery.length; ++i) {
+    const provider = imagery[i].provider;
+    addTileRanges(
+      seeder,
+      provider.tilingScheme,
+      rectangle,
+      provider.rectangle,
+      Math.max(
+        defaultValue(imagery[i].minimumLevel, 0),
+        defaultValue(provider.minimumLevel, 0),
+      ),
+      Math.min(
+        imagery[i].maximumLevel,
+        defaultValue(provider.maximumLevel, Number.POSITIVE_INFINITY),
+      ),
+      createImageryTask(provider),
+    );
+  }
+
+  const terrain = options.terrain;
+  if (defined(terrain)) {
+    const provider = terrain.provider;
+    addTileRanges(
+      seeder,
+      provider.tilingScheme,
+      rectangle,
+      undefined,
+      defaultValue(terrain.minimumLevel, 0),
+      terrain.maximumLevel,
+      createTerrainTask(provider),
+    );
+  }
+
+  for (i = 0; i < tilesets.length; ++i) {
+    const resource = Resource.createIfNeeded(tilesets[i].url);
+    const maximumDepth = defaultValue(
+      tilesets[i].maximumDepth,
+      Number.POSITIVE_INFINITY,
+    );
+    seeder.addTask(function () {
+      return resource.fetchJson().then(function (tilesetJson) {
+        addTilesetTasks(
+          seeder,
+          resource,
+          tilesetJson,
+          rectangle,
+          maximumDepth,
+          ellipsoid,
+        );
+      });
+    });
+  }
+
+  return seeder.run();
+}
+
+/**
+ * Runs tasks that each request one tile with a limited number of tasks in
+ * flight at once. Tile ranges are expanded lazily so that large areas do not
+ * allocate a task per tile up front.
+ *
+ * @private
+ */
+function Seeder(concurrency, progressCallback) {
+  this.concurrency = concurrency;
+  this.progressCallback = progressCallback;
+  this.tasks = [];
+  this.tileRanges = [];
+  this.tileCount = 0;
+  this.completedCount = 0;
+  this.failedCount = 0;
+  this.activeCount = 0;
+}
+
+Seeder.prototype.addTask = function (task) {
+  this.tasks.push(task);
+  ++this.tileCount;
+};
+
+Seeder.prototype.addTileRange = function (tileRange) {
+  this.tileRanges.push(tileRange);
+  this.tileCount +=
+    (tileRange.east - tileRange.west + 1) *
+    (tileRange.south - tileRange.north + 1);
+};
+
+Seeder.prototype.nextTask = function () {
+  if (this.tasks.length > 0) {
+    return this.tasks.shift();
+  }
+
+  const tileRanges = this.tileRanges;
+  if (tileRanges.length === 0) {
+    return undefined;
+  }
+
+  const tileRange = tileRanges[0];
+  const x = tileRange.x;
+  const y = tileRange.y;
+  if (x < tileRange.east) {
+    ++tileRange.x;
+  } else if (y < tileRange.south) {
+    tileRange.x = tileRange.west;
+    ++tileRange.y;
+  } else {
+    tileRanges.shift();
+  }
+
+  return function () {
+    return tileRange.createTask(x, y, tileRange.level);
+  };
+};
+
+Seeder.prototype.run = function () {
+  const seeder = this;
+  return new Promise(function (resolve) {
+    function onTaskFinished(failed) {
+      --seeder.activeCount;
+      ++seeder.completedCount;
+      if (failed) {
+        ++seeder.failedCount;
+      }
+      if (defined(seeder.progressCallback)) {
+        seeder.progressCallback(seeder.completedCount, seeder.tileCount);
+      }
+      startTasks();
+    }
+
+    function startTasks() {
+      while (seeder.activeCount < seeder.concurrency) {
+        const task = seeder.nextTask();
+        if (!defined(task)) {
+          break;
+        }
+        ++seeder.activeCount;
+        Promise.resolve()
+          .then(task)
+          .then(
+            function () {
+              onTaskFinished(false);
+            },
+            function () {
+              onTaskFinished(true);
+            },
+          );
+      }
+
+      if (seeder.activeCount === 0) {
+        resolve({
+          tileCount: seeder.tileCount,
+          failedCount: seeder.failedCount,
+        });
+      }
+    }
+
+    startTasks();
+  });
+};
+
+const northwestScratch = new Cartographic();
+const southeastScratch = new Cartographic();
+
+function addTileRanges(
+  seeder,
+  tilingScheme,
+  rectangle,
+  providerRectangle,
+  minimumLevel,
+  maximumLevel,
+  createTask,
+) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.typeOf.number("maximumLevel", maximumLevel);
+  //>>includeEnd('debug');
+
+  // Split rectangles that cross the anti-meridian so each tile range is
+  // contiguous. This has to happen before intersecting with the tiling
+  // scheme because the intersection would only keep one side.
+  const pieces =
+    rectangle.east < rectangle.west
+      ? [
+          new Rectangle(
+            rectangle.west,
+            rectangle.south,
+            CesiumMath.PI,
+            rectangle.north,
+          ),
+          new Rectangle(
+            -CesiumMath.PI,
+            rectangle.south,
+            rectangle.east,
+            rectangle.north,
+          ),
+        ]
+      : [rectangle];
+
+  const rectangles = [];
+  for (let i = 0; i < pieces.length; ++i) {
+    let piece = Rectangle.intersection(pieces[i], tilingScheme.rectangle);
+    if (defined(piece) && defined(providerRectangle)) {
+      piece = Rectangle.intersection(piece, providerRectangle);
+    }
+    if (defined(piece)) {
+      rectangles.push(piece);
+    }
+  }
+
+  for (let level = minimumLevel; level <= maximumLevel; ++level) {
+    for (let i = 0; i < rectangles.length; ++i) {
+      const northwest = tilingScheme.positionToTileXY(
+        Rectangle.northwest(rectangles[i], northwestScratch),
+        level,
+      );
+      const southeast = tilingScheme.positionToTileXY(
+        Rectangle.southeast(rectangles[i], southeastScratch),
+        level,
+      );
+      if (!defined(northwest) || !defined(southeast)) {
+        continue;
+      }
+      seeder.addTileRange({
+        level: level,
+        west: northwest.x,
+        north: northwest.y,
+        east: southeast.x,
+        south: southeast.y,
+        x: northwest.x,
+        y: northwest.y,
+        createTask: createTask,
+      });
+    }
+  }
+}
+
+function createImageryTask(provider) {
+  return function (x, y, level) {
+    const promise = provider.requestImage(x, y, level);
+    if (!defined(promise)) {
+      return Promise.reject();
+    }
+    return promise;
+  };
+}
+
+function createTerrainTask(provider) {
+  function requestTileGeometry(x, y, level) {
+    if (provider.getTileDataAvailable(x, y, level) === false) {
+      return;
+    }
+    const promise = provider.requestTileGeometry(x, y, level);
+    if (!defined(promise)) {
+      return Promise.reject();
+    }
+    return promise;
+  }
+
+  return function (x, y, level) {
+    const availabilityPromise = defined(provider.loadTileDataAvailability)
+      ? provider.loadTileDataAvailability(x, y, level)
+      : undefined;
+    if (!defined(availabilityPromise)) {
+      return requestTileGeometry(x, y, level);
+    }
+    return availabilityPromise.then(function () {
+      return requestTileGeometry(x, y, level);
+    });
+  };
+}
+
+function addTilesetTasks(
+  seeder,
+  resource,
+  tilesetJson,
+  rectangle,
+  maximumDepth,
+  ellipsoid,
+) {
+  addTileTasks(
+    seeder,
+    resource,
+    tilesetJson.root,
+    Matrix4.IDENTITY,
+    0,
+    rectangle,
+    maximumDepth,
+    ellipsoid,
+  );
+}
+
+function addTileTasks(
+  seeder,
+  resource,
+  tileJson,
+  parentTransform,
+  depth,
+  rectangle,
+  maximumDepth,
+  ellipsoid,
+) {
+  if (depth > maximumDepth) {
+    return;
+  }
+
+  const transform = defined(tileJson.transform)
+    ? Matrix4.multiply(
+        parentTransform,
+        Matrix4.unpack(tileJson.transform),
+        new Matrix4(),
+      )
+    : parentTransform;
+
+  if (
+    !intersectsRectangle(
+      tileJson.boundingVolume,
+      transform,
+      rectangle,
+      ellipsoid,
+    )
+  ) {
+    return;
+  }
+
+  if (!defined(tileJson.implicitTiling)) {
+    const contents = getContents(tileJson);
+    for (let i = 0; i < contents.length; ++i) {
+      const contentResource = resource.getDerivedResource({
+        url: contents[i].uri,
+      });
+      seeder.addTask(function () {
+        return contentResource.fetchArrayBuffer().then(function (arrayBuffer) {
+          const externalTilesetJson = getExternalTilesetJson(arrayBuffer);
+          if (defined(externalTilesetJson)) {
+            addTileTasks(
+              seeder,
+              contentResource,
+              externalTilesetJson.root,
+              transform,
+              depth + 1,
+              rectangle,
+              maximumDepth,
+              ellipsoid,
+            );
+          }
+        });
+      });
+    }
+  }
+
+  const children = defaultValue(tileJson.children, []);
+  for (let i = 0; i < children.length; ++i) {
+    addTileTasks(
+      seeder,
+      resource,
+      children[i],
+      transform,
+      depth + 1,
+      rectangle,
+      maximumDepth,
+      ellipsoid,
+    );
+  }
+}
+
+function getContents(tileJson) {
+  let contents = tileJson.contents;
+  if (
+    defined(tileJson.extensions) &&
+    defined(tileJson.extensions["3DTILES_multiple_contents"])
+  ) {
+    contents = tileJson.extensions["3DTILES_multiple_contents"].contents;
+  }
+  if (defined(contents)) {
+    return contents;
+  }
+  if (!defined(tileJson.content)) {
+    return [];
+  }
+  // In the 0.0 schema, the content uri is called url
+  const uri = defaultValue(tileJson.content.uri, tileJson.content.url);
+  return defined(uri) && uri !== "" ? [{ uri: uri }] : [];
+}
+
+function getExternalTilesetJson(arrayBuffer) {
+  const uint8Array = new Uint8Array(arrayBuffer);
+  // JSON content is an external tileset, anything else is renderable content
+  let i = 0;
+  while (
+    i < uint8Array.length &&
+    /\s/.test(String.fromCharCode(uint8Array[i]))
+  ) {
+    ++i;
+  }
+  if (i === uint8Array.length || uint8Array[i] !== 0x7b) {
+    return undefined;
+  }
+  const json = getJsonFromTypedArray(uint8Array);
+  return defined(json.root) ? json : undefined;
+}
+
+const scratchCorners = [
+  new Cartesian3(),
+  new Cartesian3(),
+  new Cartesian3(),
+  new Cartesian3(),
+  new Cartesian3(),
+  new Cartesian3(),
+  new Cartesian3(),
+  new Cartesian3(),
+];
+const scratchBox = new OrientedBoundingBox();
+const scratchMatrix3 = new Matrix3();
+const scratchSphere = new BoundingSphere();
+const scratchTileRectangle = new Rectangle();
+
+function intersectsRectangle(boundingVolume, transform, rectangle, ellipsoid) {
+  if (defined(boundingVolume.region)) {
+    const region = boundingVolume.region;
+    return defined(
+      Rectangle.intersection(
+        new Rectangle(region[0], region[1], region[2], region[3]),
+        rectangle,
+        scratchTileRectangle,
+      ),
+    );
+  }
+
+  let box;
+  if (defined(boundingVolume.box)) {
+    box = OrientedBoundingBox.unpack(boundingVolume.box, 0, scratchBox);
+    Matrix4.multiplyByPoint(transform, box.center, box.center);
+    const rotationScale = Matrix4.getMatrix3(transform, scratchMatrix3);
+    Matrix3.multiply(rotationScale, box.halfAxes, box.halfAxes);
+  } else if (defined(boundingVolume.sphere)) {
+    const sphere = BoundingSphere.unpack(
+      boundingVolume.sphere,
+      0,
+      scratchSphere,
+    );
+    BoundingSphere.transform(sphere, transform, sphere);
+    box = scratchBox;
+    Cartesian3.clone(sphere.center, box.center);
+    Matrix3.fromUniformScale(sphere.radius, box.halfAxes);
+  } else {
+    return true;
+  }
+
+  if (OrientedBoundingBox.distanceSquaredTo(box, Cartesian3.ZERO) === 0.0) {
+    // The box contains the center of the ellipsoid, so it covers everything
+    return true;
+  }
+
+  const corners = OrientedBoundingBox.computeCorners(box, scratchCorners);
+  for (let i = 0; i < corners.length; ++i) {
+    if (!defined(ellipsoid.cartesianToCartographic(corners[i]))) {
+      return true;
+    }
+  }
+  const tileRectangle = Rectangle.fromCartesianArray(
+    corners,
+    ellipsoid,
+    scratchTileRectangle,
+  );
+  return defined(Rectangle.intersection(tileRectangle, rectangle));
+}
+
+/**
+ * 要缓存的影像提供者及其级别。
+ *
+ * @typedef {object} seedPersistentCache.ImageryOptions
+ * @property {ImageryProvider} provider 影像提供者。
+ * @property {number} [minimumLevel=0] 要缓存的最小级别。
+ * @property {number} maximumLevel 要缓存的最大级别。
+ */
+
+/**
+ * 要缓存的地形提供者及其级别。
+ *
+ * @typedef {object} seedPersistentCache.TerrainOptions
+ * @property {TerrainProvider} provider 地形提供者。
+ * @property {number} [minimumLevel=0] 要缓存的最小级别。
+ * @property {number} maximumLevel 要缓存的最大级别。
+ */
+
+/**
+ * 要缓存的 3D Tiles 瓦片集及其深度。
+ *
+ * @typedef {object} seedPersistentCache.TilesetOptions
+ * @property {Resource|string} url 瓦片集 JSON 文件的 URL。
+ * @property {number} [maximumDepth] 要缓存的瓦片的最大深度，根瓦片的深度为 0。如果未定义，则缓存所有与矩形相交的瓦片。
+ */
+
+/**
+ * 预缓存的结果。
+ *
+ * @typedef {object} seedPersistentCache.Result
+ * @property {number} tileCount 请求的瓦片总数。
+ * @property {number} failedCount 请求失败的瓦片数。
+ */
+
+/**
+ * 每个瓦片完成或失败时调用的函数。
+ *
+ * @callback seedPersistentCache.ProgressCallback
+ * @param {number} completed 已完成或失败的瓦片数。
+ * @param {number} total 目前已知的瓦片总数。随着 3D Tiles 外部瓦片集的加载，此值可能会增加。
+ */
+
+export default seedPersistentCache;
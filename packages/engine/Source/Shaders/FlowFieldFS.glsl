@@ -0,0 +1,18 @@
+#ifdef COLOR_RAMP
+uniform sampler2D u_colorRamp;
+#else
+uniform vec4 u_color;
+#endif
+
+in float v_alpha;
+in float v_speed;
+
+void main()
+{
+#ifdef COLOR_RAMP
+    vec4 color = texture(u_colorRamp, vec2(v_speed, 0.5));
+#else
+    vec4 color = u_color;
+#endif
+    out_FragColor = vec4(color.rgb, color.a * v_alpha);
+}
@@ -0,0 +1,88 @@
+// Particle state: xy is the position normalized to the rectangle of the field, z is the number
+// of steps since the particle was spawned, and w is its speed relative to the fastest flow.
+// The state texture holds u_trailLength copies of the particles side by side, from the current
+// state on the left to the oldest state on the right.
+uniform highp sampler2D u_particles;
+uniform highp sampler2D u_field;
+uniform vec4 u_rectangle;
+uniform float u_radius;
+uniform float u_maximumSpeed;
+uniform float u_speedFactor;
+uniform float u_dropRate;
+uniform float u_dropRateBump;
+uniform float u_seed;
+uniform bool u_wrapLongitude;
+
+in vec2 v_textureCoordinates;
+
+const vec3 randomConstants = vec3(12.9898, 78.233, 4375.85453);
+
+float random(vec2 seed)
+{
+    float t = dot(randomConstants.xy, seed);
+    return fract(sin(t) * (randomConstants.z + t));
+}
+
+vec4 fetchField(ivec2 coordinates, ivec2 dimensions)
+{
+    if (u_wrapLongitude)
+    {
+        coordinates.x = (coordinates.x + dimensions.x) % dimensions.x;
+    }
+    return texelFetch(u_field, clamp(coordinates, ivec2(0), dimensions - 1), 0);
+}
+
+// Bilinear interpolation, since filtering float textures is not universally supported
+vec4 sampleField(vec2 position)
+{
+    ivec2 dimensions = textureSize(u_field, 0);
+    vec2 texel = position * vec2(dimensions) - 0.5;
+    ivec2 origin = ivec2(floor(texel));
+    vec2 f = fract(texel);
+
+    vec4 bottom = mix(fetchField(origin, dimensions), fetchField(origin + ivec2(1, 0), dimensions), f.x);
+    vec4 top = mix(fetchField(origin + ivec2(0, 1), dimensions), fetchField(origin + ivec2(1, 1), dimensions), f.x);
+    return mix(bottom, top, f.y);
+}
+
+void main()
+{
+    ivec2 coordinates = ivec2(gl_FragCoord.xy);
+    int particleTextureSize = textureSize(u_particles, 0).y;
+
+    // Shift the trail by one step
+    if (coordinates.x >= particleTextureSize)
+    {
+        out_FragColor = texelFetch(u_particles, coordinates - ivec2(particleTextureSize, 0), 0);
+        return;
+    }
+
+    vec4 particle = texelFetch(u_particles, coordinates, 0);
+    vec2 position = particle.xy;
+    vec4 velocity = sampleField(position);
+
+    // Convert the velocity in meters per second to a change of the normalized position
+    float latitude = u_rectangle.y + position.y * u_rectangle.w;
+    vec2 offset = velocity.xy * u_speedFactor / u_radius;
+    offset.x /= max(cos(latitude), 0.01);
+    position += offset / u_rectangle.zw;
+
+    if (u_wrapLongitude)
+    {
+        position.x = fract(position.x);
+    }
+
+    float speed = length(velocity.xy) / u_maximumSpeed;
+    vec2 seed = (position + v_textureCoordinates) * u_seed;
+    float dropRate = u_dropRate + speed * u_dropRateBump;
+    bool outside = any(lessThan(position, vec2(0.0))) || any(greaterThan(position, vec2(1.0)));
+
+    // Respawn particles at random positions to keep the flow evenly covered
+    if (outside || velocity.z < 0.5 || random(seed) < dropRate)
+    {
+        out_FragColor = vec4(random(seed + 1.3), random(seed + 2.1), 0.0, 0.0);
+        return;
+    }
+
+    out_FragColor = vec4(position, particle.z + 1.0, speed);
+}
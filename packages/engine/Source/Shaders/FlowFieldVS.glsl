@@ -0,0 +1,61 @@
+// x and y are the coordinates of the particle in the state texture, z is the index of the
+// trail segment, and w is 0.0 for the newer end of the segment and 1.0 for the older end.
+in vec4 particle;
+
+uniform highp sampler2D u_particles;
+uniform vec4 u_rectangle;
+uniform float u_altitude;
+uniform float u_trailLength;
+uniform bool u_webMercator;
+
+out float v_alpha;
+out float v_speed;
+
+const float maximumMercatorLatitude = 1.4844222297453324;
+
+vec3 geodeticToCartesian(vec2 lonLat, float height)
+{
+    float cosLatitude = cos(lonLat.y);
+    vec3 normal = normalize(vec3(cosLatitude * cos(lonLat.x), cosLatitude * sin(lonLat.x), sin(lonLat.y)));
+    vec3 k = czm_ellipsoidRadii * czm_ellipsoidRadii * normal;
+    float gamma = sqrt(dot(normal, k));
+    return k / gamma + normal * height;
+}
+
+// Columbus view positions are ordered (height, x, y)
+vec3 geodeticToColumbusView(vec2 lonLat, float height)
+{
+    float semimajorAxis = czm_ellipsoidRadii.x;
+    float y = lonLat.y;
+    if (u_webMercator)
+    {
+        float latitude = clamp(y, -maximumMercatorLatitude, maximumMercatorLatitude);
+        y = log(tan(czm_piOverFour + 0.5 * latitude));
+    }
+    return vec3(height, lonLat.x * semimajorAxis, y * semimajorAxis);
+}
+
+void main()
+{
+    int particleTextureSize = textureSize(u_particles, 0).y;
+    ivec2 coordinates = ivec2(particle.xy);
+    int segment = int(particle.z);
+
+    vec4 newer = texelFetch(u_particles, coordinates + ivec2(segment * particleTextureSize, 0), 0);
+    vec4 older = texelFetch(u_particles, coordinates + ivec2((segment + 1) * particleTextureSize, 0), 0);
+    vec4 state = particle.w > 0.5 ? older : newer;
+
+    vec2 lonLat = u_rectangle.xy + state.xy * u_rectangle.zw;
+    vec4 position3D = vec4(geodeticToCartesian(lonLat, u_altitude), 1.0);
+    vec4 position2D = vec4(geodeticToColumbusView(lonLat, u_altitude), 1.0);
+    gl_Position = czm_modelViewProjection * czm_columbusViewMorph(position2D, position3D, czm_morphTime);
+
+    // Hide segments that join a respawned particle to its previous position, or that wrap around the anti-meridian
+    if (newer.z <= older.z || abs(newer.x - older.x) > 0.5)
+    {
+        gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+    }
+
+    v_alpha = 1.0 - (particle.z + particle.w) / (u_trailLength - 1.0);
+    v_speed = state.w;
+}
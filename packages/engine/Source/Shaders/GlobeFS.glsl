@@ -83,6 +83,10 @@ in vec2 v_clippingPosition;
 flat in int v_regionIndex;
 #endif
 
+#ifdef ENABLE_TERRAIN_MODIFICATIONS
+in vec2 v_terrainModificationPosition;
+#endif
+
 #if defined(GROUND_ATMOSPHERE) || defined(FOG) && defined(DYNAMIC_ATMOSPHERE_LIGHTING) && (defined(ENABLE_VERTEX_LIGHTING) || defined(ENABLE_DAYNIGHT_SHADING))
 uniform float u_minimumBrightness;
 #endif
@@ -310,6 +314,14 @@ void main()
     float clipDistance = clip(gl_FragCoord, u_clippingPlanes, u_clippingPlanesMatrix);
 #endif
 
+#ifdef ENABLE_TERRAIN_MODIFICATIONS
+    // The walls and floor of excavations are rendered separately
+    if (isInTerrainExcavation(v_terrainModificationPosition))
+    {
+        discard;
+    }
+#endif
+
 #if defined(SHOW_REFLECTIVE_OCEAN) || defined(ENABLE_DAYNIGHT_SHADING) || defined(HDR)
     vec3 normalMC = czm_geodeticSurfaceNormal(v_positionMC, vec3(0.0), vec3(1.0));   // normalized surface normal in model coordinates
     vec3 normalEC = czm_normal3D * normalMC;                                         // normalized surface normal in eye coordinates
@@ -52,6 +52,10 @@ out vec2 v_clippingPosition;
 flat out int v_regionIndex;
 #endif
 
+#ifdef ENABLE_TERRAIN_MODIFICATIONS
+out vec2 v_terrainModificationPosition;
+#endif
+
 // These functions are generated at runtime.
 vec4 getPosition(vec3 position, float height, vec2 textureCoordinates);
 float get2DYPositionFraction(vec2 textureCoordinates);
@@ -178,6 +182,17 @@ void main()
     vec3 ellipsoidNormal = normalize(position3DWC);
 #endif
 
+#ifdef ENABLE_TERRAIN_MODIFICATIONS
+    // The position relative to the southwest corner of the tile, in radians
+    v_terrainModificationPosition = textureCoordinates * u_terrainModificationTileSize;
+    bool terrainFlattened;
+    float modifiedHeight = modifyTerrainHeight(v_terrainModificationPosition, height, terrainFlattened);
+    vec3 modificationOffset = ellipsoidNormal * (modifiedHeight - height);
+    position += modificationOffset;
+    position3DWC += modificationOffset;
+    height = modifiedHeight;
+#endif
+
 #if defined(EXAGGERATION) && defined(GEODETIC_SURFACE_NORMALS)
     float exaggeration = u_verticalExaggerationAndRelativeHeight.x;
     float relativeHeight = u_verticalExaggerationAndRelativeHeight.y;
@@ -203,6 +218,11 @@ void main()
 #if defined(ENABLE_VERTEX_LIGHTING) || defined(GENERATE_POSITION_AND_NORMAL) || defined(APPLY_MATERIAL)
     vec3 normalMC = czm_octDecode(encodedNormal);
 
+#ifdef ENABLE_TERRAIN_MODIFICATIONS
+    // Flattened terrain is level
+    normalMC = czm_branchFreeTernary(terrainFlattened, ellipsoidNormal, normalMC);
+#endif
+
 #if defined(EXAGGERATION) && defined(GEODETIC_SURFACE_NORMALS)
     vec3 projection = dot(normalMC, ellipsoidNormal) * ellipsoidNormal;
     vec3 rejection = normalMC - projection;
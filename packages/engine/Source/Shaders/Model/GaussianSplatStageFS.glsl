@@ -0,0 +1,20 @@
+void gaussianSplatStage(inout czm_modelMaterial material)
+{
+    // gl_PointCoord has its origin at the top left of the point
+    vec2 offset = (gl_PointCoord - 0.5) * v_gaussianSplatPointSize;
+    offset.y = -offset.y;
+
+    vec3 conic = v_gaussianSplatConic;
+    float power = -0.5 * (conic.x * offset.x * offset.x + conic.z * offset.y * offset.y) - conic.y * offset.x * offset.y;
+    if (power > 0.0)
+    {
+        discard;
+    }
+
+    float alpha = min(0.99, material.alpha * exp(power));
+    if (alpha < 1.0 / 255.0)
+    {
+        discard;
+    }
+    material.alpha = alpha;
+}
@@ -0,0 +1,88 @@
+// The first order spherical harmonics basis constant
+const float SH_C1 = 0.4886025119029199;
+
+mat3 computeCovarianceMC(vec3 scale, vec4 rotation)
+{
+    // glTF quaternions are stored as (x, y, z, w)
+    vec4 q = normalize(rotation);
+    float x = q.x;
+    float y = q.y;
+    float z = q.z;
+    float w = q.w;
+
+    mat3 rotationMatrix = mat3(
+        1.0 - 2.0 * (y * y + z * z), 2.0 * (x * y + w * z), 2.0 * (x * z - w * y),
+        2.0 * (x * y - w * z), 1.0 - 2.0 * (x * x + z * z), 2.0 * (y * z + w * x),
+        2.0 * (x * z + w * y), 2.0 * (y * z - w * x), 1.0 - 2.0 * (x * x + y * y)
+    );
+    mat3 scaleMatrix = mat3(
+        scale.x, 0.0, 0.0,
+        0.0, scale.y, 0.0,
+        0.0, 0.0, scale.z
+    );
+
+    mat3 m = rotationMatrix * scaleMatrix;
+    return m * czm_transpose(m);
+}
+
+// Projects the splat to the screen and returns the size of the point that
+// covers three standard deviations of the projected Gaussian.
+float gaussianSplatStage(inout ProcessedAttributes attributes, mat4 modelView)
+{
+    vec4 positionEC = modelView * vec4(attributes.positionMC, 1.0);
+    mat3 covarianceMC = computeCovarianceMC(attributes.scale, attributes.rotation);
+
+    // Jacobian of the projection to window coordinates, in pixels
+    vec2 focal = 0.5 * czm_viewport.zw * vec2(czm_projection[0][0], czm_projection[1][1]);
+    float depth = -positionEC.z;
+    vec2 jacobianScale = focal / depth;
+    vec2 jacobianOffset = focal * positionEC.xy / (depth * depth);
+    if (czm_orthographicIn3D == 1.0)
+    {
+        jacobianScale = focal;
+        jacobianOffset = vec2(0.0);
+    }
+    mat3 jacobian = mat3(
+        jacobianScale.x, 0.0, 0.0,
+        0.0, jacobianScale.y, 0.0,
+        jacobianOffset.x, jacobianOffset.y, 0.0
+    );
+
+    mat3 t = jacobian * mat3(modelView);
+    mat3 covarianceWindow = t * covarianceMC * czm_transpose(t);
+
+    // Apply a low-pass filter so every splat covers at least one pixel
+    vec3 covariance = vec3(
+        covarianceWindow[0][0] + 0.3,
+        covarianceWindow[0][1],
+        covarianceWindow[1][1] + 0.3
+    );
+
+    float determinant = covariance.x * covariance.z - covariance.y * covariance.y;
+    if (depth <= 0.0 || determinant <= 0.0)
+    {
+        v_gaussianSplatConic = vec3(0.0);
+        v_gaussianSplatPointSize = 0.0;
+        return 0.0;
+    }
+
+    float middle = 0.5 * (covariance.x + covariance.z);
+    float lambda = middle + sqrt(max(0.1, middle * middle - determinant));
+    float pointSize = min(2.0 * ceil(3.0 * sqrt(lambda)), GAUSSIAN_SPLAT_MAXIMUM_POINT_SIZE);
+
+    v_gaussianSplatConic = vec3(covariance.z, -covariance.y, covariance.x) / determinant;
+    v_gaussianSplatPointSize = pointSize;
+
+    #ifdef HAS_GAUSSIAN_SPLAT_SPHERICAL_HARMONICS
+    // The view direction is only approximate for models with non-uniform scale
+    vec3 directionMC = normalize(positionEC.xyz * mat3(modelView));
+    vec3 color = attributes.color_0.rgb + SH_C1 * (
+        -directionMC.y * attributes.sh_degree_1_coef_0 +
+        directionMC.z * attributes.sh_degree_1_coef_1 -
+        directionMC.x * attributes.sh_degree_1_coef_2
+    );
+    attributes.color_0.rgb = max(color, vec3(0.0));
+    #endif
+
+    return pointSize;
+}
@@ -0,0 +1,5 @@
+void instanceColorStage(inout czm_modelMaterial material)
+{
+    material.diffuse *= v_instanceColor.rgb;
+    material.alpha *= v_instanceColor.a;
+}
@@ -15,4 +15,8 @@ void instancingStage(inout ProcessedAttributes attributes)
     mat4 instancingTransform2D = getInstancingTransform2D();
     attributes.position2D = (instancingTransform2D * vec4(positionMC, 1.0)).xyz;
     #endif
+
+    #ifdef HAS_INSTANCE_COLORS
+    v_instanceColor = a_instanceColor;
+    #endif
 }
@@ -71,10 +71,18 @@ void main()
     modelColorStage(material);
     #endif
 
+    #ifdef HAS_INSTANCE_COLORS
+    instanceColorStage(material);
+    #endif
+
     #ifdef HAS_PRIMITIVE_OUTLINE
     primitiveOutlineStage(material);
     #endif
 
+    #ifdef HAS_GAUSSIAN_SPLATS
+    gaussianSplatStage(material);
+    #endif
+
     vec4 color = handleAlpha(material.diffuse, material.alpha);
 
     // When not picking metadata END
@@ -102,6 +102,11 @@ void main()
     customShaderStage(vsOutput, attributes, featureIds, metadata, metadataClass, metadataStatistics);
     #endif
 
+    // This must go before the geometry stage as it may update the vertex color
+    #ifdef HAS_GAUSSIAN_SPLATS
+    float gaussianSplatPointSize = gaussianSplatStage(attributes, modelView);
+    #endif
+
     // Compute the final position in each coordinate system needed.
     // This returns the value that will be assigned to gl_Position.
     vec4 positionClip = geometryStage(attributes, modelView, normal);
@@ -134,7 +139,9 @@ void main()
     #endif
 
     #ifdef PRIMITIVE_TYPE_POINTS
-        #ifdef HAS_CUSTOM_VERTEX_SHADER
+        #ifdef HAS_GAUSSIAN_SPLATS
+        gl_PointSize = gaussianSplatPointSize;
+        #elif defined(HAS_CUSTOM_VERTEX_SHADER)
         gl_PointSize = vsOutput.pointSize;
         #elif defined(HAS_POINT_CLOUD_POINT_SIZE_STYLE) || defined(HAS_POINT_CLOUD_ATTENUATION)
         gl_PointSize = pointCloudPointSizeStylingStage(attributes, metadata);
@@ -0,0 +1,70 @@
+uniform sampler2D colorTexture;
+uniform sampler2D depthTexture;
+uniform vec4 visibleColor;
+uniform vec4 occludedColor;
+uniform float depthBias;
+uniform vec4 shadowMap_lightPositionEC;
+
+#ifdef OMNIDIRECTIONAL
+uniform samplerCube shadowMap_textureCube;
+#else
+uniform sampler2D shadowMap_texture;
+uniform mat4 shadowMap_matrix;
+#endif
+
+in vec2 v_textureCoordinates;
+
+#ifndef OMNIDIRECTIONAL
+float sampleShadowMap(vec2 textureCoordinates)
+{
+#ifdef USE_DEPTH_TEXTURE
+    return texture(shadowMap_texture, textureCoordinates).r;
+#else
+    return czm_unpackDepth(texture(shadowMap_texture, textureCoordinates));
+#endif
+}
+#endif
+
+void main(void)
+{
+    vec4 color = texture(colorTexture, v_textureCoordinates);
+    out_FragColor = color;
+
+    float logDepthOrDepth = texture(depthTexture, v_textureCoordinates).r;
+    if (logDepthOrDepth >= 1.0)
+    {
+        return;
+    }
+
+    vec4 positionEC = czm_windowToEyeCoordinates(gl_FragCoord.xy, logDepthOrDepth);
+    positionEC /= positionEC.w;
+
+    // Positions outside of the view distance are not shaded.
+    vec3 directionEC = positionEC.xyz - shadowMap_lightPositionEC.xyz;
+    float distance = length(directionEC);
+    float radius = shadowMap_lightPositionEC.w;
+    if (distance > radius)
+    {
+        return;
+    }
+
+#ifdef OMNIDIRECTIONAL
+    vec3 directionWC = czm_inverseViewRotation * normalize(directionEC);
+    float shadowDepth = czm_unpackDepth(czm_textureCube(shadowMap_textureCube, directionWC));
+    bool visible = distance / radius - depthBias <= shadowDepth;
+#else
+    vec4 shadowPosition = shadowMap_matrix * positionEC;
+    shadowPosition /= shadowPosition.w;
+
+    // Positions outside of the view frustum are not shaded.
+    if (any(lessThan(shadowPosition.xyz, vec3(0.0))) || any(greaterThan(shadowPosition.xyz, vec3(1.0))))
+    {
+        return;
+    }
+
+    bool visible = shadowPosition.z - depthBias <= sampleShadowMap(shadowPosition.xy);
+#endif
+
+    vec4 shade = visible ? visibleColor : occludedColor;
+    out_FragColor = vec4(mix(color.rgb, shade.rgb, shade.a), color.a);
+}
@@ -0,0 +1,94 @@
+// Must match TerrainModificationType
+const int TERRAIN_MODIFICATION_FLATTEN = 0;
+const int TERRAIN_MODIFICATION_EXCAVATE = 1;
+
+// Each modification is a header pixel with its type, value, first position pixel and number of positions,
+// and a pixel with its rectangle, followed by a pixel for each of its positions. Positions are split into
+// high and low parts so that they can be made relative to the tile precisely.
+uniform highp sampler2D u_terrainModifications;
+
+// The west and south of the tile split into high and low parts, and the width and height of the tile, in radians
+uniform vec4 u_terrainModificationTileOrigin;
+uniform vec2 u_terrainModificationTileSize;
+
+vec4 getTerrainModificationPixel(int index)
+{
+    int width = textureSize(u_terrainModifications, 0).x;
+    return texelFetch(u_terrainModifications, ivec2(index - (index / width) * width, index / width), 0);
+}
+
+vec2 getTerrainModificationPosition(int index)
+{
+    vec4 encoded = getTerrainModificationPixel(index);
+    vec4 origin = u_terrainModificationTileOrigin;
+    return vec2((encoded.x - origin.x) + (encoded.y - origin.y), (encoded.z - origin.z) + (encoded.w - origin.w));
+}
+
+// position is relative to the southwest corner of the tile, in radians
+bool isInTerrainModification(vec2 position, int index, vec4 header)
+{
+    vec4 rectangle = getTerrainModificationPixel(index * 2 + 1);
+    vec2 cartographic = vec2(u_terrainModificationTileOrigin.x + u_terrainModificationTileOrigin.y, u_terrainModificationTileOrigin.z + u_terrainModificationTileOrigin.w) + position;
+    // The rectangle is only used to skip distant modifications, so pad it to avoid single precision error
+    const float padding = 1.0e-5;
+    if (any(lessThan(cartographic, rectangle.xy - padding)) || any(greaterThan(cartographic, rectangle.zw + padding)))
+    {
+        return false;
+    }
+
+    // Crossing number test, matching TerrainModification.prototype.contains
+    int first = int(header.z);
+    int count = int(header.w);
+    bool inside = false;
+    vec2 previous = getTerrainModificationPosition(first + count - 1);
+    for (int i = 0; i < count; ++i)
+    {
+        vec2 current = getTerrainModificationPosition(first + i);
+        if ((current.y > position.y) != (previous.y > position.y) &&
+            position.x < (previous.x - current.x) * (position.y - current.y) / (previous.y - current.y) + current.x)
+        {
+            inside = !inside;
+        }
+        previous = current;
+    }
+    return inside;
+}
+
+// Returns the height of the terrain after flattening and offsetting. Excavations are clipped in the fragment shader instead.
+float modifyTerrainHeight(vec2 position, float height, out bool flattened)
+{
+    flattened = false;
+    for (int i = 0; i < TERRAIN_MODIFICATIONS_LENGTH; ++i)
+    {
+        vec4 header = getTerrainModificationPixel(i * 2);
+        int type = int(header.x);
+        if (type == TERRAIN_MODIFICATION_EXCAVATE || !isInTerrainModification(position, i, header))
+        {
+            continue;
+        }
+
+        if (type == TERRAIN_MODIFICATION_FLATTEN)
+        {
+            height = header.y;
+            flattened = true;
+        }
+        else
+        {
+            height += header.y;
+        }
+    }
+    return height;
+}
+
+bool isInTerrainExcavation(vec2 position)
+{
+    for (int i = 0; i < TERRAIN_MODIFICATIONS_LENGTH; ++i)
+    {
+        vec4 header = getTerrainModificationPixel(i * 2);
+        if (int(header.x) == TERRAIN_MODIFICATION_EXCAVATE && isInTerrainModification(position, i, header))
+        {
+            return true;
+        }
+    }
+    return false;
+}
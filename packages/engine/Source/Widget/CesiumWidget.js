@@ -55,7 +55,10 @@ function startRenderLoop(widget) {
     if (widget._useDefaultRenderLoop) {
       try {
         const targetFrameRate = widget._targetFrameRate;
-        if (!defined(targetFrameRate)) {
+        if (defined(widget._scene._webXRSessionManager)) {
+          // The WebXR session renders frames while it is presenting
+          requestAnimationFrame(render);
+        } else if (!defined(targetFrameRate)) {
           widget.resize();
           widget.render();
           requestAnimationFrame(render);
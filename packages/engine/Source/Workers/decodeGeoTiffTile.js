@@ -0,0 +1,9 @@
+import decodeGeoTiffTile from "../Core/decodeGeoTiffTile.js";
+import createTaskProcessorWorker from "./createTaskProcessorWorker.js";
+
+function decodeGeoTiffTileWorker(parameters, transferableObjects) {
+  const heights = decodeGeoTiffTile(parameters);
+  transferableObjects.push(heights.buffer);
+  return heights;
+}
+export default createTaskProcessorWorker(decodeGeoTiffTileWorker);
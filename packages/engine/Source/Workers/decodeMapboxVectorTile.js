@@ -0,0 +1,15 @@
+import decodeMapboxVectorTile from "../Core/decodeMapboxVectorTile.js";
+import pako from "pako/lib/inflate.js";
+import createTaskProcessorWorker from "./createTaskProcessorWorker.js";
+
+function decodeMapboxVectorTileWorker(parameters) {
+  let data = new Uint8Array(parameters.buffer);
+
+  // Tiles from MBTiles archives and some servers are gzipped without a Content-Encoding header
+  if (data.length > 2 && data[0] === 0x1f && data[1] === 0x8b) {
+    data = pako.inflate(data);
+  }
+
+  return decodeMapboxVectorTile(data);
+}
+export default createTaskProcessorWorker(decodeMapboxVectorTileWorker);
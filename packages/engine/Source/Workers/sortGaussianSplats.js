@@ -0,0 +1,9 @@
+import sortGaussianSplats from "../Core/sortGaussianSplats.js";
+import createTaskProcessorWorker from "./createTaskProcessorWorker.js";
+
+function sortGaussianSplatsWorker(parameters, transferableObjects) {
+  const result = sortGaussianSplats(parameters);
+  transferableObjects.push(result.positions.buffer, result.indices.buffer);
+  return result;
+}
+export default createTaskProcessorWorker(sortGaussianSplatsWorker);
@@ -0,0 +1,225 @@
+import {
+  Cartographic,
+  ClusterIndex,
+  Ellipsoid,
+  Math as CesiumMath,
+  Rectangle,
+} from "../../index.js";
+
+describe("Core/ClusterIndex", function () {
+  // Two nearby points, two coincident points and two points on either side of the anti-meridian
+  const positions = [
+    Cartographic.fromDegrees(0.0, 0.0, 10.0),
+    Cartographic.fromDegrees(0.001, 0.0, 20.0),
+    Cartographic.fromDegrees(15.0, 15.0),
+    Cartographic.fromDegrees(15.0, 15.0),
+    Cartographic.fromDegrees(-179.9, 0.0),
+    Cartographic.fromDegrees(179.9, 0.0),
+  ];
+
+  function getIds(nodes) {
+    return nodes
+      .map(function (node) {
+        return node.id;
+      })
+      .sort(function (a, b) {
+        return a - b;
+      });
+  }
+
+  function getCounts(nodes) {
+    return nodes
+      .map(function (node) {
+        return node.count;
+      })
+      .sort();
+  }
+
+  function createIndex(options) {
+    const index = new ClusterIndex(options);
+    index.load(
+      positions,
+      positions.map(function (position, i) {
+        return {
+          sum: i,
+        };
+      }),
+    );
+    return index;
+  }
+
+  it("constructor sets default values", function () {
+    const index = new ClusterIndex();
+    expect(index.length).toBe(0);
+    expect(index.minimumZoom).toBe(0);
+    expect(index.maximumZoom).toBe(16);
+    expect(index.getClusters(Rectangle.MAX_VALUE, 0)).toEqual([]);
+  });
+
+  it("clusters points by zoom level", function () {
+    const index = createIndex();
+    expect(index.length).toBe(6);
+    expect(getCounts(index.getClusters(Rectangle.MAX_VALUE, 0))).toEqual([
+      1, 1, 4,
+    ]);
+    expect(getCounts(index.getClusters(Rectangle.MAX_VALUE, 1))).toEqual([
+      1, 1, 2, 2,
+    ]);
+    expect(getCounts(index.getClusters(Rectangle.MAX_VALUE, 15))).toEqual([
+      1, 1, 1, 1, 2,
+    ]);
+
+    // Points are never clustered above the maximum zoom level
+    expect(getIds(index.getClusters(Rectangle.MAX_VALUE, 17))).toEqual([
+      0, 1, 2, 3, 4, 5,
+    ]);
+    expect(getIds(index.getClusters(Rectangle.MAX_VALUE, 25))).toEqual([
+      0, 1, 2, 3, 4, 5,
+    ]);
+  });
+
+  it("computes the position and bounds of clusters", function () {
+    const index = createIndex();
+    const cluster = index
+      .getClusters(Rectangle.MAX_VALUE, 1)
+      .find(function (node) {
+        return node.count === 2 && node.height > 0.0;
+      });
+    expect(cluster.longitude).toEqualEpsilon(
+      CesiumMath.toRadians(0.0005),
+      CesiumMath.EPSILON12,
+    );
+    expect(cluster.latitude).toEqualEpsilon(0.0, CesiumMath.EPSILON12);
+    expect(cluster.height).toEqual(15.0);
+
+    expect(ClusterIndex.getRectangle(cluster)).toEqualEpsilon(
+      Rectangle.fromDegrees(0.0, 0.0, 0.001, 0.0),
+      CesiumMath.EPSILON12,
+    );
+  });
+
+  it("merges the properties of clusters with reduce", function () {
+    const index = createIndex({
+      reduce: function (accumulated, properties) {
+        accumulated.sum += properties.sum;
+      },
+    });
+    const clusters = index.getClusters(Rectangle.MAX_VALUE, 0);
+    const cluster = clusters.find(function (node) {
+      return node.count === 4;
+    });
+    expect(cluster.properties).toEqual({
+      sum: 6,
+    });
+
+    // The properties of the points are not modified
+    const point = clusters.find(function (node) {
+      return node.id === 4;
+    });
+    expect(point.properties).toEqual({
+      sum: 4,
+    });
+  });
+
+  it("gets the children and leaves of a cluster", function () {
+    const index = createIndex();
+    const cluster = index
+      .getClusters(Rectangle.MAX_VALUE, 0)
+      .find(function (node) {
+        return node.count === 4;
+      });
+
+    const children = index.getChildren(cluster.id);
+    expect(getCounts(children)).toEqual([2, 2]);
+    expect(index.getLeaves(cluster.id).sort()).toEqual([0, 1, 2, 3]);
+    expect(index.getLeaves(children[0].id).length).toBe(2);
+  });
+
+  it("gets the expansion zoom of a cluster", function () {
+    const index = createIndex();
+    const clusters = index.getClusters(Rectangle.MAX_VALUE, 14);
+    const nearby = clusters.find(function (node) {
+      return node.count === 2 && node.height > 0.0;
+    });
+    const coincident = clusters.find(function (node) {
+      return node.count === 2 && node.height === 0.0;
+    });
+
+    expect(index.getExpansionZoom(nearby.id)).toBe(15);
+    // Coincident points are never separated
+    expect(index.getExpansionZoom(coincident.id)).toBeGreaterThan(
+      index.maximumZoom,
+    );
+
+    const top = index.getClusters(Rectangle.MAX_VALUE, 0).find(function (node) {
+      return node.count === 4;
+    });
+    expect(index.getExpansionZoom(top.id)).toBe(1);
+  });
+
+  it("gets the clusters in a rectangle", function () {
+    const index = createIndex();
+    expect(
+      getIds(
+        index.getClusters(Rectangle.fromDegrees(-1.0, -1.0, 1.0, 1.0), 16),
+      ),
+    ).toEqual([0, 1]);
+    expect(
+      getIds(
+        index.getClusters(Rectangle.fromDegrees(170.0, -1.0, -170.0, 1.0), 16),
+      ),
+    ).toEqual([4, 5]);
+  });
+
+  it("load replaces the points", function () {
+    const index = createIndex();
+    index.load([Cartographic.fromDegrees(1.0, 2.0)]);
+    expect(index.length).toBe(1);
+    expect(getIds(index.getClusters(Rectangle.MAX_VALUE, 0))).toEqual([0]);
+  });
+
+  it("getZoom returns the zoom level of a pixel size", function () {
+    const ellipsoid = Ellipsoid.WGS84;
+    const circumference = CesiumMath.TWO_PI * ellipsoid.maximumRadius;
+    expect(ClusterIndex.getZoom(circumference / 256.0, 256, ellipsoid)).toEqual(
+      0.0,
+    );
+    expect(
+      ClusterIndex.getZoom(circumference / 1024.0, 256, ellipsoid),
+    ).toEqualEpsilon(2.0, CesiumMath.EPSILON14);
+  });
+
+  it("getChildren throws for points and unknown clusters", function () {
+    const index = createIndex();
+    expect(function () {
+      index.getChildren(0);
+    }).toThrowDeveloperError();
+    expect(function () {
+      index.getChildren(100000);
+    }).toThrowDeveloperError();
+  });
+
+  it("load throws when the properties do not match the positions", function () {
+    const index = new ClusterIndex();
+    expect(function () {
+      index.load(undefined);
+    }).toThrowDeveloperError();
+    expect(function () {
+      index.load(positions, [{}]);
+    }).toThrowDeveloperError();
+  });
+
+  it("constructor throws with invalid zoom levels", function () {
+    expect(function () {
+      return new ClusterIndex({
+        maximumZoom: 31,
+      });
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new ClusterIndex({
+        minimumZoom: 5,
+        maximumZoom: 4,
+      });
+    }).toThrowDeveloperError();
+  });
+});
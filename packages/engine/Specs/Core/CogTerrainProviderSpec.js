@@ -0,0 +1,343 @@
+import {
+  CogTerrainProvider,
+  Credit,
+  defaultValue,
+  defined,
+  GeographicTilingScheme,
+  HeightmapTerrainData,
+  Math as CesiumMath,
+  Rectangle,
+  Resource,
+  RuntimeError,
+  TerrainProvider,
+} from "../../index.js";
+
+describe("Core/CogTerrainProvider", function () {
+  const url = "https://example.com/dem.tif";
+
+  const noDataValue = -9999.0;
+
+  function createTile(value) {
+    const tile = new Float32Array(16 * 16);
+    tile.fill(value);
+    return tile;
+  }
+
+  // A 32x16 image with one degree pixels covering -16 to 16 degrees longitude and -8 to 8 degrees
+  // latitude, and a 16x8 overview. The full resolution image has one column without data and
+  // omits its eastern tile.
+  function createImages() {
+    const western = createTile(10.0);
+    for (let row = 0; row < 16; ++row) {
+      western[row * 16 + 15] = noDataValue;
+    }
+
+    return [
+      {
+        width: 32,
+        height: 16,
+        tiles: [western, undefined],
+      },
+      {
+        width: 16,
+        height: 8,
+        tiles: [createTile(20.0)],
+      },
+    ];
+  }
+
+  function createGeoKeys(options) {
+    if (defined(options.projectedCsType)) {
+      return [1, 1, 0, 3, 1024, 0, 1, 1, 1025, 0, 1, 1, 3072, 0, 1].concat([
+        options.projectedCsType,
+      ]);
+    }
+    return [1, 1, 0, 3, 1024, 0, 1, 2, 1025, 0, 1, 1, 2048, 0, 1, 4326];
+  }
+
+  // Writes a little-endian, tiled, 32-bit floating point GeoTIFF
+  function createGeoTiff(options) {
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    const images = defaultValue(options.images, createImages());
+    const pixelSize = defaultValue(options.pixelSize, 1.0);
+    const origin = defaultValue(options.origin, [-16.0, 8.0]);
+
+    const buffer = new ArrayBuffer(65536);
+    const view = new DataView(buffer);
+    let length = 8;
+
+    function allocate(byteLength) {
+      const offset = length;
+      length += byteLength + (byteLength % 2);
+      return offset;
+    }
+
+    view.setUint8(0, 73);
+    view.setUint8(1, 73);
+    view.setUint16(2, 42, true);
+    let nextIfdPosition = 4;
+
+    images.forEach(function (image, index) {
+      const tileOffsets = [];
+      const tileByteCounts = [];
+      image.tiles.forEach(function (tile) {
+        if (!defined(tile)) {
+          tileOffsets.push(0);
+          tileByteCounts.push(0);
+          return;
+        }
+        const offset = allocate(tile.byteLength);
+        new Uint8Array(buffer, offset, tile.byteLength).set(
+          new Uint8Array(tile.buffer),
+        );
+        tileOffsets.push(offset);
+        tileByteCounts.push(tile.byteLength);
+      });
+
+      // Tag, type and values
+      const entries = [
+        [254, 4, [index === 0 ? 0 : 1]],
+        [256, 3, [image.width]],
+        [257, 3, [image.height]],
+        [258, 3, [32]],
+        [259, 3, [1]],
+        [277, 3, [1]],
+        [322, 3, [16]],
+        [323, 3, [16]],
+        [324, 4, tileOffsets],
+        [325, 4, tileByteCounts],
+        [339, 3, [3]],
+      ];
+      if (index === 0) {
+        entries.push(
+          [33550, 12, [pixelSize, pixelSize, 0.0]],
+          [33922, 12, [0.0, 0.0, 0.0, origin[0], origin[1], 0.0]],
+          [34735, 3, createGeoKeys(options)],
+          [42113, 2, `${noDataValue}\0`],
+        );
+      }
+      if (options.untiled) {
+        entries.splice(6, 4);
+      }
+
+      const ifdOffset = allocate(2 + entries.length * 12 + 4);
+      view.setUint32(nextIfdPosition, ifdOffset, true);
+      view.setUint16(ifdOffset, entries.length, true);
+
+      entries.forEach(function (entry, i) {
+        const entryOffset = ifdOffset + 2 + i * 12;
+        const type = entry[1];
+        const values = entry[2];
+        const size = type === 2 ? 1 : type === 3 ? 2 : type === 4 ? 4 : 8;
+        const byteLength = size * values.length;
+
+        view.setUint16(entryOffset, entry[0], true);
+        view.setUint16(entryOffset + 2, type, true);
+        view.setUint32(entryOffset + 4, values.length, true);
+
+        let valueOffset = entryOffset + 8;
+        if (byteLength > 4) {
+          valueOffset = allocate(byteLength);
+          view.setUint32(entryOffset + 8, valueOffset, true);
+        }
+        for (let j = 0; j < values.length; ++j) {
+          const offset = valueOffset + j * size;
+          if (type === 2) {
+            view.setUint8(offset, values.charCodeAt(j));
+          } else if (type === 3) {
+            view.setUint16(offset, values[j], true);
+          } else if (type === 4) {
+            view.setUint32(offset, values[j], true);
+          } else {
+            view.setFloat64(offset, values[j], true);
+          }
+        }
+      });
+
+      nextIfdPosition = ifdOffset + 2 + entries.length * 12;
+    });
+
+    return buffer.slice(0, length);
+  }
+
+  function patchGeoTiff(buffer) {
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+    ) {
+      const range = /bytes=(\d+)-(\d+)/.exec(headers.Range);
+      const start = parseInt(range[1], 10);
+      const end = Math.min(parseInt(range[2], 10) + 1, buffer.byteLength);
+      setTimeout(function () {
+        deferred.resolve(buffer.slice(start, end));
+      }, 1);
+    };
+  }
+
+  function createProvider(geoTiffOptions, options) {
+    patchGeoTiff(createGeoTiff(geoTiffOptions));
+    return CogTerrainProvider.fromUrl(url, options);
+  }
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("conforms to TerrainProvider interface", function () {
+    expect(CogTerrainProvider).toConformToInterface(TerrainProvider);
+  });
+
+  it("fromUrl throws without url", async function () {
+    await expectAsync(
+      CogTerrainProvider.fromUrl(),
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("fromUrl rejects files that are not TIFF files", async function () {
+    patchGeoTiff(new Uint8Array(64).buffer);
+    await expectAsync(CogTerrainProvider.fromUrl(url)).toBeRejectedWithError(
+      RuntimeError,
+    );
+  });
+
+  it("fromUrl rejects GeoTIFFs that are not tiled", async function () {
+    await expectAsync(
+      createProvider({
+        untiled: true,
+      }),
+    ).toBeRejectedWithError(RuntimeError);
+  });
+
+  it("fromUrl rejects unsupported coordinate systems", async function () {
+    await expectAsync(
+      createProvider({
+        projectedCsType: 32633,
+      }),
+    ).toBeRejectedWithError(RuntimeError);
+  });
+
+  it("has default properties", async function () {
+    const provider = await createProvider();
+
+    expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+    expect(provider.rectangle).toEqualEpsilon(
+      Rectangle.fromDegrees(-16.0, -8.0, 16.0, 8.0),
+      CesiumMath.EPSILON10,
+    );
+    expect(provider.imageCount).toEqual(2);
+    expect(provider.hasWaterMask).toBe(false);
+    expect(provider.hasVertexNormals).toBe(false);
+    expect(provider.credit).toBeUndefined();
+    expect(provider.errorEvent).toBeDefined();
+    expect(provider.loadTileDataAvailability(0, 0, 0)).toBeUndefined();
+    expect(provider.getLevelMaximumGeometricError(1)).toEqualEpsilon(
+      provider.getLevelMaximumGeometricError(0) / 2.0,
+      CesiumMath.EPSILON10,
+    );
+  });
+
+  it("uses a credit string", async function () {
+    const provider = await createProvider(undefined, {
+      credit: "Example",
+    });
+
+    expect(provider.credit).toBeInstanceOf(Credit);
+    expect(provider.credit.html).toEqual("Example");
+  });
+
+  it("determines availability from the extent and resolution", async function () {
+    const provider = await createProvider();
+
+    // 65 samples across a 180 degree level 0 tile reach one degree spacing at level 2
+    expect(provider.getTileDataAvailable(0, 0, 0)).toBe(true);
+    expect(provider.getTileDataAvailable(1, 0, 0)).toBe(true);
+    expect(provider.getTileDataAvailable(1, 1, 1)).toBe(true);
+    expect(provider.getTileDataAvailable(2, 1, 1)).toBe(true);
+    expect(provider.getTileDataAvailable(0, 0, 1)).toBe(false);
+    expect(provider.getTileDataAvailable(3, 1, 2)).toBe(true);
+    expect(provider.getTileDataAvailable(4, 2, 2)).toBe(true);
+    expect(provider.getTileDataAvailable(0, 0, 2)).toBe(false);
+    expect(provider.getTileDataAvailable(3, 1, 3)).toBe(false);
+  });
+
+  it("supports Web Mercator GeoTIFFs", async function () {
+    const metersPerDegree = 6378137.0 * CesiumMath.RADIANS_PER_DEGREE;
+    const provider = await createProvider({
+      projectedCsType: 3857,
+      pixelSize: metersPerDegree,
+      origin: [-16.0 * metersPerDegree, 0.0],
+    });
+
+    expect(provider.rectangle.west).toEqualEpsilon(
+      CesiumMath.toRadians(-16.0),
+      CesiumMath.EPSILON10,
+    );
+    expect(provider.rectangle.east).toEqualEpsilon(
+      CesiumMath.toRadians(16.0),
+      CesiumMath.EPSILON10,
+    );
+    expect(provider.rectangle.north).toEqualEpsilon(0.0, CesiumMath.EPSILON10);
+    expect(provider.rectangle.south).toBeLessThan(CesiumMath.toRadians(-15.0));
+  });
+
+  it("requestTileGeometry resamples overviews for coarse tiles", async function () {
+    const provider = await createProvider(undefined, {
+      noDataHeight: -5.0,
+    });
+
+    const terrainData = await provider.requestTileGeometry(1, 0, 0);
+    expect(terrainData).toBeInstanceOf(HeightmapTerrainData);
+    expect(terrainData._width).toEqual(65);
+    expect(terrainData._height).toEqual(65);
+
+    // The sample at 0 degrees longitude and latitude uses the overview
+    const heights = terrainData._buffer;
+    expect(heights[32 * 65]).toEqual(20.0);
+    // Samples outside of the GeoTIFF use the no data height
+    expect(heights[32 * 65 + 32]).toEqual(-5.0);
+    expect(heights[0]).toEqual(-5.0);
+  });
+
+  it("requestTileGeometry skips samples without data", async function () {
+    const provider = await createProvider(undefined, {
+      noDataHeight: -5.0,
+    });
+
+    // The tile from 45 degrees west to the prime meridian, and from the equator to 45 degrees north
+    const terrainData = await provider.requestTileGeometry(3, 1, 2);
+    const heights = terrainData._buffer;
+
+    // Interpolates between a pixel with data and one without
+    expect(heights[64 * 65 + 63]).toEqual(10.0);
+    // Neither pixel west of the prime meridian or the sparse tile east of it has data
+    expect(heights[64 * 65 + 64]).toEqual(-5.0);
+  });
+
+  it("requestTileGeometry uses the noDataValue option", async function () {
+    const provider = await createProvider(undefined, {
+      noDataValue: 10.0,
+      noDataHeight: -5.0,
+    });
+
+    const terrainData = await provider.requestTileGeometry(3, 1, 2);
+    const heights = terrainData._buffer;
+    expect(heights[64 * 65 + 63]).toEqual(noDataValue);
+  });
+
+  it("requestTileGeometry returns flat tiles outside of the GeoTIFF", async function () {
+    const provider = await createProvider(undefined, {
+      noDataHeight: -5.0,
+    });
+
+    const terrainData = await provider.requestTileGeometry(0, 0, 1);
+    const heights = terrainData._buffer;
+    for (let i = 0; i < heights.length; ++i) {
+      expect(heights[i]).toEqual(-5.0);
+    }
+  });
+});
@@ -0,0 +1,157 @@
+import { IndexedDBCache, RuntimeError } from "../../index.js";
+
+describe("Core/IndexedDBCache", function () {
+  let cache;
+  let time;
+
+  function createData(byteLength) {
+    return new Uint8Array(byteLength).fill(1).buffer;
+  }
+
+  beforeEach(function () {
+    if (!IndexedDBCache.isSupported()) {
+      return;
+    }
+    cache = new IndexedDBCache({
+      name: "cesium-test-cache",
+      maximumSize: 100,
+    });
+    // Give every access a distinct time so the least recently used order is deterministic
+    time = 0;
+    spyOn(Date, "now").and.callFake(function () {
+      return ++time;
+    });
+  });
+
+  afterEach(function () {
+    if (!IndexedDBCache.isSupported()) {
+      return;
+    }
+    return cache.deleteDatabase();
+  });
+
+  it("constructor sets default values", function () {
+    if (!IndexedDBCache.isSupported()) {
+      return;
+    }
+    const defaultCache = new IndexedDBCache();
+    expect(defaultCache.name).toEqual("cesium-cache");
+    expect(defaultCache.maximumSize).toEqual(268435456);
+    expect(defaultCache.offline).toBe(false);
+  });
+
+  it("constructor throws if IndexedDB is not supported", function () {
+    spyOn(IndexedDBCache, "isSupported").and.returnValue(false);
+    expect(function () {
+      return new IndexedDBCache();
+    }).toThrowError(RuntimeError);
+  });
+
+  it("stores and gets entries", async function () {
+    if (!IndexedDBCache.isSupported()) {
+      return;
+    }
+    expect(await cache.get("http://example.invalid/a")).toBeUndefined();
+
+    await cache.put(
+      "http://example.invalid/a",
+      new Uint8Array([1, 2, 3]).buffer,
+      "image/png",
+    );
+    const entry = await cache.get("http://example.invalid/a");
+    expect(new Uint8Array(entry.data)).toEqual(new Uint8Array([1, 2, 3]));
+    expect(entry.contentType).toEqual("image/png");
+    expect(await cache.getSize()).toEqual(3);
+
+    await cache.put("http://example.invalid/a", createData(5));
+    expect(await cache.getSize()).toEqual(5);
+  });
+
+  it("ignores query parameters when computing keys", async function () {
+    if (!IndexedDBCache.isSupported()) {
+      return;
+    }
+    await cache.put(
+      "http://example.invalid/a?x=1&access_token=first",
+      createData(1),
+    );
+    expect(
+      await cache.get("http://example.invalid/a?x=1&access_token=second"),
+    ).toBeDefined();
+    expect(await cache.get("http://example.invalid/a?x=2")).toBeUndefined();
+  });
+
+  it("evicts the least recently used entries", async function () {
+    if (!IndexedDBCache.isSupported()) {
+      return;
+    }
+    await cache.put("http://example.invalid/a", createData(40));
+    await cache.put("http://example.invalid/b", createData(40));
+    await cache.get("http://example.invalid/a");
+    await cache.put("http://example.invalid/c", createData(40));
+
+    expect(await cache.getSize()).toEqual(80);
+    expect(await cache.get("http://example.invalid/a")).toBeDefined();
+    expect(await cache.get("http://example.invalid/b")).toBeUndefined();
+    expect(await cache.get("http://example.invalid/c")).toBeDefined();
+  });
+
+  it("keeps the size of entries stored while evicting", async function () {
+    if (!IndexedDBCache.isSupported()) {
+      return;
+    }
+    await cache.put("http://example.invalid/a", createData(40));
+    await cache.put("http://example.invalid/b", createData(40));
+    await Promise.all([
+      cache.put("http://example.invalid/c", createData(40)),
+      cache.put("http://example.invalid/d", createData(10)),
+    ]);
+
+    expect(await cache.get("http://example.invalid/a")).toBeUndefined();
+    expect(await cache.getSize()).toEqual(90);
+    const otherCache = new IndexedDBCache({
+      name: "cesium-test-cache",
+    });
+    expect(await otherCache.getSize()).toEqual(90);
+  });
+
+  it("does not store data larger than maximumSize", async function () {
+    if (!IndexedDBCache.isSupported()) {
+      return;
+    }
+    await cache.put("http://example.invalid/a", createData(101));
+    expect(await cache.get("http://example.invalid/a")).toBeUndefined();
+    expect(await cache.getSize()).toEqual(0);
+  });
+
+  it("keeps the size across instances", async function () {
+    if (!IndexedDBCache.isSupported()) {
+      return;
+    }
+    await cache.put("http://example.invalid/a", createData(10));
+    await cache.put("http://example.invalid/b", createData(20));
+
+    const otherCache = new IndexedDBCache({
+      name: "cesium-test-cache",
+    });
+    expect(await otherCache.getSize()).toEqual(30);
+    expect(await otherCache.get("http://example.invalid/b")).toBeDefined();
+  });
+
+  it("removes entries", async function () {
+    if (!IndexedDBCache.isSupported()) {
+      return;
+    }
+    await cache.put("http://example.invalid/a", createData(10));
+    await cache.put("http://example.invalid/b", createData(20));
+
+    expect(await cache.remove("http://example.invalid/a")).toBe(true);
+    expect(await cache.remove("http://example.invalid/a")).toBe(false);
+    expect(await cache.get("http://example.invalid/a")).toBeUndefined();
+    expect(await cache.getSize()).toEqual(20);
+
+    await cache.clear();
+    expect(await cache.get("http://example.invalid/b")).toBeUndefined();
+    expect(await cache.getSize()).toEqual(0);
+  });
+});
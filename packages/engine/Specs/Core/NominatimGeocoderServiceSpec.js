@@ -0,0 +1,190 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Credit,
+  GeocoderService,
+  GeocodeType,
+  NominatimGeocoderService,
+  Rectangle,
+  Resource,
+} from "../../index.js";
+
+describe("Core/NominatimGeocoderService", function () {
+  const endpoint = "http://test.invalid/nominatim/";
+
+  it("conforms to GeocoderService interface", function () {
+    expect(NominatimGeocoderService).toConformToInterface(GeocoderService);
+  });
+
+  it("constructor throws without url", function () {
+    expect(function () {
+      return new NominatimGeocoderService();
+    }).toThrowDeveloperError();
+  });
+
+  it("has an OpenStreetMap credit by default", function () {
+    const service = new NominatimGeocoderService({ url: endpoint });
+    expect(service.credit).toBeInstanceOf(Credit);
+    expect(service.credit.html).toContain("OpenStreetMap");
+  });
+
+  it("can be created with a custom credit", function () {
+    const service = new NominatimGeocoderService({
+      url: endpoint,
+      credit: "custom credit",
+    });
+    expect(service.credit.html).toEqual("custom credit");
+  });
+
+  it("returns geocoder results with bounding boxes", async function () {
+    const service = new NominatimGeocoderService({ url: endpoint });
+
+    const data = [
+      {
+        lat: "39.9527237",
+        lon: "-75.1635262",
+        display_name: "Philadelphia, Pennsylvania, United States",
+        boundingbox: ["39.867005", "40.137959", "-75.280303", "-74.955763"],
+      },
+    ];
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(
+      Promise.resolve(data),
+    );
+
+    const results = await service.geocode("Philadelphia");
+    expect(results.length).toEqual(1);
+    expect(results[0].displayName).toEqual(data[0].display_name);
+    expect(results[0].destination).toEqual(
+      Rectangle.fromDegrees(-75.280303, 39.867005, -74.955763, 40.137959),
+    );
+  });
+
+  it("returns geocoder results without bounding boxes", async function () {
+    const service = new NominatimGeocoderService({ url: endpoint });
+
+    const data = [
+      {
+        lat: "39.9527237",
+        lon: "-75.1635262",
+        display_name: "Philadelphia, Pennsylvania, United States",
+      },
+    ];
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(
+      Promise.resolve(data),
+    );
+
+    const results = await service.geocode("Philadelphia");
+    expect(results.length).toEqual(1);
+    expect(results[0].destination).toEqual(
+      Cartesian3.fromDegrees(-75.1635262, 39.9527237),
+    );
+  });
+
+  it("returns no geocoder results if Nominatim has no results", async function () {
+    const service = new NominatimGeocoderService({ url: endpoint });
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(Promise.resolve([]));
+
+    const results = await service.geocode("some query");
+    expect(results.length).toEqual(0);
+  });
+
+  it("calls search endpoint with the parameters", async function () {
+    const service = new NominatimGeocoderService({
+      url: endpoint,
+      params: { countrycodes: "us", limit: 5 },
+    });
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(Promise.resolve([]));
+    const getDerivedResource = spyOn(
+      service.url,
+      "getDerivedResource",
+    ).and.callThrough();
+
+    await service.geocode("some query", GeocodeType.SEARCH);
+    expect(getDerivedResource).toHaveBeenCalledWith({
+      url: "search",
+      queryParameters: {
+        countrycodes: "us",
+        limit: 5,
+        q: "some query",
+        format: "jsonv2",
+      },
+    });
+  });
+
+  it("calls search endpoint for autocomplete", async function () {
+    const service = new NominatimGeocoderService({ url: endpoint });
+    const fetchJson = spyOn(Resource.prototype, "fetchJson").and.returnValue(
+      Promise.resolve([]),
+    );
+
+    await service.geocode("some query", GeocodeType.AUTOCOMPLETE);
+    expect(fetchJson).toHaveBeenCalled();
+  });
+
+  it("does not return autocomplete results if autocomplete is disabled", async function () {
+    const service = new NominatimGeocoderService({
+      url: endpoint,
+      autocomplete: false,
+    });
+    const fetchJson = spyOn(Resource.prototype, "fetchJson");
+
+    const results = await service.geocode(
+      "some query",
+      GeocodeType.AUTOCOMPLETE,
+    );
+    expect(results.length).toEqual(0);
+    expect(fetchJson).not.toHaveBeenCalled();
+  });
+
+  it("reverseGeocode throws without position", async function () {
+    const service = new NominatimGeocoderService({ url: endpoint });
+    await expectAsync(
+      service.reverseGeocode(undefined),
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("reverse geocodes a position", async function () {
+    const service = new NominatimGeocoderService({ url: endpoint });
+
+    const data = {
+      lat: "39.9526",
+      lon: "-75.1652",
+      display_name: "City Hall, Philadelphia, Pennsylvania, United States",
+      boundingbox: ["39.9520", "39.9532", "-75.1660", "-75.1644"],
+    };
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(
+      Promise.resolve(data),
+    );
+    const getDerivedResource = spyOn(
+      service.url,
+      "getDerivedResource",
+    ).and.callThrough();
+
+    const results = await service.reverseGeocode(
+      Cartographic.fromDegrees(-75.1652, 39.9526),
+    );
+    expect(results.length).toEqual(1);
+    expect(results[0].displayName).toEqual(data.display_name);
+    expect(results[0].destination).toEqual(
+      Rectangle.fromDegrees(-75.166, 39.952, -75.1644, 39.9532),
+    );
+
+    const options = getDerivedResource.calls.argsFor(0)[0];
+    expect(options.url).toEqual("reverse");
+    expect(options.queryParameters.lat).toEqualEpsilon(39.9526, 1.0e-10);
+    expect(options.queryParameters.lon).toEqualEpsilon(-75.1652, 1.0e-10);
+    expect(options.queryParameters.format).toEqual("jsonv2");
+  });
+
+  it("returns no reverse geocoder results if Nominatim cannot find the position", async function () {
+    const service = new NominatimGeocoderService({ url: endpoint });
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(
+      Promise.resolve({ error: "Unable to geocode" }),
+    );
+
+    const results = await service.reverseGeocode(
+      Cartographic.fromDegrees(0.0, 0.0),
+    );
+    expect(results.length).toEqual(0);
+  });
+});
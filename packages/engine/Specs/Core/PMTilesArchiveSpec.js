@@ -0,0 +1,247 @@
+import {
+  Math as CesiumMath,
+  PMTilesArchive,
+  Rectangle,
+  Resource,
+  RuntimeError,
+} from "../../index.js";
+import createPMTilesArchive from "../createPMTilesArchive.js";
+
+describe("Core/PMTilesArchive", function () {
+  const url = "https://example.com/tiles.pmtiles";
+
+  // Serves byte ranges of the archive and records them
+  function patchArchive(buffer, ranges) {
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+    ) {
+      const range = /bytes=(\d+)-(\d+)/.exec(headers.Range);
+      const start = parseInt(range[1], 10);
+      const end = Math.min(parseInt(range[2], 10) + 1, buffer.byteLength);
+      if (Array.isArray(ranges)) {
+        ranges.push([start, end]);
+      }
+      setTimeout(function () {
+        deferred.resolve(buffer.slice(start, end));
+      }, 1);
+    };
+  }
+
+  function createTiles() {
+    return [
+      { x: 0, y: 0, level: 0, data: [0] },
+      { x: 0, y: 0, level: 1, data: [1, 0] },
+      { x: 1, y: 0, level: 1, data: [1, 1] },
+      { x: 1, y: 1, level: 1, data: [1, 2] },
+    ];
+  }
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("computes tile IDs along a Hilbert curve", function () {
+    expect(PMTilesArchive.zxyToTileId(0, 0, 0)).toEqual(0);
+    expect(PMTilesArchive.zxyToTileId(1, 0, 0)).toEqual(1);
+    expect(PMTilesArchive.zxyToTileId(1, 0, 1)).toEqual(2);
+    expect(PMTilesArchive.zxyToTileId(1, 1, 1)).toEqual(3);
+    expect(PMTilesArchive.zxyToTileId(1, 1, 0)).toEqual(4);
+    expect(PMTilesArchive.zxyToTileId(2, 0, 0)).toEqual(5);
+    expect(PMTilesArchive.zxyToTileId(20, 0, 0)).toEqual(366503875925);
+  });
+
+  it("fromUrl throws without url", async function () {
+    await expectAsync(
+      PMTilesArchive.fromUrl(),
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("fromUrl reads the header and metadata", async function () {
+    patchArchive(
+      createPMTilesArchive({
+        tiles: createTiles(),
+        tileType: 3,
+        bounds: [-10.0, -20.0, 30.0, 40.0],
+        metadata: {
+          attribution: "Example",
+        },
+      }),
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    expect(archive).toBeInstanceOf(PMTilesArchive);
+    expect(archive.resource.url).toEqual(url);
+    expect(archive.header.specVersion).toEqual(3);
+    expect(archive.header.clustered).toBe(true);
+    expect(archive.tileType).toEqual("jpeg");
+    expect(archive.minimumLevel).toEqual(0);
+    expect(archive.maximumLevel).toEqual(1);
+    expect(archive.metadata).toEqual({
+      attribution: "Example",
+    });
+    expect(archive.rectangle).toEqualEpsilon(
+      Rectangle.fromDegrees(-10.0, -20.0, 30.0, 40.0),
+      CesiumMath.EPSILON10,
+    );
+  });
+
+  it("fromUrl rejects a file that is not a PMTiles archive", async function () {
+    patchArchive(new Uint8Array(200).buffer);
+    await expectAsync(PMTilesArchive.fromUrl(url)).toBeRejectedWithError(
+      RuntimeError,
+    );
+  });
+
+  it("fromUrl rejects other versions", async function () {
+    const buffer = createPMTilesArchive({
+      tiles: createTiles(),
+    });
+    new Uint8Array(buffer)[7] = 2;
+    patchArchive(buffer);
+    await expectAsync(PMTilesArchive.fromUrl(url)).toBeRejectedWithError(
+      RuntimeError,
+    );
+  });
+
+  it("getTile returns tile contents", async function () {
+    patchArchive(
+      createPMTilesArchive({
+        tiles: createTiles(),
+      }),
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    expect(Array.from(await archive.getTile(0, 0, 0))).toEqual([0]);
+    expect(Array.from(await archive.getTile(0, 0, 1))).toEqual([1, 0]);
+    expect(Array.from(await archive.getTile(1, 0, 1))).toEqual([1, 1]);
+    expect(Array.from(await archive.getTile(1, 1, 1))).toEqual([1, 2]);
+  });
+
+  it("getTile returns undefined for missing tiles", async function () {
+    patchArchive(
+      createPMTilesArchive({
+        tiles: createTiles(),
+      }),
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    expect(await archive.getTile(0, 1, 1)).toBeUndefined();
+    expect(await archive.getTile(0, 0, 2)).toBeUndefined();
+    expect(await archive.hasTile(0, 1, 1)).toBe(false);
+    expect(await archive.hasTile(1, 1, 1)).toBe(true);
+  });
+
+  it("getTile finds tiles in runs", async function () {
+    patchArchive(
+      createPMTilesArchive({
+        tiles: [
+          { x: 0, y: 0, level: 0, data: [0] },
+          // Tile IDs 1 through 4 share the same contents
+          { x: 0, y: 0, level: 1, data: [7], runLength: 4 },
+        ],
+      }),
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    expect(Array.from(await archive.getTile(1, 0, 1))).toEqual([7]);
+    expect(Array.from(await archive.getTile(0, 1, 1))).toEqual([7]);
+  });
+
+  it("getTile reads and caches leaf directories", async function () {
+    const ranges = [];
+    patchArchive(
+      createPMTilesArchive({
+        tiles: createTiles(),
+        leafDirectory: true,
+      }),
+      ranges,
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    expect(ranges.length).toEqual(1);
+
+    expect(Array.from(await archive.getTile(1, 1, 1))).toEqual([1, 2]);
+    // The leaf directory and the tile
+    expect(ranges.length).toEqual(3);
+
+    expect(Array.from(await archive.getTile(0, 0, 1))).toEqual([1, 0]);
+    // Only the tile
+    expect(ranges.length).toEqual(4);
+  });
+
+  it("evicts the least recently used leaf directories", async function () {
+    patchArchive(
+      createPMTilesArchive({
+        tiles: createTiles(),
+        leafDirectory: true,
+      }),
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url, {
+      directoryCacheSize: 0,
+    });
+    expect(Array.from(await archive.getTile(0, 0, 0))).toEqual([0]);
+    expect(archive._directoryCache.size).toEqual(0);
+  });
+
+  it("getTile decompresses gzipped tiles", async function () {
+    const compressed = await new Response(
+      new Blob([new Uint8Array([1, 2, 3, 4])])
+        .stream()
+        .pipeThrough(new CompressionStream("gzip")),
+    ).arrayBuffer();
+
+    patchArchive(
+      createPMTilesArchive({
+        tiles: [{ x: 0, y: 0, level: 0, data: new Uint8Array(compressed) }],
+        tileType: 1,
+        tileCompression: 2,
+      }),
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    expect(archive.tileType).toEqual("mvt");
+    expect(Array.from(await archive.getTile(0, 0, 0))).toEqual([1, 2, 3, 4]);
+  });
+
+  it("getTile rejects unsupported compression", async function () {
+    patchArchive(
+      createPMTilesArchive({
+        tiles: createTiles(),
+        tileCompression: 3,
+      }),
+    );
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    await expectAsync(archive.getTile(0, 0, 0)).toBeRejectedWithError(
+      RuntimeError,
+    );
+  });
+
+  it("handles servers that ignore range requests", async function () {
+    const buffer = createPMTilesArchive({
+      tiles: createTiles(),
+    });
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+    ) {
+      setTimeout(function () {
+        deferred.resolve(buffer.slice(0));
+      }, 1);
+    };
+
+    const archive = await PMTilesArchive.fromUrl(url);
+    expect(Array.from(await archive.getTile(1, 0, 1))).toEqual([1, 1]);
+  });
+});
@@ -0,0 +1,225 @@
+import {
+  Credit,
+  HeightmapTerrainData,
+  Math as CesiumMath,
+  PMTilesArchive,
+  PMTilesTerrainProvider,
+  QuantizedMeshTerrainData,
+  Rectangle,
+  Resource,
+  RuntimeError,
+  TerrainProvider,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+import createPMTilesArchive from "../createPMTilesArchive.js";
+import dataUriToBuffer from "../../../../Specs/dataUriToBuffer.js";
+
+describe("Core/PMTilesTerrainProvider", function () {
+  const url = "https://example.com/terrain.pmtiles";
+
+  // A 2x2 PNG where every pixel encodes a height of 100 meters in the Mapbox Terrain-RGB encoding
+  const pngBuffer = dataUriToBuffer(
+    "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAIAAAACCAIAAAD91JpzAAAAEElEQVR4nGNg7OoAIgYIBQAcBgRN5BcVCAAAAABJRU5ErkJggg==",
+  );
+
+  function patchArchive(buffer) {
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+    ) {
+      const range = /bytes=(\d+)-(\d+)/.exec(headers.Range);
+      const start = parseInt(range[1], 10);
+      const end = Math.min(parseInt(range[2], 10) + 1, buffer.byteLength);
+      setTimeout(function () {
+        deferred.resolve(buffer.slice(start, end));
+      }, 1);
+    };
+  }
+
+  // A heightmap-1.0 tile where every height is 200 meters
+  function createHeightmapTile() {
+    const heights = new Uint16Array(65 * 65 + 1);
+    heights.fill(6000);
+    const bytes = new Uint8Array(heights.buffer, 0, 65 * 65 * 2 + 2);
+    // All children are available and the tile is all land
+    bytes[65 * 65 * 2] = 15;
+    bytes[65 * 65 * 2 + 1] = 0;
+    return bytes;
+  }
+
+  function createProvider(options) {
+    patchArchive(createPMTilesArchive(options));
+    return PMTilesTerrainProvider.fromUrl(url, options);
+  }
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("conforms to TerrainProvider interface", function () {
+    expect(PMTilesTerrainProvider).toConformToInterface(TerrainProvider);
+  });
+
+  it("throws without archive", function () {
+    expect(function () {
+      return new PMTilesTerrainProvider();
+    }).toThrowDeveloperError();
+  });
+
+  it("fromUrl throws without url", async function () {
+    await expectAsync(
+      PMTilesTerrainProvider.fromUrl(),
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("fromUrl rejects archives that do not contain terrain", async function () {
+    await expectAsync(
+      createProvider({
+        tiles: [{ x: 0, y: 0, level: 0, data: [0] }],
+        tileType: 1,
+      }),
+    ).toBeRejectedWithError(RuntimeError);
+  });
+
+  it("has default properties", async function () {
+    const provider = await createProvider({
+      tiles: [{ x: 0, y: 0, level: 0, data: createHeightmapTile() }],
+      tileType: 0,
+      metadata: {
+        format: "heightmap-1.0",
+        attribution: "Example",
+      },
+    });
+    expect(provider.archive).toBeInstanceOf(PMTilesArchive);
+    expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+    expect(provider.credit).toBeInstanceOf(Credit);
+    expect(provider.credit.html).toEqual("Example");
+    expect(provider.hasVertexNormals).toBe(false);
+    expect(provider.hasWaterMask).toBe(false);
+    expect(provider.errorEvent).toBeDefined();
+    expect(provider.getLevelMaximumGeometricError(0)).toEqualEpsilon(
+      TerrainProvider.getEstimatedLevelZeroGeometricErrorForAHeightmap(
+        provider.tilingScheme.ellipsoid,
+        65,
+        1,
+      ),
+      CesiumMath.EPSILON10,
+    );
+    expect(provider.loadTileDataAvailability(0, 0, 0)).toBeUndefined();
+  });
+
+  it("uses the extensions listed in the metadata", async function () {
+    const options = {
+      tiles: [{ x: 0, y: 0, level: 0, data: [0] }],
+      tileType: 0,
+      metadata: {
+        format: "quantized-mesh-1.0",
+        extensions: ["octvertexnormals", "watermask"],
+      },
+    };
+
+    let provider = await createProvider(options);
+    expect(provider.hasVertexNormals).toBe(false);
+    expect(provider.hasWaterMask).toBe(false);
+
+    options.requestVertexNormals = true;
+    options.requestWaterMask = true;
+    provider = await createProvider(options);
+    expect(provider.hasVertexNormals).toBe(true);
+    expect(provider.hasWaterMask).toBe(true);
+  });
+
+  it("determines availability from the archive bounds and levels", async function () {
+    const provider = await createProvider({
+      tiles: [
+        { x: 0, y: 0, level: 0, data: [0] },
+        { x: 3, y: 3, level: 3, data: [0] },
+      ],
+      tileType: 0,
+      bounds: [0.0, -85.0, 180.0, 0.0],
+    });
+
+    const availability = provider.availability;
+    expect(provider.getTileDataAvailable(0, 0, 0)).toBe(true);
+    expect(provider.getTileDataAvailable(1, 1, 1)).toBe(true);
+    expect(provider.getTileDataAvailable(0, 1, 1)).toBe(false);
+    expect(provider.getTileDataAvailable(7, 7, 3)).toBe(true);
+    expect(provider.getTileDataAvailable(0, 0, 4)).toBe(false);
+    expect(
+      availability.computeMaximumLevelAtPosition(
+        Rectangle.center(Rectangle.fromDegrees(10.0, -10.0, 20.0, -5.0)),
+      ),
+    ).toEqual(3);
+  });
+
+  it("requests heightmap tiles", async function () {
+    const provider = await createProvider({
+      tiles: [{ x: 0, y: 0, level: 0, data: createHeightmapTile() }],
+      tileType: 0,
+      metadata: {
+        format: "heightmap-1.0",
+      },
+    });
+
+    const terrainData = await provider.requestTileGeometry(0, 0, 0);
+    expect(terrainData).toBeInstanceOf(HeightmapTerrainData);
+    expect(terrainData.isChildAvailable(0, 0, 1, 1)).toBe(true);
+
+    const rectangle = provider.tilingScheme.tileXYToRectangle(0, 0, 0);
+    expect(terrainData.interpolateHeight(rectangle, 0.1, 0.1)).toEqualEpsilon(
+      200.0,
+      CesiumMath.EPSILON6,
+    );
+  });
+
+  it("requests quantized-mesh tiles", async function () {
+    const tile = await Resource.fetchArrayBuffer(
+      "Data/CesiumTerrainTileJson/tile.terrain",
+    );
+    const provider = await createProvider({
+      tiles: [{ x: 0, y: 0, level: 0, data: new Uint8Array(tile) }],
+      tileType: 0,
+    });
+
+    const terrainData = await provider.requestTileGeometry(0, 0, 0);
+    expect(terrainData).toBeInstanceOf(QuantizedMeshTerrainData);
+  });
+
+  it("requests RGB encoded heightmap tiles", async function () {
+    const provider = await createProvider({
+      tiles: [{ x: 0, y: 0, level: 0, data: pngBuffer }],
+      tileType: 2,
+      metadata: {
+        encoding: "mapbox",
+      },
+    });
+
+    const terrainData = await provider.requestTileGeometry(0, 0, 0);
+    expect(terrainData).toBeInstanceOf(HeightmapTerrainData);
+
+    const rectangle = provider.tilingScheme.tileXYToRectangle(0, 0, 0);
+    expect(terrainData.interpolateHeight(rectangle, 0.1, 0.1)).toEqualEpsilon(
+      100.0,
+      CesiumMath.EPSILON6,
+    );
+  });
+
+  it("rejects tiles that are missing from the archive", async function () {
+    const provider = await createProvider({
+      tiles: [{ x: 0, y: 0, level: 0, data: createHeightmapTile() }],
+      tileType: 0,
+      metadata: {
+        format: "heightmap-1.0",
+      },
+    });
+
+    await expectAsync(
+      provider.requestTileGeometry(0, 0, 1),
+    ).toBeRejectedWithError(RuntimeError);
+  });
+});
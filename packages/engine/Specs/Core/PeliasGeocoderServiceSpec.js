@@ -1,5 +1,6 @@
 import {
   Cartesian3,
+  Cartographic,
   GeocoderService,
   GeocodeType,
   PeliasGeocoderService,
@@ -137,4 +138,47 @@ describe("Core/PeliasGeocoderService", function () {
       },
     });
   });
+  it("calls reverse endpoint to reverse geocode a position", async function () {
+    const service = new PeliasGeocoderService("http://test.invalid/v1/");
+
+    const data = {
+      features: [
+        {
+          type: "Feature",
+          geometry: {
+            type: "Point",
+            coordinates: [-75.172489, 39.927828],
+          },
+          properties: {
+            label: "1826 S 16th St, Philadelphia, PA, USA",
+          },
+        },
+      ],
+    };
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(
+      Promise.resolve(data),
+    );
+    const getDerivedResource = spyOn(
+      service._url,
+      "getDerivedResource",
+    ).and.callThrough();
+
+    const results = await service.reverseGeocode(
+      Cartographic.fromDegrees(-75.172489, 39.927828),
+    );
+    expect(results.length).toEqual(1);
+    expect(results[0].displayName).toEqual(data.features[0].properties.label);
+    expect(results[0].destination).toBeInstanceOf(Cartesian3);
+
+    const options = getDerivedResource.calls.argsFor(0)[0];
+    expect(options.url).toEqual("reverse");
+    expect(options.queryParameters["point.lat"]).toEqualEpsilon(
+      39.927828,
+      1.0e-10,
+    );
+    expect(options.queryParameters["point.lon"]).toEqualEpsilon(
+      -75.172489,
+      1.0e-10,
+    );
+  });
 });
@@ -2585,6 +2585,229 @@ describe("Core/Resource", function () {
     });
   });
 
+  describe("persistentCache", function () {
+    const testUrl = "http://example.invalid/tile";
+    let persistentCache;
+
+    function createPersistentCache() {
+      const entries = {};
+      return {
+        offline: false,
+        entries: entries,
+        get: function (url) {
+          return Promise.resolve(entries[url]);
+        },
+        put: function (url, data, contentType) {
+          entries[url] = {
+            data: data,
+            contentType: contentType,
+          };
+          return Promise.resolve();
+        },
+        remove: function (url) {
+          const removed = defined(entries[url]);
+          delete entries[url];
+          return Promise.resolve(removed);
+        },
+        clear: function () {
+          return Promise.resolve();
+        },
+      };
+    }
+
+    function encode(text) {
+      return new TextEncoder().encode(text).buffer;
+    }
+
+    beforeEach(function () {
+      persistentCache = createPersistentCache();
+      Resource.persistentCache = persistentCache;
+    });
+
+    afterEach(function () {
+      Resource.persistentCache = undefined;
+    });
+
+    it("stores responses loaded from the network", async function () {
+      const response = new Uint8Array([1, 2, 3]).buffer;
+      spyOn(Resource._Implementations, "loadWithXhr").and.callFake(
+        function (url, responseType, method, data, headers, deferred) {
+          deferred.resolve(response);
+        },
+      );
+      spyOn(persistentCache, "put").and.callThrough();
+
+      const result = await Resource.fetchArrayBuffer(testUrl);
+      expect(result).toBe(response);
+      await pollToPromise(function () {
+        return persistentCache.put.calls.count() === 1;
+      });
+
+      const entry = persistentCache.entries[testUrl];
+      expect(entry.data).not.toBe(response);
+      expect(new Uint8Array(entry.data)).toEqual(new Uint8Array([1, 2, 3]));
+    });
+
+    it("serves cached data without requesting it", async function () {
+      spyOn(Resource._Implementations, "loadWithXhr");
+      await persistentCache.put(testUrl, encode('{"a":1}'), "application/json");
+
+      expect(await Resource.fetchJson(testUrl)).toEqual({ a: 1 });
+      expect(await Resource.fetchText(testUrl)).toEqual('{"a":1}');
+
+      const arrayBuffer = await Resource.fetchArrayBuffer(testUrl);
+      expect(new Uint8Array(arrayBuffer)).toEqual(
+        new Uint8Array(encode('{"a":1}')),
+      );
+
+      const blob = await Resource.fetchBlob(testUrl);
+      expect(blob.type).toEqual("application/json");
+      expect(blob.size).toEqual(7);
+
+      expect(Resource._Implementations.loadWithXhr).not.toHaveBeenCalled();
+    });
+
+    it("stores json responses as text", async function () {
+      spyOn(Resource._Implementations, "loadWithXhr").and.callFake(
+        function (url, responseType, method, data, headers, deferred) {
+          expect(responseType).toEqual("json");
+          deferred.resolve({ a: 1 });
+        },
+      );
+      spyOn(persistentCache, "put").and.callThrough();
+
+      await new Resource(testUrl).fetch({
+        responseType: "json",
+      });
+      await pollToPromise(function () {
+        return persistentCache.put.calls.count() === 1;
+      });
+
+      const entry = persistentCache.entries[testUrl];
+      expect(new TextDecoder().decode(entry.data)).toEqual('{"a":1}');
+      expect(entry.contentType).toEqual("application/json");
+    });
+
+    it("rejects uncached requests without requesting them when offline", async function () {
+      spyOn(Resource._Implementations, "loadWithXhr");
+      persistentCache.offline = true;
+
+      await expectAsync(Resource.fetchArrayBuffer(testUrl)).toBeRejectedWith(
+        jasmine.objectContaining({
+          statusCode: 504,
+        }),
+      );
+      expect(Resource._Implementations.loadWithXhr).not.toHaveBeenCalled();
+
+      await persistentCache.put(testUrl, encode("cached"));
+      expect(await Resource.fetchText(testUrl)).toEqual("cached");
+    });
+
+    it("loads from the network if the cache fails", async function () {
+      spyOn(persistentCache, "get").and.returnValue(
+        Promise.reject(new Error("broken")),
+      );
+      spyOn(Resource._Implementations, "loadWithXhr").and.callFake(
+        function (url, responseType, method, data, headers, deferred) {
+          deferred.resolve("from the network");
+        },
+      );
+
+      expect(await Resource.fetchText(testUrl)).toEqual("from the network");
+    });
+
+    it("does not cache requests other than GET", async function () {
+      spyOn(persistentCache, "get").and.callThrough();
+      spyOn(Resource._Implementations, "loadWithXhr").and.callFake(
+        function (url, responseType, method, data, headers, deferred) {
+          deferred.resolve("posted");
+        },
+      );
+
+      await Resource.post({
+        url: testUrl,
+        data: "data",
+      });
+      expect(persistentCache.get).not.toHaveBeenCalled();
+    });
+
+    it("does not cache data URIs", async function () {
+      spyOn(persistentCache, "get").and.callThrough();
+
+      const result = await Resource.fetchText("data:text/plain,hello");
+      expect(result).toEqual("hello");
+      expect(persistentCache.get).not.toHaveBeenCalled();
+    });
+
+    it("fetchImage loads images as blobs so they can be cached", async function () {
+      spyOn(Resource.prototype, "fetchBlob").and.returnValue(
+        Promise.reject(new RequestErrorEvent(504)),
+      );
+
+      await expectAsync(Resource.fetchImage(testUrl)).toBeRejected();
+      expect(Resource.prototype.fetchBlob).toHaveBeenCalled();
+    });
+
+    it("caches different ranges of the same URL separately", async function () {
+      spyOn(Resource._Implementations, "loadWithXhr").and.callFake(
+        function (url, responseType, method, data, headers, deferred) {
+          deferred.resolve(new TextEncoder().encode(headers.Range).buffer);
+        },
+      );
+      spyOn(persistentCache, "put").and.callThrough();
+
+      function fetchRange(range) {
+        return Resource.fetchArrayBuffer({
+          url: testUrl,
+          headers: {
+            Range: range,
+          },
+        }).then(function (arrayBuffer) {
+          return new TextDecoder().decode(arrayBuffer);
+        });
+      }
+
+      expect(await fetchRange("bytes=0-9")).toEqual("bytes=0-9");
+      expect(await fetchRange("bytes=10-19")).toEqual("bytes=10-19");
+      await pollToPromise(function () {
+        return persistentCache.put.calls.count() === 2;
+      });
+      expect(persistentCache.entries[testUrl]).toBeUndefined();
+
+      expect(await fetchRange("bytes=0-9")).toEqual("bytes=0-9");
+      expect(await fetchRange("bytes=10-19")).toEqual("bytes=10-19");
+      expect(Resource._Implementations.loadWithXhr.calls.count()).toEqual(2);
+    });
+
+    it("ignores the Accept header in the cache key", async function () {
+      spyOn(Resource._Implementations, "loadWithXhr");
+      await persistentCache.put(testUrl, encode("cached"));
+
+      const result = await Resource.fetchText({
+        url: testUrl,
+        headers: {
+          Accept: "text/plain",
+        },
+      });
+      expect(result).toEqual("cached");
+      expect(Resource._Implementations.loadWithXhr).not.toHaveBeenCalled();
+    });
+
+    it("fetchImage loads cross-origin images normally if they can't be loaded as blobs", async function () {
+      spyOn(Resource.prototype, "fetchBlob").and.callFake(function () {
+        return Promise.reject(new RequestErrorEvent());
+      });
+      spyOn(Resource._Implementations, "createImage").and.callFake(
+        function (request, crossOrigin, deferred) {
+          deferred.resolve("image");
+        },
+      );
+
+      expect(await Resource.fetchImage(testUrl)).toEqual("image");
+      expect(Resource.prototype.fetchBlob).toHaveBeenCalled();
+    });
+  });
+
   describe("fetchJsonp", function () {
     it("returns a promise that resolves when the request loads", function () {
       const testUrl = "http://example.invalid/testuri";
@@ -0,0 +1,240 @@
+import { decodeGeoTiffTile, RuntimeError } from "../../index.js";
+
+describe("Core/decodeGeoTiffTile", function () {
+  const width = 64;
+  const height = 32;
+
+  function createHeights() {
+    const heights = new Int16Array(width * height);
+    for (let y = 0; y < height; ++y) {
+      for (let x = 0; x < width; ++x) {
+        heights[y * width + x] = 100 + x * 3 - y * 2 + ((x * y) % 7);
+      }
+    }
+    return heights;
+  }
+
+  // Encodes bytes with TIFF's variant of LZW, which switches code lengths one code early
+  function encodeLzw(input) {
+    const output = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeLength = 9;
+
+    function writeCode(code) {
+      bitBuffer = (bitBuffer << codeLength) | code;
+      bitCount += codeLength;
+      while (bitCount >= 8) {
+        output.push((bitBuffer >>> (bitCount - 8)) & 255);
+        bitCount -= 8;
+      }
+      bitBuffer &= (1 << bitCount) - 1;
+    }
+
+    let table = new Map();
+    let nextCode = 258;
+
+    function addEntry(key) {
+      table.set(key, nextCode++);
+      if (nextCode === 4094) {
+        writeCode(256);
+        table = new Map();
+        nextCode = 258;
+        codeLength = 9;
+      } else if (nextCode > (1 << codeLength) - 1) {
+        ++codeLength;
+      }
+    }
+
+    writeCode(256);
+    let prefix = input[0];
+    for (let i = 1; i < input.length; ++i) {
+      const key = `${prefix},${input[i]}`;
+      if (table.has(key)) {
+        prefix = table.get(key);
+      } else {
+        writeCode(prefix);
+        addEntry(key);
+        prefix = input[i];
+      }
+    }
+    writeCode(prefix);
+    ++nextCode;
+    if (nextCode > (1 << codeLength) - 1) {
+      ++codeLength;
+    }
+    writeCode(257);
+    if (bitCount > 0) {
+      output.push((bitBuffer << (8 - bitCount)) & 255);
+    }
+    return new Uint8Array(output);
+  }
+
+  it("throws without buffer", function () {
+    expect(function () {
+      decodeGeoTiffTile({
+        width: width,
+        height: height,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("decodes uncompressed tiles", function () {
+    const heights = createHeights();
+    const result = decodeGeoTiffTile({
+      buffer: heights.buffer,
+      width: width,
+      height: height,
+      bitsPerSample: 16,
+      sampleFormat: 2,
+    });
+
+    expect(result).toBeInstanceOf(Float32Array);
+    expect(Array.from(result)).toEqual(Array.from(heights));
+  });
+
+  it("decodes big-endian tiles", function () {
+    const view = new DataView(new ArrayBuffer(12));
+    view.setFloat32(0, 1.5, false);
+    view.setFloat32(4, -20.25, false);
+    view.setFloat32(8, 8848.0, false);
+
+    const result = decodeGeoTiffTile({
+      buffer: view.buffer,
+      width: 3,
+      height: 1,
+      bitsPerSample: 32,
+      sampleFormat: 3,
+      littleEndian: false,
+    });
+
+    expect(Array.from(result)).toEqual([1.5, -20.25, 8848.0]);
+  });
+
+  it("decodes deflate tiles", async function () {
+    const heights = createHeights();
+    const compressed = await new Response(
+      new Blob([heights.buffer])
+        .stream()
+        .pipeThrough(new CompressionStream("deflate")),
+    ).arrayBuffer();
+
+    const result = decodeGeoTiffTile({
+      buffer: compressed,
+      width: width,
+      height: height,
+      compression: 8,
+      sampleFormat: 2,
+    });
+
+    expect(Array.from(result)).toEqual(Array.from(heights));
+  });
+
+  it("decodes LZW tiles", function () {
+    const heights = createHeights();
+    const result = decodeGeoTiffTile({
+      buffer: encodeLzw(new Uint8Array(heights.buffer)),
+      width: width,
+      height: height,
+      compression: 5,
+      sampleFormat: 2,
+    });
+
+    expect(Array.from(result)).toEqual(Array.from(heights));
+  });
+
+  it("undoes the horizontal differencing predictor", function () {
+    const heights = createHeights();
+    const differences = new Int16Array(heights.length);
+    for (let i = 0; i < heights.length; ++i) {
+      differences[i] =
+        i % width === 0 ? heights[i] : heights[i] - heights[i - 1];
+    }
+
+    const result = decodeGeoTiffTile({
+      buffer: encodeLzw(new Uint8Array(differences.buffer)),
+      width: width,
+      height: height,
+      compression: 5,
+      predictor: 2,
+      sampleFormat: 2,
+    });
+
+    expect(Array.from(result)).toEqual(Array.from(heights));
+  });
+
+  it("undoes the floating point predictor", function () {
+    const values = new Float32Array([1.5, -20.25, 8848.0, 0.125]);
+    const bytes = new Uint8Array(values.buffer);
+    const count = values.length;
+
+    // Split the bytes into planes from most to least significant, then difference them
+    const planes = new Uint8Array(bytes.length);
+    for (let i = 0; i < count; ++i) {
+      for (let b = 0; b < 4; ++b) {
+        planes[(3 - b) * count + i] = bytes[i * 4 + b];
+      }
+    }
+    const encoded = new Uint8Array(planes.length);
+    for (let i = 0; i < planes.length; ++i) {
+      encoded[i] = i === 0 ? planes[i] : planes[i] - planes[i - 1];
+    }
+
+    const result = decodeGeoTiffTile({
+      buffer: encoded.buffer,
+      width: count,
+      height: 1,
+      predictor: 3,
+      bitsPerSample: 32,
+      sampleFormat: 3,
+    });
+
+    expect(Array.from(result)).toEqual(Array.from(values));
+  });
+
+  it("returns the first sample of each pixel", function () {
+    const result = decodeGeoTiffTile({
+      buffer: new Uint8Array([1, 2, 3, 4, 5, 6]).buffer,
+      width: 3,
+      height: 1,
+      bitsPerSample: 8,
+      samplesPerPixel: 2,
+    });
+
+    expect(Array.from(result)).toEqual([1, 3, 5]);
+  });
+
+  it("pads truncated tiles", function () {
+    const result = decodeGeoTiffTile({
+      buffer: new Uint8Array([7, 8]).buffer,
+      width: 2,
+      height: 2,
+      bitsPerSample: 8,
+    });
+
+    expect(Array.from(result)).toEqual([7, 8, 0, 0]);
+  });
+
+  it("throws for unsupported compression", function () {
+    expect(function () {
+      decodeGeoTiffTile({
+        buffer: new ArrayBuffer(8),
+        width: 2,
+        height: 2,
+        compression: 7,
+      });
+    }).toThrowError(RuntimeError);
+  });
+
+  it("throws for unsupported sample formats", function () {
+    expect(function () {
+      decodeGeoTiffTile({
+        buffer: new ArrayBuffer(8),
+        width: 2,
+        height: 2,
+        bitsPerSample: 16,
+        sampleFormat: 3,
+      });
+    }).toThrowError(RuntimeError);
+  });
+});
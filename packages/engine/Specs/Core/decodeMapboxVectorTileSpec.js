@@ -0,0 +1,217 @@
+import { decodeMapboxVectorTile, RuntimeError } from "../../index.js";
+
+describe("Core/decodeMapboxVectorTile", function () {
+  function writeVarint(bytes, value) {
+    while (value > 127) {
+      bytes.push((value & 127) | 128);
+      value >>>= 7;
+    }
+    bytes.push(value);
+  }
+
+  function writeKey(bytes, fieldNumber, wireType) {
+    writeVarint(bytes, (fieldNumber << 3) | wireType);
+  }
+
+  function writeVarintField(bytes, fieldNumber, value) {
+    writeKey(bytes, fieldNumber, 0);
+    writeVarint(bytes, value);
+  }
+
+  function writeMessage(bytes, fieldNumber, content) {
+    writeKey(bytes, fieldNumber, 2);
+    writeVarint(bytes, content.length);
+    for (let i = 0; i < content.length; ++i) {
+      bytes.push(content[i]);
+    }
+  }
+
+  function encodeString(value) {
+    return Array.from(new TextEncoder().encode(value));
+  }
+
+  function encodePacked(values) {
+    const bytes = [];
+    for (let i = 0; i < values.length; ++i) {
+      writeVarint(bytes, values[i]);
+    }
+    return bytes;
+  }
+
+  function zigZag(value) {
+    return (value << 1) ^ (value >> 31);
+  }
+
+  function command(id, count) {
+    return (id & 0x7) | (count << 3);
+  }
+
+  function encodeFeature(id, type, tags, geometry) {
+    const bytes = [];
+    writeVarintField(bytes, 1, id);
+    writeMessage(bytes, 2, encodePacked(tags));
+    writeVarintField(bytes, 3, type);
+    writeMessage(bytes, 4, encodePacked(geometry));
+    return bytes;
+  }
+
+  function encodeDouble(value) {
+    const bytes = [];
+    writeKey(bytes, 3, 1);
+    const buffer = new ArrayBuffer(8);
+    new DataView(buffer).setFloat64(0, value, true);
+    return bytes.concat(Array.from(new Uint8Array(buffer)));
+  }
+
+  function createTile() {
+    const layer = [];
+    writeVarintField(layer, 15, 2);
+    writeMessage(layer, 1, encodeString("places"));
+
+    // A point at (10, 20)
+    writeMessage(
+      layer,
+      2,
+      encodeFeature(
+        1,
+        1,
+        [0, 0, 1, 1],
+        [command(1, 1), zigZag(10), zigZag(20)],
+      ),
+    );
+
+    // A line from (0, 0) to (10, 0) to (10, 10)
+    writeMessage(
+      layer,
+      2,
+      encodeFeature(
+        2,
+        2,
+        [2, 2, 3, 3],
+        [
+          command(1, 1),
+          zigZag(0),
+          zigZag(0),
+          command(2, 2),
+          zigZag(10),
+          zigZag(0),
+          zigZag(0),
+          zigZag(10),
+        ],
+      ),
+    );
+
+    // A closed square polygon
+    writeMessage(
+      layer,
+      2,
+      encodeFeature(
+        3,
+        3,
+        [],
+        [
+          command(1, 1),
+          zigZag(0),
+          zigZag(0),
+          command(2, 3),
+          zigZag(10),
+          zigZag(0),
+          zigZag(0),
+          zigZag(10),
+          zigZag(-10),
+          zigZag(0),
+          command(7, 1),
+        ],
+      ),
+    );
+
+    writeMessage(layer, 3, encodeString("name"));
+    writeMessage(layer, 3, encodeString("population"));
+    writeMessage(layer, 3, encodeString("elevation"));
+    writeMessage(layer, 3, encodeString("open"));
+
+    const stringValue = [];
+    writeMessage(stringValue, 1, encodeString("Paris"));
+    writeMessage(layer, 4, stringValue);
+
+    const intValue = [];
+    writeVarintField(intValue, 5, 2000000);
+    writeMessage(layer, 4, intValue);
+
+    writeMessage(layer, 4, encodeDouble(35.5));
+
+    const boolValue = [];
+    writeVarintField(boolValue, 7, 1);
+    writeMessage(layer, 4, boolValue);
+
+    writeVarintField(layer, 5, 4096);
+
+    const tile = [];
+    writeMessage(tile, 3, layer);
+    return new Uint8Array(tile).buffer;
+  }
+
+  it("throws without data", function () {
+    expect(function () {
+      decodeMapboxVectorTile();
+    }).toThrowDeveloperError();
+  });
+
+  it("decodes layers", function () {
+    const layers = decodeMapboxVectorTile(createTile());
+    const layer = layers.places;
+    expect(layer).toBeDefined();
+    expect(layer.name).toEqual("places");
+    expect(layer.version).toEqual(2);
+    expect(layer.extent).toEqual(4096);
+    expect(layer.features.length).toEqual(3);
+  });
+
+  it("decodes feature properties", function () {
+    const features = decodeMapboxVectorTile(createTile()).places.features;
+    expect(features[0].id).toEqual(1);
+    expect(features[0].properties).toEqual({
+      name: "Paris",
+      population: 2000000,
+    });
+    expect(features[1].properties).toEqual({
+      elevation: 35.5,
+      open: true,
+    });
+    expect(features[2].properties).toEqual({});
+  });
+
+  it("decodes geometry", function () {
+    const features = decodeMapboxVectorTile(createTile()).places.features;
+    expect(features[0].type).toEqual(1);
+    expect(features[0].geometry).toEqual([[10, 20]]);
+
+    expect(features[1].type).toEqual(2);
+    expect(features[1].geometry).toEqual([[0, 0, 10, 0, 10, 10]]);
+
+    // Closed rings repeat their first position
+    expect(features[2].type).toEqual(3);
+    expect(features[2].geometry).toEqual([[0, 0, 10, 0, 10, 10, 0, 10, 0, 0]]);
+  });
+
+  it("accepts a Uint8Array", function () {
+    const layers = decodeMapboxVectorTile(new Uint8Array(createTile()));
+    expect(layers.places.features.length).toEqual(3);
+  });
+
+  it("decodes an empty tile", function () {
+    expect(decodeMapboxVectorTile(new ArrayBuffer(0))).toEqual({});
+  });
+
+  it("throws with an invalid geometry command", function () {
+    const layer = [];
+    writeMessage(layer, 1, encodeString("invalid"));
+    writeMessage(layer, 2, encodeFeature(1, 1, [], [command(3, 1), 0, 0]));
+    const tile = [];
+    writeMessage(tile, 3, layer);
+
+    expect(function () {
+      decodeMapboxVectorTile(new Uint8Array(tile));
+    }).toThrowError(RuntimeError);
+  });
+});
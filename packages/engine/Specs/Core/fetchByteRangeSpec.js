@@ -0,0 +1,44 @@
+import { fetchByteRange, Resource } from "../../index.js";
+
+describe("Core/fetchByteRange", function () {
+  const buffer = new Uint8Array([0, 1, 2, 3, 4, 5, 6, 7]).buffer;
+
+  function patchLoadWithXhr(respond) {
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+    ) {
+      deferred.resolve(respond(headers));
+    };
+  }
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("requests the range with a Range header", async function () {
+    let range;
+    patchLoadWithXhr(function (headers) {
+      range = headers.Range;
+      return buffer.slice(2, 5);
+    });
+
+    const bytes = await fetchByteRange(new Resource("test.bin"), 2, 3);
+    expect(range).toEqual("bytes=2-4");
+    expect(Array.from(bytes)).toEqual([2, 3, 4]);
+  });
+
+  it("slices the range when the server returns the whole file", async function () {
+    patchLoadWithXhr(function () {
+      return buffer;
+    });
+
+    const bytes = await fetchByteRange(new Resource("test.bin"), 2, 3);
+    expect(Array.from(bytes)).toEqual([2, 3, 4]);
+  });
+});
@@ -1,12 +1,17 @@
 import {
   ArcGISTiledElevationTerrainProvider,
+  Cartesian3,
   Cartographic,
   CesiumTerrainProvider,
   createWorldTerrainAsync,
   defined,
+  EllipsoidTerrainProvider,
   RequestScheduler,
   Resource,
   sampleTerrain,
+  TerrainModification,
+  TerrainModificationCollection,
+  TerrainModificationType,
 } from "../../index.js";
 
 describe("Core/sampleTerrain", function () {
@@ -160,6 +165,35 @@ describe("Core/sampleTerrain", function () {
     });
   });
 
+  it("applies terrain modifications to the heights", async function () {
+    const modifications = new TerrainModificationCollection({
+      modifications: [
+        new TerrainModification({
+          positions: Cartesian3.fromDegreesArray([
+            0.0, 0.0, 1.0, 0.0, 1.0, 1.0, 0.0, 1.0,
+          ]),
+          type: TerrainModificationType.OFFSET,
+          offset: 10.0,
+        }),
+      ],
+    });
+    const positions = [
+      Cartographic.fromDegrees(0.5, 0.5),
+      Cartographic.fromDegrees(2.0, 0.5),
+    ];
+
+    const passedPositions = await sampleTerrain(
+      new EllipsoidTerrainProvider(),
+      0,
+      positions,
+      false,
+      modifications,
+    );
+    expect(passedPositions).toBe(positions);
+    expect(positions[0].height).toEqualEpsilon(10.0, 1.0e-6);
+    expect(positions[1].height).toEqualEpsilon(0.0, 1.0e-6);
+  });
+
   describe("with terrain providers", function () {
     beforeEach(function () {
       RequestScheduler.clearForSpecs();
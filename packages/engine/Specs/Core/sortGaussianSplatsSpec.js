@@ -0,0 +1,89 @@
+import { Cartesian3, sortGaussianSplats } from "../../index.js";
+
+describe("Core/sortGaussianSplats", function () {
+  const positions = new Float32Array([
+    0.0, 0.0, 1.0, 0.0, 0.0, 3.0, 0.0, 0.0, -2.0, 0.0, 0.0, 2.0,
+  ]);
+
+  it("throws without positions", function () {
+    expect(function () {
+      sortGaussianSplats({
+        direction: Cartesian3.UNIT_Z,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without direction", function () {
+    expect(function () {
+      sortGaussianSplats({
+        positions: positions,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("sorts splats back to front", function () {
+    const result = sortGaussianSplats({
+      positions: positions,
+      direction: Cartesian3.UNIT_Z,
+    });
+    expect(result.positions).toBe(positions);
+    expect(result.indices).toEqual(new Uint16Array([1, 3, 0, 2]));
+  });
+
+  it("sorts splats along the opposite direction", function () {
+    const result = sortGaussianSplats({
+      positions: positions,
+      direction: Cartesian3.negate(Cartesian3.UNIT_Z, new Cartesian3()),
+    });
+    expect(result.indices).toEqual(new Uint16Array([2, 0, 3, 1]));
+  });
+
+  it("sorts splats by their distance from a position", function () {
+    const result = sortGaussianSplats({
+      positions: positions,
+      position: new Cartesian3(0.0, 0.0, 2.4),
+    });
+    expect(result.indices).toEqual(new Uint16Array([2, 0, 1, 3]));
+  });
+
+  it("keeps the original order for splats at the same depth", function () {
+    const result = sortGaussianSplats({
+      positions: positions,
+      direction: Cartesian3.UNIT_X,
+    });
+    expect(result.indices).toEqual(new Uint16Array([0, 1, 2, 3]));
+  });
+
+  it("returns 32-bit indices for more than 64K splats", function () {
+    const count = 70000;
+    const manyPositions = new Float32Array(count * 3);
+    for (let i = 0; i < count; ++i) {
+      manyPositions[i * 3 + 1] = i;
+    }
+    const result = sortGaussianSplats({
+      positions: manyPositions,
+      direction: Cartesian3.UNIT_Y,
+    });
+    expect(result.indices).toBeInstanceOf(Uint32Array);
+    expect(result.indices.length).toEqual(count);
+    expect(result.indices[count - 1]).toEqual(0);
+
+    // Depths are quantized, so splats that are very close may not be sorted
+    const tolerance = count / 65535;
+    let sorted = true;
+    for (let i = 1; i < count; ++i) {
+      const depth = manyPositions[result.indices[i] * 3 + 1];
+      const previousDepth = manyPositions[result.indices[i - 1] * 3 + 1];
+      sorted = sorted && depth <= previousDepth + tolerance;
+    }
+    expect(sorted).toBe(true);
+  });
+
+  it("returns no indices without splats", function () {
+    const result = sortGaussianSplats({
+      positions: new Float32Array(0),
+      direction: Cartesian3.UNIT_Z,
+    });
+    expect(result.indices.length).toEqual(0);
+  });
+});
@@ -0,0 +1,500 @@
+import {
+  Cartesian2,
+  Cartesian3,
+  Cartographic,
+  ClusterIndex,
+  combine,
+  ConstantPositionProperty,
+  CustomDataSource,
+  Ellipsoid,
+  EntityClusterDataSource,
+  EntityCollection,
+  JulianDate,
+  Math as CesiumMath,
+  PerspectiveFrustum,
+  Rectangle,
+  SceneMode,
+  ScreenSpaceEventType,
+} from "../../index.js";
+
+import createCanvas from "../../../../Specs/createCanvas.js";
+
+describe("DataSources/EntityClusterDataSource", function () {
+  const time = new JulianDate();
+
+  let scene;
+  let entities;
+  let near;
+  let other;
+  let single;
+  let coincident;
+  let coincident2;
+
+  // Looks straight down at the origin from a height
+  function moveCamera(height) {
+    const camera = scene.camera;
+    camera.positionCartographic = Cartographic.fromDegrees(0.0, 0.0, height);
+    camera.positionWC = Cartesian3.fromDegrees(0.0, 0.0, height);
+    camera.directionWC = Cartesian3.negate(
+      Cartesian3.normalize(camera.positionWC, new Cartesian3()),
+      new Cartesian3(),
+    );
+  }
+
+  beforeEach(function () {
+    scene = {
+      camera: {
+        upWC: Cartesian3.clone(Cartesian3.UNIT_Z),
+        frustum: new PerspectiveFrustum({
+          fov: CesiumMath.PI_OVER_THREE,
+          aspectRatio: 1.0,
+        }),
+        computeViewRectangle: function () {
+          return Rectangle.MAX_VALUE;
+        },
+        flyTo: jasmine.createSpy("flyTo"),
+      },
+      canvas: {
+        clientWidth: 512,
+        clientHeight: 512,
+      },
+      ellipsoid: Ellipsoid.WGS84,
+      mode: SceneMode.SCENE3D,
+    };
+    moveCamera(10000000.0);
+
+    // Two nearby entities, one entity far from the others and two entities at the same position
+    entities = new EntityCollection();
+    near = entities.add({
+      position: Cartesian3.fromDegrees(0.0, 0.0),
+      model: {
+        uri: "./Data/Models/glTF-2.0/BoxTextured/glTF/BoxTextured.gltf",
+      },
+      properties: {
+        value: 1,
+      },
+    });
+    other = entities.add({
+      position: Cartesian3.fromDegrees(0.1, 0.0),
+      billboard: {
+        image: "./Data/Images/Blue.png",
+      },
+      properties: {
+        value: 2,
+      },
+    });
+    single = entities.add({
+      position: Cartesian3.fromDegrees(5.0, 0.0),
+      ellipse: {
+        semiMajorAxis: 10.0,
+        semiMinorAxis: 10.0,
+      },
+      properties: {
+        value: 4,
+      },
+    });
+    coincident = entities.add({
+      position: Cartesian3.fromDegrees(-5.0, 0.0),
+      point: {},
+      properties: {
+        value: 8,
+      },
+    });
+    coincident2 = entities.add({
+      position: Cartesian3.fromDegrees(-5.0, 0.0),
+      box: {
+        dimensions: new Cartesian3(1.0, 1.0, 1.0),
+      },
+      properties: {
+        value: 16,
+      },
+    });
+    // Entities without a position are not clustered
+    entities.add({
+      polyline: {
+        positions: Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 1.0]),
+      },
+    });
+  });
+
+  function createDataSource(options) {
+    const dataSource = new EntityClusterDataSource(
+      combine(options, {
+        scene: scene,
+        entities: entities,
+        expandOnClick: false,
+      }),
+    );
+    dataSource.update(time);
+    return dataSource;
+  }
+
+  function getCounts(dataSource) {
+    return dataSource.clusters
+      .map(function (cluster) {
+        return cluster.count;
+      })
+      .sort();
+  }
+
+  function findCluster(dataSource, entity) {
+    return dataSource.clusters.find(function (cluster) {
+      return cluster.entities.indexOf(entity) !== -1;
+    });
+  }
+
+  it("constructor sets expected values", function () {
+    const dataSource = createDataSource({
+      name: "clusters",
+    });
+    expect(dataSource).toBeInstanceOf(CustomDataSource);
+    expect(dataSource.name).toBe("clusters");
+    expect(dataSource.enabled).toBe(true);
+    expect(dataSource.clusteredEntities).toBe(entities);
+    expect(dataSource.radius).toBe(60);
+    expect(dataSource.minimumClusterSize).toBe(2);
+    expect(dataSource.maximumZoom).toBe(16);
+    expect(dataSource.isLoading).toBe(false);
+  });
+
+  it("clusters entities of any type by the camera height", function () {
+    const dataSource = createDataSource();
+    expect(getCounts(dataSource)).toEqual([5]);
+    expect(dataSource.entities.values.length).toBe(1);
+    expect(near.show).toBe(false);
+    expect(coincident2.show).toBe(false);
+
+    moveCamera(100000.0);
+    dataSource.update(time);
+    expect(getCounts(dataSource)).toEqual([2, 2]);
+    expect(dataSource.entities.values.length).toBe(2);
+    expect(near.show).toBe(false);
+    expect(other.show).toBe(false);
+    expect(single.show).toBe(true);
+    expect(coincident.show).toBe(false);
+
+    moveCamera(1000.0);
+    dataSource.update(time);
+    expect(getCounts(dataSource)).toEqual([2]);
+    expect(near.show).toBe(true);
+    expect(other.show).toBe(true);
+    expect(coincident.show).toBe(false);
+    expect(coincident2.show).toBe(false);
+
+    // Entities are never clustered above the maximum zoom level
+    moveCamera(10.0);
+    dataSource.update(time);
+    expect(getCounts(dataSource)).toEqual([]);
+    expect(dataSource.entities.values.length).toBe(0);
+    expect(coincident.show).toBe(true);
+  });
+
+  it("represents clusters with entities", function () {
+    const dataSource = createDataSource();
+    const cluster = dataSource.clusters[0];
+    expect(cluster.entities.length).toBe(5);
+    expect(cluster.rectangle).toEqualEpsilon(
+      Rectangle.fromDegrees(-5.0, 0.0, 5.0, 0.0),
+      CesiumMath.EPSILON10,
+    );
+    expect(cluster.properties).toBeUndefined();
+
+    const entity = cluster.entity;
+    expect(dataSource.entities.contains(entity)).toBe(true);
+    expect(entity.position.getValue(time)).toEqual(cluster.position);
+    expect(entity.label.text.getValue(time)).toBe("5");
+    expect(dataSource.getCluster(entity)).toBe(cluster);
+    expect(dataSource.getCluster(near)).toBeUndefined();
+    expect(dataSource.getCluster(undefined)).toBeUndefined();
+  });
+
+  it("queries the clusters without clustering again when the camera moves", function () {
+    spyOn(ClusterIndex.prototype, "load").and.callThrough();
+    const dataSource = createDataSource();
+    expect(ClusterIndex.prototype.load.calls.count()).toBe(1);
+
+    moveCamera(100000.0);
+    dataSource.update(time);
+    dataSource.update(time);
+    expect(getCounts(dataSource)).toEqual([2, 2]);
+    expect(ClusterIndex.prototype.load.calls.count()).toBe(1);
+  });
+
+  it("clusters again when the entities change", function () {
+    const dataSource = createDataSource();
+    entities.add({
+      position: Cartesian3.fromDegrees(1.0, 0.0),
+    });
+    dataSource.update(time);
+    expect(getCounts(dataSource)).toEqual([6]);
+
+    entities.remove(near);
+    entities.remove(other);
+    dataSource.update(time);
+    expect(getCounts(dataSource)).toEqual([4]);
+    expect(near.show).toBe(true);
+  });
+
+  it("aggregates the properties of clusters", function () {
+    const dataSource = createDataSource({
+      map: function (entity, time) {
+        return {
+          sum: entity.properties.value.getValue(time),
+        };
+      },
+      reduce: function (accumulated, properties) {
+        accumulated.sum += properties.sum;
+      },
+    });
+    expect(dataSource.clusters[0].properties).toEqual({
+      sum: 31,
+    });
+
+    moveCamera(100000.0);
+    dataSource.update(time);
+    expect(findCluster(dataSource, near).properties).toEqual({
+      sum: 3,
+    });
+    expect(findCluster(dataSource, coincident).properties).toEqual({
+      sum: 24,
+    });
+  });
+
+  it("styles clusters with clusterStyle", function () {
+    const clusterStyle = jasmine
+      .createSpy("clusterStyle")
+      .and.callFake(function (cluster, entity) {
+        entity.model = {
+          uri: "./Data/Models/glTF-2.0/BoxTextured/glTF/BoxTextured.gltf",
+          scale: cluster.count,
+        };
+      });
+    const dataSource = createDataSource({
+      clusterStyle: clusterStyle,
+    });
+
+    const cluster = dataSource.clusters[0];
+    expect(clusterStyle).toHaveBeenCalledOnceWith(cluster, cluster.entity);
+    expect(cluster.entity.model.scale.getValue(time)).toBe(5);
+    expect(cluster.entity.label).toBeUndefined();
+
+    // Clusters that stay in view are not styled again
+    scene.camera.positionWC.x += 1.0;
+    dataSource.update(time);
+    expect(clusterStyle.calls.count()).toBe(1);
+  });
+
+  it("keeps entities hidden by the application hidden", function () {
+    single.show = false;
+    const dataSource = createDataSource();
+
+    moveCamera(100000.0);
+    dataSource.update(time);
+    expect(single.show).toBe(false);
+    expect(near.show).toBe(false);
+
+    dataSource.enabled = false;
+    expect(single.show).toBe(false);
+    expect(near.show).toBe(true);
+  });
+
+  it("uses minimumClusterSize and radius", function () {
+    const dataSource = createDataSource({
+      minimumClusterSize: 3,
+      radius: 1,
+    });
+    expect(getCounts(dataSource)).toEqual([]);
+    expect(near.show).toBe(true);
+  });
+
+  it("expand flies to the bounds of the cluster", function () {
+    const dataSource = createDataSource();
+    moveCamera(100000.0);
+    dataSource.update(time);
+
+    const cluster = findCluster(dataSource, near);
+    dataSource.expand(cluster);
+    expect(scene.camera.flyTo).toHaveBeenCalledWith({
+      destination: cluster.rectangle,
+    });
+    expect(cluster.rectangle).toEqualEpsilon(
+      Rectangle.fromDegrees(0.0, 0.0, 0.1, 0.0),
+      CesiumMath.EPSILON10,
+    );
+  });
+
+  it("expand spiderfies entities that are never separated", function () {
+    const dataSource = createDataSource();
+    moveCamera(1000.0);
+    dataSource.update(time);
+
+    const cluster = findCluster(dataSource, coincident);
+    const position = coincident.position;
+    dataSource.expand(cluster);
+    expect(scene.camera.flyTo).not.toHaveBeenCalled();
+
+    expect(cluster.entity.show).toBe(false);
+    expect(coincident.show).toBe(true);
+    expect(coincident2.show).toBe(true);
+    expect(coincident.position).toBeInstanceOf(ConstantPositionProperty);
+    expect(coincident.position).not.toBe(position);
+
+    // The entities are placed around the cluster and connected to it by lines
+    const first = coincident.position.getValue(time);
+    const second = coincident2.position.getValue(time);
+    expect(Cartesian3.distance(first, cluster.position)).toBeGreaterThan(1.0);
+    expect(Cartesian3.distance(first, cluster.position)).toEqualEpsilon(
+      Cartesian3.distance(second, cluster.position),
+      CesiumMath.EPSILON6,
+    );
+    expect(Cartesian3.distance(first, second)).toBeGreaterThan(1.0);
+    const legs = dataSource.entities.values.filter(function (entity) {
+      return entity !== cluster.entity;
+    });
+    expect(legs.length).toBe(2);
+    expect(legs[0].polyline.positions.getValue(time)).toEqual([
+      cluster.position,
+      first,
+    ]);
+
+    // Spiderfying does not cluster the entities again
+    spyOn(ClusterIndex.prototype, "load").and.callThrough();
+    dataSource.update(time);
+    expect(ClusterIndex.prototype.load).not.toHaveBeenCalled();
+
+    dataSource.unspiderfy();
+    expect(coincident.position).toBe(position);
+    expect(coincident.show).toBe(false);
+    expect(cluster.entity.show).toBe(true);
+    expect(dataSource.entities.values.length).toBe(1);
+  });
+
+  it("does not spiderfy when spiderfy is false", function () {
+    const dataSource = createDataSource({
+      spiderfy: false,
+    });
+    moveCamera(1000.0);
+    dataSource.update(time);
+
+    dataSource.expand(findCluster(dataSource, coincident));
+    expect(coincident.show).toBe(false);
+    expect(dataSource.entities.values.length).toBe(1);
+  });
+
+  it("unspiderfies when the zoom level changes", function () {
+    const dataSource = createDataSource();
+    moveCamera(1000.0);
+    dataSource.update(time);
+    const position = coincident.position;
+    dataSource.spiderfy(findCluster(dataSource, coincident));
+
+    // Panning keeps the entities spiderfied
+    scene.camera.positionWC.x += 1.0;
+    dataSource.update(time);
+    expect(coincident.position).not.toBe(position);
+
+    moveCamera(100000.0);
+    dataSource.update(time);
+    expect(coincident.position).toBe(position);
+    expect(coincident.show).toBe(false);
+    expect(getCounts(dataSource)).toEqual([2, 2]);
+    expect(dataSource.entities.values.length).toBe(2);
+  });
+
+  it("expands clusters when they are clicked", function () {
+    scene.canvas = createCanvas(512, 512);
+    const dataSource = createDataSource({
+      expandOnClick: true,
+    });
+    moveCamera(1000.0);
+    dataSource.update(time);
+
+    const cluster = findCluster(dataSource, coincident);
+    const click = dataSource._handler.getInputAction(
+      ScreenSpaceEventType.LEFT_CLICK,
+    );
+    scene.pick = function () {
+      return {
+        id: cluster.entity,
+      };
+    };
+    click({
+      position: new Cartesian2(256.0, 256.0),
+    });
+    expect(coincident.show).toBe(true);
+
+    // Clicking a spiderfied entity keeps the cluster open
+    scene.pick = function () {
+      return {
+        id: coincident,
+      };
+    };
+    click({
+      position: new Cartesian2(256.0, 256.0),
+    });
+    expect(coincident.show).toBe(true);
+
+    scene.pick = function () {
+      return undefined;
+    };
+    click({
+      position: new Cartesian2(0.0, 0.0),
+    });
+    expect(coincident.show).toBe(false);
+
+    dataSource.destroy();
+    document.body.removeChild(scene.canvas);
+  });
+
+  it("shows every entity when disabled", function () {
+    const dataSource = createDataSource();
+    dataSource.enabled = false;
+    expect(dataSource.enabled).toBe(false);
+    expect(dataSource.entities.values.length).toBe(0);
+    expect(near.show).toBe(true);
+    expect(coincident.show).toBe(true);
+
+    dataSource.update(time);
+    expect(near.show).toBe(true);
+
+    dataSource.enabled = true;
+    dataSource.update(time);
+    expect(getCounts(dataSource)).toEqual([5]);
+  });
+
+  it("does not update while morphing", function () {
+    scene.mode = SceneMode.MORPHING;
+    const dataSource = createDataSource();
+    expect(dataSource.entities.values.length).toBe(0);
+    expect(near.show).toBe(true);
+  });
+
+  it("destroy shows every entity", function () {
+    const dataSource = createDataSource();
+    expect(dataSource.isDestroyed()).toBe(false);
+    dataSource.destroy();
+    expect(dataSource.isDestroyed()).toBe(true);
+    expect(near.show).toBe(true);
+
+    // The entities are no longer watched
+    entities.add({
+      position: Cartesian3.fromDegrees(1.0, 0.0),
+    });
+  });
+
+  it("throws without a scene or entities", function () {
+    expect(function () {
+      return new EntityClusterDataSource();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new EntityClusterDataSource({
+        entities: entities,
+      });
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new EntityClusterDataSource({
+        scene: scene,
+      });
+    }).toThrowDeveloperError();
+  });
+});
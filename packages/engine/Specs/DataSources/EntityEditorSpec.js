@@ -0,0 +1,474 @@
+import {
+  Cartesian2,
+  Cartesian3,
+  Cartographic,
+  ConstantPositionProperty,
+  ConstantProperty,
+  Entity,
+  EntityEditor,
+  HeightReference,
+  JulianDate,
+  Math as CesiumMath,
+  PolygonHierarchy,
+  Ray,
+  Rectangle,
+  SampledPositionProperty,
+  ScreenSpaceEventType,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "DataSources/EntityEditor",
+  function () {
+    let scene;
+    let editor;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      editor = new EntityEditor({
+        scene: scene,
+      });
+    });
+
+    afterEach(function () {
+      if (!editor.isDestroyed()) {
+        editor.destroy();
+      }
+    });
+
+    function createPolygon() {
+      return new Entity({
+        polygon: {
+          hierarchy: new PolygonHierarchy(
+            Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 0.0, 1.0, 1.0]),
+          ),
+        },
+      });
+    }
+
+    it("constructor sets expected values", function () {
+      editor.destroy();
+      const primitives = scene.primitives;
+      const length = primitives.length;
+
+      editor = new EntityEditor({
+        scene: scene,
+      });
+      expect(editor.scene).toBe(scene);
+      expect(editor.entity).toBeUndefined();
+      expect(editor.vertices).toEqual([]);
+      expect(editor.isDragging).toBe(false);
+      expect(editor.canUndo).toBe(false);
+      expect(editor.canRedo).toBe(false);
+      expect(editor.maximumUndoDepth).toEqual(100);
+      expect(primitives.length).toEqual(length + 1);
+
+      editor.destroy();
+      expect(editor.isDestroyed()).toBe(true);
+      expect(primitives.length).toEqual(length);
+    });
+
+    it("constructor throws without scene", function () {
+      expect(function () {
+        return new EntityEditor();
+      }).toThrowDeveloperError();
+    });
+
+    it("shows vertex and midpoint handles for a polygon", function () {
+      editor.entity = createPolygon();
+      expect(editor.vertices.length).toEqual(3);
+      expect(editor._handles.length).toEqual(6);
+
+      editor.entity = undefined;
+      expect(editor._handles.length).toEqual(0);
+    });
+
+    it("moves polygon vertices into a ConstantProperty", function () {
+      const entity = createPolygon();
+      const hierarchy = entity.polygon.hierarchy;
+      const changed = jasmine.createSpy("changed");
+      editor.changed.addEventListener(changed);
+      editor.entity = entity;
+
+      const position = Cartesian3.fromDegrees(2.0, 2.0);
+      editor.moveVertex(2, position);
+
+      expect(entity.polygon.hierarchy).toBe(hierarchy);
+      expect(entity.polygon.hierarchy).toBeInstanceOf(ConstantProperty);
+      const value = entity.polygon.hierarchy.getValue(JulianDate.now());
+      expect(value.positions[2]).toEqual(position);
+      expect(editor.vertices[2]).toEqual(position);
+      expect(changed).toHaveBeenCalledWith(entity);
+      expect(editor.canUndo).toBe(true);
+    });
+
+    it("inserts and removes polyline vertices", function () {
+      const entity = new Entity({
+        polyline: {
+          positions: Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 0.0]),
+        },
+      });
+      editor.entity = entity;
+      expect(editor._handles.length).toEqual(3);
+
+      const position = Cartesian3.fromDegrees(0.5, 0.5);
+      editor.insertVertex(1, position);
+      let positions = entity.polyline.positions.getValue(JulianDate.now());
+      expect(positions.length).toEqual(3);
+      expect(positions[1]).toEqual(position);
+      expect(editor._handles.length).toEqual(5);
+
+      expect(editor.removeVertex(0)).toBe(true);
+      positions = entity.polyline.positions.getValue(JulianDate.now());
+      expect(positions.length).toEqual(2);
+      expect(positions[0]).toEqual(position);
+
+      // A polyline needs at least two positions
+      expect(editor.removeVertex(0)).toBe(false);
+      expect(
+        entity.polyline.positions.getValue(JulianDate.now()).length,
+      ).toEqual(2);
+    });
+
+    it("keeps polygon holes when editing", function () {
+      const hole = new PolygonHierarchy(
+        Cartesian3.fromDegreesArray([0.6, 0.2, 0.8, 0.2, 0.8, 0.4]),
+      );
+      const entity = new Entity({
+        polygon: {
+          hierarchy: new PolygonHierarchy(
+            Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 0.0, 1.0, 1.0]),
+            [hole],
+          ),
+        },
+      });
+      editor.entity = entity;
+
+      // A polygon needs at least three positions
+      expect(editor.removeVertex(0)).toBe(false);
+
+      editor.insertVertex(3, Cartesian3.fromDegrees(0.0, 1.0));
+      const value = entity.polygon.hierarchy.getValue(JulianDate.now());
+      expect(value.positions.length).toEqual(4);
+      expect(value.holes).toEqual([hole]);
+    });
+
+    it("throws when inserting or removing vertices of other geometry", function () {
+      editor.entity = new Entity({
+        position: Cartesian3.fromDegrees(0.0, 0.0),
+        point: {},
+      });
+
+      expect(function () {
+        editor.insertVertex(0, Cartesian3.fromDegrees(1.0, 1.0));
+      }).toThrowDeveloperError();
+      expect(function () {
+        editor.removeVertex(0);
+      }).toThrowDeveloperError();
+    });
+
+    it("moveVertex throws without an entity", function () {
+      expect(function () {
+        editor.moveVertex(0, Cartesian3.fromDegrees(1.0, 1.0));
+      }).toThrowDeveloperError();
+    });
+
+    it("moves an entity position into a ConstantPositionProperty", function () {
+      const entity = new Entity({
+        position: Cartesian3.fromDegrees(0.0, 0.0),
+        point: {},
+      });
+      const property = entity.position;
+      editor.entity = entity;
+      expect(editor.vertices.length).toEqual(1);
+
+      const position = Cartesian3.fromDegrees(1.0, 1.0, 10.0);
+      editor.moveVertex(0, position);
+      expect(entity.position).toBe(property);
+      expect(entity.position.getValue(JulianDate.now())).toEqual(position);
+    });
+
+    it("replaces time-dynamic positions with a ConstantPositionProperty", function () {
+      const time = JulianDate.now();
+      const property = new SampledPositionProperty();
+      property.addSample(time, Cartesian3.fromDegrees(0.0, 0.0));
+      const entity = new Entity({
+        position: property,
+        billboard: {},
+      });
+      editor.destroy();
+      editor = new EntityEditor({
+        scene: scene,
+        clock: {
+          currentTime: time,
+        },
+      });
+      editor.entity = entity;
+
+      const position = Cartesian3.fromDegrees(1.0, 1.0);
+      editor.moveVertex(0, position);
+      expect(entity.position).toBeInstanceOf(ConstantPositionProperty);
+      expect(entity.position.getValue(time)).toEqual(position);
+
+      editor.undo();
+      expect(entity.position.getValue(time)).toEqual(
+        Cartesian3.fromDegrees(0.0, 0.0),
+      );
+    });
+
+    it("moves rectangle corners", function () {
+      const entity = new Entity({
+        rectangle: {
+          coordinates: Rectangle.fromDegrees(0.0, 0.0, 1.0, 1.0),
+        },
+      });
+      editor.entity = entity;
+      expect(editor.vertices.length).toEqual(4);
+
+      // Moving the north-east corner keeps the south-west corner in place
+      editor.moveVertex(1, Cartesian3.fromDegrees(2.0, 3.0));
+      let coordinates = entity.rectangle.coordinates.getValue(JulianDate.now());
+      expect(coordinates).toEqualEpsilon(
+        Rectangle.fromDegrees(0.0, 0.0, 2.0, 3.0),
+        CesiumMath.EPSILON10,
+      );
+
+      // Moving a corner past the opposite corner flips the rectangle
+      editor.moveVertex(3, Cartesian3.fromDegrees(3.0, 4.0));
+      coordinates = entity.rectangle.coordinates.getValue(JulianDate.now());
+      expect(coordinates).toEqualEpsilon(
+        Rectangle.fromDegrees(2.0, 3.0, 3.0, 4.0),
+        CesiumMath.EPSILON10,
+      );
+    });
+
+    it("edits ellipse center and radii", function () {
+      const center = Cartesian3.fromDegrees(0.0, 0.0);
+      const entity = new Entity({
+        position: center,
+        ellipse: {
+          semiMajorAxis: 2000.0,
+          semiMinorAxis: 1000.0,
+        },
+      });
+      editor.entity = entity;
+
+      const vertices = editor.vertices;
+      expect(vertices.length).toEqual(3);
+      expect(vertices[0]).toEqual(center);
+      expect(Cartesian3.distance(vertices[0], vertices[1])).toEqualEpsilon(
+        2000.0,
+        1.0,
+      );
+      // With no rotation the semi-major axis points north
+      const major = Cartographic.fromCartesian(vertices[1]);
+      expect(major.latitude).toBeGreaterThan(0.0);
+      expect(major.longitude).toEqualEpsilon(0.0, CesiumMath.EPSILON10);
+
+      editor.moveVertex(1, Cartesian3.fromDegrees(0.0, 0.03));
+      expect(
+        entity.ellipse.semiMajorAxis.getValue(JulianDate.now()),
+      ).toBeGreaterThan(3000.0);
+
+      // The semi-minor axis can not be longer than the semi-major axis
+      editor.moveVertex(2, Cartesian3.fromDegrees(1.0, 0.0));
+      expect(entity.ellipse.semiMinorAxis.getValue(JulianDate.now())).toEqual(
+        entity.ellipse.semiMajorAxis.getValue(JulianDate.now()),
+      );
+
+      const newCenter = Cartesian3.fromDegrees(1.0, 1.0);
+      editor.moveVertex(0, newCenter);
+      expect(entity.position.getValue(JulianDate.now())).toEqual(newCenter);
+    });
+
+    it("undoes and redoes edits", function () {
+      const entity = createPolygon();
+      const original = entity.polygon.hierarchy.getValue(JulianDate.now());
+      editor.entity = entity;
+
+      const position = Cartesian3.fromDegrees(2.0, 2.0);
+      editor.moveVertex(0, position);
+      editor.insertVertex(1, Cartesian3.fromDegrees(0.5, -0.5));
+
+      expect(editor.undo()).toBe(true);
+      let value = entity.polygon.hierarchy.getValue(JulianDate.now());
+      expect(value.positions.length).toEqual(3);
+      expect(value.positions[0]).toEqual(position);
+      expect(editor.canRedo).toBe(true);
+
+      expect(editor.undo()).toBe(true);
+      value = entity.polygon.hierarchy.getValue(JulianDate.now());
+      expect(value.positions).toEqual(original.positions);
+      expect(editor.vertices).toEqual(original.positions);
+      expect(editor.undo()).toBe(false);
+
+      expect(editor.redo()).toBe(true);
+      expect(editor.redo()).toBe(true);
+      expect(editor.redo()).toBe(false);
+      value = entity.polygon.hierarchy.getValue(JulianDate.now());
+      expect(value.positions.length).toEqual(4);
+
+      // A new edit clears the redo stack
+      editor.undo();
+      editor.moveVertex(1, position);
+      expect(editor.canRedo).toBe(false);
+
+      editor.clearHistory();
+      expect(editor.canUndo).toBe(false);
+    });
+
+    it("limits the undo stack to maximumUndoDepth", function () {
+      editor.maximumUndoDepth = 2;
+      editor.entity = createPolygon();
+
+      editor.moveVertex(0, Cartesian3.fromDegrees(0.1, 0.0));
+      editor.moveVertex(0, Cartesian3.fromDegrees(0.2, 0.0));
+      editor.moveVertex(0, Cartesian3.fromDegrees(0.3, 0.0));
+
+      expect(editor.undo()).toBe(true);
+      expect(editor.undo()).toBe(true);
+      expect(editor.undo()).toBe(false);
+      expect(editor.vertices[0]).toEqual(Cartesian3.fromDegrees(0.1, 0.0));
+    });
+
+    it("refreshes handles when the entity changes", function () {
+      const entity = createPolygon();
+      editor.entity = entity;
+
+      entity.polygon.hierarchy = new PolygonHierarchy(
+        Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 0.0, 1.0, 1.0, 0.0, 1.0]),
+      );
+      expect(editor.vertices.length).toEqual(4);
+      expect(editor._handles.length).toEqual(8);
+    });
+
+    function simulateDrag(handle, position) {
+      const eventHandler = editor._eventHandler;
+      spyOn(scene, "pick").and.returnValue({
+        collection: editor._handles,
+        id: handle,
+      });
+      // Look straight down at the target position from above
+      const up = Cartesian3.normalize(position, new Cartesian3());
+      spyOn(scene.camera, "getPickRay").and.returnValue(
+        new Ray(
+          Cartesian3.add(
+            position,
+            Cartesian3.multiplyByScalar(up, 100000.0, new Cartesian3()),
+            new Cartesian3(),
+          ),
+          Cartesian3.negate(up, new Cartesian3()),
+        ),
+      );
+
+      eventHandler.getInputAction(ScreenSpaceEventType.LEFT_DOWN)({
+        position: new Cartesian2(),
+      });
+      expect(editor.isDragging).toBe(true);
+      expect(scene.screenSpaceCameraController.enableInputs).toBe(false);
+
+      eventHandler.getInputAction(ScreenSpaceEventType.MOUSE_MOVE)({
+        startPosition: new Cartesian2(),
+        endPosition: new Cartesian2(),
+      });
+      eventHandler.getInputAction(ScreenSpaceEventType.LEFT_UP)({
+        position: new Cartesian2(),
+      });
+      expect(editor.isDragging).toBe(false);
+      expect(scene.screenSpaceCameraController.enableInputs).toBe(true);
+    }
+
+    it("drags a vertex and keeps its height", function () {
+      const entity = new Entity({
+        polyline: {
+          positions: Cartesian3.fromDegreesArrayHeights([
+            0.0, 0.0, 100.0, 1.0, 0.0, 100.0,
+          ]),
+        },
+      });
+      const property = entity.polyline.positions;
+      editor.entity = entity;
+
+      simulateDrag({ type: 0, index: 1 }, Cartesian3.fromDegrees(2.0, 1.0));
+
+      expect(entity.polyline.positions).toBe(property);
+      const positions = property.getValue(JulianDate.now());
+      expect(positions[1]).toEqualEpsilon(
+        Cartesian3.fromDegrees(2.0, 1.0, 100.0),
+        CesiumMath.EPSILON6,
+      );
+      expect(editor.canUndo).toBe(true);
+    });
+
+    it("drags a vertex of geometry clamped to ground onto the surface", function () {
+      const entity = new Entity({
+        position: Cartesian3.fromDegrees(0.0, 0.0, 100.0),
+        point: {
+          heightReference: HeightReference.CLAMP_TO_GROUND,
+        },
+      });
+      editor.entity = entity;
+
+      simulateDrag({ type: 0, index: 0 }, Cartesian3.fromDegrees(1.0, 1.0));
+
+      expect(entity.position.getValue(JulianDate.now())).toEqualEpsilon(
+        Cartesian3.fromDegrees(1.0, 1.0, 0.0),
+        CesiumMath.EPSILON6,
+      );
+    });
+
+    it("dragging a midpoint inserts a vertex", function () {
+      const entity = createPolygon();
+      editor.entity = entity;
+
+      simulateDrag({ type: 1, index: 0 }, Cartesian3.fromDegrees(0.5, -1.0));
+
+      const positions = entity.polygon.hierarchy.getValue(
+        JulianDate.now(),
+      ).positions;
+      expect(positions.length).toEqual(4);
+      expect(positions[1]).toEqualEpsilon(
+        Cartesian3.fromDegrees(0.5, -1.0),
+        CesiumMath.EPSILON6,
+      );
+
+      // Inserting and dragging the vertex is a single edit
+      editor.undo();
+      expect(
+        entity.polygon.hierarchy.getValue(JulianDate.now()).positions.length,
+      ).toEqual(3);
+      expect(editor.canUndo).toBe(false);
+    });
+
+    it("right-clicking a vertex removes it", function () {
+      const entity = new Entity({
+        polyline: {
+          positions: Cartesian3.fromDegreesArray([
+            0.0, 0.0, 1.0, 0.0, 2.0, 0.0,
+          ]),
+        },
+      });
+      editor.entity = entity;
+      spyOn(scene, "pick").and.returnValue({
+        collection: editor._handles,
+        id: { type: 0, index: 1 },
+      });
+
+      editor._eventHandler.getInputAction(ScreenSpaceEventType.RIGHT_CLICK)({
+        position: new Cartesian2(),
+      });
+      expect(
+        entity.polyline.positions.getValue(JulianDate.now()).length,
+      ).toEqual(2);
+    });
+  },
+  "WebGL",
+);
@@ -448,6 +448,31 @@ describe("DataSources/Entity", function () {
     expect(entity.isShowing).toBe(false);
   });
 
+  it("isShowing is false when lodShow is false", function () {
+    const parent = new Entity();
+    const entity = new Entity({
+      parent: parent,
+    });
+
+    const listener = jasmine.createSpy("listener");
+    entity.definitionChanged.addEventListener(listener);
+
+    parent.lodShow = false;
+    expect(parent.show).toBe(true);
+    expect(parent.isShowing).toBe(false);
+    expect(entity.isShowing).toBe(false);
+    expect(listener.calls.count()).toBe(1);
+    expect(listener.calls.argsFor(0)).toEqual([
+      entity,
+      "isShowing",
+      false,
+      true,
+    ]);
+
+    parent.lodShow = true;
+    expect(entity.isShowing).toBe(true);
+  });
+
   function ancestorShowTest(entity, ancestor) {
     const listener = jasmine.createSpy("listener");
     entity.definitionChanged.addEventListener(listener);
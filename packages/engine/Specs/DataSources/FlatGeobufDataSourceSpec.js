@@ -0,0 +1,263 @@
+import {
+  Cartesian3,
+  Color,
+  FlatGeobufDataSource,
+  GeoJsonDataSource,
+  JulianDate,
+  Math as CesiumMath,
+  Rectangle,
+  RuntimeError,
+} from "../../index.js";
+
+import pollToPromise from "../../../../Specs/pollToPromise.js";
+
+describe("DataSources/FlatGeobufDataSource", function () {
+  const time = new JulianDate();
+
+  let camera;
+
+  beforeEach(function () {
+    camera = {
+      positionWC: new Cartesian3(0.0, 0.0, 0.0),
+      directionWC: new Cartesian3(0.0, 0.0, 1.0),
+      upWC: new Cartesian3(0.0, 1.0, 0.0),
+      rectangle: Rectangle.fromDegrees(10.1, 20.1, 10.9, 20.9),
+      computeViewRectangle: function () {
+        return this.rectangle;
+      },
+    };
+  });
+
+  function moveCamera(rectangle) {
+    camera.positionWC.x += 1.0;
+    camera.rectangle = rectangle;
+  }
+
+  function waitForUpdate(dataSource) {
+    dataSource.update(time);
+    return pollToPromise(function () {
+      return !dataSource.isLoading;
+    });
+  }
+
+  function getIds(dataSource) {
+    return dataSource.entities.values
+      .map(function (entity) {
+        return entity.properties.id.getValue(time);
+      })
+      .sort(function (a, b) {
+        return a - b;
+      });
+  }
+
+  it("default constructor has expected values", function () {
+    const dataSource = new FlatGeobufDataSource();
+    expect(dataSource).toBeInstanceOf(GeoJsonDataSource);
+    expect(dataSource.name).toBeUndefined();
+    expect(dataSource.camera).toBeUndefined();
+    expect(dataSource.maximumFeatures).toBe(50000);
+    expect(dataSource.featuresCount).toBeUndefined();
+    expect(dataSource.loadedFeaturesCount).toBe(0);
+    expect(dataSource.entities.values.length).toBe(0);
+    expect(dataSource.isLoading).toBe(false);
+  });
+
+  it("loads every feature without a camera", async function () {
+    const dataSource = await FlatGeobufDataSource.load(
+      "Data/FlatGeobuf/grid.fgb",
+    );
+    expect(dataSource.name).toBe("grid.fgb");
+    expect(dataSource.featuresCount).toBe(100);
+    expect(dataSource.loadedFeaturesCount).toBe(100);
+    expect(dataSource.entities.values.length).toBe(100);
+    expect(dataSource.isLoading).toBe(false);
+  });
+
+  it("loads the features in view with their properties", async function () {
+    const dataSource = await FlatGeobufDataSource.load(
+      "Data/FlatGeobuf/grid.fgb",
+      {
+        camera: camera,
+      },
+    );
+    expect(dataSource.camera).toBe(camera);
+    expect(getIds(dataSource)).toEqual([0, 1, 10, 11]);
+
+    const entities = dataSource.entities.values;
+    const first = entities.find(function (entity) {
+      return entity.properties.id.getValue(time) === 0;
+    });
+    expect(first.properties.name.getValue(time)).toBe("方格 0");
+    expect(first.properties.value.getValue(time)).toBe(0.0);
+
+    const hierarchy = first.polygon.hierarchy.getValue(time);
+    expect(hierarchy.positions.length).toBe(5);
+    expect(hierarchy.positions[2]).toEqualEpsilon(
+      Cartesian3.fromDegrees(10.5, 20.5),
+      CesiumMath.EPSILON7,
+    );
+
+    // Null values are not written to the file
+    const second = entities.find(function (entity) {
+      return entity.properties.id.getValue(time) === 1;
+    });
+    expect(second.properties.hasProperty("value")).toBe(false);
+  });
+
+  it("loads and unloads features when the view changes", async function () {
+    const dataSource = await FlatGeobufDataSource.load(
+      "Data/FlatGeobuf/grid.fgb",
+      {
+        camera: camera,
+      },
+    );
+
+    moveCamera(Rectangle.fromDegrees(10.6, 20.1, 11.4, 20.4));
+    await waitForUpdate(dataSource);
+    expect(getIds(dataSource)).toEqual([1, 2]);
+    expect(dataSource.loadedFeaturesCount).toBe(2);
+
+    // Features that stay in view keep their entities
+    const entity = dataSource.entities.values.find(function (entity) {
+      return entity.properties.id.getValue(time) === 1;
+    });
+    moveCamera(Rectangle.fromDegrees(10.1, 20.1, 10.9, 20.4));
+    await waitForUpdate(dataSource);
+    expect(getIds(dataSource)).toEqual([0, 1]);
+    expect(dataSource.entities.contains(entity)).toBe(true);
+  });
+
+  it("does not reload when the camera has not moved", async function () {
+    const dataSource = await FlatGeobufDataSource.load(
+      "Data/FlatGeobuf/grid.fgb",
+      {
+        camera: camera,
+      },
+    );
+
+    camera.rectangle = Rectangle.fromDegrees(12.0, 22.0, 13.0, 23.0);
+    dataSource.update(time);
+    expect(dataSource.isLoading).toBe(false);
+    expect(getIds(dataSource)).toEqual([0, 1, 10, 11]);
+  });
+
+  it("splits views that cross the antimeridian", async function () {
+    camera.rectangle = Rectangle.fromDegrees(14.6, 20.1, -170.0, 21.4);
+    const dataSource = await FlatGeobufDataSource.load(
+      "Data/FlatGeobuf/grid.fgb",
+      {
+        camera: camera,
+      },
+    );
+    expect(getIds(dataSource)).toEqual([9, 19, 29]);
+  });
+
+  it("limits the number of loaded features", async function () {
+    const dataSource = await FlatGeobufDataSource.load(
+      "Data/FlatGeobuf/grid.fgb",
+      {
+        maximumFeatures: 5,
+      },
+    );
+    expect(dataSource.maximumFeatures).toBe(5);
+    expect(dataSource.entities.values.length).toBe(5);
+  });
+
+  it("loads Web Mercator features without a spatial index", async function () {
+    const dataSource = await FlatGeobufDataSource.load(
+      "Data/FlatGeobuf/mixed.fgb",
+    );
+    expect(dataSource.featuresCount).toBe(3);
+
+    const entities = dataSource.entities;
+    expect(entities.values.length).toBe(4);
+    expect(entities.getById("0").polyline.positions.getValue(time)).toEqual([
+      jasmine.any(Cartesian3),
+      jasmine.any(Cartesian3),
+    ]);
+    expect(
+      entities.getById("0").polyline.positions.getValue(time)[1],
+    ).toEqualEpsilon(
+      Cartesian3.fromDegrees(-74.0, 41.0, 20.0),
+      CesiumMath.EPSILON7,
+    );
+    expect(
+      entities.getById("1_2").polyline.positions.getValue(time).length,
+    ).toBe(3);
+    expect(entities.getById("2").position.getValue(time)).toEqualEpsilon(
+      Cartesian3.fromDegrees(-74.5, 40.5, 30.0),
+      CesiumMath.EPSILON7,
+    );
+    expect(entities.getById("2").properties.name.getValue(time)).toBe("point");
+  });
+
+  it("filters features without a spatial index by the view", async function () {
+    camera.rectangle = Rectangle.fromDegrees(-76.0, 39.0, -73.0, 42.0);
+    const dataSource = await FlatGeobufDataSource.load(
+      "Data/FlatGeobuf/mixed.fgb",
+      {
+        camera: camera,
+      },
+    );
+    const entities = dataSource.entities;
+    expect(entities.values.length).toBe(2);
+    expect(entities.getById("0")).toBeDefined();
+    expect(entities.getById("2")).toBeDefined();
+
+    moveCamera(Rectangle.fromDegrees(99.0, 9.0, 105.0, 12.0));
+    await waitForUpdate(dataSource);
+    expect(entities.values.length).toBe(2);
+    expect(entities.getById("1")).toBeDefined();
+    expect(entities.getById("1_2")).toBeDefined();
+
+    moveCamera(Rectangle.fromDegrees(-76.0, 39.0, -73.0, 42.0));
+    await waitForUpdate(dataSource);
+    expect(entities.getById("1")).toBeUndefined();
+    expect(entities.getById("1_2")).toBeUndefined();
+  });
+
+  it("uses the GeoJSON styling options", async function () {
+    const dataSource = await FlatGeobufDataSource.load(
+      "Data/FlatGeobuf/grid.fgb",
+      {
+        camera: camera,
+        fill: Color.RED,
+        stroke: Color.BLUE,
+      },
+    );
+
+    moveCamera(Rectangle.fromDegrees(12.1, 22.1, 12.4, 22.4));
+    await waitForUpdate(dataSource);
+
+    const polygon = dataSource.entities.values[0].polygon;
+    expect(polygon.material.color.getValue(time)).toEqual(Color.RED);
+    expect(polygon.outlineColor.getValue(time)).toEqual(Color.BLUE);
+  });
+
+  it("load replaces the loaded features", async function () {
+    const dataSource = new FlatGeobufDataSource();
+    await dataSource.load("Data/FlatGeobuf/grid.fgb");
+    await dataSource.load("Data/FlatGeobuf/mixed.fgb");
+    expect(dataSource.name).toBe("mixed.fgb");
+    expect(dataSource.featuresCount).toBe(3);
+    expect(dataSource.entities.values.length).toBe(4);
+  });
+
+  it("rejects files that are not FlatGeobuf files", async function () {
+    const dataSource = new FlatGeobufDataSource();
+    const spy = jasmine.createSpy("errorEvent");
+    dataSource.errorEvent.addEventListener(spy);
+
+    await expectAsync(
+      dataSource.load("Data/Shapefile/points.shp"),
+    ).toBeRejectedWithError(RuntimeError);
+    expect(spy).toHaveBeenCalledWith(dataSource, jasmine.any(RuntimeError));
+    expect(dataSource.isLoading).toBe(false);
+  });
+
+  it("throws without a url", function () {
+    expect(function () {
+      return new FlatGeobufDataSource().load(undefined);
+    }).toThrowDeveloperError();
+  });
+});
@@ -0,0 +1,391 @@
+import {
+  Cartesian3,
+  Color,
+  ColorMaterialProperty,
+  ConstantProperty,
+  Entity,
+  EntityCollection,
+  GeographicTilingScheme,
+  History,
+  ImageryLayer,
+  ImageryLayerCollection,
+  PointGraphics,
+  PropertyBag,
+} from "../../index.js";
+
+describe("DataSources/History", function () {
+  const fakeProvider = {
+    tilingScheme: new GeographicTilingScheme(),
+  };
+
+  let history;
+  let entities;
+
+  beforeEach(function () {
+    history = new History();
+    entities = new EntityCollection();
+    history.track(entities);
+  });
+
+  afterEach(function () {
+    history = history && !history.isDestroyed() && history.destroy();
+  });
+
+  it("constructor sets default values", function () {
+    const history = new History();
+    expect(history.maximumDepth).toBe(100);
+    expect(history.canUndo).toBe(false);
+    expect(history.canRedo).toBe(false);
+    expect(history.isApplying).toBe(false);
+  });
+
+  it("track throws with an unsupported collection", function () {
+    expect(function () {
+      history.track({});
+    }).toThrowDeveloperError();
+  });
+
+  it("tracks and untracks collections", function () {
+    const layers = new ImageryLayerCollection();
+    expect(history.isTracking(entities)).toBe(true);
+    expect(history.isTracking(layers)).toBe(false);
+
+    history.track(layers);
+    expect(history.isTracking(layers)).toBe(true);
+
+    expect(history.untrack(entities)).toBe(true);
+    expect(history.untrack(entities)).toBe(false);
+    expect(history.isTracking(entities)).toBe(false);
+
+    entities.add(new Entity());
+    expect(history.canUndo).toBe(false);
+  });
+
+  it("undoes and redoes adding an entity", function () {
+    const entity = entities.add(new Entity());
+    expect(history.canUndo).toBe(true);
+
+    expect(history.undo()).toBe(true);
+    expect(entities.contains(entity)).toBe(false);
+    expect(history.canUndo).toBe(false);
+    expect(history.canRedo).toBe(true);
+
+    expect(history.redo()).toBe(true);
+    expect(entities.contains(entity)).toBe(true);
+    expect(history.canRedo).toBe(false);
+  });
+
+  it("undoes and redoes removing an entity", function () {
+    const entity = entities.add(new Entity());
+    history.clear();
+
+    entities.remove(entity);
+    history.undo();
+    expect(entities.contains(entity)).toBe(true);
+
+    history.redo();
+    expect(entities.contains(entity)).toBe(false);
+  });
+
+  it("records changes made while events are suspended as one step", function () {
+    const entity = entities.add(new Entity());
+    history.clear();
+
+    entities.suspendEvents();
+    entities.remove(entity);
+    const other = entities.add(new Entity());
+    entities.resumeEvents();
+
+    history.undo();
+    expect(entities.contains(entity)).toBe(true);
+    expect(entities.contains(other)).toBe(false);
+    expect(history.canUndo).toBe(false);
+  });
+
+  it("undoes and redoes entity property changes", function () {
+    const entity = entities.add(new Entity());
+    const position = new Cartesian3(1.0, 2.0, 3.0);
+    history.clear();
+
+    entity.position = position;
+    const positionProperty = entity.position;
+    entity.name = "name";
+
+    history.undo();
+    expect(entity.name).toBeUndefined();
+    expect(entity.position).toBe(positionProperty);
+
+    history.undo();
+    expect(entity.position).toBeUndefined();
+
+    history.redo();
+    history.redo();
+    expect(entity.position).toBe(positionProperty);
+    expect(entity.name).toBe("name");
+  });
+
+  it("undoes and redoes graphics property changes", function () {
+    const entity = entities.add(
+      new Entity({
+        point: new PointGraphics({
+          pixelSize: 10.0,
+        }),
+      }),
+    );
+    const pixelSize = entity.point.pixelSize;
+    history.clear();
+
+    entity.point.pixelSize = 20.0;
+    expect(history.canUndo).toBe(true);
+
+    history.undo();
+    expect(entity.point.pixelSize).toBe(pixelSize);
+    expect(history.canUndo).toBe(false);
+
+    history.redo();
+    expect(entity.point.pixelSize.getValue()).toBe(20.0);
+  });
+
+  it("tracks graphics assigned after the entity was added", function () {
+    const entity = entities.add(new Entity());
+    entity.point = new PointGraphics();
+    history.clear();
+
+    entity.point.color = Color.RED;
+    history.undo();
+    expect(entity.point.color).toBeUndefined();
+  });
+
+  it("stops tracking replaced graphics", function () {
+    const entity = entities.add(
+      new Entity({
+        point: new PointGraphics(),
+      }),
+    );
+    const oldPoint = entity.point;
+    entity.point = new PointGraphics();
+    history.clear();
+
+    oldPoint.color = Color.RED;
+    expect(history.canUndo).toBe(false);
+  });
+
+  it("undoes and redoes property bag changes", function () {
+    const entity = entities.add(
+      new Entity({
+        properties: new PropertyBag({
+          a: 1,
+        }),
+      }),
+    );
+    const a = entity.properties.a;
+    history.clear();
+
+    entity.properties.a = 2;
+    history.undo();
+    expect(entity.properties.a).toBe(a);
+  });
+
+  it("does not record changes inside a property", function () {
+    const entity = entities.add(
+      new Entity({
+        point: new PointGraphics({
+          pixelSize: new ConstantProperty(10.0),
+        }),
+        polygon: {
+          material: new ColorMaterialProperty(Color.RED),
+        },
+      }),
+    );
+    history.clear();
+
+    entity.point.pixelSize.setValue(20.0);
+    entity.polygon.material.color = Color.BLUE;
+    expect(history.canUndo).toBe(false);
+  });
+
+  it("does not record changes to removed entities", function () {
+    const entity = entities.add(new Entity());
+    entities.remove(entity);
+    history.clear();
+
+    entity.name = "name";
+    expect(history.canUndo).toBe(false);
+  });
+
+  it("groups the changes of a transaction into one step", function () {
+    const entity = entities.add(new Entity());
+    history.clear();
+
+    const result = history.transaction(function () {
+      entity.name = "name";
+      history.transaction(function () {
+        entity.show = false;
+      });
+      entities.remove(entity);
+      return 1;
+    });
+    expect(result).toBe(1);
+
+    history.undo();
+    expect(entities.contains(entity)).toBe(true);
+    expect(entity.name).toBeUndefined();
+    expect(entity.show).toBe(true);
+    expect(history.canUndo).toBe(false);
+
+    history.redo();
+    expect(entities.contains(entity)).toBe(false);
+    expect(entity.name).toBe("name");
+    expect(entity.show).toBe(false);
+  });
+
+  it("records the changes of a transaction that throws", function () {
+    expect(function () {
+      history.transaction(function () {
+        entities.add(new Entity());
+        throw new Error();
+      });
+    }).toThrowError();
+
+    expect(history.canUndo).toBe(true);
+    history.undo();
+    expect(entities.values.length).toBe(0);
+  });
+
+  it("does not record changes made while undoing or redoing", function () {
+    const entity = entities.add(new Entity());
+    entity.name = "name";
+
+    history.undo();
+    history.undo();
+    expect(history.canUndo).toBe(false);
+
+    history.redo();
+    expect(history.canRedo).toBe(true);
+  });
+
+  it("clears the redo stack after a new change", function () {
+    const entity = entities.add(new Entity());
+    history.undo();
+    expect(history.canRedo).toBe(true);
+
+    entities.add(new Entity());
+    expect(history.canRedo).toBe(false);
+    expect(entities.contains(entity)).toBe(false);
+  });
+
+  it("limits the undo stack to maximumDepth", function () {
+    history.maximumDepth = 2;
+    const entity = entities.add(new Entity());
+    entity.name = "a";
+    entity.name = "b";
+
+    expect(history.undo()).toBe(true);
+    expect(history.undo()).toBe(true);
+    expect(history.undo()).toBe(false);
+    expect(entities.contains(entity)).toBe(true);
+    expect(entity.name).toBeUndefined();
+  });
+
+  it("undo and redo return false when there is nothing to apply", function () {
+    expect(history.undo()).toBe(false);
+    expect(history.redo()).toBe(false);
+  });
+
+  it("raises the changed event", function () {
+    const spy = jasmine.createSpy("listener");
+    history.changed.addEventListener(spy);
+
+    entities.add(new Entity());
+    expect(spy.calls.count()).toBe(1);
+
+    history.undo();
+    expect(spy.calls.count()).toBe(2);
+
+    history.redo();
+    expect(spy.calls.count()).toBe(3);
+
+    history.clear();
+    expect(spy.calls.count()).toBe(4);
+  });
+
+  it("undoes and redoes imagery layer changes", function () {
+    const layers = new ImageryLayerCollection();
+    const layer1 = layers.addImageryProvider(fakeProvider);
+    const layer2 = layers.addImageryProvider(fakeProvider);
+    history.track(layers);
+
+    const layer3 = new ImageryLayer(fakeProvider);
+    layers.add(layer3, 1);
+    layers.raiseToTop(layer1);
+    layers.remove(layer2, false);
+    expect(layers.indexOf(layer3)).toBe(0);
+    expect(layers.indexOf(layer1)).toBe(1);
+
+    history.undo();
+    expect(layers.indexOf(layer2)).toBe(1);
+
+    history.undo();
+    expect(layers.indexOf(layer1)).toBe(0);
+    expect(layers.indexOf(layer3)).toBe(1);
+    expect(layers.indexOf(layer2)).toBe(2);
+
+    history.undo();
+    expect(layers.contains(layer3)).toBe(false);
+
+    history.redo();
+    history.redo();
+    history.redo();
+    expect(layers.length).toBe(2);
+    expect(layers.indexOf(layer3)).toBe(0);
+    expect(layers.indexOf(layer1)).toBe(1);
+  });
+
+  it("restores all imagery layers after removeAll", function () {
+    const layers = new ImageryLayerCollection();
+    const layer1 = layers.addImageryProvider(fakeProvider);
+    const layer2 = layers.addImageryProvider(fakeProvider);
+    const layer3 = layers.addImageryProvider(fakeProvider);
+    history.track(layers);
+
+    layers.removeAll(false);
+    expect(history.undo()).toBe(true);
+    expect(history.canUndo).toBe(false);
+
+    expect(layers.length).toBe(3);
+    expect(layers.get(0)).toBe(layer1);
+    expect(layers.get(1)).toBe(layer2);
+    expect(layers.get(2)).toBe(layer3);
+  });
+
+  it("does not restore destroyed imagery layers", function () {
+    const layers = new ImageryLayerCollection();
+    const layer = layers.addImageryProvider(fakeProvider);
+    history.track(layers);
+
+    layers.remove(layer);
+    expect(history.undo()).toBe(false);
+    expect(history.canRedo).toBe(false);
+    expect(layers.length).toBe(0);
+  });
+
+  it("does not restore imagery layers destroyed by removeAll", function () {
+    const layers = new ImageryLayerCollection();
+    layers.addImageryProvider(fakeProvider);
+    layers.addImageryProvider(fakeProvider);
+    history.track(layers);
+
+    layers.removeAll();
+    expect(history.undo()).toBe(false);
+    expect(history.canUndo).toBe(false);
+    expect(history.canRedo).toBe(false);
+    expect(layers.length).toBe(0);
+  });
+
+  it("destroy stops tracking", function () {
+    history = history.destroy();
+    expect(function () {
+      entities.add(new Entity());
+    }).not.toThrow();
+  });
+});
@@ -5374,7 +5374,7 @@ describe("DataSources/KmlDataSource", function () {
     });
   });
 
-  it("ExtendedData with SchemaData or custom XML show warnings", function () {
+  it("ExtendedData with custom XML or SchemaData without a Schema show warnings", function () {
     const kml =
       '<?xml version="1.0" encoding="UTF-8"?>\
             <Placemark>\
@@ -5384,7 +5384,9 @@ describe("DataSources/KmlDataSource", function () {
                 </coordinates>\
               </LineString>\
               <ExtendedData xmlns:prefix="test">\
-                <SchemaData></SchemaData>\
+                <SchemaData>\
+                  <SimpleData name="count">12</SimpleData>\
+                </SchemaData>\
               </ExtendedData>\
             </Placemark>';
 
@@ -5397,11 +5399,96 @@ describe("DataSources/KmlDataSource", function () {
       expect(dataSource.entities.values.length).toEqual(1);
       expect(console.warn.calls.count()).toEqual(2);
       expect(console.warn.calls.argsFor(0)[0]).toBe(
-        "KML - SchemaData is unsupported",
+        "KML - ExtendedData with xmlns:prefix is unsupported",
       );
       expect(console.warn.calls.argsFor(1)[0]).toBe(
-        "KML - ExtendedData with xmlns:prefix is unsupported",
+        "KML - SchemaData without a Schema in the same file is read as strings",
       );
+
+      const entity = dataSource.entities.values[0];
+      expect(entity.kml.extendedData.count.value).toBe("12");
+      expect(entity.properties.count.getValue()).toBe("12");
+    });
+  });
+
+  it("ExtendedData: reads typed SchemaData into properties", function () {
+    const kml =
+      '<?xml version="1.0" encoding="UTF-8"?>\
+          <Document>\
+            <Schema name="Facility" id="facility">\
+              <SimpleField type="string" name="name">\
+                <displayName>Facility name</displayName>\
+              </SimpleField>\
+              <SimpleField type="int" name="count"/>\
+              <SimpleField type="double" name="height"/>\
+              <SimpleField type="bool" name="open"/>\
+            </Schema>\
+            <Placemark>\
+              <ExtendedData>\
+                <Data name="note">\
+                  <value>hello</value>\
+                </Data>\
+                <SchemaData schemaUrl="#facility">\
+                  <SimpleData name="name">Tower</SimpleData>\
+                  <SimpleData name="count">12</SimpleData>\
+                  <SimpleData name="height">45.5</SimpleData>\
+                  <SimpleData name="open">true</SimpleData>\
+                </SchemaData>\
+              </ExtendedData>\
+            </Placemark>\
+          </Document>';
+
+    return KmlDataSource.load(
+      parser.parseFromString(kml, "text/xml"),
+      options,
+    ).then(function (dataSource) {
+      const entity = dataSource.entities.values[0];
+      const extendedData = entity.kml.extendedData;
+      expect(extendedData.note.value).toBe("hello");
+      expect(extendedData.name).toEqual({
+        displayName: "Facility name",
+        value: "Tower",
+      });
+      expect(extendedData.count.value).toBe(12);
+      expect(extendedData.height.value).toBe(45.5);
+      expect(extendedData.open.value).toBe(true);
+
+      const properties = entity.properties;
+      expect(properties.note.getValue()).toBe("hello");
+      expect(properties.name.getValue()).toBe("Tower");
+      expect(properties.count.getValue()).toBe(12);
+      expect(properties.height.getValue()).toBe(45.5);
+      expect(properties.open.getValue()).toBe(true);
+    });
+  });
+
+  it("ExtendedData: SchemaData values can be used in a BalloonStyle", function () {
+    const kml =
+      '<?xml version="1.0" encoding="UTF-8"?>\
+          <Document>\
+            <Schema name="Facility" id="facility">\
+              <SimpleField type="int" name="count"/>\
+            </Schema>\
+            <Placemark>\
+              <Style>\
+                <BalloonStyle>\
+                  <text>Count: $[Facility/count]</text>\
+                </BalloonStyle>\
+              </Style>\
+              <ExtendedData>\
+                <SchemaData schemaUrl="#facility">\
+                  <SimpleData name="count">12</SimpleData>\
+                </SchemaData>\
+              </ExtendedData>\
+            </Placemark>\
+          </Document>';
+
+    return KmlDataSource.load(
+      parser.parseFromString(kml, "text/xml"),
+      options,
+    ).then(function (dataSource) {
+      const entity = dataSource.entities.values[0];
+      expect(entity.description.getValue()).toContain("Count: 12");
     });
   });
 
@@ -5449,33 +5536,209 @@ describe("DataSources/KmlDataSource", function () {
     });
   });
 
-  it("Features with a Region shows warning", function () {
-    const kml =
-      '<?xml version="1.0" encoding="UTF-8"?>\
+  describe("Region", function () {
+    const region =
+      "<Region>\
+        <LatLonAltBox>\
+          <north>1</north>\
+          <south>-1</south>\
+          <east>1</east>\
+          <west>-1</west>\
+        </LatLonAltBox>\
+        <Lod>\
+          <minLodPixels>128</minLodPixels>\
+          <maxLodPixels>1024</maxLodPixels>\
+        </Lod>\
+      </Region>";
+
+    let camera;
+
+    // Looks straight down from the given height above the Region
+    function moveCamera(longitude, height) {
+      camera.positionWC = Cartesian3.fromDegrees(longitude, 0.0, height);
+      camera.directionWC = Cartesian3.negate(
+        Cartesian3.normalize(camera.positionWC, new Cartesian3()),
+        new Cartesian3(),
+      );
+    }
+
+    beforeEach(function () {
+      camera = {
+        positionWC: undefined,
+        directionWC: undefined,
+        upWC: Cartesian3.clone(Cartesian3.UNIT_Z),
+        frustum: new PerspectiveFrustum({
+          fov: CesiumMath.PI_OVER_FOUR,
+          aspectRatio: 1.0,
+        }),
+        computeViewRectangle: function () {
+          return Rectangle.MAX_VALUE;
+        },
+      };
+      moveCamera(0.0, 1000000.0);
+    });
+
+    it("shows features when their size on screen is within the Lod", function () {
+      const kml = `<?xml version="1.0" encoding="UTF-8"?>\
+          <Placemark>\
+            <Point>\
+              <coordinates>0,0,0</coordinates>\
+            </Point>\
+            ${region}\
+          </Placemark>`;
+
+      return KmlDataSource.load(parser.parseFromString(kml, "text/xml"), {
+        camera: camera,
+        canvas: uberCanvas,
+      }).then(function (dataSource) {
+        const entity = dataSource.entities.values[0];
+        expect(entity.isShowing).toBe(true);
+
+        // Too small
+        moveCamera(0.0, 10000000.0);
+        dataSource.update(0);
+        expect(entity.isShowing).toBe(false);
+
+        // Too large
+        moveCamera(0.0, 50000.0);
+        dataSource.update(0);
+        expect(entity.isShowing).toBe(false);
+
+        // Not in view
+        moveCamera(90.0, 1000000.0);
+        dataSource.update(0);
+        expect(entity.isShowing).toBe(false);
+        expect(entity.show).toBe(true);
+
+        moveCamera(0.0, 1000000.0);
+        dataSource.update(0);
+        expect(entity.isShowing).toBe(true);
+      });
+    });
+
+    it("hides the children of a Folder with an inactive Region", function () {
+      const kml = `<?xml version="1.0" encoding="UTF-8"?>\
+          <Folder>\
+            ${region}\
             <Placemark>\
-              <LineString>\
-                <coordinates>1,2,3 \
-                         4,5,6 \
-                </coordinates>\
-              </LineString>\
-              <Region></Region>\
-            </Placemark>';
+              <Point>\
+                <coordinates>0,0,0</coordinates>\
+              </Point>\
+            </Placemark>\
+          </Folder>`;
 
-    spyOn(console, "warn").and.callThrough();
+      moveCamera(0.0, 10000000.0);
+      return KmlDataSource.load(parser.parseFromString(kml, "text/xml"), {
+        camera: camera,
+        canvas: uberCanvas,
+      }).then(function (dataSource) {
+        const folder = dataSource.entities.values[0];
+        const placemark = dataSource.entities.values[1];
+        expect(placemark.parent).toBe(folder);
+        expect(folder.show).toBe(true);
+        expect(folder.isShowing).toBe(false);
+        expect(placemark.isShowing).toBe(false);
+
+        moveCamera(0.0, 1000000.0);
+        dataSource.update(0);
+        expect(placemark.isShowing).toBe(true);
+      });
+    });
 
-    return KmlDataSource.load(
-      parser.parseFromString(kml, "text/xml"),
-      options,
-    ).then(function (dataSource) {
-      expect(dataSource.entities.values.length).toEqual(1);
-      expect(console.warn.calls.count()).toEqual(1);
-      expect(console.warn).toHaveBeenCalledWith(
-        "KML - Placemark Regions are unsupported",
-      );
+    it("keeps features hidden by their visibility hidden", function () {
+      const kml = `<?xml version="1.0" encoding="UTF-8"?>\
+          <Placemark>\
+            <visibility>0</visibility>\
+            ${region}\
+          </Placemark>`;
+
+      return KmlDataSource.load(parser.parseFromString(kml, "text/xml"), {
+        camera: camera,
+        canvas: uberCanvas,
+      }).then(function (dataSource) {
+        expect(dataSource.entities.values[0].show).toBe(false);
+      });
+    });
+
+    it("does not change show when the Region changes", function () {
+      const kml = `<?xml version="1.0" encoding="UTF-8"?>\
+          <Placemark>\
+            ${region}\
+          </Placemark>`;
+
+      return KmlDataSource.load(parser.parseFromString(kml, "text/xml"), {
+        camera: camera,
+        canvas: uberCanvas,
+      }).then(function (dataSource) {
+        const entity = dataSource.entities.values[0];
+
+        // Hiding a feature while its Region is inactive keeps it hidden
+        moveCamera(0.0, 10000000.0);
+        dataSource.update(0);
+        entity.show = false;
+
+        moveCamera(0.0, 1000000.0);
+        dataSource.update(0);
+        expect(entity.show).toBe(false);
+        expect(entity.isShowing).toBe(false);
+
+        entity.show = true;
+        expect(entity.isShowing).toBe(true);
+      });
+    });
+
+    it("shows features without a camera", function () {
+      const kml = `<?xml version="1.0" encoding="UTF-8"?>\
+          <Placemark>\
+            ${region}\
+          </Placemark>`;
+
+      return KmlDataSource.load(
+        parser.parseFromString(kml, "text/xml"),
+        options,
+      ).then(function (dataSource) {
+        expect(dataSource.entities.values[0].show).toBe(true);
+      });
+    });
+
+    it("loads a NetworkLink with viewRefreshMode=onRegion when the Region becomes active", function () {
+      const kml = `<?xml version="1.0" encoding="UTF-8"?>\
+          <NetworkLink id="link">\
+            ${region}\
+            <Link>\
+              <href>./Data/KML/simple.kml</href>\
+              <viewRefreshMode>onRegion</viewRefreshMode>\
+            </Link>\
+          </NetworkLink>`;
+
+      moveCamera(0.0, 10000000.0);
+      return KmlDataSource.load(parser.parseFromString(kml, "text/xml"), {
+        camera: camera,
+        canvas: uberCanvas,
+      }).then(function (dataSource) {
+        const entities = dataSource.entities.values;
+        expect(entities.length).toEqual(1);
+
+        // Still inactive
+        dataSource.update(0);
+        expect(dataSource.entities.values.length).toEqual(1);
+
+        const spy = jasmine.createSpy("refreshEvent");
+        dataSource.refreshEvent.addEventListener(spy);
+
+        moveCamera(0.0, 1000000.0);
+        dataSource.update(0);
+        return pollToPromise(function () {
+          return spy.calls.count() > 0;
+        }).then(function () {
+          expect(entities.length).toEqual(2);
+          expect(entities[1].parent).toBe(entities[0]);
+        });
+      });
     });
   });
 
-  it("NetworkLink with a viewRefreshMode=onRegion shows warning", function () {
+  it("NetworkLink with a viewRefreshMode=onRegion and no Region shows warning", function () {
     const kml =
       '<?xml version="1.0" encoding="UTF-8"?>\
           <NetworkLink id="link">\
@@ -5491,14 +5754,67 @@ describe("DataSources/KmlDataSource", function () {
       parser.parseFromString(kml, "text/xml"),
       options,
     ).then(function (dataSource) {
-      expect(dataSource.entities.values.length).toEqual(1);
-      expect(console.warn.calls.count()).toEqual(1);
+      expect(dataSource.entities.values.length).toEqual(2);
       expect(console.warn).toHaveBeenCalledWith(
-        "KML - Unsupported viewRefreshMode: onRegion",
+        "KML - A NetworkLink with viewRefreshMode=onRegion requires a Region, so it is loaded once",
       );
     });
   });
 
+  it("NetworkLinkControl: applies Create, Delete and Change updates", function () {
+    const kml =
+      '<?xml version="1.0" encoding="UTF-8"?>\
+          <kml xmlns="http://www.opengis.net/kml/2.2">\
+            <NetworkLinkControl>\
+              <Update>\
+                <Create>\
+                  <Folder targetId="folder">\
+                    <Placemark id="c">\
+                      <name>c</name>\
+                    </Placemark>\
+                  </Folder>\
+                </Create>\
+                <Delete>\
+                  <Placemark targetId="b"/>\
+                </Delete>\
+                <Change>\
+                  <Placemark targetId="a">\
+                    <name>changed</name>\
+                    <visibility>0</visibility>\
+                  </Placemark>\
+                </Change>\
+              </Update>\
+            </NetworkLinkControl>\
+            <Document>\
+              <Folder id="folder">\
+                <Placemark id="a">\
+                  <name>a</name>\
+                </Placemark>\
+                <Placemark id="b">\
+                  <name>b</name>\
+                </Placemark>\
+              </Folder>\
+            </Document>\
+          </kml>';
+
+    return KmlDataSource.load(
+      parser.parseFromString(kml, "text/xml"),
+      options,
+    ).then(function (dataSource) {
+      const entities = dataSource.entities;
+      const folder = entities.getById("folder");
+      expect(entities.getById("b")).toBeUndefined();
+
+      const a = entities.getById("a");
+      expect(a.name).toEqual("changed");
+      expect(a.show).toBe(false);
+
+      const c = entities.getById("c");
+      expect(c.name).toEqual("c");
+      expect(c.parent).toBe(folder);
+    });
+  });
+
   it("Tour: reads gx:Tour)", function () {
     const kml =
       '<?xml version="1.0" encoding="UTF-8"?>\
@@ -37,6 +37,7 @@ describe("DataSources/ModelGraphics", function () {
       colorBlendAmount: 0.5,
       clippingPlanes: new ClippingPlaneCollection(),
       customShader: new CustomShader(),
+      instanced: true,
       imageBasedLightingFactor: new Cartesian2(0.5, 0.5),
       lightColor: new Color(1.0, 1.0, 0.0, 1.0),
       nodeTransformations: {
@@ -68,6 +69,7 @@ describe("DataSources/ModelGraphics", function () {
     expect(model.colorBlendAmount).toBeInstanceOf(ConstantProperty);
     expect(model.clippingPlanes).toBeInstanceOf(ConstantProperty);
     expect(model.customShader).toBeInstanceOf(ConstantProperty);
+    expect(model.instanced).toBeInstanceOf(ConstantProperty);
     expect(model.imageBasedLightingFactor).toBeInstanceOf(ConstantProperty);
     expect(model.lightColor).toBeInstanceOf(ConstantProperty);
     expect(model.runAnimations).toBeInstanceOf(ConstantProperty);
@@ -98,6 +100,7 @@ describe("DataSources/ModelGraphics", function () {
       options.clippingPlanes.planes,
     );
     expect(model.customShader.getValue()).toEqual(options.customShader);
+    expect(model.instanced.getValue()).toEqual(options.instanced);
     expect(model.imageBasedLightingFactor.getValue()).toEqual(
       options.imageBasedLightingFactor,
     );
@@ -152,6 +155,7 @@ describe("DataSources/ModelGraphics", function () {
     source.colorBlendAmount = new ConstantProperty(0.5);
     source.clippingPlanes = new ConstantProperty(new ClippingPlaneCollection());
     source.customShader = new ConstantProperty(new CustomShader());
+    source.instanced = new ConstantProperty(true);
     source.imageBasedLightingFactor = new ConstantProperty(
       new Cartesian2(0.5, 0.5),
     );
@@ -196,6 +200,7 @@ describe("DataSources/ModelGraphics", function () {
     expect(target.colorBlendAmount).toBe(source.colorBlendAmount);
     expect(target.clippingPlanes).toBe(source.clippingPlanes);
     expect(target.customShader).toBe(source.customShader);
+    expect(target.instanced).toBe(source.instanced);
     expect(target.imageBasedLightingFactor).toBe(
       source.imageBasedLightingFactor,
     );
@@ -228,6 +233,7 @@ describe("DataSources/ModelGraphics", function () {
     source.colorBlendAmount = new ConstantProperty(0.5);
     source.clippingPlanes = new ConstantProperty(new ClippingPlaneCollection());
     source.customShader = new ConstantProperty(new CustomShader());
+    source.instanced = new ConstantProperty(true);
     source.imageBasedLightingFactor = new ConstantProperty(
       new Cartesian2(0.5, 0.5),
     );
@@ -262,6 +268,7 @@ describe("DataSources/ModelGraphics", function () {
     const colorBlendAmount = new ConstantProperty(0.5);
     const clippingPlanes = new ConstantProperty(new ClippingPlaneCollection());
     const customShader = new ConstantProperty(new CustomShader());
+    const instanced = new ConstantProperty(false);
     const imageBasedLightingFactor = new ConstantProperty(
       new Cartesian2(0.5, 0.5),
     );
@@ -293,6 +300,7 @@ describe("DataSources/ModelGraphics", function () {
     target.colorBlendAmount = colorBlendAmount;
     target.clippingPlanes = clippingPlanes;
     target.customShader = customShader;
+    target.instanced = instanced;
     target.imageBasedLightingFactor = imageBasedLightingFactor;
     target.lightColor = lightColor;
     target.runAnimations = runAnimations;
@@ -318,6 +326,7 @@ describe("DataSources/ModelGraphics", function () {
     expect(target.colorBlendAmount).toBe(colorBlendAmount);
     expect(target.clippingPlanes).toBe(clippingPlanes);
     expect(target.customShader).toBe(customShader);
+    expect(target.instanced).toBe(instanced);
     expect(target.imageBasedLightingFactor).toBe(imageBasedLightingFactor);
     expect(target.lightColor).toBe(lightColor);
     expect(target.runAnimations).toBe(runAnimations);
@@ -348,6 +357,7 @@ describe("DataSources/ModelGraphics", function () {
     source.colorBlendAmount = new ConstantProperty(0.5);
     source.clippingPlanes = new ConstantProperty(new ClippingPlaneCollection());
     source.customShader = new ConstantProperty(new CustomShader());
+    source.instanced = new ConstantProperty(true);
     source.imageBasedLightingFactor = new ConstantProperty(
       new Cartesian2(0.5, 0.5),
     );
@@ -384,6 +394,7 @@ describe("DataSources/ModelGraphics", function () {
     expect(result.colorBlendAmount).toBe(source.colorBlendAmount);
     expect(result.clippingPlanes).toBe(source.clippingPlanes);
     expect(result.customShader).toBe(source.customShader);
+    expect(result.instanced).toBe(source.instanced);
     expect(result.imageBasedLightingFactor).toBe(
       source.imageBasedLightingFactor,
     );
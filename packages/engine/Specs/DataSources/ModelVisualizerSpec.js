@@ -750,6 +750,127 @@ describe(
       expect(result).toEqual(expected);
     });
 
+    it("batches instanced models with the same URI into one model", async function () {
+      const time = JulianDate.now();
+      const entities = [];
+      for (let i = 0; i < 3; ++i) {
+        const entity = entityCollection.getOrCreateEntity(`instance${i}`);
+        entity.position = new ConstantPositionProperty(
+          Cartesian3.fromDegrees(149.515332 + i * 0.001, -34.984799),
+        );
+        entity.model = new ModelGraphics({
+          uri: boxUrl,
+          instanced: true,
+          color: i === 1 ? Color.RED : undefined,
+        });
+        entities.push(entity);
+      }
+      visualizer.update(time);
+
+      let primitive;
+      await pollToPromise(function () {
+        visualizer.update(time);
+        primitive = scene.primitives.get(0);
+        return defined(primitive);
+      });
+
+      expect(scene.primitives.length).toEqual(1);
+      const instances = primitive._instances;
+      expect(instances.length).toEqual(3);
+      expect(instances.getId(0)).toBe(entities[0]);
+      expect(instances.getId(1)).toBe(entities[1]);
+      expect(instances.getId(2)).toBe(entities[2]);
+      expect(Array.from(instances._colors.subarray(4, 8))).toEqual([
+        255, 0, 0, 255,
+      ]);
+
+      // Hidden entities are drawn with an empty transform
+      entities[2].show = false;
+      visualizer.update(time);
+      expect(
+        Array.from(instances._transforms.subarray(2 * 12, 3 * 12)),
+      ).toEqual(new Array(12).fill(0));
+    });
+
+    it("computes bounding sphere of an instanced model", async function () {
+      const time = JulianDate.now();
+      const position = Cartesian3.fromDegrees(149.515332, -34.984799);
+      const testObject = entityCollection.getOrCreateEntity("test");
+      testObject.position = new ConstantPositionProperty(position);
+      testObject.model = new ModelGraphics({
+        uri: boxUrl,
+        instanced: true,
+      });
+      visualizer.update(time);
+
+      const result = new BoundingSphere();
+      let state = visualizer.getBoundingSphere(testObject, result);
+      expect(state).toBe(BoundingSphereState.PENDING);
+
+      await pollToPromise(function () {
+        scene.render();
+        visualizer.update(time);
+        state = visualizer.getBoundingSphere(testObject, result);
+        return state !== BoundingSphereState.PENDING;
+      });
+
+      expect(state).toBe(BoundingSphereState.DONE);
+      expect(result.center).toEqualEpsilon(position, 1.0);
+      expect(result.radius).toBeGreaterThan(0.0);
+    });
+
+    it("removes the instanced model when its entities are removed", async function () {
+      const time = JulianDate.now();
+      const testObject = entityCollection.getOrCreateEntity("test");
+      testObject.position = new ConstantPositionProperty(
+        new Cartesian3(5678, 1234, 1101112),
+      );
+      testObject.model = new ModelGraphics({
+        uri: boxUrl,
+        instanced: true,
+      });
+      visualizer.update(time);
+
+      await pollToPromise(function () {
+        visualizer.update(time);
+        return scene.primitives.length === 1;
+      });
+
+      entityCollection.removeAll();
+      visualizer.update(time);
+      expect(scene.primitives.length).toEqual(0);
+    });
+
+    it("replaces the model of an entity when it becomes instanced", async function () {
+      const time = JulianDate.now();
+      const testObject = entityCollection.getOrCreateEntity("test");
+      testObject.position = new ConstantPositionProperty(
+        new Cartesian3(5678, 1234, 1101112),
+      );
+      testObject.model = new ModelGraphics({
+        uri: boxUrl,
+      });
+      visualizer.update(time);
+
+      let primitive;
+      await pollToPromise(function () {
+        visualizer.update(time);
+        primitive = scene.primitives.get(0);
+        return defined(primitive);
+      });
+      expect(primitive.id).toBe(testObject);
+
+      testObject.model.instanced = true;
+      visualizer.update(time);
+      expect(primitive.isDestroyed()).toBe(true);
+
+      await pollToPromise(function () {
+        visualizer.update(time);
+        return scene.primitives.length === 1;
+      });
+      expect(scene.primitives.get(0)._instances.getId(0)).toBe(testObject);
+    });
+
     it("fails bounding sphere for entity without ModelGraphics", function () {
       const testObject = entityCollection.getOrCreateEntity("test");
       visualizer.update(JulianDate.now());
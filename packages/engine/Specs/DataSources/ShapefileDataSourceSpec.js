@@ -0,0 +1,252 @@
+import {
+  Cartesian3,
+  Color,
+  GeoJsonDataSource,
+  JulianDate,
+  Math as CesiumMath,
+  Resource,
+  RuntimeError,
+  ShapefileDataSource,
+} from "../../index.js";
+
+describe("DataSources/ShapefileDataSource", function () {
+  const time = new JulianDate();
+
+  function getPositions(positions) {
+    return positions.map(function (position) {
+      return Cartesian3.fromDegrees(position[0], position[1], position[2]);
+    });
+  }
+
+  function getProperties(entity) {
+    return entity.properties.getValue(time);
+  }
+
+  it("default constructor has expected values", function () {
+    const dataSource = new ShapefileDataSource();
+    expect(dataSource).toBeInstanceOf(GeoJsonDataSource);
+    expect(dataSource.name).toBeUndefined();
+    expect(dataSource.entities.values.length).toBe(0);
+    expect(dataSource.isLoading).toBe(false);
+  });
+
+  it("setting name raises changed event", function () {
+    const dataSource = new ShapefileDataSource();
+    const spy = jasmine.createSpy("changedEvent");
+    dataSource.changedEvent.addEventListener(spy);
+
+    dataSource.name = "shapes";
+    expect(spy).toHaveBeenCalledWith(dataSource);
+  });
+
+  it("loads points with their attributes", async function () {
+    const dataSource = await ShapefileDataSource.load(
+      "Data/Shapefile/points.shp",
+    );
+    expect(dataSource.name).toBe("points.shp");
+
+    // The third record is deleted in the .dbf file
+    const entities = dataSource.entities.values;
+    expect(entities.length).toBe(2);
+
+    expect(entities[0].position.getValue(time)).toEqualEpsilon(
+      Cartesian3.fromDegrees(-75.0, 40.0, 10.0),
+      CesiumMath.EPSILON7,
+    );
+    expect(entities[0].billboard).toBeDefined();
+    expect(getProperties(entities[0])).toEqual({
+      NAME: "北京",
+      VALUE: 12.5,
+      VALID: true,
+      DATE: "2024-01-31",
+    });
+
+    expect(entities[1].position.getValue(time)).toEqualEpsilon(
+      Cartesian3.fromDegrees(-76.0, 41.0, 20.0),
+      CesiumMath.EPSILON7,
+    );
+    expect(getProperties(entities[1])).toEqual({
+      NAME: "Second",
+      VALUE: null,
+      VALID: false,
+      DATE: null,
+    });
+  });
+
+  it("loads Web Mercator polygons with holes", async function () {
+    const dataSource = await ShapefileDataSource.load(
+      "Data/Shapefile/polygons.shp",
+    );
+
+    // The second record has two outer rings
+    const entities = dataSource.entities.values;
+    expect(entities.length).toBe(3);
+
+    const hierarchy = entities[0].polygon.hierarchy.getValue(time);
+    expect(hierarchy.positions.length).toBe(5);
+    expect(hierarchy.positions[0]).toEqualEpsilon(
+      Cartesian3.fromDegrees(-80.0, 30.0),
+      CesiumMath.EPSILON7,
+    );
+    expect(hierarchy.holes.length).toBe(1);
+    expect(hierarchy.holes[0].positions[0]).toEqualEpsilon(
+      Cartesian3.fromDegrees(-76.0, 34.0),
+      CesiumMath.EPSILON7,
+    );
+
+    // The .dbf file has a GBK language driver ID and no .cpg file
+    expect(getProperties(entities[0]).NAME).toBe("上海");
+    expect(getProperties(entities[1]).NAME).toBe("Two");
+    expect(getProperties(entities[2]).NAME).toBe("Two");
+    expect(
+      entities[2].polygon.hierarchy.getValue(time).positions[0],
+    ).toEqualEpsilon(Cartesian3.fromDegrees(2.0, 0.0), CesiumMath.EPSILON7);
+  });
+
+  it("loads polylines without an index and null shapes", async function () {
+    const dataSource = await ShapefileDataSource.load(
+      "Data/Shapefile/lines.shp",
+    );
+
+    const entities = dataSource.entities.values;
+    expect(entities.length).toBe(3);
+    expect(entities[0].polyline.positions.getValue(time)).toEqual(
+      getPositions([
+        [-75.0, 40.0],
+        [-74.0, 41.0],
+      ]),
+    );
+    expect(entities[1].polyline.positions.getValue(time)).toEqual(
+      getPositions([
+        [-73.0, 40.0],
+        [-72.0, 41.0],
+        [-71.0, 40.0],
+      ]),
+    );
+    expect(getProperties(entities[1]).ID).toBe(1);
+
+    expect(entities[2].polyline).toBeUndefined();
+    expect(getProperties(entities[2]).ID).toBe(2);
+  });
+
+  it("loads multipoints without a dbf file", async function () {
+    const dataSource = await ShapefileDataSource.load(
+      "Data/Shapefile/multipoints.shp",
+    );
+
+    const entities = dataSource.entities.values;
+    expect(entities.length).toBe(2);
+    expect(entities[1].position.getValue(time)).toEqual(
+      Cartesian3.fromDegrees(-74.0, 41.0, 6.0),
+    );
+  });
+
+  it("loads every shapefile in a zip file", async function () {
+    const dataSource = await ShapefileDataSource.load(
+      "Data/Shapefile/layers.zip",
+    );
+    expect(dataSource.name).toBe("layers.zip");
+    expect(dataSource.entities.values.length).toBe(5);
+  });
+
+  it("loads a zip blob", async function () {
+    const blob = await Resource.fetchBlob("Data/Shapefile/layers.zip");
+    const dataSource = await ShapefileDataSource.load(blob);
+    expect(dataSource.entities.values.length).toBe(5);
+  });
+
+  it("loads separate files", async function () {
+    const shp = await Resource.fetchArrayBuffer("Data/Shapefile/polygons.shp");
+    const dbf = await Resource.fetchArrayBuffer("Data/Shapefile/polygons.dbf");
+    const dataSource = await ShapefileDataSource.load({
+      shp: shp,
+      dbf: dbf,
+      prj: "Data/Shapefile/polygons.prj",
+    });
+
+    const entities = dataSource.entities.values;
+    expect(entities.length).toBe(3);
+    expect(
+      entities[0].polygon.hierarchy.getValue(time).positions[0],
+    ).toEqualEpsilon(Cartesian3.fromDegrees(-80.0, 30.0), CesiumMath.EPSILON7);
+  });
+
+  it("uses the encoding option", async function () {
+    const dataSource = await ShapefileDataSource.load(
+      "Data/Shapefile/points.shp",
+      {
+        encoding: "windows-1252",
+      },
+    );
+    expect(getProperties(dataSource.entities.values[0]).NAME).not.toBe("北京");
+  });
+
+  it("uses the GeoJSON styling options", async function () {
+    const dataSource = await ShapefileDataSource.load(
+      "Data/Shapefile/polygons.shp",
+      {
+        fill: Color.RED,
+        stroke: Color.BLUE,
+        strokeWidth: 5,
+      },
+    );
+
+    const polygon = dataSource.entities.values[0].polygon;
+    expect(polygon.material.color.getValue(time)).toEqual(Color.RED);
+    expect(polygon.outlineColor.getValue(time)).toEqual(Color.BLUE);
+    expect(polygon.outlineWidth.getValue(time)).toBe(5);
+  });
+
+  it("process adds to the existing entities", async function () {
+    const dataSource = new ShapefileDataSource();
+    await dataSource.load("Data/Shapefile/lines.shp");
+    await dataSource.process("Data/Shapefile/polygons.shp");
+    expect(dataSource.entities.values.length).toBe(6);
+
+    await dataSource.load("Data/Shapefile/lines.shp");
+    expect(dataSource.entities.values.length).toBe(3);
+  });
+
+  it("rejects unsupported projections", async function () {
+    const prj = new TextEncoder().encode(
+      'PROJCS["NAD_1983_UTM_Zone_18N",GEOGCS["GCS_North_American_1983"],PROJECTION["Transverse_Mercator"]]',
+    ).buffer;
+    const dataSource = new ShapefileDataSource();
+    const spy = jasmine.createSpy("errorEvent");
+    dataSource.errorEvent.addEventListener(spy);
+
+    await expectAsync(
+      dataSource.load({
+        shp: "Data/Shapefile/points.shp",
+        prj: prj,
+      }),
+    ).toBeRejectedWithError(RuntimeError, /Unsupported shapefile projection/);
+    expect(spy).toHaveBeenCalledWith(dataSource, jasmine.any(RuntimeError));
+    expect(dataSource.isLoading).toBe(false);
+  });
+
+  it("rejects invalid shp files", async function () {
+    await expectAsync(
+      ShapefileDataSource.load({
+        shp: new ArrayBuffer(100),
+      }),
+    ).toBeRejectedWithError(RuntimeError);
+  });
+
+  it("rejects a zip file without a shapefile", async function () {
+    const blob = await Resource.fetchBlob("Data/KML/simple.kmz");
+    await expectAsync(ShapefileDataSource.load(blob)).toBeRejectedWithError(
+      RuntimeError,
+      /does not contain a \.shp file/,
+    );
+  });
+
+  it("throws without data", function () {
+    expect(function () {
+      return new ShapefileDataSource().load(undefined);
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new ShapefileDataSource().load({});
+    }).toThrowDeveloperError();
+  });
+});
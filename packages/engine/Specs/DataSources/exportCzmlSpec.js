@@ -0,0 +1,470 @@
+import {
+  Cartesian2,
+  Cartesian3,
+  ClockRange,
+  ClockStep,
+  Color,
+  ExtrapolationType,
+  JulianDate,
+  LagrangePolynomialApproximation,
+  Math as CesiumMath,
+  PolygonHierarchy,
+  Quaternion,
+  Rectangle,
+  ReferenceFrame,
+  TimeInterval,
+  TimeIntervalCollection,
+  CallbackProperty,
+  CompositeProperty,
+  ConstantPositionProperty,
+  CzmlDataSource,
+  DataSourceClock,
+  EntityCollection,
+  exportCzml,
+  GridMaterialProperty,
+  HeightReference,
+  PolylineDashMaterialProperty,
+  ReferenceProperty,
+  SampledPositionProperty,
+  SampledProperty,
+  StripeMaterialProperty,
+  StripeOrientation,
+  TimeIntervalCollectionProperty,
+  VelocityOrientationProperty,
+} from "../../index.js";
+
+describe("DataSources/exportCzml", function () {
+  const time = JulianDate.fromIso8601("2024-01-01T00:00:00Z");
+
+  function roundTrip(entities, options) {
+    const czml = exportCzml(
+      Object.assign(
+        {
+          entities: entities,
+          time: time,
+        },
+        options,
+      ),
+    );
+    // Make sure the result survives serialization
+    return CzmlDataSource.load(JSON.parse(JSON.stringify(czml)));
+  }
+
+  it("throws without entities", function () {
+    expect(function () {
+      exportCzml({});
+    }).toThrowDeveloperError();
+  });
+
+  it("writes a document packet", function () {
+    const clock = new DataSourceClock();
+    clock.startTime = time;
+    clock.stopTime = JulianDate.addDays(time, 1.0, new JulianDate());
+    clock.currentTime = JulianDate.addHours(time, 1.0, new JulianDate());
+    clock.clockRange = ClockRange.LOOP_STOP;
+    clock.clockStep = ClockStep.SYSTEM_CLOCK_MULTIPLIER;
+    clock.multiplier = 60.0;
+
+    const czml = exportCzml({
+      entities: new EntityCollection(),
+      name: "document name",
+      clock: clock,
+    });
+    expect(czml.length).toBe(1);
+    expect(czml[0].id).toEqual("document");
+    expect(czml[0].version).toEqual("1.0");
+    expect(czml[0].name).toEqual("document name");
+    expect(czml[0].clock.range).toEqual("LOOP_STOP");
+    expect(czml[0].clock.step).toEqual("SYSTEM_CLOCK_MULTIPLIER");
+
+    return CzmlDataSource.load(czml).then(function (dataSource) {
+      expect(dataSource.name).toEqual("document name");
+      expect(dataSource.clock).toEqual(clock);
+    });
+  });
+
+  it("round trips constant graphics", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      id: "parent",
+    });
+    entities.add({
+      id: "child",
+      name: "child name",
+      parent: entities.getById("parent"),
+      description: "description",
+      availability: new TimeIntervalCollection([
+        new TimeInterval({
+          start: time,
+          stop: JulianDate.addDays(time, 1.0, new JulianDate()),
+        }),
+      ]),
+      position: Cartesian3.fromDegrees(10.0, 20.0, 30.0),
+      orientation: Quaternion.fromAxisAngle(Cartesian3.UNIT_Z, 1.0),
+      billboard: {
+        image: "image.png",
+        scale: 2.0,
+        pixelOffset: new Cartesian2(1.0, 2.0),
+        heightReference: HeightReference.CLAMP_TO_GROUND,
+        color: Color.RED,
+        rotation: 0.5,
+      },
+      label: {
+        text: "label",
+        fillColor: Color.YELLOW,
+        show: false,
+      },
+      rectangle: {
+        coordinates: Rectangle.fromDegrees(0.0, 1.0, 2.0, 3.0),
+        material: Color.BLUE,
+      },
+      properties: {
+        population: 1000,
+        category: "city",
+        tags: {
+          a: 1,
+        },
+      },
+    });
+
+    return roundTrip(entities).then(function (dataSource) {
+      const entity = dataSource.entities.getById("child");
+      expect(entity.name).toEqual("child name");
+      expect(entity.parent).toBe(dataSource.entities.getById("parent"));
+      expect(entity.description.getValue(time)).toEqual("description");
+      expect(entity.availability.start).toEqual(time);
+      expect(entity.position.getValue(time)).toEqualEpsilon(
+        Cartesian3.fromDegrees(10.0, 20.0, 30.0),
+        CesiumMath.EPSILON7,
+      );
+      expect(entity.orientation.getValue(time)).toEqualEpsilon(
+        Quaternion.fromAxisAngle(Cartesian3.UNIT_Z, 1.0),
+        CesiumMath.EPSILON14,
+      );
+
+      const billboard = entity.billboard;
+      expect(billboard.image.getValue(time).url).toContain("image.png");
+      expect(billboard.scale.getValue(time)).toEqual(2.0);
+      expect(billboard.pixelOffset.getValue(time)).toEqual(
+        new Cartesian2(1.0, 2.0),
+      );
+      expect(billboard.heightReference.getValue(time)).toEqual(
+        HeightReference.CLAMP_TO_GROUND,
+      );
+      expect(billboard.color.getValue(time)).toEqual(Color.RED);
+      expect(billboard.rotation.getValue(time)).toEqual(0.5);
+
+      expect(entity.label.text.getValue(time)).toEqual("label");
+      expect(entity.label.fillColor.getValue(time)).toEqual(Color.YELLOW);
+      expect(entity.label.show.getValue(time)).toBe(false);
+
+      expect(entity.rectangle.coordinates.getValue(time)).toEqual(
+        Rectangle.fromDegrees(0.0, 1.0, 2.0, 3.0),
+      );
+      expect(entity.rectangle.material.color.getValue(time)).toEqual(
+        Color.BLUE,
+      );
+
+      expect(entity.properties.getValue(time)).toEqual({
+        population: 1000,
+        category: "city",
+        tags: {
+          a: 1,
+        },
+      });
+    });
+  });
+
+  it("round trips polygons with holes", function () {
+    const outer = Cartesian3.fromDegreesArray([
+      0.0, 0.0, 10.0, 0.0, 10.0, 10.0, 0.0, 10.0,
+    ]);
+    const hole = Cartesian3.fromDegreesArray([
+      2.0, 2.0, 8.0, 2.0, 8.0, 8.0, 2.0, 8.0,
+    ]);
+
+    const entities = new EntityCollection();
+    entities.add({
+      id: "polygon",
+      polygon: {
+        hierarchy: new PolygonHierarchy(outer, [new PolygonHierarchy(hole)]),
+        extrudedHeight: 100.0,
+      },
+    });
+
+    return roundTrip(entities).then(function (dataSource) {
+      const polygon = dataSource.entities.getById("polygon").polygon;
+      const hierarchy = polygon.hierarchy.getValue(time);
+      expect(hierarchy.positions).toEqualEpsilon(outer, CesiumMath.EPSILON7);
+      expect(hierarchy.holes.length).toBe(1);
+      expect(hierarchy.holes[0].positions).toEqualEpsilon(
+        hole,
+        CesiumMath.EPSILON7,
+      );
+      expect(polygon.extrudedHeight.getValue(time)).toEqual(100.0);
+
+      // Polygons loaded from CZML are written back out the same way
+      const czml = exportCzml({
+        entities: dataSource.entities,
+        time: time,
+      });
+      expect(czml[1].polygon.positions.cartesian.length).toBe(12);
+      expect(czml[1].polygon.holes.cartesian.length).toBe(1);
+    });
+  });
+
+  it("round trips materials", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      id: "polyline",
+      polyline: {
+        positions: Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 1.0]),
+        width: 5.0,
+        material: new PolylineDashMaterialProperty({
+          color: Color.RED,
+          gapColor: Color.BLUE,
+          dashLength: 8.0,
+        }),
+      },
+    });
+    entities.add({
+      id: "ellipse",
+      position: Cartesian3.fromDegrees(0.0, 0.0),
+      ellipse: {
+        semiMajorAxis: 20.0,
+        semiMinorAxis: 10.0,
+        material: new StripeMaterialProperty({
+          orientation: StripeOrientation.VERTICAL,
+          evenColor: Color.WHITE,
+          oddColor: Color.BLACK,
+          repeat: 4.0,
+        }),
+      },
+    });
+    entities.add({
+      id: "wall",
+      wall: {
+        positions: Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 1.0]),
+        maximumHeights: [10.0, 20.0],
+        material: new GridMaterialProperty({
+          lineCount: new Cartesian2(4.0, 2.0),
+        }),
+      },
+    });
+
+    return roundTrip(entities).then(function (dataSource) {
+      const polyline = dataSource.entities.getById("polyline").polyline;
+      expect(polyline.width.getValue(time)).toEqual(5.0);
+      expect(polyline.positions.getValue(time)).toEqualEpsilon(
+        Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 1.0]),
+        CesiumMath.EPSILON7,
+      );
+      expect(polyline.material).toBeInstanceOf(PolylineDashMaterialProperty);
+      expect(polyline.material.gapColor.getValue(time)).toEqual(Color.BLUE);
+      expect(polyline.material.dashLength.getValue(time)).toEqual(8.0);
+
+      const ellipse = dataSource.entities.getById("ellipse").ellipse;
+      expect(ellipse.material).toBeInstanceOf(StripeMaterialProperty);
+      expect(ellipse.material.orientation.getValue(time)).toEqual(
+        StripeOrientation.VERTICAL,
+      );
+      expect(ellipse.material.repeat.getValue(time)).toEqual(4.0);
+
+      const wall = dataSource.entities.getById("wall").wall;
+      expect(wall.maximumHeights.getValue(time)).toEqual([10.0, 20.0]);
+      expect(wall.material).toBeInstanceOf(GridMaterialProperty);
+      expect(wall.material.lineCount.getValue(time)).toEqual(
+        new Cartesian2(4.0, 2.0),
+      );
+    });
+  });
+
+  it("round trips sampled properties", function () {
+    const stop = JulianDate.addSeconds(time, 60.0, new JulianDate());
+
+    const position = new SampledPositionProperty(ReferenceFrame.INERTIAL);
+    position.addSample(time, new Cartesian3(1.0e7, 0.0, 0.0));
+    position.addSample(stop, new Cartesian3(0.0, 1.0e7, 0.0));
+    position.forwardExtrapolationType = ExtrapolationType.HOLD;
+
+    const width = new SampledProperty(Number);
+    width.addSample(time, 1.0);
+    width.addSample(stop, 2.0);
+    width.addSample(JulianDate.addSeconds(stop, 60.0, new JulianDate()), 4.0);
+    width.setInterpolationOptions({
+      interpolationAlgorithm: LagrangePolynomialApproximation,
+      interpolationDegree: 2,
+    });
+
+    const entities = new EntityCollection();
+    entities.add({
+      id: "sampled",
+      position: position,
+      path: {
+        width: width,
+      },
+    });
+
+    return roundTrip(entities).then(function (dataSource) {
+      const entity = dataSource.entities.getById("sampled");
+      expect(entity.position).toBeInstanceOf(SampledPositionProperty);
+      expect(entity.position.referenceFrame).toEqual(ReferenceFrame.INERTIAL);
+      expect(entity.position.forwardExtrapolationType).toEqual(
+        ExtrapolationType.HOLD,
+      );
+      const mid = JulianDate.addSeconds(time, 30.0, new JulianDate());
+      expect(
+        entity.position.getValueInReferenceFrame(mid, ReferenceFrame.INERTIAL),
+      ).toEqualEpsilon(
+        position.getValueInReferenceFrame(mid, ReferenceFrame.INERTIAL),
+        CesiumMath.EPSILON7,
+      );
+
+      const pathWidth = entity.path.width;
+      expect(pathWidth).toBeInstanceOf(SampledProperty);
+      expect(pathWidth.interpolationAlgorithm).toBe(
+        LagrangePolynomialApproximation,
+      );
+      expect(pathWidth.interpolationDegree).toEqual(2);
+      expect(pathWidth.getValue(mid)).toEqualEpsilon(
+        width.getValue(mid),
+        CesiumMath.EPSILON14,
+      );
+    });
+  });
+
+  it("round trips time interval properties", function () {
+    const middle = JulianDate.addHours(time, 1.0, new JulianDate());
+    const stop = JulianDate.addHours(time, 2.0, new JulianDate());
+
+    const show = new TimeIntervalCollectionProperty();
+    show.intervals.addInterval(
+      new TimeInterval({
+        start: time,
+        stop: middle,
+        data: true,
+      }),
+    );
+    show.intervals.addInterval(
+      new TimeInterval({
+        start: middle,
+        stop: stop,
+        isStartIncluded: false,
+        data: false,
+      }),
+    );
+
+    const color = new CompositeProperty();
+    const sampledColor = new SampledProperty(Color);
+    sampledColor.addSample(time, Color.RED);
+    sampledColor.addSample(middle, Color.BLUE);
+    color.intervals.addInterval(
+      new TimeInterval({
+        start: time,
+        stop: middle,
+        data: sampledColor,
+      }),
+    );
+    color.intervals.addInterval(
+      new TimeInterval({
+        start: middle,
+        stop: stop,
+        isStartIncluded: false,
+        data: new TimeIntervalCollectionProperty(),
+      }),
+    );
+
+    const entities = new EntityCollection();
+    entities.add({
+      id: "intervals",
+      position: new ConstantPositionProperty(Cartesian3.fromDegrees(0.0, 0.0)),
+      point: {
+        show: show,
+        color: color,
+      },
+    });
+
+    return roundTrip(entities).then(function (dataSource) {
+      const point = dataSource.entities.getById("intervals").point;
+      const early = JulianDate.addMinutes(time, 30.0, new JulianDate());
+      const late = JulianDate.addMinutes(middle, 30.0, new JulianDate());
+      expect(point.show.getValue(early)).toBe(true);
+      expect(point.show.getValue(late)).toBe(false);
+      expect(point.color.getValue(early)).toEqualEpsilon(
+        sampledColor.getValue(early),
+        CesiumMath.EPSILON7,
+      );
+    });
+  });
+
+  it("round trips references", function () {
+    const entities = new EntityCollection();
+    const position = new SampledPositionProperty();
+    position.addSample(time, Cartesian3.fromDegrees(0.0, 0.0));
+    position.addSample(
+      JulianDate.addSeconds(time, 10.0, new JulianDate()),
+      Cartesian3.fromDegrees(1.0, 0.0),
+    );
+    const target = entities.add({
+      id: "target#1",
+      position: position,
+      orientation: new VelocityOrientationProperty(position),
+      point: {
+        pixelSize: 10.0,
+      },
+    });
+    entities.add({
+      id: "source",
+      position: ReferenceProperty.fromString(entities, "target\\#1#position"),
+      point: {
+        pixelSize: new ReferenceProperty(entities, target.id, [
+          "point",
+          "pixelSize",
+        ]),
+      },
+    });
+
+    const czml = exportCzml({
+      entities: entities,
+      time: time,
+    });
+    expect(czml[1].orientation).toEqual({
+      velocityReference: "target\\#1#position",
+    });
+    expect(czml[2].position).toEqual({
+      reference: "target\\#1#position",
+    });
+
+    return CzmlDataSource.load(czml).then(function (dataSource) {
+      const source = dataSource.entities.getById("source");
+      expect(source.position).toBeInstanceOf(ReferenceProperty);
+      expect(source.position.targetId).toEqual("target#1");
+      expect(source.point.pixelSize.getValue(time)).toEqual(10.0);
+
+      const orientation = dataSource.entities.getById("target#1").orientation;
+      expect(orientation).toBeInstanceOf(VelocityOrientationProperty);
+    });
+  });
+
+  it("evaluates properties that can't be represented at the given time", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      id: "callback",
+      position: Cartesian3.fromDegrees(0.0, 0.0),
+      point: {
+        pixelSize: new CallbackProperty(function (time) {
+          return JulianDate.secondsDifference(
+            time,
+            JulianDate.fromIso8601("2023-12-31T23:59:00Z"),
+          );
+        }, false),
+      },
+    });
+
+    const czml = exportCzml({
+      entities: entities,
+      time: time,
+    });
+    expect(czml[1].point.pixelSize).toEqual(60.0);
+  });
+});
@@ -0,0 +1,375 @@
+import {
+  Cartesian3,
+  Color,
+  JulianDate,
+  Math as CesiumMath,
+  PolygonHierarchy,
+  Rectangle,
+  TimeInterval,
+  TimeIntervalCollection,
+  EntityCollection,
+  exportGeoJson,
+  SampledPositionProperty,
+  HeightReference,
+} from "../../index.js";
+
+describe("DataSources/exportGeoJson", function () {
+  const time = JulianDate.fromIso8601("2024-01-01T00:00:00Z");
+
+  function expectCoordinates(actual, expected) {
+    expect(actual.length).toEqual(expected.length);
+    for (let i = 0; i < expected.length; ++i) {
+      expect(actual[i]).toEqualEpsilon(expected[i], CesiumMath.EPSILON6);
+    }
+  }
+
+  it("throws without entities", function () {
+    expect(function () {
+      exportGeoJson({});
+    }).toThrowDeveloperError();
+  });
+
+  it("exports an empty FeatureCollection", function () {
+    const result = exportGeoJson({
+      entities: new EntityCollection(),
+    });
+    expect(result).toEqual({
+      type: "FeatureCollection",
+      features: [],
+    });
+  });
+
+  it("exports points with properties", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      id: "point",
+      name: "Point",
+      description: "A point",
+      position: Cartesian3.fromDegrees(-75.59777, 40.03883, 12.0),
+      point: {
+        color: Color.RED,
+      },
+      properties: {
+        population: 1000,
+        category: "city",
+      },
+    });
+
+    const result = exportGeoJson({
+      entities: entities,
+      time: time,
+    });
+    expect(result.features.length).toBe(1);
+
+    const feature = result.features[0];
+    expect(feature.type).toEqual("Feature");
+    expect(feature.id).toEqual("point");
+    expect(feature.geometry.type).toEqual("Point");
+    expectCoordinates(
+      feature.geometry.coordinates,
+      [-75.59777, 40.03883, 12.0],
+    );
+    expect(feature.properties).toEqual({
+      title: "Point",
+      description: "A point",
+      "marker-color": "#ff0000",
+      population: 1000,
+      category: "city",
+    });
+  });
+
+  it("exports clamped billboards with two-dimensional coordinates", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      position: Cartesian3.fromDegrees(10.0, 20.0, 30.0),
+      billboard: {
+        heightReference: HeightReference.CLAMP_TO_GROUND,
+      },
+    });
+
+    const feature = exportGeoJson({
+      entities: entities,
+      time: time,
+    }).features[0];
+    expect(feature.geometry.type).toEqual("Point");
+    expectCoordinates(feature.geometry.coordinates, [10.0, 20.0]);
+  });
+
+  it("uses label text as the title", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      name: "name",
+      position: Cartesian3.fromDegrees(10.0, 20.0),
+      label: {
+        text: "label",
+      },
+    });
+
+    const feature = exportGeoJson({
+      entities: entities,
+      time: time,
+    }).features[0];
+    expect(feature.geometry.type).toEqual("Point");
+    expect(feature.properties.title).toEqual("label");
+  });
+
+  it("properties take precedence over generated values", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      name: "name",
+      position: Cartesian3.fromDegrees(10.0, 20.0),
+      point: {},
+      properties: {
+        title: "title",
+      },
+    });
+
+    const feature = exportGeoJson({
+      entities: entities,
+      time: time,
+    }).features[0];
+    expect(feature.properties.title).toEqual("title");
+  });
+
+  it("exports polylines", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      polyline: {
+        positions: Cartesian3.fromDegreesArrayHeights([
+          0.0, 0.0, 10.0, 1.0, 1.0, 20.0,
+        ]),
+        width: 3.0,
+        material: Color.BLUE.withAlpha(0.5),
+      },
+    });
+
+    const feature = exportGeoJson({
+      entities: entities,
+      time: time,
+    }).features[0];
+    expect(feature.geometry.type).toEqual("LineString");
+    const coordinates = feature.geometry.coordinates;
+    expect(coordinates.length).toBe(2);
+    expectCoordinates(coordinates[0], [0.0, 0.0, 10.0]);
+    expectCoordinates(coordinates[1], [1.0, 1.0, 20.0]);
+    expect(feature.properties["stroke-width"]).toEqual(3.0);
+    expect(feature.properties.stroke).toEqual("#0000ff");
+    expect(feature.properties["stroke-opacity"]).toEqual(0.5);
+  });
+
+  it("exports clamped polylines with two-dimensional coordinates", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      polyline: {
+        positions: Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 1.0]),
+        clampToGround: true,
+      },
+    });
+
+    const feature = exportGeoJson({
+      entities: entities,
+      time: time,
+    }).features[0];
+    expectCoordinates(feature.geometry.coordinates[1], [1.0, 1.0]);
+  });
+
+  it("exports polygons with closed rings and holes", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      polygon: {
+        hierarchy: new PolygonHierarchy(
+          Cartesian3.fromDegreesArray([
+            0.0, 0.0, 10.0, 0.0, 10.0, 10.0, 0.0, 10.0,
+          ]),
+          [
+            new PolygonHierarchy(
+              Cartesian3.fromDegreesArray([
+                2.0, 2.0, 8.0, 2.0, 8.0, 8.0, 2.0, 8.0,
+              ]),
+            ),
+          ],
+        ),
+        material: Color.GREEN.withAlpha(0.25),
+        outline: true,
+        outlineColor: Color.BLACK,
+        outlineWidth: 2.0,
+      },
+    });
+
+    const feature = exportGeoJson({
+      entities: entities,
+      time: time,
+    }).features[0];
+    expect(feature.geometry.type).toEqual("Polygon");
+
+    const rings = feature.geometry.coordinates;
+    expect(rings.length).toBe(2);
+
+    // Exterior ring is counter-clockwise and closed
+    expect(rings[0].length).toBe(5);
+    expectCoordinates(rings[0][0], [0.0, 0.0]);
+    expectCoordinates(rings[0][1], [10.0, 0.0]);
+    expectCoordinates(rings[0][4], [0.0, 0.0]);
+
+    // Holes are clockwise
+    expect(rings[1].length).toBe(5);
+    expectCoordinates(rings[1][0], [2.0, 2.0]);
+    expectCoordinates(rings[1][1], [2.0, 8.0]);
+
+    expect(feature.properties.fill).toEqual("#008000");
+    expect(feature.properties["fill-opacity"]).toEqual(0.25);
+    expect(feature.properties.stroke).toEqual("#000000");
+    expect(feature.properties["stroke-width"]).toEqual(2.0);
+  });
+
+  it("exports polygons inside of holes as a MultiPolygon", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      polygon: {
+        hierarchy: new PolygonHierarchy(
+          Cartesian3.fromDegreesArray([
+            0.0, 0.0, 10.0, 0.0, 10.0, 10.0, 0.0, 10.0,
+          ]),
+          [
+            new PolygonHierarchy(
+              Cartesian3.fromDegreesArray([
+                2.0, 2.0, 8.0, 2.0, 8.0, 8.0, 2.0, 8.0,
+              ]),
+              [
+                new PolygonHierarchy(
+                  Cartesian3.fromDegreesArray([4.0, 4.0, 6.0, 4.0, 6.0, 6.0]),
+                ),
+              ],
+            ),
+          ],
+        ),
+      },
+    });
+
+    const feature = exportGeoJson({
+      entities: entities,
+      time: time,
+    }).features[0];
+    expect(feature.geometry.type).toEqual("MultiPolygon");
+
+    const polygons = feature.geometry.coordinates;
+    expect(polygons.length).toBe(2);
+    expect(polygons[0].length).toBe(2);
+    expect(polygons[1].length).toBe(1);
+    expectCoordinates(polygons[1][0][0], [4.0, 4.0]);
+  });
+
+  it("exports polygons with per position heights", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      polygon: {
+        hierarchy: Cartesian3.fromDegreesArrayHeights([
+          0.0, 0.0, 10.0, 1.0, 0.0, 10.0, 1.0, 1.0, 10.0,
+        ]),
+        perPositionHeight: true,
+      },
+    });
+
+    const feature = exportGeoJson({
+      entities: entities,
+      time: time,
+    }).features[0];
+    expectCoordinates(feature.geometry.coordinates[0][0], [0.0, 0.0, 10.0]);
+  });
+
+  it("exports rectangles", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      rectangle: {
+        coordinates: Rectangle.fromDegrees(0.0, 1.0, 2.0, 3.0),
+      },
+    });
+
+    const feature = exportGeoJson({
+      entities: entities,
+      time: time,
+    }).features[0];
+    expect(feature.geometry.type).toEqual("Polygon");
+    const ring = feature.geometry.coordinates[0];
+    expect(ring.length).toBe(5);
+    expectCoordinates(ring[0], [0.0, 1.0]);
+    expectCoordinates(ring[2], [2.0, 3.0]);
+  });
+
+  it("exports multiple geometries as a GeometryCollection", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      position: Cartesian3.fromDegrees(0.0, 0.0),
+      point: {},
+      polyline: {
+        positions: Cartesian3.fromDegreesArray([0.0, 0.0, 1.0, 1.0]),
+      },
+    });
+
+    const feature = exportGeoJson({
+      entities: entities,
+      time: time,
+    }).features[0];
+    expect(feature.geometry.type).toEqual("GeometryCollection");
+    expect(feature.geometry.geometries.length).toBe(2);
+    expect(feature.geometry.geometries[0].type).toEqual("Point");
+    expect(feature.geometry.geometries[1].type).toEqual("LineString");
+  });
+
+  it("samples time-dynamic properties at the given time", function () {
+    const position = new SampledPositionProperty();
+    position.addSample(time, Cartesian3.fromDegrees(0.0, 0.0, 0.0));
+    position.addSample(
+      JulianDate.addSeconds(time, 10.0, new JulianDate()),
+      Cartesian3.fromDegrees(0.0, 10.0, 0.0),
+    );
+
+    const entities = new EntityCollection();
+    entities.add({
+      position: position,
+      point: {},
+    });
+
+    const feature = exportGeoJson({
+      entities: entities,
+      time: JulianDate.addSeconds(time, 10.0, new JulianDate()),
+    }).features[0];
+    expectCoordinates(feature.geometry.coordinates, [0.0, 10.0, 0.0]);
+  });
+
+  it("skips entities that are not available", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      availability: new TimeIntervalCollection([
+        new TimeInterval({
+          start: JulianDate.addDays(time, 1.0, new JulianDate()),
+          stop: JulianDate.addDays(time, 2.0, new JulianDate()),
+        }),
+      ]),
+      position: Cartesian3.fromDegrees(0.0, 0.0),
+      point: {},
+    });
+
+    const result = exportGeoJson({
+      entities: entities,
+      time: time,
+    });
+    expect(result.features.length).toBe(0);
+  });
+
+  it("skips entities without supported graphics", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      position: Cartesian3.fromDegrees(0.0, 0.0),
+      box: {
+        dimensions: new Cartesian3(1.0, 1.0, 1.0),
+      },
+    });
+
+    const result = exportGeoJson({
+      entities: entities,
+      time: time,
+    });
+    expect(result.features.length).toBe(0);
+  });
+});
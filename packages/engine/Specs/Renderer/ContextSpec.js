@@ -35,6 +35,31 @@ describe(
       expect(context.canvas).not.toBeNull();
     });
 
+    it("uses the framebuffer of a WebXR layer as the default framebuffer", function () {
+      const gl = context._gl;
+      const framebuffer = gl.createFramebuffer();
+      context._webXRLayer = {
+        framebuffer: framebuffer,
+        framebufferWidth: 200,
+        framebufferHeight: 100,
+      };
+      expect(context.drawingBufferWidth).toEqual(200);
+      expect(context.drawingBufferHeight).toEqual(100);
+
+      spyOn(gl, "bindFramebuffer").and.callThrough();
+      context.endFrame();
+      expect(gl.bindFramebuffer).toHaveBeenCalledWith(
+        gl.FRAMEBUFFER,
+        framebuffer,
+      );
+
+      context._webXRLayer = undefined;
+      context.endFrame();
+      expect(gl.bindFramebuffer).toHaveBeenCalledWith(gl.FRAMEBUFFER, null);
+      expect(context.drawingBufferWidth).toEqual(gl.drawingBufferWidth);
+      gl.deleteFramebuffer(framebuffer);
+    });
+
     it("get stencilBits", function () {
       expect(context.stencilBits).toBeGreaterThanOrEqual(0);
     });
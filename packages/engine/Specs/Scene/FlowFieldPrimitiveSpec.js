@@ -0,0 +1,269 @@
+import {
+  Cartesian3,
+  Color,
+  combine,
+  ComputeCommand,
+  defined,
+  DrawCommand,
+  FlowFieldPrimitive,
+  Math as CesiumMath,
+  Pass,
+  PrimitiveType,
+  Rectangle,
+  RuntimeError,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Scene/FlowFieldPrimitive",
+  function () {
+    const width = 36;
+    const height = 18;
+
+    let scene;
+    let primitive;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      scene.morphTo3D(0);
+      scene.camera.setView({
+        destination: Cartesian3.fromDegrees(0.0, 0.0, 2.0e7),
+      });
+    });
+
+    afterEach(function () {
+      scene.primitives.removeAll();
+      if (defined(primitive) && !primitive.isDestroyed()) {
+        primitive.destroy();
+      }
+      primitive = undefined;
+    });
+
+    function createField(u, v) {
+      return {
+        u: new Float32Array(width * height).fill(u),
+        v: new Float32Array(width * height).fill(v),
+        width: width,
+        height: height,
+      };
+    }
+
+    function createPrimitive(options) {
+      const field = createField(10.0, 5.0);
+      field.particleCount = 4096;
+      return new FlowFieldPrimitive(combine(options, field));
+    }
+
+    it("constructor sets default values", function () {
+      primitive = new FlowFieldPrimitive(createField(3.0, 4.0));
+      expect(primitive.show).toBe(true);
+      expect(primitive.particleCount).toEqual(16384);
+      expect(primitive.trailLength).toEqual(8);
+      expect(primitive.speedFactor).toEqual(1000.0);
+      expect(primitive.dropRate).toEqual(0.003);
+      expect(primitive.dropRateBump).toEqual(0.01);
+      expect(primitive.altitude).toEqual(1000.0);
+      expect(primitive.color).toEqual(Color.WHITE);
+      expect(primitive.colorRamp).toBeUndefined();
+      expect(primitive.rectangle).toEqual(Rectangle.MAX_VALUE);
+      expect(primitive.maximumSpeed).toEqual(5.0);
+    });
+
+    it("rounds the particle count up to a square", function () {
+      primitive = createPrimitive({
+        particleCount: 1000,
+        trailLength: 2,
+      });
+      expect(primitive.particleCount).toEqual(1024);
+      expect(primitive.trailLength).toEqual(2);
+    });
+
+    it("setField ignores cells without data when computing the maximum speed", function () {
+      primitive = new FlowFieldPrimitive(createField(1.0, 0.0));
+      expect(primitive.maximumSpeed).toEqual(1.0);
+
+      const u = [6.0, NaN, 0.0, 0.0];
+      const v = [8.0, 100.0, 0.0, 0.0];
+      primitive.setField(u, v, 2, 2);
+      expect(primitive.maximumSpeed).toEqual(10.0);
+
+      // The north row is stored last, to match the texture coordinates
+      expect(Array.from(primitive._field.values)).toEqual([
+        0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 1.0, 0.0, 6.0, 8.0, 1.0, 0.0, 0.0, 0.0,
+        0.0, 0.0,
+      ]);
+    });
+
+    it("uses the maximum speed if provided", function () {
+      primitive = createPrimitive({
+        maximumSpeed: 50.0,
+      });
+      expect(primitive.maximumSpeed).toEqual(50.0);
+    });
+
+    it("decodes a vector field from an image", function () {
+      // The last pixel is transparent, so it has no data
+      const pixels = new Uint8Array([
+        0, 255, 0, 255, 51, 102, 0, 255, 0, 0, 0, 0,
+      ]);
+      const field = FlowFieldPrimitive._decodeImage(pixels, 3, 1, {
+        minimumU: -10.0,
+        maximumU: 41.0,
+        minimumV: 0.0,
+        maximumV: 25.5,
+      });
+      expect(field.u[0]).toEqualEpsilon(-10.0, CesiumMath.EPSILON6);
+      expect(field.u[1]).toEqualEpsilon(0.2, CesiumMath.EPSILON6);
+      expect(field.u[2]).toBeNaN();
+      expect(field.v[0]).toEqualEpsilon(25.5, CesiumMath.EPSILON6);
+      expect(field.v[1]).toEqualEpsilon(10.2, CesiumMath.EPSILON6);
+      expect(field.v[2]).toBeNaN();
+    });
+
+    it("creates an update command and a draw command", function () {
+      if (!FlowFieldPrimitive.isSupported(scene)) {
+        return;
+      }
+
+      primitive = createPrimitive({
+        trailLength: 4,
+      });
+      const frameState = scene.frameState;
+      frameState.passes.render = true;
+      frameState.commandList.length = 0;
+      primitive.update(frameState);
+
+      expect(frameState.commandList.length).toEqual(2);
+      const updateCommand = frameState.commandList[0];
+      expect(updateCommand).toBeInstanceOf(ComputeCommand);
+      expect(updateCommand.outputTexture.width).toEqual(64 * 4);
+      expect(updateCommand.outputTexture.height).toEqual(64);
+
+      const drawCommand = frameState.commandList[1];
+      expect(drawCommand).toBeInstanceOf(DrawCommand);
+      expect(drawCommand.pass).toEqual(Pass.TRANSLUCENT);
+      expect(drawCommand.primitiveType).toEqual(PrimitiveType.LINES);
+      expect(drawCommand.count).toEqual(4096 * 3 * 2);
+      frameState.commandList.length = 0;
+    });
+
+    it("does not create commands when not shown", function () {
+      primitive = createPrimitive({
+        show: false,
+      });
+      const frameState = scene.frameState;
+      frameState.commandList.length = 0;
+      primitive.update(frameState);
+      expect(frameState.commandList.length).toEqual(0);
+    });
+
+    it("renders particles", function () {
+      if (!FlowFieldPrimitive.isSupported(scene)) {
+        return;
+      }
+
+      primitive = scene.primitives.add(createPrimitive());
+
+      // Let the trails grow
+      for (let i = 0; i < 10; ++i) {
+        scene.renderForSpecs();
+      }
+      expect(scene).notToRender([0, 0, 0, 255]);
+
+      primitive.show = false;
+      expect(scene).toRender([0, 0, 0, 255]);
+    });
+
+    it("renders particles with a color ramp", function () {
+      if (!FlowFieldPrimitive.isSupported(scene)) {
+        return;
+      }
+
+      primitive = scene.primitives.add(
+        createPrimitive({
+          colorRamp: [Color.BLUE, Color.RED],
+        }),
+      );
+      for (let i = 0; i < 10; ++i) {
+        scene.renderForSpecs();
+      }
+      expect(scene).notToRender([0, 0, 0, 255]);
+    });
+
+    it("renders particles in Columbus view", function () {
+      if (!FlowFieldPrimitive.isSupported(scene)) {
+        return;
+      }
+
+      scene.morphToColumbusView(0);
+      scene.camera.setView({
+        destination: Cartesian3.fromDegrees(0.0, 0.0, 2.0e7),
+      });
+      primitive = scene.primitives.add(createPrimitive());
+      for (let i = 0; i < 10; ++i) {
+        scene.renderForSpecs();
+      }
+      expect(scene).notToRender([0, 0, 0, 255]);
+    });
+
+    it("renders particles in 2D", function () {
+      if (!FlowFieldPrimitive.isSupported(scene)) {
+        return;
+      }
+
+      scene.morphTo2D(0);
+      scene.camera.setView({
+        destination: Cartesian3.fromDegrees(0.0, 0.0, 2.0e7),
+      });
+      primitive = scene.primitives.add(createPrimitive());
+      for (let i = 0; i < 10; ++i) {
+        scene.renderForSpecs();
+      }
+      expect(scene).notToRender([0, 0, 0, 255]);
+    });
+
+    it("throws on update if the context is not supported", function () {
+      spyOn(FlowFieldPrimitive, "isSupported").and.returnValue(false);
+      primitive = createPrimitive();
+      scene.frameState.passes.render = true;
+      expect(function () {
+        primitive.update(scene.frameState);
+      }).toThrowError(RuntimeError);
+    });
+
+    it("throws with invalid options", function () {
+      expect(function () {
+        return new FlowFieldPrimitive();
+      }).toThrowDeveloperError();
+      expect(function () {
+        return new FlowFieldPrimitive({
+          u: [1.0],
+          v: [1.0, 2.0],
+          width: 1,
+          height: 1,
+        });
+      }).toThrowDeveloperError();
+      expect(function () {
+        return createPrimitive({
+          trailLength: 1,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("isDestroyed", function () {
+      primitive = createPrimitive();
+      expect(primitive.isDestroyed()).toEqual(false);
+      primitive.destroy();
+      expect(primitive.isDestroyed()).toEqual(true);
+    });
+  },
+  "WebGL",
+);
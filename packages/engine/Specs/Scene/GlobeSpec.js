@@ -9,6 +9,9 @@ import {
   HeadingPitchRoll,
   NearFarScalar,
   JulianDate,
+  Cartographic,
+  TerrainModification,
+  TerrainModificationCollection,
 } from "../../index.js";
 
 import createScene from "../../../../Specs/createScene.js";
@@ -617,6 +620,47 @@ describe(
         );
       }).toThrowDeveloperError();
     });
+
+    it("gets and sets terrain modifications", function () {
+      expect(globe.terrainModifications).toBeUndefined();
+
+      const modifications = new TerrainModificationCollection();
+      globe.terrainModifications = modifications;
+      expect(globe.terrainModifications).toBe(modifications);
+      expect(modifications.owner).toBe(globe._surface.tileProvider);
+
+      globe.terrainModifications = undefined;
+      expect(modifications.isDestroyed()).toBe(true);
+    });
+
+    it("returns modified heights from getHeight", function () {
+      if (!TerrainModificationCollection.isSupported(scene)) {
+        return;
+      }
+
+      globe.terrainModifications = new TerrainModificationCollection({
+        modifications: [
+          new TerrainModification({
+            positions: Cartesian3.fromDegreesArray([
+              0.0, 0.0, 0.01, 0.0, 0.01, 0.01, 0.0, 0.01,
+            ]),
+            height: 100.0,
+          }),
+        ],
+      });
+      scene.camera.setView({
+        destination: Rectangle.fromDegrees(-0.01, -0.01, 0.02, 0.02),
+      });
+
+      return updateUntilDone(globe).then(function () {
+        expect(
+          globe.getHeight(Cartographic.fromDegrees(0.005, 0.005)),
+        ).toEqualEpsilon(100.0, 1.0e-3);
+        expect(
+          globe.getHeight(Cartographic.fromDegrees(0.015, 0.005)),
+        ).toEqualEpsilon(0.0, 1.0e-3);
+      });
+    });
   },
   "WebGL",
 );
@@ -128,6 +128,8 @@ describe(
       "./Data/Models/glTF-2.0/BoxAnisotropy/glTF/BoxAnisotropy.gltf";
     const clearcoatTestData =
       "./Data/Models/glTF-2.0/BoxClearcoat/glTF/BoxClearcoat.gltf";
+    const gaussianSplats =
+      "./Data/Models/glTF-2.0/GaussianSplats/glTF/GaussianSplats.gltf";
 
     let scene;
     const gltfLoaders = [];
@@ -3999,6 +4001,87 @@ describe(
       });
     });
 
+    it("loads model with KHR_gaussian_splatting", async function () {
+      const gltfLoader = await loadGltf(gaussianSplats);
+      const components = gltfLoader.components;
+      const [rootNode] = components.scene.nodes;
+      const [primitive] = rootNode.primitives;
+
+      expect(primitive.isGaussianSplat).toBe(true);
+      expect(primitive.primitiveType).toBe(PrimitiveType.POINTS);
+
+      const attributes = primitive.attributes;
+      const positionAttribute = getAttribute(
+        attributes,
+        VertexAttributeSemantic.POSITION,
+      );
+      expect(positionAttribute.count).toBe(4);
+      expect(positionAttribute.buffer).toBeDefined();
+      // The positions are needed for depth sorting the splats
+      expect(positionAttribute.typedArray).toBeDefined();
+
+      const colorAttribute = getAttribute(
+        attributes,
+        VertexAttributeSemantic.COLOR,
+        0,
+      );
+      expect(colorAttribute.type).toBe(AttributeType.VEC4);
+      expect(colorAttribute.typedArray).toBeUndefined();
+
+      const scaleAttribute = attributes.find(function (attribute) {
+        return attribute.name === "_SCALE";
+      });
+      expect(scaleAttribute.type).toBe(AttributeType.VEC3);
+      expect(scaleAttribute.semantic).toBeUndefined();
+
+      const rotationAttribute = attributes.find(function (attribute) {
+        return attribute.name === "_ROTATION";
+      });
+      expect(rotationAttribute.type).toBe(AttributeType.VEC4);
+      expect(rotationAttribute.semantic).toBeUndefined();
+    });
+
+    it("does not load Gaussian splats for models without KHR_gaussian_splatting", async function () {
+      const gltfLoader = await loadGltf(pointCloudWithPropertyAttributes);
+      const components = gltfLoader.components;
+      const [rootNode] = components.scene.nodes;
+      const [primitive] = rootNode.primitives;
+
+      expect(primitive.isGaussianSplat).toBe(false);
+    });
+
+    it("throws for Gaussian splats that are not points", async function () {
+      const promise = loadModifiedGltfAndTest(
+        gaussianSplats,
+        undefined,
+        function (gltf) {
+          gltf.meshes[0].primitives[0].mode = PrimitiveType.TRIANGLES;
+          return gltf;
+        },
+      );
+
+      await expectAsync(promise).toBeRejectedWithError(
+        RuntimeError,
+        "Failed to load glTF\nGaussian splat primitives must use the POINTS primitive mode.",
+      );
+    });
+
+    it("throws for Gaussian splats without a rotation", async function () {
+      const promise = loadModifiedGltfAndTest(
+        gaussianSplats,
+        undefined,
+        function (gltf) {
+          delete gltf.meshes[0].primitives[0].attributes._ROTATION;
+          return gltf;
+        },
+      );
+
+      await expectAsync(promise).toBeRejectedWithError(
+        RuntimeError,
+        "Failed to load glTF\nGaussian splat primitives must have a _ROTATION attribute.",
+      );
+    });
+
     it("loads model with CESIUM_primitive_outline", function () {
       return loadGltf(boxWithPrimitiveOutline).then(function (gltfLoader) {
         const components = gltfLoader.components;
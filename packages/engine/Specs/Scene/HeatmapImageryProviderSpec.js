@@ -0,0 +1,313 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Clock,
+  Color,
+  Ellipsoid,
+  EntityCollection,
+  GeographicTilingScheme,
+  HeatmapImageryProvider,
+  ImageryProvider,
+  JulianDate,
+  Math as CesiumMath,
+  TimeIntervalCollection,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+
+describe("Scene/HeatmapImageryProvider", function () {
+  // Level 0 tile (1, 0) of the geographic tiling scheme spans 0 to 180 degrees of longitude,
+  // so a point at (90, 0) is at the center of the tile
+  const center = Cartographic.fromDegrees(90.0, 0.0);
+  const nearby = Cartographic.fromDegrees(90.5, 0.0);
+
+  function getPixel(canvas, column, row) {
+    return Array.from(
+      canvas.getContext("2d").getImageData(column, row, 1, 1).data,
+    );
+  }
+
+  it("conforms to ImageryProvider interface", function () {
+    expect(HeatmapImageryProvider).toConformToInterface(ImageryProvider);
+  });
+
+  it("constructor sets default values", function () {
+    const points = [{ position: center }];
+    const provider = new HeatmapImageryProvider({
+      points: points,
+    });
+    expect(provider.points).toBe(points);
+    expect(provider.entities).toBeUndefined();
+    expect(provider.radius).toEqual(20.0);
+    expect(provider.minimum).toEqual(0.0);
+    expect(provider.maximum).toBeUndefined();
+    expect(provider.gradient).toBeDefined();
+    expect(provider.tileWidth).toEqual(256);
+    expect(provider.tileHeight).toEqual(256);
+    expect(provider.minimumLevel).toEqual(0);
+    expect(provider.maximumLevel).toBeUndefined();
+    expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+    expect(provider.rectangle).toEqual(new GeographicTilingScheme().rectangle);
+    expect(provider.tileDiscardPolicy).toBeUndefined();
+    expect(provider.credit).toBeUndefined();
+    expect(provider.hasAlphaChannel).toBe(true);
+    expect(provider.times).toBeUndefined();
+  });
+
+  it("can use a custom ellipsoid and tiling scheme", function () {
+    const ellipsoid = new Ellipsoid(1, 2, 3);
+    let provider = new HeatmapImageryProvider({
+      points: [],
+      ellipsoid: ellipsoid,
+    });
+    expect(provider.tilingScheme.ellipsoid).toEqual(ellipsoid);
+
+    const tilingScheme = new WebMercatorTilingScheme();
+    provider = new HeatmapImageryProvider({
+      points: [],
+      tilingScheme: tilingScheme,
+      credit: "Heatmap data",
+    });
+    expect(provider.tilingScheme).toBe(tilingScheme);
+    expect(provider.credit.html).toEqual("Heatmap data");
+  });
+
+  it("computes the kernel density of the points", function () {
+    const provider = new HeatmapImageryProvider({
+      points: [{ position: center, weight: 2.0 }],
+      radius: 10.0,
+    });
+
+    const density = provider.computeDensity(1, 0, 0);
+    expect(density.length).toEqual(256 * 256);
+    // The pixel centers are half a pixel away from the point in both directions
+    expect(density[128 * 256 + 128]).toEqualEpsilon(
+      2.0 * Math.pow(1.0 - 0.5 / 100.0, 2),
+      CesiumMath.EPSILON6,
+    );
+    expect(density[128 * 256 + 120]).toBeGreaterThan(0.0);
+    expect(density[128 * 256 + 100]).toEqual(0.0);
+    expect(density[0]).toEqual(0.0);
+
+    // The other tile at level 0 is empty
+    expect(Math.max.apply(null, provider.computeDensity(0, 0, 0))).toEqual(0.0);
+  });
+
+  it("includes points near the edge of a tile", function () {
+    const provider = new HeatmapImageryProvider({
+      points: [{ position: Cartographic.fromDegrees(0.1, 0.0) }],
+      radius: 10.0,
+    });
+
+    // The point is in tile (1, 0) and overlaps into tile (0, 0)
+    expect(provider.computeDensity(1, 0, 0)[128 * 256]).toBeGreaterThan(0.0);
+    expect(provider.computeDensity(0, 0, 0)[128 * 256 + 255]).toBeGreaterThan(
+      0.0,
+    );
+  });
+
+  it("includes points on the other side of the anti-meridian", function () {
+    const provider = new HeatmapImageryProvider({
+      points: [{ position: Cartographic.fromDegrees(179.9, 0.0) }],
+      radius: 10.0,
+    });
+
+    expect(provider.computeDensity(0, 0, 0)[128 * 256]).toBeGreaterThan(0.0);
+  });
+
+  it("adapts the maximum density to each level", function () {
+    const provider = new HeatmapImageryProvider({
+      points: [{ position: center }, { position: nearby }],
+    });
+
+    // The points overlap at level 0 and are far apart at level 10
+    expect(provider.getMaximum(0)).toBeGreaterThan(1.9);
+    expect(provider.getMaximum(10)).toEqual(1.0);
+
+    provider.maximum = 5.0;
+    expect(provider.getMaximum(0)).toEqual(5.0);
+    expect(provider.getMaximum(10)).toEqual(5.0);
+  });
+
+  it("renders the density with the gradient", function () {
+    const provider = new HeatmapImageryProvider({
+      points: [{ position: center }],
+      radius: 10.0,
+      gradient: {
+        0.0: Color.BLUE,
+        1.0: Color.RED,
+      },
+      maximum: 1.0,
+    });
+
+    return provider.requestImage(1, 0, 0).then(function (canvas) {
+      expect(canvas.width).toEqual(256);
+      expect(canvas.height).toEqual(256);
+      // The density at the center pixel is just below the maximum
+      const peak = getPixel(canvas, 128, 128);
+      expect(peak[0]).toBeGreaterThan(250);
+      expect(peak[1]).toEqual(0);
+      expect(peak[2]).toBeLessThan(5);
+      expect(peak[3]).toEqual(255);
+      expect(getPixel(canvas, 0, 0)).toEqual([0, 0, 0, 0]);
+
+      const pixel = getPixel(canvas, 123, 128);
+      expect(pixel[0]).toBeLessThan(peak[0]);
+      expect(pixel[2]).toBeGreaterThan(peak[2]);
+      expect(pixel[3]).toEqual(255);
+    });
+  });
+
+  it("does not draw densities at or below the minimum", function () {
+    const provider = new HeatmapImageryProvider({
+      points: [{ position: center }],
+      radius: 10.0,
+      minimum: 2.0,
+    });
+
+    return provider.requestImage(1, 0, 0).then(function (canvas) {
+      expect(getPixel(canvas, 128, 128)).toEqual([0, 0, 0, 0]);
+    });
+  });
+
+  it("reloads when the points or appearance change", function () {
+    const provider = new HeatmapImageryProvider({
+      points: [{ position: center }],
+    });
+    provider._reload = jasmine.createSpy("reload");
+    expect(provider.getMaximum(10)).toEqual(1.0);
+
+    provider.points = [
+      { position: center, weight: 3.0 },
+      { position: nearby, weight: 3.0 },
+    ];
+    expect(provider._reload.calls.count()).toEqual(1);
+    expect(provider.getMaximum(10)).toEqual(3.0);
+
+    provider.radius = 40.0;
+    provider.gradient = {
+      1.0: Color.WHITE,
+    };
+    provider.minimum = 1.0;
+    provider.maximum = 10.0;
+    expect(provider._reload.calls.count()).toEqual(5);
+  });
+
+  it("draws the entities of an entity collection", function () {
+    const entities = new EntityCollection();
+    entities.add({
+      position: Cartesian3.fromDegrees(90.0, 0.0),
+      properties: {
+        weight: 3.0,
+      },
+    });
+    entities.add({
+      position: Cartesian3.fromDegrees(45.0, 0.0),
+    });
+    entities.add({
+      name: "No position",
+    });
+
+    const provider = new HeatmapImageryProvider({
+      entities: entities,
+      radius: 10.0,
+    });
+    expect(provider.entities).toBe(entities);
+
+    const density = provider.computeDensity(1, 0, 0);
+    expect(density[128 * 256 + 128]).toBeGreaterThan(2.9);
+    expect(density[128 * 256 + 64]).toBeGreaterThan(0.9);
+    expect(density[128 * 256 + 64]).toBeLessThan(1.0);
+
+    provider._reload = jasmine.createSpy("reload");
+    entities.removeAll();
+    expect(provider._reload).toHaveBeenCalled();
+    expect(Math.max.apply(null, provider.computeDensity(1, 0, 0))).toEqual(0.0);
+  });
+
+  it("draws the points of the current time interval", function () {
+    const times = TimeIntervalCollection.fromIso8601({
+      iso8601: "2024-01-01T00:00:00Z/2024-01-01T02:00:00Z/PT1H",
+    });
+    const clock = new Clock({
+      currentTime: JulianDate.fromIso8601("2024-01-01T00:30:00Z"),
+    });
+    const provider = new HeatmapImageryProvider({
+      points: [
+        {
+          position: center,
+          time: JulianDate.fromIso8601("2024-01-01T00:10:00Z"),
+        },
+        {
+          position: Cartographic.fromDegrees(45.0, 0.0),
+          time: JulianDate.fromIso8601("2024-01-01T01:10:00Z"),
+        },
+        {
+          // Points without a time are always drawn
+          position: Cartographic.fromDegrees(135.0, 0.0),
+        },
+      ],
+      radius: 10.0,
+      maximum: 1.0,
+      clock: clock,
+      times: times,
+    });
+    expect(provider.clock).toBe(clock);
+    expect(provider.times).toBe(times);
+    provider._reload = jasmine.createSpy("reload");
+
+    return provider
+      .requestImage(1, 0, 0)
+      .then(function (canvas) {
+        expect(getPixel(canvas, 128, 128)[3]).toBeGreaterThan(0);
+        expect(getPixel(canvas, 64, 128)[3]).toEqual(0);
+        expect(getPixel(canvas, 192, 128)[3]).toBeGreaterThan(0);
+
+        clock.currentTime = JulianDate.fromIso8601("2024-01-01T01:30:00Z");
+        clock.tick();
+        expect(provider._reload).toHaveBeenCalled();
+
+        return provider.requestImage(1, 0, 0);
+      })
+      .then(function (canvas) {
+        expect(getPixel(canvas, 128, 128)[3]).toEqual(0);
+        expect(getPixel(canvas, 64, 128)[3]).toBeGreaterThan(0);
+        expect(getPixel(canvas, 192, 128)[3]).toBeGreaterThan(0);
+      });
+  });
+
+  it("throws without exactly one of points or entities", function () {
+    expect(function () {
+      return new HeatmapImageryProvider();
+    }).toThrowDeveloperError();
+    expect(function () {
+      return new HeatmapImageryProvider({
+        points: [],
+        entities: new EntityCollection(),
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("requires clock if times is specified", function () {
+    expect(function () {
+      return new HeatmapImageryProvider({
+        points: [],
+        times: new TimeIntervalCollection(),
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws when setting points of an entity heatmap or an invalid radius", function () {
+    const provider = new HeatmapImageryProvider({
+      entities: new EntityCollection(),
+    });
+    expect(function () {
+      provider.points = [];
+    }).toThrowDeveloperError();
+    expect(function () {
+      provider.radius = 0.0;
+    }).toThrowDeveloperError();
+    expect(function () {
+      provider.times = new TimeIntervalCollection();
+    }).toThrowDeveloperError();
+  });
+});
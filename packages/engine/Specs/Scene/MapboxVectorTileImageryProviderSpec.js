@@ -0,0 +1,380 @@
+import {
+  Cartesian3,
+  Credit,
+  Math as CesiumMath,
+  Rectangle,
+  Resource,
+  RuntimeError,
+  WebMercatorTilingScheme,
+  ImageryLayerFeatureInfo,
+  MapboxVectorTileImageryProvider,
+} from "../../index.js";
+
+describe("Scene/MapboxVectorTileImageryProvider", function () {
+  const style = {
+    version: 8,
+    sources: {
+      basemap: {
+        type: "vector",
+        tiles: ["https://tiles.example.com/{z}/{x}/{y}.pbf"],
+        minzoom: 0,
+        maxzoom: 14,
+        attribution: "Example",
+      },
+    },
+    layers: [
+      {
+        id: "parks",
+        type: "fill",
+        source: "basemap",
+        "source-layer": "landuse",
+        paint: {
+          "fill-color": "#00ff00",
+        },
+      },
+      {
+        id: "places",
+        type: "symbol",
+        source: "basemap",
+        "source-layer": "place",
+        layout: {
+          "text-field": "{name}",
+        },
+      },
+    ],
+  };
+
+  const tile = {
+    landuse: {
+      name: "landuse",
+      extent: 4096,
+      features: [
+        {
+          id: 1,
+          type: 3,
+          properties: {
+            name: "Park",
+            class: "park",
+          },
+          geometry: [[0, 0, 2048, 0, 2048, 2048, 0, 2048, 0, 0]],
+        },
+      ],
+    },
+    place: {
+      name: "place",
+      extent: 4096,
+      features: [
+        {
+          id: 2,
+          type: 1,
+          properties: {
+            name: "Town",
+          },
+          geometry: [[3072, 3072]],
+        },
+      ],
+    },
+  };
+
+  function patchLoadWithXhr(responses) {
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+    ) {
+      const key = Object.keys(responses).find(function (suffix) {
+        return url.endsWith(suffix);
+      });
+      setTimeout(function () {
+        deferred.resolve(JSON.stringify(responses[key]));
+      }, 1);
+    };
+  }
+
+  // Returns the longitude and latitude of a position within the root tile, in [0, 1] from the top-left corner
+  function getPosition(provider, u, v) {
+    const tilingScheme = provider.tilingScheme;
+    const rectangle = tilingScheme.tileXYToNativeRectangle(0, 0, 0);
+    const cartographic = tilingScheme.projection.unproject(
+      new Cartesian3(
+        rectangle.west + u * (rectangle.east - rectangle.west),
+        rectangle.north - v * (rectangle.north - rectangle.south),
+      ),
+    );
+    return cartographic;
+  }
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("throws without style", function () {
+    expect(function () {
+      return new MapboxVectorTileImageryProvider({
+        url: "https://tiles.example.com/{z}/{x}/{y}.pbf",
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without url when the source has no tiles", function () {
+    expect(function () {
+      return new MapboxVectorTileImageryProvider({
+        style: {
+          version: 8,
+          sources: {
+            basemap: {
+              type: "vector",
+            },
+          },
+          layers: [],
+        },
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("uses the style source", function () {
+    const provider = new MapboxVectorTileImageryProvider({
+      style: style,
+    });
+    expect(provider.url).toEqual("https://tiles.example.com/{z}/{x}/{y}.pbf");
+    expect(provider.source).toEqual("basemap");
+    expect(provider.minimumLevel).toEqual(0);
+    expect(provider.maximumLevel).toBeUndefined();
+    expect(provider.maximumNativeLevel).toEqual(14);
+    expect(provider.credit).toBeInstanceOf(Credit);
+    expect(provider.credit.html).toEqual("Example");
+  });
+
+  it("options take precedence over the style source", function () {
+    const provider = new MapboxVectorTileImageryProvider({
+      style: style,
+      url: "https://other.example.com/{z}/{x}/{y}.mvt",
+      minimumLevel: 2,
+      maximumLevel: 18,
+      maximumNativeLevel: 12,
+      credit: "Other",
+    });
+    expect(provider.url).toEqual("https://other.example.com/{z}/{x}/{y}.mvt");
+    expect(provider.minimumLevel).toEqual(2);
+    expect(provider.maximumLevel).toEqual(18);
+    expect(provider.maximumNativeLevel).toEqual(12);
+    expect(provider.credit.html).toEqual("Other");
+  });
+
+  it("has default properties", function () {
+    const provider = new MapboxVectorTileImageryProvider({
+      style: style,
+    });
+    expect(provider.tileWidth).toEqual(512);
+    expect(provider.tileHeight).toEqual(512);
+    expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+    expect(provider.rectangle).toEqual(provider.tilingScheme.rectangle);
+    expect(provider.hasAlphaChannel).toBe(true);
+    expect(provider.tileDiscardPolicy).toBeUndefined();
+    expect(provider.proxy).toBeUndefined();
+    expect(provider.errorEvent).toBeDefined();
+    expect(provider.enablePickFeatures).toBe(true);
+    expect(provider.getTileCredits(0, 0, 0)).toBeUndefined();
+  });
+
+  it("clips the rectangle to the tiling scheme", function () {
+    const rectangle = Rectangle.fromDegrees(-10.0, -10.0, 10.0, 10.0);
+    const provider = new MapboxVectorTileImageryProvider({
+      style: style,
+      rectangle: rectangle,
+    });
+    expect(provider.rectangle).toEqual(rectangle);
+  });
+
+  it("fromUrl throws without url", async function () {
+    await expectAsync(
+      MapboxVectorTileImageryProvider.fromUrl(),
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("fromUrl loads the style and TileJSON", async function () {
+    patchLoadWithXhr({
+      "style.json": {
+        version: 8,
+        sources: {
+          basemap: {
+            type: "vector",
+            url: "tiles.json",
+          },
+        },
+        layers: style.layers,
+      },
+      "tiles.json": {
+        tilejson: "2.2.0",
+        tiles: ["tiles/{z}/{x}/{y}.pbf"],
+        minzoom: 1,
+        maxzoom: 10,
+      },
+    });
+
+    const provider = await MapboxVectorTileImageryProvider.fromUrl(
+      "https://example.com/styles/style.json",
+    );
+    expect(provider).toBeInstanceOf(MapboxVectorTileImageryProvider);
+    expect(provider.url).toEqual(
+      "https://example.com/styles/tiles/{z}/{x}/{y}.pbf",
+    );
+    expect(provider.minimumLevel).toEqual(1);
+    expect(provider.maximumNativeLevel).toEqual(10);
+  });
+
+  it("fromUrl resolves relative tile URLs", async function () {
+    patchLoadWithXhr({
+      "style.json": {
+        version: 8,
+        sources: {
+          basemap: {
+            type: "vector",
+            tiles: ["../tiles/{z}/{x}/{y}.pbf"],
+          },
+        },
+        layers: [],
+      },
+    });
+
+    const provider = await MapboxVectorTileImageryProvider.fromUrl(
+      "https://example.com/styles/style.json",
+    );
+    expect(provider.url).toEqual("https://example.com/tiles/{z}/{x}/{y}.pbf");
+  });
+
+  it("fromUrl rejects without a vector source", async function () {
+    patchLoadWithXhr({
+      "style.json": {
+        version: 8,
+        sources: {},
+        layers: [],
+      },
+    });
+
+    await expectAsync(
+      MapboxVectorTileImageryProvider.fromUrl(
+        "https://example.com/styles/style.json",
+      ),
+    ).toBeRejectedWithError(RuntimeError);
+  });
+
+  it("pickFeatures returns undefined when disabled", function () {
+    const provider = new MapboxVectorTileImageryProvider({
+      style: style,
+      enablePickFeatures: false,
+    });
+    expect(provider.pickFeatures(0, 0, 0, 0.0, 0.0)).toBeUndefined();
+  });
+
+  it("pickFeatures returns features at the position", async function () {
+    const provider = new MapboxVectorTileImageryProvider({
+      style: style,
+    });
+    provider._tileCache.set("0/0/0", Promise.resolve(tile));
+
+    const position = getPosition(provider, 0.25, 0.25);
+    const features = await provider.pickFeatures(
+      0,
+      0,
+      0,
+      position.longitude,
+      position.latitude,
+    );
+    expect(features.length).toEqual(1);
+    expect(features[0]).toBeInstanceOf(ImageryLayerFeatureInfo);
+    expect(features[0].name).toEqual("Park");
+    expect(features[0].properties).toEqual({
+      name: "Park",
+      class: "park",
+    });
+    expect(features[0].data.layer).toEqual("parks");
+    expect(features[0].data.sourceLayer).toEqual("landuse");
+    expect(features[0].position).toBeUndefined();
+  });
+
+  it("pickFeatures returns the position of point features", async function () {
+    const provider = new MapboxVectorTileImageryProvider({
+      style: style,
+    });
+    provider._tileCache.set("0/0/0", Promise.resolve(tile));
+
+    const position = getPosition(provider, 0.75, 0.75);
+    const features = await provider.pickFeatures(
+      0,
+      0,
+      0,
+      position.longitude,
+      position.latitude,
+    );
+    expect(features.length).toEqual(1);
+    expect(features[0].name).toEqual("Town");
+    expect(features[0].position.longitude).toEqualEpsilon(
+      position.longitude,
+      CesiumMath.EPSILON10,
+    );
+    expect(features[0].position.latitude).toEqualEpsilon(
+      position.latitude,
+      CesiumMath.EPSILON10,
+    );
+  });
+
+  it("pickFeatures uses the native tile beyond maximumNativeLevel", async function () {
+    const provider = new MapboxVectorTileImageryProvider({
+      style: style,
+      maximumNativeLevel: 0,
+    });
+    provider._tileCache.set("0/0/0", Promise.resolve(tile));
+
+    const position = getPosition(provider, 0.25, 0.25);
+    const features = await provider.pickFeatures(
+      1,
+      1,
+      2,
+      position.longitude,
+      position.latitude,
+    );
+    expect(features.length).toEqual(1);
+    expect(features[0].name).toEqual("Park");
+  });
+
+  it("requestImage renders the tile", async function () {
+    const provider = new MapboxVectorTileImageryProvider({
+      style: style,
+      tileWidth: 256,
+      tileHeight: 256,
+    });
+    provider._tileCache.set("0/0/0", Promise.resolve(tile));
+
+    const canvas = await provider.requestImage(0, 0, 0);
+    expect(canvas.width).toEqual(256);
+    expect(canvas.height).toEqual(256);
+
+    const context = canvas.getContext("2d");
+    expect(Array.from(context.getImageData(64, 64, 1, 1).data)).toEqual([
+      0, 255, 0, 255,
+    ]);
+    expect(context.getImageData(200, 64, 1, 1).data[3]).toEqual(0);
+  });
+
+  it("requestImage overzooms beyond maximumNativeLevel", async function () {
+    const provider = new MapboxVectorTileImageryProvider({
+      style: style,
+      tileWidth: 256,
+      tileHeight: 256,
+      maximumNativeLevel: 0,
+    });
+    provider._tileCache.set("0/0/0", Promise.resolve(tile));
+
+    // The top-left quarter of the root tile is entirely covered by the park
+    const canvas = await provider.requestImage(0, 0, 1);
+    const context = canvas.getContext("2d");
+    expect(Array.from(context.getImageData(250, 250, 1, 1).data)).toEqual([
+      0, 255, 0, 255,
+    ]);
+  });
+});
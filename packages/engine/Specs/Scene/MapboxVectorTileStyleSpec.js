@@ -0,0 +1,437 @@
+import { MapboxVectorTileStyle } from "../../index.js";
+
+describe("Scene/MapboxVectorTileStyle", function () {
+  const evaluate = MapboxVectorTileStyle.evaluate;
+  const evaluateFilter = MapboxVectorTileStyle.evaluateFilter;
+
+  const park = {
+    id: 7,
+    type: 3,
+    properties: {
+      class: "park",
+      name: "Central Park",
+      area: 341,
+    },
+    geometry: [
+      [0, 0, 2048, 0, 2048, 2048, 0, 2048, 0, 0],
+      [512, 512, 512, 1024, 1024, 1024, 1024, 512, 512, 512],
+    ],
+  };
+
+  const road = {
+    type: 2,
+    properties: {
+      class: "primary",
+    },
+    geometry: [[0, 3072, 4096, 3072]],
+  };
+
+  const city = {
+    type: 1,
+    properties: {
+      name: "Springfield",
+    },
+    geometry: [[3072, 1024]],
+  };
+
+  const tile = {
+    landuse: {
+      name: "landuse",
+      extent: 4096,
+      features: [park],
+    },
+    transportation: {
+      name: "transportation",
+      extent: 4096,
+      features: [road],
+    },
+    place: {
+      name: "place",
+      extent: 4096,
+      features: [city],
+    },
+  };
+
+  const style = {
+    version: 8,
+    sources: {
+      basemap: {
+        type: "vector",
+      },
+      other: {
+        type: "vector",
+      },
+    },
+    layers: [
+      {
+        id: "background",
+        type: "background",
+        paint: {
+          "background-color": "#f8f4f0",
+        },
+      },
+      {
+        id: "parks",
+        type: "fill",
+        source: "basemap",
+        "source-layer": "landuse",
+        filter: ["==", "class", "park"],
+        paint: {
+          "fill-color": "#00ff00",
+        },
+      },
+      {
+        id: "roads",
+        type: "line",
+        source: "basemap",
+        "source-layer": "transportation",
+        paint: {
+          "line-color": "#ff0000",
+          "line-width": {
+            stops: [
+              [10, 2],
+              [14, 10],
+            ],
+          },
+        },
+      },
+      {
+        id: "labels",
+        type: "symbol",
+        source: "basemap",
+        "source-layer": "place",
+        minzoom: 4,
+        layout: {
+          "text-field": "{name}",
+          "text-size": 12,
+        },
+      },
+      {
+        id: "hidden",
+        type: "fill",
+        source: "basemap",
+        "source-layer": "landuse",
+        layout: {
+          visibility: "none",
+        },
+      },
+      {
+        id: "other",
+        type: "fill",
+        source: "other",
+        "source-layer": "landuse",
+      },
+      {
+        id: "circles",
+        type: "circle",
+        source: "basemap",
+        "source-layer": "place",
+      },
+    ],
+  };
+
+  it("throws without style", function () {
+    expect(function () {
+      return new MapboxVectorTileStyle();
+    }).toThrowDeveloperError();
+  });
+
+  it("only keeps visible, supported layers from the source", function () {
+    const tileStyle = new MapboxVectorTileStyle(style, "basemap");
+    const ids = tileStyle.layers.map(function (layer) {
+      return layer.id;
+    });
+    expect(ids).toEqual(["background", "parks", "roads", "labels"]);
+    expect(tileStyle.layers[3].sourceLayer).toEqual("place");
+    expect(tileStyle.layers[3].minzoom).toEqual(4);
+  });
+
+  it("keeps layers from all sources without a source name", function () {
+    const tileStyle = new MapboxVectorTileStyle(style);
+    expect(tileStyle.layers.length).toEqual(5);
+  });
+
+  it("evaluates constants", function () {
+    expect(evaluate(5, 1, 10)).toEqual(5);
+    expect(evaluate(undefined, 1, 10)).toEqual(1);
+    expect(evaluate([2, 1], undefined, 10)).toEqual([2, 1]);
+    expect(evaluate(["Open Sans Regular"], undefined, 10)).toEqual([
+      "Open Sans Regular",
+    ]);
+  });
+
+  it("evaluates zoom functions", function () {
+    const width = {
+      stops: [
+        [10, 2],
+        [14, 10],
+      ],
+    };
+    expect(evaluate(width, 1, 5)).toEqual(2);
+    expect(evaluate(width, 1, 12)).toEqual(6);
+    expect(evaluate(width, 1, 20)).toEqual(10);
+
+    const exponential = {
+      base: 2,
+      stops: [
+        [0, 0],
+        [2, 3],
+      ],
+    };
+    expect(evaluate(exponential, 1, 1)).toEqual(1);
+  });
+
+  it("interpolates colors", function () {
+    const color = {
+      stops: [
+        [0, "#000000"],
+        [10, "#ffffff"],
+      ],
+    };
+    expect(evaluate(color, undefined, 0)).toEqual("#000000");
+    expect(evaluate(color, undefined, 5)).toEqual("rgb(128,128,128)");
+  });
+
+  it("steps non-interpolatable values", function () {
+    const cap = {
+      stops: [
+        [0, "butt"],
+        [10, "round"],
+      ],
+    };
+    expect(evaluate(cap, undefined, 9)).toEqual("butt");
+    expect(evaluate(cap, undefined, 10)).toEqual("round");
+  });
+
+  it("evaluates property functions", function () {
+    const categorical = {
+      property: "class",
+      type: "categorical",
+      stops: [
+        ["park", "#00ff00"],
+        ["water", "#0000ff"],
+      ],
+      default: "#ffffff",
+    };
+    expect(evaluate(categorical, undefined, 10, park)).toEqual("#00ff00");
+    expect(evaluate(categorical, undefined, 10, road)).toEqual("#ffffff");
+
+    const identity = {
+      property: "area",
+      type: "identity",
+    };
+    expect(evaluate(identity, undefined, 10, park)).toEqual(341);
+  });
+
+  it("evaluates expressions", function () {
+    expect(evaluate(["get", "name"], undefined, 10, park)).toEqual(
+      "Central Park",
+    );
+    expect(evaluate(["zoom"], undefined, 10)).toEqual(10);
+    expect(
+      evaluate(["interpolate", ["linear"], ["zoom"], 10, 2, 14, 10], 1, 12),
+    ).toEqual(6);
+    expect(
+      evaluate(
+        ["interpolate", ["exponential", 2], ["zoom"], 0, 0, 2, 3],
+        undefined,
+        1,
+      ),
+    ).toEqual(1);
+    expect(evaluate(["step", ["zoom"], 1, 10, 2, 12, 3], 0, 11)).toEqual(2);
+    expect(
+      evaluate(
+        ["match", ["get", "class"], ["park", "garden"], "green", "gray"],
+        undefined,
+        10,
+        park,
+      ),
+    ).toEqual("green");
+    expect(
+      evaluate(
+        ["case", [">", ["get", "area"], 1000], "large", "small"],
+        undefined,
+        10,
+        park,
+      ),
+    ).toEqual("small");
+    expect(
+      evaluate(
+        ["coalesce", ["get", "name_en"], ["get", "name"]],
+        undefined,
+        10,
+        park,
+      ),
+    ).toEqual("Central Park");
+    expect(
+      evaluate(
+        ["concat", ["get", "name"], " (", ["get", "area"], ")"],
+        undefined,
+        10,
+        park,
+      ),
+    ).toEqual("Central Park (341)");
+  });
+
+  it("evaluates legacy filters", function () {
+    expect(evaluateFilter(undefined, 10, park)).toBe(true);
+    expect(evaluateFilter(["==", "class", "park"], 10, park)).toBe(true);
+    expect(evaluateFilter(["!=", "class", "park"], 10, park)).toBe(false);
+    expect(evaluateFilter(["in", "class", "water", "park"], 10, park)).toBe(
+      true,
+    );
+    expect(evaluateFilter(["!in", "class", "water", "park"], 10, park)).toBe(
+      false,
+    );
+    expect(evaluateFilter(["has", "name"], 10, park)).toBe(true);
+    expect(evaluateFilter(["!has", "name"], 10, road)).toBe(true);
+    expect(evaluateFilter(["==", "$type", "Polygon"], 10, park)).toBe(true);
+    expect(evaluateFilter(["==", "$id", 7], 10, park)).toBe(true);
+    expect(evaluateFilter([">", "area", 300], 10, park)).toBe(true);
+    expect(evaluateFilter([">", "area", "300"], 10, park)).toBe(false);
+    expect(
+      evaluateFilter(
+        ["all", ["==", "class", "park"], ["<", "area", 100]],
+        10,
+        park,
+      ),
+    ).toBe(false);
+    expect(
+      evaluateFilter(
+        ["any", ["==", "class", "water"], [">=", "area", 341]],
+        10,
+        park,
+      ),
+    ).toBe(true);
+    expect(evaluateFilter(["none", ["==", "class", "water"]], 10, park)).toBe(
+      true,
+    );
+  });
+
+  it("evaluates expression filters", function () {
+    expect(evaluateFilter(["==", ["get", "class"], "park"], 10, park)).toBe(
+      true,
+    );
+    expect(
+      evaluateFilter(["==", ["geometry-type"], "LineString"], 10, road),
+    ).toBe(true);
+    expect(
+      evaluateFilter(["all", ["has", "name"], [">", ["zoom"], 12]], 10, park),
+    ).toBe(false);
+    expect(evaluateFilter(["!", ["has", "name"]], 10, road)).toBe(true);
+  });
+
+  it("picks fill features, ignoring holes", function () {
+    const tileStyle = new MapboxVectorTileStyle(style, "basemap");
+
+    let picked = tileStyle.pickFeatures(tile, {
+      zoom: 12,
+      size: 512,
+      x: 32,
+      y: 32,
+    });
+    expect(picked.length).toEqual(1);
+    expect(picked[0].layer).toEqual("parks");
+    expect(picked[0].sourceLayer).toEqual("landuse");
+    expect(picked[0].feature).toBe(park);
+
+    // Inside of the hole
+    picked = tileStyle.pickFeatures(tile, {
+      zoom: 12,
+      size: 512,
+      x: 96,
+      y: 96,
+    });
+    expect(picked.length).toEqual(0);
+  });
+
+  it("picks line features within their width", function () {
+    const tileStyle = new MapboxVectorTileStyle(style, "basemap");
+
+    // The road is 6 pixels wide at zoom 12
+    let picked = tileStyle.pickFeatures(tile, {
+      zoom: 12,
+      size: 512,
+      x: 100,
+      y: 386,
+      tolerance: 0,
+    });
+    expect(picked.length).toEqual(1);
+    expect(picked[0].feature).toBe(road);
+
+    picked = tileStyle.pickFeatures(tile, {
+      zoom: 12,
+      size: 512,
+      x: 100,
+      y: 400,
+      tolerance: 0,
+    });
+    expect(picked.length).toEqual(0);
+  });
+
+  it("picks labels", function () {
+    const tileStyle = new MapboxVectorTileStyle(style, "basemap");
+    let picked = tileStyle.pickFeatures(tile, {
+      zoom: 12,
+      size: 512,
+      x: 385,
+      y: 129,
+    });
+    expect(picked.length).toEqual(1);
+    expect(picked[0].feature).toBe(city);
+
+    // Below the label layer's minimum zoom
+    picked = tileStyle.pickFeatures(tile, {
+      zoom: 2,
+      size: 512,
+      x: 385,
+      y: 129,
+    });
+    expect(picked.length).toEqual(0);
+  });
+
+  it("renders to a canvas", function () {
+    const tileStyle = new MapboxVectorTileStyle(style, "basemap");
+    const canvas = document.createElement("canvas");
+    canvas.width = 512;
+    canvas.height = 512;
+    const context = canvas.getContext("2d");
+    tileStyle.render(context, tile, {
+      zoom: 12,
+      size: 512,
+    });
+
+    expect(Array.from(context.getImageData(32, 32, 1, 1).data)).toEqual([
+      0, 255, 0, 255,
+    ]);
+    expect(Array.from(context.getImageData(96, 96, 1, 1).data)).toEqual([
+      248, 244, 240, 255,
+    ]);
+    expect(Array.from(context.getImageData(100, 384, 1, 1).data)).toEqual([
+      255, 0, 0, 255,
+    ]);
+  });
+
+  it("renders an offset part of the tile", function () {
+    const tileStyle = new MapboxVectorTileStyle(style, "basemap");
+    const canvas = document.createElement("canvas");
+    canvas.width = 256;
+    canvas.height = 256;
+    const context = canvas.getContext("2d");
+
+    // The bottom-right quarter of the tile rendered at twice the size
+    tileStyle.render(context, tile, {
+      zoom: 13,
+      size: 512,
+      offsetX: 256,
+      offsetY: 256,
+    });
+
+    expect(Array.from(context.getImageData(10, 10, 1, 1).data)).toEqual([
+      248, 244, 240, 255,
+    ]);
+    expect(Array.from(context.getImageData(10, 128, 1, 1).data)).toEqual([
+      255, 0, 0, 255,
+    ]);
+  });
+});
@@ -0,0 +1,443 @@
+import {
+  AttributeType,
+  BlendingState,
+  Cartesian3,
+  ComponentDatatype,
+  ContextLimits,
+  defaultValue,
+  GaussianSplatPipelineStage,
+  LightingModel,
+  Matrix3,
+  Matrix4,
+  ModelLightingOptions,
+  ModelStatistics,
+  OrthographicFrustum,
+  Pass,
+  PerspectiveFrustum,
+  ShaderBuilder,
+  TaskProcessor,
+  VertexAttributeSemantic,
+  _shadersGaussianSplatStageFS,
+  _shadersGaussianSplatStageVS,
+} from "../../../index.js";
+import createScene from "../../../../../Specs/createScene.js";
+import ShaderBuilderTester from "../../../../../Specs/ShaderBuilderTester.js";
+
+describe(
+  "Scene/Model/GaussianSplatPipelineStage",
+  function () {
+    const positions = new Float32Array([
+      0.0, 0.0, 1.0, 0.0, 0.0, 3.0, 0.0, 0.0, -2.0, 0.0, 0.0, 2.0,
+    ]);
+
+    let scene;
+    const resources = [];
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    afterEach(function () {
+      for (let i = 0; i < resources.length; i++) {
+        const resource = resources[i];
+        if (!resource.isDestroyed()) {
+          resource.destroy();
+        }
+      }
+      resources.length = 0;
+    });
+
+    function mockPrimitive(options) {
+      const attributes = [
+        {
+          semantic: VertexAttributeSemantic.POSITION,
+          count: 4,
+          typedArray: options.hasTypedArray ? positions : undefined,
+          quantization: options.quantization,
+        },
+        {
+          name: "_SCALE",
+          type: AttributeType.VEC3,
+          count: 4,
+        },
+        {
+          name: "_ROTATION",
+          type: AttributeType.VEC4,
+          count: 4,
+        },
+      ];
+
+      if (options.hasColors) {
+        attributes.push({
+          semantic: VertexAttributeSemantic.COLOR,
+          setIndex: 0,
+          type: AttributeType.VEC4,
+          count: 4,
+        });
+      }
+
+      if (options.hasSphericalHarmonics) {
+        for (let i = 0; i < 3; i++) {
+          attributes.push({
+            name: `_SH_DEGREE_1_COEF_${i}`,
+            type: AttributeType.VEC3,
+            count: 4,
+          });
+        }
+      }
+
+      return {
+        attributes: attributes,
+        isGaussianSplat: true,
+      };
+    }
+
+    function mockRenderResources() {
+      return {
+        shaderBuilder: new ShaderBuilder(),
+        lightingOptions: new ModelLightingOptions(),
+        alphaOptions: {},
+        renderStateOptions: {
+          cull: {
+            enabled: true,
+          },
+          depthMask: true,
+        },
+        count: 4,
+        model: {
+          _pipelineResources: resources,
+          statistics: new ModelStatistics(),
+        },
+        runtimePrimitive: {},
+      };
+    }
+
+    function mockSortState(options) {
+      return {
+        positions: positions.slice(),
+        indexBuffer: {
+          isDestroyed: function () {
+            return false;
+          },
+          copyFromArrayView: jasmine.createSpy("copyFromArrayView"),
+        },
+        direction: options.direction,
+        position: options.position,
+        sortedIndices: options.sortedIndices,
+        sorting: false,
+      };
+    }
+
+    function mockRuntimePrimitive(sortState) {
+      return {
+        gaussianSplatSortState: sortState,
+        drawCommand: {
+          modelMatrix: Matrix4.IDENTITY,
+        },
+      };
+    }
+
+    function mockFrameState(frustum) {
+      return {
+        camera: {
+          viewMatrix: Matrix4.IDENTITY,
+          frustum: defaultValue(frustum, new PerspectiveFrustum()),
+        },
+        afterRender: [],
+      };
+    }
+
+    it("adds the Gaussian splat stage to the shaders", function () {
+      const renderResources = mockRenderResources();
+      const primitive = mockPrimitive({
+        hasColors: true,
+      });
+
+      GaussianSplatPipelineStage.process(
+        renderResources,
+        primitive,
+        scene.frameState,
+      );
+
+      const shaderBuilder = renderResources.shaderBuilder;
+      const maximumPointSize = Math.max(
+        ContextLimits.maximumAliasedPointSize,
+        1.0,
+      ).toFixed(1);
+      ShaderBuilderTester.expectHasVertexDefines(shaderBuilder, [
+        "HAS_GAUSSIAN_SPLATS",
+        `GAUSSIAN_SPLAT_MAXIMUM_POINT_SIZE ${maximumPointSize}`,
+      ]);
+      ShaderBuilderTester.expectHasFragmentDefines(shaderBuilder, [
+        "HAS_GAUSSIAN_SPLATS",
+      ]);
+      ShaderBuilderTester.expectHasVaryings(shaderBuilder, [
+        "vec3 v_gaussianSplatConic;",
+        "float v_gaussianSplatPointSize;",
+      ]);
+      ShaderBuilderTester.expectVertexLinesEqual(shaderBuilder, [
+        _shadersGaussianSplatStageVS,
+      ]);
+      ShaderBuilderTester.expectFragmentLinesEqual(shaderBuilder, [
+        _shadersGaussianSplatStageFS,
+      ]);
+    });
+
+    it("adds a define for spherical harmonics", function () {
+      const renderResources = mockRenderResources();
+      const primitive = mockPrimitive({
+        hasColors: true,
+        hasSphericalHarmonics: true,
+      });
+
+      GaussianSplatPipelineStage.process(
+        renderResources,
+        primitive,
+        scene.frameState,
+      );
+
+      const defineLines =
+        renderResources.shaderBuilder._vertexShaderParts.defineLines;
+      expect(defineLines).toContain("HAS_GAUSSIAN_SPLAT_SPHERICAL_HARMONICS");
+    });
+
+    it("does not add a define for spherical harmonics without colors", function () {
+      const renderResources = mockRenderResources();
+      const primitive = mockPrimitive({
+        hasSphericalHarmonics: true,
+      });
+
+      GaussianSplatPipelineStage.process(
+        renderResources,
+        primitive,
+        scene.frameState,
+      );
+
+      const defineLines =
+        renderResources.shaderBuilder._vertexShaderParts.defineLines;
+      expect(defineLines).not.toContain(
+        "HAS_GAUSSIAN_SPLAT_SPHERICAL_HARMONICS",
+      );
+    });
+
+    it("renders unlit and blended in the Gaussian splats pass", function () {
+      const renderResources = mockRenderResources();
+      const primitive = mockPrimitive({});
+
+      GaussianSplatPipelineStage.process(
+        renderResources,
+        primitive,
+        scene.frameState,
+      );
+
+      expect(renderResources.lightingOptions.lightingModel).toBe(
+        LightingModel.UNLIT,
+      );
+      expect(renderResources.alphaOptions.pass).toBe(Pass.GAUSSIAN_SPLATS);
+
+      const renderStateOptions = renderResources.renderStateOptions;
+      expect(renderStateOptions.cull.enabled).toBe(false);
+      expect(renderStateOptions.depthMask).toBe(false);
+      expect(renderStateOptions.blending).toEqual(BlendingState.ALPHA_BLEND);
+    });
+
+    it("creates an index buffer for drawing the splats in sorted order", function () {
+      const renderResources = mockRenderResources();
+      const primitive = mockPrimitive({
+        hasTypedArray: true,
+      });
+
+      GaussianSplatPipelineStage.process(
+        renderResources,
+        primitive,
+        scene.frameState,
+      );
+
+      const indexBuffer = renderResources.gaussianSplatIndexBuffer;
+      expect(indexBuffer).toBeDefined();
+      expect(indexBuffer.numberOfIndices).toBe(4);
+      expect(resources).toContain(indexBuffer);
+      expect(renderResources.model.statistics.geometryByteLength).toBe(
+        indexBuffer.sizeInBytes,
+      );
+      expect(renderResources.count).toBe(4);
+
+      const sortState = renderResources.runtimePrimitive.gaussianSplatSortState;
+      expect(sortState.indexBuffer).toBe(indexBuffer);
+      expect(sortState.positions).toEqual(positions);
+      expect(sortState.positions).not.toBe(positions);
+    });
+
+    it("dequantizes the positions for sorting", function () {
+      const renderResources = mockRenderResources();
+      const primitive = mockPrimitive({
+        hasTypedArray: true,
+        quantization: {
+          componentDatatype: ComponentDatatype.FLOAT,
+          quantizedVolumeOffset: new Cartesian3(1.0, 2.0, 3.0),
+          quantizedVolumeStepSize: new Cartesian3(2.0, 2.0, 2.0),
+        },
+      });
+
+      GaussianSplatPipelineStage.process(
+        renderResources,
+        primitive,
+        scene.frameState,
+      );
+
+      const sortState = renderResources.runtimePrimitive.gaussianSplatSortState;
+      expect(sortState.positions).toEqual(
+        new Float32Array([
+          1.0, 2.0, 5.0, 1.0, 2.0, 9.0, 1.0, 2.0, -1.0, 1.0, 2.0, 7.0,
+        ]),
+      );
+    });
+
+    it("does not sort without the positions", function () {
+      const renderResources = mockRenderResources();
+      const primitive = mockPrimitive({});
+
+      GaussianSplatPipelineStage.process(
+        renderResources,
+        primitive,
+        scene.frameState,
+      );
+
+      expect(renderResources.gaussianSplatIndexBuffer).toBeUndefined();
+      expect(
+        renderResources.runtimePrimitive.gaussianSplatSortState,
+      ).toBeUndefined();
+    });
+
+    it("sorts the splats when the view direction changes in orthographic views", async function () {
+      const sortedIndices = new Uint16Array([2, 0, 3, 1]);
+      spyOn(TaskProcessor.prototype, "scheduleTask").and.callFake(
+        function (parameters) {
+          return Promise.resolve({
+            positions: parameters.positions,
+            indices: sortedIndices,
+          });
+        },
+      );
+
+      const sortState = mockSortState({});
+      const runtimePrimitive = mockRuntimePrimitive(sortState);
+      const frameState = mockFrameState(new OrthographicFrustum());
+
+      GaussianSplatPipelineStage.update(runtimePrimitive, {}, frameState);
+
+      expect(TaskProcessor.prototype.scheduleTask).toHaveBeenCalledTimes(1);
+      const parameters =
+        TaskProcessor.prototype.scheduleTask.calls.argsFor(0)[0];
+      expect(parameters.direction).toEqual(
+        Cartesian3.negate(Cartesian3.UNIT_Z, new Cartesian3()),
+      );
+      expect(parameters.position).toBeUndefined();
+      expect(sortState.sorting).toBe(true);
+
+      await TaskProcessor.prototype.scheduleTask.calls.first().returnValue;
+      expect(sortState.sorting).toBe(false);
+      expect(sortState.sortedIndices).toBe(sortedIndices);
+
+      // The sorted indices are uploaded on the next update
+      GaussianSplatPipelineStage.update(runtimePrimitive, {}, frameState);
+      expect(sortState.indexBuffer.copyFromArrayView).toHaveBeenCalledWith(
+        sortedIndices,
+      );
+      expect(sortState.sortedIndices).toBeUndefined();
+      expect(frameState.afterRender.length).toBe(1);
+      expect(frameState.afterRender[0]()).toBe(true);
+
+      // The view direction did not change
+      expect(TaskProcessor.prototype.scheduleTask).toHaveBeenCalledTimes(1);
+
+      // Moving the camera does not change the order in orthographic views
+      frameState.camera.viewMatrix = Matrix4.fromTranslation(
+        new Cartesian3(10.0, 0.0, 0.0),
+      );
+      GaussianSplatPipelineStage.update(runtimePrimitive, {}, frameState);
+      expect(TaskProcessor.prototype.scheduleTask).toHaveBeenCalledTimes(1);
+    });
+
+    it("sorts the splats when the camera moves in perspective views", function () {
+      spyOn(TaskProcessor.prototype, "scheduleTask").and.returnValue(
+        new Promise(function () {}),
+      );
+
+      const sortState = mockSortState({
+        position: new Cartesian3(0.0, 0.0, 0.0),
+      });
+      const runtimePrimitive = mockRuntimePrimitive(sortState);
+      const frameState = mockFrameState();
+
+      // Turning the camera does not change the distances
+      frameState.camera.viewMatrix = Matrix4.fromRotation(
+        Matrix3.fromRotationY(1.0),
+      );
+      GaussianSplatPipelineStage.update(runtimePrimitive, {}, frameState);
+      expect(TaskProcessor.prototype.scheduleTask).not.toHaveBeenCalled();
+
+      // Neither does moving the camera a very small distance
+      frameState.camera.viewMatrix = Matrix4.fromTranslation(
+        new Cartesian3(0.0, 0.0, -0.001),
+      );
+      GaussianSplatPipelineStage.update(runtimePrimitive, {}, frameState);
+      expect(TaskProcessor.prototype.scheduleTask).not.toHaveBeenCalled();
+
+      frameState.camera.viewMatrix = Matrix4.fromTranslation(
+        new Cartesian3(0.0, 0.0, -1.0),
+      );
+      GaussianSplatPipelineStage.update(runtimePrimitive, {}, frameState);
+      expect(TaskProcessor.prototype.scheduleTask).toHaveBeenCalledTimes(1);
+      const parameters =
+        TaskProcessor.prototype.scheduleTask.calls.argsFor(0)[0];
+      expect(parameters.position).toEqual(new Cartesian3(0.0, 0.0, 1.0));
+      expect(parameters.direction).toBeUndefined();
+      expect(sortState.position).toEqual(new Cartesian3(0.0, 0.0, 1.0));
+    });
+
+    it("does not sort while a sort is in progress", function () {
+      spyOn(TaskProcessor.prototype, "scheduleTask");
+
+      const sortState = mockSortState({});
+      sortState.sorting = true;
+      const runtimePrimitive = mockRuntimePrimitive(sortState);
+
+      GaussianSplatPipelineStage.update(runtimePrimitive, {}, mockFrameState());
+
+      expect(TaskProcessor.prototype.scheduleTask).not.toHaveBeenCalled();
+    });
+
+    it("tries again if the sort cannot be scheduled", function () {
+      spyOn(TaskProcessor.prototype, "scheduleTask").and.returnValue(undefined);
+
+      const sortState = mockSortState({});
+      const runtimePrimitive = mockRuntimePrimitive(sortState);
+
+      GaussianSplatPipelineStage.update(runtimePrimitive, {}, mockFrameState());
+
+      expect(sortState.sorting).toBe(false);
+      expect(sortState.direction).toBeUndefined();
+    });
+
+    it("clears the sort state when the index buffer is destroyed", function () {
+      spyOn(TaskProcessor.prototype, "scheduleTask");
+
+      const sortState = mockSortState({});
+      sortState.indexBuffer.isDestroyed = function () {
+        return true;
+      };
+      const runtimePrimitive = mockRuntimePrimitive(sortState);
+
+      GaussianSplatPipelineStage.update(runtimePrimitive, {}, mockFrameState());
+
+      expect(runtimePrimitive.gaussianSplatSortState).toBeUndefined();
+      expect(TaskProcessor.prototype.scheduleTask).not.toHaveBeenCalled();
+    });
+  },
+  "WebGL",
+);
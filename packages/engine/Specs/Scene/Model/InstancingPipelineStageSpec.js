@@ -1,5 +1,7 @@
 import {
   Axis,
+  Buffer,
+  BufferUsage,
   Cartesian3,
   combine,
   GltfLoader,
@@ -10,10 +12,12 @@ import {
   Math as CesiumMath,
   ModelUtility,
   ModelStatistics,
+  Pass,
   Resource,
   ResourceCache,
   ShaderBuilder,
   _shadersInstancingStageCommon,
+  _shadersInstancingStageFS,
   _shadersLegacyInstancingStageVS,
 } from "../../../index.js";
 import createScene from "../../../../../Specs/createScene.js";
@@ -283,6 +287,62 @@ describe(
       });
     });
 
+    it("creates the instance color vertex attribute", function () {
+      return loadGltf(boxInstanced).then(function (gltfLoader) {
+        const components = gltfLoader.components;
+        const node = components.nodes[0];
+        const renderResources = mockRenderResources(node);
+        renderResources.alphaOptions = {};
+        const runtimeNode = renderResources.runtimeNode;
+
+        const colorsBuffer = Buffer.createVertexBuffer({
+          context: scene.frameState.context,
+          typedArray: new Uint8Array(4 * 4),
+          usage: BufferUsage.DYNAMIC_DRAW,
+        });
+        runtimeNode.instancingColorsBuffer = colorsBuffer;
+        runtimeNode.instancingColorsTranslucent = true;
+
+        scene.renderForSpecs();
+        InstancingPipelineStage.process(
+          renderResources,
+          node,
+          scene.frameState,
+        );
+
+        expect(renderResources.attributes.length).toBe(5);
+        const colorAttribute = renderResources.attributes[4];
+        expect(colorAttribute.vertexBuffer).toBe(colorsBuffer);
+        expect(colorAttribute.componentsPerAttribute).toBe(4);
+        expect(colorAttribute.normalize).toBe(true);
+        expect(colorAttribute.instanceDivisor).toBe(1);
+
+        const shaderBuilder = renderResources.shaderBuilder;
+        ShaderBuilderTester.expectHasVertexDefines(shaderBuilder, [
+          "HAS_INSTANCING",
+          "HAS_INSTANCE_MATRICES",
+          "HAS_INSTANCE_COLORS",
+        ]);
+        ShaderBuilderTester.expectHasAttributes(shaderBuilder, undefined, [
+          "in vec4 a_instancingTransformRow0;",
+          "in vec4 a_instancingTransformRow1;",
+          "in vec4 a_instancingTransformRow2;",
+          "in float a_instanceFeatureId_0;",
+          "in vec4 a_instanceColor;",
+        ]);
+        ShaderBuilderTester.expectHasVaryings(shaderBuilder, [
+          "vec4 v_instanceColor;",
+        ]);
+        ShaderBuilderTester.expectFragmentLinesEqual(shaderBuilder, [
+          _shadersInstancingStageFS,
+        ]);
+
+        expect(renderResources.alphaOptions.pass).toBe(Pass.TRANSLUCENT);
+
+        colorsBuffer.destroy();
+      });
+    });
+
     it("creates instancing matrices vertex attributes for 2D", function () {
       return loadGltf(boxInstanced, {
         loadAttributesFor2D: true,
@@ -0,0 +1,313 @@
+import {
+  BoundingSphere,
+  Cartesian3,
+  Color,
+  HeadingPitchRange,
+  Math as CesiumMath,
+  Matrix4,
+  ModelInstances,
+  ResourceCache,
+  Transforms,
+} from "../../../index.js";
+import createScene from "../../../../../Specs/createScene.js";
+import loadAndZoomToModelAsync from "./loadAndZoomToModelAsync.js";
+
+describe(
+  "Scene/Model/ModelInstances",
+  function () {
+    const boxUrl = "./Data/Models/glTF-2.0/Box/glTF/Box.gltf";
+    const center = Cartesian3.fromDegrees(-75.0, 40.0, 10.0);
+
+    let scene;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    afterEach(function () {
+      scene.primitives.removeAll();
+      ResourceCache.clearForSpecs();
+    });
+
+    function createMatrix(offset) {
+      const position = Cartesian3.add(
+        center,
+        new Cartesian3(0.0, offset, 0.0),
+        new Cartesian3(),
+      );
+      return Transforms.eastNorthUpToFixedFrame(position);
+    }
+
+    function getTransform(instances, index) {
+      return Array.from(
+        instances._transforms.subarray(index * 12, index * 12 + 12),
+      );
+    }
+
+    function getColor(instances, index) {
+      return Array.from(instances._colors.subarray(index * 4, index * 4 + 4));
+    }
+
+    async function loadInstancedModel(instances) {
+      const model = await loadAndZoomToModelAsync(
+        {
+          url: boxUrl,
+          instances: instances,
+        },
+        scene,
+      );
+      scene.camera.flyToBoundingSphere(
+        instances.computeBoundingSphere(0, new BoundingSphere()),
+        {
+          duration: 0,
+          offset: new HeadingPitchRange(0, -CesiumMath.PI_OVER_FOUR, 4),
+        },
+      );
+      return model;
+    }
+
+    it("sets the instances", function () {
+      const instances = new ModelInstances();
+      instances.length = 2;
+      const ids = [{}, {}];
+
+      instances.setInstance(0, ids[0], createMatrix(0.0), Color.RED);
+      instances.setInstance(1, ids[1], createMatrix(10.0));
+
+      expect(instances.length).toBe(2);
+      expect(instances.getId(0)).toBe(ids[0]);
+      expect(instances.getId(1)).toBe(ids[1]);
+      expect(instances.center).toEqual(center);
+
+      const matrix = createMatrix(0.0);
+      expect(getTransform(instances, 0)).toEqualEpsilon(
+        [
+          matrix[0],
+          matrix[4],
+          matrix[8],
+          0.0,
+          matrix[1],
+          matrix[5],
+          matrix[9],
+          0.0,
+          matrix[2],
+          matrix[6],
+          matrix[10],
+          0.0,
+        ],
+        CesiumMath.EPSILON6,
+      );
+
+      // The translations are relative to the center
+      const transform = getTransform(instances, 1);
+      expect(
+        Cartesian3.magnitude(
+          new Cartesian3(transform[3], transform[7], transform[11]),
+        ),
+      ).toEqualEpsilon(10.0, CesiumMath.EPSILON3);
+
+      expect(getColor(instances, 0)).toEqual([255, 0, 0, 255]);
+      expect(getColor(instances, 1)).toEqual([255, 255, 255, 255]);
+    });
+
+    it("hides instances without a model matrix", function () {
+      const instances = new ModelInstances();
+      instances.length = 2;
+
+      instances.setInstance(0, "hidden", undefined);
+      expect(instances.center).toBeUndefined();
+
+      instances.setInstance(1, "shown", createMatrix(0.0));
+      instances.setInstance(1, "shown", undefined);
+
+      expect(instances.center).toEqual(center);
+      expect(getTransform(instances, 0)).toEqual(new Array(12).fill(0));
+      expect(getTransform(instances, 1)).toEqual(new Array(12).fill(0));
+    });
+
+    it("keeps the instances when the length changes", function () {
+      const instances = new ModelInstances();
+      instances.length = 1;
+      instances.setInstance(0, "a", createMatrix(0.0), Color.BLUE);
+
+      instances.length = 3;
+      expect(instances.getId(0)).toBe("a");
+      expect(getColor(instances, 0)).toEqual([0, 0, 255, 255]);
+      expect(getTransform(instances, 2)).toEqual(new Array(12).fill(0));
+
+      instances.length = 1;
+      expect(instances.length).toBe(1);
+      expect(instances.getId(0)).toBe("a");
+    });
+
+    it("setInstance throws with an invalid index", function () {
+      const instances = new ModelInstances();
+      instances.length = 1;
+      expect(function () {
+        instances.setInstance(1, "a", createMatrix(0.0));
+      }).toThrowDeveloperError();
+    });
+
+    it("computeBoundingSphere returns undefined until the model is loaded", function () {
+      const instances = new ModelInstances();
+      instances.length = 1;
+      instances.setInstance(0, "a", createMatrix(0.0));
+      expect(
+        instances.computeBoundingSphere(0, new BoundingSphere()),
+      ).toBeUndefined();
+    });
+
+    it("draws the instances of a model", async function () {
+      const instances = new ModelInstances();
+      instances.length = 2;
+      instances.setInstance(0, "a", createMatrix(0.0));
+      instances.setInstance(1, "b", createMatrix(100.0), Color.RED);
+
+      const model = await loadInstancedModel(instances);
+
+      expect(
+        Matrix4.getTranslation(model.modelMatrix, new Cartesian3()),
+      ).toEqual(center);
+
+      const runtimeNodes = model.sceneGraph._runtimeNodes.filter(
+        function (runtimeNode) {
+          return runtimeNode.runtimePrimitives.length > 0;
+        },
+      );
+      expect(runtimeNodes.length).toBeGreaterThan(0);
+      for (let i = 0; i < runtimeNodes.length; ++i) {
+        const runtimeNode = runtimeNodes[i];
+        expect(runtimeNode.node.instances.transformInWorldSpace).toBe(true);
+        expect(runtimeNode.instancingTransformsBuffer).toBe(
+          instances._transformsBuffer,
+        );
+        expect(runtimeNode.instancingColorsBuffer).toBe(
+          instances._colorsBuffer,
+        );
+        expect(runtimeNode.instancingColorsTranslucent).toBe(false);
+      }
+      expect(model._modelResources).toContain(instances._transformsBuffer);
+      expect(model._modelResources).toContain(instances._colorsBuffer);
+
+      // Each instance is inside the bounding volume of the model
+      const sphere = instances.computeBoundingSphere(1, new BoundingSphere());
+      expect(
+        Cartesian3.distance(
+          sphere.center,
+          Matrix4.getTranslation(createMatrix(100.0), new Cartesian3()),
+        ),
+      ).toBeLessThan(1.0);
+      expect(
+        Cartesian3.distance(sphere.center, model.boundingSphere.center) +
+          sphere.radius,
+      ).toBeLessThanOrEqual(model.boundingSphere.radius);
+    });
+
+    it("picks the id of an instance", async function () {
+      const instances = new ModelInstances();
+      instances.length = 2;
+      const ids = [{}, {}];
+      instances.setInstance(0, ids[0], createMatrix(0.0));
+      instances.setInstance(1, ids[1], createMatrix(100.0));
+
+      const model = await loadInstancedModel(instances);
+
+      expect(scene).toPickAndCall(function (result) {
+        expect(result.primitive).toBe(model);
+        expect(result.id).toBe(ids[0]);
+        expect(result.instanceId).toBe(0);
+      });
+    });
+
+    it("updates the instances without rebuilding the draw commands", async function () {
+      const instances = new ModelInstances();
+      instances.length = 1;
+      instances.setInstance(0, "a", createMatrix(0.0));
+
+      const model = await loadInstancedModel(instances);
+      scene.renderForSpecs();
+      const transformsBuffer = instances._transformsBuffer;
+
+      instances.setInstance(0, "a", createMatrix(0.5), Color.RED);
+      spyOn(model, "resetDrawCommands").and.callThrough();
+      scene.renderForSpecs();
+
+      expect(model.resetDrawCommands).not.toHaveBeenCalled();
+      expect(instances._transformsBuffer).toBe(transformsBuffer);
+      expect(instances._transformsDirty).toBe(false);
+      expect(instances._colorsDirty).toBe(false);
+    });
+
+    it("rebuilds the draw commands when an instance becomes translucent", async function () {
+      const instances = new ModelInstances();
+      instances.length = 1;
+      instances.setInstance(0, "a", createMatrix(0.0));
+
+      const model = await loadInstancedModel(instances);
+      scene.renderForSpecs();
+
+      instances.setInstance(
+        0,
+        "a",
+        createMatrix(0.0),
+        Color.RED.withAlpha(0.5),
+      );
+      spyOn(model, "resetDrawCommands").and.callThrough();
+      scene.renderForSpecs();
+
+      expect(model.resetDrawCommands).toHaveBeenCalled();
+      const runtimeNodes = model.sceneGraph._runtimeNodes.filter(
+        function (runtimeNode) {
+          return runtimeNode.runtimePrimitives.length > 0;
+        },
+      );
+      expect(runtimeNodes[0].instancingColorsTranslucent).toBe(true);
+    });
+
+    it("rebuilds the draw commands when an instance moves outside the bounding volume", async function () {
+      const instances = new ModelInstances();
+      instances.length = 1;
+      instances.setInstance(0, "a", createMatrix(0.0));
+
+      const model = await loadInstancedModel(instances);
+      scene.renderForSpecs();
+      const radius = instances._radius;
+
+      instances.setInstance(0, "a", createMatrix(10.0 * radius));
+      spyOn(model, "resetDrawCommands").and.callThrough();
+      scene.renderForSpecs();
+
+      expect(model.resetDrawCommands).toHaveBeenCalled();
+      expect(instances._radius).toBeGreaterThan(10.0 * radius);
+    });
+
+    it("creates new buffers when the number of instances changes", async function () {
+      const instances = new ModelInstances();
+      instances.length = 1;
+      instances.setInstance(0, "a", createMatrix(0.0));
+
+      const model = await loadInstancedModel(instances);
+      scene.renderForSpecs();
+      const transformsBuffer = instances._transformsBuffer;
+
+      instances.length = 2;
+      instances.setInstance(1, "b", createMatrix(1.0));
+      scene.renderForSpecs();
+
+      expect(transformsBuffer.isDestroyed()).toBe(true);
+      expect(model._modelResources).not.toContain(transformsBuffer);
+      expect(instances._transformsBuffer.sizeInBytes).toBe(2 * 12 * 4);
+      const runtimeNodes = model.sceneGraph._runtimeNodes.filter(
+        function (runtimeNode) {
+          return runtimeNode.runtimePrimitives.length > 0;
+        },
+      );
+      expect(runtimeNodes[0].node.instances.attributes[0].count).toBe(2);
+    });
+  },
+  "WebGL",
+);
@@ -8,6 +8,7 @@ import {
   CustomShaderPipelineStage,
   FeatureIdPipelineStage,
   CPUStylingPipelineStage,
+  GaussianSplatPipelineStage,
   DequantizationPipelineStage,
   GeometryPipelineStage,
   LightingPipelineStage,
@@ -476,6 +477,43 @@ describe("Scene/Model/ModelRuntimePrimitive", function () {
     verifyExpectedStages(primitive.pipelineStages, expectedStages);
   });
 
+  it("configures the pipeline stages for Gaussian splats", function () {
+    const primitive = new ModelRuntimePrimitive({
+      primitive: {
+        featureIds: [],
+        featureIdTextures: [],
+        attributes: [],
+        primitiveType: PrimitiveType.POINTS,
+        isGaussianSplat: true,
+      },
+      node: mockNode,
+      model: {
+        type: ModelType.GLTF,
+        featureIdLabel: "featureId_0",
+        style: new Cesium3DTileStyle(),
+        pointCloudShading: new PointCloudShading({
+          attenuation: true,
+        }),
+      },
+    });
+
+    const expectedStages = [
+      GeometryPipelineStage,
+      MaterialPipelineStage,
+      FeatureIdPipelineStage,
+      MetadataPipelineStage,
+      MetadataPickingPipelineStage,
+      GaussianSplatPipelineStage,
+      LightingPipelineStage,
+      AlphaPipelineStage,
+      PrimitiveStatisticsPipelineStage,
+    ];
+
+    primitive.configurePipeline(mockFrameState);
+    verifyExpectedStages(primitive.pipelineStages, expectedStages);
+    verifyExpectedStages(primitive.updateStages, [GaussianSplatPipelineStage]);
+  });
+
   it("skips point cloud attenuation if attenuation is false", function () {
     const pointCloudShading = new PointCloudShading({
       attenuation: false,
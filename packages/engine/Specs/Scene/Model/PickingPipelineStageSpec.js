@@ -334,6 +334,44 @@ describe(
       });
     });
 
+    it("sets the pick object ids from the model instances", function () {
+      const renderResources = mockRenderResources();
+      renderResources.instanceCount = 2;
+      const ids = [{}, {}];
+      renderResources.model._instances = {
+        getId: function (index) {
+          return ids[index];
+        },
+      };
+
+      return loadGltf(boxInstanced).then(function (gltfLoader) {
+        const components = gltfLoader.components;
+        const primitive = components.nodes[0].primitives[0];
+        renderResources.runtimeNode.node = components.nodes[0];
+
+        const context = scene.frameState.context;
+        // Reset pick objects.
+        context._pickObjects = [];
+
+        PickingPipelineStage.process(
+          renderResources,
+          primitive,
+          scene.frameState,
+        );
+
+        const pickObjects = Object.keys(context._pickObjects).map(
+          function (key) {
+            return context._pickObjects[key];
+          },
+        );
+        expect(pickObjects.length).toBe(2);
+        expect(pickObjects[0].id).toBe(ids[0]);
+        expect(pickObjects[0].instanceId).toBe(0);
+        expect(pickObjects[1].id).toBe(ids[1]);
+        expect(pickObjects[1].instanceId).toBe(1);
+      });
+    });
+
     it("sets the picking variables in render resources with feature ID textures", function () {
       const mockModelFeatureTable = {
         batchTexture: {
@@ -0,0 +1,107 @@
+import { JulianDate, OgcCapabilitiesUtil } from "../../index.js";
+
+describe("Scene/OgcCapabilitiesUtil", function () {
+  function parse(xml) {
+    return new DOMParser().parseFromString(xml, "text/xml").documentElement;
+  }
+
+  it("gets child elements by local name", function () {
+    const element = parse(
+      `<a xmlns:ows="http://www.opengis.net/ows/1.1"><ows:Title> One </ows:Title><Title>Two</Title><Other/></a>`,
+    );
+    expect(OgcCapabilitiesUtil.getChildElements(element, "Title").length).toBe(
+      2,
+    );
+    expect(OgcCapabilitiesUtil.getChildText(element, "Title")).toEqual("One");
+    expect(OgcCapabilitiesUtil.getChildTexts(element, "Title")).toEqual([
+      "One",
+      "Two",
+    ]);
+    expect(
+      OgcCapabilitiesUtil.getChildText(element, "Missing"),
+    ).toBeUndefined();
+    expect(OgcCapabilitiesUtil.getChildElements(undefined, "Title")).toEqual(
+      [],
+    );
+  });
+
+  it("gets the URL of the GET binding of WMS and OWS operations", function () {
+    const wms = parse(
+      `<GetMap xmlns:xlink="http://www.w3.org/1999/xlink"><DCPType><HTTP><Get><OnlineResource xlink:href="http://wms.invalid/map?"/></Get></HTTP></DCPType></GetMap>`,
+    );
+    const ows = parse(
+      `<ows:Operation xmlns:ows="http://www.opengis.net/ows/1.1" xmlns:xlink="http://www.w3.org/1999/xlink" name="GetTile"><ows:DCP><ows:HTTP><ows:Post xlink:href="http://wmts.invalid/post"/><ows:Get xlink:href="http://wmts.invalid/kvp?"/></ows:HTTP></ows:DCP></ows:Operation>`,
+    );
+    expect(OgcCapabilitiesUtil.getOperationUrl(wms, "DCPType")).toEqual(
+      "http://wms.invalid/map?",
+    );
+    expect(OgcCapabilitiesUtil.getOperationUrl(ows, "DCP")).toEqual(
+      "http://wmts.invalid/kvp?",
+    );
+    expect(
+      OgcCapabilitiesUtil.getOperationUrl(undefined, "DCP"),
+    ).toBeUndefined();
+  });
+
+  it("normalizes coordinate reference systems", function () {
+    expect(OgcCapabilitiesUtil.normalizeCrs("EPSG:3857")).toEqual("3857");
+    expect(
+      OgcCapabilitiesUtil.normalizeCrs("urn:ogc:def:crs:EPSG::4326"),
+    ).toEqual("4326");
+    expect(
+      OgcCapabilitiesUtil.normalizeCrs(
+        "http://www.opengis.net/def/crs/EPSG/0/3857",
+      ),
+    ).toEqual("3857");
+    expect(OgcCapabilitiesUtil.normalizeCrs("CRS:84")).toEqual("CRS84");
+    expect(
+      OgcCapabilitiesUtil.normalizeCrs("urn:ogc:def:crs:OGC:1.3:CRS84"),
+    ).toEqual("CRS84");
+    expect(OgcCapabilitiesUtil.normalizeCrs("CRS:27")).toBeUndefined();
+
+    expect(OgcCapabilitiesUtil.isWebMercator("EPSG:900913")).toBe(true);
+    expect(OgcCapabilitiesUtil.isWebMercator("EPSG:4326")).toBe(false);
+    expect(OgcCapabilitiesUtil.isGeographic("EPSG:4326")).toBe(true);
+    expect(OgcCapabilitiesUtil.isGeographic("EPSG:3035")).toBe(false);
+  });
+
+  it("createTimeIntervals returns undefined without values", function () {
+    expect(OgcCapabilitiesUtil.createTimeIntervals([], "time")).toBeUndefined();
+  });
+
+  it("createTimeIntervals creates an interval for each date", function () {
+    const times = OgcCapabilitiesUtil.createTimeIntervals(
+      ["2024-01-01T00:00:00Z", "2024-01-02T00:00:00Z"],
+      "Time",
+    );
+    expect(times.length).toEqual(2);
+    expect(times.get(0).start).toEqual(
+      JulianDate.fromIso8601("2024-01-01T00:00:00Z"),
+    );
+    expect(times.get(0).stop).toEqual(
+      JulianDate.fromIso8601("2024-01-02T00:00:00Z"),
+    );
+    expect(times.get(0).data).toEqual({
+      Time: "2024-01-01T00:00:00Z",
+    });
+    expect(times.get(1).data).toEqual({
+      Time: "2024-01-02T00:00:00Z",
+    });
+  });
+
+  it("createTimeIntervals creates intervals for periods", function () {
+    const times = OgcCapabilitiesUtil.createTimeIntervals(
+      ["2024-01-01T00:00:00Z/2024-01-03T00:00:00Z/P1D"],
+      "time",
+    );
+    expect(times.length).toEqual(2);
+    expect(times.get(1).start).toEqual(
+      JulianDate.fromIso8601("2024-01-02T00:00:00Z"),
+    );
+    expect(times.get(1).data).toEqual({
+      time: JulianDate.toIso8601(
+        JulianDate.fromIso8601("2024-01-02T00:00:00Z"),
+      ),
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import {
+  Credit,
+  ImageryProvider,
+  Math as CesiumMath,
+  PMTilesArchive,
+  PMTilesImageryProvider,
+  Rectangle,
+  Resource,
+  RuntimeError,
+  WebMercatorTilingScheme,
+} from "../../index.js";
+import createPMTilesArchive from "../createPMTilesArchive.js";
+import dataUriToBuffer from "../../../../Specs/dataUriToBuffer.js";
+
+describe("Scene/PMTilesImageryProvider", function () {
+  const url = "https://example.com/imagery.pmtiles";
+
+  const pngBuffer = dataUriToBuffer(
+    "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/x8AAwMCAO+ip1sAAAAASUVORK5CYII=",
+  );
+
+  const tiles = [
+    { x: 0, y: 0, level: 0, data: pngBuffer },
+    { x: 0, y: 0, level: 1, data: pngBuffer },
+  ];
+
+  function patchArchive(buffer) {
+    Resource._Implementations.loadWithXhr = function (
+      url,
+      responseType,
+      method,
+      data,
+      headers,
+      deferred,
+    ) {
+      const range = /bytes=(\d+)-(\d+)/.exec(headers.Range);
+      const start = parseInt(range[1], 10);
+      const end = Math.min(parseInt(range[2], 10) + 1, buffer.byteLength);
+      setTimeout(function () {
+        deferred.resolve(buffer.slice(start, end));
+      }, 1);
+    };
+  }
+
+  function createProvider(archiveOptions, options) {
+    patchArchive(createPMTilesArchive(archiveOptions));
+    return PMTilesImageryProvider.fromUrl(url, options);
+  }
+
+  afterEach(function () {
+    Resource._Implementations.loadWithXhr =
+      Resource._DefaultImplementations.loadWithXhr;
+  });
+
+  it("conforms to ImageryProvider interface", function () {
+    expect(PMTilesImageryProvider).toConformToInterface(ImageryProvider);
+  });
+
+  it("throws without archive", function () {
+    expect(function () {
+      return new PMTilesImageryProvider();
+    }).toThrowDeveloperError();
+  });
+
+  it("throws if the archive does not contain raster tiles", async function () {
+    patchArchive(
+      createPMTilesArchive({
+        tiles: tiles,
+        tileType: 1,
+      }),
+    );
+    const archive = await PMTilesArchive.fromUrl(url);
+
+    expect(function () {
+      return new PMTilesImageryProvider({
+        archive: archive,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("fromUrl throws without url", async function () {
+    await expectAsync(
+      PMTilesImageryProvider.fromUrl(),
+    ).toBeRejectedWithDeveloperError();
+  });
+
+  it("fromUrl rejects archives that do not contain raster tiles", async function () {
+    await expectAsync(
+      createProvider({
+        tiles: tiles,
+        tileType: 1,
+      }),
+    ).toBeRejectedWithError(RuntimeError);
+  });
+
+  it("uses the archive header and metadata", async function () {
+    const provider = await createProvider({
+      tiles: tiles,
+      bounds: [-10.0, -20.0, 30.0, 40.0],
+      metadata: {
+        attribution: "Example",
+      },
+    });
+
+    expect(provider.url).toEqual(url);
+    expect(provider.archive).toBeInstanceOf(PMTilesArchive);
+    expect(provider.tileWidth).toEqual(256);
+    expect(provider.tileHeight).toEqual(256);
+    expect(provider.minimumLevel).toEqual(0);
+    expect(provider.maximumLevel).toEqual(1);
+    expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+    expect(provider.rectangle).toEqualEpsilon(
+      Rectangle.fromDegrees(-10.0, -20.0, 30.0, 40.0),
+      CesiumMath.EPSILON10,
+    );
+    expect(provider.credit).toBeInstanceOf(Credit);
+    expect(provider.credit.html).toEqual("Example");
+    expect(provider.hasAlphaChannel).toBe(true);
+    expect(provider.tileDiscardPolicy).toBeDefined();
+    expect(provider.proxy).toBeUndefined();
+    expect(provider.errorEvent).toBeDefined();
+    expect(provider.getTileCredits(0, 0, 0)).toBeUndefined();
+    expect(provider.pickFeatures(0, 0, 0, 0.0, 0.0)).toBeUndefined();
+  });
+
+  it("options take precedence over the archive", async function () {
+    const rectangle = Rectangle.fromDegrees(0.0, 0.0, 10.0, 10.0);
+    const provider = await createProvider(
+      {
+        tiles: tiles,
+        tileType: 3,
+      },
+      {
+        tileWidth: 512,
+        tileHeight: 512,
+        minimumLevel: 1,
+        maximumLevel: 18,
+        rectangle: rectangle,
+        credit: "Other",
+      },
+    );
+
+    expect(provider.tileWidth).toEqual(512);
+    expect(provider.tileHeight).toEqual(512);
+    expect(provider.minimumLevel).toEqual(1);
+    expect(provider.maximumLevel).toEqual(18);
+    expect(provider.rectangle).toEqual(rectangle);
+    expect(provider.credit.html).toEqual("Other");
+    expect(provider.hasAlphaChannel).toBe(false);
+  });
+
+  it("requestImage loads tiles from the archive", async function () {
+    const provider = await createProvider({
+      tiles: tiles,
+    });
+
+    const image = await provider.requestImage(0, 0, 1);
+    expect(image).toBeImageOrImageBitmap();
+    expect(provider.tileDiscardPolicy.isDiscarded(image)).toBe(false);
+  });
+
+  it("requestImage discards tiles that are missing from the archive", async function () {
+    const provider = await createProvider({
+      tiles: tiles,
+    });
+
+    const discardPolicy = provider.tileDiscardPolicy;
+    expect(discardPolicy.isReady()).toBe(true);
+
+    const image = await provider.requestImage(1, 1, 1);
+    expect(discardPolicy.isDiscarded(image)).toBe(true);
+  });
+});
@@ -510,6 +510,131 @@ describe(
       }, primitiveRay);
     }
 
+    describe("pickRegion", function () {
+      const canvasRectangle = [
+        new Cartesian2(0.0, 0.0),
+        new Cartesian2(10.0, 0.0),
+        new Cartesian2(10.0, 10.0),
+        new Cartesian2(0.0, 10.0),
+      ];
+
+      it("throws without window positions", function () {
+        expect(function () {
+          scene.pickRegion(undefined);
+        }).toThrowDeveloperError();
+      });
+
+      it("throws with less than three window positions", function () {
+        expect(function () {
+          scene.pickRegion([
+            new Cartesian2(0.0, 0.0),
+            new Cartesian2(1.0, 1.0),
+          ]);
+        }).toThrowDeveloperError();
+      });
+
+      it("picks a primitive once", function () {
+        if (webglStub) {
+          return;
+        }
+
+        const rectangle = createLargeRectangle(0.0);
+
+        const pickedObjects = scene.pickRegion(canvasRectangle);
+        expect(pickedObjects.length).toEqual(1);
+        expect(pickedObjects[0].primitive).toBe(rectangle);
+      });
+
+      it("picks only visible primitives", function () {
+        if (webglStub) {
+          return;
+        }
+
+        createLargeRectangle(0.0);
+        const rectangle2 = createLargeRectangle(1.0);
+
+        const pickedObjects = scene.pickRegion(canvasRectangle);
+        expect(pickedObjects.length).toEqual(1);
+        expect(pickedObjects[0].primitive).toBe(rectangle2);
+      });
+
+      it("picks all primitives within the polygon", function () {
+        if (webglStub) {
+          return;
+        }
+
+        const west = createRectangle(
+          0.0,
+          Rectangle.fromDegrees(-1.0, -1.0, 0.0, 1.0),
+        );
+        const east = createRectangle(
+          0.0,
+          Rectangle.fromDegrees(0.0, -1.0, 1.0, 1.0),
+        );
+
+        const pickedObjects = scene.pickRegion(canvasRectangle);
+        expect(pickedObjects.length).toEqual(2);
+        const primitives = pickedObjects.map(function (object) {
+          return object.primitive;
+        });
+        expect(primitives).toContain(west);
+        expect(primitives).toContain(east);
+      });
+
+      it("picks with a lasso", function () {
+        if (webglStub) {
+          return;
+        }
+
+        const west = createRectangle(
+          0.0,
+          Rectangle.fromDegrees(-1.0, -1.0, 0.0, 1.0),
+        );
+        createRectangle(0.0, Rectangle.fromDegrees(0.0, -1.0, 1.0, 1.0));
+
+        const pickedObjects = scene.pickRegion([
+          new Cartesian2(0.0, 0.0),
+          new Cartesian2(4.0, 5.0),
+          new Cartesian2(0.0, 10.0),
+        ]);
+        expect(pickedObjects.length).toEqual(1);
+        expect(pickedObjects[0].primitive).toBe(west);
+      });
+
+      it("does not pick outside of the canvas", function () {
+        createLargeRectangle(0.0);
+
+        const pickedObjects = scene.pickRegion([
+          new Cartesian2(-20.0, -20.0),
+          new Cartesian2(-10.0, -20.0),
+          new Cartesian2(-10.0, -10.0),
+        ]);
+        expect(pickedObjects).toEqual([]);
+      });
+
+      it("picks in 3D with orthographic projection", function () {
+        if (webglStub) {
+          return;
+        }
+
+        const frustum = new OrthographicFrustum();
+        frustum.aspectRatio = 1.0;
+        frustum.width = 20.0;
+        camera.frustum = frustum;
+
+        // force off center update
+        expect(frustum.projectionMatrix).toBeDefined();
+
+        camera.setView({ destination: largeRectangle });
+        const rectangle = createLargeRectangle(0.0);
+        scene.renderForSpecs();
+
+        const pickedObjects = scene.pickRegion(canvasRectangle);
+        expect(pickedObjects.length).toEqual(1);
+        expect(pickedObjects[0].primitive).toBe(rectangle);
+      });
+    });
+
     describe("pickFromRay", function () {
       it("picks a tileset", function () {
         return picksFromRayTileset();
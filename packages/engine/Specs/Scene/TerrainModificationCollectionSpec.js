@@ -0,0 +1,311 @@
+import {
+  Cartesian3,
+  Cartographic,
+  defined,
+  EllipsoidTerrainProvider,
+  Math as CesiumMath,
+  Primitive,
+  Rectangle,
+  TerrainModification,
+  TerrainModificationCollection,
+  TerrainModificationType,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+import pollToPromise from "../../../../Specs/pollToPromise.js";
+
+describe("Scene/TerrainModificationCollection", function () {
+  const positions = Cartesian3.fromDegreesArray([
+    0.0, 0.0, 0.01, 0.0, 0.01, 0.01, 0.0, 0.01,
+  ]);
+  const inside = Cartographic.fromDegrees(0.005, 0.005);
+  const outside = Cartographic.fromDegrees(0.02, 0.005);
+
+  function createFlatten(height) {
+    return new TerrainModification({
+      positions: positions,
+      height: height,
+    });
+  }
+
+  function createExcavation(depth) {
+    return new TerrainModification({
+      positions: positions,
+      type: TerrainModificationType.EXCAVATE,
+      depth: depth,
+    });
+  }
+
+  it("default constructor", function () {
+    const modifications = new TerrainModificationCollection();
+    expect(modifications.length).toEqual(0);
+    expect(modifications.enabled).toBe(true);
+    expect(modifications.texture).toBeUndefined();
+    expect(modifications.terrainModificationsState).toEqual(0);
+  });
+
+  it("constructs with modifications", function () {
+    const modification = createFlatten(100.0);
+    const modifications = new TerrainModificationCollection({
+      modifications: [modification],
+      enabled: false,
+    });
+    expect(modifications.length).toEqual(1);
+    expect(modifications.get(0)).toBe(modification);
+    expect(modifications.enabled).toBe(false);
+    expect(modifications.terrainModificationsState).toEqual(0);
+
+    modifications.enabled = true;
+    expect(modifications.terrainModificationsState).toEqual(1);
+  });
+
+  it("adds, gets and removes modifications", function () {
+    const modifications = new TerrainModificationCollection();
+    const a = createFlatten(100.0);
+    const b = createExcavation(10.0);
+
+    expect(modifications.add(a)).toBe(a);
+    modifications.add(b);
+    expect(modifications.length).toEqual(2);
+    expect(modifications.get(1)).toBe(b);
+    expect(modifications.contains(a)).toBe(true);
+    expect(modifications.contains(createFlatten(100.0))).toBe(false);
+
+    expect(modifications.remove(a)).toBe(true);
+    expect(modifications.remove(a)).toBe(false);
+    expect(modifications.length).toEqual(1);
+    expect(modifications.get(0)).toBe(b);
+  });
+
+  it("fires events when modifications are added and removed", function () {
+    const modifications = new TerrainModificationCollection();
+    const addedSpy = jasmine.createSpy("modificationAdded");
+    const removedSpy = jasmine.createSpy("modificationRemoved");
+    modifications.modificationAdded.addEventListener(addedSpy);
+    modifications.modificationRemoved.addEventListener(removedSpy);
+
+    const a = modifications.add(createFlatten(100.0));
+    const b = modifications.add(createFlatten(200.0));
+    expect(addedSpy).toHaveBeenCalledWith(a, 0);
+    expect(addedSpy).toHaveBeenCalledWith(b, 1);
+
+    modifications.remove(a);
+    expect(removedSpy).toHaveBeenCalledWith(a, 0);
+
+    modifications.removeAll();
+    expect(removedSpy).toHaveBeenCalledWith(b, 0);
+    expect(modifications.length).toEqual(0);
+  });
+
+  it("applies the modifications in order", function () {
+    const modifications = new TerrainModificationCollection();
+    modifications.add(createFlatten(100.0));
+    modifications.add(
+      new TerrainModification({
+        positions: positions,
+        type: TerrainModificationType.OFFSET,
+        offset: 5.0,
+      }),
+    );
+
+    expect(modifications.getModifiedHeight(inside, 20.0)).toEqual(105.0);
+    expect(modifications.getModifiedHeight(outside, 20.0)).toEqual(20.0);
+    expect(modifications.getModifiedHeight(inside, undefined)).toBeUndefined();
+
+    modifications.add(createExcavation(30.0));
+    expect(modifications.getModifiedHeight(inside, 20.0)).toEqual(75.0);
+
+    modifications.enabled = false;
+    expect(modifications.getModifiedHeight(inside, 20.0)).toEqual(20.0);
+  });
+
+  it("determines if modifications intersect a rectangle", function () {
+    const modifications = new TerrainModificationCollection();
+    const rectangle = Rectangle.fromDegrees(-1.0, -1.0, 0.005, 0.005);
+    expect(modifications.intersectsRectangle(rectangle)).toBe(false);
+
+    modifications.add(createFlatten(100.0));
+    expect(modifications.intersectsRectangle(rectangle)).toBe(true);
+    expect(
+      modifications.intersectsRectangle(
+        Rectangle.fromDegrees(1.0, 1.0, 2.0, 2.0),
+      ),
+    ).toBe(false);
+  });
+
+  it("creates the geometry of an excavation from the sampled terrain", async function () {
+    const modification = createExcavation(25.0);
+    const geometries =
+      await TerrainModificationCollection._createExcavationGeometry(
+        modification,
+        new EllipsoidTerrainProvider(),
+      );
+    expect(geometries.length).toEqual(2);
+
+    const ellipsoid = modification.ellipsoid;
+    const floor = geometries[0].attributes.position.values;
+    expect(geometries[0].attributes.normal).toBeDefined();
+    for (let i = 0; i < floor.length; i += 3) {
+      const cartographic = ellipsoid.cartesianToCartographic(
+        Cartesian3.unpack(floor, i),
+      );
+      expect(cartographic.height).toEqualEpsilon(-25.0, CesiumMath.EPSILON3);
+    }
+
+    let minimumHeight = Number.POSITIVE_INFINITY;
+    let maximumHeight = Number.NEGATIVE_INFINITY;
+    const wall = geometries[1].attributes.position.values;
+    for (let i = 0; i < wall.length; i += 3) {
+      const height = ellipsoid.cartesianToCartographic(
+        Cartesian3.unpack(wall, i),
+      ).height;
+      minimumHeight = Math.min(minimumHeight, height);
+      maximumHeight = Math.max(maximumHeight, height);
+    }
+    expect(minimumHeight).toEqualEpsilon(-25.0, CesiumMath.EPSILON3);
+    expect(maximumHeight).toEqualEpsilon(0.0, CesiumMath.EPSILON3);
+  });
+
+  it("provides a function for attaching the TerrainModificationCollection to objects", function () {
+    const object1 = {
+      modifications: undefined,
+    };
+    const object2 = {
+      modifications: undefined,
+    };
+
+    const modifications1 = new TerrainModificationCollection();
+    TerrainModificationCollection.setOwner(
+      modifications1,
+      object1,
+      "modifications",
+    );
+    expect(object1.modifications).toBe(modifications1);
+    expect(modifications1.owner).toBe(object1);
+
+    // Expect detached collections to be destroyed
+    const modifications2 = new TerrainModificationCollection();
+    TerrainModificationCollection.setOwner(
+      modifications2,
+      object1,
+      "modifications",
+    );
+    expect(modifications1.isDestroyed()).toBe(true);
+
+    TerrainModificationCollection.setOwner(
+      modifications2,
+      object1,
+      "modifications",
+    );
+    expect(modifications2.isDestroyed()).toBe(false);
+
+    expect(function () {
+      TerrainModificationCollection.setOwner(
+        modifications2,
+        object2,
+        "modifications",
+      );
+    }).toThrowDeveloperError();
+  });
+
+  describe(
+    "WebGL",
+    function () {
+      let scene;
+
+      beforeAll(function () {
+        scene = createScene();
+      });
+
+      afterAll(function () {
+        scene.destroyForSpecs();
+      });
+
+      it("throws on update if WebGL 2 isn't supported", function () {
+        spyOn(TerrainModificationCollection, "isSupported").and.returnValue(
+          false,
+        );
+        const modifications = new TerrainModificationCollection();
+        expect(function () {
+          modifications.update(scene.frameState);
+        }).toThrowError(
+          "TerrainModificationCollections are only supported for WebGL 2.",
+        );
+        modifications.destroy();
+      });
+
+      it("packs the modifications into a texture", function () {
+        if (!TerrainModificationCollection.isSupported(scene)) {
+          return;
+        }
+
+        const modifications = new TerrainModificationCollection({
+          modifications: [createFlatten(100.0)],
+        });
+        modifications.update(scene.frameState);
+
+        const texture = modifications.texture;
+        expect(texture).toBeDefined();
+        expect(texture.width * texture.height).toBeGreaterThanOrEqual(2 + 4);
+
+        const floats = modifications._float32View;
+        expect(floats[0]).toEqual(TerrainModificationType.FLATTEN);
+        expect(floats[1]).toEqual(100.0);
+        expect(floats[2]).toEqual(2);
+        expect(floats[3]).toEqual(4);
+        // The high and low parts sum to the longitude of the last position
+        expect(floats[5 * 4] + floats[5 * 4 + 1]).toEqualEpsilon(
+          0.0,
+          CesiumMath.EPSILON10,
+        );
+        expect(floats[5 * 4 + 2] + floats[5 * 4 + 3]).toEqualEpsilon(
+          CesiumMath.toRadians(0.01),
+          CesiumMath.EPSILON10,
+        );
+
+        // Does not update the texture if nothing changed
+        spyOn(texture, "copyFrom");
+        modifications.update(scene.frameState);
+        expect(texture.copyFrom).not.toHaveBeenCalled();
+
+        modifications.get(0).height = 50.0;
+        modifications.update(scene.frameState);
+        expect(texture.copyFrom).toHaveBeenCalled();
+        expect(floats[1]).toEqual(50.0);
+
+        modifications.destroy();
+      });
+
+      it("renders the pits of excavations", async function () {
+        if (!TerrainModificationCollection.isSupported(scene)) {
+          return;
+        }
+
+        const modifications = new TerrainModificationCollection();
+        TerrainModificationCollection.setOwner(
+          modifications,
+          {
+            terrainProvider: new EllipsoidTerrainProvider(),
+          },
+          "_terrainModifications",
+        );
+        const excavation = modifications.add(createExcavation(10.0));
+        modifications.update(scene.frameState);
+
+        const excavations = modifications._excavations;
+        await pollToPromise(function () {
+          modifications.update(scene.frameState);
+          return defined(excavations.get(excavation).primitive);
+        });
+        expect(excavations.get(excavation).primitive).toBeInstanceOf(Primitive);
+
+        modifications.remove(excavation);
+        modifications.update(scene.frameState);
+        expect(excavations.size).toEqual(0);
+
+        modifications.destroy();
+      });
+    },
+    "WebGL",
+  );
+});
@@ -0,0 +1,178 @@
+import {
+  Cartesian3,
+  Cartographic,
+  Color,
+  Ellipsoid,
+  Math as CesiumMath,
+  Rectangle,
+  TerrainModification,
+  TerrainModificationType,
+} from "../../index.js";
+
+describe("Scene/TerrainModification", function () {
+  const positions = Cartesian3.fromDegreesArray([
+    0.0, 0.0, 1.0, 0.0, 1.0, 1.0, 0.0, 1.0,
+  ]);
+
+  it("constructs with default values", function () {
+    const modification = new TerrainModification({
+      positions: positions,
+      height: 100.0,
+    });
+    expect(modification.positions).toEqual(positions);
+    expect(modification.positions).not.toBe(positions);
+    expect(modification.type).toBe(TerrainModificationType.FLATTEN);
+    expect(modification.height).toBe(100.0);
+    expect(modification.depth).toBeUndefined();
+    expect(modification.offset).toBeUndefined();
+    expect(modification.color).toEqual(Color.GRAY);
+    expect(modification.ellipsoid).toBe(Ellipsoid.default);
+  });
+
+  it("constructs with options", function () {
+    const modification = new TerrainModification({
+      positions: positions,
+      type: TerrainModificationType.EXCAVATE,
+      depth: 20.0,
+      color: Color.BROWN,
+      ellipsoid: Ellipsoid.WGS84,
+    });
+    expect(modification.type).toBe(TerrainModificationType.EXCAVATE);
+    expect(modification.depth).toBe(20.0);
+    expect(modification.color).toEqual(Color.BROWN);
+    expect(modification.ellipsoid).toBe(Ellipsoid.WGS84);
+  });
+
+  it("throws without positions", function () {
+    expect(function () {
+      return new TerrainModification({
+        height: 100.0,
+      });
+    }).toThrowDeveloperError();
+
+    expect(function () {
+      return new TerrainModification({
+        positions: positions.slice(0, 2),
+        height: 100.0,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without the value of its type", function () {
+    expect(function () {
+      return new TerrainModification({
+        positions: positions,
+      });
+    }).toThrowDeveloperError();
+
+    expect(function () {
+      return new TerrainModification({
+        positions: positions,
+        type: TerrainModificationType.EXCAVATE,
+        depth: 0.0,
+      });
+    }).toThrowDeveloperError();
+
+    expect(function () {
+      return new TerrainModification({
+        positions: positions,
+        type: TerrainModificationType.OFFSET,
+      });
+    }).toThrowDeveloperError();
+
+    expect(function () {
+      return new TerrainModification({
+        positions: positions,
+        type: 10,
+        height: 100.0,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("computes the rectangle", function () {
+    const modification = new TerrainModification({
+      positions: positions,
+      height: 100.0,
+    });
+    expect(modification.computeRectangle()).toEqualEpsilon(
+      Rectangle.fromDegrees(0.0, 0.0, 1.0, 1.0),
+      CesiumMath.EPSILON10,
+    );
+  });
+
+  it("determines if a position is in the polygon", function () {
+    const modification = new TerrainModification({
+      positions: Cartesian3.fromDegreesArray([
+        0.0, 0.0, 2.0, 0.0, 2.0, 2.0, 1.0, 1.0, 0.0, 2.0,
+      ]),
+      height: 100.0,
+    });
+    expect(modification.contains(Cartographic.fromDegrees(0.5, 0.5))).toBe(
+      true,
+    );
+    expect(modification.contains(Cartographic.fromDegrees(1.5, 1.0))).toBe(
+      true,
+    );
+    // In the notch of the polygon
+    expect(modification.contains(Cartographic.fromDegrees(1.0, 1.5))).toBe(
+      false,
+    );
+    expect(modification.contains(Cartographic.fromDegrees(3.0, 0.5))).toBe(
+      false,
+    );
+  });
+
+  it("modifies heights", function () {
+    const flatten = new TerrainModification({
+      positions: positions,
+      height: 100.0,
+    });
+    expect(flatten.modifyHeight(20.0)).toBe(100.0);
+
+    const excavate = new TerrainModification({
+      positions: positions,
+      type: TerrainModificationType.EXCAVATE,
+      depth: 30.0,
+    });
+    expect(excavate.modifyHeight(20.0)).toBe(-10.0);
+
+    const offset = new TerrainModification({
+      positions: positions,
+      type: TerrainModificationType.OFFSET,
+      offset: 5.0,
+    });
+    expect(offset.modifyHeight(20.0)).toBe(25.0);
+  });
+
+  it("is dirty when its values change", function () {
+    const modification = new TerrainModification({
+      positions: positions,
+      height: 100.0,
+    });
+    expect(modification._dirty).toBe(true);
+
+    modification._dirty = false;
+    modification.height = 50.0;
+    expect(modification.height).toBe(50.0);
+    expect(modification._dirty).toBe(true);
+
+    modification._dirty = false;
+    modification.color = Color.RED;
+    expect(modification.color).toEqual(Color.RED);
+    expect(modification._dirty).toBe(true);
+  });
+
+  it("throws when setting an invalid value", function () {
+    const modification = new TerrainModification({
+      positions: positions,
+      type: TerrainModificationType.EXCAVATE,
+      depth: 20.0,
+    });
+    expect(function () {
+      modification.depth = -1.0;
+    }).toThrowDeveloperError();
+    expect(function () {
+      modification.color = undefined;
+    }).toThrowDeveloperError();
+  });
+});
@@ -0,0 +1,182 @@
+import {
+  Cartesian3,
+  Color,
+  combine,
+  Math as CesiumMath,
+  Viewshed,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Scene/Viewshed",
+  function () {
+    let scene;
+    let viewshed;
+    const position = Cartesian3.fromDegrees(-75.59777, 40.03883, 100.0);
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    afterEach(function () {
+      scene.primitives.removeAll();
+      scene.morphTo3D(0.0);
+    });
+
+    function createViewshed(options) {
+      viewshed = new Viewshed(
+        combine(options, {
+          scene: scene,
+          position: position,
+        }),
+      );
+      return scene.primitives.add(viewshed);
+    }
+
+    it("constructor sets default values", function () {
+      viewshed = new Viewshed({
+        scene: scene,
+      });
+      expect(viewshed.position).toBeUndefined();
+      expect(viewshed.heading).toEqual(0.0);
+      expect(viewshed.pitch).toEqual(0.0);
+      expect(viewshed.horizontalFov).toEqual(CesiumMath.PI_OVER_TWO);
+      expect(viewshed.verticalFov).toEqual(CesiumMath.PI_OVER_THREE);
+      expect(viewshed.distance).toEqual(1000.0);
+      expect(viewshed.omnidirectional).toBe(false);
+      expect(viewshed.size).toEqual(2048);
+      expect(viewshed.visibleColor).toEqual(Color.LIME.withAlpha(0.5));
+      expect(viewshed.occludedColor).toEqual(Color.RED.withAlpha(0.5));
+      expect(viewshed.show).toBe(true);
+      expect(viewshed.debugShowFrustum).toBe(false);
+      viewshed.destroy();
+    });
+
+    it("constructor throws without scene", function () {
+      expect(function () {
+        return new Viewshed();
+      }).toThrowDeveloperError();
+    });
+
+    it("renders a shadow map from the observer", function () {
+      createViewshed({
+        heading: CesiumMath.PI_OVER_TWO,
+        pitch: -0.1,
+        horizontalFov: CesiumMath.toRadians(90.0),
+        verticalFov: CesiumMath.toRadians(45.0),
+        distance: 500.0,
+      });
+      scene.renderForSpecs();
+
+      const shadowMap = viewshed._shadowMap;
+      expect(shadowMap).toBeDefined();
+      expect(shadowMap.fromLightSource).toBe(false);
+      expect(shadowMap.isPointLight).toBe(false);
+      expect(scene.frameState.shadowState.shadowMaps).toContain(shadowMap);
+      expect(scene.postProcessStages.contains(viewshed._stage)).toBe(true);
+      expect(viewshed._stage.enabled).toBe(true);
+
+      const camera = viewshed.camera;
+      expect(camera.positionWC).toEqualEpsilon(position, CesiumMath.EPSILON6);
+      expect(camera.heading).toEqualEpsilon(
+        CesiumMath.PI_OVER_TWO,
+        CesiumMath.EPSILON6,
+      );
+      expect(camera.pitch).toEqualEpsilon(-0.1, CesiumMath.EPSILON6);
+      expect(camera.frustum.fov).toEqualEpsilon(
+        CesiumMath.toRadians(90.0),
+        CesiumMath.EPSILON10,
+      );
+      expect(camera.frustum.aspectRatio).toEqualEpsilon(
+        1.0 / Math.tan(CesiumMath.toRadians(22.5)),
+        CesiumMath.EPSILON10,
+      );
+      expect(camera.frustum.far).toEqual(500.0);
+    });
+
+    it("renders an omnidirectional shadow map", function () {
+      createViewshed({
+        omnidirectional: true,
+        distance: 200.0,
+      });
+      scene.renderForSpecs();
+
+      const shadowMap = viewshed._shadowMap;
+      expect(shadowMap.isPointLight).toBe(true);
+      expect(shadowMap._pointLightRadius).toEqual(200.0);
+
+      viewshed.distance = 300.0;
+      scene.renderForSpecs();
+      expect(shadowMap._pointLightRadius).toEqual(300.0);
+    });
+
+    it("does not render when hidden or without a position", function () {
+      createViewshed();
+      viewshed.show = false;
+      scene.renderForSpecs();
+      expect(viewshed._shadowMap).toBeUndefined();
+
+      viewshed.show = true;
+      viewshed.position = undefined;
+      scene.renderForSpecs();
+      expect(viewshed._shadowMap).toBeUndefined();
+
+      viewshed.position = position;
+      scene.renderForSpecs();
+      expect(viewshed._stage.enabled).toBe(true);
+
+      viewshed.show = false;
+      scene.renderForSpecs();
+      expect(viewshed._stage.enabled).toBe(false);
+      expect(scene.frameState.shadowState.shadowMaps).not.toContain(
+        viewshed._shadowMap,
+      );
+    });
+
+    it("does not render in 2D", function () {
+      createViewshed();
+      scene.morphTo2D(0.0);
+      scene.renderForSpecs();
+      expect(viewshed._shadowMap).toBeUndefined();
+    });
+
+    it("throws when rendering with a distance less than or equal to zero", function () {
+      createViewshed({
+        distance: 0.0,
+      });
+      expect(function () {
+        scene.renderForSpecs();
+      }).toThrowDeveloperError();
+      viewshed.distance = 1000.0;
+    });
+
+    it("shows the debug frustum", function () {
+      createViewshed();
+      viewshed.debugShowFrustum = true;
+      scene.renderForSpecs();
+      expect(viewshed._debugFrustum).toBeDefined();
+
+      viewshed.debugShowFrustum = false;
+      scene.renderForSpecs();
+      expect(viewshed._debugFrustum).toBeUndefined();
+    });
+
+    it("destroys", function () {
+      createViewshed();
+      scene.renderForSpecs();
+      const stage = viewshed._stage;
+      const shadowMap = viewshed._shadowMap;
+
+      scene.primitives.remove(viewshed);
+      expect(viewshed.isDestroyed()).toBe(true);
+      expect(shadowMap.isDestroyed()).toBe(true);
+      expect(scene.postProcessStages.contains(stage)).toBe(false);
+    });
+  },
+  "WebGL",
+);
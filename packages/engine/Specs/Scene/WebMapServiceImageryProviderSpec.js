@@ -19,6 +19,7 @@ import {
   RequestScheduler,
   RequestState,
   Resource,
+  RuntimeError,
   TimeIntervalCollection,
   WebMapServiceImageryProvider,
   WebMercatorTilingScheme,
@@ -1779,4 +1780,343 @@ describe("Scene/WebMapServiceImageryProvider", function () {
     expect(provider._pickFeaturesResource.url).not.toContain(featureUrl);
     expect(provider._pickFeaturesResource.url).toContain(getCapabilitiesUrl);
   });
+
+  describe("fromCapabilities", function () {
+    const capabilitiesXml = `<?xml version="1.0" encoding="UTF-8"?>
+<WMS_Capabilities version="1.3.0" xmlns="http://www.opengis.net/wms" xmlns:xlink="http://www.w3.org/1999/xlink">
+  <Service>
+    <Title>Made up WMS</Title>
+    <Abstract>A WMS server for specs</Abstract>
+  </Service>
+  <Capability>
+    <Request>
+      <GetMap>
+        <Format>image/jpeg</Format>
+        <Format>image/png</Format>
+        <DCPType><HTTP><Get><OnlineResource xlink:href="http://wms.invalid/map?"/></Get></HTTP></DCPType>
+      </GetMap>
+      <GetFeatureInfo>
+        <Format>application/json</Format>
+        <Format>text/html</Format>
+        <DCPType><HTTP><Get><OnlineResource xlink:href="http://wms.invalid/info?"/></Get></HTTP></DCPType>
+      </GetFeatureInfo>
+    </Request>
+    <Layer>
+      <Title>Root</Title>
+      <CRS>EPSG:3857</CRS>
+      <CRS>CRS:84</CRS>
+      <EX_GeographicBoundingBox>
+        <westBoundLongitude>-180</westBoundLongitude>
+        <eastBoundLongitude>180</eastBoundLongitude>
+        <southBoundLatitude>-90</southBoundLatitude>
+        <northBoundLatitude>90</northBoundLatitude>
+      </EX_GeographicBoundingBox>
+      <Layer queryable="1">
+        <Name>roads</Name>
+        <Title>Roads</Title>
+        <EX_GeographicBoundingBox>
+          <westBoundLongitude>-10</westBoundLongitude>
+          <eastBoundLongitude>10</eastBoundLongitude>
+          <southBoundLatitude>-20</southBoundLatitude>
+          <northBoundLatitude>20</northBoundLatitude>
+        </EX_GeographicBoundingBox>
+        <Style>
+          <Name>night</Name>
+          <Title>Night</Title>
+          <LegendURL><OnlineResource xlink:href="http://wms.invalid/legend.png"/></LegendURL>
+        </Style>
+        <Dimension name="time" units="ISO8601" default="2024-01-02">2024-01-01,2024-01-02</Dimension>
+      </Layer>
+      <Layer>
+        <Name>rivers</Name>
+        <Title>Rivers</Title>
+        <CRS>EPSG:4326</CRS>
+      </Layer>
+      <Layer>
+        <Name>mercator</Name>
+        <Title>Mercator only</Title>
+      </Layer>
+    </Layer>
+  </Capability>
+</WMS_Capabilities>`;
+
+    let requestedUrls;
+
+    beforeEach(function () {
+      requestedUrls = [];
+      Resource._Implementations.loadWithXhr = function (
+        url,
+        responseType,
+        method,
+        data,
+        headers,
+        deferred,
+        overrideMimeType,
+      ) {
+        requestedUrls.push(url);
+        setTimeout(function () {
+          const parser = new DOMParser();
+          deferred.resolve(parser.parseFromString(capabilitiesXml, "text/xml"));
+        }, 1);
+      };
+    });
+
+    function createCapabilities(layers) {
+      return {
+        version: "1.1.1",
+        formats: ["image/jpeg"],
+        getFeatureInfoFormats: [],
+        layers: layers,
+      };
+    }
+
+    function getImageParameters(provider) {
+      let params;
+      spyOn(Resource._Implementations, "createImage").and.callFake(
+        function (request, crossOrigin, deferred) {
+          params = queryToObject(new Uri(request.url).query());
+          deferred.resolve(true);
+        },
+      );
+      return provider.requestImage(0, 0, 0).then(function () {
+        return params;
+      });
+    }
+
+    it("fetchCapabilities throws without url", async function () {
+      await expectAsync(
+        WebMapServiceImageryProvider.fetchCapabilities(),
+      ).toBeRejectedWithDeveloperError();
+    });
+
+    it("fetchCapabilities requests and parses the capabilities", async function () {
+      const capabilities = await WebMapServiceImageryProvider.fetchCapabilities(
+        "http://wms.invalid/wms?key=secret",
+      );
+
+      const params = queryToObject(new Uri(requestedUrls[0]).query());
+      expect(params).toEqual({
+        key: "secret",
+        service: "WMS",
+        request: "GetCapabilities",
+        version: "1.3.0",
+      });
+
+      expect(capabilities.version).toEqual("1.3.0");
+      expect(capabilities.title).toEqual("Made up WMS");
+      expect(capabilities.abstract).toEqual("A WMS server for specs");
+      expect(capabilities.formats).toEqual(["image/jpeg", "image/png"]);
+      expect(capabilities.getMapUrl).toEqual("http://wms.invalid/map?");
+      expect(capabilities.getFeatureInfoFormats).toEqual([
+        "application/json",
+        "text/html",
+      ]);
+      expect(capabilities.getFeatureInfoUrl).toEqual(
+        "http://wms.invalid/info?",
+      );
+      expect(
+        capabilities.layers.map(function (layer) {
+          return layer.name;
+        }),
+      ).toEqual(["roads", "rivers", "mercator"]);
+
+      const roads = capabilities.layers[0];
+      expect(roads.title).toEqual("Roads");
+      expect(roads.crs).toEqual(["EPSG:3857", "CRS:84"]);
+      expect(roads.rectangle).toEqualEpsilon(
+        Rectangle.fromDegrees(-10.0, -20.0, 10.0, 20.0),
+        CesiumMath.EPSILON10,
+      );
+      expect(roads.queryable).toBe(true);
+      expect(roads.styles).toEqual([
+        {
+          name: "night",
+          title: "Night",
+          legendUrl: "http://wms.invalid/legend.png",
+        },
+      ]);
+      expect(roads.dimensions).toEqual([
+        {
+          name: "time",
+          units: "ISO8601",
+          default: "2024-01-02",
+          values: ["2024-01-01", "2024-01-02"],
+        },
+      ]);
+
+      const rivers = capabilities.layers[1];
+      expect(rivers.crs).toEqual(["EPSG:3857", "CRS:84", "EPSG:4326"]);
+      expect(rivers.rectangle).toEqualEpsilon(
+        Rectangle.MAX_VALUE,
+        CesiumMath.EPSILON10,
+      );
+      expect(rivers.queryable).toBe(false);
+    });
+
+    it("fetchCapabilities rejects documents that are not WMS capabilities", async function () {
+      Resource._Implementations.loadWithXhr = function (
+        url,
+        responseType,
+        method,
+        data,
+        headers,
+        deferred,
+        overrideMimeType,
+      ) {
+        setTimeout(function () {
+          const parser = new DOMParser();
+          deferred.resolve(
+            parser.parseFromString("<ServiceExceptionReport/>", "text/xml"),
+          );
+        }, 1);
+      };
+
+      await expectAsync(
+        WebMapServiceImageryProvider.fetchCapabilities(
+          "http://wms.invalid/wms",
+        ),
+      ).toBeRejectedWithError(RuntimeError);
+    });
+
+    it("fromCapabilities throws without url", async function () {
+      await expectAsync(
+        WebMapServiceImageryProvider.fromCapabilities(),
+      ).toBeRejectedWithDeveloperError();
+    });
+
+    it("fromCapabilities configures the provider from the capabilities", async function () {
+      const provider = await WebMapServiceImageryProvider.fromCapabilities(
+        "http://wms.invalid/wms",
+      );
+
+      expect(provider.url).toEqual("http://wms.invalid/wms");
+      expect(provider.layers).toEqual("roads");
+      expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+      expect(provider.rectangle).toEqualEpsilon(
+        Rectangle.fromDegrees(-10.0, -20.0, 10.0, 20.0),
+        CesiumMath.EPSILON10,
+      );
+      expect(provider.enablePickFeatures).toBe(true);
+
+      const params = await getImageParameters(provider);
+      expect(params.version).toEqual("1.3.0");
+      expect(params.crs).toEqual("CRS:84");
+      expect(params.format).toEqual("image/png");
+      expect(params.transparent).toEqual("true");
+    });
+
+    it("fromCapabilities uses the union of the rectangles of the layers", async function () {
+      const provider = await WebMapServiceImageryProvider.fromCapabilities(
+        "http://wms.invalid/wms",
+        {
+          layers: "roads,rivers",
+        },
+      );
+
+      expect(provider.layers).toEqual("roads,rivers");
+      expect(provider.rectangle).toEqualEpsilon(
+        Rectangle.MAX_VALUE,
+        CesiumMath.EPSILON10,
+      );
+    });
+
+    it("fromCapabilities uses Web Mercator if the layers do not support a geographic coordinate reference system", async function () {
+      const provider = await WebMapServiceImageryProvider.fromCapabilities(
+        "http://wms.invalid/wms",
+        {
+          capabilities: createCapabilities([
+            {
+              name: "mercator",
+              crs: ["EPSG:900913", "EPSG:3035"],
+              styles: [],
+              dimensions: [],
+              queryable: false,
+            },
+          ]),
+        },
+      );
+
+      expect(requestedUrls.length).toEqual(0);
+      expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+      expect(provider.enablePickFeatures).toBe(false);
+
+      const params = await getImageParameters(provider);
+      expect(params.version).toEqual("1.1.1");
+      expect(params.srs).toEqual("EPSG:900913");
+      expect(params.format).toEqual("image/jpeg");
+    });
+
+    it("fromCapabilities throws if the layers do not support a known coordinate reference system", async function () {
+      await expectAsync(
+        WebMapServiceImageryProvider.fromCapabilities(
+          "http://wms.invalid/wms",
+          {
+            capabilities: createCapabilities([
+              {
+                name: "projected",
+                crs: ["EPSG:3035"],
+                styles: [],
+                dimensions: [],
+                queryable: false,
+              },
+            ]),
+          },
+        ),
+      ).toBeRejectedWithError(RuntimeError);
+    });
+
+    it("fromCapabilities throws for unknown layers", async function () {
+      await expectAsync(
+        WebMapServiceImageryProvider.fromCapabilities(
+          "http://wms.invalid/wms",
+          {
+            layers: "roads,unknown",
+          },
+        ),
+      ).toBeRejectedWithError(RuntimeError);
+    });
+
+    it("fromCapabilities creates times from the time dimension", async function () {
+      const provider = await WebMapServiceImageryProvider.fromCapabilities(
+        "http://wms.invalid/wms",
+        {
+          clock: new Clock(),
+        },
+      );
+
+      const times = provider.times;
+      expect(times.length).toEqual(2);
+      expect(times.get(0).start).toEqual(JulianDate.fromIso8601("2024-01-01"));
+      expect(times.get(0).data).toEqual({
+        time: "2024-01-01",
+      });
+      expect(times.get(1).start).toEqual(JulianDate.fromIso8601("2024-01-02"));
+      expect(times.get(1).data).toEqual({
+        time: "2024-01-02",
+      });
+    });
+
+    it("fromCapabilities lets options override the capabilities", async function () {
+      const tilingScheme = new WebMercatorTilingScheme();
+      const rectangle = Rectangle.fromDegrees(0.0, 0.0, 1.0, 1.0);
+      const provider = await WebMapServiceImageryProvider.fromCapabilities(
+        "http://wms.invalid/wms",
+        {
+          tilingScheme: tilingScheme,
+          rectangle: rectangle,
+          enablePickFeatures: false,
+          maximumLevel: 5,
+          crs: "EPSG:3857",
+        },
+      );
+
+      expect(provider.tilingScheme).toBe(tilingScheme);
+      expect(provider.rectangle).toEqual(rectangle);
+      expect(provider.enablePickFeatures).toBe(false);
+      expect(provider.maximumLevel).toEqual(5);
+
+      const params = await getImageParameters(provider);
+      expect(params.crs).toEqual("EPSG:3857");
+    });
+  });
 });
@@ -1,22 +1,28 @@
 import Uri from "urijs";
 import {
+  Cartesian2,
   Clock,
   ClockStep,
   Credit,
+  Ellipsoid,
   GeographicTilingScheme,
   Imagery,
   ImageryLayer,
   ImageryProvider,
   ImageryState,
   JulianDate,
+  Math as CesiumMath,
   objectToQuery,
   queryToObject,
+  Rectangle,
   Request,
   RequestScheduler,
   RequestState,
   Resource,
+  RuntimeError,
   TimeIntervalCollection,
   WebMapTileServiceImageryProvider,
+  WebMercatorProjection,
   WebMercatorTilingScheme,
 } from "../../index.js";
 
@@ -722,4 +728,424 @@ describe("Scene/WebMapTileServiceImageryProvider", function () {
         expect(lastUrl).toEqual(uri.toString());
       });
   });
+
+  describe("fromCapabilities", function () {
+    function tileMatrix(
+      identifier,
+      scaleDenominator,
+      topLeftCorner,
+      width,
+      height,
+    ) {
+      return `<TileMatrix>
+        <ows:Identifier>${identifier}</ows:Identifier>
+        <ScaleDenominator>${scaleDenominator}</ScaleDenominator>
+        <TopLeftCorner>${topLeftCorner}</TopLeftCorner>
+        <TileWidth>256</TileWidth>
+        <TileHeight>256</TileHeight>
+        <MatrixWidth>${width}</MatrixWidth>
+        <MatrixHeight>${height}</MatrixHeight>
+      </TileMatrix>`;
+    }
+
+    const mercatorCorner = "-20037508.3427892 20037508.3427892";
+    const capabilitiesXml = `<?xml version="1.0" encoding="UTF-8"?>
+<Capabilities version="1.0.0" xmlns="http://www.opengis.net/wmts/1.0" xmlns:ows="http://www.opengis.net/ows/1.1" xmlns:xlink="http://www.w3.org/1999/xlink">
+  <ows:ServiceIdentification>
+    <ows:Title>Made up WMTS</ows:Title>
+    <ows:Abstract>A WMTS server for specs</ows:Abstract>
+  </ows:ServiceIdentification>
+  <ows:OperationsMetadata>
+    <ows:Operation name="GetCapabilities">
+      <ows:DCP><ows:HTTP><ows:Get xlink:href="http://wmts.invalid/capabilities?"/></ows:HTTP></ows:DCP>
+    </ows:Operation>
+    <ows:Operation name="GetTile">
+      <ows:DCP><ows:HTTP><ows:Get xlink:href="http://wmts.invalid/kvp?"/></ows:HTTP></ows:DCP>
+    </ows:Operation>
+  </ows:OperationsMetadata>
+  <Contents>
+    <Layer>
+      <ows:Title>Roads</ows:Title>
+      <ows:WGS84BoundingBox>
+        <ows:LowerCorner>-10 -20</ows:LowerCorner>
+        <ows:UpperCorner>10 20</ows:UpperCorner>
+      </ows:WGS84BoundingBox>
+      <ows:Identifier>roads</ows:Identifier>
+      <Style>
+        <ows:Identifier>day</ows:Identifier>
+      </Style>
+      <Style isDefault="true">
+        <ows:Title>Night</ows:Title>
+        <ows:Identifier>night</ows:Identifier>
+        <LegendURL format="image/png" xlink:href="http://wmts.invalid/legend.png"/>
+      </Style>
+      <Format>image/jpeg</Format>
+      <Format>image/png</Format>
+      <Dimension>
+        <ows:Identifier>Time</ows:Identifier>
+        <ows:UOM>ISO8601</ows:UOM>
+        <Default>2024-01-02</Default>
+        <Value>2024-01-01</Value>
+        <Value>2024-01-02</Value>
+      </Dimension>
+      <Dimension>
+        <ows:Identifier>Elevation</ows:Identifier>
+        <Default>0</Default>
+        <Value>0</Value>
+        <Value>100</Value>
+      </Dimension>
+      <TileMatrixSetLink><TileMatrixSet>UTM</TileMatrixSet></TileMatrixSetLink>
+      <TileMatrixSetLink><TileMatrixSet>GoogleMapsCompatible</TileMatrixSet></TileMatrixSetLink>
+      <TileMatrixSetLink><TileMatrixSet>GoogleCRS84Quad</TileMatrixSet></TileMatrixSetLink>
+      <TileMatrixSetLink><TileMatrixSet>EPSG4326</TileMatrixSet></TileMatrixSetLink>
+      <TileMatrixSetLink><TileMatrixSet>Tiled</TileMatrixSet></TileMatrixSetLink>
+      <ResourceURL format="image/png" resourceType="tile" template="http://wmts.invalid/tiles/roads/{Style}/{Time}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png"/>
+      <ResourceURL format="application/json" resourceType="FeatureInfo" template="http://wmts.invalid/info/{TileMatrix}/{TileRow}/{TileCol}/{J}/{I}.json"/>
+    </Layer>
+    <Layer>
+      <ows:Identifier>utm</ows:Identifier>
+      <Format>image/png</Format>
+      <TileMatrixSetLink><TileMatrixSet>UTM</TileMatrixSet></TileMatrixSetLink>
+    </Layer>
+    <TileMatrixSet>
+      <ows:Identifier>UTM</ows:Identifier>
+      <ows:SupportedCRS>urn:ogc:def:crs:EPSG::32633</ows:SupportedCRS>
+      ${tileMatrix("0", 1000000.0, "0 10000000", 1, 1)}
+    </TileMatrixSet>
+    <TileMatrixSet>
+      <ows:Identifier>GoogleMapsCompatible</ows:Identifier>
+      <ows:SupportedCRS>urn:ogc:def:crs:EPSG:6.18.3:3857</ows:SupportedCRS>
+      ${tileMatrix("0", 559082264.0287178, mercatorCorner, 1, 1)}
+      ${tileMatrix("1", 279541132.0143589, mercatorCorner, 2, 2)}
+      ${tileMatrix("2", 139770566.00717944, mercatorCorner, 4, 4)}
+    </TileMatrixSet>
+    <TileMatrixSet>
+      <ows:Identifier>GoogleCRS84Quad</ows:Identifier>
+      <ows:SupportedCRS>urn:ogc:def:crs:OGC:1.3:CRS84</ows:SupportedCRS>
+      ${tileMatrix("0", 559082264.0287178, "-180 90", 1, 1)}
+      ${tileMatrix("1", 279541132.0143589, "-180 90", 2, 1)}
+      ${tileMatrix("2", 139770566.00717944, "-180 90", 4, 2)}
+      ${tileMatrix("3", 1000.0, "-180 90", 8, 4)}
+    </TileMatrixSet>
+    <TileMatrixSet>
+      <ows:Identifier>EPSG4326</ows:Identifier>
+      <ows:SupportedCRS>urn:ogc:def:crs:EPSG::4326</ows:SupportedCRS>
+      ${tileMatrix("EPSG4326:0", 279541132.0143589, "90 -180", 2, 1)}
+      ${tileMatrix("EPSG4326:1", 139770566.00717944, "90 -180", 4, 2)}
+    </TileMatrixSet>
+    <TileMatrixSet>
+      <ows:Identifier>Tiled</ows:Identifier>
+      <ows:SupportedCRS>EPSG:3857</ows:SupportedCRS>
+      ${tileMatrix("a", 139770566.00717944, "-20037508.3427892 10000000", 4, 2)}
+      ${tileMatrix("b", 69885283.00358972, "-20037508.3427892 10000000", 8, 4)}
+    </TileMatrixSet>
+  </Contents>
+</Capabilities>`;
+
+    let requestedUrls;
+
+    beforeEach(function () {
+      requestedUrls = [];
+      Resource._Implementations.loadWithXhr = function (
+        url,
+        responseType,
+        method,
+        data,
+        headers,
+        deferred,
+        overrideMimeType,
+      ) {
+        requestedUrls.push(url);
+        setTimeout(function () {
+          const parser = new DOMParser();
+          deferred.resolve(parser.parseFromString(capabilitiesXml, "text/xml"));
+        }, 1);
+      };
+    });
+
+    function getImageUrl(provider, x, y, level) {
+      let url;
+      spyOn(Resource._Implementations, "createImage").and.callFake(
+        function (request, crossOrigin, deferred) {
+          url = request.url;
+          deferred.resolve(true);
+        },
+      );
+      return provider
+        .requestImage(x, y, level, new Request())
+        .then(function () {
+          return url;
+        });
+    }
+
+    it("fetchCapabilities throws without url", async function () {
+      await expectAsync(
+        WebMapTileServiceImageryProvider.fetchCapabilities(),
+      ).toBeRejectedWithDeveloperError();
+    });
+
+    it("fetchCapabilities requests and parses the capabilities", async function () {
+      const capabilities =
+        await WebMapTileServiceImageryProvider.fetchCapabilities(
+          "http://wmts.invalid/wmts?key=secret",
+        );
+
+      expect(queryToObject(new Uri(requestedUrls[0]).query())).toEqual({
+        key: "secret",
+        service: "WMTS",
+        version: "1.0.0",
+        request: "GetCapabilities",
+      });
+
+      expect(capabilities.title).toEqual("Made up WMTS");
+      expect(capabilities.abstract).toEqual("A WMTS server for specs");
+      expect(capabilities.getTileUrl).toEqual("http://wmts.invalid/kvp?");
+      expect(capabilities.layers.length).toEqual(2);
+      expect(capabilities.tileMatrixSets.length).toEqual(5);
+
+      const roads = capabilities.layers[0];
+      expect(roads.identifier).toEqual("roads");
+      expect(roads.title).toEqual("Roads");
+      expect(roads.rectangle).toEqualEpsilon(
+        Rectangle.fromDegrees(-10.0, -20.0, 10.0, 20.0),
+        CesiumMath.EPSILON10,
+      );
+      expect(roads.styles).toEqual([
+        {
+          identifier: "day",
+          title: undefined,
+          isDefault: false,
+          legendUrl: undefined,
+        },
+        {
+          identifier: "night",
+          title: "Night",
+          isDefault: true,
+          legendUrl: "http://wmts.invalid/legend.png",
+        },
+      ]);
+      expect(roads.formats).toEqual(["image/jpeg", "image/png"]);
+      expect(roads.tileMatrixSetIDs).toEqual([
+        "UTM",
+        "GoogleMapsCompatible",
+        "GoogleCRS84Quad",
+        "EPSG4326",
+        "Tiled",
+      ]);
+      expect(roads.resourceUrls[1]).toEqual({
+        format: "application/json",
+        resourceType: "FeatureInfo",
+        template:
+          "http://wmts.invalid/info/{TileMatrix}/{TileRow}/{TileCol}/{J}/{I}.json",
+      });
+      expect(roads.dimensions).toEqual([
+        {
+          identifier: "Time",
+          units: "ISO8601",
+          default: "2024-01-02",
+          values: ["2024-01-01", "2024-01-02"],
+        },
+        {
+          identifier: "Elevation",
+          units: undefined,
+          default: "0",
+          values: ["0", "100"],
+        },
+      ]);
+
+      const tileMatrixSet = capabilities.tileMatrixSets[1];
+      expect(tileMatrixSet.identifier).toEqual("GoogleMapsCompatible");
+      expect(tileMatrixSet.crs).toEqual("urn:ogc:def:crs:EPSG:6.18.3:3857");
+      expect(tileMatrixSet.tileMatrices[1]).toEqual({
+        identifier: "1",
+        scaleDenominator: 279541132.0143589,
+        topLeftCorner: new Cartesian2(-20037508.3427892, 20037508.3427892),
+        tileWidth: 256,
+        tileHeight: 256,
+        matrixWidth: 2,
+        matrixHeight: 2,
+      });
+    });
+
+    it("fetchCapabilities requests RESTful capabilities documents directly", async function () {
+      await WebMapTileServiceImageryProvider.fetchCapabilities(
+        "http://wmts.invalid/1.0.0/WMTSCapabilities.xml",
+      );
+      expect(requestedUrls).toEqual([
+        "http://wmts.invalid/1.0.0/WMTSCapabilities.xml",
+      ]);
+    });
+
+    it("fetchCapabilities rejects documents that are not WMTS capabilities", async function () {
+      Resource._Implementations.loadWithXhr = function (
+        url,
+        responseType,
+        method,
+        data,
+        headers,
+        deferred,
+        overrideMimeType,
+      ) {
+        setTimeout(function () {
+          const parser = new DOMParser();
+          deferred.resolve(
+            parser.parseFromString("<ExceptionReport/>", "text/xml"),
+          );
+        }, 1);
+      };
+
+      await expectAsync(
+        WebMapTileServiceImageryProvider.fetchCapabilities(
+          "http://wmts.invalid/wmts",
+        ),
+      ).toBeRejectedWithError(RuntimeError);
+    });
+
+    it("fromCapabilities throws without url", async function () {
+      await expectAsync(
+        WebMapTileServiceImageryProvider.fromCapabilities(),
+      ).toBeRejectedWithDeveloperError();
+    });
+
+    it("fromCapabilities configures the provider from the capabilities", async function () {
+      const provider = await WebMapTileServiceImageryProvider.fromCapabilities(
+        "http://wmts.invalid/wmts",
+      );
+
+      expect(provider.format).toEqual("image/png");
+      expect(provider.tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+      expect(provider.minimumLevel).toEqual(0);
+      expect(provider.maximumLevel).toEqual(2);
+      expect(provider.tileWidth).toEqual(256);
+      expect(provider.rectangle).toEqualEpsilon(
+        Rectangle.fromDegrees(-10.0, -20.0, 10.0, 20.0),
+        CesiumMath.EPSILON10,
+      );
+      expect(provider.dimensions).toEqual({
+        Time: "2024-01-02",
+        Elevation: "0",
+      });
+
+      const url = await getImageUrl(provider, 1, 2, 2);
+      expect(url).toEqual(
+        "http://wmts.invalid/tiles/roads/night/2024-01-02/GoogleMapsCompatible/2/2/1.png",
+      );
+    });
+
+    it("fromCapabilities maps GoogleCRS84Quad to the geographic tiling scheme", async function () {
+      const provider = await WebMapTileServiceImageryProvider.fromCapabilities(
+        "http://wmts.invalid/wmts",
+        {
+          tileMatrixSetID: "GoogleCRS84Quad",
+          style: "day",
+          format: "image/jpeg",
+        },
+      );
+
+      expect(provider.format).toEqual("image/jpeg");
+      expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+      expect(provider.minimumLevel).toEqual(0);
+      expect(provider.maximumLevel).toEqual(1);
+
+      // There is no RESTful template for JPEG, so the KVP GetTile URL is used
+      const url = await getImageUrl(provider, 1, 0, 0);
+      expect(url).toStartWith("http://wmts.invalid/kvp?");
+      const params = queryToObject(new Uri(url).query());
+      expect(params.request).toEqual("GetTile");
+      expect(params.style).toEqual("day");
+      expect(params.tilematrixset).toEqual("GoogleCRS84Quad");
+      expect(params.tilematrix).toEqual("1");
+      expect(params.tilecol).toEqual("1");
+      expect(params.Elevation).toEqual("0");
+    });
+
+    it("fromCapabilities reads EPSG:4326 corners in latitude, longitude order", async function () {
+      const provider = await WebMapTileServiceImageryProvider.fromCapabilities(
+        "http://wmts.invalid/wmts",
+        {
+          tileMatrixSetID: "EPSG4326",
+        },
+      );
+
+      expect(provider.tilingScheme).toBeInstanceOf(GeographicTilingScheme);
+      expect(provider.tilingScheme.getNumberOfXTilesAtLevel(0)).toEqual(2);
+      expect(provider.minimumLevel).toEqual(0);
+      expect(provider.maximumLevel).toEqual(1);
+
+      const url = await getImageUrl(provider, 0, 0, 1);
+      expect(url).toContain("/EPSG4326/EPSG4326%3A1/");
+    });
+
+    it("fromCapabilities creates a tiling scheme for tile matrix sets that do not match the standard levels", async function () {
+      const provider = await WebMapTileServiceImageryProvider.fromCapabilities(
+        "http://wmts.invalid/wmts",
+        {
+          tileMatrixSetID: "Tiled",
+        },
+      );
+
+      const tilingScheme = provider.tilingScheme;
+      expect(tilingScheme).toBeInstanceOf(WebMercatorTilingScheme);
+      expect(tilingScheme.getNumberOfXTilesAtLevel(0)).toEqual(4);
+      expect(tilingScheme.getNumberOfYTilesAtLevel(0)).toEqual(2);
+      expect(tilingScheme.rectangle.north).toEqualEpsilon(
+        WebMercatorProjection.mercatorAngleToGeodeticLatitude(
+          10000000.0 / Ellipsoid.WGS84.maximumRadius,
+        ),
+        CesiumMath.EPSILON10,
+      );
+      expect(provider.minimumLevel).toEqual(0);
+      expect(provider.maximumLevel).toEqual(1);
+
+      const url = await getImageUrl(provider, 0, 0, 1);
+      expect(url).toContain("/Tiled/b/");
+    });
+
+    it("fromCapabilities throws for layers without a supported tile matrix set", async function () {
+      await expectAsync(
+        WebMapTileServiceImageryProvider.fromCapabilities(
+          "http://wmts.invalid/wmts",
+          {
+            layer: "utm",
+          },
+        ),
+      ).toBeRejectedWithError(RuntimeError);
+    });
+
+    it("fromCapabilities throws for unknown layers", async function () {
+      await expectAsync(
+        WebMapTileServiceImageryProvider.fromCapabilities(
+          "http://wmts.invalid/wmts",
+          {
+            layer: "unknown",
+          },
+        ),
+      ).toBeRejectedWithError(RuntimeError);
+    });
+
+    it("fromCapabilities creates times from the time dimension", async function () {
+      const clock = new Clock({
+        currentTime: JulianDate.fromIso8601("2024-01-01T12:00:00Z"),
+      });
+      const provider = await WebMapTileServiceImageryProvider.fromCapabilities(
+        "http://wmts.invalid/wmts",
+        {
+          clock: clock,
+        },
+      );
+
+      expect(provider.clock).toBe(clock);
+      expect(provider.dimensions).toEqual({
+        Elevation: "0",
+      });
+      const times = provider.times;
+      expect(times.length).toEqual(2);
+      expect(times.get(0).data).toEqual({
+        Time: "2024-01-01",
+      });
+
+      const url = await getImageUrl(provider, 0, 0, 0);
+      expect(url).toContain("/roads/night/2024-01-01/");
+    });
+  });
 });
@@ -0,0 +1,529 @@
+import {
+  Cartesian3,
+  Ellipsoid,
+  Math as CesiumMath,
+  OrthographicFrustum,
+  Ray,
+  RuntimeError,
+  WebXRSessionManager,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Scene/WebXRSessionManager",
+  function () {
+    let scene;
+    let manager;
+    let fakeXR;
+    let originalLayer;
+
+    const identity = new Float32Array([
+      1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0,
+      1.0,
+    ]);
+
+    function translation(x, y, z) {
+      const matrix = new Float32Array(identity);
+      matrix[12] = x;
+      matrix[13] = y;
+      matrix[14] = z;
+      return matrix;
+    }
+
+    // A projection with the tangents of its left, right, bottom and top planes
+    function projection(left, right, bottom, top) {
+      const matrix = new Float32Array(16);
+      matrix[0] = 2.0 / (right - left);
+      matrix[5] = 2.0 / (top - bottom);
+      matrix[8] = (right + left) / (right - left);
+      matrix[9] = (top + bottom) / (top - bottom);
+      matrix[10] = -1.0;
+      matrix[11] = -1.0;
+      matrix[14] = -0.2;
+      return matrix;
+    }
+
+    function FakeSession() {
+      this.inputSources = [];
+      this.ended = false;
+      this._listeners = {};
+      this._frameCallbacks = [];
+    }
+
+    FakeSession.prototype.addEventListener = function (type, listener) {
+      this._listeners[type] = listener;
+    };
+
+    FakeSession.prototype.removeEventListener = function (type, listener) {
+      if (this._listeners[type] === listener) {
+        this._listeners[type] = undefined;
+      }
+    };
+
+    FakeSession.prototype.dispatchEvent = function (type, event) {
+      const listener = this._listeners[type];
+      if (listener) {
+        listener(event);
+      }
+    };
+
+    FakeSession.prototype.requestAnimationFrame = function (callback) {
+      this._frameCallbacks.push(callback);
+      return this._frameCallbacks.length;
+    };
+
+    FakeSession.prototype.updateRenderState = function (state) {
+      this.renderState = state;
+      return Promise.resolve();
+    };
+
+    FakeSession.prototype.requestReferenceSpace = function (type) {
+      return Promise.resolve({
+        type: type,
+      });
+    };
+
+    FakeSession.prototype.end = function () {
+      this.ended = true;
+      this.dispatchEvent("end", {});
+      return Promise.resolve();
+    };
+
+    function FakeLayer(session, gl, options) {
+      this.session = session;
+      this.options = options;
+      this.framebuffer = null;
+      this.framebufferWidth = 200;
+      this.framebufferHeight = 100;
+    }
+
+    FakeLayer.prototype.getViewport = function (view) {
+      return view.viewport;
+    };
+
+    function createFrame(session, pose, targetRayMatrix) {
+      return {
+        session: session,
+        getViewerPose: function () {
+          return pose;
+        },
+        getPose: function () {
+          return {
+            transform: {
+              matrix: targetRayMatrix,
+            },
+          };
+        },
+      };
+    }
+
+    function createPose() {
+      return {
+        transform: {
+          matrix: identity,
+        },
+        views: [
+          {
+            transform: {
+              matrix: translation(-0.032, 0.0, 0.0),
+            },
+            projectionMatrix: projection(-1.2, 0.8, -1.0, 1.0),
+            viewport: {
+              x: 0,
+              y: 0,
+              width: 100,
+              height: 100,
+            },
+          },
+          {
+            transform: {
+              matrix: translation(0.032, 0.0, 0.0),
+            },
+            projectionMatrix: projection(-0.8, 1.2, -1.0, 1.0),
+            viewport: {
+              x: 100,
+              y: 0,
+              width: 100,
+              height: 100,
+            },
+          },
+        ],
+      };
+    }
+
+    function runFrame(time, targetRayMatrix) {
+      const session = fakeXR.session;
+      const callbacks = session._frameCallbacks;
+      session._frameCallbacks = [];
+      const frame = createFrame(
+        session,
+        createPose(),
+        targetRayMatrix || identity,
+      );
+      for (let i = 0; i < callbacks.length; ++i) {
+        callbacks[i](time, frame);
+      }
+      return frame;
+    }
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      const session = new FakeSession();
+      fakeXR = {
+        session: session,
+        isSessionSupported: jasmine
+          .createSpy("isSessionSupported")
+          .and.returnValue(Promise.resolve(true)),
+        requestSession: jasmine
+          .createSpy("requestSession")
+          .and.returnValue(Promise.resolve(session)),
+      };
+      Object.defineProperty(navigator, "xr", {
+        value: fakeXR,
+        configurable: true,
+      });
+
+      originalLayer = window.XRWebGLLayer;
+      window.XRWebGLLayer = FakeLayer;
+
+      scene.camera.setView({
+        destination: Cartesian3.fromDegrees(-75.0, 40.0, 1000.0),
+        orientation: {
+          heading: 0.0,
+          pitch: CesiumMath.toRadians(-30.0),
+          roll: 0.0,
+        },
+      });
+    });
+
+    afterEach(function () {
+      manager = manager && !manager.isDestroyed() && manager.destroy();
+      delete navigator.xr;
+      window.XRWebGLLayer = originalLayer;
+    });
+
+    it("constructs with default values", function () {
+      manager = new WebXRSessionManager(scene);
+      expect(manager.scene).toBe(scene);
+      expect(manager.session).toBeUndefined();
+      expect(manager.isPresenting).toBe(false);
+      expect(manager.referenceSpaceType).toEqual("local");
+      expect(manager.framebufferScaleFactor).toEqual(1.0);
+      expect(manager.enableNavigation).toBe(true);
+      expect(manager.navigationSpeed).toEqual(0.5);
+      expect(manager.snapTurnAngle).toEqual(CesiumMath.toRadians(30.0));
+      expect(manager.enablePicking).toBe(true);
+    });
+
+    it("throws without a scene", function () {
+      expect(function () {
+        return new WebXRSessionManager();
+      }).toThrowDeveloperError();
+    });
+
+    it("determines if immersive sessions are supported", async function () {
+      await expectAsync(WebXRSessionManager.isSupported()).toBeResolvedTo(true);
+      expect(fakeXR.isSessionSupported).toHaveBeenCalledWith("immersive-vr");
+
+      fakeXR.isSessionSupported.and.returnValue(
+        Promise.reject(new Error("Not allowed")),
+      );
+      await expectAsync(WebXRSessionManager.isSupported()).toBeResolvedTo(
+        false,
+      );
+
+      delete navigator.xr;
+      Object.defineProperty(navigator, "xr", {
+        value: undefined,
+        configurable: true,
+      });
+      await expectAsync(WebXRSessionManager.isSupported()).toBeResolvedTo(
+        false,
+      );
+    });
+
+    it("rejects requesting a session if WebXR is not supported", async function () {
+      Object.defineProperty(navigator, "xr", {
+        value: undefined,
+        configurable: true,
+      });
+      manager = new WebXRSessionManager(scene);
+      await expectAsync(manager.requestSession()).toBeRejectedWithError(
+        RuntimeError,
+      );
+    });
+
+    it("rejects requesting a session with an orthographic frustum", async function () {
+      const frustum = scene.camera.frustum;
+      scene.camera.frustum = new OrthographicFrustum({
+        width: 100.0,
+        aspectRatio: 1.0,
+      });
+      manager = new WebXRSessionManager(scene);
+      await expectAsync(
+        manager.requestSession(),
+      ).toBeRejectedWithDeveloperError();
+      scene.camera.frustum = frustum;
+    });
+
+    it("starts a session", async function () {
+      manager = new WebXRSessionManager(scene, {
+        framebufferScaleFactor: 0.5,
+      });
+      const startedSpy = jasmine.createSpy("sessionStarted");
+      manager.sessionStarted.addEventListener(startedSpy);
+
+      const session = await manager.requestSession();
+      expect(session).toBe(fakeXR.session);
+      expect(fakeXR.requestSession).toHaveBeenCalledWith("immersive-vr", {
+        optionalFeatures: ["local"],
+      });
+      expect(session.renderState.baseLayer).toBeInstanceOf(FakeLayer);
+      expect(session.renderState.baseLayer.options).toEqual({
+        framebufferScaleFactor: 0.5,
+      });
+
+      expect(manager.isPresenting).toBe(true);
+      expect(manager.session).toBe(session);
+      expect(startedSpy).toHaveBeenCalledWith(session);
+      expect(scene._webXRSessionManager).toBe(manager);
+      expect(scene.screenSpaceCameraController.enableInputs).toBe(false);
+      expect(session._frameCallbacks.length).toEqual(1);
+    });
+
+    it("sets the camera and views from the viewer pose", async function () {
+      const position = Cartesian3.clone(scene.camera.positionWC);
+      const up = Ellipsoid.WGS84.geodeticSurfaceNormal(position);
+
+      let renderedViews;
+      let renderedLayer;
+      manager = new WebXRSessionManager(scene, {
+        render: function () {
+          renderedViews = scene._webXRViews;
+          renderedLayer = scene.context._webXRLayer;
+        },
+      });
+      await manager.requestSession();
+      runFrame(0.0);
+
+      const camera = scene.camera;
+      expect(camera.position).toEqualEpsilon(position, CesiumMath.EPSILON6);
+      expect(camera.up).toEqualEpsilon(up, CesiumMath.EPSILON6);
+      expect(Cartesian3.dot(camera.direction, up)).toEqualEpsilon(
+        0.0,
+        CesiumMath.EPSILON6,
+      );
+
+      // The frustum of the camera encloses both views
+      expect(camera.frustum.fov).toEqualEpsilon(
+        2.0 * Math.atan(1.2),
+        CesiumMath.EPSILON6,
+      );
+      expect(camera.frustum.aspectRatio).toEqualEpsilon(
+        1.2,
+        CesiumMath.EPSILON6,
+      );
+      expect(camera.frustum.xOffset).toEqualEpsilon(0.0, CesiumMath.EPSILON6);
+
+      expect(renderedLayer).toBe(manager.session.renderState.baseLayer);
+      expect(renderedViews.length).toEqual(2);
+      const left = renderedViews[0];
+      const right = renderedViews[1];
+      expect(left.viewport.x).toEqual(0);
+      expect(right.viewport.x).toEqual(100);
+      expect(left.offset.x).toEqualEpsilon(-0.2, CesiumMath.EPSILON6);
+      expect(right.offset.x).toEqualEpsilon(0.2, CesiumMath.EPSILON6);
+      expect(left.aspectRatio).toEqualEpsilon(1.0, CesiumMath.EPSILON6);
+      expect(left.fov).toEqualEpsilon(
+        CesiumMath.PI_OVER_TWO,
+        CesiumMath.EPSILON6,
+      );
+      expect(Cartesian3.distance(left.position, right.position)).toEqualEpsilon(
+        0.064,
+        CesiumMath.EPSILON5,
+      );
+      expect(
+        Cartesian3.dot(
+          Cartesian3.subtract(right.position, left.position, new Cartesian3()),
+          camera.right,
+        ),
+      ).toBeGreaterThan(0.0);
+
+      // The views are only set while rendering
+      expect(scene._webXRViews).toBeUndefined();
+      expect(scene.context._webXRLayer).toBeUndefined();
+      expect(manager.session._frameCallbacks.length).toEqual(1);
+    });
+
+    it("renders each view", async function () {
+      manager = new WebXRSessionManager(scene);
+      await manager.requestSession();
+      runFrame(0.0);
+      expect(scene._environmentState.useWebXR).toBe(true);
+    });
+
+    it("flies along the target ray with the thumbstick", async function () {
+      manager = new WebXRSessionManager(scene, {
+        render: function () {},
+      });
+      await manager.requestSession();
+      fakeXR.session.inputSources.push({
+        targetRaySpace: {},
+        gamepad: {
+          axes: [0.0, 0.0, 0.0, -1.0],
+        },
+      });
+
+      runFrame(0.0);
+      const start = Cartesian3.clone(scene.camera.position);
+      const direction = Cartesian3.clone(scene.camera.direction);
+      runFrame(1000.0);
+
+      // Half of the height of the camera in one second
+      const moved = Cartesian3.subtract(
+        scene.camera.position,
+        start,
+        new Cartesian3(),
+      );
+      expect(Cartesian3.magnitude(moved)).toEqualEpsilon(500.0, 1.0);
+      expect(
+        Cartesian3.dot(Cartesian3.normalize(moved, moved), direction),
+      ).toBeGreaterThan(0.99);
+    });
+
+    it("snap turns with the thumbstick", async function () {
+      manager = new WebXRSessionManager(scene, {
+        render: function () {},
+      });
+      await manager.requestSession();
+      runFrame(0.0);
+      const position = Cartesian3.clone(scene.camera.position);
+      const direction = Cartesian3.clone(scene.camera.direction);
+      const right = Cartesian3.clone(scene.camera.right);
+
+      const gamepad = {
+        axes: [0.0, 0.0, 1.0, 0.0],
+      };
+      fakeXR.session.inputSources.push({
+        targetRaySpace: {},
+        gamepad: gamepad,
+      });
+      runFrame(16.0);
+
+      expect(scene.camera.position).toEqualEpsilon(
+        position,
+        CesiumMath.EPSILON6,
+      );
+      expect(
+        Cartesian3.angleBetween(scene.camera.direction, direction),
+      ).toEqualEpsilon(CesiumMath.toRadians(30.0), CesiumMath.EPSILON6);
+      expect(Cartesian3.dot(scene.camera.direction, right)).toBeGreaterThan(
+        0.0,
+      );
+
+      // Only turns again after the thumbstick is released
+      const turned = Cartesian3.clone(scene.camera.direction);
+      runFrame(32.0);
+      expect(scene.camera.direction).toEqualEpsilon(
+        turned,
+        CesiumMath.EPSILON6,
+      );
+      gamepad.axes[2] = 0.0;
+      runFrame(48.0);
+      gamepad.axes[2] = 1.0;
+      runFrame(64.0);
+      expect(
+        Cartesian3.angleBetween(scene.camera.direction, direction),
+      ).toEqualEpsilon(CesiumMath.toRadians(60.0), CesiumMath.EPSILON6);
+    });
+
+    it("picks along the target ray on select", async function () {
+      manager = new WebXRSessionManager(scene, {
+        render: function () {},
+      });
+      await manager.requestSession();
+      runFrame(0.0);
+
+      const pickedObject = {};
+      const pickedPosition = Cartesian3.fromDegrees(-75.0, 40.1);
+      spyOn(scene, "pickFromRay").and.returnValue({
+        object: pickedObject,
+        position: pickedPosition,
+      });
+      const selectedSpy = jasmine.createSpy("selected");
+      manager.selected.addEventListener(selectedSpy);
+
+      const inputSource = {
+        targetRaySpace: {},
+      };
+      const frame = createFrame(fakeXR.session, createPose(), identity);
+      fakeXR.session.dispatchEvent("select", {
+        inputSource: inputSource,
+        frame: frame,
+      });
+
+      const ray = scene.pickFromRay.calls.argsFor(0)[0];
+      expect(ray).toBeInstanceOf(Ray);
+      expect(ray.origin).toEqualEpsilon(
+        scene.camera.position,
+        CesiumMath.EPSILON6,
+      );
+      expect(ray.direction).toEqualEpsilon(
+        scene.camera.direction,
+        CesiumMath.EPSILON6,
+      );
+      expect(selectedSpy).toHaveBeenCalledWith(
+        pickedObject,
+        pickedPosition,
+        inputSource,
+      );
+
+      manager.enablePicking = false;
+      fakeXR.session.dispatchEvent("select", {
+        inputSource: inputSource,
+        frame: frame,
+      });
+      expect(scene.pickFromRay.calls.count()).toEqual(1);
+    });
+
+    it("ends a session", async function () {
+      const frustum = scene.camera.frustum.clone();
+      manager = new WebXRSessionManager(scene, {
+        render: function () {},
+      });
+      const endedSpy = jasmine.createSpy("sessionEnded");
+      manager.sessionEnded.addEventListener(endedSpy);
+
+      const session = await manager.requestSession();
+      runFrame(0.0);
+      await manager.endSession();
+
+      expect(session.ended).toBe(true);
+      expect(endedSpy).toHaveBeenCalledWith(session);
+      expect(manager.isPresenting).toBe(false);
+      expect(scene._webXRSessionManager).toBeUndefined();
+      expect(scene.screenSpaceCameraController.enableInputs).toBe(true);
+      expect(scene.camera.frustum.fov).toEqual(frustum.fov);
+      expect(scene.camera.frustum.aspectRatio).toEqual(frustum.aspectRatio);
+      expect(scene.camera.frustum.xOffset).toEqual(frustum.xOffset);
+    });
+
+    it("ends the session when destroyed", async function () {
+      manager = new WebXRSessionManager(scene);
+      const session = await manager.requestSession();
+      manager.destroy();
+      expect(session.ended).toBe(true);
+      expect(manager.isDestroyed()).toBe(true);
+      expect(scene._webXRSessionManager).toBeUndefined();
+    });
+  },
+  "WebGL",
+);
@@ -0,0 +1,150 @@
+import {
+  Cartesian3,
+  Globe,
+  lineOfSight,
+  Math as CesiumMath,
+} from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Scene/lineOfSight",
+  function () {
+    let scene;
+
+    beforeAll(function () {
+      scene = createScene();
+      scene.globe = new Globe();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      spyOn(scene, "pickFromRay").and.returnValue(undefined);
+      spyOn(scene, "sampleHeightMostDetailed").and.callFake(
+        function (positions) {
+          for (let i = 0; i < positions.length; ++i) {
+            positions[i].height = undefined;
+          }
+          return Promise.resolve(positions);
+        },
+      );
+    });
+
+    it("throws without scene, from or to", async function () {
+      const position = Cartesian3.fromDegrees(0.0, 0.0);
+      await expectAsync(
+        lineOfSight(undefined, position, position),
+      ).toBeRejectedWithDeveloperError();
+      await expectAsync(
+        lineOfSight(scene, undefined, position),
+      ).toBeRejectedWithDeveloperError();
+      await expectAsync(
+        lineOfSight(scene, position, undefined),
+      ).toBeRejectedWithDeveloperError();
+    });
+
+    it("is visible when nothing is in the way", async function () {
+      const result = await lineOfSight(
+        scene,
+        Cartesian3.fromDegrees(0.0, 0.0, 100.0),
+        Cartesian3.fromDegrees(0.01, 0.0, 100.0),
+      );
+      expect(result.visible).toBe(true);
+      expect(result.position).toBeUndefined();
+      expect(result.distance).toBeUndefined();
+      expect(result.object).toBeUndefined();
+      expect(scene.pickFromRay).toHaveBeenCalled();
+    });
+
+    it("ignores the ground at the end points", async function () {
+      const result = await lineOfSight(
+        scene,
+        Cartesian3.fromDegrees(0.0, 0.0),
+        Cartesian3.fromDegrees(0.001, 0.0),
+      );
+      expect(result.visible).toBe(true);
+    });
+
+    it("is obstructed by the curvature of the ellipsoid", async function () {
+      const from = Cartesian3.fromDegrees(0.0, 0.0, 10.0);
+      const to = Cartesian3.fromDegrees(1.0, 0.0, 10.0);
+      const result = await lineOfSight(scene, from, to);
+
+      expect(result.visible).toBe(false);
+      expect(result.object).toBeUndefined();
+      expect(result.distance).toBeGreaterThan(0.0);
+      expect(result.distance).toBeLessThan(Cartesian3.distance(from, to));
+      expect(Cartesian3.distance(from, result.position)).toEqualEpsilon(
+        result.distance,
+        CesiumMath.EPSILON6,
+      );
+    });
+
+    it("is obstructed by 3D Tiles", async function () {
+      scene.sampleHeightMostDetailed.and.callFake(function (positions) {
+        for (let i = 0; i < positions.length; ++i) {
+          positions[i].height = i >= 60 ? 500.0 : undefined;
+        }
+        return Promise.resolve(positions);
+      });
+
+      const from = Cartesian3.fromDegrees(0.0, 0.0, 100.0);
+      const to = Cartesian3.fromDegrees(0.01, 0.0, 100.0);
+      const result = await lineOfSight(scene, from, to, {
+        sampleCount: 100,
+      });
+
+      expect(result.visible).toBe(false);
+      expect(result.distance).toEqualEpsilon(
+        Cartesian3.distance(from, to) * 0.61,
+        CesiumMath.EPSILON6,
+      );
+    });
+
+    it("is obstructed by picked objects", async function () {
+      const from = Cartesian3.fromDegrees(0.0, 0.0, 100.0);
+      const to = Cartesian3.fromDegrees(0.01, 0.0, 100.0);
+      const object = {};
+      const hit = Cartesian3.lerp(from, to, 0.25, new Cartesian3());
+      scene.pickFromRay.and.returnValue({
+        object: object,
+        position: hit,
+      });
+
+      const objectsToExclude = [{}];
+      const result = await lineOfSight(scene, from, to, {
+        objectsToExclude: objectsToExclude,
+        width: 0.5,
+      });
+
+      expect(scene.pickFromRay).toHaveBeenCalledWith(
+        jasmine.any(Object),
+        objectsToExclude,
+        0.5,
+      );
+      expect(result.visible).toBe(false);
+      expect(result.object).toBe(object);
+      expect(result.position).toEqual(hit);
+      expect(result.distance).toEqualEpsilon(
+        Cartesian3.distance(from, to) * 0.25,
+        CesiumMath.EPSILON6,
+      );
+    });
+
+    it("ignores picked objects beyond the end point", async function () {
+      const from = Cartesian3.fromDegrees(0.0, 0.0, 100.0);
+      const to = Cartesian3.fromDegrees(0.01, 0.0, 100.0);
+      scene.pickFromRay.and.returnValue({
+        object: {},
+        position: Cartesian3.lerp(from, to, 1.5, new Cartesian3()),
+      });
+
+      const result = await lineOfSight(scene, from, to);
+      expect(result.visible).toBe(true);
+    });
+  },
+  "WebGL",
+);
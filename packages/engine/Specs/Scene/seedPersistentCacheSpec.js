@@ -0,0 +1,420 @@
+import {
+  Cartesian3,
+  GeographicTilingScheme,
+  Math as CesiumMath,
+  Matrix4,
+  Rectangle,
+  Resource,
+  seedPersistentCache,
+  Transforms,
+} from "../../index.js";
+
+describe("Scene/seedPersistentCache", function () {
+  const rectangle = Rectangle.fromDegrees(-10.0, -10.0, 10.0, 10.0);
+
+  function createImageryProvider() {
+    const tilingScheme = new GeographicTilingScheme();
+    return {
+      tilingScheme: tilingScheme,
+      rectangle: tilingScheme.rectangle,
+      minimumLevel: 0,
+      maximumLevel: 10,
+      requestImage: jasmine
+        .createSpy("requestImage")
+        .and.returnValue(Promise.resolve({})),
+    };
+  }
+
+  function getRequestedTiles(spy) {
+    return spy.calls.allArgs().map(function (args) {
+      return args.slice(0, 3);
+    });
+  }
+
+  function encodeJson(json) {
+    return new TextEncoder().encode(JSON.stringify(json)).buffer;
+  }
+
+  beforeEach(function () {
+    Resource.persistentCache = {
+      offline: false,
+    };
+  });
+
+  afterEach(function () {
+    Resource.persistentCache = undefined;
+  });
+
+  it("throws without a rectangle", function () {
+    expect(function () {
+      return seedPersistentCache({});
+    }).toThrowDeveloperError();
+  });
+
+  it("throws without a persistent cache", function () {
+    Resource.persistentCache = undefined;
+    expect(function () {
+      return seedPersistentCache({
+        rectangle: rectangle,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("throws if the persistent cache is offline", function () {
+    Resource.persistentCache.offline = true;
+    expect(function () {
+      return seedPersistentCache({
+        rectangle: rectangle,
+      });
+    }).toThrowDeveloperError();
+  });
+
+  it("resolves immediately when there is nothing to seed", async function () {
+    const result = await seedPersistentCache({
+      rectangle: rectangle,
+    });
+    expect(result).toEqual({
+      tileCount: 0,
+      failedCount: 0,
+    });
+  });
+
+  it("requests the imagery tiles in the rectangle", async function () {
+    const provider = createImageryProvider();
+    const result = await seedPersistentCache({
+      rectangle: rectangle,
+      imagery: [
+        {
+          provider: provider,
+          maximumLevel: 1,
+        },
+      ],
+    });
+
+    expect(result).toEqual({
+      tileCount: 6,
+      failedCount: 0,
+    });
+    expect(getRequestedTiles(provider.requestImage)).toEqual([
+      [0, 0, 0],
+      [1, 0, 0],
+      [1, 0, 1],
+      [2, 0, 1],
+      [1, 1, 1],
+      [2, 1, 1],
+    ]);
+  });
+
+  it("clamps the imagery levels to those of the provider", async function () {
+    const provider = createImageryProvider();
+    provider.minimumLevel = 1;
+    provider.maximumLevel = 1;
+    const result = await seedPersistentCache({
+      rectangle: rectangle,
+      imagery: [
+        {
+          provider: provider,
+          maximumLevel: 5,
+        },
+      ],
+    });
+
+    expect(result.tileCount).toEqual(4);
+    expect(provider.requestImage.calls.count()).toEqual(4);
+  });
+
+  it("splits rectangles that cross the anti-meridian", async function () {
+    const provider = createImageryProvider();
+    await seedPersistentCache({
+      rectangle: Rectangle.fromDegrees(170.0, 10.0, -170.0, 20.0),
+      imagery: [
+        {
+          provider: provider,
+          minimumLevel: 1,
+          maximumLevel: 1,
+        },
+      ],
+    });
+
+    expect(getRequestedTiles(provider.requestImage)).toEqual([
+      [3, 0, 1],
+      [0, 0, 1],
+    ]);
+  });
+
+  it("requests the available terrain tiles in the rectangle", async function () {
+    const provider = {
+      tilingScheme: new GeographicTilingScheme(),
+      getTileDataAvailable: function (x, y, level) {
+        return x === 1 ? undefined : false;
+      },
+      loadTileDataAvailability: jasmine
+        .createSpy("loadTileDataAvailability")
+        .and.returnValue(Promise.resolve()),
+      requestTileGeometry: jasmine
+        .createSpy("requestTileGeometry")
+        .and.returnValue(Promise.resolve({})),
+    };
+
+    const result = await seedPersistentCache({
+      rectangle: rectangle,
+      terrain: {
+        provider: provider,
+        maximumLevel: 1,
+      },
+    });
+
+    expect(result.tileCount).toEqual(6);
+    expect(provider.loadTileDataAvailability.calls.count()).toEqual(6);
+    expect(getRequestedTiles(provider.requestTileGeometry)).toEqual([
+      [1, 0, 0],
+      [1, 0, 1],
+      [1, 1, 1],
+    ]);
+  });
+
+  it("counts failed requests and reports progress", async function () {
+    const provider = createImageryProvider();
+    provider.requestImage.and.callFake(function (x, y, level) {
+      return x === 0 ? Promise.reject(new Error("failed")) : undefined;
+    });
+    const progressCallback = jasmine.createSpy("progressCallback");
+
+    const result = await seedPersistentCache({
+      rectangle: rectangle,
+      imagery: [
+        {
+          provider: provider,
+          maximumLevel: 0,
+        },
+      ],
+      progressCallback: progressCallback,
+    });
+
+    expect(result).toEqual({
+      tileCount: 2,
+      failedCount: 2,
+    });
+    expect(progressCallback.calls.allArgs()).toEqual([
+      [1, 2],
+      [2, 2],
+    ]);
+  });
+
+  it("limits the number of concurrent requests", async function () {
+    let activeCount = 0;
+    let maximumActiveCount = 0;
+    const provider = createImageryProvider();
+    provider.requestImage.and.callFake(function () {
+      ++activeCount;
+      maximumActiveCount = Math.max(maximumActiveCount, activeCount);
+      return new Promise(function (resolve) {
+        setTimeout(function () {
+          --activeCount;
+          resolve({});
+        }, 0);
+      });
+    });
+
+    const result = await seedPersistentCache({
+      rectangle: rectangle,
+      imagery: [
+        {
+          provider: provider,
+          maximumLevel: 3,
+        },
+      ],
+      concurrency: 2,
+    });
+
+    expect(result.tileCount).toBeGreaterThan(2);
+    expect(maximumActiveCount).toEqual(2);
+  });
+
+  it("requests the 3D Tiles content in the rectangle", async function () {
+    function region(west, south, east, north) {
+      return {
+        region: [
+          CesiumMath.toRadians(west),
+          CesiumMath.toRadians(south),
+          CesiumMath.toRadians(east),
+          CesiumMath.toRadians(north),
+          0.0,
+          100.0,
+        ],
+      };
+    }
+
+    const tilesetJson = {
+      asset: {
+        version: "1.1",
+      },
+      root: {
+        boundingVolume: region(-20.0, -20.0, 20.0, 20.0),
+        content: {
+          uri: "root.glb",
+        },
+        children: [
+          {
+            boundingVolume: region(0.0, 0.0, 20.0, 20.0),
+            content: {
+              uri: "external.json",
+            },
+          },
+          {
+            boundingVolume: region(15.0, 15.0, 20.0, 20.0),
+            content: {
+              uri: "outside.glb",
+            },
+          },
+          {
+            boundingVolume: region(-20.0, -20.0, 0.0, 0.0),
+            contents: [
+              {
+                uri: "a.glb",
+              },
+              {
+                uri: "b.glb",
+              },
+            ],
+            children: [
+              {
+                boundingVolume: region(-20.0, -20.0, 0.0, 0.0),
+                children: [
+                  {
+                    boundingVolume: region(-20.0, -20.0, 0.0, 0.0),
+                    content: {
+                      uri: "too-deep.glb",
+                    },
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      },
+    };
+    const externalTilesetJson = {
+      asset: {
+        version: "1.1",
+      },
+      root: {
+        boundingVolume: region(0.0, 0.0, 20.0, 20.0),
+        content: {
+          uri: "external.glb",
+        },
+      },
+    };
+
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(
+      Promise.resolve(tilesetJson),
+    );
+    const requestedUrls = [];
+    spyOn(Resource.prototype, "fetchArrayBuffer").and.callFake(function () {
+      requestedUrls.push(this.url);
+      if (this.url.indexOf("external.json") !== -1) {
+        return Promise.resolve(encodeJson(externalTilesetJson));
+      }
+      return Promise.resolve(new Uint8Array([0x67, 0x6c, 0x54, 0x46]).buffer);
+    });
+
+    const result = await seedPersistentCache({
+      rectangle: rectangle,
+      tilesets: [
+        {
+          url: "http://example.invalid/tileset/tileset.json",
+          maximumDepth: 2,
+        },
+      ],
+    });
+
+    expect(result).toEqual({
+      tileCount: 6,
+      failedCount: 0,
+    });
+    expect(requestedUrls.sort()).toEqual([
+      "http://example.invalid/tileset/a.glb",
+      "http://example.invalid/tileset/b.glb",
+      "http://example.invalid/tileset/external.glb",
+      "http://example.invalid/tileset/external.json",
+      "http://example.invalid/tileset/root.glb",
+    ]);
+  });
+
+  it("tests 3D Tiles box and sphere bounding volumes against the rectangle", async function () {
+    function transform(longitude, latitude) {
+      return Matrix4.pack(
+        Transforms.eastNorthUpToFixedFrame(
+          Cartesian3.fromDegrees(longitude, latitude),
+        ),
+        [],
+      );
+    }
+
+    const box = [
+      0.0, 0.0, 0.0, 1000.0, 0.0, 0.0, 0.0, 1000.0, 0.0, 0.0, 0.0, 1000.0,
+    ];
+    const sphereCenter = Cartesian3.fromDegrees(5.0, 5.0);
+    const tilesetJson = {
+      asset: {
+        version: "1.1",
+      },
+      root: {
+        boundingVolume: {
+          sphere: [0.0, 0.0, 0.0, 7000000.0],
+        },
+        children: [
+          {
+            transform: transform(0.0, 0.0),
+            boundingVolume: {
+              box: box,
+            },
+            content: {
+              uri: "inside-box.glb",
+            },
+          },
+          {
+            transform: transform(50.0, 50.0),
+            boundingVolume: {
+              box: box,
+            },
+            content: {
+              uri: "outside-box.glb",
+            },
+          },
+          {
+            boundingVolume: {
+              sphere: [sphereCenter.x, sphereCenter.y, sphereCenter.z, 1000.0],
+            },
+            content: {
+              uri: "inside-sphere.glb",
+            },
+          },
+        ],
+      },
+    };
+
+    spyOn(Resource.prototype, "fetchJson").and.returnValue(
+      Promise.resolve(tilesetJson),
+    );
+    const requestedUrls = [];
+    spyOn(Resource.prototype, "fetchArrayBuffer").and.callFake(function () {
+      requestedUrls.push(this.url);
+      return Promise.resolve(new Uint8Array([0x67, 0x6c, 0x54, 0x46]).buffer);
+    });
+
+    await seedPersistentCache({
+      rectangle: rectangle,
+      tilesets: [
+        {
+          url: "http://example.invalid/tileset.json",
+        },
+      ],
+    });
+
+    expect(requestedUrls.sort()).toEqual([
+      "http://example.invalid/inside-box.glb",
+      "http://example.invalid/inside-sphere.glb",
+    ]);
+  });
+});
@@ -0,0 +1,141 @@
+import { defaultValue, defined, PMTilesArchive } from "../index.js";
+
+function writeVarint(bytes, value) {
+  while (value >= 128) {
+    bytes.push((value % 128) | 128);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+}
+
+function encodeDirectory(entries) {
+  const bytes = [];
+  writeVarint(bytes, entries.length);
+  let previousTileId = 0;
+  entries.forEach(function (entry) {
+    writeVarint(bytes, entry.tileId - previousTileId);
+    previousTileId = entry.tileId;
+  });
+  entries.forEach(function (entry) {
+    writeVarint(bytes, entry.runLength);
+  });
+  entries.forEach(function (entry) {
+    writeVarint(bytes, entry.length);
+  });
+  entries.forEach(function (entry) {
+    writeVarint(bytes, entry.offset + 1);
+  });
+  return bytes;
+}
+
+function setUint64(view, offset, value) {
+  view.setUint32(offset, value % 4294967296, true);
+  view.setUint32(offset + 4, Math.floor(value / 4294967296), true);
+}
+
+/**
+ * Creates an uncompressed PMTiles v3 archive.
+ *
+ * @param {object} options
+ * @param {object[]} options.tiles The tiles, each with <code>x</code>, <code>y</code>, <code>level</code> and
+ *        <code>data</code> properties and an optional <code>runLength</code>.
+ * @param {number} [options.tileType=2] The tile type, PNG by default.
+ * @param {number} [options.tileCompression=1] The tile compression, none by default.
+ * @param {object} [options.metadata] The JSON metadata.
+ * @param {boolean} [options.leafDirectory=false] Whether to put the tile entries in a leaf directory.
+ * @param {number[]} [options.bounds=[-180, -85, 180, 85]] The west, south, east and north bounds in degrees.
+ * @returns {ArrayBuffer} The archive.
+ */
+function createPMTilesArchive(options) {
+  const tiles = options.tiles
+    .map(function (tile) {
+      return {
+        tileId: PMTilesArchive.zxyToTileId(tile.level, tile.x, tile.y),
+        runLength: defaultValue(tile.runLength, 1),
+        level: tile.level,
+        data: tile.data,
+      };
+    })
+    .sort(function (a, b) {
+      return a.tileId - b.tileId;
+    });
+
+  const tileData = [];
+  const entries = tiles.map(function (tile) {
+    const entry = {
+      tileId: tile.tileId,
+      runLength: tile.runLength,
+      offset: tileData.length,
+      length: tile.data.length,
+    };
+    for (let i = 0; i < tile.data.length; ++i) {
+      tileData.push(tile.data[i]);
+    }
+    return entry;
+  });
+
+  let rootDirectory = encodeDirectory(entries);
+  let leafDirectory = [];
+  if (options.leafDirectory) {
+    leafDirectory = rootDirectory;
+    rootDirectory = encodeDirectory([
+      {
+        tileId: entries[0].tileId,
+        runLength: 0,
+        offset: 0,
+        length: leafDirectory.length,
+      },
+    ]);
+  }
+
+  const metadata = defined(options.metadata)
+    ? Array.from(new TextEncoder().encode(JSON.stringify(options.metadata)))
+    : [];
+
+  const rootOffset = 127;
+  const metadataOffset = rootOffset + rootDirectory.length;
+  const leafOffset = metadataOffset + metadata.length;
+  const tileDataOffset = leafOffset + leafDirectory.length;
+  const byteLength = tileDataOffset + tileData.length;
+
+  const bytes = new Uint8Array(byteLength);
+  const view = new DataView(bytes.buffer);
+  bytes.set(new TextEncoder().encode("PMTiles"), 0);
+  bytes[7] = 3;
+  setUint64(view, 8, rootOffset);
+  setUint64(view, 16, rootDirectory.length);
+  setUint64(view, 24, metadataOffset);
+  setUint64(view, 32, metadata.length);
+  setUint64(view, 40, leafOffset);
+  setUint64(view, 48, leafDirectory.length);
+  setUint64(view, 56, tileDataOffset);
+  setUint64(view, 64, tileData.length);
+  setUint64(view, 72, tiles.length);
+  setUint64(view, 80, tiles.length);
+  setUint64(view, 88, tiles.length);
+  bytes[96] = 1;
+  bytes[97] = 1;
+  bytes[98] = defaultValue(options.tileCompression, 1);
+  bytes[99] = defaultValue(options.tileType, 2);
+
+  const levels = tiles.map(function (tile) {
+    return tile.level;
+  });
+  bytes[100] = Math.min.apply(null, levels);
+  bytes[101] = Math.max.apply(null, levels);
+
+  const bounds = defaultValue(options.bounds, [-180, -85, 180, 85]);
+  view.setInt32(102, Math.round(bounds[0] * 1e7), true);
+  view.setInt32(106, Math.round(bounds[1] * 1e7), true);
+  view.setInt32(110, Math.round(bounds[2] * 1e7), true);
+  view.setInt32(114, Math.round(bounds[3] * 1e7), true);
+
+  bytes.set(rootDirectory, rootOffset);
+  bytes.set(metadata, metadataOffset);
+  bytes.set(leafDirectory, leafOffset);
+  bytes.set(tileData, tileDataOffset);
+
+  return bytes.buffer;
+}
+
+export default createPMTilesArchive;
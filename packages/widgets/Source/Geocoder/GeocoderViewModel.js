@@ -1,4 +1,5 @@
 import {
+  CartographicGeocoderService,
   computeFlyToLocationForRectangle,
   defaultValue,
   defined,
@@ -20,6 +21,9 @@ import createCommand from "../createCommand.js";
 //  如果地理编码到特定点而不是矩形,则使用此高度.
 const DEFAULT_HEIGHT = 1000;
 
+// Parses queries containing coordinates before they are reverse geocoded
+const coordinatesGeocoderService = new CartographicGeocoderService();
+
 /**
  *  {@link Geocoder} 小部件的视图模型
  * @alias GeocoderViewModel
@@ -435,6 +439,27 @@ async function geocode(viewModel, geocoderServices, geocodeType) {
   viewModel._isSearchInProgress = true;
   viewModel._wasGeocodeCancelled = false;
 
+  const reverseResult = await attemptReverseGeocode(
+    viewModel,
+    geocoderServices,
+    query,
+  );
+  if (viewModel._wasGeocodeCancelled) {
+    return;
+  }
+
+  if (defined(reverseResult)) {
+    viewModel._isSearchInProgress = false;
+    clearCredits(viewModel);
+    showResult(
+      viewModel,
+      reverseResult.value,
+      reverseResult.destination,
+      reverseResult.service,
+    );
+    return;
+  }
+
   let i;
   let result;
   for (i = 0; i < geocoderServices.length; i++) {
@@ -465,22 +490,75 @@ async function geocode(viewModel, geocoderServices, geocodeType) {
     defined(geocoderResults) &&
     geocoderResults.length > 0
   ) {
-    viewModel._searchText = geocoderResults[0].displayName;
-    viewModel.destinationFound(viewModel, geocoderResults[0].destination);
-    const credits = updateCredits(
+    showResult(
       viewModel,
-      GeocoderService.getCreditsFromResult(geocoderResults[0]),
+      geocoderResults[0],
+      geocoderResults[0].destination,
+      geocoderServices[i],
     );
-    // If the result does not contain any credits, default to the service credit.
-    if (!defined(credits)) {
-      updateCredit(viewModel, geocoderServices[i].credit);
-    }
     return;
   }
 
   viewModel._searchText = `${query} (not found)`;
 }
 
+// If the query contains coordinates, looks up the name of the position with
+// the first service that supports reverse geocoding and finds a result.
+async function attemptReverseGeocode(viewModel, geocoderServices, query) {
+  const reverseGeocoderServices = geocoderServices.filter(function (service) {
+    return typeof service.reverseGeocode === "function";
+  });
+  if (reverseGeocoderServices.length === 0) {
+    return undefined;
+  }
+
+  const coordinates = await coordinatesGeocoderService.geocode(query);
+  if (coordinates.length === 0) {
+    return undefined;
+  }
+
+  const destination = coordinates[0].destination;
+  const position =
+    viewModel._scene.ellipsoid.cartesianToCartographic(destination);
+  if (!defined(position)) {
+    return undefined;
+  }
+
+  for (const service of reverseGeocoderServices) {
+    if (viewModel._wasGeocodeCancelled) {
+      return undefined;
+    }
+
+    try {
+      const results = await service.reverseGeocode(position);
+      if (defined(results) && results.length > 0) {
+        return {
+          value: results[0],
+          destination: destination,
+          service: service,
+        };
+      }
+    } catch (error) {
+      // Try the next service
+    }
+  }
+
+  return undefined;
+}
+
+function showResult(viewModel, result, destination, geocoderService) {
+  viewModel._searchText = result.displayName;
+  viewModel.destinationFound(viewModel, destination);
+  const credits = updateCredits(
+    viewModel,
+    GeocoderService.getCreditsFromResult(result),
+  );
+  // If the result does not contain any credits, default to the service credit.
+  if (!defined(credits)) {
+    updateCredit(viewModel, geocoderService.credit);
+  }
+}
+
 function updateCredit(viewModel, credit) {
   if (
     defined(credit) &&
@@ -0,0 +1,225 @@
+import {
+  defined,
+  destroyObject,
+  DeveloperError,
+  getElement,
+} from "@cesium/engine";
+import knockout from "../ThirdParty/knockout.js";
+import LayerManagerViewModel from "./LayerManagerViewModel.js";
+
+function createButton(parent, text, title, binding) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "cesium-button cesium-layerManager-button";
+  button.textContent = text;
+  button.title = title;
+  button.setAttribute("data-bind", binding);
+  parent.appendChild(button);
+  return button;
+}
+
+function createRangeInput(parent, text, binding, min, max) {
+  const label = document.createElement("label");
+  label.className = "cesium-layerManager-slider";
+  label.appendChild(document.createTextNode(text));
+
+  const input = document.createElement("input");
+  input.type = "range";
+  input.min = min;
+  input.max = max;
+  input.step = "any";
+  input.setAttribute("data-bind", `valueUpdate: "input", value: ${binding}`);
+  label.appendChild(input);
+
+  parent.appendChild(label);
+}
+
+function createSection(parent, text, itemsBinding) {
+  const section = document.createElement("div");
+  section.className = "cesium-layerManager-section";
+  section.setAttribute("data-bind", `visible: ${itemsBinding}.length > 0`);
+
+  const header = document.createElement("div");
+  header.className = "cesium-layerManager-sectionHeader";
+  header.textContent = text;
+  section.appendChild(header);
+
+  const list = document.createElement("div");
+  list.setAttribute("data-bind", `foreach: ${itemsBinding}`);
+  section.appendChild(list);
+
+  const item = document.createElement("div");
+  item.className = "cesium-layerManager-item";
+  item.setAttribute(
+    "data-bind",
+    `attr: { draggable: type !== "tileset" },
+css: { "cesium-layerManager-dropTarget": $root._dropTarget === $data },
+event: {
+  dragstart: $root._dragStart,
+  dragover: $root._dragOver,
+  drop: $root._drop,
+  dragend: $root._dragEnd
+}`,
+  );
+  list.appendChild(item);
+
+  const row = document.createElement("div");
+  row.className = "cesium-layerManager-row";
+  item.appendChild(row);
+
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.setAttribute("data-bind", "checked: show");
+  row.appendChild(checkbox);
+
+  const name = document.createElement("span");
+  name.className = "cesium-layerManager-name";
+  name.setAttribute("data-bind", "text: name, attr: { title: name }");
+  row.appendChild(name);
+
+  createButton(
+    row,
+    "▲",
+    "Move up",
+    'click: $root.raise, visible: type !== "tileset"',
+  );
+  createButton(
+    row,
+    "▼",
+    "Move down",
+    'click: $root.lower, visible: type !== "tileset"',
+  );
+  createButton(row, "⌖", "Zoom to layer", "click: $root.zoomTo");
+  createButton(
+    row,
+    "⚙",
+    "Settings",
+    'click: _toggleExpanded, visible: type !== "dataSource", css: { "cesium-layerManager-active": expanded }',
+  );
+
+  const settings = document.createElement("div");
+  settings.className = "cesium-layerManager-settings";
+  settings.setAttribute("data-bind", "visible: expanded");
+  item.appendChild(settings);
+
+  const imagerySettings = document.createElement("div");
+  imagerySettings.setAttribute("data-bind", 'if: type === "imagery"');
+  createRangeInput(imagerySettings, "Opacity", "alpha", 0.0, 1.0);
+  createRangeInput(imagerySettings, "Brightness", "brightness", 0.0, 3.0);
+  createRangeInput(imagerySettings, "Contrast", "contrast", 0.0, 3.0);
+  settings.appendChild(imagerySettings);
+
+  const splitSettings = document.createElement("label");
+  splitSettings.className = "cesium-layerManager-slider";
+  splitSettings.setAttribute("data-bind", 'if: type !== "dataSource"');
+  splitSettings.appendChild(document.createTextNode("Split"));
+  const select = document.createElement("select");
+  select.className = "cesium-layerManager-split";
+  select.setAttribute(
+    "data-bind",
+    'options: $root._splitDirections, optionsText: "name", optionsValue: "value", value: splitDirection',
+  );
+  splitSettings.appendChild(select);
+  settings.appendChild(splitSettings);
+
+  parent.appendChild(section);
+}
+
+/**
+ * 一个列出影像图层、数据源和 3D Tiles 的图层管理器小部件，即图层目录。每个图层都可以显示或隐藏，缩放到图层，
+ * 通过拖放或按钮重新排序，并且可以调整影像图层的不透明度、亮度、对比度和分割方向，以及 3D Tiles 的分割方向。
+ *
+ * @alias LayerManager
+ * @constructor
+ *
+ * @param {object} options 具有以下属性的对象：
+ * @param {Element|string} options.container 包含小部件的 DOM 元素或 ID。
+ * @param {Scene} options.scene 包含图层的场景。
+ * @param {ImageryLayerCollection} [options.imageryLayers=scene.imageryLayers] 要管理的影像图层集合。
+ * @param {DataSourceCollection} [options.dataSources] 要管理的数据源集合。
+ * @param {function} [options.zoomTo] 缩放到图层时调用的函数，以图层作为参数，例如 {@link Viewer#flyTo}。
+ *
+ * @example
+ * const layerManager = new Cesium.LayerManager({
+ *   container: "layerManagerContainer",
+ *   scene: viewer.scene,
+ *   dataSources: viewer.dataSources,
+ *   zoomTo: function (layer) {
+ *     return viewer.flyTo(layer);
+ *   },
+ * });
+ *
+ * @see viewerLayerManagerMixin
+ */
+function LayerManager(options) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options) || !defined(options.container)) {
+    throw new DeveloperError("options.container is required.");
+  }
+  if (!defined(options.scene)) {
+    throw new DeveloperError("options.scene is required.");
+  }
+  //>>includeEnd('debug');
+
+  const container = getElement(options.container);
+
+  const viewModel = new LayerManagerViewModel(options);
+
+  const element = document.createElement("div");
+  element.className = "cesium-layerManager";
+  createSection(element, "Imagery", "imageryLayerItems");
+  createSection(element, "Data Sources", "dataSourceItems");
+  createSection(element, "3D Tiles", "tilesetItems");
+  container.appendChild(element);
+
+  knockout.applyBindings(viewModel, element);
+
+  this._container = container;
+  this._viewModel = viewModel;
+  this._element = element;
+}
+
+Object.defineProperties(LayerManager.prototype, {
+  /**
+   * 获取父容器。
+   * @memberof LayerManager.prototype
+   *
+   * @type {Element}
+   */
+  container: {
+    get: function () {
+      return this._container;
+    },
+  },
+
+  /**
+   * 获取视图模型。
+   * @memberof LayerManager.prototype
+   *
+   * @type {LayerManagerViewModel}
+   */
+  viewModel: {
+    get: function () {
+      return this._viewModel;
+    },
+  },
+});
+
+/**
+ * @returns {boolean} 如果对象已被销毁则返回 true，否则返回 false。
+ */
+LayerManager.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * 销毁小部件。如果要从布局中永久移除小部件，则应调用此方法。
+ */
+LayerManager.prototype.destroy = function () {
+  knockout.cleanNode(this._element);
+  this._container.removeChild(this._element);
+  this._viewModel.destroy();
+
+  return destroyObject(this);
+};
+export default LayerManager;
@@ -0,0 +1,553 @@
+import {
+  BoundingSphere,
+  Cartesian3,
+  Cesium3DTileset,
+  defaultValue,
+  defined,
+  destroyObject,
+  DeveloperError,
+  JulianDate,
+  SplitDirection,
+} from "@cesium/engine";
+import knockout from "../ThirdParty/knockout.js";
+import createCommand from "../createCommand.js";
+
+const positionScratch = new Cartesian3();
+
+/**
+ * @typedef {object} LayerManagerViewModel.LayerItem
+ *
+ * {@link LayerManagerViewModel} 中的一个图层。修改项的属性会立即应用到图层上。
+ *
+ * @property {ImageryLayer|DataSource|Cesium3DTileset} layer 图层。
+ * @property {string} type 图层的类型：<code>"imagery"</code>、<code>"dataSource"</code> 或 <code>"tileset"</code>。
+ * @property {string} name 显示的图层名称。默认为图层的 <code>name</code> 属性。此属性是可观察的。
+ * @property {boolean} show 图层是否显示。此属性是可观察的。
+ * @property {number} [alpha] 影像图层的 alpha 混合值，范围从 0.0 到 1.0。仅适用于影像图层。此属性是可观察的。
+ * @property {number} [brightness] 影像图层的亮度。仅适用于影像图层。此属性是可观察的。
+ * @property {number} [contrast] 影像图层的对比度。仅适用于影像图层。此属性是可观察的。
+ * @property {SplitDirection} [splitDirection] 图层相对于 {@link Scene#splitPosition} 的显示位置。仅适用于影像图层和 3D Tiles。此属性是可观察的。
+ * @property {boolean} expanded 是否显示图层的设置。此属性是可观察的。
+ */
+
+/**
+ * {@link LayerManager} 的视图模型。
+ * <p>
+ * 视图模型列出影像图层集合、数据源集合以及场景中的 {@link Cesium3DTileset}，并随着
+ * 图层的添加、移除和移动而更新。影像图层和数据源按绘制顺序从上到下列出。
+ * 只监听 <code>scene.primitives</code> 的顶层图元，嵌套在其他 {@link PrimitiveCollection} 中的 3D Tiles 不会列出。
+ * </p>
+ *
+ * @alias LayerManagerViewModel
+ * @constructor
+ *
+ * @param {object} options 具有以下属性的对象：
+ * @param {Scene} options.scene 包含图层的场景。
+ * @param {ImageryLayerCollection} [options.imageryLayers=scene.imageryLayers] 要管理的影像图层集合。
+ * @param {DataSourceCollection} [options.dataSources] 要管理的数据源集合。
+ * @param {function} [options.zoomTo] 缩放到图层时调用的函数，以图层作为参数，例如 {@link Viewer#flyTo}。
+ *        如果未定义，影像图层和 3D Tiles 使用其范围，数据源使用其实体的位置。
+ */
+function LayerManagerViewModel(options) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options) || !defined(options.scene)) {
+    throw new DeveloperError("options.scene is required.");
+  }
+  //>>includeEnd('debug');
+
+  const scene = options.scene;
+  this._scene = scene;
+  this._imageryLayers = defaultValue(
+    options.imageryLayers,
+    scene.imageryLayers,
+  );
+  this._dataSources = options.dataSources;
+  this._zoomToCallback = options.zoomTo;
+
+  /**
+   * 获取影像图层的项，从最上层的图层开始。此属性是可观察的。
+   * @type {LayerManagerViewModel.LayerItem[]}
+   */
+  this.imageryLayerItems = [];
+
+  /**
+   * 获取数据源的项，从最上层的数据源开始。此属性是可观察的。
+   * @type {LayerManagerViewModel.LayerItem[]}
+   */
+  this.dataSourceItems = [];
+
+  /**
+   * 获取场景中 3D Tiles 的项。此属性是可观察的。
+   * @type {LayerManagerViewModel.LayerItem[]}
+   */
+  this.tilesetItems = [];
+
+  this._dragItem = undefined;
+  this._dropTarget = undefined;
+
+  knockout.track(this, [
+    "imageryLayerItems",
+    "dataSourceItems",
+    "tilesetItems",
+    "_dragItem",
+    "_dropTarget",
+  ]);
+
+  const that = this;
+
+  this._zoomTo = createCommand(function (item) {
+    that.zoomToLayer(item);
+  });
+
+  this._raise = createCommand(function (item) {
+    const items = getItems(that, item.type);
+    that.moveItem(item, items.indexOf(item) - 1);
+  });
+
+  this._lower = createCommand(function (item) {
+    const items = getItems(that, item.type);
+    that.moveItem(item, items.indexOf(item) + 1);
+  });
+
+  // Knockout prevents the default action of an event unless the handler returns true
+  this._dragStart = function (item, event) {
+    that._dragItem = item;
+    const dataTransfer = event.dataTransfer;
+    if (defined(dataTransfer)) {
+      dataTransfer.effectAllowed = "move";
+      // Firefox does not start a drag without data
+      dataTransfer.setData("text/plain", item.name);
+    }
+    return true;
+  };
+
+  this._dragOver = function (item, event) {
+    if (!canDrop(that._dragItem, item)) {
+      return true;
+    }
+    that._dropTarget = item;
+    if (defined(event.dataTransfer)) {
+      event.dataTransfer.dropEffect = "move";
+    }
+    return false;
+  };
+
+  this._drop = function (item) {
+    const dragItem = that._dragItem;
+    if (canDrop(dragItem, item)) {
+      that.moveItem(dragItem, getItems(that, item.type).indexOf(item));
+    }
+    that._dragItem = undefined;
+    that._dropTarget = undefined;
+  };
+
+  this._dragEnd = function () {
+    that._dragItem = undefined;
+    that._dropTarget = undefined;
+    return true;
+  };
+
+  //Used by knockout
+  this._splitDirections = [
+    {
+      name: "Left",
+      value: SplitDirection.LEFT,
+    },
+    {
+      name: "Both",
+      value: SplitDirection.NONE,
+    },
+    {
+      name: "Right",
+      value: SplitDirection.RIGHT,
+    },
+  ];
+
+  const removeListeners = [];
+  const imageryLayers = this._imageryLayers;
+  function updateImageryLayerItems() {
+    that._updateImageryLayerItems();
+  }
+  if (defined(imageryLayers)) {
+    removeListeners.push(
+      imageryLayers.layerAdded.addEventListener(updateImageryLayerItems),
+      imageryLayers.layerRemoved.addEventListener(updateImageryLayerItems),
+      imageryLayers.layerMoved.addEventListener(updateImageryLayerItems),
+      imageryLayers.layerShownOrHidden.addEventListener(
+        updateImageryLayerItems,
+      ),
+    );
+  }
+
+  const dataSources = this._dataSources;
+  function updateDataSourceItems() {
+    that._updateDataSourceItems();
+  }
+  if (defined(dataSources)) {
+    removeListeners.push(
+      dataSources.dataSourceAdded.addEventListener(updateDataSourceItems),
+      dataSources.dataSourceRemoved.addEventListener(updateDataSourceItems),
+      dataSources.dataSourceMoved.addEventListener(updateDataSourceItems),
+    );
+  }
+
+  const primitives = scene.primitives;
+  function updateTilesetItems(primitive) {
+    if (primitive instanceof Cesium3DTileset) {
+      that._updateTilesetItems();
+    }
+  }
+  removeListeners.push(
+    primitives.primitiveAdded.addEventListener(updateTilesetItems),
+    primitives.primitiveRemoved.addEventListener(updateTilesetItems),
+  );
+  this._removeListeners = removeListeners;
+
+  this._updateImageryLayerItems();
+  this._updateDataSourceItems();
+  this._updateTilesetItems();
+}
+
+Object.defineProperties(LayerManagerViewModel.prototype, {
+  /**
+   * 获取场景。
+   * @memberof LayerManagerViewModel.prototype
+   * @type {Scene}
+   * @readonly
+   */
+  scene: {
+    get: function () {
+      return this._scene;
+    },
+  },
+
+  /**
+   * 获取影像图层集合。如果场景没有地球且未提供影像图层集合，则为 undefined。
+   * @memberof LayerManagerViewModel.prototype
+   * @type {ImageryLayerCollection|undefined}
+   * @readonly
+   */
+  imageryLayers: {
+    get: function () {
+      return this._imageryLayers;
+    },
+  },
+
+  /**
+   * 获取数据源集合。
+   * @memberof LayerManagerViewModel.prototype
+   * @type {DataSourceCollection|undefined}
+   * @readonly
+   */
+  dataSources: {
+    get: function () {
+      return this._dataSources;
+    },
+  },
+
+  /**
+   * 获取缩放到图层的命令。命令以 {@link LayerManagerViewModel.LayerItem} 作为参数。
+   * @memberof LayerManagerViewModel.prototype
+   * @type {Command}
+   * @readonly
+   */
+  zoomTo: {
+    get: function () {
+      return this._zoomTo;
+    },
+  },
+
+  /**
+   * 获取将图层在列表中上移一位的命令。命令以 {@link LayerManagerViewModel.LayerItem} 作为参数。
+   * @memberof LayerManagerViewModel.prototype
+   * @type {Command}
+   * @readonly
+   */
+  raise: {
+    get: function () {
+      return this._raise;
+    },
+  },
+
+  /**
+   * 获取将图层在列表中下移一位的命令。命令以 {@link LayerManagerViewModel.LayerItem} 作为参数。
+   * @memberof LayerManagerViewModel.prototype
+   * @type {Command}
+   * @readonly
+   */
+  lower: {
+    get: function () {
+      return this._lower;
+    },
+  },
+});
+
+/**
+ * 将影像图层或数据源移动到列表中的给定位置，并相应地更改其在集合中的绘制顺序。
+ * 3D Tiles 没有绘制顺序，因此会被忽略。
+ *
+ * @param {LayerManagerViewModel.LayerItem} item 要移动的项。
+ * @param {number} index 项在列表中的新索引，其中 0 是最上层。超出范围的索引会被限制到列表中。
+ */
+LayerManagerViewModel.prototype.moveItem = function (item, index) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(item)) {
+    throw new DeveloperError("item is required.");
+  }
+  if (!defined(index)) {
+    throw new DeveloperError("index is required.");
+  }
+  //>>includeEnd('debug');
+
+  let collection;
+  if (item.type === "imagery") {
+    collection = this._imageryLayers;
+  } else if (item.type === "dataSource") {
+    collection = this._dataSources;
+  } else {
+    return;
+  }
+
+  const items = getItems(this, item.type);
+  let currentIndex = items.indexOf(item);
+  if (currentIndex === -1) {
+    return;
+  }
+  index = Math.min(Math.max(index, 0), items.length - 1);
+
+  // The list is in the reverse order of the collection
+  const layer = item.layer;
+  while (currentIndex < index) {
+    collection.lower(layer);
+    ++currentIndex;
+  }
+  while (currentIndex > index) {
+    collection.raise(layer);
+    --currentIndex;
+  }
+};
+
+/**
+ * 将相机飞到图层。如果在构造时提供了 <code>zoomTo</code> 函数，则调用该函数。
+ *
+ * @param {LayerManagerViewModel.LayerItem} item 要缩放到的项。
+ */
+LayerManagerViewModel.prototype.zoomToLayer = function (item) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(item)) {
+    throw new DeveloperError("item is required.");
+  }
+  //>>includeEnd('debug');
+
+  const layer = item.layer;
+  if (defined(this._zoomToCallback)) {
+    this._zoomToCallback(layer);
+    return;
+  }
+
+  const camera = this._scene.camera;
+  if (item.type === "imagery") {
+    if (!layer.ready) {
+      return;
+    }
+    const rectangle = layer.getImageryRectangle();
+    if (defined(rectangle)) {
+      camera.flyTo({
+        destination: rectangle,
+      });
+    }
+  } else if (item.type === "tileset") {
+    camera.flyToBoundingSphere(layer.boundingSphere);
+  } else {
+    const boundingSphere = getDataSourceBoundingSphere(
+      layer,
+      defaultValue(this._scene.lastRenderTime, JulianDate.now()),
+    );
+    if (defined(boundingSphere)) {
+      camera.flyToBoundingSphere(boundingSphere);
+    }
+  }
+};
+
+/**
+ * @returns {boolean} 如果对象已被销毁则返回 true，否则返回 false。
+ */
+LayerManagerViewModel.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * 销毁视图模型。
+ */
+LayerManagerViewModel.prototype.destroy = function () {
+  this._removeListeners.forEach(function (removeListener) {
+    removeListener();
+  });
+  return destroyObject(this);
+};
+
+/**
+ * @private
+ */
+LayerManagerViewModel.prototype._updateImageryLayerItems = function () {
+  const imageryLayers = this._imageryLayers;
+  if (!defined(imageryLayers)) {
+    return;
+  }
+  const layers = [];
+  for (let i = imageryLayers.length - 1; i >= 0; --i) {
+    layers.push(imageryLayers.get(i));
+  }
+  this.imageryLayerItems = updateItems(
+    this.imageryLayerItems,
+    layers,
+    "imagery",
+  );
+};
+
+/**
+ * @private
+ */
+LayerManagerViewModel.prototype._updateDataSourceItems = function () {
+  const dataSources = this._dataSources;
+  if (!defined(dataSources)) {
+    return;
+  }
+  const layers = [];
+  for (let i = dataSources.length - 1; i >= 0; --i) {
+    layers.push(dataSources.get(i));
+  }
+  this.dataSourceItems = updateItems(
+    this.dataSourceItems,
+    layers,
+    "dataSource",
+  );
+};
+
+/**
+ * @private
+ */
+LayerManagerViewModel.prototype._updateTilesetItems = function () {
+  const primitives = this._scene.primitives;
+  const layers = [];
+  for (let i = 0; i < primitives.length; ++i) {
+    const primitive = primitives.get(i);
+    if (primitive instanceof Cesium3DTileset) {
+      layers.push(primitive);
+    }
+  }
+  this.tilesetItems = updateItems(this.tilesetItems, layers, "tileset");
+};
+
+function getItems(viewModel, type) {
+  if (type === "imagery") {
+    return viewModel.imageryLayerItems;
+  }
+  if (type === "dataSource") {
+    return viewModel.dataSourceItems;
+  }
+  return viewModel.tilesetItems;
+}
+
+function canDrop(dragItem, dropItem) {
+  return (
+    defined(dragItem) &&
+    dragItem !== dropItem &&
+    dragItem.type === dropItem.type &&
+    dragItem.type !== "tileset"
+  );
+}
+
+// Reuse the items of layers that are still in the collection so their state is kept
+function updateItems(items, layers, type) {
+  return layers.map(function (layer) {
+    const item = items.find(function (candidate) {
+      return candidate.layer === layer;
+    });
+    if (!defined(item)) {
+      return createItem(layer, type);
+    }
+    item.show = layer.show;
+    return item;
+  });
+}
+
+function getDefaultName(layer, type) {
+  if (defined(layer.name) && layer.name !== "") {
+    return layer.name;
+  }
+  if (type === "imagery") {
+    return "Imagery Layer";
+  }
+  if (type === "tileset") {
+    return "3D Tiles";
+  }
+  return "Data Source";
+}
+
+function defineLayerProperty(item, name, isNumber) {
+  const layer = item.layer;
+  const observable = knockout.observable(layer[name]);
+  knockout.defineProperty(item, name, {
+    get: function () {
+      return observable();
+    },
+    set: function (value) {
+      if (isNumber) {
+        value = Number(value);
+        if (isNaN(value)) {
+          return;
+        }
+      }
+      observable(value);
+      layer[name] = value;
+    },
+  });
+}
+
+function createItem(layer, type) {
+  const item = {
+    layer: layer,
+    type: type,
+    name: getDefaultName(layer, type),
+    expanded: false,
+  };
+  knockout.track(item, ["name", "expanded"]);
+
+  defineLayerProperty(item, "show", false);
+  if (type === "imagery") {
+    defineLayerProperty(item, "alpha", true);
+    defineLayerProperty(item, "brightness", true);
+    defineLayerProperty(item, "contrast", true);
+  }
+  if (type !== "dataSource") {
+    defineLayerProperty(item, "splitDirection", true);
+  }
+
+  //Used by knockout
+  item._toggleExpanded = function () {
+    item.expanded = !item.expanded;
+  };
+  return item;
+}
+
+function getDataSourceBoundingSphere(dataSource, time) {
+  const positions = [];
+  const entities = dataSource.entities.values;
+  for (let i = 0; i < entities.length; ++i) {
+    const entity = entities[i];
+    if (!defined(entity.position) || !entity.isShowing) {
+      continue;
+    }
+    const position = entity.position.getValue(time, positionScratch);
+    if (defined(position)) {
+      positions.push(Cartesian3.clone(position));
+    }
+  }
+  if (positions.length === 0) {
+    return undefined;
+  }
+  return BoundingSphere.fromPoints(positions);
+}
+
+export default LayerManagerViewModel;
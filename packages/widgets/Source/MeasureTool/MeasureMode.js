@@ -0,0 +1,39 @@
+/**
+ * {@link MeasureTool} 的测量模式。
+ *
+ * @enum {number}
+ */
+const MeasureMode = {
+  /**
+   * 测量沿各点的直线三维距离以及沿椭球体测地线的地表距离。
+   *
+   * @type {number}
+   * @constant
+   */
+  DISTANCE: 0,
+
+  /**
+   * 测量由各点围成的多边形在椭球体表面上的面积。
+   *
+   * @type {number}
+   * @constant
+   */
+  AREA: 1,
+
+  /**
+   * 测量两点之间的高度差。
+   *
+   * @type {number}
+   * @constant
+   */
+  HEIGHT: 2,
+
+  /**
+   * 测量从第一个点到第二个点的方位角，即从正北方向顺时针测量的测地线起始航向。
+   *
+   * @type {number}
+   * @constant
+   */
+  AZIMUTH: 3,
+};
+export default Object.freeze(MeasureMode);
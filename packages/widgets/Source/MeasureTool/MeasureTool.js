@@ -0,0 +1,143 @@
+import {
+  defined,
+  destroyObject,
+  DeveloperError,
+  getElement,
+} from "@cesium/engine";
+import knockout from "../ThirdParty/knockout.js";
+import MeasureToolViewModel from "./MeasureToolViewModel.js";
+
+function createButton(parent, text, binding) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "cesium-button";
+  button.textContent = text;
+  button.setAttribute("data-bind", binding);
+  parent.appendChild(button);
+  return button;
+}
+
+function createModeButton(parent, text, command, mode) {
+  return createButton(
+    parent,
+    text,
+    `click: ${command}, css: { "cesium-measure-tool-active": mode === _measureMode.${mode} }`,
+  );
+}
+
+/**
+ * 一个用于在场景中测量距离、面积、高度差和方位角的小部件。单击地球、3D Tiles 或模型以添加位置，
+ * 双击或右键单击完成测量。测量结果显示在小部件和场景中，并通过视图模型的事件报告。
+ *
+ * @alias MeasureTool
+ * @constructor
+ *
+ * @param {object} options 具有以下属性的对象：
+ * @param {Element|string} options.container 包含小部件的 DOM 元素或 ID。
+ * @param {Scene} options.scene 要测量的场景。
+ * @param {Ellipsoid} [options.ellipsoid=scene.ellipsoid] 用于计算地表距离、面积和方位角的椭球体。
+ * @param {Color} [options.color=Color.YELLOW] 测量线和点的颜色。
+ *
+ * @example
+ * const measureTool = new Cesium.MeasureTool({
+ *   container: "measureToolContainer",
+ *   scene: viewer.scene,
+ * });
+ * measureTool.viewModel.measurementCompleted.addEventListener(function (measurement) {
+ *   console.log(measurement.surfaceDistance);
+ * });
+ */
+function MeasureTool(options) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options) || !defined(options.container)) {
+    throw new DeveloperError("options.container is required.");
+  }
+  if (!defined(options.scene)) {
+    throw new DeveloperError("options.scene is required.");
+  }
+  //>>includeEnd('debug');
+
+  const container = getElement(options.container);
+
+  const viewModel = new MeasureToolViewModel(options);
+
+  const element = document.createElement("div");
+  element.className = "cesium-measure-tool";
+
+  const buttons = document.createElement("div");
+  buttons.className = "cesium-measure-tool-buttons";
+  createModeButton(buttons, "Distance", "measureDistance", "DISTANCE");
+  createModeButton(buttons, "Area", "measureArea", "AREA");
+  createModeButton(buttons, "Height", "measureHeight", "HEIGHT");
+  createModeButton(buttons, "Bearing", "measureAzimuth", "AZIMUTH");
+  createButton(buttons, "Clear", "click: clear");
+  element.appendChild(buttons);
+
+  const instructions = document.createElement("div");
+  instructions.className = "cesium-measure-tool-instructions";
+  instructions.textContent =
+    "Click to add points. Double-click or right-click to finish.";
+  instructions.setAttribute("data-bind", "visible: isMeasuring");
+  element.appendChild(instructions);
+
+  const result = document.createElement("div");
+  result.className = "cesium-measure-tool-result";
+  result.setAttribute(
+    "data-bind",
+    "visible: resultText.length > 0, text: resultText",
+  );
+  element.appendChild(result);
+
+  container.appendChild(element);
+
+  knockout.applyBindings(viewModel, element);
+
+  this._container = container;
+  this._viewModel = viewModel;
+  this._element = element;
+}
+
+Object.defineProperties(MeasureTool.prototype, {
+  /**
+   * 获取父容器。
+   * @memberof MeasureTool.prototype
+   *
+   * @type {Element}
+   */
+  container: {
+    get: function () {
+      return this._container;
+    },
+  },
+
+  /**
+   * 获取视图模型。
+   * @memberof MeasureTool.prototype
+   *
+   * @type {MeasureToolViewModel}
+   */
+  viewModel: {
+    get: function () {
+      return this._viewModel;
+    },
+  },
+});
+
+/**
+ * @returns {boolean} 如果对象已被销毁则返回 true，否则返回 false。
+ */
+MeasureTool.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * 销毁小部件。如果要从布局中永久移除小部件，则应调用此方法。
+ */
+MeasureTool.prototype.destroy = function () {
+  knockout.cleanNode(this._element);
+  this._container.removeChild(this._element);
+  this._viewModel.destroy();
+
+  return destroyObject(this);
+};
+export default MeasureTool;
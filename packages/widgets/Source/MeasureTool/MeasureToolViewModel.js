@@ -0,0 +1,925 @@
+import {
+  Cartesian2,
+  Cartesian3,
+  Cartographic,
+  Color,
+  defaultValue,
+  defined,
+  destroyObject,
+  DeveloperError,
+  EllipsoidGeodesic,
+  EllipsoidTangentPlane,
+  Event,
+  HorizontalOrigin,
+  LabelCollection,
+  Material,
+  Math as CesiumMath,
+  PointPrimitiveCollection,
+  PolygonPipeline,
+  PolylineCollection,
+  ScreenSpaceEventHandler,
+  ScreenSpaceEventType,
+  VerticalOrigin,
+} from "@cesium/engine";
+import knockout from "../ThirdParty/knockout.js";
+import createCommand from "../createCommand.js";
+import MeasureMode from "./MeasureMode.js";
+
+// The number of positions needed before each mode has a result
+const minimumPositions = [2, 3, 2, 2];
+
+const startCartographicScratch = new Cartographic();
+const endCartographicScratch = new Cartographic();
+const edge0Scratch = new Cartesian3();
+const edge1Scratch = new Cartesian3();
+const crossScratch = new Cartesian3();
+const centerScratch = new Cartesian3();
+const pickedPositionScratch = new Cartesian3();
+
+/**
+ * @typedef {object} MeasureToolViewModel.Measurement
+ *
+ * {@link MeasureToolViewModel} 报告的测量结果。只有与测量模式相关的属性才会被定义。
+ *
+ * @property {MeasureMode} mode 测量模式。
+ * @property {Cartesian3[]} positions 测量使用的位置。
+ * @property {number} [distance] 沿各点的直线三维距离，以米为单位。
+ * @property {number} [surfaceDistance] 沿椭球体测地线的地表距离，以米为单位。对于面积测量，这是多边形的周长。
+ * @property {number} [area] 多边形在椭球体表面上的面积，以平方米为单位。
+ * @property {number} [height] 第二个点相对于第一个点的高度差，以米为单位。
+ * @property {number} [azimuth] 从第一个点到第二个点的方位角，以弧度为单位，从正北方向顺时针测量，范围为 [0, 2π)。
+ */
+
+/**
+ * {@link MeasureTool} 的视图模型。
+ *
+ * @alias MeasureToolViewModel
+ * @constructor
+ *
+ * @param {object} options 具有以下属性的对象：
+ * @param {Scene} options.scene 要测量的场景。
+ * @param {Ellipsoid} [options.ellipsoid=scene.ellipsoid] 用于计算地表距离、面积和方位角的椭球体。
+ * @param {Color} [options.color=Color.YELLOW] 测量线和点的颜色。
+ */
+function MeasureToolViewModel(options) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(options) || !defined(options.scene)) {
+    throw new DeveloperError("options.scene is required.");
+  }
+  //>>includeEnd('debug');
+
+  const scene = options.scene;
+  this._scene = scene;
+  this._ellipsoid = defaultValue(options.ellipsoid, scene.ellipsoid);
+  this._color = Color.clone(defaultValue(options.color, Color.YELLOW));
+
+  this._positions = [];
+  this._floatingPosition = undefined;
+  this._measurement = undefined;
+
+  this._polylines = scene.primitives.add(new PolylineCollection());
+  this._points = scene.primitives.add(new PointPrimitiveCollection());
+  this._labels = scene.primitives.add(new LabelCollection());
+  this._polyline = undefined;
+  this._label = undefined;
+
+  this._eventHandler = new ScreenSpaceEventHandler(scene.canvas);
+
+  this._measurementChanged = new Event();
+  this._measurementCompleted = new Event();
+
+  /**
+   * 获取或设置当前的测量模式。如果当前没有进行测量，则为 undefined。此属性是可观察的。
+   * @type {MeasureMode|undefined}
+   * @default undefined
+   */
+  this.mode = undefined;
+
+  /**
+   * 获取或设置描述当前测量结果的文本。此属性是可观察的。
+   * @type {string}
+   * @default ''
+   */
+  this.resultText = "";
+
+  knockout.track(this, ["mode", "resultText"]);
+
+  const that = this;
+
+  /**
+   * 获取一个值，指示当前是否正在进行测量。此属性是可观察的。
+   * @type {boolean}
+   */
+  this.isMeasuring = undefined;
+  knockout.defineProperty(this, "isMeasuring", function () {
+    return defined(that.mode);
+  });
+
+  this._measureDistance = createCommand(function () {
+    that.startMeasurement(MeasureMode.DISTANCE);
+  });
+
+  this._measureArea = createCommand(function () {
+    that.startMeasurement(MeasureMode.AREA);
+  });
+
+  this._measureHeight = createCommand(function () {
+    that.startMeasurement(MeasureMode.HEIGHT);
+  });
+
+  this._measureAzimuth = createCommand(function () {
+    that.startMeasurement(MeasureMode.AZIMUTH);
+  });
+
+  this._finish = createCommand(function () {
+    that.finishMeasurement();
+  });
+
+  this._clear = createCommand(function () {
+    that.clearMeasurement();
+  });
+
+  //Used by knockout
+  this._measureMode = MeasureMode;
+}
+
+Object.defineProperties(MeasureToolViewModel.prototype, {
+  /**
+   * 获取场景。
+   * @memberof MeasureToolViewModel.prototype
+   * @type {Scene}
+   * @readonly
+   */
+  scene: {
+    get: function () {
+      return this._scene;
+    },
+  },
+
+  /**
+   * 获取用于计算地表距离、面积和方位角的椭球体。
+   * @memberof MeasureToolViewModel.prototype
+   * @type {Ellipsoid}
+   * @readonly
+   */
+  ellipsoid: {
+    get: function () {
+      return this._ellipsoid;
+    },
+  },
+
+  /**
+   * 获取当前测量中已添加的位置。
+   * @memberof MeasureToolViewModel.prototype
+   * @type {Cartesian3[]}
+   * @readonly
+   */
+  positions: {
+    get: function () {
+      return this._positions;
+    },
+  },
+
+  /**
+   * 获取最新的测量结果，如果还没有足够的位置，则为 undefined。
+   * @memberof MeasureToolViewModel.prototype
+   * @type {MeasureToolViewModel.Measurement|undefined}
+   * @readonly
+   */
+  measurement: {
+    get: function () {
+      return this._measurement;
+    },
+  },
+
+  /**
+   * 获取在测量结果发生变化时触发的事件，包括鼠标移动时的实时结果。
+   * 事件监听器会接收到一个 {@link MeasureToolViewModel.Measurement}。
+   * @memberof MeasureToolViewModel.prototype
+   * @type {Event}
+   * @readonly
+   */
+  measurementChanged: {
+    get: function () {
+      return this._measurementChanged;
+    },
+  },
+
+  /**
+   * 获取在测量完成时触发的事件。事件监听器会接收到一个 {@link MeasureToolViewModel.Measurement}。
+   * @memberof MeasureToolViewModel.prototype
+   * @type {Event}
+   * @readonly
+   */
+  measurementCompleted: {
+    get: function () {
+      return this._measurementCompleted;
+    },
+  },
+
+  /**
+   * 获取开始测量距离的命令。
+   * @memberof MeasureToolViewModel.prototype
+   * @type {Command}
+   */
+  measureDistance: {
+    get: function () {
+      return this._measureDistance;
+    },
+  },
+
+  /**
+   * 获取开始测量面积的命令。
+   * @memberof MeasureToolViewModel.prototype
+   * @type {Command}
+   */
+  measureArea: {
+    get: function () {
+      return this._measureArea;
+    },
+  },
+
+  /**
+   * 获取开始测量高度差的命令。
+   * @memberof MeasureToolViewModel.prototype
+   * @type {Command}
+   */
+  measureHeight: {
+    get: function () {
+      return this._measureHeight;
+    },
+  },
+
+  /**
+   * 获取开始测量方位角的命令。
+   * @memberof MeasureToolViewModel.prototype
+   * @type {Command}
+   */
+  measureAzimuth: {
+    get: function () {
+      return this._measureAzimuth;
+    },
+  },
+
+  /**
+   * 获取完成当前测量的命令。
+   * @memberof MeasureToolViewModel.prototype
+   * @type {Command}
+   */
+  finish: {
+    get: function () {
+      return this._finish;
+    },
+  },
+
+  /**
+   * 获取清除当前测量的命令。
+   * @memberof MeasureToolViewModel.prototype
+   * @type {Command}
+   */
+  clear: {
+    get: function () {
+      return this._clear;
+    },
+  },
+});
+
+/**
+ * 开始新的测量，清除之前的测量。单击场景中的地球、3D Tiles 或模型以添加位置；
+ * 双击或右键单击完成测量。高度和方位角测量在添加两个位置后自动完成。
+ *
+ * @param {MeasureMode} mode 测量模式。
+ */
+MeasureToolViewModel.prototype.startMeasurement = function (mode) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(minimumPositions[mode])) {
+    throw new DeveloperError("mode must be a valid MeasureMode.");
+  }
+  //>>includeEnd('debug');
+
+  this.clearMeasurement();
+  this.mode = mode;
+
+  const that = this;
+  const eventHandler = this._eventHandler;
+  eventHandler.setInputAction(function (e) {
+    const position = that.pickPosition(e.position, pickedPositionScratch);
+    if (defined(position)) {
+      that.addPosition(position);
+    }
+  }, ScreenSpaceEventType.LEFT_CLICK);
+  eventHandler.setInputAction(function (e) {
+    that._floatingPosition = that.pickPosition(
+      e.endPosition,
+      that._floatingPosition,
+    );
+    update(that);
+  }, ScreenSpaceEventType.MOUSE_MOVE);
+  eventHandler.setInputAction(function () {
+    that.finishMeasurement();
+  }, ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+  eventHandler.setInputAction(function () {
+    that.finishMeasurement();
+  }, ScreenSpaceEventType.RIGHT_CLICK);
+};
+
+/**
+ * 将位置添加到当前测量中。
+ *
+ * @param {Cartesian3} position 要添加的位置。
+ *
+ * @exception {DeveloperError} 当前没有进行测量。
+ */
+MeasureToolViewModel.prototype.addPosition = function (position) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(position)) {
+    throw new DeveloperError("position is required.");
+  }
+  if (!this.isMeasuring) {
+    throw new DeveloperError("A measurement must be started first.");
+  }
+  //>>includeEnd('debug');
+
+  const positions = this._positions;
+
+  // Both clicks of a double click are reported before it finishes the measurement
+  const last = positions[positions.length - 1];
+  if (
+    defined(last) &&
+    Cartesian3.equalsEpsilon(position, last, 0.0, CesiumMath.EPSILON3)
+  ) {
+    return;
+  }
+
+  positions.push(Cartesian3.clone(position));
+  this._points.add({
+    position: position,
+    color: this._color,
+    pixelSize: 8,
+    disableDepthTestDistance: Number.POSITIVE_INFINITY,
+  });
+
+  const mode = this.mode;
+  if (
+    (mode === MeasureMode.HEIGHT || mode === MeasureMode.AZIMUTH) &&
+    positions.length === 2
+  ) {
+    this.finishMeasurement();
+    return;
+  }
+
+  update(this);
+};
+
+/**
+ * 完成当前测量，并在位置足够时触发 {@link MeasureToolViewModel#measurementCompleted}。
+ * 测量结果将保持显示，直到开始新的测量或清除测量。
+ */
+MeasureToolViewModel.prototype.finishMeasurement = function () {
+  if (!this.isMeasuring) {
+    return;
+  }
+
+  removeInputActions(this._eventHandler);
+  this._floatingPosition = undefined;
+  update(this);
+
+  const measurement = this._measurement;
+  this.mode = undefined;
+  if (defined(measurement)) {
+    this._measurementCompleted.raiseEvent(measurement);
+  }
+};
+
+/**
+ * 取消当前测量并移除所有测量图形。
+ */
+MeasureToolViewModel.prototype.clearMeasurement = function () {
+  removeInputActions(this._eventHandler);
+  this.mode = undefined;
+  this.resultText = "";
+  this._positions = [];
+  this._floatingPosition = undefined;
+  this._measurement = undefined;
+
+  this._polylines.removeAll();
+  this._points.removeAll();
+  this._labels.removeAll();
+  this._polyline = undefined;
+  this._label = undefined;
+  this._scene.requestRender();
+};
+
+/**
+ * 获取给定窗口坐标处的世界坐标位置。如果场景支持，将拾取 3D Tiles、模型或地形上的位置；
+ * 否则将拾取地球或椭球体上的位置。
+ *
+ * @param {Cartesian2} windowPosition 窗口坐标。
+ * @param {Cartesian3} [result] 存储结果的对象。
+ * @returns {Cartesian3|undefined} 拾取到的位置，如果未拾取到任何内容，则为 undefined。
+ */
+MeasureToolViewModel.prototype.pickPosition = function (
+  windowPosition,
+  result,
+) {
+  const scene = this._scene;
+  if (scene.pickPositionSupported) {
+    const position = scene.pickPosition(windowPosition, result);
+    if (defined(position)) {
+      return position;
+    }
+  }
+
+  const camera = scene.camera;
+  if (defined(scene.globe)) {
+    const ray = camera.getPickRay(windowPosition);
+    if (defined(ray)) {
+      const position = scene.globe.pick(ray, scene, result);
+      if (defined(position)) {
+        return position;
+      }
+    }
+  }
+
+  return camera.pickEllipsoid(windowPosition, this._ellipsoid, result);
+};
+
+/**
+ * @returns {boolean} 如果对象已被销毁则返回 true，否则返回 false。
+ */
+MeasureToolViewModel.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * 销毁视图模型，并从场景中移除测量图形。
+ */
+MeasureToolViewModel.prototype.destroy = function () {
+  this._eventHandler.destroy();
+
+  const primitives = this._scene.primitives;
+  if (!primitives.isDestroyed()) {
+    primitives.remove(this._polylines);
+    primitives.remove(this._points);
+    primitives.remove(this._labels);
+  }
+
+  return destroyObject(this);
+};
+
+function removeInputActions(eventHandler) {
+  eventHandler.removeInputAction(ScreenSpaceEventType.LEFT_CLICK);
+  eventHandler.removeInputAction(ScreenSpaceEventType.MOUSE_MOVE);
+  eventHandler.removeInputAction(ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+  eventHandler.removeInputAction(ScreenSpaceEventType.RIGHT_CLICK);
+}
+
+function update(viewModel) {
+  const mode = viewModel.mode;
+  let positions = viewModel._positions;
+  if (defined(viewModel._floatingPosition) && positions.length > 0) {
+    positions = positions.concat(Cartesian3.clone(viewModel._floatingPosition));
+  }
+
+  const measurement =
+    positions.length >= minimumPositions[mode]
+      ? MeasureToolViewModel.computeMeasurement(
+          mode,
+          positions,
+          viewModel._ellipsoid,
+        )
+      : undefined;
+
+  viewModel._measurement = measurement;
+  viewModel.resultText = defined(measurement)
+    ? MeasureToolViewModel.formatMeasurement(measurement)
+    : "";
+
+  updateGraphics(viewModel, positions, measurement);
+  viewModel._scene.requestRender();
+
+  if (defined(measurement)) {
+    viewModel._measurementChanged.raiseEvent(measurement);
+  }
+}
+
+function updateGraphics(viewModel, positions, measurement) {
+  if (defined(viewModel._label)) {
+    viewModel._label.show = defined(measurement);
+  }
+  if (defined(viewModel._polyline)) {
+    viewModel._polyline.show = positions.length >= 2;
+  }
+  if (positions.length < 2) {
+    return;
+  }
+
+  let polyline = viewModel._polyline;
+  if (!defined(polyline)) {
+    polyline = viewModel._polyline = viewModel._polylines.add({
+      width: 2.0,
+      material: Material.fromType(Material.ColorType, {
+        color: viewModel._color,
+      }),
+    });
+  }
+  polyline.positions = positions;
+  polyline.loop = viewModel.mode === MeasureMode.AREA;
+
+  if (!defined(measurement)) {
+    return;
+  }
+
+  let label = viewModel._label;
+  if (!defined(label)) {
+    label = viewModel._label = viewModel._labels.add({
+      font: "14px sans-serif",
+      showBackground: true,
+      horizontalOrigin: HorizontalOrigin.LEFT,
+      verticalOrigin: VerticalOrigin.BOTTOM,
+      pixelOffset: new Cartesian2(10.0, -10.0),
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    });
+  }
+  label.text = viewModel.resultText;
+
+  if (measurement.mode === MeasureMode.AREA) {
+    const center = Cartesian3.clone(Cartesian3.ZERO, centerScratch);
+    for (let i = 0; i < positions.length; ++i) {
+      Cartesian3.add(center, positions[i], center);
+    }
+    label.position = Cartesian3.divideByScalar(
+      center,
+      positions.length,
+      center,
+    );
+  } else {
+    label.position = positions[positions.length - 1];
+  }
+}
+
+function computeSegmentSurfaceDistance(start, end, ellipsoid) {
+  const startCartographic = ellipsoid.cartesianToCartographic(
+    start,
+    startCartographicScratch,
+  );
+  const endCartographic = ellipsoid.cartesianToCartographic(
+    end,
+    endCartographicScratch,
+  );
+  if (
+    !defined(startCartographic) ||
+    !defined(endCartographic) ||
+    (CesiumMath.equalsEpsilon(
+      startCartographic.longitude,
+      endCartographic.longitude,
+      CesiumMath.EPSILON12,
+    ) &&
+      CesiumMath.equalsEpsilon(
+        startCartographic.latitude,
+        endCartographic.latitude,
+        CesiumMath.EPSILON12,
+      ))
+  ) {
+    return 0.0;
+  }
+
+  const geodesic = new EllipsoidGeodesic(
+    startCartographic,
+    endCartographic,
+    ellipsoid,
+  );
+  return geodesic.surfaceDistance;
+}
+
+/**
+ * 计算沿各点的直线三维距离之和。
+ *
+ * @param {Cartesian3[]} positions 位置。
+ * @returns {number} 距离，以米为单位。
+ */
+MeasureToolViewModel.computeDistance = function (positions) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(positions)) {
+    throw new DeveloperError("positions is required.");
+  }
+  //>>includeEnd('debug');
+
+  let distance = 0.0;
+  for (let i = 1; i < positions.length; ++i) {
+    distance += Cartesian3.distance(positions[i - 1], positions[i]);
+  }
+  return distance;
+};
+
+/**
+ * 计算沿椭球体上连接各点的测地线的地表距离之和，忽略各点的高度。
+ *
+ * @param {Cartesian3[]} positions 位置。
+ * @param {Ellipsoid} ellipsoid 椭球体。
+ * @returns {number} 地表距离，以米为单位。
+ */
+MeasureToolViewModel.computeSurfaceDistance = function (positions, ellipsoid) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(positions)) {
+    throw new DeveloperError("positions is required.");
+  }
+  if (!defined(ellipsoid)) {
+    throw new DeveloperError("ellipsoid is required.");
+  }
+  //>>includeEnd('debug');
+
+  let distance = 0.0;
+  for (let i = 1; i < positions.length; ++i) {
+    distance += computeSegmentSurfaceDistance(
+      positions[i - 1],
+      positions[i],
+      ellipsoid,
+    );
+  }
+  return distance;
+};
+
+/**
+ * 计算由各点围成的多边形在椭球体表面上的面积。多边形被三角化并细分，使其贴合椭球体表面。
+ *
+ * @param {Cartesian3[]} positions 多边形的顶点。
+ * @param {Ellipsoid} ellipsoid 椭球体。
+ * @returns {number} 面积，以平方米为单位。
+ */
+MeasureToolViewModel.computeArea = function (positions, ellipsoid) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(positions)) {
+    throw new DeveloperError("positions is required.");
+  }
+  if (!defined(ellipsoid)) {
+    throw new DeveloperError("ellipsoid is required.");
+  }
+  //>>includeEnd('debug');
+
+  if (positions.length < 3) {
+    return 0.0;
+  }
+
+  const surfacePositions = [];
+  for (let i = 0; i < positions.length; ++i) {
+    const surfacePosition = ellipsoid.scaleToGeodeticSurface(positions[i]);
+    if (defined(surfacePosition)) {
+      surfacePositions.push(surfacePosition);
+    }
+  }
+  if (surfacePositions.length < 3) {
+    return 0.0;
+  }
+
+  const tangentPlane = EllipsoidTangentPlane.fromPoints(
+    surfacePositions,
+    ellipsoid,
+  );
+  const indices = PolygonPipeline.triangulate(
+    tangentPlane.projectPointsOntoPlane(surfacePositions),
+  );
+  if (indices.length < 3) {
+    return 0.0;
+  }
+
+  const geometry = PolygonPipeline.computeSubdivision(
+    ellipsoid,
+    surfacePositions,
+    indices,
+  );
+  const values = PolygonPipeline.scaleToGeodeticHeight(
+    geometry.attributes.position.values,
+    0.0,
+    ellipsoid,
+  );
+  const subdividedIndices = geometry.indices;
+
+  let area = 0.0;
+  for (let i = 0; i < subdividedIndices.length; i += 3) {
+    const i0 = subdividedIndices[i] * 3;
+    const i1 = subdividedIndices[i + 1] * 3;
+    const i2 = subdividedIndices[i + 2] * 3;
+    const edge0 = Cartesian3.fromElements(
+      values[i1] - values[i0],
+      values[i1 + 1] - values[i0 + 1],
+      values[i1 + 2] - values[i0 + 2],
+      edge0Scratch,
+    );
+    const edge1 = Cartesian3.fromElements(
+      values[i2] - values[i0],
+      values[i2 + 1] - values[i0 + 1],
+      values[i2 + 2] - values[i0 + 2],
+      edge1Scratch,
+    );
+    area +=
+      0.5 * Cartesian3.magnitude(Cartesian3.cross(edge0, edge1, crossScratch));
+  }
+  return area;
+};
+
+/**
+ * 计算终点相对于起点的高度差。
+ *
+ * @param {Cartesian3} start 起点。
+ * @param {Cartesian3} end 终点。
+ * @param {Ellipsoid} ellipsoid 用于计算高度的椭球体。
+ * @returns {number} 高度差，以米为单位。如果终点高于起点，则为正值。
+ */
+MeasureToolViewModel.computeHeightDifference = function (
+  start,
+  end,
+  ellipsoid,
+) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(start)) {
+    throw new DeveloperError("start is required.");
+  }
+  if (!defined(end)) {
+    throw new DeveloperError("end is required.");
+  }
+  if (!defined(ellipsoid)) {
+    throw new DeveloperError("ellipsoid is required.");
+  }
+  //>>includeEnd('debug');
+
+  const startCartographic = ellipsoid.cartesianToCartographic(
+    start,
+    startCartographicScratch,
+  );
+  const endCartographic = ellipsoid.cartesianToCartographic(
+    end,
+    endCartographicScratch,
+  );
+  if (!defined(startCartographic) || !defined(endCartographic)) {
+    return 0.0;
+  }
+  return endCartographic.height - startCartographic.height;
+};
+
+/**
+ * 计算从起点到终点的方位角，即椭球体上测地线的起始航向。
+ *
+ * @param {Cartesian3} start 起点。
+ * @param {Cartesian3} end 终点。
+ * @param {Ellipsoid} ellipsoid 椭球体。
+ * @returns {number} 方位角，以弧度为单位，从正北方向顺时针测量，范围为 [0, 2π)。如果两点重合，则为 0。
+ */
+MeasureToolViewModel.computeAzimuth = function (start, end, ellipsoid) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(start)) {
+    throw new DeveloperError("start is required.");
+  }
+  if (!defined(end)) {
+    throw new DeveloperError("end is required.");
+  }
+  if (!defined(ellipsoid)) {
+    throw new DeveloperError("ellipsoid is required.");
+  }
+  //>>includeEnd('debug');
+
+  if (computeSegmentSurfaceDistance(start, end, ellipsoid) === 0.0) {
+    return 0.0;
+  }
+
+  const geodesic = new EllipsoidGeodesic(
+    ellipsoid.cartesianToCartographic(start, startCartographicScratch),
+    ellipsoid.cartesianToCartographic(end, endCartographicScratch),
+    ellipsoid,
+  );
+  return CesiumMath.zeroToTwoPi(geodesic.startHeading);
+};
+
+/**
+ * 计算给定模式下各点的测量结果。
+ *
+ * @param {MeasureMode} mode 测量模式。
+ * @param {Cartesian3[]} positions 位置。
+ * @param {Ellipsoid} ellipsoid 椭球体。
+ * @returns {MeasureToolViewModel.Measurement} 测量结果。
+ */
+MeasureToolViewModel.computeMeasurement = function (
+  mode,
+  positions,
+  ellipsoid,
+) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(minimumPositions[mode])) {
+    throw new DeveloperError("mode must be a valid MeasureMode.");
+  }
+  if (!defined(positions)) {
+    throw new DeveloperError("positions is required.");
+  }
+  if (!defined(ellipsoid)) {
+    throw new DeveloperError("ellipsoid is required.");
+  }
+  //>>includeEnd('debug');
+
+  const measurement = {
+    mode: mode,
+    positions: positions.slice(),
+  };
+
+  const first = positions[0];
+  const last = positions[positions.length - 1];
+  switch (mode) {
+    case MeasureMode.DISTANCE:
+      measurement.distance = MeasureToolViewModel.computeDistance(positions);
+      measurement.surfaceDistance = MeasureToolViewModel.computeSurfaceDistance(
+        positions,
+        ellipsoid,
+      );
+      break;
+    case MeasureMode.AREA:
+      measurement.area = MeasureToolViewModel.computeArea(positions, ellipsoid);
+      measurement.surfaceDistance = MeasureToolViewModel.computeSurfaceDistance(
+        positions.concat(first),
+        ellipsoid,
+      );
+      break;
+    case MeasureMode.HEIGHT:
+      measurement.height = MeasureToolViewModel.computeHeightDifference(
+        first,
+        last,
+        ellipsoid,
+      );
+      measurement.distance = Cartesian3.distance(first, last);
+      measurement.surfaceDistance = computeSegmentSurfaceDistance(
+        first,
+        last,
+        ellipsoid,
+      );
+      break;
+    case MeasureMode.AZIMUTH:
+      measurement.azimuth = MeasureToolViewModel.computeAzimuth(
+        first,
+        last,
+        ellipsoid,
+      );
+      measurement.surfaceDistance = computeSegmentSurfaceDistance(
+        first,
+        last,
+        ellipsoid,
+      );
+      break;
+  }
+
+  return measurement;
+};
+
+function formatDistance(meters) {
+  if (Math.abs(meters) >= 1000.0) {
+    return `${(meters / 1000.0).toFixed(2)} km`;
+  }
+  return `${meters.toFixed(2)} m`;
+}
+
+function formatArea(squareMeters) {
+  if (squareMeters >= 1000000.0) {
+    return `${(squareMeters / 1000000.0).toFixed(2)} km²`;
+  }
+  return `${squareMeters.toFixed(2)} m²`;
+}
+
+/**
+ * 将测量结果格式化为可读的文本，每个值占一行。
+ *
+ * @param {MeasureToolViewModel.Measurement} measurement 测量结果。
+ * @returns {string} 格式化后的文本。
+ */
+MeasureToolViewModel.formatMeasurement = function (measurement) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(measurement)) {
+    throw new DeveloperError("measurement is required.");
+  }
+  //>>includeEnd('debug');
+
+  const lines = [];
+  switch (measurement.mode) {
+    case MeasureMode.DISTANCE:
+      lines.push(`Distance: ${formatDistance(measurement.distance)}`);
+      lines.push(`Ground: ${formatDistance(measurement.surfaceDistance)}`);
+      break;
+    case MeasureMode.AREA:
+      lines.push(`Area: ${formatArea(measurement.area)}`);
+      lines.push(`Perimeter: ${formatDistance(measurement.surfaceDistance)}`);
+      break;
+    case MeasureMode.HEIGHT:
+      lines.push(
+        `Height: ${measurement.height >= 0.0 ? "+" : ""}${formatDistance(
+          measurement.height,
+        )}`,
+      );
+      lines.push(`Distance: ${formatDistance(measurement.distance)}`);
+      break;
+    case MeasureMode.AZIMUTH:
+      lines.push(
+        `Bearing: ${CesiumMath.toDegrees(measurement.azimuth).toFixed(2)}°`,
+      );
+      lines.push(`Ground: ${formatDistance(measurement.surfaceDistance)}`);
+      break;
+  }
+  return lines.join("\n");
+};
+
+export default MeasureToolViewModel;
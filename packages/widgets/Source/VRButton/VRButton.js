@@ -21,10 +21,11 @@ const exitVRPath =
  * @param {Element|string} container 包含小部件的 DOM 元素或 ID.
  * @param {Scene} scene The scene.
  * @param {Element|string} [vrElement=document.body] 要放入 VR 模式的元素或 ID.
+ * @param {WebXRSessionManager} [webXRSessionManager] 用于 WebXR 会话的管理器. 如果未定义, 则创建一个调用 {@link Scene#render} 的管理器.
  *
  * @exception {DeveloperError} 文档中不存在 ID 为“container”的元素.
  */
-function VRButton(container, scene, vrElement) {
+function VRButton(container, scene, vrElement, webXRSessionManager) {
   //>>includeStart('debug', pragmas.debug);
   if (!defined(container)) {
     throw new DeveloperError("container is required.");
@@ -36,7 +37,11 @@ function VRButton(container, scene, vrElement) {
 
   container = getElement(container);
 
-  const viewModel = new VRButtonViewModel(scene, vrElement);
+  const viewModel = new VRButtonViewModel(
+    scene,
+    vrElement,
+    webXRSessionManager,
+  );
 
   viewModel._exitVRPath = exitVRPath;
   viewModel._enterVRPath = enterVRPath;
@@ -3,10 +3,12 @@ import {
   defined,
   destroyObject,
   DeveloperError,
+  Event,
   EventHelper,
   Fullscreen,
   getElement,
   OrthographicFrustum,
+  WebXRSessionManager,
 } from "@cesium/engine";
 import knockout from "../ThirdParty/knockout.js";
 import NoSleep from "nosleep.js";
@@ -44,11 +46,30 @@ function unlockScreen() {
   }
 }
 
+function toggleWebXR(viewModel) {
+  const webXRSessionManager = viewModel._webXRSessionManager;
+  if (webXRSessionManager.isPresenting) {
+    webXRSessionManager.endSession();
+    return;
+  }
+
+  webXRSessionManager.requestSession().catch(function (error) {
+    if (!viewModel.isDestroyed()) {
+      viewModel._sessionError.raiseEvent(error);
+    }
+  });
+}
+
 function toggleVR(viewModel, scene, isVRMode, isOrthographic) {
   if (isOrthographic()) {
     return;
   }
 
+  if (viewModel._isWebXRSupported) {
+    toggleWebXR(viewModel);
+    return;
+  }
+
   if (isVRMode()) {
     scene.useWebVR = false;
     if (viewModel._locked) {
@@ -73,13 +94,18 @@ function toggleVR(viewModel, scene, isVRMode, isOrthographic) {
 
 /**
  *  {@link VRButton} 视图模型.
+ * <p>
+ * 如果浏览器和设备支持沉浸式 WebXR 会话，则使用 {@link WebXRSessionManager} 在头戴设备中渲染场景；
+ * 否则回退为全屏的左右分屏立体渲染.
+ * </p>
  * @alias VRButtonViewModel
  * @constructor
  *
  * @param {Scene} scene The scene.
  * @param {Element|string} [vrElement=document.body] 要放入 VR 模式的元素或 ID.
+ * @param {WebXRSessionManager} [webXRSessionManager] 用于 WebXR 会话的管理器. 如果未定义, 则创建一个调用 {@link Scene#render} 的管理器.
  */
-function VRButtonViewModel(scene, vrElement) {
+function VRButtonViewModel(scene, vrElement, webXRSessionManager) {
   //>>includeStart('debug', pragmas.debug);
   if (!defined(scene)) {
     throw new DeveloperError("scene is required.");
@@ -88,8 +114,13 @@ function VRButtonViewModel(scene, vrElement) {
 
   const that = this;
 
-  const isEnabled = knockout.observable(Fullscreen.enabled);
+  const isEnabled = knockout.observable(true);
   const isVRMode = knockout.observable(false);
+  const isWebXRSupported = knockout.observable(false);
+
+  function isAvailable() {
+    return isEnabled() && (Fullscreen.enabled || isWebXRSupported());
+  }
 
   /**
    * 获取 VR 模式是否处于活动状态.
@@ -104,18 +135,19 @@ function VRButtonViewModel(scene, vrElement) {
   });
 
   /**
-   * 获取或设置是否应启用 VR 功能.
+   * 获取或设置是否应启用 VR 功能. 仅在支持 WebXR 或全屏时可以启用.
    *
    * @type {boolean}
    * @see Fullscreen.enabled
+   * @see WebXRSessionManager.isSupported
    */
   this.isVREnabled = undefined;
   knockout.defineProperty(this, "isVREnabled", {
     get: function () {
-      return isEnabled();
+      return isAvailable();
     },
     set: function (value) {
-      isEnabled(value && Fullscreen.enabled);
+      isEnabled(value);
     },
   });
 
@@ -126,7 +158,7 @@ function VRButtonViewModel(scene, vrElement) {
    */
   this.tooltip = undefined;
   knockout.defineProperty(this, "tooltip", function () {
-    if (!isEnabled()) {
+    if (!isAvailable()) {
       return "VR mode is unavailable";
     }
     return isVRMode() ? "Exit VR mode" : "Enter VR mode";
@@ -141,11 +173,36 @@ function VRButtonViewModel(scene, vrElement) {
     },
   });
 
+  this._sessionError = new Event();
+
   this._eventHelper = new EventHelper();
   this._eventHelper.add(scene.preRender, function () {
     isOrthographic(scene.camera.frustum instanceof OrthographicFrustum);
   });
 
+  this._isWebXRSupported = undefined;
+  knockout.defineProperty(this, "_isWebXRSupported", {
+    get: function () {
+      return isWebXRSupported();
+    },
+  });
+
+  this._ownsWebXRSessionManager = !defined(webXRSessionManager);
+  this._webXRSessionManager = defined(webXRSessionManager)
+    ? webXRSessionManager
+    : new WebXRSessionManager(scene);
+  this._eventHelper.add(this._webXRSessionManager.sessionStarted, function () {
+    isVRMode(true);
+  });
+  this._eventHelper.add(this._webXRSessionManager.sessionEnded, function () {
+    isVRMode(false);
+  });
+  WebXRSessionManager.isSupported().then(function (supported) {
+    if (!that.isDestroyed()) {
+      isWebXRSupported(supported);
+    }
+  });
+
   this._locked = false;
   this._noSleep = new NoSleep();
 
@@ -159,7 +216,11 @@ function VRButtonViewModel(scene, vrElement) {
   this._vrElement = defaultValue(getElement(vrElement), document.body);
 
   this._callback = function () {
-    if (!Fullscreen.fullscreen && isVRMode()) {
+    if (
+      !Fullscreen.fullscreen &&
+      isVRMode() &&
+      !that._webXRSessionManager.isPresenting
+    ) {
       scene.useWebVR = false;
       if (that._locked) {
         unlockScreen();
@@ -195,6 +256,32 @@ Object.defineProperties(VRButtonViewModel.prototype, {
     },
   },
 
+  /**
+   * 获取用于 WebXR 会话的管理器.
+   * @memberof VRButtonViewModel.prototype
+   *
+   * @type {WebXRSessionManager}
+   * @readonly
+   */
+  webXRSessionManager: {
+    get: function () {
+      return this._webXRSessionManager;
+    },
+  },
+
+  /**
+   * 获取无法启动 WebXR 会话时触发的事件. 事件监听器会接收错误.
+   * @memberof VRButtonViewModel.prototype
+   *
+   * @type {Event}
+   * @readonly
+   */
+  sessionError: {
+    get: function () {
+      return this._sessionError;
+    },
+  },
+
   /**
    * 获取切换 VR 模式的命令.
    * @memberof VRButtonViewModel.prototype
@@ -220,6 +307,9 @@ VRButtonViewModel.prototype.isDestroyed = function () {
  */
 VRButtonViewModel.prototype.destroy = function () {
   this._eventHelper.removeAll();
+  if (this._ownsWebXRSessionManager) {
+    this._webXRSessionManager.destroy();
+  }
   document.removeEventListener(Fullscreen.changeEventName, this._callback);
   destroyObject(this);
 };
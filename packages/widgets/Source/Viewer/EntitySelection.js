@@ -0,0 +1,187 @@
+import { Check, defined, Event } from "@cesium/engine";
+
+/**
+ * 一组选中的实体，例如 {@link Viewer#selectedEntities}。每个实体在集合中只出现一次。
+ * 表示同一个 {@link Cesium3DTileFeature} 的实体（即具有相同 <code>feature</code> 属性的实体）被视为同一个实体。
+ *
+ * @alias EntitySelection
+ * @constructor
+ *
+ * @example
+ * viewer.selectedEntities.changed.addEventListener(function (selection, added, removed) {
+ *   console.log(`${selection.length} entities selected`);
+ * });
+ */
+function EntitySelection() {
+  this._entities = [];
+  this._changed = new Event();
+}
+
+Object.defineProperties(EntitySelection.prototype, {
+  /**
+   * 获取选中实体的数量。
+   * @memberof EntitySelection.prototype
+   * @type {number}
+   * @readonly
+   */
+  length: {
+    get: function () {
+      return this._entities.length;
+    },
+  },
+
+  /**
+   * 获取选中实体的数组，按照它们被选中的顺序排列。不应修改此数组。
+   * @memberof EntitySelection.prototype
+   * @type {Entity[]}
+   * @readonly
+   */
+  values: {
+    get: function () {
+      return this._entities;
+    },
+  },
+
+  /**
+   * 获取在选择更改时引发的事件。事件监听器接收此选择、添加的实体数组和移除的实体数组。
+   * @memberof EntitySelection.prototype
+   * @type {Event<EntitySelection.ChangedCallback>}
+   * @readonly
+   */
+  changed: {
+    get: function () {
+      return this._changed;
+    },
+  },
+});
+
+function indexOfEntity(entities, entity) {
+  const feature = entity.feature;
+  for (let i = 0; i < entities.length; ++i) {
+    const selectedEntity = entities[i];
+    if (
+      selectedEntity === entity ||
+      (defined(feature) && selectedEntity.feature === feature)
+    ) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 确定实体是否被选中。
+ *
+ * @param {Entity} entity 实体。
+ * @returns {boolean} 如果实体被选中，则为 <code>true</code>；否则为 <code>false</code>。
+ */
+EntitySelection.prototype.contains = function (entity) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("entity", entity);
+  //>>includeEnd('debug');
+
+  return indexOfEntity(this._entities, entity) !== -1;
+};
+
+/**
+ * 将实体添加到选择中。
+ *
+ * @param {Entity} entity 要添加的实体。
+ * @returns {boolean} 如果实体被添加，则为 <code>true</code>；如果它已经被选中，则为 <code>false</code>。
+ */
+EntitySelection.prototype.add = function (entity) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("entity", entity);
+  //>>includeEnd('debug');
+
+  if (this.contains(entity)) {
+    return false;
+  }
+  this._entities.push(entity);
+  this._changed.raiseEvent(this, [entity], []);
+  return true;
+};
+
+/**
+ * 从选择中移除实体。
+ *
+ * @param {Entity} entity 要移除的实体。
+ * @returns {boolean} 如果实体被移除，则为 <code>true</code>；如果它没有被选中，则为 <code>false</code>。
+ */
+EntitySelection.prototype.remove = function (entity) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("entity", entity);
+  //>>includeEnd('debug');
+
+  const index = indexOfEntity(this._entities, entity);
+  if (index === -1) {
+    return false;
+  }
+  const removed = this._entities.splice(index, 1);
+  this._changed.raiseEvent(this, [], removed);
+  return true;
+};
+
+/**
+ * 如果实体未被选中，则将其添加到选择中；否则将其从选择中移除。
+ *
+ * @param {Entity} entity 实体。
+ * @returns {boolean} 如果实体现在被选中，则为 <code>true</code>；否则为 <code>false</code>。
+ */
+EntitySelection.prototype.toggle = function (entity) {
+  if (this.remove(entity)) {
+    return false;
+  }
+  return this.add(entity);
+};
+
+/**
+ * 用给定的实体替换选择，只引发一次 {@link EntitySelection#changed} 事件。
+ *
+ * @param {Entity[]} entities 要选择的实体。
+ */
+EntitySelection.prototype.set = function (entities) {
+  //>>includeStart('debug', pragmas.debug);
+  Check.defined("entities", entities);
+  //>>includeEnd('debug');
+
+  const previous = this._entities;
+  const selected = [];
+  for (let i = 0; i < entities.length; ++i) {
+    const entity = entities[i];
+    if (indexOfEntity(selected, entity) === -1) {
+      // Keep the previously selected entity for the same feature
+      const index = indexOfEntity(previous, entity);
+      selected.push(index === -1 ? entity : previous[index]);
+    }
+  }
+
+  const added = selected.filter(function (entity) {
+    return previous.indexOf(entity) === -1;
+  });
+  const removed = previous.filter(function (entity) {
+    return selected.indexOf(entity) === -1;
+  });
+
+  this._entities = selected;
+  if (added.length > 0 || removed.length > 0) {
+    this._changed.raiseEvent(this, added, removed);
+  }
+};
+
+/**
+ * 从选择中移除所有实体。
+ */
+EntitySelection.prototype.removeAll = function () {
+  this.set([]);
+};
+
+/**
+ * 当 {@link EntitySelection} 更改时调用的函数。
+ * @callback EntitySelection.ChangedCallback
+ *
+ * @param {EntitySelection} selection 更改的选择。
+ * @param {Entity[]} added 添加到选择中的实体。
+ * @param {Entity[]} removed 从选择中移除的实体。
+ */
+export default EntitySelection;
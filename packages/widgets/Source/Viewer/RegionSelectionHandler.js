@@ -0,0 +1,173 @@
+import {
+  Cartesian2,
+  defined,
+  destroyObject,
+  ScreenSpaceEventHandler,
+  ScreenSpaceEventType,
+} from "@cesium/engine";
+import RegionSelectionMode from "./RegionSelectionMode.js";
+
+const svgNS = "http://www.w3.org/2000/svg";
+
+// Lasso positions closer than this many pixels to the previous one are skipped
+const minimumLassoDistance = 3.0;
+
+/**
+ * Draws a rubber-band rectangle or a freehand lasso while the left mouse
+ * button is dragged over the canvas, and reports the window positions of the
+ * region when the button is released.
+ *
+ * @alias RegionSelectionHandler
+ * @constructor
+ *
+ * @param {Scene} scene The scene.
+ * @param {Element} container The element the outline of the region is drawn in. It should be the parent of the canvas.
+ * @param {RegionSelectionMode} mode The shape of the region.
+ * @param {Function} callback The function called with the window positions of the region.
+ *
+ * @private
+ */
+function RegionSelectionHandler(scene, container, mode, callback) {
+  this._scene = scene;
+  this._mode = mode;
+  this._callback = callback;
+  this._positions = [];
+  this._dragging = false;
+  this._enableInputs = true;
+
+  const svg = document.createElementNS(svgNS, "svg");
+  svg.setAttribute("class", "cesium-viewer-regionSelection");
+  const outline = document.createElementNS(svgNS, "polygon");
+  svg.appendChild(outline);
+  container.appendChild(svg);
+  this._container = container;
+  this._svg = svg;
+  this._outline = outline;
+
+  const that = this;
+  const eventHandler = new ScreenSpaceEventHandler(scene.canvas);
+  eventHandler.setInputAction(function (e) {
+    startRegion(that, e.position);
+  }, ScreenSpaceEventType.LEFT_DOWN);
+  eventHandler.setInputAction(function (e) {
+    updateRegion(that, e.endPosition);
+  }, ScreenSpaceEventType.MOUSE_MOVE);
+  eventHandler.setInputAction(function (e) {
+    endRegion(that, e.position);
+  }, ScreenSpaceEventType.LEFT_UP);
+  this._eventHandler = eventHandler;
+}
+
+Object.defineProperties(RegionSelectionHandler.prototype, {
+  /**
+   * Gets the shape of the region.
+   * @memberof RegionSelectionHandler.prototype
+   * @type {RegionSelectionMode}
+   * @readonly
+   */
+  mode: {
+    get: function () {
+      return this._mode;
+    },
+  },
+});
+
+function startRegion(handler, position) {
+  handler._dragging = true;
+  handler._positions = [Cartesian2.clone(position)];
+
+  // Don't move the camera while dragging
+  const controller = handler._scene.screenSpaceCameraController;
+  handler._enableInputs = controller.enableInputs;
+  controller.enableInputs = false;
+
+  updateOutline(handler);
+}
+
+function updateRegion(handler, position) {
+  if (!handler._dragging) {
+    return;
+  }
+
+  const positions = handler._positions;
+  if (handler._mode === RegionSelectionMode.RECTANGLE) {
+    const start = positions[0];
+    handler._positions = [
+      start,
+      new Cartesian2(position.x, start.y),
+      Cartesian2.clone(position),
+      new Cartesian2(start.x, position.y),
+    ];
+  } else if (
+    Cartesian2.distance(positions[positions.length - 1], position) >=
+    minimumLassoDistance
+  ) {
+    positions.push(Cartesian2.clone(position));
+  }
+
+  updateOutline(handler);
+}
+
+function endRegion(handler, position) {
+  if (!handler._dragging) {
+    return;
+  }
+
+  updateRegion(handler, position);
+  const positions = handler._positions;
+
+  handler._dragging = false;
+  handler._positions = [];
+  handler._scene.screenSpaceCameraController.enableInputs =
+    handler._enableInputs;
+  updateOutline(handler);
+
+  if (positions.length >= 3 && computeArea(positions) >= 1.0) {
+    handler._callback(positions);
+  }
+}
+
+function updateOutline(handler) {
+  const points = handler._positions
+    .map(function (position) {
+      return `${position.x},${position.y}`;
+    })
+    .join(" ");
+  handler._outline.setAttribute("points", points);
+  handler._svg.style.display = handler._dragging ? "block" : "none";
+}
+
+// The area of the polygon in square pixels, using the shoelace formula
+function computeArea(positions) {
+  let area = 0.0;
+  const length = positions.length;
+  for (let i = 0; i < length; ++i) {
+    const p0 = positions[i];
+    const p1 = positions[(i + 1) % length];
+    area += p0.x * p1.y - p1.x * p0.y;
+  }
+  return Math.abs(area) * 0.5;
+}
+
+/**
+ * @returns {boolean} true if the object has been destroyed, false otherwise.
+ */
+RegionSelectionHandler.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the handler, restoring the camera inputs if a region is being drawn.
+ */
+RegionSelectionHandler.prototype.destroy = function () {
+  if (this._dragging) {
+    this._scene.screenSpaceCameraController.enableInputs = this._enableInputs;
+  }
+  this._eventHandler = this._eventHandler && this._eventHandler.destroy();
+  if (defined(this._svg.parentNode)) {
+    this._container.removeChild(this._svg);
+  }
+  return destroyObject(this);
+};
+
+export default RegionSelectionHandler;
@@ -0,0 +1,33 @@
+/**
+ * {@link Viewer#regionSelectionMode} 的区域选择模式。
+ *
+ * @enum {number}
+ *
+ * @see Scene#pickRegion
+ */
+const RegionSelectionMode = {
+  /**
+   * 不进行区域选择。按住鼠标左键拖动将照常控制相机。
+   *
+   * @type {number}
+   * @constant
+   */
+  NONE: 0,
+
+  /**
+   * 按住鼠标左键拖动绘制一个橡皮筋矩形，并选择矩形内的实体和 3D Tiles 特征。
+   *
+   * @type {number}
+   * @constant
+   */
+  RECTANGLE: 1,
+
+  /**
+   * 按住鼠标左键拖动绘制一个手绘套索，并选择套索内的实体和 3D Tiles 特征。
+   *
+   * @type {number}
+   * @constant
+   */
+  LASSO: 2,
+};
+export default Object.freeze(RegionSelectionMode);
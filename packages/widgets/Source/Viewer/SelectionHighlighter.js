@@ -0,0 +1,264 @@
+import {
+  BoundingSphere,
+  BoundingSphereState,
+  Color,
+  ColorGeometryInstanceAttribute,
+  defined,
+  destroyObject,
+  Model,
+  PostProcessStageLibrary,
+  PrimitiveCollection,
+} from "@cesium/engine";
+
+// Entity graphics that are batched into primitives with a per-instance color
+const geometryGraphics = [
+  "box",
+  "corridor",
+  "cylinder",
+  "ellipse",
+  "ellipsoid",
+  "plane",
+  "polygon",
+  "polyline",
+  "polylineVolume",
+  "rectangle",
+  "wall",
+];
+
+function hasGeometry(entity) {
+  for (let i = 0; i < geometryGraphics.length; ++i) {
+    if (defined(entity[geometryGraphics[i]])) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Highlights the entities of an {@link EntitySelection}. Models and 3D Tiles
+ * features are drawn with a silhouette, and geometry is drawn with its
+ * per-instance color replaced by the highlight color.
+ *
+ * @alias SelectionHighlighter
+ * @constructor
+ *
+ * @param {Scene} scene The scene.
+ * @param {EntitySelection} selection The entities to highlight.
+ * @param {DataSourceDisplay} dataSourceDisplay The display that draws the entities, used to know whether they are still loading.
+ *
+ * @private
+ */
+function SelectionHighlighter(scene, selection, dataSourceDisplay) {
+  this._scene = scene;
+  this._selection = selection;
+  this._dataSourceDisplay = dataSourceDisplay;
+  this._color = Color.clone(Color.YELLOW);
+  this._dirty = true;
+  this._pending = false;
+
+  // The original colors of the geometry instances that are highlighted
+  this._highlightedInstances = [];
+
+  this._silhouetteStage = undefined;
+  if (PostProcessStageLibrary.isSilhouetteSupported(scene)) {
+    const stage = PostProcessStageLibrary.createSilhouetteStage();
+    stage.uniforms.color = this._color;
+    stage.enabled = false;
+    this._silhouetteStage = scene.postProcessStages.add(stage);
+  }
+
+  const that = this;
+  this._removeSelectionListener = selection.changed.addEventListener(
+    function () {
+      that._dirty = true;
+    },
+  );
+  this._removePreUpdateListener = scene.preUpdate.addEventListener(function () {
+    that.update();
+  });
+}
+
+Object.defineProperties(SelectionHighlighter.prototype, {
+  /**
+   * Gets or sets the color of the silhouettes and of the highlighted geometry.
+   * @memberof SelectionHighlighter.prototype
+   * @type {Color}
+   */
+  color: {
+    get: function () {
+      return this._color;
+    },
+    set: function (value) {
+      this._color = Color.clone(value, this._color);
+      if (defined(this._silhouetteStage)) {
+        this._silhouetteStage.uniforms.color = this._color;
+      }
+      this._dirty = true;
+    },
+  },
+});
+
+// Batches destroy their primitive when they rebuild it, which loses the highlight
+function hasDestroyedPrimitive(highlighter) {
+  const instances = highlighter._highlightedInstances;
+  for (let i = 0; i < instances.length; ++i) {
+    if (instances[i].primitive.isDestroyed()) {
+      return true;
+    }
+  }
+  return false;
+}
+
+const scratchBoundingSphere = new BoundingSphere();
+
+// Hidden entities, entities whose primitives failed to load and entities that
+// are drawn without a per-instance color are never highlighted, so only
+// entities that are still loading are worth trying again.
+function isLoading(highlighter, entity) {
+  return (
+    entity.isShowing &&
+    highlighter._dataSourceDisplay.getBoundingSphere(
+      entity,
+      false,
+      scratchBoundingSphere,
+    ) === BoundingSphereState.PENDING
+  );
+}
+
+function restoreColors(highlighter) {
+  const instances = highlighter._highlightedInstances;
+  for (let i = 0; i < instances.length; ++i) {
+    const instance = instances[i];
+    if (!instance.primitive.isDestroyed()) {
+      instance.attributes.color = instance.color;
+    }
+  }
+  instances.length = 0;
+}
+
+// An entity can be drawn by more than one primitive, e.g. its fill and outline
+function addFound(state, entity) {
+  if (state.found.indexOf(entity) === -1) {
+    state.found.push(entity);
+  }
+}
+
+function highlightPrimitives(highlighter, collection, state) {
+  const length = collection.length;
+  for (let i = 0; i < length; ++i) {
+    const primitive = collection.get(i);
+    if (primitive instanceof PrimitiveCollection) {
+      highlightPrimitives(highlighter, primitive, state);
+    } else if (primitive instanceof Model) {
+      if (state.modelEntities.indexOf(primitive.id) !== -1) {
+        state.silhouetted.push(primitive);
+        addFound(state, primitive.id);
+      }
+    } else if (
+      defined(primitive.getGeometryInstanceAttributes) &&
+      primitive.ready
+    ) {
+      highlightInstances(highlighter, primitive, state);
+    }
+  }
+}
+
+function highlightInstances(highlighter, primitive, state) {
+  const entities = state.geometryEntities;
+  for (let i = 0; i < entities.length; ++i) {
+    const entity = entities[i];
+    const attributes = primitive.getGeometryInstanceAttributes(entity);
+    if (defined(attributes) && defined(attributes.color)) {
+      highlighter._highlightedInstances.push({
+        primitive: primitive,
+        attributes: attributes,
+        color: attributes.color,
+      });
+      attributes.color = ColorGeometryInstanceAttribute.toValue(
+        highlighter._color,
+      );
+      addFound(state, entity);
+    }
+  }
+}
+
+/**
+ * Applies the highlight if the selection changed, if some of the selected
+ * entities were still loading when it was last applied, or if a highlighted
+ * primitive was rebuilt.
+ */
+SelectionHighlighter.prototype.update = function () {
+  if (!this._dirty && !this._pending && !hasDestroyedPrimitive(this)) {
+    return;
+  }
+  this._dirty = false;
+
+  restoreColors(this);
+
+  const state = {
+    modelEntities: [],
+    geometryEntities: [],
+    silhouetted: [],
+    found: [],
+  };
+
+  const entities = this._selection.values;
+  for (let i = 0; i < entities.length; ++i) {
+    const entity = entities[i];
+    if (defined(entity.feature)) {
+      state.silhouetted.push(entity.feature);
+    } else if (defined(entity.model)) {
+      state.modelEntities.push(entity);
+    } else if (hasGeometry(entity)) {
+      state.geometryEntities.push(entity);
+    }
+  }
+
+  if (state.modelEntities.length > 0 || state.geometryEntities.length > 0) {
+    const scene = this._scene;
+    highlightPrimitives(this, scene.primitives, state);
+    highlightPrimitives(this, scene.groundPrimitives, state);
+  }
+
+  // Models and geometry are created asynchronously, so try again next frame
+  // for the entities that are still loading.
+  const candidates = state.modelEntities.concat(state.geometryEntities);
+  this._pending = false;
+  for (let i = 0; i < candidates.length; ++i) {
+    const entity = candidates[i];
+    if (state.found.indexOf(entity) === -1 && isLoading(this, entity)) {
+      this._pending = true;
+      break;
+    }
+  }
+
+  const stage = this._silhouetteStage;
+  if (defined(stage)) {
+    stage.selected = state.silhouetted;
+    stage.enabled = state.silhouetted.length > 0;
+  }
+};
+
+/**
+ * @returns {boolean} true if the object has been destroyed, false otherwise.
+ */
+SelectionHighlighter.prototype.isDestroyed = function () {
+  return false;
+};
+
+/**
+ * Destroys the highlighter, restoring the colors of the highlighted geometry.
+ */
+SelectionHighlighter.prototype.destroy = function () {
+  this._removeSelectionListener();
+  this._removePreUpdateListener();
+  restoreColors(this);
+
+  const stage = this._silhouetteStage;
+  if (defined(stage) && !this._scene.isDestroyed()) {
+    this._scene.postProcessStages.remove(stage);
+  }
+  return destroyObject(this);
+};
+
+export default SelectionHighlighter;
@@ -4,6 +4,7 @@ import {
   Cartesian3,
   CesiumWidget,
   Cesium3DTileFeature,
+  Check,
   Clock,
   ConstantPositionProperty,
   defaultValue,
@@ -15,9 +16,11 @@ import {
   EventHelper,
   getElement,
   JulianDate,
+  KeyboardEventModifier,
   Math as CesiumMath,
   Property,
   ScreenSpaceEventType,
+  WebXRSessionManager,
 } from "@cesium/engine";
 import Animation from "../Animation/Animation.js";
 import AnimationViewModel from "../Animation/AnimationViewModel.js";
@@ -36,6 +39,10 @@ import SelectionIndicator from "../SelectionIndicator/SelectionIndicator.js";
 import subscribeAndEvaluate from "../subscribeAndEvaluate.js";
 import Timeline from "../Timeline/Timeline.js";
 import VRButton from "../VRButton/VRButton.js";
+import EntitySelection from "./EntitySelection.js";
+import RegionSelectionHandler from "./RegionSelectionHandler.js";
+import RegionSelectionMode from "./RegionSelectionMode.js";
+import SelectionHighlighter from "./SelectionHighlighter.js";
 import Demo from '../Demo/Demo.js'
 
 const boundingSphereScratch = new BoundingSphere();
@@ -99,21 +106,32 @@ function getCesium3DTileFeatureName(feature) {
   return "Unnamed Feature";
 }
 
-function pickEntity(viewer, e) {
+function getPickedEntity(picked) {
+  const id = defaultValue(picked.id, picked.primitive.id);
+  if (id instanceof Entity) {
+    return id;
+  }
+
+  if (picked instanceof Cesium3DTileFeature) {
+    return new Entity({
+      name: getCesium3DTileFeatureName(picked),
+      description: getCesium3DTileFeatureDescription(picked),
+      feature: picked,
+    });
+  }
+}
+
+function pickSceneEntity(viewer, e) {
   const picked = viewer.scene.pick(e.position);
   if (defined(picked)) {
-    const id = defaultValue(picked.id, picked.primitive.id);
-    if (id instanceof Entity) {
-      return id;
-    }
+    return getPickedEntity(picked);
+  }
+}
 
-    if (picked instanceof Cesium3DTileFeature) {
-      return new Entity({
-        name: getCesium3DTileFeatureName(picked),
-        description: getCesium3DTileFeatureDescription(picked),
-        feature: picked,
-      });
-    }
+function pickEntity(viewer, e) {
+  const entity = pickSceneEntity(viewer, e);
+  if (defined(entity)) {
+    return entity;
   }
 
   // No regular entity picked.  Try picking features from imagery layers.
@@ -122,6 +140,126 @@ function pickEntity(viewer, e) {
   }
 }
 
+function selectRegion(viewer, windowPositions) {
+  const pickedObjects = viewer.scene.pickRegion(windowPositions);
+  const entities = [];
+  for (let i = 0; i < pickedObjects.length; i++) {
+    const entity = getPickedEntity(pickedObjects[i]);
+    if (defined(entity) && entities.indexOf(entity) === -1) {
+      entities.push(entity);
+    }
+  }
+  viewer._selectedEntities.set(entities);
+  viewer.selectedEntity = entities[entities.length - 1];
+}
+
+function toggleSelectedEntity(viewer, entity) {
+  const selectedEntities = viewer._selectedEntities;
+  if (selectedEntities.toggle(entity)) {
+    viewer.selectedEntity = entity;
+  } else if (
+    !defined(viewer.selectedEntity) ||
+    !selectedEntities.contains(viewer.selectedEntity)
+  ) {
+    const values = selectedEntities.values;
+    viewer.selectedEntity = values[values.length - 1];
+  }
+}
+
+function getPropertyBagValues(entity, time) {
+  const feature = entity.feature;
+  if (defined(feature)) {
+    const values = {};
+    feature.getPropertyIds().forEach(function(propertyId) {
+      values[propertyId] = feature.getProperty(propertyId);
+    });
+    return values;
+  }
+  return Property.getValueOrDefault(entity.properties, time, {});
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function isSelectionSummaryConstant(entities) {
+  for (let i = 0; i < entities.length; i++) {
+    const properties = entities[i].properties;
+    if (
+      !defined(entities[i].feature) &&
+      defined(properties) &&
+      !properties.isConstant
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function getSelectionSummaryDescription(entities, time, nameHeader) {
+  const names = [];
+  const rows = entities.map(function(entity) {
+    const values = getPropertyBagValues(entity, time);
+    for (const name in values) {
+      if (values.hasOwnProperty(name) && names.indexOf(name) === -1) {
+        names.push(name);
+      }
+    }
+    return values;
+  });
+
+  let html = `<tr><th>${escapeHtml(nameHeader)}</th>`;
+  names.forEach(function(name) {
+    html += `<th>${escapeHtml(name)}</th>`;
+  });
+  html += `</tr>`;
+
+  entities.forEach(function(entity, i) {
+    html += `<tr><td>${escapeHtml(defaultValue(entity.name, entity.id))}</td>`;
+    names.forEach(function(name) {
+      const value = rows[i][name];
+      html += `<td>${defined(value) ? escapeHtml(value) : ""}</td>`;
+    });
+    html += `</tr>`;
+  });
+
+  return `<table class="cesium-infoBox-defaultTable"><tbody>${html}</tbody></table>`;
+}
+
+function updateSelectionSummary(viewer, time) {
+  // Only time-dynamic properties need the table to be rebuilt every tick
+  if (!viewer._selectionSummaryDirty && viewer._selectionSummaryConstant) {
+    return;
+  }
+
+  const entities = viewer._selectedEntities.values;
+  viewer._selectionSummaryTitleText = viewer._selectionSummaryTitle(entities);
+  viewer._selectionSummaryDescription = getSelectionSummaryDescription(
+    entities,
+    time,
+    viewer._selectionSummaryNameHeader,
+  );
+  viewer._selectionSummaryConstant = isSelectionSummaryConstant(entities);
+  viewer._selectionSummaryDirty = false;
+}
+
+function removeSelectionSummaryListeners(viewer) {
+  const removeCallbacks = viewer._selectionSummaryRemoveCallbacks;
+  for (let i = 0; i < removeCallbacks.length; i++) {
+    removeCallbacks[i]();
+  }
+  removeCallbacks.length = 0;
+}
+
+function getDefaultSelectionSummaryTitle(entities) {
+  return `${entities.length} entities`;
+}
+
 const scratchStopTime = new JulianDate();
 
 function linkTimelineToDataSourceClock(timeline, dataSource) {
@@ -795,11 +933,30 @@ Either specify options.terrainProvider instead or set options.baseLayerPicker to
   let vrButton;
   let vrSubscription;
   let vrModeSubscription;
+  let webXRSessionManager;
   if (options.vrButton) {
     const vrContainer = document.createElement("div");
     vrContainer.className = "cesium-viewer-vrContainer";
     viewerContainer.appendChild(vrContainer);
-    vrButton = new VRButton(vrContainer, scene, options.fullScreenElement);
+
+    // Render with the widget so that the clock keeps ticking in the headset
+    webXRSessionManager = new WebXRSessionManager(scene, {
+      render: function() {
+        cesiumWidget.render();
+      },
+    });
+    eventHelper.add(webXRSessionManager.selected, function(pickedObject) {
+      that.selectedEntity = defined(pickedObject)
+        ? getPickedEntity(pickedObject)
+        : undefined;
+    });
+
+    vrButton = new VRButton(
+      vrContainer,
+      scene,
+      options.fullScreenElement,
+      webXRSessionManager,
+    );
 
     vrSubscription = subscribeAndEvaluate(
       vrButton.viewModel,
@@ -850,6 +1007,7 @@ Either specify options.terrainProvider instead or set options.baseLayerPicker to
   this._timeline = timeline;
   this._fullscreenButton = fullscreenButton;
   this._vrButton = vrButton;
+  this._webXRSessionManager = webXRSessionManager;
   this._geocoder = geocoder;
   this._eventHelper = eventHelper;
   this._lastWidth = 0;
@@ -857,10 +1015,32 @@ Either specify options.terrainProvider instead or set options.baseLayerPicker to
   this._enableInfoOrSelection = defined(infoBox) || defined(selectionIndicator);
   this._selectedEntity = undefined;
   this._selectedEntityChanged = new Event();
+  this._selectedEntities = new EntitySelection();
+  this._regionSelectionMode = RegionSelectionMode.NONE;
+  this._regionSelectionHandler = undefined;
+  this._selectionHighlighter = new SelectionHighlighter(
+    scene,
+    this._selectedEntities,
+    this._cesiumWidget.dataSourceDisplay,
+  );
+  this._showSelectionSummary = true;
+  this._selectionSummaryTitle = getDefaultSelectionSummaryTitle;
+  this._selectionSummaryNameHeader = "Name";
+  this._selectionSummaryTitleText = undefined;
+  this._selectionSummaryDescription = undefined;
+  this._selectionSummaryConstant = true;
+  this._selectionSummaryDirty = true;
+  this._selectionSummaryRemoveCallbacks = [];
 
   const dataSourceCollection = this._cesiumWidget.dataSources;
   const dataSourceDisplay = this._cesiumWidget.dataSourceDisplay;
 
+  eventHelper.add(
+    this._selectedEntities.changed,
+    Viewer.prototype._onSelectedEntitiesChanged,
+    this,
+  );
+
   //Listen to data source events in order to track clock changes.
   eventHelper.add(
     dataSourceCollection.dataSourceAdded,
@@ -915,13 +1095,33 @@ Either specify options.terrainProvider instead or set options.baseLayerPicker to
   }
 
   function pickAndSelectObject(e) {
-    that.selectedEntity = pickEntity(that, e);
+    let entity = pickSceneEntity(that, e);
+    that._selectedEntities.set(defined(entity) ? [entity] : []);
+
+    // No regular entity picked.  Try picking features from imagery layers.
+    if (!defined(entity) && defined(that.scene.globe)) {
+      entity = pickImageryLayerFeature(that, e.position);
+    }
+    that.selectedEntity = entity;
+  }
+
+  // Shift-click adds the picked object to or removes it from the selection.
+  function pickAndToggleObject(e) {
+    const entity = pickSceneEntity(that, e);
+    if (defined(entity)) {
+      toggleSelectedEntity(that, entity);
+    }
   }
 
   cesiumWidget.screenSpaceEventHandler.setInputAction(
     pickAndSelectObject,
     ScreenSpaceEventType.LEFT_CLICK,
   );
+  cesiumWidget.screenSpaceEventHandler.setInputAction(
+    pickAndToggleObject,
+    ScreenSpaceEventType.LEFT_CLICK,
+    KeyboardEventModifier.SHIFT,
+  );
   cesiumWidget.screenSpaceEventHandler.setInputAction(
     pickAndTrackObject,
     ScreenSpaceEventType.LEFT_DOUBLE_CLICK,
@@ -1438,6 +1638,7 @@ Object.defineProperties(Viewer.prototype, {
    *
    * 如果用户以交互方式选择了一个 Cesium3DTilesFeature 实例，
    * 则此属性将包含一个临时的 Entity 实例，该实例具有名为 'feature' 的属性，表示被选中的实例.
+   * 设置为不在 {@link Viewer#selectedEntities} 中的实体时，该实体将替换选择；设置为 undefined 时，将清除选择.
    * @memberof Viewer.prototype
    * @type {Entity | undefined}
    */
@@ -1446,6 +1647,14 @@ Object.defineProperties(Viewer.prototype, {
       return this._selectedEntity;
     },
     set: function(value) {
+      // Keep the multi-selection in sync, unless the entity is already part of it
+      const selectedEntities = this._selectedEntities;
+      if (!defined(value)) {
+        selectedEntities.removeAll();
+      } else if (!selectedEntities.contains(value)) {
+        selectedEntities.set([value]);
+      }
+
       if (this._selectedEntity !== value) {
         this._selectedEntity = value;
         const selectionIndicatorViewModel = defined(this._selectionIndicator)
@@ -1474,6 +1683,142 @@ Object.defineProperties(Viewer.prototype, {
       return this._selectedEntityChanged;
     },
   },
+  /**
+   * 获取选中实体的集合. 单击场景中的对象将其设为唯一选中的实体，按住 Shift 键单击将其添加到选择中或从选择中移除，
+   * 使用 {@link Viewer#regionSelectionMode} 则选择区域内的实体. 选中的实体使用 {@link Viewer#selectionHighlightColor} 高亮显示.
+   *
+   * 与 {@link Viewer#selectedEntity} 一样，选中的 Cesium3DTileFeature 实例由临时的 Entity 实例表示，
+   * 该实例具有名为 'feature' 的属性，表示被选中的实例.
+   * @memberof Viewer.prototype
+   * @type {EntitySelection}
+   * @readonly
+   */
+  selectedEntities: {
+    get: function() {
+      return this._selectedEntities;
+    },
+  },
+  /**
+   * 获取或设置高亮 {@link Viewer#selectedEntities} 的颜色. 选中的模型和 3D Tiles 特征以此颜色的轮廓绘制，
+   * 选中的几何体（例如多边形、折线和盒子）以此颜色代替其材质颜色绘制.
+   * 只有使用颜色材质的几何体才会被高亮.
+   * @memberof Viewer.prototype
+   * @type {Color}
+   * @default Color.YELLOW
+   */
+  selectionHighlightColor: {
+    get: function() {
+      return this._selectionHighlighter.color;
+    },
+    set: function(value) {
+      //>>includeStart('debug', pragmas.debug);
+      Check.typeOf.object("value", value);
+      //>>includeEnd('debug');
+
+      this._selectionHighlighter.color = value;
+    },
+  },
+  /**
+   * 获取或设置当选中多个实体时，信息框是否显示所有 {@link Viewer#selectedEntities} 的属性摘要表.
+   * 表中每行表示一个实体，每列表示实体的 {@link Entity#properties} 中的一个属性，
+   * 或 3D Tiles 特征的一个属性.
+   * @memberof Viewer.prototype
+   * @type {boolean}
+   * @default true
+   */
+  showSelectionSummary: {
+    get: function() {
+      return this._showSelectionSummary;
+    },
+    set: function(value) {
+      this._showSelectionSummary = value;
+    },
+  },
+  /**
+   * 获取或设置返回属性摘要表标题的函数. 该函数接收 {@link Viewer#selectedEntities} 中的实体数组，默认返回 "<i>n</i> entities".
+   * @memberof Viewer.prototype
+   * @type {Viewer.SelectionSummaryTitleCallback}
+   */
+  selectionSummaryTitle: {
+    get: function() {
+      return this._selectionSummaryTitle;
+    },
+    set: function(value) {
+      //>>includeStart('debug', pragmas.debug);
+      if (typeof value !== "function") {
+        throw new DeveloperError("value must be a function.");
+      }
+      //>>includeEnd('debug');
+
+      this._selectionSummaryTitle = value;
+      this._selectionSummaryDirty = true;
+    },
+  },
+  /**
+   * 获取或设置属性摘要表中实体名称列的标题.
+   * @memberof Viewer.prototype
+   * @type {string}
+   * @default "Name"
+   */
+  selectionSummaryNameHeader: {
+    get: function() {
+      return this._selectionSummaryNameHeader;
+    },
+    set: function(value) {
+      this._selectionSummaryNameHeader = value;
+      this._selectionSummaryDirty = true;
+    },
+  },
+  /**
+   * 获取或设置区域选择模式. 如果不是 {@link RegionSelectionMode.NONE}，按住鼠标左键拖动将绘制一个矩形或套索，
+   * 而不是移动相机，区域内所有可见的实体和 3D Tiles 特征将替换 {@link Viewer#selectedEntities} 的内容.
+   * @memberof Viewer.prototype
+   * @type {RegionSelectionMode}
+   * @default RegionSelectionMode.NONE
+   *
+   * @example
+   * viewer.regionSelectionMode = Cesium.RegionSelectionMode.LASSO;
+   * viewer.selectedEntities.changed.addEventListener(function(selection) {
+   *   selection.values.forEach(function(entity) {
+   *     if (Cesium.defined(entity.feature)) {
+   *       entity.feature.setProperty("reviewed", true);
+   *     }
+   *   });
+   * });
+   *
+   * @see Scene#pickRegion
+   */
+  regionSelectionMode: {
+    get: function() {
+      return this._regionSelectionMode;
+    },
+    set: function(value) {
+      //>>includeStart('debug', pragmas.debug);
+      Check.typeOf.number("value", value);
+      //>>includeEnd('debug');
+
+      if (this._regionSelectionMode === value) {
+        return;
+      }
+      this._regionSelectionMode = value;
+
+      if (defined(this._regionSelectionHandler)) {
+        this._regionSelectionHandler = this._regionSelectionHandler.destroy();
+      }
+
+      if (value !== RegionSelectionMode.NONE) {
+        const that = this;
+        this._regionSelectionHandler = new RegionSelectionHandler(
+          this.scene,
+          this.canvas.parentNode,
+          value,
+          function(windowPositions) {
+            selectRegion(that, windowPositions);
+          },
+        );
+      }
+    },
+  },
   /**
    * 获取在跟踪实体改变时触发的事件.
    * @memberof Viewer.prototype
@@ -1664,15 +2009,25 @@ Viewer.prototype.destroy = function() {
     this.screenSpaceEventHandler.removeInputAction(
       ScreenSpaceEventType.LEFT_CLICK,
     );
+    this.screenSpaceEventHandler.removeInputAction(
+      ScreenSpaceEventType.LEFT_CLICK,
+      KeyboardEventModifier.SHIFT,
+    );
     this.screenSpaceEventHandler.removeInputAction(
       ScreenSpaceEventType.LEFT_DOUBLE_CLICK,
     );
   }
 
+  if (defined(this._regionSelectionHandler)) {
+    this._regionSelectionHandler = this._regionSelectionHandler.destroy();
+  }
+  this._selectionHighlighter = this._selectionHighlighter.destroy();
+
   this._container.removeChild(this._element);
   this._element.removeChild(this._toolbar);
 
   this._eventHelper.removeAll();
+  removeSelectionSummaryListeners(this);
 
   if (defined(this._geocoder)) {
     this._geocoder = this._geocoder.destroy();
@@ -1720,6 +2075,7 @@ Viewer.prototype.destroy = function() {
     this._vrModeSubscription.dispose();
     this._element.removeChild(this._vrButton.container);
     this._vrButton = this._vrButton.destroy();
+    this._webXRSessionManager = this._webXRSessionManager.destroy();
   }
 
   if (defined(this._infoBox)) {
@@ -1830,12 +2186,20 @@ Viewer.prototype._onTick = function(clock) {
     ? this._infoBox.viewModel
     : undefined;
   if (defined(infoBoxViewModel)) {
-    infoBoxViewModel.showInfo = showSelection;
-    infoBoxViewModel.enableCamera = enableCamera;
+    const selectedEntities = this._selectedEntities;
+    const showSummary =
+      this._showSelectionSummary && selectedEntities.length > 1;
+
+    infoBoxViewModel.showInfo = showSelection || showSummary;
+    infoBoxViewModel.enableCamera = enableCamera && !showSummary;
     infoBoxViewModel.isCameraTracking =
       this.trackedEntity === this.selectedEntity;
 
-    if (showSelection) {
+    if (showSummary) {
+      updateSelectionSummary(this, time);
+      infoBoxViewModel.titleText = this._selectionSummaryTitleText;
+      infoBoxViewModel.description = this._selectionSummaryDescription;
+    } else if (showSelection) {
       infoBoxViewModel.titleText = defaultValue(
         selectedEntity.name,
         selectedEntity.id,
@@ -1852,6 +2216,27 @@ Viewer.prototype._onTick = function(clock) {
   }
 };
 
+/**
+ * @private
+ */
+Viewer.prototype._onSelectedEntitiesChanged = function() {
+  removeSelectionSummaryListeners(this);
+
+  const that = this;
+  function setSelectionSummaryDirty() {
+    that._selectionSummaryDirty = true;
+  }
+
+  const entities = this._selectedEntities.values;
+  const removeCallbacks = this._selectionSummaryRemoveCallbacks;
+  for (let i = 0; i < entities.length; i++) {
+    removeCallbacks.push(
+      entities[i].definitionChanged.addEventListener(setSelectionSummaryDirty),
+    );
+  }
+  this._selectionSummaryDirty = true;
+};
+
 /**
  * @private
  */
@@ -1863,8 +2248,11 @@ Viewer.prototype._onEntityCollectionChanged = function(
   const length = removed.length;
   for (let i = 0; i < length; i++) {
     const removedObject = removed[i];
+    this._selectedEntities.remove(removedObject);
     if (this.selectedEntity === removedObject) {
-      this.selectedEntity = undefined;
+      // Select what remains of a multi-selection
+      const values = this._selectedEntities.values;
+      this.selectedEntity = values[values.length - 1];
     }
   }
 };
@@ -2004,4 +2392,13 @@ Viewer.prototype.flyTo = function(target, options) {
  * @see Viewer#extend
  */
 
+/**
+ * 返回属性摘要表标题的函数。
+ * @callback Viewer.SelectionSummaryTitleCallback
+ * @param {Entity[]} entities 选中的实体。
+ * @returns {string} 标题。
+ *
+ * @see Viewer#selectionSummaryTitle
+ */
+
 export default Viewer;
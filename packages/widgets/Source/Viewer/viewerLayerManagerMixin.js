@@ -0,0 +1,47 @@
+import { defined, DeveloperError } from "@cesium/engine";
+import LayerManager from "../LayerManager/LayerManager.js";
+
+/**
+ * 一个混入，将 {@link LayerManager} 小部件添加到 {@link Viewer} 小部件，用于管理查看器的影像图层、数据源和 3D Tiles。
+ * 缩放到图层时使用 {@link Viewer#flyTo}。
+ * 这个函数通常不会直接调用，而是作为参数传递给 {@link Viewer#extend}，如下例所示。
+ * @function
+ *
+ * @param {Viewer} viewer 查看器实例。
+ *
+ * @exception {DeveloperError} 必须提供 viewer。
+ *
+ * @example
+ * const viewer = new Cesium.Viewer('cesiumContainer');
+ * viewer.extend(Cesium.viewerLayerManagerMixin);
+ * viewer.layerManager.viewModel.imageryLayerItems[0].alpha = 0.5;
+ */
+function viewerLayerManagerMixin(viewer) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(viewer)) {
+    throw new DeveloperError("viewer is required.");
+  }
+  //>>includeEnd('debug');
+
+  const layerManagerContainer = document.createElement("div");
+  layerManagerContainer.className = "cesium-viewer-layerManagerContainer";
+  viewer.container.appendChild(layerManagerContainer);
+  const layerManager = new LayerManager({
+    container: layerManagerContainer,
+    scene: viewer.scene,
+    imageryLayers: viewer.imageryLayers,
+    dataSources: viewer.dataSources,
+    zoomTo: function (layer) {
+      return viewer.flyTo(layer);
+    },
+  });
+
+  Object.defineProperties(viewer, {
+    layerManager: {
+      get: function () {
+        return layerManager;
+      },
+    },
+  });
+}
+export default viewerLayerManagerMixin;
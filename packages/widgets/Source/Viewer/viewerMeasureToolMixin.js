@@ -0,0 +1,46 @@
+import { defaultValue, defined, DeveloperError } from "@cesium/engine";
+import MeasureTool from "../MeasureTool/MeasureTool.js";
+
+/**
+ * 一个混入，将 {@link MeasureTool} 小部件添加到 {@link Viewer} 小部件。
+ * 这个函数通常不会直接调用，而是作为参数传递给 {@link Viewer#extend}，如下例所示。
+ * @function
+ *
+ * @param {Viewer} viewer 查看器实例。
+ * @param {object} [options] 具有以下属性的对象：
+ * @param {Color} [options.color=Color.YELLOW] 测量线和点的颜色。
+ *
+ * @exception {DeveloperError} 必须提供 viewer。
+ *
+ * @example
+ * const viewer = new Cesium.Viewer('cesiumContainer');
+ * viewer.extend(Cesium.viewerMeasureToolMixin);
+ * viewer.measureTool.viewModel.measureDistance();
+ */
+function viewerMeasureToolMixin(viewer, options) {
+  //>>includeStart('debug', pragmas.debug);
+  if (!defined(viewer)) {
+    throw new DeveloperError("viewer is required.");
+  }
+  //>>includeEnd('debug');
+
+  options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+
+  const measureToolContainer = document.createElement("div");
+  measureToolContainer.className = "cesium-viewer-measureToolContainer";
+  viewer.container.appendChild(measureToolContainer);
+  const measureTool = new MeasureTool({
+    container: measureToolContainer,
+    scene: viewer.scene,
+    color: options.color,
+  });
+
+  Object.defineProperties(viewer, {
+    measureTool: {
+      get: function () {
+        return measureTool;
+      },
+    },
+  });
+}
+export default viewerMeasureToolMixin;
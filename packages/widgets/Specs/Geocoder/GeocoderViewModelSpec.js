@@ -1,4 +1,10 @@
-import { Cartesian3, Credit, Rectangle } from "@cesium/engine";
+import {
+  Cartesian3,
+  Cartographic,
+  Credit,
+  Math as CesiumMath,
+  Rectangle,
+} from "@cesium/engine";
 import { GeocoderViewModel } from "../../index.js";
 import createScene from "../../../../Specs/createScene.js";
 import pollToPromise from "../../../../Specs/pollToPromise.js";
@@ -387,6 +393,102 @@ describe(
       expect(credits[1].showOnScreen).toBeFalse();
       expect(destinationFoundCallback).toHaveBeenCalled();
     });
+
+    function createReverseGeocoder(reverseResults) {
+      return {
+        geocode: jasmine
+          .createSpy("geocode")
+          .and.returnValue(Promise.resolve(geocoderResults1)),
+        reverseGeocode: jasmine
+          .createSpy("reverseGeocode")
+          .and.returnValue(Promise.resolve(reverseResults)),
+        credit: new Credit("reverse credit", false),
+      };
+    }
+
+    it("reverse geocodes coordinates with services that support it", async function () {
+      const reverseGeocoder = createReverseGeocoder([
+        {
+          displayName: "Philadelphia",
+          destination: mockDestination,
+        },
+      ]);
+
+      const destinationFoundCallback = jasmine.createSpy();
+      geocoderViewModel = new GeocoderViewModel({
+        scene: scene,
+        geocoderServices: [noResultsGeocoder, reverseGeocoder],
+        destinationFound: destinationFoundCallback, // Don't move the camera after a successful geocode
+      });
+      geocoderViewModel._searchText = "-75.17 39.92";
+
+      await geocoderViewModel.search();
+
+      expect(reverseGeocoder.reverseGeocode).toHaveBeenCalledTimes(1);
+      const position = reverseGeocoder.reverseGeocode.calls.argsFor(0)[0];
+      expect(position).toBeInstanceOf(Cartographic);
+      expect(CesiumMath.toDegrees(position.longitude)).toEqualEpsilon(
+        -75.17,
+        CesiumMath.EPSILON7,
+      );
+      expect(CesiumMath.toDegrees(position.latitude)).toEqualEpsilon(
+        39.92,
+        CesiumMath.EPSILON7,
+      );
+      expect(reverseGeocoder.geocode).not.toHaveBeenCalled();
+
+      expect(geocoderViewModel._searchText).toEqual("Philadelphia");
+      const destination = destinationFoundCallback.calls.argsFor(0)[1];
+      expect(destination).toEqualEpsilon(
+        Cartesian3.fromDegrees(-75.17, 39.92, 300.0),
+        CesiumMath.EPSILON7,
+      );
+
+      scene.frameState.creditDisplay.beginFrame();
+      scene.frameState.creditDisplay.endFrame();
+      const credits = scene.frameState.creditDisplay._staticCredits;
+      expect(credits[credits.length - 1].html).toEqual("reverse credit");
+    });
+
+    it("geocodes coordinates if no service finds a name for them", async function () {
+      const reverseGeocoder = createReverseGeocoder([]);
+
+      const destinationFoundCallback = jasmine.createSpy();
+      geocoderViewModel = new GeocoderViewModel({
+        scene: scene,
+        geocoderServices: [reverseGeocoder],
+        destinationFound: destinationFoundCallback, // Don't move the camera after a successful geocode
+      });
+      geocoderViewModel._searchText = "-75.17 39.92";
+
+      await geocoderViewModel.search();
+
+      expect(reverseGeocoder.reverseGeocode).toHaveBeenCalled();
+      expect(reverseGeocoder.geocode).toHaveBeenCalled();
+      expect(geocoderViewModel._searchText).toEqual(
+        geocoderResults1[0].displayName,
+      );
+      expect(destinationFoundCallback).toHaveBeenCalledWith(
+        geocoderViewModel,
+        mockDestination,
+      );
+    });
+
+    it("does not reverse geocode queries without coordinates", async function () {
+      const reverseGeocoder = createReverseGeocoder([]);
+
+      geocoderViewModel = new GeocoderViewModel({
+        scene: scene,
+        geocoderServices: [reverseGeocoder],
+        destinationFound: jasmine.createSpy(), // Don't move the camera after a successful geocode
+      });
+      geocoderViewModel._searchText = "sthsnth";
+
+      await geocoderViewModel.search();
+
+      expect(reverseGeocoder.reverseGeocode).not.toHaveBeenCalled();
+      expect(reverseGeocoder.geocode).toHaveBeenCalled();
+    });
   },
   "WebGL",
 );
@@ -0,0 +1,152 @@
+import {
+  GeographicTilingScheme,
+  ImageryLayer,
+  ImageryLayerCollection,
+} from "@cesium/engine";
+
+import { LayerManager, LayerManagerViewModel } from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Widgets/LayerManager/LayerManager",
+  function () {
+    let scene;
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    function createImageryLayers() {
+      const imageryLayers = new ImageryLayerCollection();
+      const layer = new ImageryLayer({
+        tilingScheme: new GeographicTilingScheme(),
+      });
+      layer.name = "base";
+      imageryLayers.add(layer);
+      return imageryLayers;
+    }
+
+    it("can create and destroy", function () {
+      const container = document.createElement("span");
+      container.id = "testContainer";
+      document.body.appendChild(container);
+
+      const widget = new LayerManager({
+        container: "testContainer",
+        scene: scene,
+      });
+      expect(widget.container.id).toEqual(container.id);
+      expect(widget.viewModel).toBeInstanceOf(LayerManagerViewModel);
+      expect(
+        container.querySelectorAll(".cesium-layerManager-section").length,
+      ).toEqual(3);
+      expect(widget.isDestroyed()).toEqual(false);
+
+      widget.destroy();
+      expect(widget.isDestroyed()).toEqual(true);
+      expect(container.children.length).toEqual(0);
+
+      document.body.removeChild(container);
+    });
+
+    it("shows an item for each layer", function () {
+      const container = document.createElement("span");
+      document.body.appendChild(container);
+      const imageryLayers = createImageryLayers();
+
+      const widget = new LayerManager({
+        container: container,
+        scene: scene,
+        imageryLayers: imageryLayers,
+      });
+      const items = container.querySelectorAll(".cesium-layerManager-item");
+      expect(items.length).toEqual(1);
+      expect(
+        items[0].querySelector(".cesium-layerManager-name").textContent,
+      ).toEqual("base");
+
+      imageryLayers.addImageryProvider({
+        tilingScheme: new GeographicTilingScheme(),
+      });
+      expect(
+        container.querySelectorAll(".cesium-layerManager-item").length,
+      ).toEqual(2);
+
+      widget.destroy();
+      document.body.removeChild(container);
+    });
+
+    it("binds the controls to the layer", function () {
+      const container = document.createElement("span");
+      document.body.appendChild(container);
+      const imageryLayers = createImageryLayers();
+      const layer = imageryLayers.get(0);
+
+      const widget = new LayerManager({
+        container: container,
+        scene: scene,
+        imageryLayers: imageryLayers,
+      });
+      const item = container.querySelector(".cesium-layerManager-item");
+
+      item.querySelector("input[type=checkbox]").click();
+      expect(layer.show).toBe(false);
+
+      const settings = item.querySelector(".cesium-layerManager-settings");
+      expect(settings.style.display).toEqual("none");
+      item.querySelector("button[title=Settings]").click();
+      expect(settings.style.display).toEqual("");
+
+      const slider = settings.querySelector("input[type=range]");
+      slider.value = "0.25";
+      slider.dispatchEvent(new Event("input"));
+      expect(layer.alpha).toEqual(0.25);
+
+      widget.destroy();
+      document.body.removeChild(container);
+    });
+
+    it("throws if options is undefined", function () {
+      expect(function () {
+        return new LayerManager(undefined);
+      }).toThrowDeveloperError();
+    });
+
+    it("throws if options.container is undefined", function () {
+      expect(function () {
+        return new LayerManager({
+          container: undefined,
+          scene: scene,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("throws if options.scene is undefined", function () {
+      const container = document.createElement("span");
+      document.body.appendChild(container);
+
+      expect(function () {
+        return new LayerManager({
+          container: container,
+          scene: undefined,
+        });
+      }).toThrowDeveloperError();
+
+      document.body.removeChild(container);
+    });
+
+    it("constructor throws with string element that does not exist", function () {
+      expect(function () {
+        return new LayerManager({
+          container: "does not exist",
+          scene: scene,
+        });
+      }).toThrowDeveloperError();
+    });
+  },
+  "WebGL",
+);
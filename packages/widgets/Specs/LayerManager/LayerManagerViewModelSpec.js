@@ -0,0 +1,345 @@
+import {
+  BoundingSphere,
+  Cartesian3,
+  Cesium3DTileset,
+  combine,
+  CustomDataSource,
+  DataSourceCollection,
+  defined,
+  GeographicTilingScheme,
+  ImageryLayer,
+  ImageryLayerCollection,
+  PrimitiveCollection,
+  Rectangle,
+  SplitDirection,
+} from "@cesium/engine";
+
+import { LayerManagerViewModel } from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Widgets/LayerManager/LayerManagerViewModel",
+  function () {
+    const fakeProvider = {
+      tilingScheme: new GeographicTilingScheme(),
+      rectangle: Rectangle.fromDegrees(-10.0, -10.0, 10.0, 10.0),
+    };
+
+    let scene;
+    let imageryLayers;
+    let dataSources;
+    let viewModel;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      imageryLayers = new ImageryLayerCollection();
+      dataSources = new DataSourceCollection();
+    });
+
+    afterEach(function () {
+      if (defined(viewModel) && !viewModel.isDestroyed()) {
+        viewModel.destroy();
+      }
+      viewModel = undefined;
+      scene.primitives.removeAll();
+      dataSources.destroy();
+    });
+
+    function createViewModel(options) {
+      viewModel = new LayerManagerViewModel(
+        combine(options, {
+          scene: scene,
+          imageryLayers: imageryLayers,
+          dataSources: dataSources,
+        }),
+      );
+      return viewModel;
+    }
+
+    function addImageryLayer(name) {
+      const layer = new ImageryLayer(fakeProvider);
+      layer.name = name;
+      imageryLayers.add(layer);
+      return layer;
+    }
+
+    function getNames(items) {
+      return items.map(function (item) {
+        return item.name;
+      });
+    }
+
+    it("can create and destroy", function () {
+      addImageryLayer("base");
+      const listenerCount = imageryLayers.layerAdded.numberOfListeners;
+
+      createViewModel();
+      expect(viewModel.scene).toBe(scene);
+      expect(viewModel.imageryLayers).toBe(imageryLayers);
+      expect(viewModel.dataSources).toBe(dataSources);
+      expect(getNames(viewModel.imageryLayerItems)).toEqual(["base"]);
+      expect(viewModel.dataSourceItems.length).toEqual(0);
+      expect(viewModel.tilesetItems.length).toEqual(0);
+      expect(imageryLayers.layerAdded.numberOfListeners).toEqual(
+        listenerCount + 1,
+      );
+      expect(viewModel.isDestroyed()).toEqual(false);
+
+      viewModel.destroy();
+      expect(viewModel.isDestroyed()).toEqual(true);
+      expect(imageryLayers.layerAdded.numberOfListeners).toEqual(listenerCount);
+    });
+
+    it("uses the imagery layers of the scene by default", function () {
+      viewModel = new LayerManagerViewModel({
+        scene: scene,
+      });
+      expect(viewModel.imageryLayers).toBe(scene.imageryLayers);
+      expect(viewModel.dataSources).toBeUndefined();
+    });
+
+    it("throws without scene", function () {
+      expect(function () {
+        return new LayerManagerViewModel();
+      }).toThrowDeveloperError();
+    });
+
+    it("lists imagery layers from the top", function () {
+      addImageryLayer("base");
+      addImageryLayer("roads");
+      createViewModel();
+
+      const unnamedLayer = imageryLayers.addImageryProvider(fakeProvider);
+      expect(getNames(viewModel.imageryLayerItems)).toEqual([
+        "Imagery Layer",
+        "roads",
+        "base",
+      ]);
+      expect(viewModel.imageryLayerItems[0].layer).toBe(unnamedLayer);
+      expect(viewModel.imageryLayerItems[0].type).toEqual("imagery");
+
+      imageryLayers.remove(unnamedLayer);
+      expect(getNames(viewModel.imageryLayerItems)).toEqual(["roads", "base"]);
+    });
+
+    it("keeps the items of imagery layers that move", function () {
+      const base = addImageryLayer("base");
+      addImageryLayer("roads");
+      createViewModel();
+
+      const item = viewModel.imageryLayerItems[1];
+      item.expanded = true;
+      imageryLayers.raiseToTop(base);
+
+      expect(getNames(viewModel.imageryLayerItems)).toEqual(["base", "roads"]);
+      expect(viewModel.imageryLayerItems[0]).toBe(item);
+      expect(item.expanded).toBe(true);
+    });
+
+    it("applies item properties to imagery layers", function () {
+      const layer = addImageryLayer("base");
+      createViewModel();
+
+      const item = viewModel.imageryLayerItems[0];
+      expect(item.show).toBe(true);
+      expect(item.alpha).toEqual(1.0);
+      expect(item.splitDirection).toEqual(SplitDirection.NONE);
+
+      item.show = false;
+      item.alpha = "0.5";
+      item.brightness = 2.0;
+      item.contrast = 0.5;
+      item.splitDirection = SplitDirection.LEFT;
+      expect(layer.show).toBe(false);
+      expect(layer.alpha).toEqual(0.5);
+      expect(item.alpha).toEqual(0.5);
+      expect(layer.brightness).toEqual(2.0);
+      expect(layer.contrast).toEqual(0.5);
+      expect(layer.splitDirection).toEqual(SplitDirection.LEFT);
+
+      item.alpha = "not a number";
+      expect(layer.alpha).toEqual(0.5);
+    });
+
+    it("lists data sources from the top", async function () {
+      const first = new CustomDataSource("first");
+      await dataSources.add(first);
+      createViewModel();
+
+      const second = new CustomDataSource("second");
+      await dataSources.add(second);
+      expect(getNames(viewModel.dataSourceItems)).toEqual(["second", "first"]);
+
+      const item = viewModel.dataSourceItems[1];
+      expect(item.type).toEqual("dataSource");
+      expect(item.alpha).toBeUndefined();
+      item.show = false;
+      expect(first.show).toBe(false);
+
+      dataSources.raiseToTop(first);
+      expect(viewModel.dataSourceItems[0]).toBe(item);
+
+      dataSources.remove(second);
+      expect(getNames(viewModel.dataSourceItems)).toEqual(["first"]);
+    });
+
+    it("lists the tilesets of the scene", function () {
+      createViewModel();
+
+      const tileset = new Cesium3DTileset();
+      scene.primitives.add(tileset);
+      scene.primitives.add(new PrimitiveCollection());
+      expect(viewModel.tilesetItems.length).toEqual(1);
+
+      const item = viewModel.tilesetItems[0];
+      expect(item.layer).toBe(tileset);
+      expect(item.name).toEqual("3D Tiles");
+      expect(item.type).toEqual("tileset");
+      item.splitDirection = SplitDirection.RIGHT;
+      expect(tileset.splitDirection).toEqual(SplitDirection.RIGHT);
+
+      scene.primitives.remove(tileset);
+      expect(viewModel.tilesetItems.length).toEqual(0);
+    });
+
+    it("moveItem reorders imagery layers", function () {
+      const base = addImageryLayer("base");
+      const roads = addImageryLayer("roads");
+      const labels = addImageryLayer("labels");
+      createViewModel();
+
+      viewModel.moveItem(viewModel.imageryLayerItems[0], 2);
+      expect(imageryLayers.indexOf(labels)).toEqual(0);
+      expect(imageryLayers.indexOf(base)).toEqual(1);
+      expect(imageryLayers.indexOf(roads)).toEqual(2);
+      expect(getNames(viewModel.imageryLayerItems)).toEqual([
+        "roads",
+        "base",
+        "labels",
+      ]);
+
+      viewModel.moveItem(viewModel.imageryLayerItems[2], -5);
+      expect(getNames(viewModel.imageryLayerItems)).toEqual([
+        "labels",
+        "roads",
+        "base",
+      ]);
+    });
+
+    it("raise and lower move items by one", async function () {
+      addImageryLayer("base");
+      addImageryLayer("roads");
+      await dataSources.add(new CustomDataSource("first"));
+      await dataSources.add(new CustomDataSource("second"));
+      createViewModel();
+
+      viewModel.lower(viewModel.imageryLayerItems[0]);
+      expect(getNames(viewModel.imageryLayerItems)).toEqual(["base", "roads"]);
+      viewModel.lower(viewModel.imageryLayerItems[1]);
+      expect(getNames(viewModel.imageryLayerItems)).toEqual(["base", "roads"]);
+      viewModel.raise(viewModel.imageryLayerItems[1]);
+      expect(getNames(viewModel.imageryLayerItems)).toEqual(["roads", "base"]);
+
+      viewModel.raise(viewModel.dataSourceItems[1]);
+      expect(getNames(viewModel.dataSourceItems)).toEqual(["first", "second"]);
+    });
+
+    it("drops dragged items on items of the same type", async function () {
+      addImageryLayer("base");
+      addImageryLayer("roads");
+      addImageryLayer("labels");
+      await dataSources.add(new CustomDataSource("first"));
+      createViewModel();
+
+      const items = viewModel.imageryLayerItems;
+      const event = {};
+      expect(viewModel._dragStart(items[2], event)).toBe(true);
+      expect(viewModel._dragOver(viewModel.dataSourceItems[0], event)).toBe(
+        true,
+      );
+      expect(viewModel._dropTarget).toBeUndefined();
+      expect(viewModel._dragOver(items[0], event)).toBe(false);
+      expect(viewModel._dropTarget).toBe(items[0]);
+
+      viewModel._drop(items[0]);
+      expect(getNames(viewModel.imageryLayerItems)).toEqual([
+        "base",
+        "labels",
+        "roads",
+      ]);
+      expect(viewModel._dragItem).toBeUndefined();
+      expect(viewModel._dropTarget).toBeUndefined();
+    });
+
+    it("zoomToLayer uses the zoomTo option", function () {
+      const layer = addImageryLayer("base");
+      const zoomTo = jasmine.createSpy("zoomTo");
+      createViewModel({
+        zoomTo: zoomTo,
+      });
+
+      viewModel.zoomTo(viewModel.imageryLayerItems[0]);
+      expect(zoomTo).toHaveBeenCalledWith(layer);
+    });
+
+    it("zoomToLayer flies to the rectangle of imagery layers", function () {
+      addImageryLayer("base");
+      createViewModel();
+      spyOn(scene.camera, "flyTo");
+
+      viewModel.zoomToLayer(viewModel.imageryLayerItems[0]);
+      expect(scene.camera.flyTo).toHaveBeenCalledWith({
+        destination: fakeProvider.rectangle,
+      });
+    });
+
+    it("zoomToLayer flies to the bounding sphere of tilesets", function () {
+      createViewModel();
+      const boundingSphere = new BoundingSphere(Cartesian3.UNIT_X, 10.0);
+      spyOn(scene.camera, "flyToBoundingSphere");
+
+      viewModel.zoomToLayer({
+        layer: {
+          boundingSphere: boundingSphere,
+        },
+        type: "tileset",
+      });
+      expect(scene.camera.flyToBoundingSphere).toHaveBeenCalledWith(
+        boundingSphere,
+      );
+    });
+
+    it("zoomToLayer flies to the entities of data sources", async function () {
+      const dataSource = new CustomDataSource("points");
+      dataSource.entities.add({
+        position: Cartesian3.fromDegrees(0.0, 0.0),
+      });
+      dataSource.entities.add({
+        position: Cartesian3.fromDegrees(1.0, 0.0),
+      });
+      dataSource.entities.add({
+        name: "no position",
+      });
+      await dataSources.add(dataSource);
+      createViewModel();
+      spyOn(scene.camera, "flyToBoundingSphere");
+
+      viewModel.zoomToLayer(viewModel.dataSourceItems[0]);
+      expect(scene.camera.flyToBoundingSphere).toHaveBeenCalledWith(
+        BoundingSphere.fromPoints([
+          Cartesian3.fromDegrees(0.0, 0.0),
+          Cartesian3.fromDegrees(1.0, 0.0),
+        ]),
+      );
+    });
+  },
+  "WebGL",
+);
@@ -0,0 +1,98 @@
+import createScene from "../../../../Specs/createScene.js";
+import { MeasureMode, MeasureTool, MeasureToolViewModel } from "../../index.js";
+
+describe(
+  "Widgets/MeasureTool/MeasureTool",
+  function () {
+    let scene;
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    it("can create and destroy", function () {
+      const container = document.createElement("span");
+      container.id = "testContainer";
+      document.body.appendChild(container);
+
+      const widget = new MeasureTool({
+        container: "testContainer",
+        scene: scene,
+      });
+      expect(widget.container.id).toEqual(container.id);
+      expect(widget.viewModel).toBeInstanceOf(MeasureToolViewModel);
+      expect(container.querySelectorAll("button").length).toEqual(5);
+      expect(widget.isDestroyed()).toEqual(false);
+
+      widget.destroy();
+      expect(widget.isDestroyed()).toEqual(true);
+      expect(container.children.length).toEqual(0);
+
+      document.body.removeChild(container);
+    });
+
+    it("buttons start measurements", function () {
+      const container = document.createElement("span");
+      document.body.appendChild(container);
+
+      const widget = new MeasureTool({
+        container: container,
+        scene: scene,
+      });
+      const buttons = container.querySelectorAll("button");
+
+      buttons[1].click();
+      expect(widget.viewModel.mode).toEqual(MeasureMode.AREA);
+      expect(buttons[1].classList).toContain("cesium-measure-tool-active");
+      expect(buttons[0].classList).not.toContain("cesium-measure-tool-active");
+
+      buttons[4].click();
+      expect(widget.viewModel.isMeasuring).toBe(false);
+
+      widget.destroy();
+      document.body.removeChild(container);
+    });
+
+    it("throws if options is undefined", function () {
+      expect(function () {
+        return new MeasureTool(undefined);
+      }).toThrowDeveloperError();
+    });
+
+    it("throws if options.container is undefined", function () {
+      expect(function () {
+        return new MeasureTool({
+          container: undefined,
+          scene: scene,
+        });
+      }).toThrowDeveloperError();
+    });
+
+    it("throws if options.scene is undefined", function () {
+      const container = document.createElement("span");
+      document.body.appendChild(container);
+
+      expect(function () {
+        return new MeasureTool({
+          container: container,
+          scene: undefined,
+        });
+      }).toThrowDeveloperError();
+
+      document.body.removeChild(container);
+    });
+
+    it("constructor throws with string element that does not exist", function () {
+      expect(function () {
+        return new MeasureTool({
+          container: "does not exist",
+          scene: scene,
+        });
+      }).toThrowDeveloperError();
+    });
+  },
+  "WebGL",
+);
@@ -0,0 +1,298 @@
+import {
+  Cartesian3,
+  Ellipsoid,
+  Globe,
+  Math as CesiumMath,
+} from "@cesium/engine";
+
+import { MeasureMode, MeasureToolViewModel } from "../../index.js";
+
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Widgets/MeasureTool/MeasureToolViewModel",
+  function () {
+    const ellipsoid = Ellipsoid.WGS84;
+    let scene;
+
+    beforeAll(function () {
+      scene = createScene();
+      scene.globe = new Globe(ellipsoid);
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    it("can create and destroy", function () {
+      const primitives = scene.primitives;
+      const length = primitives.length;
+
+      const viewModel = new MeasureToolViewModel({
+        scene: scene,
+      });
+      expect(viewModel.scene).toBe(scene);
+      expect(viewModel.ellipsoid).toBe(scene.ellipsoid);
+      expect(viewModel.mode).toBeUndefined();
+      expect(viewModel.isMeasuring).toBe(false);
+      expect(viewModel.resultText).toEqual("");
+      expect(primitives.length).toEqual(length + 3);
+      expect(viewModel.isDestroyed()).toEqual(false);
+
+      viewModel.destroy();
+      expect(viewModel.isDestroyed()).toEqual(true);
+      expect(primitives.length).toEqual(length);
+    });
+
+    it("throws without scene", function () {
+      expect(function () {
+        return new MeasureToolViewModel();
+      }).toThrowDeveloperError();
+    });
+
+    it("commands start measurements", function () {
+      const viewModel = new MeasureToolViewModel({
+        scene: scene,
+      });
+
+      viewModel.measureDistance();
+      expect(viewModel.mode).toEqual(MeasureMode.DISTANCE);
+      expect(viewModel.isMeasuring).toBe(true);
+      viewModel.measureArea();
+      expect(viewModel.mode).toEqual(MeasureMode.AREA);
+      viewModel.measureHeight();
+      expect(viewModel.mode).toEqual(MeasureMode.HEIGHT);
+      viewModel.measureAzimuth();
+      expect(viewModel.mode).toEqual(MeasureMode.AZIMUTH);
+      viewModel.clear();
+      expect(viewModel.mode).toBeUndefined();
+      expect(viewModel.isMeasuring).toBe(false);
+
+      viewModel.destroy();
+    });
+
+    it("addPosition throws when not measuring", function () {
+      const viewModel = new MeasureToolViewModel({
+        scene: scene,
+      });
+
+      expect(function () {
+        viewModel.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+      }).toThrowDeveloperError();
+
+      viewModel.destroy();
+    });
+
+    it("measures distance and raises events", function () {
+      const viewModel = new MeasureToolViewModel({
+        scene: scene,
+      });
+      const changed = jasmine.createSpy("changed");
+      const completed = jasmine.createSpy("completed");
+      viewModel.measurementChanged.addEventListener(changed);
+      viewModel.measurementCompleted.addEventListener(completed);
+
+      viewModel.startMeasurement(MeasureMode.DISTANCE);
+      viewModel.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+      expect(viewModel.measurement).toBeUndefined();
+      expect(changed).not.toHaveBeenCalled();
+
+      viewModel.addPosition(Cartesian3.fromDegrees(1.0, 0.0));
+      // The second click of a double click is ignored
+      viewModel.addPosition(Cartesian3.fromDegrees(1.0, 0.0));
+      viewModel.addPosition(Cartesian3.fromDegrees(1.0, 1.0));
+      expect(viewModel.positions.length).toEqual(3);
+      expect(changed.calls.count()).toEqual(2);
+
+      viewModel.finish();
+      expect(viewModel.isMeasuring).toBe(false);
+      expect(completed).toHaveBeenCalledTimes(1);
+
+      const measurement = completed.calls.argsFor(0)[0];
+      expect(measurement).toBe(viewModel.measurement);
+      expect(measurement.mode).toEqual(MeasureMode.DISTANCE);
+      expect(measurement.positions.length).toEqual(3);
+      expect(measurement.surfaceDistance).toEqualEpsilon(
+        111319.49 + 110574.39,
+        1.0,
+      );
+      expect(measurement.distance).toBeLessThan(measurement.surfaceDistance);
+      expect(viewModel.resultText).toContain("Distance:");
+      expect(viewModel.resultText).toContain("221.89 km");
+
+      viewModel.clear();
+      expect(viewModel.measurement).toBeUndefined();
+      expect(viewModel.positions.length).toEqual(0);
+      expect(viewModel.resultText).toEqual("");
+
+      viewModel.destroy();
+    });
+
+    it("finishes height and azimuth measurements after two positions", function () {
+      const viewModel = new MeasureToolViewModel({
+        scene: scene,
+      });
+      const completed = jasmine.createSpy("completed");
+      viewModel.measurementCompleted.addEventListener(completed);
+
+      viewModel.startMeasurement(MeasureMode.HEIGHT);
+      viewModel.addPosition(Cartesian3.fromDegrees(0.0, 0.0, 10.0));
+      viewModel.addPosition(Cartesian3.fromDegrees(0.0, 0.0, 110.0));
+      expect(viewModel.isMeasuring).toBe(false);
+      expect(completed.calls.argsFor(0)[0].height).toEqualEpsilon(
+        100.0,
+        CesiumMath.EPSILON6,
+      );
+
+      viewModel.startMeasurement(MeasureMode.AZIMUTH);
+      viewModel.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+      viewModel.addPosition(Cartesian3.fromDegrees(1.0, 0.0));
+      expect(viewModel.isMeasuring).toBe(false);
+      expect(completed.calls.argsFor(1)[0].azimuth).toEqualEpsilon(
+        CesiumMath.PI_OVER_TWO,
+        CesiumMath.EPSILON10,
+      );
+      expect(viewModel.resultText).toContain("90.00°");
+
+      viewModel.destroy();
+    });
+
+    it("does not complete measurements without enough positions", function () {
+      const viewModel = new MeasureToolViewModel({
+        scene: scene,
+      });
+      const completed = jasmine.createSpy("completed");
+      viewModel.measurementCompleted.addEventListener(completed);
+
+      viewModel.startMeasurement(MeasureMode.AREA);
+      viewModel.addPosition(Cartesian3.fromDegrees(0.0, 0.0));
+      viewModel.addPosition(Cartesian3.fromDegrees(1.0, 0.0));
+      viewModel.finishMeasurement();
+
+      expect(viewModel.isMeasuring).toBe(false);
+      expect(viewModel.measurement).toBeUndefined();
+      expect(completed).not.toHaveBeenCalled();
+
+      viewModel.destroy();
+    });
+
+    it("computeDistance sums straight-line distances", function () {
+      const positions = [
+        new Cartesian3(0.0, 0.0, 0.0),
+        new Cartesian3(3.0, 4.0, 0.0),
+        new Cartesian3(3.0, 4.0, 10.0),
+      ];
+      expect(MeasureToolViewModel.computeDistance(positions)).toEqual(15.0);
+      expect(MeasureToolViewModel.computeDistance([positions[0]])).toEqual(0.0);
+    });
+
+    it("computeSurfaceDistance follows the ellipsoid and ignores heights", function () {
+      const positions = [
+        Cartesian3.fromDegrees(0.0, 0.0, 1000.0),
+        Cartesian3.fromDegrees(0.0, 0.0, 0.0),
+        Cartesian3.fromDegrees(90.0, 0.0, 0.0),
+      ];
+      expect(
+        MeasureToolViewModel.computeSurfaceDistance(positions, ellipsoid),
+      ).toEqualEpsilon(
+        ellipsoid.maximumRadius * CesiumMath.PI_OVER_TWO,
+        CesiumMath.EPSILON6,
+      );
+    });
+
+    it("computeArea computes the area on the surface of the ellipsoid", function () {
+      // One octant of the unit sphere
+      const sphere = Ellipsoid.UNIT_SPHERE;
+      const octant = [Cartesian3.UNIT_X, Cartesian3.UNIT_Y, Cartesian3.UNIT_Z];
+      expect(MeasureToolViewModel.computeArea(octant, sphere)).toEqualEpsilon(
+        CesiumMath.PI / 2.0,
+        CesiumMath.EPSILON3,
+      );
+
+      // A small square is nearly flat
+      const square = [
+        Cartesian3.fromDegrees(0.0, 0.0, 100.0),
+        Cartesian3.fromDegrees(0.001, 0.0, 100.0),
+        Cartesian3.fromDegrees(0.001, 0.001, 100.0),
+        Cartesian3.fromDegrees(0.0, 0.001, 100.0),
+      ];
+      expect(
+        MeasureToolViewModel.computeArea(square, ellipsoid),
+      ).toEqualEpsilon(111.3195 * 110.5744, 1.0);
+
+      expect(
+        MeasureToolViewModel.computeArea(square.slice(0, 2), ellipsoid),
+      ).toEqual(0.0);
+    });
+
+    it("computeHeightDifference subtracts the heights", function () {
+      expect(
+        MeasureToolViewModel.computeHeightDifference(
+          Cartesian3.fromDegrees(10.0, 20.0, 300.0),
+          Cartesian3.fromDegrees(11.0, 21.0, 50.0),
+          ellipsoid,
+        ),
+      ).toEqualEpsilon(-250.0, CesiumMath.EPSILON6);
+    });
+
+    it("computeAzimuth measures clockwise from north", function () {
+      const origin = Cartesian3.fromDegrees(0.0, 0.0);
+      expect(
+        MeasureToolViewModel.computeAzimuth(
+          origin,
+          Cartesian3.fromDegrees(0.0, 1.0),
+          ellipsoid,
+        ),
+      ).toEqualEpsilon(0.0, CesiumMath.EPSILON10);
+      expect(
+        MeasureToolViewModel.computeAzimuth(
+          origin,
+          Cartesian3.fromDegrees(0.0, -1.0),
+          ellipsoid,
+        ),
+      ).toEqualEpsilon(CesiumMath.PI, CesiumMath.EPSILON10);
+      expect(
+        MeasureToolViewModel.computeAzimuth(
+          origin,
+          Cartesian3.fromDegrees(-1.0, 0.0),
+          ellipsoid,
+        ),
+      ).toEqualEpsilon(CesiumMath.PI * 1.5, CesiumMath.EPSILON10);
+      expect(
+        MeasureToolViewModel.computeAzimuth(origin, origin, ellipsoid),
+      ).toEqual(0.0);
+    });
+
+    it("formatMeasurement formats each mode", function () {
+      expect(
+        MeasureToolViewModel.formatMeasurement({
+          mode: MeasureMode.DISTANCE,
+          distance: 12.345,
+          surfaceDistance: 1234.5,
+        }),
+      ).toEqual("Distance: 12.35 m\nGround: 1.23 km");
+      expect(
+        MeasureToolViewModel.formatMeasurement({
+          mode: MeasureMode.AREA,
+          area: 2500000.0,
+          surfaceDistance: 500.0,
+        }),
+      ).toEqual("Area: 2.50 km²\nPerimeter: 500.00 m");
+      expect(
+        MeasureToolViewModel.formatMeasurement({
+          mode: MeasureMode.HEIGHT,
+          height: 20.0,
+          distance: 30.0,
+        }),
+      ).toEqual("Height: +20.00 m\nDistance: 30.00 m");
+      expect(
+        MeasureToolViewModel.formatMeasurement({
+          mode: MeasureMode.AZIMUTH,
+          azimuth: CesiumMath.PI,
+          surfaceDistance: 10.0,
+        }),
+      ).toEqual("Bearing: 180.00°\nGround: 10.00 m");
+    });
+  },
+  "WebGL",
+);
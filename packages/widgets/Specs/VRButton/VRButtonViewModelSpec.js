@@ -1,4 +1,4 @@
-import { Fullscreen } from "@cesium/engine";
+import { Event, Fullscreen, WebXRSessionManager } from "@cesium/engine";
 import { VRButtonViewModel } from "../../index.js";
 
 import createScene from "../../../../Specs/createScene.js";
@@ -55,6 +55,100 @@ describe("Widgets/VRButton/VRButtonViewModel", function () {
     expect(viewModel.vrElement).toBe(testElement);
   });
 
+  it("creates a WebXRSessionManager", function () {
+    const viewModel = new VRButtonViewModel(scene);
+    const webXRSessionManager = viewModel.webXRSessionManager;
+    expect(webXRSessionManager).toBeInstanceOf(WebXRSessionManager);
+    expect(webXRSessionManager.scene).toBe(scene);
+    viewModel.destroy();
+    expect(webXRSessionManager.isDestroyed()).toBe(true);
+  });
+
+  it("does not destroy a WebXRSessionManager it did not create", function () {
+    const webXRSessionManager = new WebXRSessionManager(scene);
+    const viewModel = new VRButtonViewModel(
+      scene,
+      undefined,
+      webXRSessionManager,
+    );
+    expect(viewModel.webXRSessionManager).toBe(webXRSessionManager);
+    viewModel.destroy();
+    expect(webXRSessionManager.isDestroyed()).toBe(false);
+    webXRSessionManager.destroy();
+  });
+
+  it("toggles a WebXR session when WebXR is supported", async function () {
+    spyOn(WebXRSessionManager, "isSupported").and.returnValue(
+      Promise.resolve(true),
+    );
+    const webXRSessionManager = {
+      isPresenting: false,
+      sessionStarted: new Event(),
+      sessionEnded: new Event(),
+      requestSession: jasmine
+        .createSpy("requestSession")
+        .and.returnValue(Promise.resolve()),
+      endSession: jasmine.createSpy("endSession"),
+    };
+    const viewModel = new VRButtonViewModel(
+      scene,
+      undefined,
+      webXRSessionManager,
+    );
+    await WebXRSessionManager.isSupported.calls.mostRecent().returnValue;
+
+    expect(viewModel.isVREnabled).toBe(true);
+    viewModel.command();
+    expect(webXRSessionManager.requestSession).toHaveBeenCalled();
+    expect(scene.useWebVR).toBe(false);
+
+    webXRSessionManager.isPresenting = true;
+    webXRSessionManager.sessionStarted.raiseEvent();
+    expect(viewModel.isVRMode).toBe(true);
+
+    viewModel.command();
+    expect(webXRSessionManager.endSession).toHaveBeenCalled();
+
+    webXRSessionManager.isPresenting = false;
+    webXRSessionManager.sessionEnded.raiseEvent();
+    expect(viewModel.isVRMode).toBe(false);
+    viewModel.destroy();
+  });
+
+  it("raises sessionError when a WebXR session can't be started", async function () {
+    spyOn(WebXRSessionManager, "isSupported").and.returnValue(
+      Promise.resolve(true),
+    );
+    const error = new Error("NotAllowedError");
+    const webXRSessionManager = {
+      isPresenting: false,
+      sessionStarted: new Event(),
+      sessionEnded: new Event(),
+      requestSession: jasmine
+        .createSpy("requestSession")
+        .and.callFake(function () {
+          return Promise.reject(error);
+        }),
+    };
+    const viewModel = new VRButtonViewModel(
+      scene,
+      undefined,
+      webXRSessionManager,
+    );
+    await WebXRSessionManager.isSupported.calls.mostRecent().returnValue;
+
+    const listener = jasmine.createSpy("listener");
+    viewModel.sessionError.addEventListener(listener);
+    viewModel.command();
+    await webXRSessionManager.requestSession.calls
+      .mostRecent()
+      .returnValue.catch(function () {});
+
+    expect(listener).toHaveBeenCalledWith(error);
+    expect(viewModel.isVRMode).toBe(false);
+    viewModel.destroy();
+  });
+
   it("throws when constructed without a scene", function () {
     expect(function () {
       return new VRButtonViewModel();
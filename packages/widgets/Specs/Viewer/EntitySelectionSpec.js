@@ -0,0 +1,121 @@
+import { Entity } from "@cesium/engine";
+import { EntitySelection } from "../../index.js";
+
+describe("Widgets/Viewer/EntitySelection", function () {
+  let selection;
+  let listener;
+
+  beforeEach(function () {
+    selection = new EntitySelection();
+    listener = jasmine.createSpy("listener");
+    selection.changed.addEventListener(listener);
+  });
+
+  it("is empty by default", function () {
+    expect(selection.length).toBe(0);
+    expect(selection.values).toEqual([]);
+  });
+
+  it("adds entities once", function () {
+    const entity = new Entity();
+    expect(selection.add(entity)).toBe(true);
+    expect(selection.add(entity)).toBe(false);
+
+    expect(selection.length).toBe(1);
+    expect(selection.contains(entity)).toBe(true);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(selection, [entity], []);
+  });
+
+  it("removes entities", function () {
+    const entity = new Entity();
+    selection.add(entity);
+    listener.calls.reset();
+
+    expect(selection.remove(entity)).toBe(true);
+    expect(selection.remove(entity)).toBe(false);
+
+    expect(selection.length).toBe(0);
+    expect(selection.contains(entity)).toBe(false);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(selection, [], [entity]);
+  });
+
+  it("toggles entities", function () {
+    const entity = new Entity();
+    expect(selection.toggle(entity)).toBe(true);
+    expect(selection.contains(entity)).toBe(true);
+    expect(selection.toggle(entity)).toBe(false);
+    expect(selection.contains(entity)).toBe(false);
+  });
+
+  it("treats entities for the same feature as the same entity", function () {
+    const feature = {};
+    const entity = new Entity({ feature: feature });
+    const otherEntity = new Entity({ feature: feature });
+    selection.add(entity);
+
+    expect(selection.contains(otherEntity)).toBe(true);
+    expect(selection.add(otherEntity)).toBe(false);
+    expect(selection.remove(otherEntity)).toBe(true);
+    expect(selection.length).toBe(0);
+  });
+
+  it("sets the selection with a single event", function () {
+    const entity1 = new Entity();
+    const entity2 = new Entity();
+    const entity3 = new Entity();
+    selection.add(entity1);
+    selection.add(entity2);
+    listener.calls.reset();
+
+    selection.set([entity2, entity3, entity3]);
+
+    expect(selection.values).toEqual([entity2, entity3]);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(selection, [entity3], [entity1]);
+  });
+
+  it("keeps the selected entities for features when the selection is set", function () {
+    const feature = {};
+    const entity = new Entity({ feature: feature });
+    selection.add(entity);
+    listener.calls.reset();
+
+    selection.set([new Entity({ feature: feature })]);
+
+    expect(selection.values).toEqual([entity]);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it("removes all entities", function () {
+    const entity1 = new Entity();
+    const entity2 = new Entity();
+    selection.set([entity1, entity2]);
+    listener.calls.reset();
+
+    selection.removeAll();
+
+    expect(selection.length).toBe(0);
+    expect(listener).toHaveBeenCalledWith(selection, [], [entity1, entity2]);
+
+    listener.calls.reset();
+    selection.removeAll();
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it("throws without entity", function () {
+    expect(function () {
+      selection.add(undefined);
+    }).toThrowDeveloperError();
+    expect(function () {
+      selection.remove(undefined);
+    }).toThrowDeveloperError();
+    expect(function () {
+      selection.contains(undefined);
+    }).toThrowDeveloperError();
+    expect(function () {
+      selection.set(undefined);
+    }).toThrowDeveloperError();
+  });
+});
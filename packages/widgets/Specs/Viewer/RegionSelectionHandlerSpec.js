@@ -0,0 +1,145 @@
+import { Cartesian2, defined, ScreenSpaceEventType } from "@cesium/engine";
+import { RegionSelectionHandler, RegionSelectionMode } from "../../index.js";
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Widgets/Viewer/RegionSelectionHandler",
+  function () {
+    let scene;
+    let container;
+    let handler;
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      container = document.createElement("div");
+      document.body.appendChild(container);
+    });
+
+    afterEach(function () {
+      if (defined(handler) && !handler.isDestroyed()) {
+        handler.destroy();
+      }
+      handler = undefined;
+      document.body.removeChild(container);
+      scene.screenSpaceCameraController.enableInputs = true;
+    });
+
+    function fire(type, position) {
+      const action = handler._eventHandler.getInputAction(type);
+      if (type === ScreenSpaceEventType.MOUSE_MOVE) {
+        action({
+          startPosition: position,
+          endPosition: position,
+        });
+      } else {
+        action({
+          position: position,
+        });
+      }
+    }
+
+    it("adds and removes the outline", function () {
+      handler = new RegionSelectionHandler(
+        scene,
+        container,
+        RegionSelectionMode.RECTANGLE,
+        jasmine.createSpy("callback"),
+      );
+      expect(handler.mode).toBe(RegionSelectionMode.RECTANGLE);
+      expect(
+        container.querySelector(".cesium-viewer-regionSelection"),
+      ).not.toBeNull();
+
+      handler.destroy();
+      expect(handler.isDestroyed()).toBe(true);
+      expect(
+        container.querySelector(".cesium-viewer-regionSelection"),
+      ).toBeNull();
+    });
+
+    it("reports the corners of a rectangle", function () {
+      const callback = jasmine.createSpy("callback");
+      handler = new RegionSelectionHandler(
+        scene,
+        container,
+        RegionSelectionMode.RECTANGLE,
+        callback,
+      );
+
+      fire(ScreenSpaceEventType.LEFT_DOWN, new Cartesian2(10.0, 20.0));
+      expect(scene.screenSpaceCameraController.enableInputs).toBe(false);
+      fire(ScreenSpaceEventType.MOUSE_MOVE, new Cartesian2(30.0, 25.0));
+      fire(ScreenSpaceEventType.LEFT_UP, new Cartesian2(50.0, 40.0));
+
+      expect(scene.screenSpaceCameraController.enableInputs).toBe(true);
+      expect(callback).toHaveBeenCalledWith([
+        new Cartesian2(10.0, 20.0),
+        new Cartesian2(50.0, 20.0),
+        new Cartesian2(50.0, 40.0),
+        new Cartesian2(10.0, 40.0),
+      ]);
+    });
+
+    it("reports the positions of a lasso", function () {
+      const callback = jasmine.createSpy("callback");
+      handler = new RegionSelectionHandler(
+        scene,
+        container,
+        RegionSelectionMode.LASSO,
+        callback,
+      );
+
+      fire(ScreenSpaceEventType.LEFT_DOWN, new Cartesian2(10.0, 10.0));
+      fire(ScreenSpaceEventType.MOUSE_MOVE, new Cartesian2(40.0, 10.0));
+      // Too close to the previous position
+      fire(ScreenSpaceEventType.MOUSE_MOVE, new Cartesian2(41.0, 10.0));
+      fire(ScreenSpaceEventType.MOUSE_MOVE, new Cartesian2(40.0, 40.0));
+      fire(ScreenSpaceEventType.LEFT_UP, new Cartesian2(10.0, 40.0));
+
+      expect(callback).toHaveBeenCalledWith([
+        new Cartesian2(10.0, 10.0),
+        new Cartesian2(40.0, 10.0),
+        new Cartesian2(40.0, 40.0),
+        new Cartesian2(10.0, 40.0),
+      ]);
+    });
+
+    it("does not report empty regions", function () {
+      const callback = jasmine.createSpy("callback");
+      handler = new RegionSelectionHandler(
+        scene,
+        container,
+        RegionSelectionMode.RECTANGLE,
+        callback,
+      );
+
+      fire(ScreenSpaceEventType.LEFT_DOWN, new Cartesian2(10.0, 10.0));
+      fire(ScreenSpaceEventType.LEFT_UP, new Cartesian2(10.0, 30.0));
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it("restores the camera inputs when destroyed while dragging", function () {
+      handler = new RegionSelectionHandler(
+        scene,
+        container,
+        RegionSelectionMode.LASSO,
+        jasmine.createSpy("callback"),
+      );
+
+      fire(ScreenSpaceEventType.LEFT_DOWN, new Cartesian2(10.0, 10.0));
+      expect(scene.screenSpaceCameraController.enableInputs).toBe(false);
+
+      handler.destroy();
+      expect(scene.screenSpaceCameraController.enableInputs).toBe(true);
+    });
+  },
+  "WebGL",
+);
@@ -0,0 +1,264 @@
+import {
+  BoundingSphereState,
+  BoxGraphics,
+  Color,
+  ColorGeometryInstanceAttribute,
+  Entity,
+  Model,
+  ModelGraphics,
+  PolygonGraphics,
+  PostProcessStageLibrary,
+  PrimitiveCollection,
+} from "@cesium/engine";
+import { EntitySelection, SelectionHighlighter } from "../../index.js";
+import createScene from "../../../../Specs/createScene.js";
+
+describe(
+  "Widgets/Viewer/SelectionHighlighter",
+  function () {
+    const boxUrl = "./Data/Models/glTF-2.0/Box/glTF/Box.gltf";
+    const red = ColorGeometryInstanceAttribute.toValue(Color.RED);
+
+    let scene;
+    let selection;
+    let highlighter;
+    let boundingSphereState;
+
+    const dataSourceDisplay = {
+      getBoundingSphere: function () {
+        return boundingSphereState;
+      },
+    };
+
+    beforeAll(function () {
+      scene = createScene();
+    });
+
+    afterAll(function () {
+      scene.destroyForSpecs();
+    });
+
+    beforeEach(function () {
+      selection = new EntitySelection();
+      boundingSphereState = BoundingSphereState.DONE;
+    });
+
+    afterEach(function () {
+      if (!highlighter.isDestroyed()) {
+        highlighter.destroy();
+      }
+      scene.primitives.removeAll();
+      scene.groundPrimitives.removeAll();
+    });
+
+    function createGeometryPrimitive(entity) {
+      let color = red.slice();
+      let destroyed = false;
+      const attributes = {};
+      Object.defineProperty(attributes, "color", {
+        get: function () {
+          return color.slice();
+        },
+        set: function (value) {
+          color = value.slice();
+        },
+      });
+
+      return {
+        ready: true,
+        attributes: attributes,
+        getGeometryInstanceAttributes: function (id) {
+          return id === entity ? attributes : undefined;
+        },
+        update: function () {},
+        isDestroyed: function () {
+          return destroyed;
+        },
+        destroy: function () {
+          destroyed = true;
+        },
+      };
+    }
+
+    it("highlights the color of selected geometry", function () {
+      const entity = new Entity({ polygon: new PolygonGraphics() });
+      const primitive = createGeometryPrimitive(entity);
+      const collection = new PrimitiveCollection();
+      collection.add(primitive);
+      scene.primitives.add(collection);
+
+      highlighter = new SelectionHighlighter(
+        scene,
+        selection,
+        dataSourceDisplay,
+      );
+      selection.add(entity);
+      highlighter.update();
+
+      expect(primitive.attributes.color).toEqual(
+        ColorGeometryInstanceAttribute.toValue(Color.YELLOW),
+      );
+
+      selection.remove(entity);
+      highlighter.update();
+      expect(primitive.attributes.color).toEqual(red);
+    });
+
+    it("highlights geometry on the ground", function () {
+      const entity = new Entity({ polygon: new PolygonGraphics() });
+      const primitive = createGeometryPrimitive(entity);
+      scene.groundPrimitives.add(primitive);
+
+      highlighter = new SelectionHighlighter(
+        scene,
+        selection,
+        dataSourceDisplay,
+      );
+      highlighter.color = Color.BLUE;
+      selection.add(entity);
+      highlighter.update();
+
+      expect(highlighter.color).toEqual(Color.BLUE);
+      expect(primitive.attributes.color).toEqual(
+        ColorGeometryInstanceAttribute.toValue(Color.BLUE),
+      );
+    });
+
+    it("tries again until the geometry is drawn", function () {
+      const entity = new Entity({ box: new BoxGraphics() });
+      const primitive = createGeometryPrimitive(entity);
+      primitive.ready = false;
+      scene.primitives.add(primitive);
+      boundingSphereState = BoundingSphereState.PENDING;
+
+      highlighter = new SelectionHighlighter(
+        scene,
+        selection,
+        dataSourceDisplay,
+      );
+      selection.add(entity);
+      highlighter.update();
+      expect(primitive.attributes.color).toEqual(red);
+
+      primitive.ready = true;
+      highlighter.update();
+      expect(primitive.attributes.color).toEqual(
+        ColorGeometryInstanceAttribute.toValue(Color.YELLOW),
+      );
+    });
+
+    it("stops trying again for entities that will not be drawn", function () {
+      const entity = new Entity({ box: new BoxGraphics() });
+      const primitive = createGeometryPrimitive(entity);
+      spyOn(primitive, "getGeometryInstanceAttributes").and.callThrough();
+      primitive.ready = false;
+      scene.primitives.add(primitive);
+
+      highlighter = new SelectionHighlighter(
+        scene,
+        selection,
+        dataSourceDisplay,
+      );
+      boundingSphereState = BoundingSphereState.FAILED;
+      selection.add(entity);
+      highlighter.update();
+      expect(highlighter._pending).toBe(false);
+
+      boundingSphereState = BoundingSphereState.PENDING;
+      entity.show = false;
+      selection.set([]);
+      selection.add(entity);
+      highlighter.update();
+      expect(highlighter._pending).toBe(false);
+
+      primitive.ready = true;
+      highlighter.update();
+      expect(primitive.getGeometryInstanceAttributes).not.toHaveBeenCalled();
+      expect(primitive.attributes.color).toEqual(red);
+    });
+
+    it("highlights again when a batch rebuilds its primitive", function () {
+      const entity = new Entity({ polygon: new PolygonGraphics() });
+      const primitive = createGeometryPrimitive(entity);
+      scene.primitives.add(primitive);
+
+      highlighter = new SelectionHighlighter(
+        scene,
+        selection,
+        dataSourceDisplay,
+      );
+      selection.add(entity);
+      highlighter.update();
+
+      const rebuilt = createGeometryPrimitive(entity);
+      scene.primitives.add(rebuilt);
+      scene.primitives.remove(primitive);
+      expect(primitive.isDestroyed()).toBe(true);
+
+      highlighter.update();
+      expect(rebuilt.attributes.color).toEqual(
+        ColorGeometryInstanceAttribute.toValue(Color.YELLOW),
+      );
+      expect(highlighter._highlightedInstances.length).toBe(1);
+    });
+
+    it("draws silhouettes around selected models and features", async function () {
+      if (!PostProcessStageLibrary.isSilhouetteSupported(scene)) {
+        return;
+      }
+
+      const entity = new Entity({ model: new ModelGraphics() });
+      const model = scene.primitives.add(
+        await Model.fromGltfAsync({
+          url: boxUrl,
+          id: entity,
+        }),
+      );
+      const feature = {};
+      const featureEntity = new Entity({ feature: feature });
+
+      highlighter = new SelectionHighlighter(
+        scene,
+        selection,
+        dataSourceDisplay,
+      );
+      const stage = highlighter._silhouetteStage;
+      expect(scene.postProcessStages.contains(stage)).toBe(true);
+      highlighter.update();
+      expect(stage.enabled).toBe(false);
+
+      selection.set([entity, featureEntity]);
+      highlighter.update();
+      expect(stage.enabled).toBe(true);
+      expect(stage.selected).toEqual([feature, model]);
+
+      selection.removeAll();
+      highlighter.update();
+      expect(stage.enabled).toBe(false);
+      expect(stage.selected).toEqual([]);
+    });
+
+    it("destroy restores the colors and removes the silhouette stage", function () {
+      const entity = new Entity({ polygon: new PolygonGraphics() });
+      const primitive = createGeometryPrimitive(entity);
+      scene.primitives.add(primitive);
+
+      highlighter = new SelectionHighlighter(
+        scene,
+        selection,
+        dataSourceDisplay,
+      );
+      const stage = highlighter._silhouetteStage;
+      selection.add(entity);
+      highlighter.update();
+
+      highlighter.destroy();
+      expect(highlighter.isDestroyed()).toBe(true);
+      expect(primitive.attributes.color).toEqual(red);
+      if (PostProcessStageLibrary.isSilhouetteSupported(scene)) {
+        expect(scene.postProcessStages.contains(stage)).toBe(false);
+      }
+    });
+  },
+  "WebGL",
+);
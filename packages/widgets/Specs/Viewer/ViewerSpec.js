@@ -3,6 +3,7 @@ import {
   CartographicGeocoderService,
   CesiumWidget,
   Clock,
+  Color,
   CreditDisplay,
   EllipsoidTerrainProvider,
   Rectangle,
@@ -14,10 +15,14 @@ import {
   Entity,
   Camera,
   CameraFlightPath,
+  Cartesian2,
   ImageryLayer,
   ImageryLayerCollection,
+  KeyboardEventModifier,
   SceneMode,
+  ScreenSpaceEventType,
   ShadowMode,
+  WebXRSessionManager,
 } from "@cesium/engine";
 
 import {
@@ -29,9 +34,11 @@ import {
   Geocoder,
   HomeButton,
   NavigationHelpButton,
+  RegionSelectionMode,
   SceneModePicker,
   SelectionIndicator,
   Timeline,
+  VRButton,
 } from "../../index.js";
 
 import createViewer from "../createViewer.js";
@@ -172,6 +179,28 @@ describe(
       viewer.render();
     });
 
+    it("renders WebXR sessions of the VRButton with the widget", function () {
+      viewer = createViewer(container, {
+        vrButton: true,
+      });
+      expect(viewer.vrButton).toBeInstanceOf(VRButton);
+      const webXRSessionManager = viewer.vrButton.viewModel.webXRSessionManager;
+      expect(webXRSessionManager).toBeInstanceOf(WebXRSessionManager);
+
+      spyOn(viewer.cesiumWidget, "render");
+      webXRSessionManager._render();
+      expect(viewer.cesiumWidget.render).toHaveBeenCalled();
+
+      const entity = viewer.entities.add({});
+      webXRSessionManager.selected.raiseEvent({
+        id: entity,
+      });
+      expect(viewer.selectedEntity).toBe(entity);
+
+      viewer.destroy();
+      expect(webXRSessionManager.isDestroyed()).toBe(true);
+    });
+
     it("can shut off SceneModePicker", function () {
       viewer = createViewer(container, {
         sceneModePicker: false,
@@ -810,6 +839,270 @@ describe(
       viewer.destroy();
     });
 
+    it("can get and set regionSelectionMode", function () {
+      viewer = createViewer(container);
+      expect(viewer.regionSelectionMode).toBe(RegionSelectionMode.NONE);
+      expect(viewer._regionSelectionHandler).toBeUndefined();
+
+      viewer.regionSelectionMode = RegionSelectionMode.LASSO;
+      expect(viewer.regionSelectionMode).toBe(RegionSelectionMode.LASSO);
+      expect(viewer._regionSelectionHandler.mode).toBe(
+        RegionSelectionMode.LASSO,
+      );
+
+      viewer.regionSelectionMode = RegionSelectionMode.NONE;
+      expect(viewer._regionSelectionHandler).toBeUndefined();
+    });
+
+    it("selects the entities in a region", function () {
+      viewer = createViewer(container);
+
+      const entity1 = viewer.entities.add(new Entity());
+      const entity2 = viewer.entities.add(new Entity());
+      spyOn(viewer.scene, "pickRegion").and.returnValue([
+        { primitive: {}, id: entity1 },
+        { primitive: {}, id: entity1 },
+        { primitive: {}, id: entity2 },
+        { primitive: {} },
+      ]);
+
+      const listener = jasmine.createSpy("listener");
+      viewer.selectedEntities.changed.addEventListener(listener);
+
+      viewer.regionSelectionMode = RegionSelectionMode.RECTANGLE;
+      const eventHandler = viewer._regionSelectionHandler._eventHandler;
+      eventHandler.getInputAction(ScreenSpaceEventType.LEFT_DOWN)({
+        position: new Cartesian2(0.0, 0.0),
+      });
+      eventHandler.getInputAction(ScreenSpaceEventType.LEFT_UP)({
+        position: new Cartesian2(10.0, 10.0),
+      });
+
+      expect(viewer.scene.pickRegion).toHaveBeenCalledWith([
+        new Cartesian2(0.0, 0.0),
+        new Cartesian2(10.0, 0.0),
+        new Cartesian2(10.0, 10.0),
+        new Cartesian2(0.0, 10.0),
+      ]);
+      expect(viewer.selectedEntities.values).toEqual([entity1, entity2]);
+      expect(viewer.selectedEntity).toBe(entity2);
+      expect(listener).toHaveBeenCalledTimes(1);
+
+      viewer.entities.remove(entity1);
+      expect(viewer.selectedEntities.values).toEqual([entity2]);
+      expect(viewer.selectedEntity).toBe(entity2);
+
+      viewer.entities.remove(entity2);
+      expect(viewer.selectedEntities.values).toEqual([]);
+      expect(viewer.selectedEntity).toBeUndefined();
+    });
+
+    it("shift-click adds entities to and removes them from the selection", function () {
+      viewer = createViewer(container);
+
+      const entity1 = viewer.entities.add(new Entity());
+      const entity2 = viewer.entities.add(new Entity());
+      const pickSpy = spyOn(viewer.scene, "pick");
+      const eventHandler = viewer.screenSpaceEventHandler;
+      const click = eventHandler.getInputAction(
+        ScreenSpaceEventType.LEFT_CLICK,
+      );
+      const shiftClick = eventHandler.getInputAction(
+        ScreenSpaceEventType.LEFT_CLICK,
+        KeyboardEventModifier.SHIFT,
+      );
+      const position = new Cartesian2(0.0, 0.0);
+
+      pickSpy.and.returnValue({ primitive: {}, id: entity1 });
+      click({ position: position });
+      expect(viewer.selectedEntities.values).toEqual([entity1]);
+      expect(viewer.selectedEntity).toBe(entity1);
+
+      pickSpy.and.returnValue({ primitive: {}, id: entity2 });
+      shiftClick({ position: position });
+      expect(viewer.selectedEntities.values).toEqual([entity1, entity2]);
+      expect(viewer.selectedEntity).toBe(entity2);
+
+      shiftClick({ position: position });
+      expect(viewer.selectedEntities.values).toEqual([entity1]);
+      expect(viewer.selectedEntity).toBe(entity1);
+
+      pickSpy.and.returnValue({ primitive: {}, id: entity2 });
+      click({ position: position });
+      expect(viewer.selectedEntities.values).toEqual([entity2]);
+      expect(viewer.selectedEntity).toBe(entity2);
+    });
+
+    it("can get and set selectionHighlightColor", function () {
+      viewer = createViewer(container);
+      expect(viewer.selectionHighlightColor).toEqual(Color.YELLOW);
+
+      viewer.selectionHighlightColor = Color.CYAN;
+      expect(viewer.selectionHighlightColor).toEqual(Color.CYAN);
+    });
+
+    it("shows a summary of the selected entities in the InfoBox", function () {
+      viewer = createViewer(container);
+
+      const entity1 = viewer.entities.add({
+        name: "first",
+        properties: {
+          height: 10,
+        },
+      });
+      const entity2 = viewer.entities.add({
+        name: "second",
+        properties: {
+          height: 20,
+          type: "tower",
+        },
+      });
+      const viewModel = viewer.infoBox.viewModel;
+
+      viewer.selectedEntities.set([entity1, entity2]);
+      viewer.clock.tick();
+      expect(viewModel.showInfo).toBe(true);
+      expect(viewModel.enableCamera).toBe(false);
+      expect(viewModel.titleText).toEqual("2 entities");
+      expect(viewModel.description).toEqual(
+        '<table class="cesium-infoBox-defaultTable"><tbody>' +
+          "<tr><th>Name</th><th>height</th><th>type</th></tr>" +
+          "<tr><td>first</td><td>10</td><td></td></tr>" +
+          "<tr><td>second</td><td>20</td><td>tower</td></tr>" +
+          "</tbody></table>",
+      );
+
+      viewer.showSelectionSummary = false;
+      viewer.clock.tick();
+      expect(viewModel.showInfo).toBe(false);
+
+      viewer.showSelectionSummary = true;
+      viewer.selectedEntities.set([entity1]);
+      viewer.clock.tick();
+      expect(viewModel.showInfo).toBe(false);
+    });
+
+    it("closing the InfoBox clears a multi-selection", function () {
+      viewer = createViewer(container);
+
+      const entity1 = viewer.entities.add(new Entity());
+      const entity2 = viewer.entities.add(new Entity());
+      const viewModel = viewer.infoBox.viewModel;
+
+      viewer.selectedEntities.set([entity1, entity2]);
+      viewer.clock.tick();
+      expect(viewModel.showInfo).toBe(true);
+
+      viewModel.closeClicked.raiseEvent(viewModel);
+      expect(viewer.selectedEntities.values).toEqual([]);
+      expect(viewer.selectedEntity).toBeUndefined();
+
+      viewer.clock.tick();
+      expect(viewModel.showInfo).toBe(false);
+    });
+
+    it("setting selectedEntity replaces a multi-selection it is not part of", function () {
+      viewer = createViewer(container);
+
+      const entity1 = viewer.entities.add(new Entity());
+      const entity2 = viewer.entities.add(new Entity());
+      const entity3 = viewer.entities.add(new Entity());
+
+      viewer.selectedEntities.set([entity1, entity2]);
+      viewer.selectedEntity = entity2;
+      expect(viewer.selectedEntities.values).toEqual([entity1, entity2]);
+
+      viewer.selectedEntity = entity3;
+      expect(viewer.selectedEntities.values).toEqual([entity3]);
+
+      viewer.selectedEntities.set([entity1, entity2]);
+      viewer.selectedEntity = undefined;
+      expect(viewer.selectedEntities.values).toEqual([]);
+    });
+
+    it("escapes the selection summary", function () {
+      viewer = createViewer(container);
+
+      const entity1 = viewer.entities.add({
+        name: "<b>first</b>",
+        properties: {
+          "<i>": "a & b",
+        },
+      });
+      const entity2 = viewer.entities.add({
+        name: "second",
+      });
+      const viewModel = viewer.infoBox.viewModel;
+
+      viewer.selectedEntities.set([entity1, entity2]);
+      viewer.clock.tick();
+      expect(viewModel.description).toEqual(
+        '<table class="cesium-infoBox-defaultTable"><tbody>' +
+          "<tr><th>Name</th><th>&lt;i&gt;</th></tr>" +
+          "<tr><td>&lt;b&gt;first&lt;/b&gt;</td><td>a &amp; b</td></tr>" +
+          "<tr><td>second</td><td></td></tr>" +
+          "</tbody></table>",
+      );
+    });
+
+    it("can customize the selection summary title and name header", function () {
+      viewer = createViewer(container);
+
+      const entity1 = viewer.entities.add({
+        name: "first",
+      });
+      const entity2 = viewer.entities.add({
+        name: "second",
+      });
+      const viewModel = viewer.infoBox.viewModel;
+
+      viewer.selectedEntities.set([entity1, entity2]);
+      viewer.selectionSummaryTitle = function (entities) {
+        return `${entities.length} 个实体`;
+      };
+      viewer.selectionSummaryNameHeader = "名称";
+      viewer.clock.tick();
+      expect(viewModel.titleText).toEqual("2 个实体");
+      expect(viewModel.description).toContain("<th>名称</th>");
+    });
+
+    it("rebuilds the selection summary only when the selection or an entity changes", function () {
+      viewer = createViewer(container);
+
+      const entity1 = viewer.entities.add({
+        name: "first",
+        properties: {
+          height: 10,
+        },
+      });
+      const entity2 = viewer.entities.add({
+        name: "second",
+      });
+      const viewModel = viewer.infoBox.viewModel;
+      const titleSpy = jasmine
+        .createSpy("selectionSummaryTitle")
+        .and.returnValue("title");
+      viewer.selectionSummaryTitle = titleSpy;
+
+      viewer.selectedEntities.set([entity1, entity2]);
+      viewer.clock.tick();
+      viewer.clock.tick();
+      expect(titleSpy.calls.count()).toEqual(1);
+
+      entity1.properties.height = 30;
+      viewer.clock.tick();
+      expect(titleSpy.calls.count()).toEqual(2);
+      expect(viewModel.description).toContain("<td>30</td>");
+
+      const entity3 = viewer.entities.add({
+        name: "third",
+      });
+      viewer.selectedEntities.add(entity3);
+      viewer.clock.tick();
+      expect(titleSpy.calls.count()).toEqual(3);
+      expect(viewModel.description).toContain("<td>third</td>");
+    });
+
     it("selectedEntity sets InfoBox properties", function () {
       const viewer = createViewer(container);
 
@@ -0,0 +1,56 @@
+import { GeographicTilingScheme } from "@cesium/engine";
+import { LayerManager, viewerLayerManagerMixin } from "../../index.js";
+import createViewer from "../createViewer.js";
+
+describe(
+  "Widgets/Viewer/viewerLayerManagerMixin",
+  function () {
+    let container;
+    let viewer;
+    beforeEach(function () {
+      container = document.createElement("div");
+      container.id = "container";
+      container.style.display = "none";
+      document.body.appendChild(container);
+    });
+
+    afterEach(function () {
+      if (viewer && !viewer.isDestroyed()) {
+        viewer = viewer.destroy();
+      }
+
+      document.body.removeChild(container);
+    });
+
+    it("mixin sets default values", function () {
+      viewer = createViewer(container);
+      viewer.extend(viewerLayerManagerMixin);
+      expect(viewer.layerManager).toBeInstanceOf(LayerManager);
+
+      const viewModel = viewer.layerManager.viewModel;
+      expect(viewModel.scene).toBe(viewer.scene);
+      expect(viewModel.imageryLayers).toBe(viewer.imageryLayers);
+      expect(viewModel.dataSources).toBe(viewer.dataSources);
+    });
+
+    it("zooms to layers with the viewer", function () {
+      viewer = createViewer(container);
+      viewer.extend(viewerLayerManagerMixin);
+      spyOn(viewer, "flyTo");
+
+      const layer = viewer.imageryLayers.addImageryProvider({
+        tilingScheme: new GeographicTilingScheme(),
+      });
+      const viewModel = viewer.layerManager.viewModel;
+      viewModel.zoomToLayer(viewModel.imageryLayerItems[0]);
+      expect(viewer.flyTo).toHaveBeenCalledWith(layer);
+    });
+
+    it("throws if not given a viewer", function () {
+      expect(function () {
+        viewerLayerManagerMixin();
+      }).toThrowDeveloperError();
+    });
+  },
+  "WebGL",
+);
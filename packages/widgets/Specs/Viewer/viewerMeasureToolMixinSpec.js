@@ -0,0 +1,47 @@
+import { Color } from "@cesium/engine";
+import { MeasureTool, viewerMeasureToolMixin } from "../../index.js";
+import createViewer from "../createViewer.js";
+
+describe(
+  "Widgets/Viewer/viewerMeasureToolMixin",
+  function () {
+    let container;
+    let viewer;
+    beforeEach(function () {
+      container = document.createElement("div");
+      container.id = "container";
+      container.style.display = "none";
+      document.body.appendChild(container);
+    });
+
+    afterEach(function () {
+      if (viewer && !viewer.isDestroyed()) {
+        viewer = viewer.destroy();
+      }
+
+      document.body.removeChild(container);
+    });
+
+    it("mixin sets default values", function () {
+      viewer = createViewer(container);
+      viewer.extend(viewerMeasureToolMixin);
+      expect(viewer.measureTool).toBeInstanceOf(MeasureTool);
+      expect(viewer.measureTool.viewModel.scene).toBe(viewer.scene);
+    });
+
+    it("mixin sets option values", function () {
+      viewer = createViewer(container);
+      viewer.extend(viewerMeasureToolMixin, {
+        color: Color.RED,
+      });
+      expect(viewer.measureTool.viewModel._color).toEqual(Color.RED);
+    });
+
+    it("throws if not given a viewer", function () {
+      expect(function () {
+        viewerMeasureToolMixin();
+      }).toThrowDeveloperError();
+    });
+  },
+  "WebGL",
+);